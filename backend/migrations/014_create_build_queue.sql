@@ -0,0 +1,36 @@
+-- Migration: 014_create_build_queue
+-- Description: Persistent build queue with per-service coalescing and per-project concurrency
+
+CREATE TABLE IF NOT EXISTS build_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  deployment_id UUID NOT NULL REFERENCES deployments(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  commit_sha VARCHAR(40) NOT NULL,
+
+  -- Where the build request came from (webhook, manual, clone)
+  trigger VARCHAR(20) NOT NULL DEFAULT 'manual',
+
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  -- queued: waiting for a free build slot
+  -- running: build pipeline in progress
+  -- completed: pipeline finished (deployment may be live or failed)
+  -- superseded: replaced by a newer commit for the same service
+  -- failed: pipeline crashed or exceeded resume attempts
+
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+
+  UNIQUE(deployment_id)
+);
+
+-- Only one waiting build per service; newer commits replace older ones
+CREATE UNIQUE INDEX IF NOT EXISTS idx_build_queue_one_queued_per_service
+ON build_queue(service_id) WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_build_queue_status ON build_queue(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_build_queue_project_status ON build_queue(project_id, status);
@@ -0,0 +1,23 @@
+-- Migration: 015_create_api_tokens
+-- Description: Personal access tokens for API access outside the browser (CI, scripts)
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+
+  -- SHA-256 of the full token; the plaintext is only shown once at creation
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  -- Leading characters of the token so users can tell tokens apart
+  token_prefix VARCHAR(16) NOT NULL,
+
+  -- Any of: read, deploy, env:write, admin
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['admin'],
+
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
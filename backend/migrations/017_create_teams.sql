@@ -0,0 +1,73 @@
+-- Migration: 017_create_teams
+-- Description: Organizations, project collaborators with roles, and invitations by GitHub username
+-- Roles, lowest to highest: viewer, deployer, maintainer, owner
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(63) NOT NULL UNIQUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'deployer', 'maintainer', 'owner')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+
+-- Projects may belong to an organization; members inherit their org role on its projects.
+-- projects.user_id remains the creator, whose GitHub token is used for builds.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_organization_id ON projects(organization_id);
+
+CREATE TABLE IF NOT EXISTS project_members (
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'deployer', 'maintainer', 'owner')),
+  added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON project_members(user_id);
+
+-- Invitations target either a project or an organization
+CREATE TABLE IF NOT EXISTS invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  github_username VARCHAR(255) NOT NULL,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'deployer', 'maintainer', 'owner')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  responded_at TIMESTAMP,
+  CHECK ((project_id IS NULL) <> (organization_id IS NULL))
+);
+
+-- GitHub usernames are case-insensitive
+CREATE INDEX IF NOT EXISTS idx_invitations_github_username ON invitations(LOWER(github_username)) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_pending_project
+  ON invitations(project_id, LOWER(github_username)) WHERE status = 'pending' AND project_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitations_pending_organization
+  ON invitations(organization_id, LOWER(github_username)) WHERE status = 'pending' AND organization_id IS NOT NULL;
+
+-- Every (project, user, role) grant: the creator is an implicit owner, plus direct
+-- collaborators, plus members of the project's organization
+CREATE OR REPLACE VIEW project_access AS
+  SELECT p.id AS project_id, p.user_id, 'owner'::VARCHAR(20) AS role
+  FROM projects p
+  WHERE p.user_id IS NOT NULL
+  UNION ALL
+  SELECT pm.project_id, pm.user_id, pm.role
+  FROM project_members pm
+  UNION ALL
+  SELECT p.id AS project_id, om.user_id, om.role
+  FROM projects p
+  JOIN organization_members om ON om.organization_id = p.organization_id;
@@ -0,0 +1,23 @@
+-- Migration: 018_create_device_authorizations
+-- Description: Device-style login for the CLI. The CLI polls with a secret device code
+-- while the user approves a short user code in the browser; approval mints an API token.
+
+CREATE TABLE IF NOT EXISTS device_authorizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- SHA-256 of the device code held by the CLI
+  device_code_hash VARCHAR(64) NOT NULL UNIQUE,
+  -- Short code the user types in the browser, e.g. WDJB-MJHT
+  user_code VARCHAR(9) NOT NULL,
+  client_name VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'denied', 'claimed')),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  scopes TEXT[],
+  api_token_id UUID REFERENCES api_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  last_polled_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_authorizations_pending_user_code
+  ON device_authorizations(user_code) WHERE status = 'pending';
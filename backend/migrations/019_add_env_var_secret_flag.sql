@@ -0,0 +1,6 @@
+-- Migration: 019_add_env_var_secret_flag
+-- Description: Mark environment variables as secret (rendered into a Kubernetes Secret,
+-- masked in the API) or plain (rendered into a ConfigMap, shown in the API).
+-- Existing variables stay secret.
+
+ALTER TABLE env_vars ADD COLUMN IF NOT EXISTS is_secret BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,11 @@
+-- Migration: 020_add_service_resources
+-- Description: Per-service CPU/memory requests and limits (Kubernetes quantities) with the
+-- preset they came from, plus a preset for the service's build job resources.
+-- Defaults match the values previously hardcoded in the Deployment template.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS resource_preset VARCHAR(20) NOT NULL DEFAULT 'small';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS cpu_request VARCHAR(16) NOT NULL DEFAULT '250m';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS cpu_limit VARCHAR(16) NOT NULL DEFAULT '250m';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS memory_request VARCHAR(16) NOT NULL DEFAULT '256Mi';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS memory_limit VARCHAR(16) NOT NULL DEFAULT '256Mi';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS build_resource_preset VARCHAR(20) NOT NULL DEFAULT 'standard';
@@ -0,0 +1,21 @@
+-- Migration: 021_add_service_autoscaling
+-- Description: Optional horizontal pod autoscaling per service. When enabled the service
+-- gets an autoscaling/v2 HorizontalPodAutoscaler scaling between min and max replicas on
+-- CPU and/or memory utilization (percent of the container request). The fixed `replicas`
+-- column is kept for when autoscaling is turned off.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS autoscaling_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS autoscaling_min_replicas INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS autoscaling_max_replicas INTEGER NOT NULL DEFAULT 3;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS autoscaling_cpu_target INTEGER DEFAULT 70;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS autoscaling_memory_target INTEGER;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_autoscaling_check;
+ALTER TABLE services ADD CONSTRAINT services_autoscaling_check CHECK (
+  autoscaling_min_replicas >= 1
+  AND autoscaling_max_replicas <= 10
+  AND autoscaling_min_replicas <= autoscaling_max_replicas
+  AND (autoscaling_cpu_target IS NULL OR autoscaling_cpu_target BETWEEN 10 AND 100)
+  AND (autoscaling_memory_target IS NULL OR autoscaling_memory_target BETWEEN 10 AND 100)
+  AND (NOT autoscaling_enabled OR autoscaling_cpu_target IS NOT NULL OR autoscaling_memory_target IS NOT NULL)
+);
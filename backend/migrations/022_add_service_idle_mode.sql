@@ -0,0 +1,15 @@
+-- Migration: 022_add_service_idle_mode
+-- Description: Opt-in scale-to-zero. A service with idle_timeout_minutes set is scaled to
+-- zero after that long without ingress traffic; sleeping_at is set while it is asleep and
+-- its ingresses point at the platform's wake endpoint.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS idle_timeout_minutes INTEGER;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS sleeping_at TIMESTAMPTZ;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_idle_timeout_check;
+ALTER TABLE services ADD CONSTRAINT services_idle_timeout_check CHECK (
+  idle_timeout_minutes IS NULL OR idle_timeout_minutes BETWEEN 5 AND 1440
+);
+
+CREATE INDEX IF NOT EXISTS idx_services_idle_timeout ON services(idle_timeout_minutes)
+  WHERE idle_timeout_minutes IS NOT NULL;
@@ -0,0 +1,49 @@
+-- Migration: 023_create_previews
+-- Description: Pull request preview environments. A service with previews_enabled gets an
+-- ephemeral copy (<service>-pr-<number>, or copies of every service in the project) for each
+-- open pull request against its branch. Copies are ordinary service rows linked to their
+-- preview by preview_id; they are torn down when the PR closes or the preview expires.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS previews_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS preview_scope VARCHAR(20) NOT NULL DEFAULT 'service';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS preview_ttl_hours INTEGER NOT NULL DEFAULT 72;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_preview_check;
+ALTER TABLE services ADD CONSTRAINT services_preview_check CHECK (
+  preview_scope IN ('service', 'project')
+  AND preview_ttl_hours BETWEEN 1 AND 720
+);
+
+CREATE TABLE IF NOT EXISTS previews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- The service whose webhook received the pull request
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  pr_number INTEGER NOT NULL,
+  pr_title TEXT,
+  pr_url TEXT,
+  pr_author VARCHAR(255),
+  head_branch VARCHAR(255) NOT NULL,
+  head_sha VARCHAR(40) NOT NULL,
+  scope VARCHAR(20) NOT NULL DEFAULT 'service',
+  -- Pushed forward by every pull request event; expired previews are torn down
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(service_id, pr_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_previews_expires_at ON previews(expires_at);
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS preview_id UUID REFERENCES previews(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_services_preview_id ON services(preview_id) WHERE preview_id IS NOT NULL;
+
+-- Env vars that replace (or add to) a service's own vars in its preview copies
+CREATE TABLE IF NOT EXISTS preview_env_vars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  key VARCHAR(255) NOT NULL,
+  value TEXT NOT NULL, -- encrypted
+  is_secret BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(service_id, key)
+);
@@ -0,0 +1,34 @@
+-- Migration: 024_add_project_environments
+-- Description: Named environments per project. An environment is a child project named
+-- <project>-<environment>, so it gets its own namespace, services, env vars, replicas and
+-- domains; the parent project is the 'production' environment. Deployments record the
+-- deployment whose image they promoted.
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS parent_project_id UUID REFERENCES projects(id) ON DELETE CASCADE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS environment VARCHAR(20) NOT NULL DEFAULT 'production';
+
+CREATE INDEX IF NOT EXISTS idx_projects_parent_project_id ON projects(parent_project_id) WHERE parent_project_id IS NOT NULL;
+
+-- Environment names are unique within a project and its environments
+CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_environment
+  ON projects((COALESCE(parent_project_id, id)), environment);
+
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS promoted_from UUID REFERENCES deployments(id) ON DELETE SET NULL;
+-- Kept so the history still names the source after its environment is deleted
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS promoted_from_environment VARCHAR(20);
+
+-- Environments inherit their parent project's owner, collaborators and organization
+CREATE OR REPLACE VIEW project_access AS
+  SELECT p.id AS project_id, root.user_id, 'owner'::VARCHAR(20) AS role
+  FROM projects p
+  JOIN projects root ON root.id = COALESCE(p.parent_project_id, p.id)
+  WHERE root.user_id IS NOT NULL
+  UNION ALL
+  SELECT p.id AS project_id, pm.user_id, pm.role
+  FROM projects p
+  JOIN project_members pm ON pm.project_id IN (p.id, p.parent_project_id)
+  UNION ALL
+  SELECT p.id AS project_id, om.user_id, om.role
+  FROM projects p
+  JOIN projects root ON root.id = COALESCE(p.parent_project_id, p.id)
+  JOIN organization_members om ON om.organization_id = root.organization_id;
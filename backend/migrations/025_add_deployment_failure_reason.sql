@@ -0,0 +1,5 @@
+-- Migration: 025_add_deployment_failure_reason
+-- Description: Why a deployment failed. Set when post-deploy verification catches a
+-- crash-looping, unready or unhealthy rollout and rolls the service back.
+
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
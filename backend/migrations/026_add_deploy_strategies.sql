@@ -0,0 +1,30 @@
+-- Migration: 026_add_deploy_strategies
+-- Description: Per-service deployment strategy. 'rolling' updates the service's Deployment in
+-- place. 'blue-green' and 'canary' start the new version next to the running one as
+-- <service>-next: blue-green moves all traffic over once it is healthy and keeps the old pods
+-- warm until the rollout is promoted, canary sends canary_weight percent of traffic to it and
+-- adds canary_step percent every canary_interval_minutes. Deployments record where their
+-- rollout is in rollout_phase and the share of traffic the new version gets in traffic_weight.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS deploy_strategy VARCHAR(20) NOT NULL DEFAULT 'rolling';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS canary_weight INTEGER NOT NULL DEFAULT 10;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS canary_step INTEGER NOT NULL DEFAULT 20;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS canary_interval_minutes INTEGER NOT NULL DEFAULT 5;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_deploy_strategy_check;
+ALTER TABLE services ADD CONSTRAINT services_deploy_strategy_check CHECK (
+  deploy_strategy IN ('rolling', 'blue-green', 'canary')
+  AND canary_weight BETWEEN 1 AND 99
+  AND canary_step BETWEEN 1 AND 100
+  AND canary_interval_minutes BETWEEN 1 AND 1440
+);
+
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS rollout_strategy VARCHAR(20);
+-- starting, canary, switched, promoting, complete, aborted
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS rollout_phase VARCHAR(20);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS traffic_weight INTEGER;
+-- When the rollout last changed phase or weight; canary steps and the blue-green hold count from here
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS rollout_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_deployments_rollout_phase ON deployments(rollout_phase)
+  WHERE rollout_phase IN ('starting', 'canary', 'switched', 'promoting');
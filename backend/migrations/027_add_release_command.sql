@@ -0,0 +1,5 @@
+-- Migration: 027_add_release_command
+-- Description: Per-service release command (e.g. `npm run migrate`), run as a Job in the new
+-- image before each deploy. A non-zero exit fails the deployment before traffic moves.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS release_command TEXT;
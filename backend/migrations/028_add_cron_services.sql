@@ -0,0 +1,48 @@
+-- Migration: 028_add_cron_services
+-- Description: Cron job services. A service with service_type 'cron' is deployed as a
+-- Kubernetes CronJob that runs its image on cron_schedule instead of as a Deployment with
+-- a Service and Ingress, so it has no port. Each run (scheduled or started by hand) is
+-- recorded in cron_runs with its outcome and logs, which outlive the Job itself.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS service_type VARCHAR(20) NOT NULL DEFAULT 'web';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS cron_schedule VARCHAR(100);
+-- Allow, Forbid or Replace: what to do when a run is due while the previous one is still going
+ALTER TABLE services ADD COLUMN IF NOT EXISTS cron_concurrency_policy VARCHAR(10) NOT NULL DEFAULT 'Forbid';
+-- Finished Jobs (and their pods) Kubernetes keeps around; cron_runs keeps its own history
+ALTER TABLE services ADD COLUMN IF NOT EXISTS cron_successful_history INTEGER NOT NULL DEFAULT 3;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS cron_failed_history INTEGER NOT NULL DEFAULT 3;
+
+ALTER TABLE services ALTER COLUMN port DROP NOT NULL;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_service_type_check;
+ALTER TABLE services ADD CONSTRAINT services_service_type_check CHECK (
+  service_type IN ('web', 'cron')
+  AND (service_type <> 'web' OR port IS NOT NULL)
+  AND (service_type <> 'cron' OR cron_schedule IS NOT NULL)
+  AND cron_concurrency_policy IN ('Allow', 'Forbid', 'Replace')
+  AND cron_successful_history BETWEEN 0 AND 10
+  AND cron_failed_history BETWEEN 0 AND 10
+);
+
+CREATE TABLE IF NOT EXISTS cron_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  job_name VARCHAR(63) NOT NULL,
+  trigger VARCHAR(20) NOT NULL DEFAULT 'schedule', -- 'schedule', 'manual'
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'succeeded', 'failed'
+  image_tag TEXT,
+  exit_code INTEGER,
+  failure_reason TEXT,
+  logs TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  UNIQUE(service_id, job_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cron_runs_service_started ON cron_runs(service_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_cron_runs_running ON cron_runs(status) WHERE status = 'running';
+
+-- Failed runs are notified like deployments; a notification belongs to one or the other
+ALTER TABLE notifications ALTER COLUMN deployment_id DROP NOT NULL;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS cron_run_id UUID REFERENCES cron_runs(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_notifications_cron_run_id ON notifications(cron_run_id);
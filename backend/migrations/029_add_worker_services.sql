@@ -0,0 +1,17 @@
+-- Migration: 029_add_worker_services
+-- Description: Background worker services. A service with service_type 'worker' runs as a
+-- Deployment like a web service but has no port, so no Kubernetes Service, Ingress or
+-- HTTP health check is created for it. Its container is restarted when its process exits,
+-- or when liveness_command (run inside the container) fails.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS liveness_command TEXT;
+
+ALTER TABLE services DROP CONSTRAINT IF EXISTS services_service_type_check;
+ALTER TABLE services ADD CONSTRAINT services_service_type_check CHECK (
+  service_type IN ('web', 'worker', 'cron')
+  AND (service_type <> 'web' OR port IS NOT NULL)
+  AND (service_type <> 'cron' OR cron_schedule IS NOT NULL)
+  AND cron_concurrency_policy IN ('Allow', 'Forbid', 'Replace')
+  AND cron_successful_history BETWEEN 0 AND 10
+  AND cron_failed_history BETWEEN 0 AND 10
+);
@@ -0,0 +1,19 @@
+-- Migration: 030_add_exposed_ports
+-- Description: TCP and UDP ports reachable from outside the cluster (databases, MQTT
+-- brokers, game servers). Each row gives one container port of a service a public port
+-- from the EXPOSED_PORT_RANGE pool, served by the Traefik entrypoint named
+-- <protocol>-<public_port>. The unique constraint keeps two services from being given the
+-- same public port.
+
+CREATE TABLE IF NOT EXISTS service_ports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  protocol VARCHAR(3) NOT NULL CHECK (protocol IN ('tcp', 'udp')),
+  container_port INTEGER NOT NULL CHECK (container_port BETWEEN 1 AND 65535),
+  public_port INTEGER NOT NULL CHECK (public_port BETWEEN 1 AND 65535),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (protocol, public_port),
+  UNIQUE (service_id, protocol, container_port)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_ports_service_id ON service_ports(service_id);
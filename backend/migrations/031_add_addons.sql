@@ -0,0 +1,31 @@
+-- Migration: 031_add_addons
+-- Description: Managed database and cache add-ons. An add-on is a PostgreSQL, MySQL or
+-- Redis server run as a single-replica StatefulSet with its own volume in the project's
+-- namespace. Its password is generated on creation and stored encrypted. Services attached
+-- to an add-on get its connection URL as a secret env var (DATABASE_URL or REDIS_URL by
+-- default).
+
+CREATE TABLE IF NOT EXISTS addons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name VARCHAR(40) NOT NULL,
+  engine VARCHAR(20) NOT NULL CHECK (engine IN ('postgres', 'mysql', 'redis')),
+  version VARCHAR(20) NOT NULL,
+  storage_gb INTEGER NOT NULL CHECK (storage_gb BETWEEN 1 AND 10),
+  username VARCHAR(63),
+  password TEXT NOT NULL,
+  database_name VARCHAR(63),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS addon_attachments (
+  addon_id UUID NOT NULL REFERENCES addons(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  env_var VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (addon_id, service_id),
+  UNIQUE (service_id, env_var)
+);
+
+CREATE INDEX IF NOT EXISTS idx_addon_attachments_service_id ON addon_attachments(service_id);
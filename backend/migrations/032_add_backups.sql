@@ -0,0 +1,56 @@
+-- Migration: 032_add_backups
+-- Description: Backups of service volumes (tar archives) and PostgreSQL/MySQL add-ons
+-- (pg_dump/mysqldump) to an S3-compatible bucket, on a schedule or on demand. Backup rows
+-- outlive the service or add-on they were taken from, so its data can be restored into
+-- another one. Restoring a service volume creates a new claim, recorded in
+-- services.storage_claim_name.
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS backup_schedule VARCHAR(10)
+  CHECK (backup_schedule IN ('hourly', 'daily', 'weekly'));
+ALTER TABLE services ADD COLUMN IF NOT EXISTS backup_retention INTEGER NOT NULL DEFAULT 7
+  CHECK (backup_retention BETWEEN 1 AND 90);
+ALTER TABLE services ADD COLUMN IF NOT EXISTS storage_claim_name VARCHAR(253);
+
+ALTER TABLE addons ADD COLUMN IF NOT EXISTS backup_schedule VARCHAR(10)
+  CHECK (backup_schedule IN ('hourly', 'daily', 'weekly'));
+ALTER TABLE addons ADD COLUMN IF NOT EXISTS backup_retention INTEGER NOT NULL DEFAULT 7
+  CHECK (backup_retention BETWEEN 1 AND 90);
+
+CREATE TABLE IF NOT EXISTS backups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  service_id UUID REFERENCES services(id) ON DELETE SET NULL,
+  addon_id UUID REFERENCES addons(id) ON DELETE SET NULL,
+  source_name VARCHAR(63) NOT NULL,
+  method VARCHAR(20) NOT NULL CHECK (method IN ('tar', 'pg_dump', 'mysqldump')),
+  trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+  object_key TEXT NOT NULL,
+  size_bytes BIGINT,
+  job_name VARCHAR(63) NOT NULL,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_backups_project_id ON backups(project_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_backups_service_id ON backups(service_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_backups_addon_id ON backups(addon_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_backups_running ON backups(status) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS backup_restores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  backup_id UUID NOT NULL REFERENCES backups(id) ON DELETE CASCADE,
+  service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+  addon_id UUID REFERENCES addons(id) ON DELETE CASCADE,
+  target_name VARCHAR(63) NOT NULL,
+  claim_name VARCHAR(253),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+  job_name VARCHAR(63) NOT NULL,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_backup_restores_backup_id ON backup_restores(backup_id);
+CREATE INDEX IF NOT EXISTS idx_backup_restores_running ON backup_restores(status) WHERE status = 'running';
@@ -0,0 +1,35 @@
+-- Migration: 033_add_metric_history
+-- Description: Per-service CPU, memory and restart history. The backend samples every
+-- running service's pods (metrics-server usage summed over pods, restarts since the last
+-- sample) into service_metric_samples, rolls them up into 5-minute and hourly buckets, and
+-- prunes each table by age: raw samples after 24 hours, 5-minute buckets after 7 days and
+-- hourly buckets after 90 days.
+
+CREATE TABLE IF NOT EXISTS service_metric_samples (
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  sampled_at TIMESTAMPTZ NOT NULL,
+  cpu_millicores REAL NOT NULL,
+  memory_bytes BIGINT NOT NULL,
+  restarts INTEGER NOT NULL DEFAULT 0,
+  pods INTEGER NOT NULL,
+  PRIMARY KEY (service_id, sampled_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_metric_samples_sampled_at ON service_metric_samples(sampled_at);
+
+CREATE TABLE IF NOT EXISTS service_metric_rollups (
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  resolution VARCHAR(4) NOT NULL CHECK (resolution IN ('5m', '1h')),
+  bucket_start TIMESTAMPTZ NOT NULL,
+  cpu_avg REAL NOT NULL,
+  cpu_max REAL NOT NULL,
+  memory_avg BIGINT NOT NULL,
+  memory_max BIGINT NOT NULL,
+  restarts INTEGER NOT NULL DEFAULT 0,
+  pods_max INTEGER NOT NULL,
+  -- Raw samples behind the bucket, to weight averages when rolling up further
+  samples INTEGER NOT NULL,
+  PRIMARY KEY (service_id, resolution, bucket_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_metric_rollups_bucket ON service_metric_rollups(resolution, bucket_start);
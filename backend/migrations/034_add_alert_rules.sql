@@ -0,0 +1,49 @@
+-- Migration: 034_add_alert_rules
+-- Description: User-defined alert rules on a service, or on every service of a project.
+-- A rule watches one metric (failed health checks in a row, response time p95, CPU or
+-- memory as a percentage of the limit, container restarts) over a window of minutes. While
+-- a rule's condition holds for a service there is one firing alert for the pair; it is
+-- resolved once the condition clears. The project owner is notified through their email
+-- and webhook settings when an alert fires and when it resolves.
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  -- NULL applies the rule to every service of the project
+  service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  metric VARCHAR(20) NOT NULL CHECK (metric IN ('unhealthy', 'response_time', 'cpu', 'memory', 'restarts')),
+  -- Failed checks for unhealthy, milliseconds for response_time, percent of the limit for
+  -- cpu and memory, restarts for restarts
+  threshold REAL NOT NULL CHECK (threshold > 0),
+  duration_minutes INTEGER NOT NULL DEFAULT 5 CHECK (duration_minutes BETWEEN 1 AND 1440),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_project_id ON alert_rules(project_id);
+CREATE INDEX IF NOT EXISTS idx_alert_rules_service_id ON alert_rules(service_id);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id UUID NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('firing', 'resolved')),
+  -- Metric value when the alert fired, in the rule's threshold unit
+  value REAL,
+  message TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+-- At most one firing alert per rule and service
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_firing ON alerts(rule_id, service_id) WHERE status = 'firing';
+CREATE INDEX IF NOT EXISTS idx_alerts_service_id ON alerts(service_id);
+CREATE INDEX IF NOT EXISTS idx_alerts_started_at ON alerts(started_at);
+
+ALTER TABLE notification_settings ADD COLUMN IF NOT EXISTS notify_on_alert BOOLEAN DEFAULT true;
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS alert_id UUID REFERENCES alerts(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_notifications_alert_id ON notifications(alert_id);
@@ -0,0 +1,30 @@
+-- Migration: 035_add_notification_channels
+-- Description: Named notification channels, next to the single webhook and email address of
+-- notification_settings. A channel posts in the native format of its type (Slack incoming
+-- webhook, Discord embed, Microsoft Teams card, ntfy or Gotify push, or the signed JSON
+-- payload of a generic webhook) for the events it is subscribed to. A channel without a
+-- project covers every project its user owns; a channel on a project covers that project
+-- for whoever created it.
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('webhook', 'slack', 'discord', 'teams', 'ntfy', 'gotify')),
+  url TEXT NOT NULL,
+  -- ntfy access token or Gotify application token (encrypted)
+  token TEXT,
+  -- Signing secret of generic webhooks
+  secret VARCHAR(64),
+  events TEXT[] NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_channels_project_id ON notification_channels(project_id);
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS channel_id UUID REFERENCES notification_channels(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_channel_id ON notifications(channel_id);
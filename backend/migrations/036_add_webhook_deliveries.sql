@@ -0,0 +1,54 @@
+-- Migration: 036_add_webhook_deliveries
+-- Description: Outbound delivery queue for the webhook of the notification settings and for
+-- notification channels. A delivery is one notification to one endpoint, retried with
+-- exponential backoff until it gets a 2xx response or runs out of attempts. Every HTTP
+-- request made for it is kept as an attempt, with its request, response and latency, so
+-- failures can be inspected and redelivered.
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  notification_id UUID REFERENCES notifications(id) ON DELETE CASCADE,
+  -- Channel posted to, or NULL for the webhook of the user's notification settings
+  channel_id UUID REFERENCES notification_channels(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  -- JSON rather than JSONB, which would reorder the keys of the bodies sent
+  payload JSON NOT NULL,
+  -- Title, text, level, fields and URL rendered by chat and push channels
+  message JSON,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  -- Why the last attempt failed, including failures before any request was made (e.g. the
+  -- channel was disabled)
+  last_error TEXT,
+  -- When a pending delivery is next tried; pushed ahead while an attempt is in flight
+  next_attempt_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_id ON webhook_deliveries(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_channel_id ON webhook_deliveries(channel_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt INTEGER NOT NULL,
+  -- Made by hand from the dashboard, CLI or API rather than by the retry schedule
+  redelivery BOOLEAN NOT NULL DEFAULT false,
+  request_url TEXT NOT NULL,
+  -- Tokens are redacted
+  request_headers JSONB NOT NULL,
+  request_body TEXT NOT NULL,
+  -- NULL when no response was received
+  response_status INTEGER,
+  response_headers JSONB,
+  response_body TEXT,
+  duration_ms INTEGER NOT NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (delivery_id, attempt)
+);
@@ -0,0 +1,22 @@
+-- Migration: 037_org_projects_follow_org_roles
+-- Description: The creator of a project is only its implicit owner while the project is
+-- outside an organization. Access to organization projects follows the organization role
+-- (and any collaborator role), so a member who leaves the organization loses the projects
+-- they created in it. projects.user_id still records the creator, whose GitHub token is
+-- used for builds.
+
+CREATE OR REPLACE VIEW project_access AS
+  SELECT p.id AS project_id, root.user_id, 'owner'::VARCHAR(20) AS role
+  FROM projects p
+  JOIN projects root ON root.id = COALESCE(p.parent_project_id, p.id)
+  WHERE root.user_id IS NOT NULL
+  AND root.organization_id IS NULL
+  UNION ALL
+  SELECT p.id AS project_id, pm.user_id, pm.role
+  FROM projects p
+  JOIN project_members pm ON pm.project_id IN (p.id, p.parent_project_id)
+  UNION ALL
+  SELECT p.id AS project_id, om.user_id, om.role
+  FROM projects p
+  JOIN projects root ON root.id = COALESCE(p.parent_project_id, p.id)
+  JOIN organization_members om ON om.organization_id = root.organization_id;
@@ -0,0 +1,11 @@
+-- Migration: 038_sync_environment_organizations
+-- Description: Environments belong to the organization of their parent project. Moving a
+-- project between organizations used to leave its environments behind; put them back with
+-- their parent, with the parent's creator.
+
+UPDATE projects env
+SET organization_id = root.organization_id,
+    user_id = root.user_id
+FROM projects root
+WHERE env.parent_project_id = root.id
+AND (env.organization_id IS DISTINCT FROM root.organization_id OR env.user_id IS DISTINCT FROM root.user_id);
@@ -1,4 +1,6 @@
 import fastifyPlugin from 'fastify-plugin';
+import { authenticateApiToken, getRequiredScope, hasScope } from '../services/apiTokens.js';
+import { validateSession } from '../services/sessions.js';
 
 /**
  * Authentication middleware plugin for Fastify
@@ -6,6 +8,14 @@ import fastifyPlugin from 'fastify-plugin';
  * Provides:
  * - fastify.authenticate - preHandler hook to validate session and attach user to request
  *
+ * The session cookie holds a signed session ID. Sessions are stored server-side
+ * and expire after an idle period or an absolute lifetime, whichever comes first.
+ *
+ * Requests are authenticated either by the session cookie or by a
+ * personal access token sent as `Authorization: Bearer <token>`. Token requests
+ * also get request.apiToken ({ id, name, scopes }) and are checked against the
+ * scope the route requires.
+ *
  * @typedef {Object} User
  * @property {number} id - User ID
  * @property {string} github_username - GitHub username
@@ -23,6 +33,11 @@ async function authPlugin(fastify, options) {
    * @param {import('fastify').FastifyReply} reply
    */
   async function authenticate(request, reply) {
+    const authHeader = request.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return authenticateToken(request, reply, authHeader.slice('Bearer '.length).trim());
+    }
+
     const sessionCookie = request.cookies.session;
 
     if (!sessionCookie) {
@@ -42,24 +57,22 @@ async function authPlugin(fastify, options) {
       });
     }
 
-    const userId = unsignedCookie.value;
+    const sessionId = unsignedCookie.value;
 
     try {
-      const result = await fastify.db.query(
-        'SELECT id, github_username, hash, created_at FROM users WHERE id = $1',
-        [userId]
-      );
+      const result = await validateSession(fastify.db, sessionId);
 
-      if (result.rows.length === 0) {
+      if (result.error) {
         reply.clearCookie('session', { path: '/' });
         return reply.code(401).send({
           error: 'Unauthorized',
-          message: 'User not found',
+          message: result.error,
         });
       }
 
-      // Attach user to request
-      request.user = result.rows[0];
+      // Attach user and session to request
+      request.user = result.user;
+      request.session = result.session;
     } catch (err) {
       fastify.log.error(`Authentication error: ${err.message}`);
       return reply.code(500).send({
@@ -69,6 +82,50 @@ async function authPlugin(fastify, options) {
     }
   }
 
+  /**
+   * Authenticate a request made with a personal access token
+   *
+   * @param {import('fastify').FastifyRequest} request
+   * @param {import('fastify').FastifyReply} reply
+   * @param {string} token - Plaintext bearer token
+   */
+  async function authenticateToken(request, reply, token) {
+    const requiredScope = getRequiredScope(request.method, request.url);
+    if (!requiredScope) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'This endpoint requires a browser session',
+      });
+    }
+
+    try {
+      const result = await authenticateApiToken(fastify.db, token);
+
+      if (!result) {
+        return reply.code(401).send({
+          error: 'Unauthorized',
+          message: 'Invalid or expired token',
+        });
+      }
+
+      if (!hasScope(result.token.scopes, requiredScope)) {
+        return reply.code(403).send({
+          error: 'Forbidden',
+          message: `Token is missing required scope: ${requiredScope}`,
+        });
+      }
+
+      request.user = result.user;
+      request.apiToken = result.token;
+    } catch (err) {
+      fastify.log.error(`Token authentication error: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Authentication failed',
+      });
+    }
+  }
+
   // Decorate fastify with authenticate hook
   fastify.decorate('authenticate', authenticate);
 }
@@ -3,6 +3,7 @@ import wsManager from '../services/websocket-manager.js';
 import appEvents from '../services/event-emitter.js';
 import logger from '../services/logger.js';
 import { registerService, unregisterService } from '../services/metricsCollector.js';
+import { authorizeChannel } from '../services/permissions.js';
 
 /**
  * WebSocket Hub Plugin
@@ -20,77 +21,9 @@ async function websocketHubPlugin(fastify, options) {
    * @returns {Promise<boolean>} Whether authorized
    */
   async function authorizeSubscription(userId, channel) {
-    const parts = channel.split(':');
-    if (parts.length < 2) return false;
-
-    const [resourceType, resourceId] = parts;
-
     try {
-      switch (resourceType) {
-        case 'deployment': {
-          // Verify user owns the deployment's service's project
-          const result = await db.query(
-            `SELECT 1 FROM deployments d
-             JOIN services s ON d.service_id = s.id
-             JOIN projects p ON s.project_id = p.id
-             WHERE d.id = $1 AND p.user_id = $2`,
-            [resourceId, userId]
-          );
-          return result.rows.length > 0;
-        }
-
-        case 'service': {
-          // Verify user owns the service's project
-          const result = await db.query(
-            `SELECT 1 FROM services s
-             JOIN projects p ON s.project_id = p.id
-             WHERE s.id = $1 AND p.user_id = $2`,
-            [resourceId, userId]
-          );
-          return result.rows.length > 0;
-        }
-
-        case 'project': {
-          // Verify user owns the project
-          const result = await db.query(
-            `SELECT 1 FROM projects WHERE id = $1 AND user_id = $2`,
-            [resourceId, userId]
-          );
-          return result.rows.length > 0;
-        }
-
-        case 'domain': {
-          // Verify user owns the domain's service's project
-          const result = await db.query(
-            `SELECT 1 FROM domains d
-             JOIN services s ON d.service_id = s.id
-             JOIN projects p ON s.project_id = p.id
-             WHERE d.id = $1 AND p.user_id = $2`,
-            [resourceId, userId]
-          );
-          return result.rows.length > 0;
-        }
-
-        case 'user': {
-          // Can only subscribe to own notifications
-          return resourceId === userId;
-        }
-
-        case 'debug': {
-          // Verify user owns the debug session's service's project
-          const result = await db.query(
-            `SELECT 1 FROM debug_sessions ds
-             JOIN services s ON ds.service_id = s.id
-             JOIN projects p ON s.project_id = p.id
-             WHERE ds.id = $1 AND p.user_id = $2`,
-            [resourceId, userId]
-          );
-          return result.rows.length > 0;
-        }
-
-        default:
-          return false;
-      }
+      // Same project permission check as the REST routes (view access)
+      return await authorizeChannel(db, userId, channel);
     } catch (err) {
       logger.error('Authorization check failed', { userId, channel, error: err.message });
       return false;
@@ -0,0 +1,423 @@
+import { authorizeProject, authorizeAddon } from '../services/permissions.js';
+import { syncServiceEnv } from '../services/serviceEnv.js';
+import {
+  ADDON_ENGINES,
+  getConnectionInfo,
+  getConnectionUrl,
+  getAddonStatus,
+  insertAddon,
+  provisionAddon,
+  deleteAddonResources,
+} from '../services/addons.js';
+import { decrypt } from '../services/encryption.js';
+
+const NAME_REGEX = /^[a-z][a-z0-9-]*[a-z0-9]$|^[a-z]$/;
+const NAME_MAX_LENGTH = 40;
+const ENV_VAR_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function validateAddonName(name) {
+  const trimmedName = name.trim();
+
+  if (trimmedName.length === 0 || trimmedName.length > NAME_MAX_LENGTH) {
+    return { valid: false, error: `Name must be between 1 and ${NAME_MAX_LENGTH} characters` };
+  }
+
+  if (!NAME_REGEX.test(trimmedName) || trimmedName.includes('--')) {
+    return { valid: false, error: 'Name must be lowercase, start with a letter, and contain only alphanumeric characters and single hyphens' };
+  }
+
+  return { valid: true, name: trimmedName };
+}
+
+/**
+ * Shape an addons row for the API. The password is only returned by the credentials route.
+ */
+function formatAddon(addon, extra = {}) {
+  const engine = ADDON_ENGINES[addon.engine];
+  return {
+    id: addon.id,
+    name: addon.name,
+    engine: addon.engine,
+    engine_label: engine.label,
+    version: addon.version,
+    storage_gb: addon.storage_gb,
+    env_var: engine.envVar,
+    connection: getConnectionInfo(addon),
+    created_at: addon.created_at,
+    ...extra,
+  };
+}
+
+export default async function addonRoutes(fastify, options) {
+  const projectParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const addonParamsSchema = projectParamsSchema;
+
+  const attachmentParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id', 'serviceId'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        serviceId: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const createAddonSchema = {
+    body: {
+      type: 'object',
+      required: ['name', 'engine'],
+      properties: {
+        name: { type: 'string' },
+        engine: { type: 'string', enum: Object.keys(ADDON_ENGINES) },
+        version: { type: 'string' },
+        storage_gb: { type: 'integer', minimum: 1, maximum: 10 },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  const attachSchema = {
+    body: {
+      type: 'object',
+      required: ['service_id'],
+      properties: {
+        service_id: { type: 'string', format: 'uuid' },
+        env_var: { type: 'string', maxLength: 255 },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  /**
+   * Check access to an add-on
+   * @returns {Promise<object|null>} Add-on, or null once an error reply has been sent
+   */
+  async function authorize(request, reply, action) {
+    const accessCheck = await authorizeAddon(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+    return accessCheck.addon;
+  }
+
+  /**
+   * Re-render an attached service's env so its pods get (or lose) an add-on URL.
+   * The attachment is saved either way; the next deploy renders the env too.
+   */
+  async function syncAttachedService(service, namespace) {
+    try {
+      await syncServiceEnv(fastify.db, service, namespace);
+    } catch (err) {
+      fastify.log.warn(`Failed to update env of ${service.name}: ${err.message}`);
+    }
+  }
+
+  /**
+   * GET /projects/:id/addons
+   * List a project's add-ons with their status, data size and attached services
+   */
+  fastify.get('/projects/:id/addons', { schema: projectParamsSchema }, async (request, reply) => {
+    const accessCheck = await authorizeProject(fastify.db, request.params.id, request.user.id, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    const { project } = accessCheck;
+
+    try {
+      const addonsResult = await fastify.db.query(
+        'SELECT * FROM addons WHERE project_id = $1 ORDER BY created_at ASC',
+        [project.id]
+      );
+      const attachmentsResult = await fastify.db.query(
+        `SELECT aa.addon_id, aa.env_var, s.id AS service_id, s.name AS service_name
+         FROM addon_attachments aa
+         JOIN addons a ON a.id = aa.addon_id
+         JOIN services s ON s.id = aa.service_id
+         WHERE a.project_id = $1
+         ORDER BY s.name`,
+        [project.id]
+      );
+
+      const addons = [];
+      for (const row of addonsResult.rows) {
+        const addon = { ...row, project_name: project.name };
+        let status;
+        try {
+          status = await getAddonStatus(project.name, addon);
+        } catch (err) {
+          fastify.log.warn(`Failed to get status of add-on ${addon.name}: ${err.message}`);
+          status = { status: 'unknown', used_bytes: null, capacity_bytes: null };
+        }
+
+        addons.push(formatAddon(addon, {
+          ...status,
+          attachments: attachmentsResult.rows
+            .filter(a => a.addon_id === addon.id)
+            .map(({ service_id, service_name, env_var }) => ({ service_id, service_name, env_var })),
+        }));
+      }
+
+      const engines = Object.entries(ADDON_ENGINES).map(([id, engine]) => ({
+        id,
+        label: engine.label,
+        versions: engine.versions,
+        env_var: engine.envVar,
+        backups: Boolean(engine.backup),
+      }));
+
+      return { addons, engines };
+    } catch (err) {
+      fastify.log.error(`Failed to list add-ons: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list add-ons',
+      });
+    }
+  });
+
+  /**
+   * POST /projects/:id/addons
+   * Create a database or cache add-on with generated credentials
+   */
+  fastify.post('/projects/:id/addons', {
+    schema: { ...projectParamsSchema, ...createAddonSchema },
+  }, async (request, reply) => {
+    const { engine, storage_gb: storageGb = 1 } = request.body;
+
+    const accessCheck = await authorizeProject(fastify.db, request.params.id, request.user.id, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    const { project } = accessCheck;
+
+    const nameValidation = validateAddonName(request.body.name);
+    if (!nameValidation.valid) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: nameValidation.error,
+      });
+    }
+
+    const { versions } = ADDON_ENGINES[engine];
+    const version = request.body.version || versions[0];
+    if (!versions.includes(version)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `Version must be one of: ${versions.join(', ')}`,
+      });
+    }
+
+    let addon;
+    try {
+      addon = await insertAddon(fastify.db, project.id, {
+        name: nameValidation.name,
+        engine,
+        version,
+        storageGb,
+      });
+    } catch (err) {
+      if (err.code === '23505') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `An add-on named "${nameValidation.name}" already exists in this project`,
+        });
+      }
+      fastify.log.error(`Failed to create add-on: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create add-on',
+      });
+    }
+
+    try {
+      await provisionAddon(project.name, addon);
+    } catch (err) {
+      fastify.log.error(`Failed to provision add-on ${addon.name}: ${err.message}`);
+      await deleteAddonResources(project.name, addon).catch(() => {});
+      await fastify.db.query('DELETE FROM addons WHERE id = $1', [addon.id]);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create add-on in Kubernetes',
+      });
+    }
+
+    fastify.log.info(`Created ${engine} add-on ${addon.name} in ${project.name}`);
+    return reply.code(201).send(formatAddon({ ...addon, project_name: project.name }, {
+      status: 'starting',
+      used_bytes: null,
+      capacity_bytes: null,
+      attachments: [],
+    }));
+  });
+
+  /**
+   * GET /addons/:id/credentials
+   * Reveal an add-on's password and connection URL
+   */
+  fastify.get('/addons/:id/credentials', { schema: addonParamsSchema }, async (request, reply) => {
+    const addon = await authorize(request, reply, 'write');
+    if (!addon) {
+      return;
+    }
+
+    return {
+      ...getConnectionInfo(addon),
+      password: decrypt(addon.password),
+      url: getConnectionUrl(addon),
+    };
+  });
+
+  /**
+   * DELETE /addons/:id
+   * Delete an add-on and its data. Services must be detached first.
+   */
+  fastify.delete('/addons/:id', { schema: addonParamsSchema }, async (request, reply) => {
+    const addon = await authorize(request, reply, 'write');
+    if (!addon) {
+      return;
+    }
+
+    const attached = await fastify.db.query(
+      `SELECT s.name FROM addon_attachments aa
+       JOIN services s ON s.id = aa.service_id
+       WHERE aa.addon_id = $1
+       ORDER BY s.name`,
+      [addon.id]
+    );
+    if (attached.rows.length > 0) {
+      return reply.code(409).send({
+        error: 'Conflict',
+        message: `Detach ${attached.rows.map(r => r.name).join(', ')} before deleting this add-on`,
+      });
+    }
+
+    try {
+      await deleteAddonResources(addon.project_name, addon);
+      await fastify.db.query('DELETE FROM addons WHERE id = $1', [addon.id]);
+      fastify.log.info(`Deleted add-on ${addon.name} in ${addon.project_name}`);
+      return { success: true, message: 'Add-on deleted' };
+    } catch (err) {
+      fastify.log.error(`Failed to delete add-on: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete add-on',
+      });
+    }
+  });
+
+  /**
+   * POST /addons/:id/attachments
+   * Attach a service of the same project; its pods get the add-on's connection URL
+   */
+  fastify.post('/addons/:id/attachments', {
+    schema: { ...addonParamsSchema, ...attachSchema },
+  }, async (request, reply) => {
+    const addon = await authorize(request, reply, 'write');
+    if (!addon) {
+      return;
+    }
+
+    const envVar = request.body.env_var?.trim() || ADDON_ENGINES[addon.engine].envVar;
+    if (!ENV_VAR_REGEX.test(envVar)) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Variable name must contain only letters, digits and underscores, and not start with a digit',
+      });
+    }
+
+    const serviceResult = await fastify.db.query(
+      'SELECT id, name, service_type FROM services WHERE id = $1 AND project_id = $2 AND preview_id IS NULL',
+      [request.body.service_id, addon.project_id]
+    );
+    if (serviceResult.rows.length === 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Service not found in this project',
+      });
+    }
+
+    const service = serviceResult.rows[0];
+
+    try {
+      await fastify.db.query(
+        'INSERT INTO addon_attachments (addon_id, service_id, env_var) VALUES ($1, $2, $3)',
+        [addon.id, service.id, envVar]
+      );
+    } catch (err) {
+      if (err.code === '23505') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: err.constraint === 'addon_attachments_pkey'
+            ? `${service.name} is already attached to ${addon.name}`
+            : `${service.name} already gets ${envVar} from another add-on`,
+        });
+      }
+      fastify.log.error(`Failed to attach add-on: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to attach add-on',
+      });
+    }
+
+    await syncAttachedService(service, addon.project_name);
+
+    fastify.log.info(`Attached add-on ${addon.name} to ${service.name} as ${envVar}`);
+    return reply.code(201).send({
+      service_id: service.id,
+      service_name: service.name,
+      env_var: envVar,
+    });
+  });
+
+  /**
+   * DELETE /addons/:id/attachments/:serviceId
+   * Detach a service; its pods lose the add-on's connection URL
+   */
+  fastify.delete('/addons/:id/attachments/:serviceId', { schema: attachmentParamsSchema }, async (request, reply) => {
+    const addon = await authorize(request, reply, 'write');
+    if (!addon) {
+      return;
+    }
+
+    const result = await fastify.db.query(
+      `DELETE FROM addon_attachments aa
+       USING services s
+       WHERE aa.addon_id = $1 AND aa.service_id = $2 AND s.id = aa.service_id
+       RETURNING s.id, s.name`,
+      [addon.id, request.params.serviceId]
+    );
+    if (result.rows.length === 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Service is not attached to this add-on',
+      });
+    }
+
+    await syncAttachedService(result.rows[0], addon.project_name);
+
+    fastify.log.info(`Detached add-on ${addon.name} from ${result.rows[0].name}`);
+    return { success: true, message: 'Service detached' };
+  });
+}
@@ -0,0 +1,316 @@
+import { authorizeProject, authorizeAlertRule } from '../services/permissions.js';
+import { ALERT_METRICS, validateThreshold, resolveRuleAlerts } from '../services/alerts.js';
+
+/**
+ * Shape an alert_rules row for the API
+ */
+function formatRule(rule) {
+  return {
+    id: rule.id,
+    project_id: rule.project_id,
+    service_id: rule.service_id,
+    service_name: rule.service_name || null,
+    name: rule.name,
+    metric: rule.metric,
+    threshold: rule.threshold,
+    duration_minutes: rule.duration_minutes,
+    enabled: rule.enabled,
+    firing: Number(rule.firing || 0),
+    created_at: rule.created_at,
+    updated_at: rule.updated_at,
+  };
+}
+
+/**
+ * Shape an alerts row for the API
+ */
+function formatAlert(alert) {
+  return {
+    id: alert.id,
+    rule_id: alert.rule_id,
+    rule_name: alert.rule_name,
+    metric: alert.metric,
+    service_id: alert.service_id,
+    service_name: alert.service_name,
+    status: alert.status,
+    value: alert.value,
+    message: alert.message,
+    started_at: alert.started_at,
+    resolved_at: alert.resolved_at,
+  };
+}
+
+export default async function alertRoutes(fastify, options) {
+  const idParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const createRuleSchema = {
+    body: {
+      type: 'object',
+      required: ['name', 'metric', 'threshold'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        service_id: { type: ['string', 'null'], format: 'uuid' },
+        metric: { type: 'string', enum: Object.keys(ALERT_METRICS) },
+        threshold: { type: 'number' },
+        duration_minutes: { type: 'integer', minimum: 1, maximum: 1440 },
+        enabled: { type: 'boolean' },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  const updateRuleSchema = {
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        threshold: { type: 'number' },
+        duration_minutes: { type: 'integer', minimum: 1, maximum: 1440 },
+        enabled: { type: 'boolean' },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  const alertsQuerySchema = {
+    querystring: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['firing', 'resolved'] },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      },
+    },
+  };
+
+  /**
+   * Check access to a project
+   * @returns {Promise<object|null>} Project, or null once an error reply has been sent
+   */
+  async function authorizeProjectRequest(request, reply, action) {
+    const accessCheck = await authorizeProject(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+    return accessCheck.project;
+  }
+
+  /**
+   * Check access to an alert rule
+   * @returns {Promise<object|null>} Rule, or null once an error reply has been sent
+   */
+  async function authorize(request, reply, action) {
+    const accessCheck = await authorizeAlertRule(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+    return accessCheck.rule;
+  }
+
+  /**
+   * Load a rule with its service name and number of firing alerts
+   */
+  async function loadRule(ruleId) {
+    const result = await fastify.db.query(
+      `SELECT r.*, s.name AS service_name,
+              (SELECT COUNT(*) FROM alerts a WHERE a.rule_id = r.id AND a.status = 'firing') AS firing
+       FROM alert_rules r
+       LEFT JOIN services s ON r.service_id = s.id
+       WHERE r.id = $1`,
+      [ruleId]
+    );
+    return formatRule(result.rows[0]);
+  }
+
+  /**
+   * GET /projects/:id/alert-rules
+   * List a project's alert rules with how many services each is firing for
+   */
+  fastify.get('/projects/:id/alert-rules', { schema: idParamsSchema }, async (request, reply) => {
+    const project = await authorizeProjectRequest(request, reply, 'view');
+    if (!project) {
+      return;
+    }
+
+    const result = await fastify.db.query(
+      `SELECT r.*, s.name AS service_name,
+              (SELECT COUNT(*) FROM alerts a WHERE a.rule_id = r.id AND a.status = 'firing') AS firing
+       FROM alert_rules r
+       LEFT JOIN services s ON r.service_id = s.id
+       WHERE r.project_id = $1
+       ORDER BY r.created_at ASC`,
+      [project.id]
+    );
+
+    return { rules: result.rows.map(formatRule) };
+  });
+
+  /**
+   * POST /projects/:id/alert-rules
+   * Create an alert rule on one service, or on every service of the project when
+   * service_id is left out
+   */
+  fastify.post('/projects/:id/alert-rules', {
+    schema: { ...idParamsSchema, ...createRuleSchema },
+  }, async (request, reply) => {
+    const project = await authorizeProjectRequest(request, reply, 'write');
+    if (!project) {
+      return;
+    }
+
+    const { name, service_id, metric, threshold, duration_minutes = 5, enabled = true } = request.body;
+
+    if (!name.trim()) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Name is required',
+      });
+    }
+
+    const thresholdError = validateThreshold(metric, threshold);
+    if (thresholdError) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: thresholdError,
+      });
+    }
+
+    if (service_id) {
+      const service = await fastify.db.query(
+        'SELECT service_type FROM services WHERE id = $1 AND project_id = $2',
+        [service_id, project.id]
+      );
+      if (service.rows.length === 0) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Service not found in this project',
+        });
+      }
+      if (service.rows[0].service_type === 'cron') {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Cron services have no health checks or running pods to alert on',
+        });
+      }
+    }
+
+    const result = await fastify.db.query(
+      `INSERT INTO alert_rules (project_id, service_id, name, metric, threshold, duration_minutes, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [project.id, service_id || null, name.trim(), metric, threshold, duration_minutes, enabled, request.user.id]
+    );
+
+    fastify.log.info(`Created alert rule "${name}" in project ${project.name}`);
+    return reply.code(201).send(await loadRule(result.rows[0].id));
+  });
+
+  /**
+   * PATCH /alert-rules/:id
+   * Rename a rule, change its threshold or window, or enable or disable it. Disabling a
+   * rule resolves its firing alerts without notifying.
+   */
+  fastify.patch('/alert-rules/:id', {
+    schema: { ...idParamsSchema, ...updateRuleSchema },
+  }, async (request, reply) => {
+    const rule = await authorize(request, reply, 'write');
+    if (!rule) {
+      return;
+    }
+
+    const { name, threshold, duration_minutes, enabled } = request.body;
+
+    if (name !== undefined && !name.trim()) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Name is required',
+      });
+    }
+
+    if (threshold !== undefined) {
+      const thresholdError = validateThreshold(rule.metric, threshold);
+      if (thresholdError) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: thresholdError,
+        });
+      }
+    }
+
+    await fastify.db.query(
+      `UPDATE alert_rules SET
+        name = COALESCE($2, name),
+        threshold = COALESCE($3, threshold),
+        duration_minutes = COALESCE($4, duration_minutes),
+        enabled = COALESCE($5, enabled),
+        updated_at = NOW()
+       WHERE id = $1`,
+      [rule.id, name?.trim(), threshold, duration_minutes, enabled]
+    );
+
+    if (enabled === false) {
+      await resolveRuleAlerts(fastify.db, rule.id);
+    }
+
+    return loadRule(rule.id);
+  });
+
+  /**
+   * DELETE /alert-rules/:id
+   * Delete an alert rule and its alert history
+   */
+  fastify.delete('/alert-rules/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const rule = await authorize(request, reply, 'write');
+    if (!rule) {
+      return;
+    }
+
+    await fastify.db.query('DELETE FROM alert_rules WHERE id = $1', [rule.id]);
+
+    fastify.log.info(`Deleted alert rule "${rule.name}" in project ${rule.project_name}`);
+    return { success: true, message: 'Alert rule deleted' };
+  });
+
+  /**
+   * GET /projects/:id/alerts
+   * A project's alerts, firing first and then newest first
+   */
+  fastify.get('/projects/:id/alerts', {
+    schema: { ...idParamsSchema, ...alertsQuerySchema },
+  }, async (request, reply) => {
+    const project = await authorizeProjectRequest(request, reply, 'view');
+    if (!project) {
+      return;
+    }
+
+    const { status, limit = 20 } = request.query;
+
+    const result = await fastify.db.query(
+      `SELECT a.*, r.name AS rule_name, r.metric, s.name AS service_name
+       FROM alerts a
+       JOIN alert_rules r ON a.rule_id = r.id
+       JOIN services s ON a.service_id = s.id
+       WHERE r.project_id = $1 AND ($2::text IS NULL OR a.status = $2)
+       ORDER BY a.status = 'firing' DESC, a.started_at DESC
+       LIMIT $3`,
+      [project.id, status || null, limit]
+    );
+
+    return { alerts: result.rows.map(formatAlert) };
+  });
+}
@@ -1,5 +1,13 @@
 import crypto from 'crypto';
 import { encrypt, generateUserHash } from '../services/encryption.js';
+import {
+  createSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  SESSION_MAX_AGE_SECONDS,
+} from '../services/sessions.js';
+import { deleteUserAccount, getAccountDeletionBlocker } from '../services/accountService.js';
 
 const GITHUB_OAUTH_URL = 'https://github.com/login/oauth/authorize';
 const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
@@ -187,10 +195,15 @@ export default async function authRoutes(fastify, options) {
         fastify.log.info(`User created: ${githubUser.login} (${userId})`);
       }
 
-      // Set session cookie
-      reply.setCookie('session', userId, getCookieOptions({
+      // Create server-side session and set session cookie
+      const session = await createSession(fastify.db, userId, {
+        userAgent: request.headers['user-agent'],
+        ipAddress: request.ip,
+      });
+
+      reply.setCookie('session', session.id, getCookieOptions({
         signed: true,
-        maxAge: 60 * 60 * 24 * 7, // 7 days
+        maxAge: SESSION_MAX_AGE_SECONDS,
       }));
 
       // Redirect to frontend home page
@@ -203,66 +216,160 @@ export default async function authRoutes(fastify, options) {
 
   /**
    * GET /auth/me
-   * Get current authenticated user
+   * Get current authenticated user (session cookie or API token)
    */
   fastify.get('/auth/me', async (request, reply) => {
-    const sessionCookie = request.cookies.session;
+    const user = request.user;
+    return {
+      id: user.id,
+      github_username: user.github_username,
+      hash: user.hash,
+      created_at: user.created_at,
+    };
+  });
 
-    if (!sessionCookie) {
-      return reply.code(401).send({
-        error: 'Unauthorized',
-        message: 'No session found',
-      });
+  /**
+   * POST /auth/logout
+   * Revoke the current session and clear the cookie
+   */
+  fastify.post('/auth/logout', async (request, reply) => {
+    try {
+      await revokeSession(fastify.db, request.user.id, request.session.id);
+    } catch (err) {
+      fastify.log.error(`Failed to revoke session: ${err.message}`);
     }
 
-    // Verify signed cookie
-    const unsignedCookie = request.unsignCookie(sessionCookie);
-    if (!unsignedCookie.valid || !unsignedCookie.value) {
+    reply.clearCookie('session', getCookieOptions());
+    return { success: true, message: 'Logged out successfully' };
+  });
+
+  /**
+   * POST /auth/logout-all
+   * Revoke every session for the current user, including this one
+   */
+  fastify.post('/auth/logout-all', async (request, reply) => {
+    try {
+      const revoked = await revokeAllSessions(fastify.db, request.user.id);
+      fastify.log.info(`Revoked ${revoked} sessions for user ${request.user.id}`);
+
       reply.clearCookie('session', getCookieOptions());
-      return reply.code(401).send({
-        error: 'Unauthorized',
-        message: 'Invalid session',
+      return { success: true, message: 'Logged out from all devices', revoked };
+    } catch (err) {
+      fastify.log.error(`Failed to revoke sessions: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to logout from all devices',
       });
     }
+  });
 
-    const userId = unsignedCookie.value;
+  /**
+   * GET /auth/sessions
+   * List active sessions for the current user
+   */
+  fastify.get('/auth/sessions', async (request, reply) => {
+    try {
+      const sessions = await listSessions(fastify.db, request.user.id);
+      return {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === request.session.id,
+        })),
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to list sessions: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list sessions',
+      });
+    }
+  });
 
+  /**
+   * DELETE /auth/sessions/:id
+   * Revoke a single session
+   */
+  fastify.delete('/auth/sessions/:id', {
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+        },
+      },
+    },
+  }, async (request, reply) => {
     try {
-      const result = await fastify.db.query(
-        'SELECT id, github_username, hash, created_at FROM users WHERE id = $1',
-        [userId]
-      );
+      const revoked = await revokeSession(fastify.db, request.user.id, request.params.id);
 
-      if (result.rows.length === 0) {
-        reply.clearCookie('session', getCookieOptions());
-        return reply.code(401).send({
-          error: 'Unauthorized',
-          message: 'User not found',
+      if (!revoked) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Session not found',
         });
       }
 
-      const user = result.rows[0];
-      return {
-        id: user.id,
-        github_username: user.github_username,
-        hash: user.hash,
-        created_at: user.created_at,
-      };
+      if (request.params.id === request.session.id) {
+        reply.clearCookie('session', getCookieOptions());
+      }
+
+      return { success: true, message: 'Session revoked successfully' };
     } catch (err) {
-      fastify.log.error(`Error fetching user: ${err.message}`);
+      fastify.log.error(`Failed to revoke session: ${err.message}`);
       return reply.code(500).send({
         error: 'Internal Server Error',
-        message: 'Failed to fetch user',
+        message: 'Failed to revoke session',
       });
     }
   });
 
   /**
-   * POST /auth/logout
-   * Clear session and log out user
+   * DELETE /auth/account
+   * Permanently delete the current user, their namespaces, images, backups and data
    */
-  fastify.post('/auth/logout', async (request, reply) => {
-    reply.clearCookie('session', getCookieOptions());
-    return { success: true, message: 'Logged out successfully' };
+  fastify.delete('/auth/account', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['confirm'],
+        properties: {
+          confirm: { type: 'string', const: 'DELETE' },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const blocker = await getAccountDeletionBlocker(fastify.db, userId);
+      if (blocker) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: blocker,
+        });
+      }
+
+      const summary = await deleteUserAccount(fastify.db, userId);
+
+      fastify.log.info(`Deleted account ${request.user.github_username} (${userId})`);
+
+      reply.clearCookie('session', getCookieOptions());
+      return {
+        success: true,
+        message: 'Account deleted successfully',
+        projects_deleted: summary.projects,
+        projects_transferred: summary.transferredProjects,
+        backups_deleted: summary.backups,
+        harbor_repositories_deleted: summary.harborRepositories,
+        warnings: summary.errors,
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to delete account: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete account',
+      });
+    }
   });
 }
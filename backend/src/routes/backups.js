@@ -0,0 +1,538 @@
+import { authorizeProject, authorizeService, authorizeAddon, authorizeBackup } from '../services/permissions.js';
+import { ADDON_ENGINES } from '../services/addons.js';
+import { isBackupStorageConfigured } from '../services/objectStorage.js';
+import {
+  BACKUP_SCHEDULES,
+  MAX_BACKUP_RETENTION,
+  canBackUpAddon,
+  startServiceBackup,
+  startAddonBackup,
+  startServiceRestore,
+  startAddonRestore,
+  deleteBackup,
+  listReplacedClaims,
+  deleteReplacedClaim,
+} from '../services/backups.js';
+
+/**
+ * Shape a backups row for the API
+ */
+function formatBackup(backup) {
+  return {
+    id: backup.id,
+    service_id: backup.service_id,
+    addon_id: backup.addon_id,
+    source_name: backup.source_name,
+    method: backup.method,
+    trigger: backup.trigger,
+    status: backup.status,
+    object_key: backup.object_key,
+    // BIGINT comes back from pg as a string
+    size_bytes: backup.size_bytes != null ? Number(backup.size_bytes) : null,
+    error: backup.error,
+    started_at: backup.started_at,
+    finished_at: backup.finished_at,
+  };
+}
+
+/**
+ * Shape a backup_restores row for the API
+ */
+function formatRestore(restore) {
+  return {
+    id: restore.id,
+    backup_id: restore.backup_id,
+    service_id: restore.service_id,
+    addon_id: restore.addon_id,
+    target_name: restore.target_name,
+    status: restore.status,
+    error: restore.error,
+    started_at: restore.started_at,
+    finished_at: restore.finished_at,
+  };
+}
+
+// Services and add-ons have the same backup routes
+const SOURCES = {
+  services: {
+    authorize: (db, id, userId, action) => authorizeService(db, id, userId, action).then(r => ({ ...r, source: r.service })),
+    column: 'service_id',
+    table: 'services',
+    start: startServiceBackup,
+  },
+  addons: {
+    authorize: (db, id, userId, action) => authorizeAddon(db, id, userId, action).then(r => ({ ...r, source: r.addon })),
+    column: 'addon_id',
+    table: 'addons',
+    start: startAddonBackup,
+  },
+};
+
+/**
+ * Why a service or add-on can't be backed up
+ * @param {string} kind - services | addons
+ * @param {object} source - Service or addons row
+ * @returns {string|null}
+ */
+function describeUnbackable(kind, source) {
+  if (kind === 'services') {
+    return source.storage_gb ? null : 'This service has no persistent storage to back up';
+  }
+  return canBackUpAddon(source) ? null : `${ADDON_ENGINES[source.engine].label} add-ons are caches and are not backed up`;
+}
+
+export default async function backupRoutes(fastify, options) {
+  const idParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const policySchema = {
+    body: {
+      type: 'object',
+      properties: {
+        schedule: { type: ['string', 'null'], enum: [...BACKUP_SCHEDULES, null] },
+        retention: { type: 'integer', minimum: 1, maximum: MAX_BACKUP_RETENTION },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  const restoreSchema = {
+    body: {
+      type: 'object',
+      properties: {
+        service_id: { type: 'string', format: 'uuid' },
+        addon_id: { type: 'string', format: 'uuid' },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  /**
+   * Reply 400 if no bucket is configured
+   * @returns {boolean} Whether backups are available
+   */
+  function requireStorage(reply) {
+    if (isBackupStorageConfigured()) {
+      return true;
+    }
+    reply.code(400).send({
+      error: 'Bad Request',
+      message: 'Backups are not configured on this server',
+    });
+    return false;
+  }
+
+  /**
+   * Check access to a service or add-on
+   * @returns {Promise<object|null>} Service or addons row (with project_name), or null once
+   *   an error reply has been sent
+   */
+  async function authorizeSource(kind, request, reply, action) {
+    const accessCheck = await SOURCES[kind].authorize(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+    return accessCheck.source;
+  }
+
+  for (const [kind, source] of Object.entries(SOURCES)) {
+    /**
+     * GET /services/:id/backups, GET /addons/:id/backups
+     * Backup schedule, backups (newest first) and restores, and for a service the volumes
+     * restores replaced
+     */
+    fastify.get(`/${kind}/:id/backups`, { schema: idParamsSchema }, async (request, reply) => {
+      const row = await authorizeSource(kind, request, reply, 'view');
+      if (!row) {
+        return;
+      }
+
+      try {
+        const backups = await fastify.db.query(
+          `SELECT * FROM backups WHERE ${source.column} = $1 ORDER BY started_at DESC`,
+          [row.id]
+        );
+        const restores = await fastify.db.query(
+          `SELECT * FROM backup_restores WHERE ${source.column} = $1 ORDER BY started_at DESC LIMIT 10`,
+          [row.id]
+        );
+
+        let previousVolumes = [];
+        if (kind === 'services' && row.storage_gb) {
+          try {
+            previousVolumes = await listReplacedClaims(row);
+          } catch (err) {
+            fastify.log.warn(`Failed to list replaced volumes of ${row.name}: ${err.message}`);
+          }
+        }
+
+        return {
+          enabled: isBackupStorageConfigured(),
+          unavailable_reason: describeUnbackable(kind, row),
+          schedule: row.backup_schedule,
+          retention: row.backup_retention,
+          backups: backups.rows.map(formatBackup),
+          restores: restores.rows.map(formatRestore),
+          previous_volumes: previousVolumes,
+        };
+      } catch (err) {
+        fastify.log.error(`Failed to list backups: ${err.message}`);
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to list backups',
+        });
+      }
+    });
+
+    /**
+     * PATCH /services/:id/backup-policy, PATCH /addons/:id/backup-policy
+     * Set the backup schedule (hourly, daily, weekly or null for none) and how many
+     * scheduled backups to keep
+     */
+    fastify.patch(`/${kind}/:id/backup-policy`, {
+      schema: { ...idParamsSchema, ...policySchema },
+    }, async (request, reply) => {
+      const row = await authorizeSource(kind, request, reply, 'write');
+      if (!row) {
+        return;
+      }
+
+      const { schedule, retention } = request.body;
+      if (schedule) {
+        if (!requireStorage(reply)) {
+          return;
+        }
+        const problem = describeUnbackable(kind, row);
+        if (problem) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: problem,
+          });
+        }
+      }
+
+      try {
+        const result = await fastify.db.query(
+          `UPDATE ${source.table}
+           SET backup_schedule = CASE WHEN $2::boolean THEN $3::varchar ELSE backup_schedule END,
+               backup_retention = COALESCE($4::integer, backup_retention)
+           WHERE id = $1
+           RETURNING backup_schedule, backup_retention`,
+          [row.id, schedule !== undefined, schedule ?? null, retention ?? null]
+        );
+
+        fastify.log.info(`Backup policy of ${row.name} set to ${result.rows[0].backup_schedule || 'none'}, keeping ${result.rows[0].backup_retention}`);
+        return {
+          schedule: result.rows[0].backup_schedule,
+          retention: result.rows[0].backup_retention,
+        };
+      } catch (err) {
+        fastify.log.error(`Failed to update backup policy: ${err.message}`);
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to update backup policy',
+        });
+      }
+    });
+
+    /**
+     * POST /services/:id/backups, POST /addons/:id/backups
+     * Start a backup now
+     */
+    fastify.post(`/${kind}/:id/backups`, { schema: idParamsSchema }, async (request, reply) => {
+      const row = await authorizeSource(kind, request, reply, 'write');
+      if (!row) {
+        return;
+      }
+
+      if (!requireStorage(reply)) {
+        return;
+      }
+
+      const problem = describeUnbackable(kind, row);
+      if (problem) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: problem,
+        });
+      }
+
+      if (kind === 'services') {
+        const deployed = await fastify.db.query(
+          `SELECT 1 FROM deployments WHERE service_id = $1 AND status = 'live' LIMIT 1`,
+          [row.id]
+        );
+        if (deployed.rows.length === 0) {
+          return reply.code(409).send({
+            error: 'Conflict',
+            message: 'The service\'s volume is created on its first deploy; deploy it before backing it up',
+          });
+        }
+      }
+
+      const running = await fastify.db.query(
+        `SELECT 1 FROM backups WHERE ${source.column} = $1 AND status = 'running'`,
+        [row.id]
+      );
+      if (running.rows.length > 0) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `A backup of ${row.name} is already running`,
+        });
+      }
+
+      try {
+        const backup = await source.start(fastify.db, row, 'manual');
+        if (backup.status === 'failed') {
+          return reply.code(500).send({
+            error: 'Internal Server Error',
+            message: backup.error,
+          });
+        }
+        return reply.code(202).send(formatBackup(backup));
+      } catch (err) {
+        fastify.log.error(`Failed to start backup: ${err.message}`);
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to start backup',
+        });
+      }
+    });
+  }
+
+  /**
+   * DELETE /services/:id/previous-volumes/:name
+   * Delete a volume a restore switched the service away from
+   */
+  fastify.delete('/services/:id/previous-volumes/:name', {
+    schema: {
+      params: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          name: { type: 'string', pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$', maxLength: 253 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const service = await authorizeSource('services', request, reply, 'write');
+    if (!service) {
+      return;
+    }
+
+    try {
+      const deleted = await deleteReplacedClaim(service, request.params.name);
+      if (!deleted) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `${service.name} has no previous volume named ${request.params.name}`,
+        });
+      }
+
+      fastify.log.info(`Deleted previous volume ${request.params.name} of ${service.name}`);
+      return { success: true, message: 'Previous volume deleted' };
+    } catch (err) {
+      fastify.log.error(`Failed to delete previous volume: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete previous volume',
+      });
+    }
+  });
+
+  /**
+   * GET /projects/:id/backups
+   * Every backup in a project, including those of deleted services and add-ons
+   */
+  fastify.get('/projects/:id/backups', { schema: idParamsSchema }, async (request, reply) => {
+    const accessCheck = await authorizeProject(fastify.db, request.params.id, request.user.id, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    try {
+      const result = await fastify.db.query(
+        'SELECT * FROM backups WHERE project_id = $1 ORDER BY started_at DESC',
+        [accessCheck.project.id]
+      );
+      return {
+        enabled: isBackupStorageConfigured(),
+        backups: result.rows.map(formatBackup),
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to list backups: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list backups',
+      });
+    }
+  });
+
+  /**
+   * Check access to a backup
+   * @returns {Promise<object|null>} Backup with project_name, or null once an error reply has been sent
+   */
+  async function authorize(request, reply, action) {
+    const accessCheck = await authorizeBackup(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+    return accessCheck.backup;
+  }
+
+  /**
+   * POST /backups/:id/restore
+   * Restore a backup into the service or add-on it was taken from, or into another one of
+   * the same project (service_id or addon_id). A volume is restored into a new claim the
+   * service then switches to; a dump is loaded into the running add-on.
+   */
+  fastify.post('/backups/:id/restore', {
+    schema: { ...idParamsSchema, ...restoreSchema },
+  }, async (request, reply) => {
+    const backup = await authorize(request, reply, 'write');
+    if (!backup) {
+      return;
+    }
+
+    if (!requireStorage(reply)) {
+      return;
+    }
+
+    if (backup.status !== 'succeeded') {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Only a backup that succeeded can be restored',
+      });
+    }
+
+    const kind = backup.method === 'tar' ? 'services' : 'addons';
+    const targetId = kind === 'services'
+      ? request.body?.service_id || backup.service_id
+      : request.body?.addon_id || backup.addon_id;
+    if (!targetId) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: kind === 'services'
+          ? `${backup.source_name} has been deleted; choose a service to restore into with service_id`
+          : `${backup.source_name} has been deleted; choose an add-on to restore into with addon_id`,
+      });
+    }
+
+    const targetResult = await fastify.db.query(
+      `SELECT * FROM ${SOURCES[kind].table} WHERE id = $1 AND project_id = $2`,
+      [targetId, backup.project_id]
+    );
+    const target = targetResult.rows[0];
+    if (!target) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: `${kind === 'services' ? 'Service' : 'Add-on'} not found in this project`,
+      });
+    }
+
+    if (kind === 'services' && !target.storage_gb) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `${target.name} has no persistent storage to restore into`,
+      });
+    }
+    if (kind === 'addons' && ADDON_ENGINES[target.engine].backup?.method !== backup.method) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `A ${backup.method} backup can only be restored into a ${backup.method === 'pg_dump' ? 'PostgreSQL' : 'MySQL'} add-on`,
+      });
+    }
+
+    const running = await fastify.db.query(
+      `SELECT 1 FROM backup_restores WHERE ${SOURCES[kind].column} = $1 AND status = 'running'`,
+      [target.id]
+    );
+    if (running.rows.length > 0) {
+      return reply.code(409).send({
+        error: 'Conflict',
+        message: `A restore into ${target.name} is already running`,
+      });
+    }
+
+    try {
+      const row = { ...target, project_name: backup.project_name };
+      const restore = kind === 'services'
+        ? await startServiceRestore(fastify.db, backup, row)
+        : await startAddonRestore(fastify.db, backup, row);
+      if (restore.status === 'failed') {
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: restore.error,
+        });
+      }
+
+      fastify.log.info(`Restoring backup ${backup.id} of ${backup.source_name} into ${target.name}`);
+      return reply.code(202).send(formatRestore(restore));
+    } catch (err) {
+      fastify.log.error(`Failed to start restore: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to start restore',
+      });
+    }
+  });
+
+  /**
+   * DELETE /backups/:id
+   * Delete a backup from the bucket
+   */
+  fastify.delete('/backups/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const backup = await authorize(request, reply, 'write');
+    if (!backup) {
+      return;
+    }
+
+    if (!requireStorage(reply)) {
+      return;
+    }
+
+    const restoring = await fastify.db.query(
+      `SELECT 1 FROM backup_restores WHERE backup_id = $1 AND status = 'running'`,
+      [backup.id]
+    );
+    if (backup.status === 'running' || restoring.rows.length > 0) {
+      return reply.code(409).send({
+        error: 'Conflict',
+        message: backup.status === 'running'
+          ? 'This backup is still running'
+          : 'This backup is being restored',
+      });
+    }
+
+    try {
+      await deleteBackup(fastify.db, backup);
+      fastify.log.info(`Deleted backup ${backup.object_key}`);
+      return { success: true, message: 'Backup deleted' };
+    } catch (err) {
+      fastify.log.error(`Failed to delete backup: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete backup',
+      });
+    }
+  });
+}
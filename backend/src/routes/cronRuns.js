@@ -0,0 +1,175 @@
+import { authorizeService } from '../services/permissions.js';
+import { triggerCronRun, readRunOutput } from '../services/cronJobs.js';
+
+const DEFAULT_PAGE_LIMIT = 20;
+
+export default async function cronRunRoutes(fastify, options) {
+  const serviceParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const runParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id', 'runId'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        runId: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const paginationQuerySchema = {
+    querystring: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: DEFAULT_PAGE_LIMIT },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+      },
+    },
+  };
+
+  /**
+   * Check access to a cron service
+   * @returns {Promise<object|null>} Service, or null once an error reply has been sent
+   */
+  async function authorizeCronService(request, reply, action) {
+    const accessCheck = await authorizeService(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+
+    if (accessCheck.service.service_type !== 'cron') {
+      reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Only cron services have runs',
+      });
+      return null;
+    }
+
+    return accessCheck.service;
+  }
+
+  /**
+   * GET /services/:id/runs
+   * List a cron service's runs, newest first (without logs)
+   */
+  fastify.get('/services/:id/runs', {
+    schema: { ...serviceParamsSchema, ...paginationQuerySchema },
+  }, async (request, reply) => {
+    const { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = request.query;
+
+    const service = await authorizeCronService(request, reply, 'view');
+    if (!service) {
+      return;
+    }
+
+    try {
+      const result = await fastify.db.query(
+        `SELECT id, job_name, trigger, status, image_tag, exit_code, failure_reason, started_at, finished_at
+         FROM cron_runs
+         WHERE service_id = $1
+         ORDER BY started_at DESC
+         LIMIT $2 OFFSET $3`,
+        [service.id, limit, offset]
+      );
+
+      const countResult = await fastify.db.query(
+        'SELECT COUNT(*) as total FROM cron_runs WHERE service_id = $1',
+        [service.id]
+      );
+
+      const total = parseInt(countResult.rows[0].total, 10);
+
+      return {
+        runs: result.rows,
+        pagination: {
+          total,
+          limit,
+          offset,
+          has_more: offset + result.rows.length < total,
+        },
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to list cron runs: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list runs',
+      });
+    }
+  });
+
+  /**
+   * GET /services/:id/runs/:runId
+   * Get a run with its logs. The logs of a run still going are read from its pod.
+   */
+  fastify.get('/services/:id/runs/:runId', { schema: runParamsSchema }, async (request, reply) => {
+    const service = await authorizeCronService(request, reply, 'view');
+    if (!service) {
+      return;
+    }
+
+    const result = await fastify.db.query(
+      'SELECT * FROM cron_runs WHERE id = $1 AND service_id = $2',
+      [request.params.runId, service.id]
+    );
+
+    if (result.rows.length === 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Run not found',
+      });
+    }
+
+    const run = result.rows[0];
+    if (run.status === 'running') {
+      try {
+        const { logs } = await readRunOutput(service.project_name, run.job_name);
+        run.logs = logs;
+      } catch (err) {
+        fastify.log.warn(`Failed to read cron run logs: ${err.message}`);
+      }
+    }
+
+    return run;
+  });
+
+  /**
+   * POST /services/:id/runs
+   * Run a cron service now, outside its schedule
+   */
+  fastify.post('/services/:id/runs', { schema: serviceParamsSchema }, async (request, reply) => {
+    const service = await authorizeCronService(request, reply, 'deploy');
+    if (!service) {
+      return;
+    }
+
+    try {
+      const run = await triggerCronRun(fastify.db, service, service.project_name);
+      return reply.code(201).send(run);
+    } catch (err) {
+      if (err.status === 404) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'Service has not been deployed yet',
+        });
+      }
+
+      fastify.log.error(`Failed to start cron run: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to start run',
+      });
+    }
+  });
+}
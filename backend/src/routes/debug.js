@@ -9,6 +9,7 @@ import {
   getDebugAttempts,
 } from '../services/debugAgent.js';
 import { decrypt } from '../services/encryption.js';
+import { authorizeService, checkProjectPermission } from '../services/permissions.js';
 
 // Rate limit constants
 const MAX_CONCURRENT_SESSIONS = 3;
@@ -25,7 +26,7 @@ export default async function debugRoutes(fastify, options) {
       `SELECT COUNT(*) FROM debug_sessions
        WHERE service_id IN (
          SELECT id FROM services WHERE project_id IN (
-           SELECT id FROM projects WHERE user_id = $1
+           SELECT project_id FROM project_access WHERE user_id = $1
          )
        ) AND status = 'running'`,
       [userId]
@@ -46,7 +47,7 @@ export default async function debugRoutes(fastify, options) {
       `SELECT COUNT(*) FROM debug_sessions
        WHERE service_id IN (
          SELECT id FROM services WHERE project_id IN (
-           SELECT id FROM projects WHERE user_id = $1
+           SELECT project_id FROM project_access WHERE user_id = $1
          )
        ) AND created_at > NOW() - INTERVAL '1 hour'`,
       [userId]
@@ -86,12 +87,12 @@ export default async function debugRoutes(fastify, options) {
   };
 
   /**
-   * Helper function to verify deployment ownership
+   * Helper function to verify deployment access for an action
    */
-  async function verifyDeploymentOwnership(deploymentId, userId) {
+  async function verifyDeploymentAccess(deploymentId, userId, action) {
     const result = await fastify.db.query(
       `SELECT d.*, s.id as service_id, s.name as service_name, s.repo_url, s.branch,
-              p.user_id, p.name as project_name, u.github_access_token
+              s.project_id, p.user_id, p.name as project_name, u.github_access_token
        FROM deployments d
        JOIN services s ON d.service_id = s.id
        JOIN projects p ON s.project_id = p.id
@@ -105,20 +106,21 @@ export default async function debugRoutes(fastify, options) {
     }
 
     const deployment = result.rows[0];
-    if (deployment.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
+    const permission = await checkProjectPermission(fastify.db, deployment.project_id, userId, action);
+    if (permission.error) {
+      return permission;
     }
 
     return { deployment };
   }
 
   /**
-   * Helper function to verify debug session ownership
+   * Helper function to verify debug session access for an action
    */
-  async function verifySessionOwnership(sessionId, userId) {
+  async function verifySessionAccess(sessionId, userId, action) {
     const result = await fastify.db.query(
       `SELECT ds.*, s.name as service_name, s.repo_url, s.branch,
-              p.user_id, p.name as project_name, u.github_access_token
+              s.project_id, p.user_id, p.name as project_name, u.github_access_token
        FROM debug_sessions ds
        JOIN services s ON ds.service_id = s.id
        JOIN projects p ON s.project_id = p.id
@@ -132,8 +134,9 @@ export default async function debugRoutes(fastify, options) {
     }
 
     const session = result.rows[0];
-    if (session.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
+    const permission = await checkProjectPermission(fastify.db, session.project_id, userId, action);
+    if (permission.error) {
+      return permission;
     }
 
     return { session };
@@ -161,13 +164,13 @@ export default async function debugRoutes(fastify, options) {
       });
     }
 
-    // Verify ownership and get full deployment info
-    const ownershipCheck = await verifyDeploymentOwnership(deploymentId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({ error: ownershipCheck.error });
+    // Verify access and get full deployment info
+    const accessCheck = await verifyDeploymentAccess(deploymentId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
-    const { deployment } = ownershipCheck;
+    const { deployment } = accessCheck;
 
     // Check deployment is in a debuggable state (failed build or runtime issues)
     // Allow: 'failed' (build failure), 'running' (runtime crash), 'deployed' (health issues)
@@ -250,12 +253,12 @@ export default async function debugRoutes(fastify, options) {
     const userId = request.user.id;
     const sessionId = request.params.sessionId;
 
-    const ownershipCheck = await verifySessionOwnership(sessionId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({ error: ownershipCheck.error });
+    const accessCheck = await verifySessionAccess(sessionId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
-    const { session } = ownershipCheck;
+    const { session } = accessCheck;
 
     // Aggregate token usage from all attempts
     const tokenResult = await fastify.db.query(
@@ -293,9 +296,9 @@ export default async function debugRoutes(fastify, options) {
     const userId = request.user.id;
     const sessionId = request.params.sessionId;
 
-    const ownershipCheck = await verifySessionOwnership(sessionId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({ error: ownershipCheck.error });
+    const accessCheck = await verifySessionAccess(sessionId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
     const attempts = await getDebugAttempts(fastify.db, sessionId);
@@ -325,12 +328,12 @@ export default async function debugRoutes(fastify, options) {
     const userId = request.user.id;
     const sessionId = request.params.sessionId;
 
-    const ownershipCheck = await verifySessionOwnership(sessionId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({ error: ownershipCheck.error });
+    const accessCheck = await verifySessionAccess(sessionId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
-    const { session } = ownershipCheck;
+    const { session } = accessCheck;
 
     if (session.status !== 'running') {
       return reply.code(400).send({
@@ -358,12 +361,12 @@ export default async function debugRoutes(fastify, options) {
     const userId = request.user.id;
     const sessionId = request.params.sessionId;
 
-    const ownershipCheck = await verifySessionOwnership(sessionId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({ error: ownershipCheck.error });
+    const accessCheck = await verifySessionAccess(sessionId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
-    const { session } = ownershipCheck;
+    const { session } = accessCheck;
 
     // Only allow rollback on succeeded sessions (where AI made changes)
     if (session.status !== 'succeeded') {
@@ -419,12 +422,12 @@ export default async function debugRoutes(fastify, options) {
       });
     }
 
-    const ownershipCheck = await verifySessionOwnership(sessionId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({ error: ownershipCheck.error });
+    const accessCheck = await verifySessionAccess(sessionId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
-    const { session } = ownershipCheck;
+    const { session } = accessCheck;
 
     if (session.status === 'running') {
       return reply.code(400).send({
@@ -513,21 +516,10 @@ export default async function debugRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.serviceId;
 
-    // Verify service ownership
-    const serviceResult = await fastify.db.query(
-      `SELECT s.*, p.user_id
-       FROM services s
-       JOIN projects p ON s.project_id = p.id
-       WHERE s.id = $1`,
-      [serviceId]
-    );
-
-    if (serviceResult.rows.length === 0) {
-      return reply.code(404).send({ error: 'Service not found' });
-    }
-
-    if (serviceResult.rows[0].user_id !== userId) {
-      return reply.code(403).send({ error: 'Access denied' });
+    // Verify service access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({ error: accessCheck.error });
     }
 
     // Get active session first, then most recent if none active
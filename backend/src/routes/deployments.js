@@ -1,5 +1,7 @@
 import { getPodsByLabel, streamPodLogs } from '../services/kubernetes.js';
 import { getLatestDeployment, updateDeploymentStatus } from '../services/deploymentService.js';
+import { getQueueEntry } from '../services/buildQueue.js';
+import { authorizeService, authorizeDeployment } from '../services/permissions.js';
 
 // Re-export for backwards compatibility (though consumers should import from deploymentService directly)
 export { getLatestDeployment, updateDeploymentStatus };
@@ -37,55 +39,6 @@ export default async function deploymentRoutes(fastify, options) {
     },
   };
 
-  /**
-   * Helper function to verify service ownership through project
-   */
-  async function verifyServiceOwnership(serviceId, userId) {
-    const result = await fastify.db.query(
-      `SELECT s.*, p.user_id, p.name as project_name
-       FROM services s
-       JOIN projects p ON s.project_id = p.id
-       WHERE s.id = $1`,
-      [serviceId]
-    );
-
-    if (result.rows.length === 0) {
-      return { error: 'Service not found', status: 404 };
-    }
-
-    const service = result.rows[0];
-    if (service.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
-    }
-
-    return { service };
-  }
-
-  /**
-   * Helper function to verify deployment ownership through service -> project
-   */
-  async function verifyDeploymentOwnership(deploymentId, userId) {
-    const result = await fastify.db.query(
-      `SELECT d.*, s.name as service_name, p.user_id
-       FROM deployments d
-       JOIN services s ON d.service_id = s.id
-       JOIN projects p ON s.project_id = p.id
-       WHERE d.id = $1`,
-      [deploymentId]
-    );
-
-    if (result.rows.length === 0) {
-      return { error: 'Deployment not found', status: 404 };
-    }
-
-    const deployment = result.rows[0];
-    if (deployment.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
-    }
-
-    return { deployment };
-  }
-
   /**
    * GET /services/:serviceId/deployments
    * List deployment history for a service
@@ -97,19 +50,20 @@ export default async function deploymentRoutes(fastify, options) {
     const serviceId = request.params.serviceId;
     const { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = request.query;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
     try {
       // Get deployments with pagination
       const result = await fastify.db.query(
-        `SELECT id, commit_sha, status, image_tag, rollback_to, created_at
+        `SELECT id, commit_sha, status, image_tag, rollback_to, promoted_from, promoted_from_environment, failure_reason,
+                rollout_strategy, rollout_phase, traffic_weight, created_at
          FROM deployments
          WHERE service_id = $1
          ORDER BY created_at DESC
@@ -151,16 +105,17 @@ export default async function deploymentRoutes(fastify, options) {
     const userId = request.user.id;
     const deploymentId = request.params.id;
 
-    // Verify ownership through service -> project
-    const ownershipCheck = await verifyDeploymentOwnership(deploymentId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access through service -> project
+    const accessCheck = await authorizeDeployment(fastify.db, deploymentId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { deployment } = ownershipCheck;
+    const { deployment } = accessCheck;
+    const queueEntry = await getQueueEntry(fastify.db, deploymentId);
 
     return {
       id: deployment.id,
@@ -171,7 +126,19 @@ export default async function deploymentRoutes(fastify, options) {
       image_tag: deployment.image_tag,
       build_logs: deployment.build_logs,
       rollback_to: deployment.rollback_to,
+      promoted_from: deployment.promoted_from,
+      promoted_from_environment: deployment.promoted_from_environment,
+      failure_reason: deployment.failure_reason,
+      rollout_strategy: deployment.rollout_strategy,
+      rollout_phase: deployment.rollout_phase,
+      traffic_weight: deployment.traffic_weight,
       created_at: deployment.created_at,
+      queue: queueEntry ? {
+        status: queueEntry.status,
+        trigger: queueEntry.trigger,
+        position: queueEntry.position,
+        attempts: queueEntry.attempts,
+      } : null,
     };
   });
 
@@ -190,15 +157,15 @@ export default async function deploymentRoutes(fastify, options) {
       return;
     }
 
-    // Verify deployment ownership
-    const ownershipCheck = await verifyDeploymentOwnership(deploymentId, userId);
-    if (ownershipCheck.error) {
-      connection.socket.send(JSON.stringify({ type: 'error', message: ownershipCheck.error }));
-      connection.socket.close(ownershipCheck.status === 404 ? 4004 : 4003, ownershipCheck.error);
+    // Verify access
+    const accessCheck = await authorizeDeployment(fastify.db, deploymentId, userId, 'view');
+    if (accessCheck.error) {
+      connection.socket.send(JSON.stringify({ type: 'error', message: accessCheck.error }));
+      connection.socket.close(accessCheck.status === 404 ? 4004 : 4003, accessCheck.error);
       return;
     }
 
-    const { deployment } = ownershipCheck;
+    const { deployment } = accessCheck;
 
     // If deployment is complete, send stored logs and close
     if (['live', 'failed'].includes(deployment.status)) {
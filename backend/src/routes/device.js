@@ -0,0 +1,199 @@
+import { API_TOKEN_SCOPES } from '../services/apiTokens.js';
+import {
+  DEVICE_POLL_INTERVAL_SECONDS,
+  createDeviceAuthorization,
+  findPendingAuthorization,
+  resolveDeviceAuthorization,
+  pollDeviceAuthorization,
+} from '../services/deviceAuth.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+export default async function deviceRoutes(fastify, options) {
+  const userCodeBodySchema = {
+    type: 'object',
+    required: ['user_code'],
+    properties: {
+      user_code: { type: 'string', minLength: 1, maxLength: 20 },
+    },
+  };
+
+  /**
+   * POST /auth/device/code
+   * Start a device login (used by the CLI, no auth required)
+   */
+  fastify.post('/auth/device/code', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          client_name: { type: 'string', minLength: 1, maxLength: 100 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const clientName = request.body?.client_name?.trim() || 'dangus CLI';
+
+    try {
+      const { deviceCode, userCode, expiresIn } = await createDeviceAuthorization(fastify.db, clientName);
+      const verificationUri = `${FRONTEND_URL}/device`;
+
+      return {
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: verificationUri,
+        verification_uri_complete: `${verificationUri}?code=${userCode}`,
+        expires_in: expiresIn,
+        interval: DEVICE_POLL_INTERVAL_SECONDS,
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to start device login: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to start device login',
+      });
+    }
+  });
+
+  /**
+   * POST /auth/device/token
+   * Poll a device login. Returns the API token once the user has approved it.
+   */
+  fastify.post('/auth/device/token', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['device_code'],
+        properties: {
+          device_code: { type: 'string', minLength: 1, maxLength: 128 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    try {
+      const result = await pollDeviceAuthorization(fastify.db, request.body.device_code);
+
+      if (result.status === 'approved') {
+        fastify.log.info(`Device login approved for user ${result.user.id}`);
+        return {
+          status: 'approved',
+          token: result.token,
+          scopes: result.scopes,
+          user: result.user,
+        };
+      }
+
+      return { status: result.status };
+    } catch (err) {
+      fastify.log.error(`Failed to poll device login: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to poll device login',
+      });
+    }
+  });
+
+  /**
+   * GET /auth/device/:userCode
+   * Look up a pending device login so the user can confirm what they are approving
+   */
+  fastify.get('/auth/device/:userCode', async (request, reply) => {
+    try {
+      const authorization = await findPendingAuthorization(fastify.db, request.params.userCode);
+
+      if (!authorization) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Code not found or expired',
+        });
+      }
+
+      return { ...authorization, available_scopes: API_TOKEN_SCOPES };
+    } catch (err) {
+      fastify.log.error(`Failed to look up device login: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to look up device login',
+      });
+    }
+  });
+
+  /**
+   * POST /auth/device/approve
+   * Approve a device login, granting a token with the chosen scopes
+   */
+  fastify.post('/auth/device/approve', {
+    schema: {
+      body: {
+        ...userCodeBodySchema,
+        properties: {
+          ...userCodeBodySchema.properties,
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            uniqueItems: true,
+            items: { type: 'string', enum: API_TOKEN_SCOPES },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const { user_code, scopes } = request.body;
+
+    try {
+      const authorization = await resolveDeviceAuthorization(fastify.db, user_code, userId, {
+        approve: true,
+        scopes,
+      });
+
+      if (!authorization) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Code not found or expired',
+        });
+      }
+
+      fastify.log.info(`Device login ${authorization.id} approved by user ${userId} with scopes ${authorization.scopes.join(',')}`);
+
+      return { success: true, message: 'Device approved', client_name: authorization.client_name };
+    } catch (err) {
+      fastify.log.error(`Failed to approve device login: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to approve device login',
+      });
+    }
+  });
+
+  /**
+   * POST /auth/device/deny
+   * Deny a device login
+   */
+  fastify.post('/auth/device/deny', {
+    schema: { body: userCodeBodySchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const authorization = await resolveDeviceAuthorization(fastify.db, request.body.user_code, userId, {
+        approve: false,
+      });
+
+      if (!authorization) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Code not found or expired',
+        });
+      }
+
+      return { success: true, message: 'Device denied' };
+    } catch (err) {
+      fastify.log.error(`Failed to deny device login: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to deny device login',
+      });
+    }
+  });
+}
@@ -2,6 +2,7 @@ import { decrypt } from '../services/encryption.js';
 import { generateForRepo, getGeneratedFile } from '../services/dockerfileGenerator.js';
 import { isLLMAvailable } from '../services/llmClient.js';
 import logger from '../services/logger.js';
+import { authorizeService } from '../services/permissions.js';
 
 /**
  * Helper to get decrypted GitHub token for the current user
@@ -134,17 +135,12 @@ export default async function dockerfileRoutes(fastify, options) {
     const { serviceId } = request.params;
 
     try {
-      // Verify the user owns this service
-      const serviceResult = await fastify.db.query(`
-        SELECT s.id FROM services s
-        JOIN projects p ON s.project_id = p.id
-        WHERE s.id = $1 AND p.user_id = $2
-      `, [serviceId, request.user.id]);
-
-      if (serviceResult.rows.length === 0) {
-        return reply.code(404).send({
-          error: 'Not Found',
-          message: 'Service not found'
+      // Verify the user can view this service
+      const accessCheck = await authorizeService(fastify.db, serviceId, request.user.id, 'view');
+      if (accessCheck.error) {
+        return reply.code(accessCheck.status).send({
+          error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: accessCheck.error
         });
       }
 
@@ -1,8 +1,11 @@
 import crypto from 'crypto';
 import dns from 'dns';
 import { promisify } from 'util';
-import { applyManifest, deleteIngress, getSecret } from '../services/kubernetes.js';
+import { applyManifest, deleteIngress } from '../services/kubernetes.js';
 import { generateDomainIngressManifest } from '../services/manifestGenerator.js';
+import { authorizeService } from '../services/permissions.js';
+import { computeDomainHash, certificateSecretName, checkCertificate } from '../services/certificates.js';
+import { sendDomainNotification } from '../services/notifications.js';
 
 const resolveCname = promisify(dns.resolveCname);
 const resolveTxt = promisify(dns.resolveTxt);
@@ -30,10 +33,6 @@ function generateVerificationToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-function computeDomainHash(domain) {
-  return crypto.createHash('md5').update(domain).digest('hex').substring(0, 8);
-}
-
 export default async function domainRoutes(fastify, options) {
   const serviceParamsSchema = {
     params: {
@@ -66,30 +65,6 @@ export default async function domainRoutes(fastify, options) {
     },
   };
 
-  /**
-   * Helper to verify service ownership
-   */
-  async function verifyServiceOwnership(serviceId, userId) {
-    const result = await fastify.db.query(
-      `SELECT s.*, p.user_id, p.name as project_name
-       FROM services s
-       JOIN projects p ON s.project_id = p.id
-       WHERE s.id = $1`,
-      [serviceId]
-    );
-
-    if (result.rows.length === 0) {
-      return { error: 'Service not found', status: 404 };
-    }
-
-    const service = result.rows[0];
-    if (service.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
-    }
-
-    return { service };
-  }
-
   /**
    * GET /services/:serviceId/domains
    * List all custom domains for a service
@@ -98,11 +73,11 @@ export default async function domainRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.serviceId;
 
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
@@ -133,19 +108,25 @@ export default async function domainRoutes(fastify, options) {
     schema: { ...serviceParamsSchema, ...addDomainSchema },
   }, async (request, reply) => {
     const userId = request.user.id;
-    const userHash = request.user.hash;
     const serviceId = request.params.serviceId;
     const { domain } = request.body;
 
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
+
+    if (service.service_type !== 'web') {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `${service.service_type === 'cron' ? 'Cron' : 'Worker'} services are not reachable over HTTP and cannot have custom domains`,
+      });
+    }
 
     // Validate domain format
     const normalizedDomain = domain.toLowerCase().trim();
@@ -171,7 +152,7 @@ export default async function domainRoutes(fastify, options) {
 
     try {
       const verificationToken = generateVerificationToken();
-      const subdomain = computeSubdomain(userHash, service.name);
+      const subdomain = computeSubdomain(service.owner_hash, service.name);
 
       const result = await fastify.db.query(
         `INSERT INTO custom_domains (service_id, domain, verification_token)
@@ -207,21 +188,20 @@ export default async function domainRoutes(fastify, options) {
     schema: domainIdParamsSchema,
   }, async (request, reply) => {
     const userId = request.user.id;
-    const userHash = request.user.hash;
     const serviceId = request.params.serviceId;
     const domainId = request.params.domainId;
 
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
-    const subdomain = computeSubdomain(userHash, service.name);
-    const namespace = computeNamespace(userHash, service.project_name);
+    const { service } = accessCheck;
+    const subdomain = computeSubdomain(service.owner_hash, service.name);
+    const namespace = computeNamespace(service.owner_hash, service.project_name);
     const expectedTarget = `${subdomain}.${BASE_DOMAIN}`;
 
     // Get domain record
@@ -277,7 +257,7 @@ export default async function domainRoutes(fastify, options) {
       // DNS verified - create ingress with TLS
       const domainHash = computeDomainHash(domainRecord.domain);
       const ingressName = `${service.name}-domain-${domainHash}`;
-      const secretName = `${service.name}-${domainHash}-tls`;
+      const secretName = certificateSecretName(service.name, domainRecord.domain);
 
       const ingressManifest = generateDomainIngressManifest({
         namespace,
@@ -300,6 +280,12 @@ export default async function domainRoutes(fastify, options) {
 
       fastify.log.info(`Verified domain ${domainRecord.domain} for service ${serviceId}, created ingress ${ingressName}`);
 
+      await sendDomainNotification(fastify.db, 'domain.verified', domainRecord, service, {
+        id: service.project_id,
+        name: service.project_name,
+        user_id: service.user_id,
+      });
+
       return {
         verified: true,
         tls_enabled: true,
@@ -323,21 +309,19 @@ export default async function domainRoutes(fastify, options) {
     schema: domainIdParamsSchema,
   }, async (request, reply) => {
     const userId = request.user.id;
-    const userHash = request.user.hash;
     const serviceId = request.params.serviceId;
     const domainId = request.params.domainId;
 
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
-    const subdomain = computeSubdomain(userHash, service.name);
-    const namespace = computeNamespace(userHash, service.project_name);
+    const { service } = accessCheck;
+    const subdomain = computeSubdomain(service.owner_hash, service.name);
 
     const result = await fastify.db.query(
       'SELECT * FROM custom_domains WHERE id = $1 AND service_id = $2',
@@ -358,25 +342,10 @@ export default async function domainRoutes(fastify, options) {
       verification_target: `${subdomain}.${BASE_DOMAIN}`,
     };
 
-    // If verified, check TLS certificate status
-    if (domainRecord.verified) {
-      const domainHash = computeDomainHash(domainRecord.domain);
-      const secretName = `${service.name}-${domainHash}-tls`;
-
+    // Until the certificate is issued, look it up and record its status
+    if (domainRecord.verified && domainRecord.certificate_status !== 'issued') {
       try {
-        const secret = await getSecret(namespace, secretName);
-        if (secret && secret.data && secret.data['tls.crt']) {
-          // Certificate exists
-          response.certificate_status = 'issued';
-
-          // Update DB if status changed
-          if (domainRecord.certificate_status !== 'issued') {
-            await fastify.db.query(
-              'UPDATE custom_domains SET certificate_status = $1 WHERE id = $2',
-              ['issued', domainId]
-            );
-          }
-        }
+        response.certificate_status = await checkCertificate(fastify.db, domainRecord, service);
       } catch (err) {
         fastify.log.warn(`Failed to check certificate for ${domainRecord.domain}: ${err.message}`);
       }
@@ -393,20 +362,19 @@ export default async function domainRoutes(fastify, options) {
     schema: domainIdParamsSchema,
   }, async (request, reply) => {
     const userId = request.user.id;
-    const userHash = request.user.hash;
     const serviceId = request.params.serviceId;
     const domainId = request.params.domainId;
 
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
-    const namespace = computeNamespace(userHash, service.project_name);
+    const { service } = accessCheck;
+    const namespace = computeNamespace(service.owner_hash, service.project_name);
 
     // Get domain record
     const result = await fastify.db.query(
@@ -13,12 +13,13 @@ export default async function healthRoutes(fastify, options) {
   }, async (request, reply) => {
     const userId = request.user.id;
 
-    // Get all projects for this user with their services
+    // Get all projects this user can access with their services
     // Note: namespace is the same as project name in this system
     const projectsResult = await fastify.db.query(`
-      SELECT p.id, p.name, p.name as namespace
+      SELECT DISTINCT p.id, p.name, p.name as namespace
       FROM projects p
-      WHERE p.user_id = $1
+      JOIN project_access a ON a.project_id = p.id
+      WHERE a.user_id = $1
     `, [userId]);
 
     if (projectsResult.rows.length === 0) {
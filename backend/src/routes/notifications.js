@@ -1,6 +1,144 @@
-import { sendTestNotification, generateWebhookSecret } from '../services/notifications.js';
+import { sendTestNotification, sendChannelTest, generateWebhookSecret } from '../services/notifications.js';
+import { CHANNEL_TYPES } from '../services/notificationChannels.js';
+import { NOTIFICATION_EVENTS, eventSchema } from '../services/notificationEvents.js';
+import { redeliverDelivery } from '../services/webhookDeliveries.js';
+import { authorizeProject } from '../services/permissions.js';
+import { encrypt } from '../services/encryption.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Shape a notification_channels row for the API. Tokens are write-only; the signing secret
+ * of a generic webhook is returned so receivers can be set up with it.
+ */
+function formatChannel(channel) {
+  return {
+    id: channel.id,
+    name: channel.name,
+    type: channel.type,
+    url: channel.url,
+    project_id: channel.project_id,
+    project_name: channel.project_name || null,
+    events: channel.events,
+    enabled: channel.enabled,
+    has_token: Boolean(channel.token),
+    secret: channel.type === 'webhook' ? channel.secret : null,
+    created_at: channel.created_at,
+    updated_at: channel.updated_at,
+  };
+}
 
 export default async function notificationRoutes(fastify, options) {
+  const idParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const channelProperties = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2048 },
+    token: { type: ['string', 'null'], maxLength: 512 },
+    project_id: { type: ['string', 'null'], format: 'uuid' },
+    events: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', enum: Object.keys(NOTIFICATION_EVENTS) },
+    },
+    enabled: { type: 'boolean' },
+  };
+
+  const createChannelSchema = {
+    body: {
+      type: 'object',
+      required: ['name', 'type', 'url', 'events'],
+      properties: {
+        ...channelProperties,
+        type: { type: 'string', enum: Object.keys(CHANNEL_TYPES) },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  const updateChannelSchema = {
+    body: {
+      type: 'object',
+      properties: {
+        ...channelProperties,
+        regenerate_secret: { type: 'boolean' },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  /**
+   * Load one of the user's channels, with its project name
+   */
+  async function loadChannel(channelId, userId) {
+    const result = await fastify.db.query(
+      `SELECT c.*, p.name AS project_name
+       FROM notification_channels c
+       LEFT JOIN projects p ON c.project_id = p.id
+       WHERE c.id = $1 AND c.user_id = $2`,
+      [channelId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load one of the user's webhook deliveries with its attempts, oldest first
+   */
+  async function loadDelivery(deliveryId, userId) {
+    const result = await fastify.db.query(
+      `SELECT w.id, w.channel_id, c.name AS channel_name, c.type AS channel_type, w.event, w.status,
+              w.attempts, w.max_attempts, w.last_error, w.next_attempt_at, w.payload, w.message,
+              w.created_at, w.updated_at, w.delivered_at
+       FROM webhook_deliveries w
+       LEFT JOIN notification_channels c ON w.channel_id = c.id
+       WHERE w.id = $1 AND w.user_id = $2`,
+      [deliveryId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const attempts = await fastify.db.query(
+      `SELECT attempt, redelivery, request_url, request_headers, request_body, response_status,
+              response_headers, response_body, duration_ms, error, created_at
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = $1
+       ORDER BY attempt`,
+      [deliveryId]
+    );
+
+    return { ...result.rows[0], attempt_log: attempts.rows };
+  }
+
+  /**
+   * Check that a channel may cover a project: its creator must be able to change the project
+   * @returns {Promise<boolean>} false once an error reply has been sent
+   */
+  async function checkChannelProject(request, reply, projectId) {
+    if (!projectId) {
+      return true;
+    }
+    const accessCheck = await authorizeProject(fastify.db, projectId, request.user.id, 'write');
+    if (accessCheck.error) {
+      reply.code(accessCheck.status === 404 ? 400 : 403).send({
+        error: accessCheck.status === 404 ? 'Bad Request' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return false;
+    }
+    return true;
+  }
+
   /**
    * GET /notifications/settings
    * Get notification settings for the current user
@@ -12,7 +150,7 @@ export default async function notificationRoutes(fastify, options) {
       `SELECT
         email_enabled, email_address,
         webhook_enabled, webhook_url, webhook_secret,
-        notify_on_success, notify_on_failure,
+        notify_on_success, notify_on_failure, notify_on_alert,
         created_at, updated_at
        FROM notification_settings
        WHERE user_id = $1`,
@@ -28,6 +166,7 @@ export default async function notificationRoutes(fastify, options) {
         webhook_secret: null,
         notify_on_success: true,
         notify_on_failure: true,
+        notify_on_alert: true,
       };
     }
 
@@ -49,6 +188,7 @@ export default async function notificationRoutes(fastify, options) {
           webhook_url: { type: 'string', format: 'uri', maxLength: 2048 },
           notify_on_success: { type: 'boolean' },
           notify_on_failure: { type: 'boolean' },
+          notify_on_alert: { type: 'boolean' },
           regenerate_secret: { type: 'boolean' },
         },
       },
@@ -62,6 +202,7 @@ export default async function notificationRoutes(fastify, options) {
       webhook_url,
       notify_on_success,
       notify_on_failure,
+      notify_on_alert,
       regenerate_secret,
     } = request.body;
 
@@ -82,12 +223,12 @@ export default async function notificationRoutes(fastify, options) {
       const result = await fastify.db.query(
         `INSERT INTO notification_settings
           (user_id, email_enabled, email_address, webhook_enabled, webhook_url,
-           webhook_secret, notify_on_success, notify_on_failure)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           webhook_secret, notify_on_success, notify_on_failure, notify_on_alert)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
          RETURNING
            email_enabled, email_address,
            webhook_enabled, webhook_url, webhook_secret,
-           notify_on_success, notify_on_failure`,
+           notify_on_success, notify_on_failure, notify_on_alert`,
         [
           userId,
           email_enabled ?? false,
@@ -97,6 +238,7 @@ export default async function notificationRoutes(fastify, options) {
           webhookSecret,
           notify_on_success ?? true,
           notify_on_failure ?? true,
+          notify_on_alert ?? true,
         ]
       );
 
@@ -112,12 +254,13 @@ export default async function notificationRoutes(fastify, options) {
           webhook_secret = COALESCE($6, webhook_secret),
           notify_on_success = COALESCE($7, notify_on_success),
           notify_on_failure = COALESCE($8, notify_on_failure),
+          notify_on_alert = COALESCE($9, notify_on_alert),
           updated_at = NOW()
          WHERE user_id = $1
          RETURNING
            email_enabled, email_address,
            webhook_enabled, webhook_url, webhook_secret,
-           notify_on_success, notify_on_failure`,
+           notify_on_success, notify_on_failure, notify_on_alert`,
         [
           userId,
           email_enabled,
@@ -127,6 +270,7 @@ export default async function notificationRoutes(fastify, options) {
           webhookSecret,
           notify_on_success,
           notify_on_failure,
+          notify_on_alert,
         ]
       );
 
@@ -134,12 +278,216 @@ export default async function notificationRoutes(fastify, options) {
     }
   });
 
+  /**
+   * GET /notifications/channels
+   * List the user's notification channels, with the channel types and events to choose from
+   */
+  fastify.get('/notifications/channels', async (request, reply) => {
+    const result = await fastify.db.query(
+      `SELECT c.*, p.name AS project_name
+       FROM notification_channels c
+       LEFT JOIN projects p ON c.project_id = p.id
+       WHERE c.user_id = $1
+       ORDER BY c.created_at ASC`,
+      [request.user.id]
+    );
+
+    return {
+      channels: result.rows.map(formatChannel),
+      types: Object.entries(CHANNEL_TYPES).map(([id, type]) => ({ id, label: type.label, token: type.token })),
+      events: Object.entries(NOTIFICATION_EVENTS).map(([id, event]) => ({
+        id,
+        description: event.description,
+        version: event.version,
+      })),
+    };
+  });
+
+  /**
+   * GET /notifications/events
+   * List the events channels can subscribe to, with the version and JSON Schema of each
+   * event's webhook payload
+   */
+  fastify.get('/notifications/events', async (request, reply) => {
+    return {
+      events: Object.entries(NOTIFICATION_EVENTS).map(([id, event]) => ({
+        id,
+        description: event.description,
+        version: event.version,
+        schema: eventSchema(id),
+      })),
+    };
+  });
+
+  /**
+   * POST /notifications/channels
+   * Add a Slack, Discord, Teams, ntfy, Gotify or generic webhook channel, for one project or
+   * for every project the user owns
+   */
+  fastify.post('/notifications/channels', { schema: createChannelSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const { name, type, url, token, project_id, events, enabled = true } = request.body;
+
+    if (!name.trim()) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Name is required',
+      });
+    }
+
+    if (type === 'gotify' && !token) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Gotify channels need an application token',
+      });
+    }
+
+    if (!(await checkChannelProject(request, reply, project_id))) {
+      return;
+    }
+
+    try {
+      const result = await fastify.db.query(
+        `INSERT INTO notification_channels (user_id, project_id, name, type, url, token, secret, events, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [
+          userId,
+          project_id || null,
+          name.trim(),
+          type,
+          url,
+          CHANNEL_TYPES[type].token && token ? encrypt(token) : null,
+          type === 'webhook' ? generateWebhookSecret() : null,
+          events,
+          enabled,
+        ]
+      );
+
+      return reply.code(201).send(formatChannel(await loadChannel(result.rows[0].id, userId)));
+    } catch (err) {
+      if (err.code === '23505') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `You already have a channel named "${name.trim()}"`,
+        });
+      }
+      throw err;
+    }
+  });
+
+  /**
+   * PATCH /notifications/channels/:id
+   * Change a channel's name, URL, token, project, events or enabled state. A null token
+   * removes it; regenerate_secret gives a generic webhook a new signing secret.
+   */
+  fastify.patch('/notifications/channels/:id', {
+    schema: { ...idParamsSchema, ...updateChannelSchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const channel = await loadChannel(request.params.id, userId);
+    if (!channel) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Notification channel not found',
+      });
+    }
+
+    const { name, url, token, project_id, events, enabled, regenerate_secret } = request.body;
+
+    if (name !== undefined && !name.trim()) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Name is required',
+      });
+    }
+
+    if (channel.type === 'gotify' && token === null) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Gotify channels need an application token',
+      });
+    }
+
+    if (project_id !== undefined && !(await checkChannelProject(request, reply, project_id))) {
+      return;
+    }
+
+    let encryptedToken = channel.token;
+    if (token !== undefined && CHANNEL_TYPES[channel.type].token) {
+      encryptedToken = token ? encrypt(token) : null;
+    }
+
+    try {
+      await fastify.db.query(
+        `UPDATE notification_channels SET
+          name = $2, url = $3, token = $4, project_id = $5, events = $6, enabled = $7, secret = $8,
+          updated_at = NOW()
+         WHERE id = $1`,
+        [
+          channel.id,
+          name !== undefined ? name.trim() : channel.name,
+          url ?? channel.url,
+          encryptedToken,
+          project_id !== undefined ? project_id : channel.project_id,
+          events ?? channel.events,
+          enabled ?? channel.enabled,
+          channel.type === 'webhook' && regenerate_secret ? generateWebhookSecret() : channel.secret,
+        ]
+      );
+    } catch (err) {
+      if (err.code === '23505') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `You already have a channel named "${name.trim()}"`,
+        });
+      }
+      throw err;
+    }
+
+    return formatChannel(await loadChannel(channel.id, userId));
+  });
+
+  /**
+   * DELETE /notifications/channels/:id
+   * Delete a channel. Its past notifications stay in the history.
+   */
+  fastify.delete('/notifications/channels/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const result = await fastify.db.query(
+      'DELETE FROM notification_channels WHERE id = $1 AND user_id = $2',
+      [request.params.id, request.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Notification channel not found',
+      });
+    }
+
+    return { success: true, message: 'Notification channel deleted' };
+  });
+
   /**
    * POST /notifications/test
-   * Send a test notification
+   * Send a test notification through the webhook and email of the settings, or, with a
+   * channel_id in the body, through that channel
    */
   fastify.post('/notifications/test', async (request, reply) => {
     const userId = request.user.id;
+    const channelId = request.body?.channel_id;
+
+    if (channelId !== undefined) {
+      const channel = UUID_REGEX.test(String(channelId)) ? await loadChannel(channelId, userId) : null;
+      if (!channel) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Notification channel not found',
+        });
+      }
+
+      return { success: true, results: { [channel.type]: await sendChannelTest(channel) } };
+    }
 
     try {
       const results = await sendTestNotification(fastify.db, userId);
@@ -180,12 +528,20 @@ export default async function notificationRoutes(fastify, options) {
 
     const result = await fastify.db.query(
       `SELECT
-        n.id, n.deployment_id, n.type, n.status, n.error, n.created_at, n.sent_at,
+        n.id, n.deployment_id, n.cron_run_id, n.alert_id, n.type, n.status, n.error, n.created_at, n.sent_at,
         d.commit_sha, d.status as deployment_status,
+        r.status as cron_run_status,
+        a.status as alert_status,
+        n.channel_id, c.name as channel_name,
+        w.id as delivery_id, w.event,
         s.name as service_name
        FROM notifications n
-       JOIN deployments d ON n.deployment_id = d.id
-       JOIN services s ON d.service_id = s.id
+       LEFT JOIN deployments d ON n.deployment_id = d.id
+       LEFT JOIN cron_runs r ON n.cron_run_id = r.id
+       LEFT JOIN alerts a ON n.alert_id = a.id
+       LEFT JOIN notification_channels c ON n.channel_id = c.id
+       LEFT JOIN webhook_deliveries w ON w.notification_id = n.id
+       LEFT JOIN services s ON s.id = COALESCE(d.service_id, r.service_id, a.service_id)
        WHERE n.user_id = $1
        ORDER BY n.created_at DESC
        LIMIT $2 OFFSET $3`,
@@ -209,4 +565,110 @@ export default async function notificationRoutes(fastify, options) {
       },
     };
   });
+
+  /**
+   * GET /notifications/deliveries
+   * List webhook and channel deliveries of the current user, newest first, with the status
+   * code and latency of each one's last attempt
+   */
+  fastify.get('/notifications/deliveries', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+          channel_id: { type: 'string', format: 'uuid' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { status, channel_id, limit = 20, offset = 0 } = request.query;
+
+    const conditions = ['w.user_id = $1'];
+    const params = [request.user.id];
+    if (status) {
+      params.push(status);
+      conditions.push(`w.status = $${params.length}`);
+    }
+    if (channel_id) {
+      params.push(channel_id);
+      conditions.push(`w.channel_id = $${params.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const result = await fastify.db.query(
+      `SELECT w.id, w.channel_id, c.name AS channel_name, c.type AS channel_type, w.event, w.status,
+              w.attempts, w.max_attempts, w.last_error, w.next_attempt_at,
+              w.created_at, w.updated_at, w.delivered_at,
+              last.response_status AS last_response_status, last.duration_ms AS last_duration_ms
+       FROM webhook_deliveries w
+       LEFT JOIN notification_channels c ON w.channel_id = c.id
+       LEFT JOIN LATERAL (
+         SELECT response_status, duration_ms
+         FROM webhook_delivery_attempts
+         WHERE delivery_id = w.id
+         ORDER BY attempt DESC
+         LIMIT 1
+       ) last ON true
+       WHERE ${where}
+       ORDER BY w.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await fastify.db.query(
+      `SELECT COUNT(*) as total FROM webhook_deliveries w WHERE ${where}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    return {
+      deliveries: result.rows,
+      pagination: {
+        total,
+        limit,
+        offset,
+        has_more: offset + result.rows.length < total,
+      },
+    };
+  });
+
+  /**
+   * GET /notifications/deliveries/:id
+   * Get a delivery with its payload and every attempt's request and response
+   */
+  fastify.get('/notifications/deliveries/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const delivery = await loadDelivery(request.params.id, request.user.id);
+
+    if (!delivery) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Delivery not found',
+      });
+    }
+
+    return delivery;
+  });
+
+  /**
+   * POST /notifications/deliveries/:id/redeliver
+   * Make one more attempt at a delivered or failed delivery, now, and return the delivery
+   * with that attempt
+   */
+  fastify.post('/notifications/deliveries/:id/redeliver', { schema: idParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const result = await redeliverDelivery(fastify.db, request.params.id, userId);
+
+    if (result.error) {
+      return reply.code(result.status).send({
+        error: result.status === 404 ? 'Not Found' : 'Conflict',
+        message: result.error,
+      });
+    }
+
+    return loadDelivery(request.params.id, userId);
+  });
 }
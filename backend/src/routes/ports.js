@@ -0,0 +1,208 @@
+import { authorizeService } from '../services/permissions.js';
+import {
+  EXPOSED_PROTOCOLS,
+  EXPOSED_PORT_RANGE,
+  MAX_EXPOSED_PORTS,
+  formatExposedPort,
+  listExposedPorts,
+  allocateExposedPort,
+  syncExposedPorts,
+  removeExposedPort,
+} from '../services/exposedPorts.js';
+
+export default async function portRoutes(fastify, options) {
+  const serviceParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const portParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id', 'portId'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        portId: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const exposePortSchema = {
+    body: {
+      type: 'object',
+      required: ['protocol', 'container_port'],
+      properties: {
+        protocol: { type: 'string', enum: EXPOSED_PROTOCOLS },
+        container_port: { type: 'integer', minimum: 1, maximum: 65535 },
+      },
+      additionalProperties: false,
+    },
+  };
+
+  /**
+   * Check access to a service
+   * @returns {Promise<object|null>} Service, or null once an error reply has been sent
+   */
+  async function authorize(request, reply, action) {
+    const accessCheck = await authorizeService(fastify.db, request.params.id, request.user.id, action);
+    if (accessCheck.error) {
+      reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+      return null;
+    }
+    return accessCheck.service;
+  }
+
+  /**
+   * GET /services/:id/ports
+   * List a service's TCP/UDP ports exposed outside the cluster
+   */
+  fastify.get('/services/:id/ports', { schema: serviceParamsSchema }, async (request, reply) => {
+    const service = await authorize(request, reply, 'view');
+    if (!service) {
+      return;
+    }
+
+    try {
+      const rows = await listExposedPorts(fastify.db, service.id);
+      return {
+        ports: rows.map(formatExposedPort),
+        range: EXPOSED_PORT_RANGE,
+        max_ports: MAX_EXPOSED_PORTS,
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to list exposed ports: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list exposed ports',
+      });
+    }
+  });
+
+  /**
+   * POST /services/:id/ports
+   * Expose a container port over TCP or UDP on the next free public port
+   */
+  fastify.post('/services/:id/ports', {
+    schema: { ...serviceParamsSchema, ...exposePortSchema },
+  }, async (request, reply) => {
+    const { protocol, container_port: containerPort } = request.body;
+
+    const service = await authorize(request, reply, 'write');
+    if (!service) {
+      return;
+    }
+
+    if (service.service_type === 'cron') {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Cron services cannot expose ports',
+      });
+    }
+
+    // Only HTTP requests through the Ingress wake a sleeping service
+    if (service.idle_timeout_minutes != null) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Services in idle mode cannot expose ports. Turn idle mode off first',
+      });
+    }
+
+    if (service.service_type === 'web' && protocol === 'tcp' && containerPort === service.port) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `Port ${containerPort} is already served over HTTP`,
+      });
+    }
+
+    const existing = await listExposedPorts(fastify.db, service.id);
+    if (existing.some(row => row.protocol === protocol && row.container_port === containerPort)) {
+      return reply.code(409).send({
+        error: 'Conflict',
+        message: `${protocol.toUpperCase()} port ${containerPort} is already exposed`,
+      });
+    }
+    if (existing.length >= MAX_EXPOSED_PORTS) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `A service can expose at most ${MAX_EXPOSED_PORTS} ports`,
+      });
+    }
+
+    let row;
+    try {
+      row = await allocateExposedPort(fastify.db, service.id, protocol, containerPort);
+    } catch (err) {
+      if (err.code === '23505') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: `${protocol.toUpperCase()} port ${containerPort} is already exposed`,
+        });
+      }
+      fastify.log.error(`Failed to allocate exposed port: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to expose port',
+      });
+    }
+
+    if (!row) {
+      return reply.code(409).send({
+        error: 'Conflict',
+        message: `No free ${protocol.toUpperCase()} ports left (${EXPOSED_PORT_RANGE.first}-${EXPOSED_PORT_RANGE.last})`,
+      });
+    }
+
+    // The port is allocated either way; a failed sync is retried on the next deploy
+    try {
+      await syncExposedPorts(fastify.db, service.project_name, service);
+    } catch (err) {
+      fastify.log.warn(`Failed to apply exposed ports of ${service.name}: ${err.message}`);
+    }
+
+    fastify.log.info(`Exposed ${protocol} port ${containerPort} of ${service.name} on ${row.public_port}`);
+    return reply.code(201).send(formatExposedPort(row));
+  });
+
+  /**
+   * DELETE /services/:id/ports/:portId
+   * Stop exposing a port and release its public port
+   */
+  fastify.delete('/services/:id/ports/:portId', { schema: portParamsSchema }, async (request, reply) => {
+    const service = await authorize(request, reply, 'write');
+    if (!service) {
+      return;
+    }
+
+    const result = await fastify.db.query(
+      'SELECT * FROM service_ports WHERE id = $1 AND service_id = $2',
+      [request.params.portId, service.id]
+    );
+
+    if (result.rows.length === 0) {
+      return reply.code(404).send({
+        error: 'Not Found',
+        message: 'Exposed port not found',
+      });
+    }
+
+    try {
+      await removeExposedPort(fastify.db, service.project_name, service, result.rows[0]);
+      fastify.log.info(`Removed exposed port ${result.rows[0].public_port} of ${service.name}`);
+      return { success: true, message: 'Port no longer exposed' };
+    } catch (err) {
+      fastify.log.error(`Failed to remove exposed port: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to remove exposed port',
+      });
+    }
+  });
+}
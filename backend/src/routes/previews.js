@@ -0,0 +1,295 @@
+import { encrypt, decrypt } from '../services/encryption.js';
+import { authorizeService } from '../services/permissions.js';
+import { teardownPreview } from '../services/previews.js';
+
+const BASE_DOMAIN = process.env.BASE_DOMAIN || '192.168.1.124.nip.io';
+const ENV_VAR_KEY_REGEX = /^[A-Z][A-Z0-9_]*$/;
+const MASKED_VALUE = '••••••••';
+
+function computeServiceUrl(projectName, serviceName) {
+  return `http://${projectName}-${serviceName}.${BASE_DOMAIN}`;
+}
+
+function formatPreviewEnvVar(row) {
+  return {
+    key: row.key,
+    value: row.is_secret ? MASKED_VALUE : decrypt(row.value),
+    is_secret: row.is_secret,
+    created_at: row.created_at,
+  };
+}
+
+export default async function previewRoutes(fastify, options) {
+  const serviceParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const previewParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id', 'previewId'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        previewId: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const previewEnvParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id', 'key'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        key: { type: 'string', pattern: ENV_VAR_KEY_REGEX.source, maxLength: 255 },
+      },
+    },
+  };
+
+  const putPreviewEnvSchema = {
+    body: {
+      type: 'object',
+      required: ['value'],
+      properties: {
+        value: { type: 'string' },
+        is_secret: { type: 'boolean', default: true },
+      },
+    },
+  };
+
+  /**
+   * GET /services/:id/previews
+   * List a service's open pull request previews and the services deployed in each
+   */
+  fastify.get('/services/:id/previews', { schema: serviceParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    const { service } = accessCheck;
+
+    try {
+      const result = await fastify.db.query(
+        `SELECT pv.id, pv.pr_number, pv.pr_title, pv.pr_url, pv.pr_author, pv.head_branch, pv.head_sha,
+                pv.scope, pv.expires_at, pv.created_at, pv.updated_at,
+                COALESCE(
+                  json_agg(json_build_object(
+                    'id', s.id,
+                    'name', s.name,
+                    'service_type', s.service_type,
+                    'status', d.status,
+                    'commit_sha', d.commit_sha,
+                    'deployed_at', d.created_at
+                  ) ORDER BY s.name) FILTER (WHERE s.id IS NOT NULL),
+                  '[]'
+                ) AS services
+         FROM previews pv
+         LEFT JOIN services s ON s.preview_id = pv.id
+         LEFT JOIN LATERAL (
+           SELECT status, commit_sha, created_at
+           FROM deployments
+           WHERE service_id = s.id
+           ORDER BY created_at DESC
+           LIMIT 1
+         ) d ON true
+         WHERE pv.service_id = $1
+         GROUP BY pv.id
+         ORDER BY pv.pr_number DESC`,
+        [service.id]
+      );
+
+      const previews = result.rows.map(preview => ({
+        ...preview,
+        services: preview.services.map(copy => ({
+          ...copy,
+          url: copy.service_type === 'web' ? computeServiceUrl(service.project_name, copy.name) : null,
+        })),
+      }));
+
+      return {
+        previews_enabled: service.previews_enabled,
+        preview_scope: service.preview_scope,
+        preview_ttl_hours: service.preview_ttl_hours,
+        previews,
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to list previews: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list previews',
+      });
+    }
+  });
+
+  /**
+   * DELETE /services/:id/previews/:previewId
+   * Tear down a preview before its pull request is closed
+   */
+  fastify.delete('/services/:id/previews/:previewId', { schema: previewParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    try {
+      const result = await fastify.db.query(
+        'SELECT * FROM previews WHERE id = $1 AND service_id = $2',
+        [request.params.previewId, serviceId]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Preview not found',
+        });
+      }
+
+      await teardownPreview(fastify.db, result.rows[0]);
+
+      return { success: true, message: `Preview for PR #${result.rows[0].pr_number} deleted` };
+    } catch (err) {
+      fastify.log.error(`Failed to delete preview: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete preview',
+      });
+    }
+  });
+
+  /**
+   * GET /services/:id/preview-env
+   * List env var overrides applied to the service's preview copies (secret values masked)
+   */
+  fastify.get('/services/:id/preview-env', { schema: serviceParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    try {
+      const result = await fastify.db.query(
+        'SELECT key, value, is_secret, created_at FROM preview_env_vars WHERE service_id = $1 ORDER BY key ASC',
+        [serviceId]
+      );
+
+      return { env_vars: result.rows.map(formatPreviewEnvVar) };
+    } catch (err) {
+      fastify.log.error(`Failed to list preview env vars: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list preview environment variables',
+      });
+    }
+  });
+
+  /**
+   * PUT /services/:id/preview-env/:key
+   * Set a preview env var override. Applies to previews deployed from now on.
+   */
+  fastify.put('/services/:id/preview-env/:key', {
+    schema: { ...previewEnvParamsSchema, ...putPreviewEnvSchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    const { key } = request.params;
+    const { value, is_secret } = request.body;
+
+    try {
+      const result = await fastify.db.query(
+        `INSERT INTO preview_env_vars (service_id, key, value, is_secret)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (service_id, key) DO UPDATE SET value = EXCLUDED.value, is_secret = EXCLUDED.is_secret
+         RETURNING key, value, is_secret, created_at`,
+        [serviceId, key, encrypt(value), is_secret]
+      );
+
+      fastify.log.info(`Set preview env var: ${key} for service ${serviceId}`);
+
+      return formatPreviewEnvVar(result.rows[0]);
+    } catch (err) {
+      fastify.log.error(`Failed to set preview env var: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to set preview environment variable',
+      });
+    }
+  });
+
+  /**
+   * DELETE /services/:id/preview-env/:key
+   * Remove a preview env var override
+   */
+  fastify.delete('/services/:id/preview-env/:key', { schema: previewEnvParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    try {
+      const result = await fastify.db.query(
+        'DELETE FROM preview_env_vars WHERE service_id = $1 AND key = $2 RETURNING key',
+        [serviceId, request.params.key]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Preview environment variable not found',
+        });
+      }
+
+      return { success: true, message: 'Preview environment variable deleted' };
+    } catch (err) {
+      fastify.log.error(`Failed to delete preview env var: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete preview environment variable',
+      });
+    }
+  });
+}
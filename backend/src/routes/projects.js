@@ -1,5 +1,11 @@
 import { createNamespaceIdempotent, deleteNamespace, createSecret, scaleDeployment, listDeployments } from '../services/kubernetes.js';
-import { deleteRepositoriesByNamespace } from '../services/harbor.js';
+import { deleteRepositoriesByNamespace, getRepositoryName } from '../services/harbor.js';
+import { generateWebhookSecret } from '../services/encryption.js';
+import { authorizeProject, authorizeOrganization } from '../services/permissions.js';
+import { getRunningReplicas, getDeployReplicas } from '../services/autoscaling.js';
+import { wakeService, clearSleeping } from '../services/idleScaler.js';
+import { setCronJobSuspended } from '../services/cronJobs.js';
+import { hasRunningBackups, deleteProjectBackups } from '../services/backups.js';
 
 // Harbor registry config - loaded from environment for pushing built images
 const HARBOR_REGISTRY = process.env.HARBOR_REGISTRY || 'harbor.192.168.1.124.nip.io';
@@ -11,6 +17,10 @@ const NAME_REGEX = /^[a-z][a-z0-9-]*[a-z0-9]$|^[a-z]$/;
 const NAME_MIN_LENGTH = 1;
 const NAME_MAX_LENGTH = 63;
 
+const ENVIRONMENT_NAME_REGEX = /^[a-z][a-z0-9-]*[a-z0-9]$|^[a-z]$/;
+const ENVIRONMENT_NAME_MAX_LENGTH = 20;
+const DEFAULT_ENVIRONMENT = 'production';
+
 function validateProjectName(name) {
   if (!name || typeof name !== 'string') {
     return { valid: false, error: 'Name is required' };
@@ -33,11 +43,75 @@ function validateProjectName(name) {
   return { valid: true, name: trimmedName };
 }
 
+function validateEnvironmentName(name) {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'Environment name is required' };
+  }
+
+  const trimmedName = name.trim();
+
+  if (trimmedName.length > ENVIRONMENT_NAME_MAX_LENGTH) {
+    return { valid: false, error: `Environment name must be at most ${ENVIRONMENT_NAME_MAX_LENGTH} characters` };
+  }
+
+  if (!ENVIRONMENT_NAME_REGEX.test(trimmedName) || trimmedName.includes('--')) {
+    return { valid: false, error: 'Environment name must be lowercase, start with a letter, and contain only alphanumeric characters and single hyphens' };
+  }
+
+  if (trimmedName === DEFAULT_ENVIRONMENT) {
+    return { valid: false, error: `The project itself is the ${DEFAULT_ENVIRONMENT} environment` };
+  }
+
+  return { valid: true, name: trimmedName };
+}
+
 function computeNamespace(projectName) {
   // Namespace is just the project name (globally unique)
   return projectName;
 }
 
+/**
+ * List a project's environments: the parent project first, then its child projects
+ */
+async function listEnvironments(db, rootProjectId) {
+  const result = await db.query(
+    `SELECT
+      p.id,
+      p.name,
+      p.environment,
+      p.created_at,
+      (SELECT COUNT(*)::int FROM services s WHERE s.project_id = p.id AND s.preview_id IS NULL) AS service_count
+    FROM projects p
+    WHERE p.id = $1 OR p.parent_project_id = $1
+    ORDER BY p.parent_project_id NULLS FIRST, p.created_at ASC`,
+    [rootProjectId]
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    namespace: computeNamespace(row.name),
+  }));
+}
+
+/**
+ * Harbor repositories still deployed by projects outside the given ones. Promoted
+ * images live under the namespace they were built in, so deleting that environment
+ * must leave them alone.
+ */
+async function getRepositoriesInUse(db, projectIds) {
+  const result = await db.query(
+    `SELECT DISTINCT d.image_tag
+     FROM deployments d
+     JOIN services s ON s.id = d.service_id
+     WHERE d.status = 'live'
+     AND d.image_tag IS NOT NULL
+     AND s.project_id <> ALL($1::uuid[])`,
+    [projectIds]
+  );
+
+  return result.rows.map((row) => getRepositoryName(row.image_tag)).filter(Boolean);
+}
+
 /**
  * Create the harbor registry secret in a namespace for Kaniko builds
  */
@@ -74,6 +148,30 @@ async function createRegistrySecret(namespace, logger) {
   }
 }
 
+/**
+ * Create a project's namespace (reclaiming an orphaned one) and its registry secret
+ */
+async function provisionNamespace(db, namespace, logger) {
+  const checkDbProject = async (nsName) => {
+    const result = await db.query(
+      'SELECT id FROM projects WHERE name = $1',
+      [nsName]
+    );
+    return result.rows.length > 0;
+  };
+
+  const nsResult = await createNamespaceIdempotent(namespace, checkDbProject);
+
+  if (nsResult.reclaimed) {
+    logger.info(`Reclaimed orphaned Kubernetes namespace: ${namespace}`);
+  } else {
+    logger.info(`Created Kubernetes namespace: ${namespace}`);
+  }
+
+  // Create registry secret for Kaniko builds
+  await createRegistrySecret(namespace, logger);
+}
+
 export default async function projectRoutes(fastify, options) {
   const createProjectSchema = {
     body: {
@@ -81,6 +179,7 @@ export default async function projectRoutes(fastify, options) {
       required: ['name'],
       properties: {
         name: { type: 'string' },
+        organization_id: { type: 'string', format: 'uuid' },
       },
     },
   };
@@ -97,7 +196,8 @@ export default async function projectRoutes(fastify, options) {
 
   /**
    * GET /projects
-   * List all projects for the authenticated user
+   * List all projects the authenticated user can access, with their role on each.
+   * Environments are listed on their parent project.
    */
   fastify.get('/projects', async (request, reply) => {
     const userId = request.user.id;
@@ -107,12 +207,23 @@ export default async function projectRoutes(fastify, options) {
         `SELECT
           p.id,
           p.name,
+          p.organization_id,
+          o.name AS organization_name,
           p.created_at,
-          COUNT(s.id)::int AS service_count
+          a.role,
+          (SELECT COUNT(*)::int FROM services s WHERE s.project_id = p.id AND s.preview_id IS NULL) AS service_count,
+          (SELECT COUNT(*)::int + 1 FROM projects e WHERE e.parent_project_id = p.id) AS environment_count
         FROM projects p
-        LEFT JOIN services s ON s.project_id = p.id
-        WHERE p.user_id = $1
-        GROUP BY p.id
+        JOIN LATERAL (
+          SELECT role FROM project_access
+          WHERE project_id = p.id AND user_id = $1
+          ORDER BY CASE role
+            WHEN 'owner' THEN 4 WHEN 'maintainer' THEN 3 WHEN 'deployer' THEN 2 ELSE 1
+          END DESC
+          LIMIT 1
+        ) a ON true
+        LEFT JOIN organizations o ON o.id = p.organization_id
+        WHERE p.parent_project_id IS NULL
         ORDER BY p.created_at DESC`,
         [userId]
       );
@@ -150,6 +261,21 @@ export default async function projectRoutes(fastify, options) {
 
     const projectName = validation.name;
     const namespace = computeNamespace(projectName);
+    const organizationId = request.body.organization_id || null;
+
+    // Creating a project inside an organization needs maintainer access to it. The creator's
+    // role on the project is then their organization role.
+    let role = 'owner';
+    if (organizationId) {
+      const orgCheck = await authorizeOrganization(fastify.db, organizationId, userId, 'write');
+      if (orgCheck.error) {
+        return reply.code(orgCheck.status).send({
+          error: orgCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: orgCheck.error,
+        });
+      }
+      role = orgCheck.role;
+    }
 
     try {
       // Check if project name already exists (globally unique)
@@ -167,24 +293,7 @@ export default async function projectRoutes(fastify, options) {
 
       // Create Kubernetes namespace (idempotent - reclaims orphaned namespaces)
       try {
-        const checkDbProject = async (nsName) => {
-          const result = await fastify.db.query(
-            'SELECT id FROM projects WHERE name = $1',
-            [nsName]
-          );
-          return result.rows.length > 0;
-        };
-
-        const nsResult = await createNamespaceIdempotent(namespace, checkDbProject);
-
-        if (nsResult.reclaimed) {
-          fastify.log.info(`Reclaimed orphaned Kubernetes namespace: ${namespace}`);
-        } else {
-          fastify.log.info(`Created Kubernetes namespace: ${namespace}`);
-        }
-
-        // Create registry secret for Kaniko builds
-        await createRegistrySecret(namespace, fastify.log);
+        await provisionNamespace(fastify.db, namespace, fastify.log);
       } catch (k8sErr) {
         fastify.log.error(`Failed to create Kubernetes namespace: ${k8sErr.message}`);
         return reply.code(500).send({
@@ -195,10 +304,10 @@ export default async function projectRoutes(fastify, options) {
 
       // Insert into database
       const result = await fastify.db.query(
-        `INSERT INTO projects (user_id, name)
-         VALUES ($1, $2)
-         RETURNING id, name, created_at`,
-        [userId, projectName]
+        `INSERT INTO projects (user_id, name, organization_id)
+         VALUES ($1, $2, $3)
+         RETURNING id, name, organization_id, created_at`,
+        [userId, projectName, organizationId]
       );
 
       const project = result.rows[0];
@@ -208,7 +317,10 @@ export default async function projectRoutes(fastify, options) {
       return reply.code(201).send({
         ...project,
         namespace,
+        environment: DEFAULT_ENVIRONMENT,
+        role,
         service_count: 0,
+        environment_count: 1,
       });
     } catch (err) {
       fastify.log.error(`Failed to create project: ${err.message}`);
@@ -236,34 +348,23 @@ export default async function projectRoutes(fastify, options) {
     const projectId = request.params.id;
 
     try {
-      // Get project
-      const projectResult = await fastify.db.query(
-        'SELECT id, user_id, name, created_at FROM projects WHERE id = $1',
-        [projectId]
-      );
-
-      if (projectResult.rows.length === 0) {
-        return reply.code(404).send({
-          error: 'Not Found',
-          message: 'Project not found',
+      // Get project and verify access
+      const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'view');
+      if (accessCheck.error) {
+        return reply.code(accessCheck.status).send({
+          error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: accessCheck.error,
         });
       }
 
-      const project = projectResult.rows[0];
-
-      // Verify ownership
-      if (project.user_id !== userId) {
-        return reply.code(403).send({
-          error: 'Forbidden',
-          message: 'Access denied',
-        });
-      }
+      const { project, role } = accessCheck;
 
-      // Get services for this project
+      // Get services for this project; preview copies are listed on their source service
       const servicesResult = await fastify.db.query(
         `SELECT
           s.id,
           s.name,
+          s.service_type,
           s.repo_url,
           s.branch,
           s.dockerfile_path,
@@ -282,16 +383,23 @@ export default async function projectRoutes(fastify, options) {
           LIMIT 1
         ) d ON true
         WHERE s.project_id = $1
+        AND s.preview_id IS NULL
         ORDER BY s.created_at DESC`,
         [projectId]
       );
 
       const namespace = computeNamespace(project.name);
+      const environments = await listEnvironments(fastify.db, project.parent_project_id || project.id);
 
       return {
         id: project.id,
         name: project.name,
         namespace,
+        organization_id: project.organization_id,
+        parent_project_id: project.parent_project_id,
+        environment: project.environment,
+        environments,
+        role,
         created_at: project.created_at,
         services: servicesResult.rows,
       };
@@ -306,61 +414,80 @@ export default async function projectRoutes(fastify, options) {
 
   /**
    * DELETE /projects/:id
-   * Delete a project and its Kubernetes namespace
+   * Delete a project, its Kubernetes namespace and its backups. Deleting a parent
+   * project deletes its environments too.
    */
   fastify.delete('/projects/:id', { schema: projectParamsSchema }, async (request, reply) => {
     const userId = request.user.id;
     const projectId = request.params.id;
 
     try {
-      // Get project
-      const projectResult = await fastify.db.query(
-        'SELECT id, user_id, name FROM projects WHERE id = $1',
+      // Get project - only owners can delete it
+      const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'admin');
+      if (accessCheck.error) {
+        return reply.code(accessCheck.status).send({
+          error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: accessCheck.error,
+        });
+      }
+
+      const { project } = accessCheck;
+
+      const deletedResult = await fastify.db.query(
+        'SELECT id, name FROM projects WHERE id = $1 OR parent_project_id = $1',
         [projectId]
       );
+      const deletedProjects = deletedResult.rows;
+      const deletedIds = deletedProjects.map((p) => p.id);
 
-      if (projectResult.rows.length === 0) {
-        return reply.code(404).send({
-          error: 'Not Found',
-          message: 'Project not found',
+      if (await hasRunningBackups(fastify.db, deletedIds)) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'A backup of this project is running; delete the project once it has finished',
         });
       }
 
-      const project = projectResult.rows[0];
-
-      // Verify ownership
-      if (project.user_id !== userId) {
-        return reply.code(403).send({
-          error: 'Forbidden',
-          message: 'Access denied',
+      // First, so nothing else is gone if the bucket can't be reached
+      try {
+        await deleteProjectBackups(fastify.db, deletedIds);
+      } catch (backupErr) {
+        fastify.log.error(`Failed to delete project backups: ${backupErr.message}`);
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to delete the project\'s backups; the project was not deleted',
         });
       }
 
-      const namespace = computeNamespace(project.name);
+      // Images promoted from these namespaces into other environments stay in Harbor
+      const keep = await getRepositoriesInUse(fastify.db, deletedIds);
 
-      // Delete Harbor repositories (cleanup container images)
-      try {
-        const harborResult = await deleteRepositoriesByNamespace(namespace);
-        if (harborResult.deleted > 0) {
-          fastify.log.info(`Deleted ${harborResult.deleted} Harbor repositories for namespace: ${namespace}`);
+      for (const deleted of deletedProjects) {
+        const namespace = computeNamespace(deleted.name);
+
+        // Delete Harbor repositories (cleanup container images)
+        try {
+          const harborResult = await deleteRepositoriesByNamespace(namespace, { keep });
+          if (harborResult.deleted > 0) {
+            fastify.log.info(`Deleted ${harborResult.deleted} Harbor repositories for namespace: ${namespace}`);
+          }
+        } catch (harborErr) {
+          // Log but continue - Harbor cleanup is best-effort
+          fastify.log.warn(`Failed to cleanup Harbor repositories: ${harborErr.message}`);
         }
-      } catch (harborErr) {
-        // Log but continue - Harbor cleanup is best-effort
-        fastify.log.warn(`Failed to cleanup Harbor repositories: ${harborErr.message}`);
-      }
 
-      // Delete Kubernetes namespace (cascades all resources)
-      try {
-        await deleteNamespace(namespace);
-        fastify.log.info(`Deleted Kubernetes namespace: ${namespace}`);
-      } catch (k8sErr) {
-        // Log but continue - namespace might not exist or already deleted
-        if (k8sErr.status !== 404) {
-          fastify.log.warn(`Failed to delete Kubernetes namespace: ${k8sErr.message}`);
+        // Delete Kubernetes namespace (cascades all resources)
+        try {
+          await deleteNamespace(namespace);
+          fastify.log.info(`Deleted Kubernetes namespace: ${namespace}`);
+        } catch (k8sErr) {
+          // Log but continue - namespace might not exist or already deleted
+          if (k8sErr.status !== 404) {
+            fastify.log.warn(`Failed to delete Kubernetes namespace: ${k8sErr.message}`);
+          }
         }
       }
 
-      // Delete from database (cascades services, env_vars, deployments)
+      // Delete from database (cascades environments, services, env_vars, deployments)
       await fastify.db.query('DELETE FROM projects WHERE id = $1', [projectId]);
 
       fastify.log.info(`Deleted project: ${project.name} (${projectId})`);
@@ -403,33 +530,23 @@ export default async function projectRoutes(fastify, options) {
     const { state } = request.body;
 
     try {
-      // Verify project exists and user owns it
-      const projectResult = await fastify.db.query(
-        'SELECT id, name, user_id FROM projects WHERE id = $1',
-        [projectId]
-      );
-
-      if (projectResult.rows.length === 0) {
-        return reply.code(404).send({
-          error: 'Not Found',
-          message: 'Project not found',
+      // Verify project exists and user can deploy to it
+      const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'deploy');
+      if (accessCheck.error) {
+        return reply.code(accessCheck.status).send({
+          error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: accessCheck.error,
         });
       }
 
-      const project = projectResult.rows[0];
-
-      if (project.user_id !== userId) {
-        return reply.code(403).send({
-          error: 'Forbidden',
-          message: 'Access denied',
-        });
-      }
+      const { project } = accessCheck;
 
       const namespace = computeNamespace(project.name);
 
       // Get all services in this project
       const servicesResult = await fastify.db.query(
-        'SELECT id, name, replicas FROM services WHERE project_id = $1',
+        `SELECT id, name, service_type, port, replicas, autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas, sleeping_at
+         FROM services WHERE project_id = $1`,
         [projectId]
       );
 
@@ -438,13 +555,26 @@ export default async function projectRoutes(fastify, options) {
 
       for (const service of services) {
         try {
-          if (state === 'stopped') {
-            // Scale to 0 replicas
+          if (service.service_type === 'cron') {
+            // Cron services are suspended rather than scaled
+            await setCronJobSuspended(namespace, service.name, state === 'stopped');
+            results.push({ service: service.name, state, suspended: state === 'stopped' });
+          } else if (state === 'stopped') {
+            // Scale to 0 replicas; stopped services no longer wake on request
             await scaleDeployment(namespace, service.name, 0);
+            if (service.sleeping_at) {
+              await clearSleeping(fastify.db, { ...service, project_name: project.name });
+            }
             results.push({ service: service.name, state: 'stopped', replicas: 0 });
+          } else if (service.sleeping_at) {
+            // Sleeping services get traffic back once a pod is ready
+            const targetReplicas = getRunningReplicas(service);
+            wakeService(fastify.db, { ...service, project_name: project.name });
+            results.push({ service: service.name, state: 'running', replicas: targetReplicas, waking: true });
           } else {
-            // Scale to configured replicas (or 1 if not set)
-            const targetReplicas = service.replicas || 1;
+            // Scale to configured replicas, or the autoscaler's minimum (a running autoscaled
+            // service keeps its count)
+            const targetReplicas = await getDeployReplicas(namespace, service);
             await scaleDeployment(namespace, service.name, targetReplicas);
             results.push({ service: service.name, state: 'running', replicas: targetReplicas });
           }
@@ -474,4 +604,217 @@ export default async function projectRoutes(fastify, options) {
       });
     }
   });
+
+  /**
+   * GET /projects/:id/environments
+   * List the environments of a project (works from the parent or any environment)
+   */
+  fastify.get('/projects/:id/environments', { schema: projectParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const projectId = request.params.id;
+
+    try {
+      const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'view');
+      if (accessCheck.error) {
+        return reply.code(accessCheck.status).send({
+          error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: accessCheck.error,
+        });
+      }
+
+      const { project } = accessCheck;
+      const environments = await listEnvironments(fastify.db, project.parent_project_id || project.id);
+
+      return { environments };
+    } catch (err) {
+      fastify.log.error(`Failed to list environments: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list environments',
+      });
+    }
+  });
+
+  /**
+   * POST /projects/:id/environments
+   * Create an environment: a child project <project>-<name> with its own namespace and
+   * copies of the parent's services. Copies are not deployed; promote or deploy them.
+   * Body: { name, include_env?: boolean }
+   */
+  fastify.post('/projects/:id/environments', {
+    schema: {
+      ...projectParamsSchema,
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          include_env: { type: 'boolean', default: false },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const projectId = request.params.id;
+    const { include_env = false } = request.body;
+
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    const envValidation = validateEnvironmentName(request.body.name);
+    if (!envValidation.valid) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: envValidation.error,
+      });
+    }
+
+    const environment = envValidation.name;
+    let namespace = null;
+    let created = null;
+
+    try {
+      // Environments always hang off the parent project
+      let root = accessCheck.project;
+      if (root.parent_project_id) {
+        const rootResult = await fastify.db.query(
+          'SELECT id, user_id, name, organization_id FROM projects WHERE id = $1',
+          [root.parent_project_id]
+        );
+        root = rootResult.rows[0];
+      }
+
+      const nameValidation = validateProjectName(`${root.name}-${environment}`);
+      if (!nameValidation.valid) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: `Environment name is too long for project ${root.name}`,
+        });
+      }
+
+      const projectName = nameValidation.name;
+
+      const existing = await fastify.db.query(
+        'SELECT parent_project_id, environment FROM projects WHERE name = $1 OR (parent_project_id = $2 AND environment = $3)',
+        [projectName, root.id, environment]
+      );
+
+      if (existing.rows.length > 0) {
+        const sameProject = existing.rows.some((row) => row.parent_project_id === root.id && row.environment === environment);
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: sameProject
+            ? `Environment ${environment} already exists`
+            : `The project name ${projectName} is already taken`,
+        });
+      }
+
+      namespace = computeNamespace(projectName);
+
+      try {
+        await provisionNamespace(fastify.db, namespace, fastify.log);
+      } catch (k8sErr) {
+        fastify.log.error(`Failed to create Kubernetes namespace: ${k8sErr.message}`);
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: k8sErr.message.includes('exists') ? k8sErr.message : 'Failed to create environment namespace',
+        });
+      }
+
+      const result = await fastify.db.query(
+        `INSERT INTO projects (user_id, name, organization_id, parent_project_id, environment)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, organization_id, parent_project_id, environment, created_at`,
+        [root.user_id, projectName, root.organization_id, root.id, environment]
+      );
+
+      created = result.rows[0];
+
+      // Copy the parent's services; replicas and settings can then diverge per environment.
+      // Custom domains are per environment and are not copied.
+      const sourceServices = await fastify.db.query(
+        'SELECT id FROM services WHERE project_id = $1 AND preview_id IS NULL ORDER BY created_at ASC',
+        [root.id]
+      );
+
+      for (const source of sourceServices.rows) {
+        const copyResult = await fastify.db.query(
+          `INSERT INTO services (
+            name, project_id, repo_url, image, branch, dockerfile_path,
+            build_context, port, replicas, storage_gb, health_check_path, webhook_secret,
+            resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+            autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas,
+            autoscaling_cpu_target, autoscaling_memory_target, idle_timeout_minutes,
+            deploy_strategy, canary_weight, canary_step, canary_interval_minutes, release_command,
+            service_type, cron_schedule, cron_concurrency_policy, cron_successful_history, cron_failed_history,
+            liveness_command
+          )
+          SELECT
+            name, $1, repo_url, image, branch, dockerfile_path,
+            build_context, port, replicas, storage_gb, health_check_path, $2,
+            resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+            autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas,
+            autoscaling_cpu_target, autoscaling_memory_target, idle_timeout_minutes,
+            deploy_strategy, canary_weight, canary_step, canary_interval_minutes, release_command,
+            service_type, cron_schedule, cron_concurrency_policy, cron_successful_history, cron_failed_history,
+            liveness_command
+          FROM services WHERE id = $3
+          RETURNING id`,
+          [created.id, generateWebhookSecret(), source.id]
+        );
+        const copyId = copyResult.rows[0].id;
+
+        // Services built from a generated Dockerfile keep building with it
+        await fastify.db.query(
+          `INSERT INTO generated_files (service_id, file_type, content, llm_model, detected_framework, tokens_used)
+           SELECT $1, file_type, content, llm_model, detected_framework, tokens_used
+           FROM generated_files WHERE service_id = $2`,
+          [copyId, source.id]
+        );
+
+        if (include_env) {
+          await fastify.db.query(
+            `INSERT INTO env_vars (service_id, key, value, is_secret)
+             SELECT $1, key, value, is_secret
+             FROM env_vars WHERE service_id = $2`,
+            [copyId, source.id]
+          );
+        }
+      }
+
+      fastify.log.info(`Created environment ${environment} (${created.id}) for project ${root.name}`);
+
+      return reply.code(201).send({
+        ...created,
+        namespace,
+        role: accessCheck.role,
+        service_count: sourceServices.rows.length,
+        env_vars_copied: include_env,
+      });
+    } catch (err) {
+      fastify.log.error(`Failed to create environment: ${err.message}`);
+
+      // Roll back what was created so the name can be retried
+      try {
+        if (created) {
+          await fastify.db.query('DELETE FROM projects WHERE id = $1', [created.id]);
+        }
+        if (namespace) {
+          await deleteNamespace(namespace);
+        }
+      } catch (cleanupErr) {
+        fastify.log.error(`Failed to cleanup environment after error: ${cleanupErr.message}`);
+      }
+
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create environment',
+      });
+    }
+  });
 }
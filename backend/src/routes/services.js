@@ -1,15 +1,56 @@
 import { generateWebhookSecret } from '../services/encryption.js';
-import { deleteDeployment, deleteService, deleteIngress, deletePVC, rolloutRestart, deleteServicePods, getPodMetrics, getDeployment, getPodsByLabel, getPodLogs, streamPodLogs, getPodHealth, getPodEvents, patchService, patchDeployment, patchIngress, scaleDeployment } from '../services/kubernetes.js';
+import { rolloutRestart, deleteServicePods, getPodMetrics, getDeployment, getPodsByLabel, getPodLogs, streamPodLogs, getPodHealth, getPodEvents, patchService, patchDeployment, patchIngress, scaleDeployment, getCronJob } from '../services/kubernetes.js';
 import { getLatestCommit, getFileContent, getDockerfileExposedPort } from '../services/github.js';
 import { decrypt, encrypt } from '../services/encryption.js';
-import { runBuildPipeline, deployService, getDecryptedEnvVars } from '../services/buildPipeline.js';
+import { deployService } from '../services/buildPipeline.js';
+import { getDecryptedEnvVars, syncServiceEnv } from '../services/serviceEnv.js';
+import {
+  RESOURCE_PRESETS,
+  BUILD_RESOURCE_PRESETS,
+  CUSTOM_PRESET,
+  resolveResourceUpdate,
+  getServiceResources,
+} from '../services/resources.js';
+import {
+  MAX_AUTOSCALING_REPLICAS,
+  resolveAutoscalingUpdate,
+  getRunningReplicas,
+  getDeployReplicas,
+  syncAutoscaler,
+  getAutoscalerStatus,
+} from '../services/autoscaling.js';
+import { wakeService, clearSleeping } from '../services/idleScaler.js';
+import { deleteServiceResources } from '../services/serviceCleanup.js';
+import { PREVIEW_SCOPES, MAX_PREVIEW_TTL_HOURS, teardownServicePreviews } from '../services/previews.js';
+import { enqueueBuild } from '../services/buildQueue.js';
+import {
+  DEPLOY_STRATEGIES,
+  getActiveRollout,
+  promoteRollout,
+  abortRollout,
+  cancelActiveRollouts,
+} from '../services/rollouts.js';
+import { authorizeProject, authorizeService } from '../services/permissions.js';
+import { sendRollbackNotification, sendServiceStateNotification } from '../services/notifications.js';
+import {
+  CRON_CONCURRENCY_POLICIES,
+  MAX_CRON_HISTORY,
+  MAX_CRON_NAME_LENGTH,
+  validateCronSchedule,
+  applyCronSettings,
+  setCronJobSuspended,
+} from '../services/cronJobs.js';
 import { validateDockerfile } from '../services/dockerfileValidator.js';
 import { performHealthCheck, getHealthHistory } from '../services/healthChecker.js';
+import { METRICS_RANGES, parseStep, getMetricsHistory } from '../services/metricsHistory.js';
 
 const NAME_REGEX = /^[a-z][a-z0-9-]*[a-z0-9]$|^[a-z]$/;
 const NAME_MIN_LENGTH = 1;
 const NAME_MAX_LENGTH = 63;
 
+// web: Deployment + Service + Ingress; worker: Deployment only; cron: CronJob
+const SERVICE_TYPES = ['web', 'worker', 'cron'];
+
 function validateServiceName(name) {
   if (!name || typeof name !== 'string') {
     return { valid: false, error: 'Name is required' };
@@ -32,6 +73,88 @@ function validateServiceName(name) {
   return { valid: true, name: trimmedName };
 }
 
+/**
+ * Check the type-specific fields of a new service. Web services need a port; a port or
+ * health check given for a worker or cron service is ignored.
+ * @param {string} name - Validated service name
+ * @param {object} body - Create request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateServiceTypeCreate(name, body) {
+  const serviceType = body.service_type || 'web';
+  if (serviceType !== 'cron' && body.cron_schedule) {
+    return 'cron_schedule is only valid for cron services';
+  }
+
+  if (serviceType === 'web') {
+    return body.port ? null : 'port is required for web services';
+  }
+  if (serviceType === 'worker') {
+    return null;
+  }
+
+  if (name.length > MAX_CRON_NAME_LENGTH) {
+    return `Cron service names must be at most ${MAX_CRON_NAME_LENGTH} characters`;
+  }
+
+  if (body.storage_gb) {
+    return 'Cron services cannot have persistent storage';
+  }
+
+  return validateCronSchedule(body.cron_schedule);
+}
+
+/**
+ * Check a service update against the service's type. Workers have no port, HTTP health
+ * check, idle mode or traffic-shifting rollout strategy. Cron services have no port,
+ * replicas, health check, autoscaling, idle mode, rollout strategy, storage or previews.
+ * @param {object} service - Current service row
+ * @param {object} body - Update request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateServiceTypeUpdate(service, body) {
+  const cronFields = ['cron_schedule', 'cron_concurrency_policy', 'cron_successful_history', 'cron_failed_history'];
+  if (service.service_type !== 'cron') {
+    const field = cronFields.find(f => body[f] !== undefined);
+    if (field) {
+      return `${field} is only valid for cron services`;
+    }
+  }
+
+  if (service.service_type !== 'worker' && body.liveness_command !== undefined) {
+    return 'liveness_command is only valid for worker services';
+  }
+
+  if (service.service_type === 'worker') {
+    if (body.port !== undefined || body.health_check_path !== undefined) {
+      return 'Worker services have no port or HTTP health check. Use liveness_command instead';
+    }
+    if (body.idle_timeout_minutes) {
+      return 'Worker services cannot use idle mode';
+    }
+    if (body.deploy_strategy !== undefined && body.deploy_strategy !== 'rolling') {
+      return 'Worker services can only use the rolling deploy strategy';
+    }
+    return null;
+  }
+
+  if (service.service_type !== 'cron') {
+    return null;
+  }
+
+  if (body.port !== undefined || body.replicas !== undefined || body.health_check_path !== undefined) {
+    return 'Cron services have no port, replicas or health check';
+  }
+  if (body.autoscaling_enabled || body.idle_timeout_minutes || body.previews_enabled || body.storage_gb) {
+    return 'Cron services cannot use autoscaling, idle mode, previews or persistent storage';
+  }
+  if (body.deploy_strategy !== undefined && body.deploy_strategy !== 'rolling') {
+    return 'Cron services can only use the rolling deploy strategy';
+  }
+
+  return body.cron_schedule !== undefined ? validateCronSchedule(body.cron_schedule) : null;
+}
+
 const ENV_VAR_KEY_REGEX = /^[A-Z][A-Z0-9_]*$/;
 
 function validateEnvVarKey(key) {
@@ -69,11 +192,40 @@ function computeWebhookUrl(serviceId) {
   return `${baseUrl}/${serviceId}`;
 }
 
+/**
+ * Shape an env_vars row for the API. Secret values stay masked; plain values are shown.
+ * @param {object} row - Row with id, key, value (encrypted), is_secret, created_at
+ * @returns {object}
+ */
+function formatEnvVar(row) {
+  return {
+    id: row.id,
+    key: row.key,
+    value: row.is_secret ? MASKED_VALUE : decrypt(row.value),
+    is_secret: row.is_secret,
+    created_at: row.created_at,
+  };
+}
+
 function computeNamespace(projectName) {
   // Namespace is just the project name (globally unique)
   return projectName;
 }
 
+/**
+ * Project of a service returned by authorizeService, as notifications expect it
+ */
+function serviceProject(service) {
+  return { id: service.project_id, name: service.project_name, user_id: service.user_id };
+}
+
+/**
+ * User making a request, as notifications report who did something
+ */
+function requestActor(request) {
+  return { id: request.user.id, username: request.user.github_username };
+}
+
 function parseResourceQuantity(value) {
   if (!value || value === '0') return 0;
 
@@ -114,9 +266,10 @@ export default async function serviceRoutes(fastify, options) {
   const createServiceSchema = {
     body: {
       type: 'object',
-      required: ['name', 'port'],
+      required: ['name'],
       properties: {
         name: { type: 'string' },
+        service_type: { type: 'string', enum: SERVICE_TYPES, default: 'web' },
         repo_url: { type: 'string' },
         image: { type: 'string' },
         branch: { type: 'string', default: 'main' },
@@ -126,6 +279,8 @@ export default async function serviceRoutes(fastify, options) {
         replicas: { type: 'integer', minimum: 1, maximum: 3, default: 1 },
         storage_gb: { type: ['integer', 'null'], minimum: 1, maximum: 10 },
         health_check_path: { type: 'string' },
+        cron_schedule: { type: 'string', maxLength: 100 },
+        cron_concurrency_policy: { type: 'string', enum: CRON_CONCURRENCY_POLICIES },
       },
     },
   };
@@ -161,56 +316,36 @@ export default async function serviceRoutes(fastify, options) {
         replicas: { type: 'integer', minimum: 1, maximum: 3 },
         storage_gb: { type: ['integer', 'null'], minimum: 1, maximum: 10 },
         health_check_path: { type: 'string' },
+        release_command: { type: ['string', 'null'], maxLength: 1000 },
+        liveness_command: { type: ['string', 'null'], maxLength: 1000 },
+        resource_preset: { type: 'string', enum: [...Object.keys(RESOURCE_PRESETS), CUSTOM_PRESET] },
+        cpu_request: { type: 'string', maxLength: 16 },
+        cpu_limit: { type: 'string', maxLength: 16 },
+        memory_request: { type: 'string', maxLength: 16 },
+        memory_limit: { type: 'string', maxLength: 16 },
+        build_resource_preset: { type: 'string', enum: Object.keys(BUILD_RESOURCE_PRESETS) },
+        autoscaling_enabled: { type: 'boolean' },
+        autoscaling_min_replicas: { type: 'integer', minimum: 1, maximum: MAX_AUTOSCALING_REPLICAS },
+        autoscaling_max_replicas: { type: 'integer', minimum: 1, maximum: MAX_AUTOSCALING_REPLICAS },
+        autoscaling_cpu_target: { type: ['integer', 'null'], minimum: 10, maximum: 100 },
+        autoscaling_memory_target: { type: ['integer', 'null'], minimum: 10, maximum: 100 },
+        idle_timeout_minutes: { type: ['integer', 'null'], minimum: 5, maximum: 1440 },
+        previews_enabled: { type: 'boolean' },
+        preview_scope: { type: 'string', enum: PREVIEW_SCOPES },
+        preview_ttl_hours: { type: 'integer', minimum: 1, maximum: MAX_PREVIEW_TTL_HOURS },
+        deploy_strategy: { type: 'string', enum: DEPLOY_STRATEGIES },
+        canary_weight: { type: 'integer', minimum: 1, maximum: 99 },
+        canary_step: { type: 'integer', minimum: 1, maximum: 100 },
+        canary_interval_minutes: { type: 'integer', minimum: 1, maximum: 1440 },
+        cron_schedule: { type: 'string', maxLength: 100 },
+        cron_concurrency_policy: { type: 'string', enum: CRON_CONCURRENCY_POLICIES },
+        cron_successful_history: { type: 'integer', minimum: 0, maximum: MAX_CRON_HISTORY },
+        cron_failed_history: { type: 'integer', minimum: 0, maximum: MAX_CRON_HISTORY },
       },
       additionalProperties: false,
     },
   };
 
-  /**
-   * Helper function to verify project ownership
-   */
-  async function verifyProjectOwnership(projectId, userId) {
-    const result = await fastify.db.query(
-      'SELECT id, user_id, name FROM projects WHERE id = $1',
-      [projectId]
-    );
-
-    if (result.rows.length === 0) {
-      return { error: 'Project not found', status: 404 };
-    }
-
-    const project = result.rows[0];
-    if (project.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
-    }
-
-    return { project };
-  }
-
-  /**
-   * Helper function to verify service ownership through project
-   */
-  async function verifyServiceOwnership(serviceId, userId) {
-    const result = await fastify.db.query(
-      `SELECT s.*, s.detected_port, p.user_id, p.name as project_name
-       FROM services s
-       JOIN projects p ON s.project_id = p.id
-       WHERE s.id = $1`,
-      [serviceId]
-    );
-
-    if (result.rows.length === 0) {
-      return { error: 'Service not found', status: 404 };
-    }
-
-    const service = result.rows[0];
-    if (service.user_id !== userId) {
-      return { error: 'Access denied', status: 403 };
-    }
-
-    return { service };
-  }
-
   /**
    * POST /projects/:projectId/services
    * Create a new service
@@ -222,16 +357,16 @@ export default async function serviceRoutes(fastify, options) {
     const userHash = request.user.hash;
     const projectId = request.params.projectId;
 
-    // Verify project ownership
-    const ownershipCheck = await verifyProjectOwnership(projectId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify project access
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { project } = ownershipCheck;
+    const { project } = accessCheck;
 
     // Validate service name
     const validation = validateServiceName(request.body.name);
@@ -244,6 +379,7 @@ export default async function serviceRoutes(fastify, options) {
 
     const serviceName = validation.name;
     const {
+      service_type = 'web',
       repo_url,
       image,
       branch = 'main',
@@ -253,6 +389,8 @@ export default async function serviceRoutes(fastify, options) {
       replicas = 1,
       storage_gb,
       health_check_path,
+      cron_schedule,
+      cron_concurrency_policy = 'Forbid',
     } = request.body;
 
     // Validate that either repo_url or image is provided
@@ -263,6 +401,17 @@ export default async function serviceRoutes(fastify, options) {
       });
     }
 
+    const typeError = validateServiceTypeCreate(serviceName, request.body);
+    if (typeError) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: typeError,
+      });
+    }
+
+    const isWeb = service_type === 'web';
+    const isCron = service_type === 'cron';
+
     try {
       // Check if service name already exists for this project
       const existing = await fastify.db.query(
@@ -282,14 +431,25 @@ export default async function serviceRoutes(fastify, options) {
 
       // Insert into database
       const result = await fastify.db.query(
-        `INSERT INTO services (project_id, name, repo_url, image, branch, dockerfile_path, build_context, port, replicas, storage_gb, health_check_path, webhook_secret)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-         RETURNING id, name, repo_url, image, branch, dockerfile_path, build_context, port, replicas, storage_gb, health_check_path, created_at`,
-        [projectId, serviceName, repo_url || null, image || null, branch, dockerfile_path, build_context || null, port, replicas, storage_gb || null, health_check_path || null, webhookSecret]
+        `INSERT INTO services (project_id, name, repo_url, image, branch, dockerfile_path, build_context, port, replicas, storage_gb, health_check_path, webhook_secret,
+                               service_type, cron_schedule, cron_concurrency_policy)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING id, name, service_type, repo_url, image, branch, dockerfile_path, build_context, port, replicas, storage_gb, health_check_path,
+                   resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+                   autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas,
+                   autoscaling_cpu_target, autoscaling_memory_target, idle_timeout_minutes, sleeping_at,
+                   previews_enabled, preview_scope, preview_ttl_hours, preview_id,
+                   deploy_strategy, canary_weight, canary_step, canary_interval_minutes, release_command, liveness_command,
+                   cron_schedule, cron_concurrency_policy, cron_successful_history, cron_failed_history, created_at`,
+        [
+          projectId, serviceName, repo_url || null, image || null, branch, dockerfile_path, build_context || null,
+          isWeb ? port : null, isCron ? 1 : replicas, storage_gb || null, isWeb ? health_check_path || null : null, webhookSecret,
+          service_type, isCron ? cron_schedule.trim() : null, cron_concurrency_policy,
+        ]
       );
 
       const service = result.rows[0];
-      const subdomain = computeSubdomain(project.name, serviceName);
+      const subdomain = isWeb ? computeSubdomain(project.name, serviceName) : null;
       const webhookUrl = computeWebhookUrl(service.id);
 
       fastify.log.info(`Created service: ${serviceName} (${service.id}) in project ${projectId}`);
@@ -344,7 +504,8 @@ export default async function serviceRoutes(fastify, options) {
                     required: ['key', 'value'],
                     properties: {
                       key: { type: 'string' },
-                      value: { type: 'string' }
+                      value: { type: 'string' },
+                      is_secret: { type: 'boolean', default: true }
                     }
                   }
                 },
@@ -376,12 +537,12 @@ export default async function serviceRoutes(fastify, options) {
     const projectId = request.params.projectId;
     const { services } = request.body;
 
-    // Verify project ownership
-    const ownershipCheck = await verifyProjectOwnership(projectId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify project access
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
@@ -508,8 +669,8 @@ export default async function serviceRoutes(fastify, options) {
           for (const env of svc.env_vars) {
             const encryptedValue = encrypt(env.value);
             await client.query(
-              'INSERT INTO env_vars (service_id, key, value) VALUES ($1, $2, $3)',
-              [service.id, env.key.toUpperCase(), encryptedValue]
+              'INSERT INTO env_vars (service_id, key, value, is_secret) VALUES ($1, $2, $3, $4)',
+              [service.id, env.key.toUpperCase(), encryptedValue, env.is_secret]
             );
           }
         }
@@ -547,7 +708,7 @@ export default async function serviceRoutes(fastify, options) {
 
         createdServices.push({
           ...service,
-          subdomain: computeSubdomain(ownershipCheck.project.name, serviceName),
+          subdomain: computeSubdomain(accessCheck.project.name, serviceName),
           webhook_url: computeWebhookUrl(service.id),
           has_generated_dockerfile: !!svc.generated_dockerfile?.dockerfile
         });
@@ -587,16 +748,16 @@ export default async function serviceRoutes(fastify, options) {
     const userHash = request.user.hash;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
 
     try {
       // Get latest deployment status
@@ -610,9 +771,55 @@ export default async function serviceRoutes(fastify, options) {
       );
 
       const latestDeployment = deploymentResult.rows[0] || null;
-      const subdomain = computeSubdomain(service.project_name, service.name);
+
+      // Preview copies link back to their pull request and source service
+      let preview = null;
+      if (service.preview_id) {
+        const previewResult = await fastify.db.query(
+          `SELECT id, service_id, pr_number, pr_title, pr_url, head_branch, expires_at
+           FROM previews WHERE id = $1`,
+          [service.preview_id]
+        );
+        preview = previewResult.rows[0] || null;
+      }
+
+      // Blue-green or canary rollout in progress
+      const activeRollout = await getActiveRollout(fastify.db, serviceId);
+      const rollout = activeRollout ? {
+        deployment_id: activeRollout.id,
+        strategy: activeRollout.rollout_strategy,
+        phase: activeRollout.rollout_phase,
+        weight: activeRollout.traffic_weight,
+        updated_at: activeRollout.rollout_updated_at,
+      } : null;
+
+      // The same service in the project's other environments (promotion targets)
+      const environmentsResult = await fastify.db.query(
+        `SELECT p.id AS project_id, p.environment, s.id AS service_id
+         FROM projects p
+         JOIN services s ON s.project_id = p.id AND s.name = $2 AND s.preview_id IS NULL
+         WHERE COALESCE(p.parent_project_id, p.id) = $1
+         ORDER BY p.parent_project_id NULLS FIRST, p.created_at ASC`,
+        [service.parent_project_id || service.project_id, service.name]
+      );
+
+      // Only web services are reachable over HTTP; stopping a cron service suspends its CronJob
+      const isWeb = service.service_type === 'web';
+      const isCron = service.service_type === 'cron';
+      let cronSuspended = null;
+      if (isCron) {
+        try {
+          const cronJob = await getCronJob(computeNamespace(service.project_name), service.name);
+          cronSuspended = cronJob.spec?.suspend === true;
+        } catch (err) {
+          if (err.status !== 404) {
+            fastify.log.warn(`Could not get CronJob for ${service.name}: ${err.message}`);
+          }
+        }
+      }
+      const subdomain = isWeb ? computeSubdomain(service.project_name, service.name) : null;
       const webhookUrl = computeWebhookUrl(serviceId);
-      const serviceUrl = computeServiceUrl(subdomain);
+      const serviceUrl = isWeb ? computeServiceUrl(subdomain) : null;
 
       // Check for port mismatch
       const hasMismatch = service.detected_port !== null && service.detected_port !== service.port;
@@ -621,6 +828,7 @@ export default async function serviceRoutes(fastify, options) {
         id: service.id,
         project_id: service.project_id,
         name: service.name,
+        service_type: service.service_type,
         repo_url: service.repo_url,
         image: service.image,
         branch: service.branch,
@@ -632,11 +840,43 @@ export default async function serviceRoutes(fastify, options) {
         replicas: service.replicas,
         storage_gb: service.storage_gb,
         health_check_path: service.health_check_path,
+        release_command: service.release_command,
+        liveness_command: service.liveness_command,
+        resource_preset: service.resource_preset,
+        cpu_request: service.cpu_request,
+        cpu_limit: service.cpu_limit,
+        memory_request: service.memory_request,
+        memory_limit: service.memory_limit,
+        build_resource_preset: service.build_resource_preset,
+        autoscaling_enabled: service.autoscaling_enabled,
+        autoscaling_min_replicas: service.autoscaling_min_replicas,
+        autoscaling_max_replicas: service.autoscaling_max_replicas,
+        autoscaling_cpu_target: service.autoscaling_cpu_target,
+        autoscaling_memory_target: service.autoscaling_memory_target,
+        idle_timeout_minutes: service.idle_timeout_minutes,
+        sleeping_at: service.sleeping_at,
+        previews_enabled: service.previews_enabled,
+        preview_scope: service.preview_scope,
+        preview_ttl_hours: service.preview_ttl_hours,
+        preview,
+        deploy_strategy: service.deploy_strategy,
+        canary_weight: service.canary_weight,
+        canary_step: service.canary_step,
+        canary_interval_minutes: service.canary_interval_minutes,
+        cron_schedule: service.cron_schedule,
+        cron_concurrency_policy: service.cron_concurrency_policy,
+        cron_successful_history: service.cron_successful_history,
+        cron_failed_history: service.cron_failed_history,
+        cron_suspended: cronSuspended,
+        rollout,
+        environment: service.environment,
+        environments: environmentsResult.rows,
         created_at: service.created_at,
         subdomain,
         url: serviceUrl,
         webhook_url: webhookUrl,
         latest_deployment: latestDeployment,
+        role: accessCheck.role,
       };
     } catch (err) {
       fastify.log.error(`Failed to get service: ${err.message}`);
@@ -656,16 +896,16 @@ export default async function serviceRoutes(fastify, options) {
     const userHash = request.user.hash;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
     try {
@@ -689,8 +929,9 @@ export default async function serviceRoutes(fastify, options) {
         };
       }
 
-      // Get resource limits from deployment
+      // Get resource limits and replica counts from deployment
       let limits = null;
+      let replicas = null;
       try {
         const deployment = await getDeployment(namespace, service.name);
         const containerLimits = deployment.spec?.template?.spec?.containers?.[0]?.resources?.limits;
@@ -700,10 +941,23 @@ export default async function serviceRoutes(fastify, options) {
             memoryBytes: parseResourceQuantity(containerLimits.memory)
           };
         }
+        replicas = {
+          desired: deployment.spec?.replicas || 0,
+          current: deployment.status?.replicas || 0,
+          ready: deployment.status?.readyReplicas || 0,
+          available: deployment.status?.availableReplicas || 0
+        };
       } catch (deployErr) {
         fastify.log.warn(`Could not get deployment limits for ${service.name}: ${deployErr.message}`);
       }
 
+      let autoscaler = null;
+      try {
+        autoscaler = await getAutoscalerStatus(namespace, service.name);
+      } catch (hpaErr) {
+        fastify.log.warn(`Could not get autoscaler for ${service.name}: ${hpaErr.message}`);
+      }
+
       // Parse and aggregate metrics
       const parsedPods = podMetrics.map(pod => {
         const container = pod.containers[0] || {};
@@ -731,13 +985,15 @@ export default async function serviceRoutes(fastify, options) {
       const aggregated = {
         totalCpuMillicores: parsedPods.reduce((sum, pod) => sum + pod.cpu.usageMillicores, 0),
         totalMemoryBytes: parsedPods.reduce((sum, pod) => sum + pod.memory.usageBytes, 0),
-        podCount: parsedPods.length
+        podCount: parsedPods.length,
+        replicas
       };
 
       return {
         pods: parsedPods,
         aggregated,
         limits,
+        autoscaler,
         available: true
       };
     } catch (err) {
@@ -749,6 +1005,54 @@ export default async function serviceRoutes(fastify, options) {
     }
   });
 
+  /**
+   * GET /services/:id/metrics/history
+   * CPU, memory and restart history over a range (1h to 90d), averaged per step
+   * (e.g. "5m"; picked from the range when omitted)
+   */
+  fastify.get('/services/:id/metrics/history', {
+    schema: {
+      ...serviceParamsSchema,
+      querystring: {
+        type: 'object',
+        properties: {
+          range: { type: 'string', enum: Object.keys(METRICS_RANGES), default: '24h' },
+          step: { type: 'string', maxLength: 10 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const accessCheck = await authorizeService(fastify.db, request.params.id, request.user.id, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    const { range, step } = request.query;
+    let stepSeconds = null;
+    if (step !== undefined) {
+      stepSeconds = parseStep(step);
+      if (!stepSeconds) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'step must be a number of seconds, or a number followed by s, m, h or d (e.g. "5m")',
+        });
+      }
+    }
+
+    try {
+      return await getMetricsHistory(fastify.db, accessCheck.service, { range, step: stepSeconds });
+    } catch (err) {
+      fastify.log.error(`Failed to get metrics history: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get metrics history',
+      });
+    }
+  });
+
   /**
    * GET /services/:id/health
    * Get health check status for a service
@@ -758,16 +1062,16 @@ export default async function serviceRoutes(fastify, options) {
     const userHash = request.user.hash;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
 
     // Check if health check is configured
     if (!service.health_check_path) {
@@ -777,6 +1081,20 @@ export default async function serviceRoutes(fastify, options) {
       };
     }
 
+    // A sleeping service has no pods, and checking its URL would wake it
+    if (service.sleeping_at) {
+      return {
+        configured: true,
+        path: service.health_check_path,
+        status: 'sleeping',
+        sleeping_at: service.sleeping_at,
+        pods: [],
+        activeCheck: null,
+        history: await getHealthHistory(fastify.db, serviceId, 20).catch(() => []),
+        events: []
+      };
+    }
+
     const namespace = computeNamespace(service.project_name);
     const subdomain = computeSubdomain(service.project_name, service.name);
 
@@ -845,24 +1163,106 @@ export default async function serviceRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const allowedFields = ['branch', 'dockerfile_path', 'build_context', 'port', 'replicas', 'storage_gb', 'health_check_path'];
+    const allowedFields = [
+      'branch', 'dockerfile_path', 'build_context', 'port', 'replicas', 'storage_gb', 'health_check_path',
+      'release_command', 'liveness_command', 'build_resource_preset', 'idle_timeout_minutes', 'previews_enabled', 'preview_scope', 'preview_ttl_hours',
+      'deploy_strategy', 'canary_weight', 'canary_step', 'canary_interval_minutes',
+      'cron_schedule', 'cron_concurrency_policy', 'cron_successful_history', 'cron_failed_history',
+    ];
     const updates = {};
 
+    const typeError = validateServiceTypeUpdate(accessCheck.service, request.body);
+    if (typeError) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: typeError,
+      });
+    }
+
     for (const field of allowedFields) {
       if (request.body[field] !== undefined) {
         updates[field] = request.body[field];
       }
     }
 
+    if (updates.cron_schedule !== undefined) {
+      updates.cron_schedule = updates.cron_schedule.trim();
+    }
+
+    // An empty release or liveness command turns it off; both run through /bin/sh -c, so they
+    // must be one line
+    for (const [field, label] of [['release_command', 'Release command'], ['liveness_command', 'Liveness command']]) {
+      if (typeof updates[field] === 'string') {
+        updates[field] = updates[field].trim() || null;
+        if (/[\u0000-\u001f\u007f]/.test(updates[field] || '')) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: `${label} must be a single line. Chain commands with && or use a script`,
+          });
+        }
+      }
+    }
+
+    // Presets and explicit requests/limits resolve to all four values plus the preset name
+    const resourceUpdate = resolveResourceUpdate(accessCheck.service, request.body);
+    if (resourceUpdate.error) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: resourceUpdate.error,
+      });
+    }
+    Object.assign(updates, resourceUpdate.updates);
+
+    const autoscalingUpdate = resolveAutoscalingUpdate(accessCheck.service, request.body);
+    if (autoscalingUpdate.error) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: autoscalingUpdate.error,
+      });
+    }
+    Object.assign(updates, autoscalingUpdate.updates);
+
+    const autoscalingEnabled = updates.autoscaling_enabled ?? accessCheck.service.autoscaling_enabled;
+    if (updates.replicas !== undefined && autoscalingEnabled) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Replicas are managed by the autoscaler. Disable autoscaling or change autoscaling_min_replicas/autoscaling_max_replicas instead.',
+      });
+    }
+
+    // Only HTTP requests through the Ingress wake a sleeping service, not TCP/UDP traffic
+    if (updates.idle_timeout_minutes) {
+      const portsResult = await fastify.db.query(
+        'SELECT COUNT(*) AS total FROM service_ports WHERE service_id = $1',
+        [serviceId]
+      );
+      if (parseInt(portsResult.rows[0].total, 10) > 0) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Services with exposed TCP/UDP ports cannot use idle mode',
+        });
+      }
+    }
+
+    // Both versions run at once during a rollout, but a volume can only be mounted by one pod set
+    const deployStrategy = updates.deploy_strategy ?? accessCheck.service.deploy_strategy;
+    const storageGb = updates.storage_gb !== undefined ? updates.storage_gb : accessCheck.service.storage_gb;
+    if (deployStrategy !== 'rolling' && storageGb) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Blue-green and canary deployments cannot be used with persistent storage',
+      });
+    }
+
     if (Object.keys(updates).length === 0) {
       return reply.code(400).send({
         error: 'Bad Request',
@@ -888,7 +1288,13 @@ export default async function serviceRoutes(fastify, options) {
         `UPDATE services
          SET ${setClauses.join(', ')}
          WHERE id = $${paramIndex}
-         RETURNING id, name, repo_url, image, branch, dockerfile_path, build_context, port, replicas, storage_gb, health_check_path, created_at`,
+         RETURNING id, name, service_type, repo_url, image, branch, dockerfile_path, build_context, port, replicas, storage_gb, health_check_path,
+                   resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+                   autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas,
+                   autoscaling_cpu_target, autoscaling_memory_target, idle_timeout_minutes, sleeping_at,
+                   previews_enabled, preview_scope, preview_ttl_hours, preview_id,
+                   deploy_strategy, canary_weight, canary_step, canary_interval_minutes, release_command, liveness_command,
+                   cron_schedule, cron_concurrency_policy, cron_successful_history, cron_failed_history, created_at`,
         values
       );
 
@@ -896,10 +1302,78 @@ export default async function serviceRoutes(fastify, options) {
 
       fastify.log.info(`Updated service: ${service.name} (${serviceId})`);
 
+      // Apply replica changes to a running deployment right away (stopped services stay at 0)
+      if (updates.replicas !== undefined) {
+        const namespace = computeNamespace(accessCheck.service.project_name);
+        try {
+          const deployment = await getDeployment(namespace, service.name);
+          if ((deployment.spec?.replicas || 0) > 0) {
+            await scaleDeployment(namespace, service.name, service.replicas);
+          }
+        } catch (err) {
+          if (err.status !== 404) {
+            fastify.log.warn(`Failed to scale ${service.name} to ${service.replicas}: ${err.message}`);
+          }
+        }
+      }
+
+      // Create, update or remove the HPA. Turning autoscaling off hands a running deployment
+      // back to the fixed replica count
+      if (autoscalingUpdate.updates) {
+        const namespace = computeNamespace(accessCheck.service.project_name);
+        try {
+          const deployment = await getDeployment(namespace, service.name);
+          await syncAutoscaler(namespace, service);
+          if (!service.autoscaling_enabled && (deployment.spec?.replicas || 0) > 0) {
+            await scaleDeployment(namespace, service.name, getRunningReplicas(service));
+          }
+        } catch (err) {
+          if (err.status !== 404) {
+            fastify.log.warn(`Failed to apply autoscaling to ${service.name}: ${err.message}`);
+          }
+        }
+      }
+
+      // Turning idle mode off wakes a sleeping service
+      if (updates.idle_timeout_minutes === null && service.sleeping_at) {
+        wakeService(fastify.db, { ...accessCheck.service, ...service });
+      }
+
+      // Cron settings and resources apply from the next run
+      const cronUpdated = ['cron_schedule', 'cron_concurrency_policy', 'cron_successful_history', 'cron_failed_history']
+        .some(field => updates[field] !== undefined);
+      if (service.service_type === 'cron' && (cronUpdated || resourceUpdate.updates)) {
+        try {
+          await applyCronSettings(computeNamespace(accessCheck.service.project_name), service);
+        } catch (err) {
+          fastify.log.warn(`Failed to apply cron settings to ${service.name}: ${err.message}`);
+        }
+      }
+
+      // Resource changes roll the running pods; the build preset applies to the next build
+      if (resourceUpdate.updates && service.service_type !== 'cron') {
+        const namespace = computeNamespace(accessCheck.service.project_name);
+        try {
+          await patchDeployment(namespace, service.name, {
+            spec: {
+              template: {
+                spec: {
+                  containers: [{ name: service.name, resources: getServiceResources(service) }],
+                },
+              },
+            },
+          });
+        } catch (err) {
+          if (err.status !== 404) {
+            fastify.log.warn(`Failed to apply resources to ${service.name}: ${err.message}`);
+          }
+        }
+      }
+
       // Return consistent format with GET endpoint (include computed fields)
       return {
         ...service,
-        subdomain: computeSubdomain(ownershipCheck.service.project_name, service.name),
+        subdomain: service.service_type === 'web' ? computeSubdomain(accessCheck.service.project_name, service.name) : null,
         webhook_url: computeWebhookUrl(serviceId),
       };
     } catch (err) {
@@ -920,41 +1394,24 @@ export default async function serviceRoutes(fastify, options) {
     const userHash = request.user.hash;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
     try {
-      // Delete K8s resources (ignore 404 errors)
-      const k8sDeletes = [
-        { name: 'deployment', fn: () => deleteDeployment(namespace, service.name) },
-        { name: 'service', fn: () => deleteService(namespace, service.name) },
-        { name: 'ingress', fn: () => deleteIngress(namespace, service.name) },
-      ];
+      // Tear down the service's preview environments first
+      await teardownServicePreviews(fastify.db, serviceId);
 
-      // Only delete PVC if storage was configured
-      if (service.storage_gb) {
-        k8sDeletes.push({ name: 'pvc', fn: () => deletePVC(namespace, `${service.name}-pvc`) });
-      }
-
-      for (const resource of k8sDeletes) {
-        try {
-          await resource.fn();
-          fastify.log.info(`Deleted K8s ${resource.name}: ${service.name} in ${namespace}`);
-        } catch (k8sErr) {
-          if (k8sErr.status !== 404) {
-            fastify.log.warn(`Failed to delete K8s ${resource.name}: ${k8sErr.message}`);
-          }
-        }
-      }
+      // Delete K8s resources (missing ones are skipped)
+      await deleteServiceResources(namespace, service);
 
       // Delete from database (cascades env_vars, deployments)
       await fastify.db.query('DELETE FROM services WHERE id = $1', [serviceId]);
@@ -977,25 +1434,21 @@ export default async function serviceRoutes(fastify, options) {
    */
   fastify.post('/services/:id/deploy', { schema: serviceParamsSchema }, async (request, reply) => {
     const userId = request.user.id;
-    const userHash = request.user.hash;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
-    const namespace = computeNamespace(service.project_name);
+    const { service } = accessCheck;
 
     try {
       let deployment;
-      let commitSha = null;
-      let githubToken = null;
 
       // For image-only services (no repo_url), we don't need GitHub token or commit info
       if (service.image && !service.repo_url) {
@@ -1010,10 +1463,11 @@ export default async function serviceRoutes(fastify, options) {
         deployment = result.rows[0];
         fastify.log.info(`Created image deployment ${deployment.id} for service ${serviceId} using ${service.image}`);
       } else {
-        // For repo-based services, get GitHub token and commit info
+        // For repo-based services, get GitHub token and commit info.
+        // Builds use the project owner's token, so collaborators can deploy too.
         const userResult = await fastify.db.query(
           'SELECT github_access_token FROM users WHERE id = $1',
-          [userId]
+          [service.user_id]
         );
 
         if (!userResult.rows[0]?.github_access_token) {
@@ -1023,11 +1477,11 @@ export default async function serviceRoutes(fastify, options) {
           });
         }
 
-        githubToken = decrypt(userResult.rows[0].github_access_token);
+        const githubToken = decrypt(userResult.rows[0].github_access_token);
 
         // Get latest commit from the branch
         const commit = await getLatestCommit(githubToken, service.repo_url, service.branch);
-        commitSha = commit.sha;
+        const commitSha = commit.sha;
 
         // Create deployment record
         const result = await fastify.db.query(
@@ -1041,31 +1495,12 @@ export default async function serviceRoutes(fastify, options) {
         fastify.log.info(`Created deployment ${deployment.id} for service ${serviceId} at commit ${commitSha}`);
       }
 
-      // Construct project object for notifications
-      const project = {
-        id: service.project_id,
-        name: service.project_name,
-        user_id: service.user_id,
-      };
-
-      // Trigger build pipeline asynchronously (don't await - runs in background)
-      runBuildPipeline(
-        fastify.db,
-        service,
-        deployment,
-        commitSha,
-        githubToken,
-        namespace,
-        service.project_name,
-        userHash,
-        project
-      ).catch(err => {
-        fastify.log.error(`Build pipeline failed for deployment ${deployment.id}: ${err.message}`);
-      });
+      // Queue the build - the queue runs the pipeline in the background
+      await enqueueBuild(fastify.db, service, deployment, 'manual');
 
       return reply.code(201).send({
         ...deployment,
-        message: 'Deployment triggered',
+        message: 'Deployment queued',
       });
     } catch (err) {
       fastify.log.error(`Failed to trigger deployment: ${err.message}`);
@@ -1097,16 +1532,16 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.id;
     const { deployment_id: targetDeploymentId } = request.body;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
     try {
@@ -1152,6 +1587,11 @@ export default async function serviceRoutes(fastify, options) {
 
       fastify.log.info(`Rollback initiated: deployment ${newDeployment.id} rolling back to ${targetDeploymentId}`);
 
+      await sendRollbackNotification(fastify.db, newDeployment, target, service, serviceProject(service), {
+        trigger: 'manual',
+        actor: requestActor(request),
+      });
+
       // Get env vars and deploy the old image (skip build)
       const envVars = await getDecryptedEnvVars(fastify.db, serviceId);
 
@@ -1183,6 +1623,265 @@ export default async function serviceRoutes(fastify, options) {
     }
   });
 
+  /**
+   * POST /services/:id/promote
+   * Redeploy the image of one of this service's deployments (default: the latest live one)
+   * to the service of the same name in another environment of the project, without rebuilding
+   */
+  fastify.post('/services/:id/promote', {
+    schema: {
+      ...serviceParamsSchema,
+      body: {
+        type: 'object',
+        required: ['environment'],
+        properties: {
+          environment: { type: 'string', maxLength: 20 },
+          deployment_id: { type: 'string', format: 'uuid' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+    const { environment, deployment_id: sourceDeploymentId } = request.body;
+
+    // Verify access to the source service
+    const sourceCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (sourceCheck.error) {
+      return reply.code(sourceCheck.status).send({
+        error: sourceCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: sourceCheck.error,
+      });
+    }
+
+    const source = sourceCheck.service;
+
+    if (environment === source.environment) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `${source.name} is already in the ${environment} environment`,
+      });
+    }
+
+    try {
+      // Source deployment: the one requested, or the latest live one
+      const sourceDeploymentResult = sourceDeploymentId
+        ? await fastify.db.query(
+          'SELECT * FROM deployments WHERE id = $1 AND service_id = $2',
+          [sourceDeploymentId, serviceId]
+        )
+        : await fastify.db.query(
+          `SELECT * FROM deployments
+           WHERE service_id = $1 AND status = 'live'
+           ORDER BY created_at DESC
+           LIMIT 1`,
+          [serviceId]
+        );
+
+      if (sourceDeploymentResult.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: sourceDeploymentId ? 'Deployment not found' : `${source.name} has no live deployment to promote`,
+        });
+      }
+
+      const sourceDeployment = sourceDeploymentResult.rows[0];
+
+      if (sourceDeployment.status !== 'live') {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Can only promote successful (live) deployments',
+        });
+      }
+
+      if (!sourceDeployment.image_tag) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Deployment has no image tag (legacy deployment)',
+        });
+      }
+
+      // The same service in the target environment of this project
+      const targetResult = await fastify.db.query(
+        `SELECT s.id
+         FROM services s
+         JOIN projects p ON s.project_id = p.id
+         WHERE COALESCE(p.parent_project_id, p.id) = $1
+         AND p.environment = $2
+         AND s.name = $3
+         AND s.preview_id IS NULL`,
+        [source.parent_project_id || source.project_id, environment, source.name]
+      );
+
+      if (targetResult.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Service ${source.name} does not exist in environment ${environment}`,
+        });
+      }
+
+      // Deploying into the target needs deploy access there
+      const targetCheck = await authorizeService(fastify.db, targetResult.rows[0].id, userId, 'deploy');
+      if (targetCheck.error) {
+        return reply.code(targetCheck.status).send({
+          error: targetCheck.status === 404 ? 'Not Found' : 'Forbidden',
+          message: targetCheck.error,
+        });
+      }
+
+      const target = targetCheck.service;
+
+      const result = await fastify.db.query(
+        `INSERT INTO deployments (service_id, commit_sha, status, image_tag, build_logs, promoted_from, promoted_from_environment)
+         VALUES ($1, $2, 'deploying', $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          target.id,
+          sourceDeployment.commit_sha,
+          sourceDeployment.image_tag,
+          `Promoted from ${source.environment} deployment ${sourceDeployment.id} - skipping build`,
+          sourceDeployment.id,
+          source.environment,
+        ]
+      );
+
+      const newDeployment = result.rows[0];
+
+      fastify.log.info(`Promotion initiated: ${source.name} ${source.environment} deployment ${sourceDeployment.id} -> ${environment} deployment ${newDeployment.id}`);
+
+      // The target environment keeps its own env vars
+      const envVars = await getDecryptedEnvVars(fastify.db, target.id);
+
+      // Deploy asynchronously (don't await - runs in background)
+      deployService(
+        fastify.db,
+        target,
+        newDeployment,
+        sourceDeployment.image_tag,
+        computeNamespace(target.project_name),
+        target.project_name,
+        envVars
+      ).catch(err => {
+        fastify.log.error(`Promotion deployment failed for ${newDeployment.id}: ${err.message}`);
+      });
+
+      return reply.code(201).send({
+        ...newDeployment,
+        message: `Promoting to ${environment}`,
+        target_service_id: target.id,
+        promoted_from: sourceDeployment.id,
+      });
+    } catch (err) {
+      fastify.log.error(`Failed to promote deployment: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to promote deployment',
+      });
+    }
+  });
+
+  /**
+   * POST /services/:id/rollout/promote
+   * Promote the blue-green or canary rollout in progress: move all traffic to the new version
+   */
+  fastify.post('/services/:id/rollout/promote', {
+    schema: serviceParamsSchema,
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    try {
+      const rollout = await getActiveRollout(fastify.db, serviceId);
+      if (!rollout) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'No rollout in progress',
+        });
+      }
+
+      const result = await promoteRollout(fastify.db, rollout.id);
+      if (result.error) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: result.error,
+        });
+      }
+
+      fastify.log.info(`Rollout promoted: ${accessCheck.service.name} deployment ${rollout.id}`);
+
+      return {
+        deployment_id: rollout.id,
+        message: 'Promoting rollout',
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to promote rollout: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to promote rollout',
+      });
+    }
+  });
+
+  /**
+   * POST /services/:id/rollout/abort
+   * Abort the blue-green or canary rollout in progress: send all traffic back to the current version
+   */
+  fastify.post('/services/:id/rollout/abort', {
+    schema: serviceParamsSchema,
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const serviceId = request.params.id;
+
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
+      });
+    }
+
+    try {
+      const rollout = await getActiveRollout(fastify.db, serviceId);
+      if (!rollout) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'No rollout in progress',
+        });
+      }
+
+      const result = await abortRollout(fastify.db, rollout.id, `Aborted by ${request.user.github_username}`);
+      if (result.error) {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: result.error,
+        });
+      }
+
+      fastify.log.info(`Rollout aborted: ${accessCheck.service.name} deployment ${rollout.id}`);
+
+      return {
+        deployment_id: rollout.id,
+        message: 'Rollout aborted',
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to abort rollout: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to abort rollout',
+      });
+    }
+  });
+
   /**
    * POST /services/:id/restart
    * Restart a service without triggering a full rebuild
@@ -1203,18 +1902,25 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.id;
     const { type = 'rolling' } = request.body || {};
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
+    if (service.service_type === 'cron') {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Cron services have no running pods to restart. Use POST /services/:id/runs to run one now',
+      });
+    }
+
     try {
       if (type === 'rolling') {
         await rolloutRestart(namespace, service.name);
@@ -1246,16 +1952,16 @@ export default async function serviceRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
 
     // Cannot validate if no repo_url (image-only services)
     if (!service.repo_url) {
@@ -1266,10 +1972,10 @@ export default async function serviceRoutes(fastify, options) {
     }
 
     try {
-      // Get user's GitHub token
+      // Get the project owner's GitHub token
       const userResult = await fastify.db.query(
         'SELECT github_access_token FROM users WHERE id = $1',
-        [userId]
+        [service.user_id]
       );
 
       if (!userResult.rows[0]?.github_access_token) {
@@ -1323,16 +2029,16 @@ export default async function serviceRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
 
     // Cannot get suggested port for image-only services
     if (!service.repo_url) {
@@ -1343,10 +2049,10 @@ export default async function serviceRoutes(fastify, options) {
     }
 
     try {
-      // Get user's GitHub token
+      // Get the project owner's GitHub token
       const userResult = await fastify.db.query(
         'SELECT github_access_token FROM users WHERE id = $1',
-        [userId]
+        [service.user_id]
       );
 
       if (!userResult.rows[0]?.github_access_token) {
@@ -1419,18 +2125,25 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.id;
     const { port: newPort } = request.body || {};
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
+    if (service.service_type !== 'web') {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Only web services listen on a port',
+      });
+    }
+
     // Determine the target port - use provided port or detected_port
     let targetPort = newPort;
     if (!targetPort) {
@@ -1576,16 +2289,16 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.id;
     const { tailLines = 100, sinceSeconds, pod, container } = request.query;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
     try {
@@ -1664,18 +2377,18 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.id;
     const { pod, container, tailLines = 50 } = request.query;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
       connection.socket.send(JSON.stringify({
         type: 'error',
-        message: ownershipCheck.error
+        message: accessCheck.error
       }));
       connection.socket.close();
       return;
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
     try {
@@ -1762,12 +2475,12 @@ export default async function serviceRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.id;
 
-    // Verify ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
@@ -1829,6 +2542,7 @@ export default async function serviceRoutes(fastify, options) {
       properties: {
         key: { type: 'string' },
         value: { type: 'string' },
+        is_secret: { type: 'boolean', default: true },
       },
     },
   };
@@ -1836,44 +2550,51 @@ export default async function serviceRoutes(fastify, options) {
   const updateEnvVarSchema = {
     body: {
       type: 'object',
-      required: ['value'],
+      minProperties: 1,
       properties: {
         value: { type: 'string' },
+        is_secret: { type: 'boolean' },
       },
     },
   };
 
+  /**
+   * Push a service's env vars to its Secret/ConfigMap and roll the Deployment.
+   * Best-effort: the database is the source of truth and the next deploy re-applies it.
+   * @param {object} service - Service from authorizeService (with project_name)
+   */
+  async function applyEnvChange(service) {
+    try {
+      await syncServiceEnv(fastify.db, service, computeNamespace(service.project_name));
+    } catch (err) {
+      fastify.log.warn(`Failed to sync env for service ${service.id}: ${err.message}`);
+    }
+  }
+
   /**
    * GET /services/:serviceId/env
-   * List all environment variables for a service (masked values)
+   * List all environment variables for a service (secret values masked)
    */
   fastify.get('/services/:serviceId/env', { schema: envVarParamsSchema }, async (request, reply) => {
     const userId = request.user.id;
     const serviceId = request.params.serviceId;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'view');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
     try {
       const result = await fastify.db.query(
-        'SELECT id, key, created_at FROM env_vars WHERE service_id = $1 ORDER BY key ASC',
+        'SELECT id, key, value, is_secret, created_at FROM env_vars WHERE service_id = $1 ORDER BY key ASC',
         [serviceId]
       );
 
-      const envVars = result.rows.map(row => ({
-        id: row.id,
-        key: row.key,
-        value: MASKED_VALUE,
-        created_at: row.created_at,
-      }));
-
-      return { env_vars: envVars };
+      return { env_vars: result.rows.map(formatEnvVar) };
     } catch (err) {
       fastify.log.error(`Failed to list env vars: ${err.message}`);
       return reply.code(500).send({
@@ -1893,12 +2614,12 @@ export default async function serviceRoutes(fastify, options) {
     const userId = request.user.id;
     const serviceId = request.params.serviceId;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
@@ -1912,7 +2633,7 @@ export default async function serviceRoutes(fastify, options) {
     }
 
     const key = validation.key;
-    const { value } = request.body;
+    const { value, is_secret } = request.body;
 
     try {
       // Check if key already exists for this service
@@ -1932,22 +2653,17 @@ export default async function serviceRoutes(fastify, options) {
       const encryptedValue = encrypt(value);
 
       const result = await fastify.db.query(
-        `INSERT INTO env_vars (service_id, key, value)
-         VALUES ($1, $2, $3)
-         RETURNING id, key, created_at`,
-        [serviceId, key, encryptedValue]
+        `INSERT INTO env_vars (service_id, key, value, is_secret)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, key, value, is_secret, created_at`,
+        [serviceId, key, encryptedValue, is_secret]
       );
 
-      const envVar = result.rows[0];
-
       fastify.log.info(`Created env var: ${key} for service ${serviceId}`);
 
-      return reply.code(201).send({
-        id: envVar.id,
-        key: envVar.key,
-        value: MASKED_VALUE,
-        created_at: envVar.created_at,
-      });
+      await applyEnvChange(accessCheck.service);
+
+      return reply.code(201).send(formatEnvVar(result.rows[0]));
     } catch (err) {
       fastify.log.error(`Failed to create env var: ${err.message}`);
       return reply.code(500).send({
@@ -1959,7 +2675,7 @@ export default async function serviceRoutes(fastify, options) {
 
   /**
    * PATCH /services/:serviceId/env/:id
-   * Update an environment variable value (not key)
+   * Update an environment variable's value and/or secret flag (not key)
    */
   fastify.patch('/services/:serviceId/env/:id', {
     schema: { ...envVarIdParamsSchema, ...updateEnvVarSchema },
@@ -1968,12 +2684,12 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.serviceId;
     const envVarId = request.params.id;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
@@ -1991,25 +2707,23 @@ export default async function serviceRoutes(fastify, options) {
         });
       }
 
-      // Encrypt new value
-      const encryptedValue = encrypt(request.body.value);
+      const { value, is_secret } = request.body;
 
+      // Encrypt new value; keep the stored one when only the flag changes
       const result = await fastify.db.query(
-        `UPDATE env_vars SET value = $1 WHERE id = $2
-         RETURNING id, key, created_at`,
-        [encryptedValue, envVarId]
+        `UPDATE env_vars SET value = COALESCE($1, value), is_secret = COALESCE($2, is_secret)
+         WHERE id = $3
+         RETURNING id, key, value, is_secret, created_at`,
+        [value !== undefined ? encrypt(value) : null, is_secret ?? null, envVarId]
       );
 
       const envVar = result.rows[0];
 
       fastify.log.info(`Updated env var: ${envVar.key} for service ${serviceId}`);
 
-      return {
-        id: envVar.id,
-        key: envVar.key,
-        value: MASKED_VALUE,
-        created_at: envVar.created_at,
-      };
+      await applyEnvChange(accessCheck.service);
+
+      return formatEnvVar(envVar);
     } catch (err) {
       fastify.log.error(`Failed to update env var: ${err.message}`);
       return reply.code(500).send({
@@ -2028,12 +2742,12 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.serviceId;
     const envVarId = request.params.id;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
@@ -2055,6 +2769,8 @@ export default async function serviceRoutes(fastify, options) {
 
       fastify.log.info(`Deleted env var: ${existing.rows[0].key} from service ${serviceId}`);
 
+      await applyEnvChange(accessCheck.service);
+
       return { success: true, message: 'Environment variable deleted successfully' };
     } catch (err) {
       fastify.log.error(`Failed to delete env var: ${err.message}`);
@@ -2089,8 +2805,8 @@ export default async function serviceRoutes(fastify, options) {
     const sourceId = request.params.id;
     const { name, project_id, include_env = false, auto_deploy = false } = request.body;
 
-    // Verify ownership of source service
-    const sourceCheck = await verifyServiceOwnership(sourceId, userId);
+    // Verify access to source service (copying env vars needs write access)
+    const sourceCheck = await authorizeService(fastify.db, sourceId, userId, include_env ? 'write' : 'view');
     if (sourceCheck.error) {
       return reply.code(sourceCheck.status).send({
         error: sourceCheck.status === 404 ? 'Not Found' : 'Forbidden',
@@ -2111,23 +2827,26 @@ export default async function serviceRoutes(fastify, options) {
 
     const newServiceName = validation.name;
 
+    if (sourceService.service_type === 'cron' && newServiceName.length > MAX_CRON_NAME_LENGTH) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: `Cron service names must be at most ${MAX_CRON_NAME_LENGTH} characters`,
+      });
+    }
+
     // Determine target project (default to same project)
     const targetProjectId = project_id || sourceService.project_id;
-    let targetProjectName;
 
-    // If cloning to different project, verify ownership and get name
-    if (targetProjectId !== sourceService.project_id) {
-      const targetCheck = await verifyProjectOwnership(targetProjectId, userId);
-      if (targetCheck.error) {
-        return reply.code(targetCheck.status).send({
-          error: targetCheck.status === 404 ? 'Not Found' : 'Forbidden',
-          message: targetCheck.error,
-        });
-      }
-      targetProjectName = targetCheck.project.name;
-    } else {
-      targetProjectName = sourceService.project_name;
+    // Creating the clone needs write access to the target project
+    const targetCheck = await authorizeProject(fastify.db, targetProjectId, userId, 'write');
+    if (targetCheck.error) {
+      return reply.code(targetCheck.status).send({
+        error: targetCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: targetCheck.error,
+      });
     }
+    const targetProjectName = targetCheck.project.name;
+    const targetOwnerId = targetCheck.project.user_id;
 
     try {
       // Check if service name already exists in target project
@@ -2143,6 +2862,40 @@ export default async function serviceRoutes(fastify, options) {
         });
       }
 
+      // Resolve what to deploy before creating anything, so a clone that can't be deployed
+      // isn't left behind
+      let commitSha = null;
+      if (auto_deploy) {
+        if (sourceService.image && !sourceService.repo_url) {
+          commitSha = 'image-deploy';
+        } else {
+          // Builds use the target project owner's token
+          const userResult = await fastify.db.query(
+            'SELECT github_access_token FROM users WHERE id = $1',
+            [targetOwnerId]
+          );
+
+          if (!userResult.rows[0]?.github_access_token) {
+            return reply.code(400).send({
+              error: 'Bad Request',
+              message: 'GitHub token not configured',
+            });
+          }
+
+          const githubToken = decrypt(userResult.rows[0].github_access_token);
+          try {
+            const commit = await getLatestCommit(githubToken, sourceService.repo_url, sourceService.branch);
+            commitSha = commit.sha;
+          } catch (err) {
+            fastify.log.warn(`Could not get the latest commit of ${sourceService.repo_url}: ${err.message}`);
+            return reply.code(400).send({
+              error: 'Bad Request',
+              message: 'Could not get the latest commit to deploy',
+            });
+          }
+        }
+      }
+
       // Generate new webhook secret
       const webhookSecret = generateWebhookSecret();
 
@@ -2150,11 +2903,21 @@ export default async function serviceRoutes(fastify, options) {
       const result = await fastify.db.query(
         `INSERT INTO services (
           name, project_id, repo_url, image, branch, dockerfile_path,
-          build_context, port, replicas, storage_gb, health_check_path, webhook_secret
+          build_context, port, replicas, storage_gb, health_check_path, webhook_secret,
+          resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+          autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas,
+          autoscaling_cpu_target, autoscaling_memory_target, idle_timeout_minutes, release_command,
+          service_type, cron_schedule, cron_concurrency_policy, cron_successful_history, cron_failed_history,
+          liveness_command
         )
         SELECT
           $1, $2, repo_url, image, branch, dockerfile_path,
-          build_context, port, replicas, storage_gb, health_check_path, $3
+          build_context, port, replicas, storage_gb, health_check_path, $3,
+          resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+          autoscaling_enabled, autoscaling_min_replicas, autoscaling_max_replicas,
+          autoscaling_cpu_target, autoscaling_memory_target, idle_timeout_minutes, release_command,
+          service_type, cron_schedule, cron_concurrency_policy, cron_successful_history, cron_failed_history,
+          liveness_command
         FROM services WHERE id = $4
         RETURNING *`,
         [newServiceName, targetProjectId, webhookSecret, sourceId]
@@ -2165,14 +2928,14 @@ export default async function serviceRoutes(fastify, options) {
       // Clone environment variables if requested
       if (include_env) {
         await fastify.db.query(
-          `INSERT INTO env_vars (service_id, key, value)
-           SELECT $1, key, value
+          `INSERT INTO env_vars (service_id, key, value, is_secret)
+           SELECT $1, key, value, is_secret
            FROM env_vars WHERE service_id = $2`,
           [newService.id, sourceId]
         );
       }
 
-      const subdomain = computeSubdomain(targetProjectName, newServiceName);
+      const subdomain = newService.service_type === 'web' ? computeSubdomain(targetProjectName, newServiceName) : null;
       const webhookUrl = computeWebhookUrl(newService.id);
 
       fastify.log.info(`Cloned service ${sourceService.name} (${sourceId}) to ${newServiceName} (${newService.id})`);
@@ -2185,55 +2948,12 @@ export default async function serviceRoutes(fastify, options) {
           `INSERT INTO deployments (service_id, commit_sha, status)
            VALUES ($1, $2, 'pending')
            RETURNING id, service_id, commit_sha, status, created_at`,
-          [newService.id, 'clone-deploy']
+          [newService.id, commitSha]
         );
         deployment = deployResult.rows[0];
 
-        // Use already-resolved target project name for namespace
-        const namespace = computeNamespace(targetProjectName);
-
-        // Get GitHub token if needed for repo-based service
-        let githubToken = null;
-        let commitSha = null;
-        if (newService.repo_url) {
-          const userResult = await fastify.db.query(
-            'SELECT github_access_token FROM users WHERE id = $1',
-            [userId]
-          );
-          if (userResult.rows[0]?.github_access_token) {
-            githubToken = decrypt(userResult.rows[0].github_access_token);
-            const commit = await getLatestCommit(githubToken, newService.repo_url, newService.branch);
-            commitSha = commit.sha;
-            // Update deployment with actual commit sha
-            await fastify.db.query(
-              'UPDATE deployments SET commit_sha = $1 WHERE id = $2',
-              [commitSha, deployment.id]
-            );
-            deployment.commit_sha = commitSha;
-          }
-        }
-
-        // Construct project object for notifications
-        const project = {
-          id: targetProjectId,
-          name: targetProjectName,
-          user_id: userId,
-        };
-
-        // Trigger build pipeline asynchronously
-        runBuildPipeline(
-          fastify.db,
-          newService,
-          deployment,
-          commitSha || 'clone-deploy',
-          githubToken,
-          namespace,
-          targetProjectName,
-          userHash,
-          project
-        ).catch(err => {
-          fastify.log.error(`Build pipeline failed for cloned service ${newService.id}: ${err.message}`);
-        });
+        // Queue the build - the queue runs the pipeline in the background
+        await enqueueBuild(fastify.db, newService, deployment, 'clone');
       }
 
       return reply.code(201).send({
@@ -2264,18 +2984,18 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.serviceId;
     const envVarId = request.params.id;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'write');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
     try {
       const result = await fastify.db.query(
-        'SELECT id, key, value, created_at FROM env_vars WHERE id = $1 AND service_id = $2',
+        'SELECT id, key, value, is_secret, created_at FROM env_vars WHERE id = $1 AND service_id = $2',
         [envVarId, serviceId]
       );
 
@@ -2293,6 +3013,7 @@ export default async function serviceRoutes(fastify, options) {
         id: envVar.id,
         key: envVar.key,
         value: decryptedValue,
+        is_secret: envVar.is_secret,
         created_at: envVar.created_at,
       };
     } catch (err) {
@@ -2331,18 +3052,40 @@ export default async function serviceRoutes(fastify, options) {
     const serviceId = request.params.id;
     const { state } = request.body;
 
-    // Verify service ownership
-    const ownershipCheck = await verifyServiceOwnership(serviceId, userId);
-    if (ownershipCheck.error) {
-      return reply.code(ownershipCheck.status).send({
-        error: ownershipCheck.status === 404 ? 'Not Found' : 'Forbidden',
-        message: ownershipCheck.error,
+    // Verify access
+    const accessCheck = await authorizeService(fastify.db, serviceId, userId, 'deploy');
+    if (accessCheck.error) {
+      return reply.code(accessCheck.status).send({
+        error: accessCheck.status === 404 ? 'Not Found' : 'Forbidden',
+        message: accessCheck.error,
       });
     }
 
-    const { service } = ownershipCheck;
+    const { service } = accessCheck;
     const namespace = computeNamespace(service.project_name);
 
+    // Stopping a cron service suspends its schedule; runs already going finish
+    if (service.service_type === 'cron') {
+      try {
+        await setCronJobSuspended(namespace, service.name, state === 'stopped');
+        fastify.log.info(`Cron service ${service.name} state changed to ${state}`, { namespace });
+        await sendServiceStateNotification(fastify.db, state === 'stopped', service, serviceProject(service), null, requestActor(request));
+        return { service: service.name, state, suspended: state === 'stopped' };
+      } catch (err) {
+        if (err.status === 404) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: 'Service has not been deployed yet. Deploy it first before starting/stopping.',
+          });
+        }
+        fastify.log.error(`Failed to change cron service state: ${err.message}`);
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to change service state',
+        });
+      }
+    }
+
     try {
       let currentReplicas = 0;
       let targetReplicas = 0;
@@ -2370,12 +3113,21 @@ export default async function serviceRoutes(fastify, options) {
       }
 
       if (state === 'stopped') {
-        // Scale to 0 replicas
+        // Scale to 0 replicas; a stopped service no longer wakes on request
         targetReplicas = 0;
+        await cancelActiveRollouts(fastify.db, service, namespace, 'Service was stopped');
         await scaleDeployment(namespace, service.name, 0);
+        if (service.sleeping_at) {
+          await clearSleeping(fastify.db, service);
+        }
+      } else if (service.sleeping_at) {
+        // Wake a sleeping service; traffic is routed back once a pod is ready
+        targetReplicas = getRunningReplicas(service);
+        wakeService(fastify.db, service);
       } else {
-        // Scale to configured replicas (or 1 if not set)
-        targetReplicas = service.replicas || 1;
+        // Scale to configured replicas, or the autoscaler's minimum (a running autoscaled
+        // service keeps its count); the HPA resumes from there
+        targetReplicas = await getDeployReplicas(namespace, service);
         await scaleDeployment(namespace, service.name, targetReplicas);
       }
 
@@ -2385,11 +3137,18 @@ export default async function serviceRoutes(fastify, options) {
         targetReplicas
       });
 
+      if ((state === 'stopped') === (currentReplicas > 0)) {
+        await sendServiceStateNotification(fastify.db, state === 'stopped', service, serviceProject(service), targetReplicas, requestActor(request));
+      }
+
       return {
         service: service.name,
         state,
         replicas: targetReplicas,
-        previousReplicas: currentReplicas
+        previousReplicas: currentReplicas,
+        autoscaling: service.autoscaling_enabled
+          ? { minReplicas: service.autoscaling_min_replicas, maxReplicas: service.autoscaling_max_replicas }
+          : null
       };
     } catch (err) {
       fastify.log.error(`Failed to change service state: ${err.message}`);
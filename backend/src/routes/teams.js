@@ -0,0 +1,875 @@
+import {
+  ROLES,
+  authorizeProject,
+  authorizeOrganization,
+} from '../services/permissions.js';
+import { moveProjectToOrganization } from '../services/organizations.js';
+
+const ORG_NAME_REGEX = /^[a-z][a-z0-9-]*[a-z0-9]$|^[a-z]$/;
+const GITHUB_USERNAME_REGEX = /^[a-zA-Z0-9](?:[a-zA-Z0-9]|-(?=[a-zA-Z0-9])){0,38}$/;
+
+function validateOrganizationName(name) {
+  const trimmedName = (name || '').trim();
+
+  if (trimmedName.length < 1 || trimmedName.length > 63) {
+    return { valid: false, error: 'Name must be between 1 and 63 characters' };
+  }
+
+  if (!ORG_NAME_REGEX.test(trimmedName) || trimmedName.includes('--')) {
+    return { valid: false, error: 'Name must be lowercase, start with a letter, and contain only alphanumeric characters and single hyphens' };
+  }
+
+  return { valid: true, name: trimmedName };
+}
+
+function sendAccessError(reply, check) {
+  return reply.code(check.status).send({
+    error: check.status === 404 ? 'Not Found' : 'Forbidden',
+    message: check.error,
+  });
+}
+
+export default async function teamRoutes(fastify, options) {
+  const idParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const memberParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id', 'userId'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        userId: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  const roleBodySchema = {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      role: { type: 'string', enum: ROLES },
+    },
+  };
+
+  const inviteBodySchema = {
+    type: 'object',
+    required: ['github_username', 'role'],
+    properties: {
+      github_username: { type: 'string', minLength: 1, maxLength: 39 },
+      role: { type: 'string', enum: ROLES },
+    },
+  };
+
+  /**
+   * Create a pending invitation for a project or organization.
+   * Returns the invitation, or { error, status } if the user is already a member
+   * or already invited.
+   */
+  async function createInvitation({ projectId = null, organizationId = null, githubUsername, role, invitedBy }) {
+    const username = githubUsername.trim();
+    if (!GITHUB_USERNAME_REGEX.test(username)) {
+      return { error: 'Invalid GitHub username', status: 400 };
+    }
+
+    // Already a member? (creator of a project outside an organization or collaborator for
+    // projects, member for orgs)
+    const memberResult = projectId
+      ? await fastify.db.query(
+        `SELECT 1 FROM users u
+         WHERE LOWER(u.github_username) = LOWER($2)
+           AND (
+             EXISTS (SELECT 1 FROM projects p WHERE p.id = $1 AND p.user_id = u.id AND p.organization_id IS NULL)
+             OR EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = $1 AND pm.user_id = u.id)
+           )`,
+        [projectId, username]
+      )
+      : await fastify.db.query(
+        `SELECT 1 FROM users u
+         JOIN organization_members om ON om.user_id = u.id
+         WHERE om.organization_id = $1 AND LOWER(u.github_username) = LOWER($2)`,
+        [organizationId, username]
+      );
+
+    if (memberResult.rows.length > 0) {
+      return { error: `${username} is already a member`, status: 409 };
+    }
+
+    try {
+      const result = await fastify.db.query(
+        `INSERT INTO invitations (github_username, project_id, organization_id, role, invited_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, github_username, project_id, organization_id, role, status, created_at`,
+        [username, projectId, organizationId, role, invitedBy]
+      );
+      return { invitation: result.rows[0] };
+    } catch (err) {
+      // Unique index on pending invitations per target and username
+      if (err.code === '23505') {
+        return { error: `${username} already has a pending invitation`, status: 409 };
+      }
+      throw err;
+    }
+  }
+
+  function sendInvitationError(reply, result) {
+    const labels = { 400: 'Bad Request', 409: 'Conflict' };
+    return reply.code(result.status).send({
+      error: labels[result.status],
+      message: result.error,
+    });
+  }
+
+  // Organizations
+
+  /**
+   * GET /organizations
+   * List organizations the current user belongs to
+   */
+  fastify.get('/organizations', async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const result = await fastify.db.query(
+        `SELECT o.id, o.name, o.created_at, om.role,
+                (SELECT COUNT(*)::int FROM organization_members WHERE organization_id = o.id) AS member_count,
+                (SELECT COUNT(*)::int FROM projects WHERE organization_id = o.id AND parent_project_id IS NULL) AS project_count
+         FROM organizations o
+         JOIN organization_members om ON om.organization_id = o.id
+         WHERE om.user_id = $1
+         ORDER BY o.name ASC`,
+        [userId]
+      );
+
+      return { organizations: result.rows };
+    } catch (err) {
+      fastify.log.error(`Failed to list organizations: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list organizations',
+      });
+    }
+  });
+
+  /**
+   * POST /organizations
+   * Create an organization. The creator becomes its owner.
+   */
+  fastify.post('/organizations', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+
+    const validation = validateOrganizationName(request.body.name);
+    if (!validation.valid) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: validation.error,
+      });
+    }
+
+    const client = await fastify.db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO organizations (name, created_by)
+         VALUES ($1, $2)
+         RETURNING id, name, created_at`,
+        [validation.name, userId]
+      );
+      const organization = result.rows[0];
+
+      await client.query(
+        `INSERT INTO organization_members (organization_id, user_id, role)
+         VALUES ($1, $2, 'owner')`,
+        [organization.id, userId]
+      );
+
+      await client.query('COMMIT');
+
+      fastify.log.info(`Created organization: ${organization.name} (${organization.id}) for user ${userId}`);
+
+      return reply.code(201).send({
+        ...organization,
+        role: 'owner',
+        member_count: 1,
+        project_count: 0,
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+
+      if (err.code === '23505') {
+        return reply.code(409).send({
+          error: 'Conflict',
+          message: 'This organization name is already taken',
+        });
+      }
+
+      fastify.log.error(`Failed to create organization: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create organization',
+      });
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * GET /organizations/:id
+   * Get organization details with members, projects and pending invitations
+   */
+  fastify.get('/organizations/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const organizationId = request.params.id;
+
+    const accessCheck = await authorizeOrganization(fastify.db, organizationId, userId, 'view');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const [membersResult, projectsResult, invitationsResult] = await Promise.all([
+        fastify.db.query(
+          `SELECT om.user_id, u.github_username, om.role, om.created_at
+           FROM organization_members om
+           JOIN users u ON u.id = om.user_id
+           WHERE om.organization_id = $1
+           ORDER BY om.created_at ASC`,
+          [organizationId]
+        ),
+        fastify.db.query(
+          'SELECT id, name, created_at FROM projects WHERE organization_id = $1 AND parent_project_id IS NULL ORDER BY name ASC',
+          [organizationId]
+        ),
+        fastify.db.query(
+          `SELECT id, github_username, role, created_at
+           FROM invitations
+           WHERE organization_id = $1 AND status = 'pending'
+           ORDER BY created_at DESC`,
+          [organizationId]
+        ),
+      ]);
+
+      return {
+        ...accessCheck.organization,
+        role: accessCheck.role,
+        members: membersResult.rows,
+        projects: projectsResult.rows,
+        invitations: invitationsResult.rows,
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to get organization: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to get organization',
+      });
+    }
+  });
+
+  /**
+   * DELETE /organizations/:id
+   * Delete an organization. Its projects are kept and stay with their creators.
+   */
+  fastify.delete('/organizations/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const organizationId = request.params.id;
+
+    const accessCheck = await authorizeOrganization(fastify.db, organizationId, userId, 'admin');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      await fastify.db.query('DELETE FROM organizations WHERE id = $1', [organizationId]);
+
+      fastify.log.info(`Deleted organization: ${accessCheck.organization.name} (${organizationId})`);
+
+      return { success: true, message: 'Organization deleted successfully' };
+    } catch (err) {
+      fastify.log.error(`Failed to delete organization: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to delete organization',
+      });
+    }
+  });
+
+  /**
+   * POST /organizations/:id/invitations
+   * Invite a GitHub user to the organization
+   */
+  fastify.post('/organizations/:id/invitations', {
+    schema: { ...idParamsSchema, body: inviteBodySchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const organizationId = request.params.id;
+
+    const accessCheck = await authorizeOrganization(fastify.db, organizationId, userId, 'admin');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const result = await createInvitation({
+        organizationId,
+        githubUsername: request.body.github_username,
+        role: request.body.role,
+        invitedBy: userId,
+      });
+
+      if (result.error) {
+        return sendInvitationError(reply, result);
+      }
+
+      fastify.log.info(`Invited ${result.invitation.github_username} to organization ${organizationId} as ${result.invitation.role}`);
+
+      return reply.code(201).send(result.invitation);
+    } catch (err) {
+      fastify.log.error(`Failed to create invitation: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create invitation',
+      });
+    }
+  });
+
+  /**
+   * PATCH /organizations/:id/members/:userId
+   * Change a member's organization role
+   */
+  fastify.patch('/organizations/:id/members/:userId', {
+    schema: { ...memberParamsSchema, body: roleBodySchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const { id: organizationId, userId: memberId } = request.params;
+    const { role } = request.body;
+
+    const accessCheck = await authorizeOrganization(fastify.db, organizationId, userId, 'admin');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const ownersResult = await fastify.db.query(
+        `SELECT user_id FROM organization_members WHERE organization_id = $1 AND role = 'owner'`,
+        [organizationId]
+      );
+      const owners = ownersResult.rows.map(row => row.user_id);
+
+      if (role !== 'owner' && owners.length === 1 && owners[0] === memberId) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'An organization must keep at least one owner',
+        });
+      }
+
+      const result = await fastify.db.query(
+        `UPDATE organization_members SET role = $3
+         WHERE organization_id = $1 AND user_id = $2
+         RETURNING user_id, role, created_at`,
+        [organizationId, memberId, role]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Member not found',
+        });
+      }
+
+      return result.rows[0];
+    } catch (err) {
+      fastify.log.error(`Failed to update organization member: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update member',
+      });
+    }
+  });
+
+  /**
+   * DELETE /organizations/:id/members/:userId
+   * Remove a member from the organization (owners only, or a member leaving)
+   */
+  fastify.delete('/organizations/:id/members/:userId', { schema: memberParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const { id: organizationId, userId: memberId } = request.params;
+
+    const action = memberId === userId ? 'view' : 'admin';
+    const accessCheck = await authorizeOrganization(fastify.db, organizationId, userId, action);
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const ownersResult = await fastify.db.query(
+        `SELECT user_id FROM organization_members WHERE organization_id = $1 AND role = 'owner'`,
+        [organizationId]
+      );
+      const owners = ownersResult.rows.map(row => row.user_id);
+
+      if (owners.length === 1 && owners[0] === memberId) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'The last owner cannot leave. Transfer ownership or delete the organization.',
+        });
+      }
+
+      const result = await fastify.db.query(
+        'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2 RETURNING user_id',
+        [organizationId, memberId]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Member not found',
+        });
+      }
+
+      fastify.log.info(`Removed user ${memberId} from organization ${organizationId}`);
+
+      return { success: true, message: 'Member removed successfully' };
+    } catch (err) {
+      fastify.log.error(`Failed to remove organization member: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to remove member',
+      });
+    }
+  });
+
+  // Project collaborators
+
+  /**
+   * GET /projects/:id/members
+   * List everyone with access to a project and pending invitations
+   */
+  fastify.get('/projects/:id/members', { schema: idParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const projectId = request.params.id;
+
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'view');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const [membersResult, invitationsResult] = await Promise.all([
+        fastify.db.query(
+          `SELECT u.id AS user_id, u.github_username, 'owner' AS role, 'creator' AS source, p.created_at
+           FROM projects p
+           JOIN users u ON u.id = p.user_id
+           WHERE p.id = $1 AND p.organization_id IS NULL
+           UNION ALL
+           SELECT u.id, u.github_username, pm.role, 'collaborator', pm.created_at
+           FROM project_members pm
+           JOIN users u ON u.id = pm.user_id
+           WHERE pm.project_id = $1
+           UNION ALL
+           SELECT u.id, u.github_username, om.role, 'organization', om.created_at
+           FROM projects p
+           JOIN organization_members om ON om.organization_id = p.organization_id
+           JOIN users u ON u.id = om.user_id
+           WHERE p.id = $1
+           ORDER BY created_at ASC`,
+          [projectId]
+        ),
+        accessCheck.role === 'owner'
+          ? fastify.db.query(
+            `SELECT id, github_username, role, created_at
+             FROM invitations
+             WHERE project_id = $1 AND status = 'pending'
+             ORDER BY created_at DESC`,
+            [projectId]
+          )
+          : Promise.resolve({ rows: [] }),
+      ]);
+
+      return {
+        role: accessCheck.role,
+        organization_id: accessCheck.project.organization_id,
+        members: membersResult.rows,
+        invitations: invitationsResult.rows,
+      };
+    } catch (err) {
+      fastify.log.error(`Failed to list project members: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list project members',
+      });
+    }
+  });
+
+  /**
+   * POST /projects/:id/invitations
+   * Invite a GitHub user to collaborate on a project
+   */
+  fastify.post('/projects/:id/invitations', {
+    schema: { ...idParamsSchema, body: inviteBodySchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const projectId = request.params.id;
+
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'admin');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const result = await createInvitation({
+        projectId,
+        githubUsername: request.body.github_username,
+        role: request.body.role,
+        invitedBy: userId,
+      });
+
+      if (result.error) {
+        return sendInvitationError(reply, result);
+      }
+
+      fastify.log.info(`Invited ${result.invitation.github_username} to project ${projectId} as ${result.invitation.role}`);
+
+      return reply.code(201).send(result.invitation);
+    } catch (err) {
+      fastify.log.error(`Failed to create invitation: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create invitation',
+      });
+    }
+  });
+
+  /**
+   * PATCH /projects/:id/members/:userId
+   * Change a collaborator's role
+   */
+  fastify.patch('/projects/:id/members/:userId', {
+    schema: { ...memberParamsSchema, body: roleBodySchema },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const { id: projectId, userId: memberId } = request.params;
+
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'admin');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const result = await fastify.db.query(
+        `UPDATE project_members SET role = $3
+         WHERE project_id = $1 AND user_id = $2
+         RETURNING user_id, role, created_at`,
+        [projectId, memberId, request.body.role]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Collaborator not found',
+        });
+      }
+
+      return result.rows[0];
+    } catch (err) {
+      fastify.log.error(`Failed to update project member: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update collaborator',
+      });
+    }
+  });
+
+  /**
+   * DELETE /projects/:id/members/:userId
+   * Remove a collaborator (owners only, or a collaborator leaving)
+   */
+  fastify.delete('/projects/:id/members/:userId', { schema: memberParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const { id: projectId, userId: memberId } = request.params;
+
+    const action = memberId === userId ? 'view' : 'admin';
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, action);
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    try {
+      const result = await fastify.db.query(
+        'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 RETURNING user_id',
+        [projectId, memberId]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Collaborator not found',
+        });
+      }
+
+      fastify.log.info(`Removed user ${memberId} from project ${projectId}`);
+
+      return { success: true, message: 'Collaborator removed successfully' };
+    } catch (err) {
+      fastify.log.error(`Failed to remove project member: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to remove collaborator',
+      });
+    }
+  });
+
+  /**
+   * PATCH /projects/:id/organization
+   * Move a project and its environments into an organization, or out of one with
+   * organization_id: null. Taking a project out of an organization needs the owner role in
+   * that organization, and makes the user who moves it the project's owner.
+   */
+  fastify.patch('/projects/:id/organization', {
+    schema: {
+      ...idParamsSchema,
+      body: {
+        type: 'object',
+        required: ['organization_id'],
+        properties: {
+          organization_id: { type: ['string', 'null'], format: 'uuid' },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const projectId = request.params.id;
+    const organizationId = request.body.organization_id;
+
+    const accessCheck = await authorizeProject(fastify.db, projectId, userId, 'admin');
+    if (accessCheck.error) {
+      return sendAccessError(reply, accessCheck);
+    }
+
+    if (accessCheck.project.parent_project_id) {
+      return reply.code(400).send({
+        error: 'Bad Request',
+        message: 'Environments belong to the organization of their project; move the project instead',
+      });
+    }
+
+    const currentOrganizationId = accessCheck.project.organization_id;
+    if (currentOrganizationId && currentOrganizationId !== organizationId) {
+      const currentOrgCheck = await authorizeOrganization(fastify.db, currentOrganizationId, userId, 'admin');
+      if (currentOrgCheck.error) {
+        return sendAccessError(reply, currentOrgCheck);
+      }
+    }
+
+    if (organizationId) {
+      const orgCheck = await authorizeOrganization(fastify.db, organizationId, userId, 'write');
+      if (orgCheck.error) {
+        return sendAccessError(reply, orgCheck);
+      }
+    }
+
+    try {
+      await moveProjectToOrganization(fastify.db, accessCheck.project, organizationId, userId);
+
+      fastify.log.info(`Project ${projectId} moved to organization ${organizationId || 'none'}`);
+
+      return { id: projectId, organization_id: organizationId };
+    } catch (err) {
+      fastify.log.error(`Failed to update project organization: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to update project organization',
+      });
+    }
+  });
+
+  // Invitations
+
+  /**
+   * GET /invitations
+   * List pending invitations for the current user's GitHub username
+   */
+  fastify.get('/invitations', async (request, reply) => {
+    try {
+      const result = await fastify.db.query(
+        `SELECT i.id, i.role, i.created_at,
+                i.project_id, p.name AS project_name,
+                i.organization_id, o.name AS organization_name,
+                u.github_username AS invited_by
+         FROM invitations i
+         LEFT JOIN projects p ON p.id = i.project_id
+         LEFT JOIN organizations o ON o.id = i.organization_id
+         LEFT JOIN users u ON u.id = i.invited_by
+         WHERE LOWER(i.github_username) = LOWER($1) AND i.status = 'pending'
+         ORDER BY i.created_at DESC`,
+        [request.user.github_username]
+      );
+
+      return { invitations: result.rows };
+    } catch (err) {
+      fastify.log.error(`Failed to list invitations: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list invitations',
+      });
+    }
+  });
+
+  /**
+   * POST /invitations/:id/accept
+   * Accept an invitation addressed to the current user
+   */
+  fastify.post('/invitations/:id/accept', { schema: idParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+    const client = await fastify.db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE invitations SET status = 'accepted', responded_at = NOW()
+         WHERE id = $1 AND status = 'pending' AND LOWER(github_username) = LOWER($2)
+         RETURNING id, project_id, organization_id, role, invited_by`,
+        [request.params.id, request.user.github_username]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Invitation not found',
+        });
+      }
+
+      const invitation = result.rows[0];
+
+      if (invitation.project_id) {
+        await client.query(
+          `INSERT INTO project_members (project_id, user_id, role, added_by)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+          [invitation.project_id, userId, invitation.role, invitation.invited_by]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO organization_members (organization_id, user_id, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+          [invitation.organization_id, userId, invitation.role]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      fastify.log.info(`User ${userId} accepted invitation ${invitation.id}`);
+
+      return {
+        success: true,
+        project_id: invitation.project_id,
+        organization_id: invitation.organization_id,
+        role: invitation.role,
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      fastify.log.error(`Failed to accept invitation: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to accept invitation',
+      });
+    } finally {
+      client.release();
+    }
+  });
+
+  /**
+   * POST /invitations/:id/decline
+   * Decline an invitation addressed to the current user
+   */
+  fastify.post('/invitations/:id/decline', { schema: idParamsSchema }, async (request, reply) => {
+    try {
+      const result = await fastify.db.query(
+        `UPDATE invitations SET status = 'declined', responded_at = NOW()
+         WHERE id = $1 AND status = 'pending' AND LOWER(github_username) = LOWER($2)
+         RETURNING id`,
+        [request.params.id, request.user.github_username]
+      );
+
+      if (result.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Invitation not found',
+        });
+      }
+
+      return { success: true, message: 'Invitation declined' };
+    } catch (err) {
+      fastify.log.error(`Failed to decline invitation: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to decline invitation',
+      });
+    }
+  });
+
+  /**
+   * DELETE /invitations/:id
+   * Revoke a pending invitation (owners of the project or organization)
+   */
+  fastify.delete('/invitations/:id', { schema: idParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const invitationResult = await fastify.db.query(
+        `SELECT id, project_id, organization_id FROM invitations WHERE id = $1 AND status = 'pending'`,
+        [request.params.id]
+      );
+
+      if (invitationResult.rows.length === 0) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Invitation not found',
+        });
+      }
+
+      const invitation = invitationResult.rows[0];
+      const accessCheck = invitation.project_id
+        ? await authorizeProject(fastify.db, invitation.project_id, userId, 'admin')
+        : await authorizeOrganization(fastify.db, invitation.organization_id, userId, 'admin');
+
+      if (accessCheck.error) {
+        return sendAccessError(reply, accessCheck);
+      }
+
+      await fastify.db.query(
+        `UPDATE invitations SET status = 'revoked', responded_at = NOW() WHERE id = $1`,
+        [invitation.id]
+      );
+
+      return { success: true, message: 'Invitation revoked successfully' };
+    } catch (err) {
+      fastify.log.error(`Failed to revoke invitation: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to revoke invitation',
+      });
+    }
+  });
+}
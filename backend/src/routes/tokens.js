@@ -0,0 +1,127 @@
+import {
+  API_TOKEN_SCOPES,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+} from '../services/apiTokens.js';
+
+const MAX_TOKENS_PER_USER = 50;
+
+export default async function tokenRoutes(fastify, options) {
+  const tokenParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+      },
+    },
+  };
+
+  /**
+   * GET /auth/tokens
+   * List personal access tokens for the current user
+   */
+  fastify.get('/auth/tokens', async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const tokens = await listApiTokens(fastify.db, userId);
+      return { tokens, available_scopes: API_TOKEN_SCOPES };
+    } catch (err) {
+      fastify.log.error(`Failed to list API tokens: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to list API tokens',
+      });
+    }
+  });
+
+  /**
+   * POST /auth/tokens
+   * Create a personal access token. The token is only returned once.
+   */
+  fastify.post('/auth/tokens', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          scopes: {
+            type: 'array',
+            minItems: 1,
+            uniqueItems: true,
+            items: { type: 'string', enum: API_TOKEN_SCOPES },
+          },
+          expires_in_days: { type: 'integer', minimum: 1, maximum: 365 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const userId = request.user.id;
+    const { name, scopes, expires_in_days } = request.body;
+
+    try {
+      const countResult = await fastify.db.query(
+        'SELECT COUNT(*)::int as count FROM api_tokens WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+
+      if (countResult.rows[0].count >= MAX_TOKENS_PER_USER) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: `Token limit reached (${MAX_TOKENS_PER_USER}). Revoke unused tokens first.`,
+        });
+      }
+
+      const { token, record } = await createApiToken(fastify.db, userId, {
+        name: name.trim(),
+        scopes,
+        expiresInDays: expires_in_days,
+      });
+
+      fastify.log.info(`API token ${record.id} created for user ${userId} with scopes ${record.scopes.join(',')}`);
+
+      return reply.code(201).send({
+        ...record,
+        token,
+      });
+    } catch (err) {
+      fastify.log.error(`Failed to create API token: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to create API token',
+      });
+    }
+  });
+
+  /**
+   * DELETE /auth/tokens/:id
+   * Revoke a personal access token
+   */
+  fastify.delete('/auth/tokens/:id', { schema: tokenParamsSchema }, async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const token = await revokeApiToken(fastify.db, userId, request.params.id);
+
+      if (!token) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: 'Token not found',
+        });
+      }
+
+      fastify.log.info(`API token ${token.id} revoked for user ${userId}`);
+
+      return { success: true, message: 'Token revoked successfully' };
+    } catch (err) {
+      fastify.log.error(`Failed to revoke API token: ${err.message}`);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to revoke API token',
+      });
+    }
+  });
+}
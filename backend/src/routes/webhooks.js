@@ -1,4 +1,6 @@
 import crypto from 'crypto';
+import { enqueueBuild } from '../services/buildQueue.js';
+import { handlePullRequestEvent } from '../services/previews.js';
 
 /**
  * Verify GitHub webhook signature using HMAC SHA-256
@@ -97,7 +99,8 @@ export default async function webhookRoutes(fastify, options) {
     let service;
     try {
       const result = await fastify.db.query(
-        `SELECT s.id, s.name, s.repo_url, s.branch, s.webhook_secret, s.project_id
+        `SELECT s.id, s.name, s.repo_url, s.branch, s.webhook_secret, s.project_id,
+                s.previews_enabled, s.preview_scope, s.preview_ttl_hours
          FROM services s
          WHERE s.id = $1`,
         [serviceId]
@@ -135,7 +138,38 @@ export default async function webhookRoutes(fastify, options) {
       return { pong: true, zen: request.body.zen };
     }
 
-    // Only process push events
+    // Pull requests open, update and tear down preview environments
+    if (event === 'pull_request') {
+      const pr = request.body.pull_request;
+      if (!pr?.number || !pr.head?.ref || !pr.head?.sha) {
+        fastify.log.warn({ msg: 'Invalid pull_request payload', serviceId, deliveryId });
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid pull_request payload',
+        });
+      }
+
+      try {
+        const result = await handlePullRequestEvent(fastify.db, service, request.body);
+        fastify.log.info({
+          msg: 'Pull request event processed',
+          serviceId,
+          prNumber: pr.number,
+          action: request.body.action,
+          preview: result.preview,
+          reason: result.reason,
+        });
+        return result;
+      } catch (err) {
+        fastify.log.error({ msg: 'Failed to process pull request event', serviceId, prNumber: pr.number, error: err.message });
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to process pull request event',
+        });
+      }
+    }
+
+    // Otherwise only process push events
     if (event !== 'push') {
       fastify.log.info({ msg: 'Ignoring non-push event', serviceId, event, deliveryId });
       return { ignored: true, reason: `Event type '${event}' not processed` };
@@ -198,13 +232,29 @@ export default async function webhookRoutes(fastify, options) {
       });
     }
 
-    // Return immediately - build will be triggered asynchronously
-    // TODO: Trigger build pipeline (will be implemented in build service)
+    // Queue the build - the queue coalesces pushes and runs the pipeline asynchronously
+    let superseded;
+    try {
+      ({ superseded } = await enqueueBuild(fastify.db, service, deployment, 'webhook'));
+    } catch (err) {
+      fastify.log.error({ msg: 'Failed to queue build', deploymentId: deployment.id, error: err.message });
+      await fastify.db.query(
+        `UPDATE deployments SET status = 'failed', build_logs = $1 WHERE id = $2`,
+        [`Failed to queue build: ${err.message}`, deployment.id]
+      ).catch(() => {});
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to queue build',
+      });
+    }
+
     return reply.code(200).send({
       received: true,
+      queued: true,
       deployment_id: deployment.id,
       commit_sha: commitSha,
       branch,
+      superseded_deployments: superseded,
     });
   });
 }
@@ -6,12 +6,21 @@ import databasePlugin from './plugins/database.js';
 import authPlugin from './plugins/auth.js';
 import websocketHubPlugin from './plugins/websocket-hub.js';
 import authRoutes from './routes/auth.js';
+import tokenRoutes from './routes/tokens.js';
+import deviceRoutes from './routes/device.js';
+import teamRoutes from './routes/teams.js';
 import projectRoutes from './routes/projects.js';
 import serviceRoutes from './routes/services.js';
 import deploymentRoutes from './routes/deployments.js';
 import webhookRoutes from './routes/webhooks.js';
 import githubRoutes from './routes/github.js';
 import domainRoutes from './routes/domains.js';
+import previewRoutes from './routes/previews.js';
+import cronRunRoutes from './routes/cronRuns.js';
+import portRoutes from './routes/ports.js';
+import addonRoutes from './routes/addons.js';
+import backupRoutes from './routes/backups.js';
+import alertRoutes from './routes/alerts.js';
 import notificationRoutes from './routes/notifications.js';
 import dockerfileRoutes from './routes/dockerfile.js';
 import debugRoutes from './routes/debug.js';
@@ -19,6 +28,18 @@ import adminRoutes from './routes/admin.js';
 import healthRoutes from './routes/health.js';
 import { startMetricsCollection, stopMetricsCollection } from './services/metricsCollector.js';
 import { runStartupHealthCheck } from './services/reconciliation.js';
+import { startHealthChecker } from './services/healthChecker.js';
+import { startAlertEvaluator, stopAlertEvaluator } from './services/alerts.js';
+import { startBuildQueue, stopBuildQueue } from './services/buildQueue.js';
+import { startIdleScaler, stopIdleScaler } from './services/idleScaler.js';
+import { startWakeServer, stopWakeServer } from './services/wakeServer.js';
+import { startPreviewCleanup, stopPreviewCleanup } from './services/previews.js';
+import { startRolloutLoop, stopRolloutLoop } from './services/rollouts.js';
+import { startCronRunSync, stopCronRunSync } from './services/cronJobs.js';
+import { startBackupScheduler, stopBackupScheduler } from './services/backups.js';
+import { startMetricsHistory, stopMetricsHistory } from './services/metricsHistory.js';
+import { startWebhookDeliveries, stopWebhookDeliveries } from './services/webhookDeliveries.js';
+import { startCertificateWatcher, stopCertificateWatcher } from './services/certificates.js';
 
 const fastify = Fastify({
   logger: true,
@@ -99,9 +120,18 @@ fastify.register(websocketHubPlugin);
 // Register auth routes
 fastify.register(authRoutes);
 
+// Register API token routes
+fastify.register(tokenRoutes);
+
+// Register device login routes (CLI)
+fastify.register(deviceRoutes);
+
 // Register project routes
 fastify.register(projectRoutes);
 
+// Register team routes (organizations, collaborators, invitations)
+fastify.register(teamRoutes);
+
 // Register service routes
 fastify.register(serviceRoutes);
 
@@ -117,6 +147,24 @@ fastify.register(githubRoutes);
 // Register domain routes
 fastify.register(domainRoutes);
 
+// Register pull request preview routes
+fastify.register(previewRoutes);
+
+// Register cron service run routes
+fastify.register(cronRunRoutes);
+
+// Register TCP/UDP port exposure routes
+fastify.register(portRoutes);
+
+// Register database and cache add-on routes
+fastify.register(addonRoutes);
+
+// Register volume and database backup routes
+fastify.register(backupRoutes);
+
+// Register alert rule routes
+fastify.register(alertRoutes);
+
 // Register notification routes
 fastify.register(notificationRoutes);
 
@@ -140,6 +188,8 @@ const publicRoutes = [
   { method: 'GET', url: '/auth/github' },
   { method: 'GET', url: '/auth/github/callback' },
   { method: 'GET', url: '/ws/stats' },
+  { method: 'POST', url: '/auth/device/code' },   // CLI device login
+  { method: 'POST', url: '/auth/device/token' },
 ];
 
 // Apply authentication to all routes except public ones and webhooks
@@ -167,6 +217,9 @@ fastify.get('/health', async () => {
   return { status: 'ok' };
 });
 
+// Started in start(); stopped on shutdown
+let healthChecker = null;
+
 // Start server
 const start = async () => {
   try {
@@ -180,6 +233,42 @@ const start = async () => {
     startMetricsCollection();
     fastify.log.info('Metrics collection started');
 
+    // Sample every service's usage into the metrics history, with rollups and pruning
+    startMetricsHistory(fastify.db);
+
+    // Start build queue (resumes builds interrupted by a previous shutdown)
+    startBuildQueue(fastify.db).catch(err => {
+      fastify.log.error('Build queue startup error', { error: err.message });
+    });
+
+    // Scale idle services to zero, and wake them on request
+    startIdleScaler(fastify.db);
+    startWakeServer(fastify.db).catch(err => {
+      fastify.log.error('Wake server startup error', { error: err.message });
+    });
+
+    // Tear down pull request previews that outlived their TTL
+    startPreviewCleanup(fastify.db);
+
+    // Step blue-green and canary rollouts along (resumes rollouts from before a restart)
+    startRolloutLoop(fastify.db);
+
+    // Record cron service runs and their outcomes
+    startCronRunSync(fastify.db);
+
+    // Take scheduled backups, record backup and restore outcomes, prune old backups
+    startBackupScheduler(fastify.db);
+
+    // Check services' health endpoints, and fire and resolve alerts from the checks and metrics
+    healthChecker = startHealthChecker(fastify.db);
+    startAlertEvaluator(fastify.db);
+
+    // Retry failed webhook and channel notifications (resumes deliveries queued before a restart)
+    startWebhookDeliveries(fastify.db);
+
+    // Record custom domain certificates as cert-manager issues them (or fails to)
+    startCertificateWatcher(fastify.db);
+
     // Run startup health check (non-blocking, logs discrepancies)
     setImmediate(async () => {
       try {
@@ -198,6 +287,18 @@ const start = async () => {
 const shutdown = async (signal) => {
   fastify.log.info(`Received ${signal}, shutting down gracefully...`);
   stopMetricsCollection();
+  stopMetricsHistory();
+  stopBuildQueue();
+  stopIdleScaler();
+  stopPreviewCleanup();
+  stopRolloutLoop();
+  stopCronRunSync();
+  stopBackupScheduler();
+  healthChecker?.stop();
+  stopAlertEvaluator();
+  stopWebhookDeliveries();
+  stopCertificateWatcher();
+  await stopWakeServer();
   await fastify.close();
   process.exit(0);
 };
@@ -0,0 +1,147 @@
+/**
+ * Account service - user-level operations that span projects
+ */
+
+import { deleteNamespace } from './kubernetes.js';
+import { deleteRepositoriesByNamespace } from './harbor.js';
+import { unregisterService } from './metricsCollector.js';
+import { hasRunningBackups, deleteProjectBackups } from './backups.js';
+import logger from './logger.js';
+
+// Another owner of a project's organization, the longest-standing first
+const NEXT_ORG_OWNER_SQL = `SELECT om.user_id FROM organization_members om
+  WHERE om.organization_id = p.organization_id AND om.role = 'owner' AND om.user_id <> $1
+  ORDER BY om.created_at, om.user_id
+  LIMIT 1`;
+
+/**
+ * Projects deleted with a user account: those it created outside any organization.
+ * Organization projects only record it as their creator, and go to another owner.
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array<{id: string, name: string, service_ids: string[]}>>}
+ */
+async function getOwnedProjects(db, userId) {
+  const result = await db.query(
+    `SELECT p.id, p.name, COALESCE(array_agg(s.id) FILTER (WHERE s.id IS NOT NULL), '{}') as service_ids
+     FROM projects p
+     LEFT JOIN services s ON s.project_id = p.id
+     WHERE p.user_id = $1 AND p.organization_id IS NULL
+     GROUP BY p.id`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Why a user account can't be deleted right now
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @returns {Promise<string|null>} Reason, or null if it can be deleted
+ */
+export async function getAccountDeletionBlocker(db, userId) {
+  const lastOwner = await db.query(
+    `SELECT o.name
+     FROM organizations o
+     JOIN organization_members om ON om.organization_id = o.id AND om.user_id = $1 AND om.role = 'owner'
+     WHERE NOT EXISTS (
+       SELECT 1 FROM organization_members other
+       WHERE other.organization_id = o.id AND other.role = 'owner' AND other.user_id <> $1
+     )
+     ORDER BY o.name`,
+    [userId]
+  );
+  if (lastOwner.rows.length > 0) {
+    const names = lastOwner.rows.map(row => row.name).join(', ');
+    return `You are the last owner of ${names}. Make another member an owner or delete the organization first.`;
+  }
+
+  // Members who aren't owners can create projects too, in an organization that may have lost
+  // its owners
+  const orphaned = await db.query(
+    `SELECT p.name
+     FROM projects p
+     WHERE p.user_id = $1 AND p.organization_id IS NOT NULL
+     AND NOT EXISTS (${NEXT_ORG_OWNER_SQL})
+     ORDER BY p.name`,
+    [userId]
+  );
+  if (orphaned.rows.length > 0) {
+    const names = orphaned.rows.map(row => row.name).join(', ');
+    return `No other organization owner can take over ${names}. Add an owner to its organization first.`;
+  }
+
+  const projects = await getOwnedProjects(db, userId);
+  if (await hasRunningBackups(db, projects.map(p => p.id))) {
+    return 'A backup of one of your projects is running; delete your account once it has finished';
+  }
+  return null;
+}
+
+/**
+ * Permanently delete a user account and everything it owns.
+ * Backups are deleted from the bucket first, and nothing else is deleted if that fails.
+ * Kubernetes namespaces and Harbor repositories are removed next (best-effort,
+ * like project deletion). Organization projects the user created are handed to another
+ * owner of the organization, whose GitHub token their builds then use. The user row is
+ * deleted last, cascading to the remaining projects, services, deployments, tokens,
+ * sessions and notification settings.
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID, checked with getAccountDeletionBlocker
+ * @returns {Promise<{projects: number, transferredProjects: number, backups: number, harborRepositories: number, errors: string[]}>}
+ */
+export async function deleteUserAccount(db, userId) {
+  const summary = { projects: 0, transferredProjects: 0, backups: 0, harborRepositories: 0, errors: [] };
+
+  const projects = await getOwnedProjects(db, userId);
+
+  summary.backups = await deleteProjectBackups(db, projects.map(p => p.id));
+
+  for (const project of projects) {
+    // Namespace is the project name
+    const namespace = project.name;
+
+    for (const serviceId of project.service_ids) {
+      unregisterService(serviceId);
+    }
+
+    const harborResult = await deleteRepositoriesByNamespace(namespace);
+    summary.harborRepositories += harborResult.deleted;
+    if (harborResult.failed > 0) {
+      summary.errors.push(`Failed to delete ${harborResult.failed} Harbor repositories for ${namespace}`);
+    }
+
+    try {
+      await deleteNamespace(namespace);
+    } catch (err) {
+      if (err.status !== 404) {
+        logger.warn('Failed to delete namespace during account deletion', { namespace, error: err.message });
+        summary.errors.push(`Failed to delete namespace ${namespace}: ${err.message}`);
+      }
+    }
+
+    summary.projects++;
+  }
+
+  // Checked by getAccountDeletionBlocker; a project whose owners left since stays, ownerless,
+  // rather than cascading with the user
+  const transferred = await db.query(
+    `UPDATE projects p SET user_id = (${NEXT_ORG_OWNER_SQL})
+     WHERE p.user_id = $1 AND p.organization_id IS NOT NULL`,
+    [userId]
+  );
+  summary.transferredProjects = transferred.rowCount;
+
+  await db.query('DELETE FROM users WHERE id = $1', [userId]);
+
+  logger.info('User account deleted', {
+    userId,
+    projects: summary.projects,
+    transferredProjects: summary.transferredProjects,
+    backups: summary.backups,
+    harborRepositories: summary.harborRepositories,
+    errors: summary.errors.length
+  });
+
+  return summary;
+}
@@ -0,0 +1,327 @@
+/**
+ * Managed add-ons
+ *
+ * An add-on is a PostgreSQL, MySQL or Redis server run in the project's namespace as a
+ * single-replica StatefulSet (addon-<name>) with its own volume and a ClusterIP Service of
+ * the same name. Its password is generated on creation and kept encrypted in the addons
+ * table; the server reads it from the addon-<name>-credentials Secret.
+ *
+ * Services attached to an add-on get its connection URL as a secret env var (see
+ * getAddonEnvVars, used by serviceEnv.js), so it reaches the pods like any other secret.
+ *
+ * PostgreSQL and MySQL add-ons can be backed up with their engine's dump tool (see
+ * backups.js). Redis add-ons are treated as caches and have no backups.
+ */
+
+import crypto from 'crypto';
+import { encrypt, decrypt } from './encryption.js';
+import {
+  applyManifest,
+  upsertSecret,
+  deleteSecret,
+  deleteService,
+  deletePVC,
+  getStatefulSet,
+  deleteStatefulSet,
+  getPodsByLabel,
+  getPodVolumeStats,
+} from './kubernetes.js';
+import { generateStatefulSetManifest, generateServiceManifest } from './manifestGenerator.js';
+import logger from './logger.js';
+
+export const ADDON_ENGINES = {
+  postgres: {
+    label: 'PostgreSQL',
+    versions: ['17', '16', '15'],
+    image: (version) => `postgres:${version}-alpine`,
+    port: 5432,
+    scheme: 'postgres',
+    envVar: 'DATABASE_URL',
+    hasUser: true,
+    dataPath: '/var/lib/postgresql/data',
+    // initdb refuses a non-empty directory, and a fresh volume's root holds lost+found
+    envVars: [{ name: 'PGDATA', value: '/var/lib/postgresql/data/pgdata' }],
+    credentials: (addon, password) => ({
+      POSTGRES_USER: addon.username,
+      POSTGRES_PASSWORD: password,
+      POSTGRES_DB: addon.database_name,
+    }),
+    readinessCommand: 'pg_isready -U "$POSTGRES_USER" -d "$POSTGRES_DB"',
+    // Custom-format dump (compressed); --clean replaces what the dump holds on restore
+    backup: {
+      method: 'pg_dump',
+      extension: 'dump',
+      dumpCommand: 'PGPASSWORD="$POSTGRES_PASSWORD" pg_dump -h "$DB_HOST" -U "$POSTGRES_USER" -d "$POSTGRES_DB" --format=custom --no-owner -f "$BACKUP_FILE"',
+      restoreCommand: 'PGPASSWORD="$POSTGRES_PASSWORD" pg_restore -h "$DB_HOST" -U "$POSTGRES_USER" -d "$POSTGRES_DB" --clean --if-exists --no-owner --single-transaction "$BACKUP_FILE"',
+    },
+  },
+  mysql: {
+    label: 'MySQL',
+    versions: ['8.4', '8.0'],
+    image: (version) => `mysql:${version}`,
+    port: 3306,
+    scheme: 'mysql',
+    envVar: 'DATABASE_URL',
+    hasUser: true,
+    dataPath: '/var/lib/mysql',
+    // Same lost+found problem as PostgreSQL
+    args: ['--datadir=/var/lib/mysql/data'],
+    credentials: (addon, password) => ({
+      MYSQL_USER: addon.username,
+      MYSQL_PASSWORD: password,
+      MYSQL_ROOT_PASSWORD: password,
+      MYSQL_DATABASE: addon.database_name,
+    }),
+    readinessCommand: 'mysqladmin ping -h 127.0.0.1 --silent',
+    // Without --databases the dump names no database, so it restores into any add-on's
+    backup: {
+      method: 'mysqldump',
+      extension: 'sql',
+      dumpCommand: 'MYSQL_PWD="$MYSQL_ROOT_PASSWORD" mysqldump -h "$DB_HOST" -u root --single-transaction --routines --triggers "$MYSQL_DATABASE" > "$BACKUP_FILE"',
+      restoreCommand: 'MYSQL_PWD="$MYSQL_ROOT_PASSWORD" mysql -h "$DB_HOST" -u root "$MYSQL_DATABASE" < "$BACKUP_FILE"',
+    },
+  },
+  redis: {
+    label: 'Redis',
+    versions: ['7'],
+    image: (version) => `redis:${version}-alpine`,
+    port: 6379,
+    scheme: 'redis',
+    envVar: 'REDIS_URL',
+    hasUser: false,
+    dataPath: '/data',
+    args: ['--requirepass', '$(REDIS_PASSWORD)', '--appendonly', 'yes'],
+    credentials: (addon, password) => ({ REDIS_PASSWORD: password }),
+    readinessCommand: 'redis-cli --no-auth-warning -a "$REDIS_PASSWORD" ping | grep -q PONG',
+  },
+};
+
+export const DEFAULT_ADDON_USER = 'dangus';
+
+/**
+ * Kubernetes name of an add-on's StatefulSet and Service. The prefix keeps add-ons and
+ * services from colliding in the namespace.
+ * @param {object} addon - addons row
+ * @returns {string}
+ */
+export function getAddonResourceName(addon) {
+  return `addon-${addon.name}`;
+}
+
+/**
+ * Name of the Secret holding an add-on's credentials, as the engine's env vars
+ * @param {object} addon - addons row
+ * @returns {string}
+ */
+export function getCredentialsSecretName(addon) {
+  return `${getAddonResourceName(addon)}-credentials`;
+}
+
+/**
+ * Generate a password safe to put in a URL without escaping
+ * @returns {string} 48 hex characters
+ */
+export function generateAddonPassword() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Database name for an add-on (hyphens are awkward in SQL identifiers)
+ * @param {string} name - Add-on name
+ * @returns {string}
+ */
+export function getAddonDatabaseName(name) {
+  return name.replace(/-/g, '_');
+}
+
+/**
+ * Connection details of an add-on, reachable from pods in any namespace
+ * @param {object} addon - addons row with project_name
+ * @returns {{host: string, port: number, username: string|null, database: string|null}}
+ */
+export function getConnectionInfo(addon) {
+  const engine = ADDON_ENGINES[addon.engine];
+  return {
+    host: `${getAddonResourceName(addon)}.${addon.project_name}.svc.cluster.local`,
+    port: engine.port,
+    username: addon.username,
+    database: addon.database_name,
+  };
+}
+
+/**
+ * Connection URL of an add-on, including its password
+ * @param {object} addon - addons row with project_name
+ * @returns {string} e.g. postgres://dangus:<password>@addon-db.myproject.svc.cluster.local:5432/db
+ */
+export function getConnectionUrl(addon) {
+  const engine = ADDON_ENGINES[addon.engine];
+  const { host, port, username, database } = getConnectionInfo(addon);
+  const password = decrypt(addon.password);
+  const auth = username ? `${username}:${password}` : `:${password}`;
+  return `${engine.scheme}://${auth}@${host}:${port}${database ? `/${database}` : ''}`;
+}
+
+/**
+ * Insert an add-on with generated credentials
+ * @param {object} db - Database connection
+ * @param {string} projectId - Project ID
+ * @param {object} options
+ * @param {string} options.name - Add-on name
+ * @param {string} options.engine - postgres | mysql | redis
+ * @param {string} options.version - One of the engine's versions
+ * @param {number} options.storageGb - Volume size in GiB
+ * @returns {Promise<object>} New addons row
+ */
+export async function insertAddon(db, projectId, { name, engine, version, storageGb }) {
+  const { hasUser } = ADDON_ENGINES[engine];
+  const result = await db.query(
+    `INSERT INTO addons (project_id, name, engine, version, storage_gb, username, password, database_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      projectId,
+      name,
+      engine,
+      version,
+      storageGb,
+      hasUser ? DEFAULT_ADDON_USER : null,
+      encrypt(generateAddonPassword()),
+      hasUser ? getAddonDatabaseName(name) : null,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Create an add-on's Secret, Service and StatefulSet. Objects that already exist are kept.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} addon - addons row
+ */
+export async function provisionAddon(namespace, addon) {
+  const engine = ADDON_ENGINES[addon.engine];
+  const name = getAddonResourceName(addon);
+  const secretName = getCredentialsSecretName(addon);
+
+  const credentials = engine.credentials(addon, decrypt(addon.password));
+  const secretData = {};
+  for (const [key, value] of Object.entries(credentials)) {
+    secretData[key] = Buffer.from(value, 'utf8').toString('base64');
+  }
+  await upsertSecret(namespace, secretName, secretData);
+
+  const manifests = [
+    generateServiceManifest({ namespace, serviceName: name, port: engine.port }),
+    generateStatefulSetManifest({
+      namespace,
+      name,
+      image: engine.image(addon.version),
+      port: engine.port,
+      args: engine.args,
+      envVars: engine.envVars,
+      envSecretName: secretName,
+      readinessCommand: engine.readinessCommand,
+      dataPath: engine.dataPath,
+      storageGb: addon.storage_gb,
+    }),
+  ];
+
+  for (const manifest of manifests) {
+    try {
+      await applyManifest(manifest);
+    } catch (err) {
+      if (err.status !== 409) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Delete an add-on's Kubernetes objects, its volume included. Missing objects are skipped.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} addon - addons row
+ */
+export async function deleteAddonResources(namespace, addon) {
+  const name = getAddonResourceName(addon);
+  const removals = [
+    () => deleteStatefulSet(namespace, name),
+    () => deleteService(namespace, name),
+    () => deleteSecret(namespace, getCredentialsSecretName(addon)),
+    // volumeClaimTemplates name the claim <template>-<statefulset>-<ordinal>
+    () => deletePVC(namespace, `data-${name}-0`),
+  ];
+
+  for (const remove of removals) {
+    try {
+      await remove();
+    } catch (err) {
+      if (err.status !== 404) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Whether an add-on's server is up, and how full its volume is
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} addon - addons row
+ * @returns {Promise<{status: string, used_bytes: number|null, capacity_bytes: number|null}>}
+ *   status is running, starting or missing
+ */
+export async function getAddonStatus(namespace, addon) {
+  const name = getAddonResourceName(addon);
+  const state = { status: 'missing', used_bytes: null, capacity_bytes: null };
+
+  try {
+    const statefulSet = await getStatefulSet(namespace, name);
+    state.status = statefulSet.status?.readyReplicas > 0 ? 'running' : 'starting';
+  } catch (err) {
+    if (err.status === 404) {
+      return state;
+    }
+    throw err;
+  }
+
+  // Usage comes from the kubelet, which only reports volumes of running pods
+  try {
+    const pods = await getPodsByLabel(namespace, `app=${name}`);
+    const pod = (pods.items || []).find(p => p.spec?.nodeName && p.status?.phase === 'Running');
+    if (pod) {
+      const volume = (await getPodVolumeStats(pod)).find(v => v.claimName === `data-${name}-0`);
+      if (volume) {
+        state.used_bytes = volume.usedBytes;
+        state.capacity_bytes = volume.capacityBytes;
+      }
+    }
+  } catch (err) {
+    logger.warn('Failed to read add-on volume usage', { namespace, addon: addon.name, error: err.message });
+  }
+
+  return state;
+}
+
+/**
+ * Connection URL env vars of the add-ons a service is attached to
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Array<{name: string, value: string, secret: boolean}>>}
+ */
+export async function getAddonEnvVars(db, serviceId) {
+  const result = await db.query(
+    `SELECT a.*, p.name AS project_name, aa.env_var
+     FROM addon_attachments aa
+     JOIN addons a ON a.id = aa.addon_id
+     JOIN projects p ON p.id = a.project_id
+     WHERE aa.service_id = $1
+     ORDER BY aa.env_var`,
+    [serviceId]
+  );
+
+  return result.rows.map(row => ({
+    name: row.env_var,
+    value: getConnectionUrl(row),
+    secret: true,
+  }));
+}
@@ -0,0 +1,333 @@
+/**
+ * Alert Rules
+ *
+ * An alert rule watches one metric of a service, or of every web and worker service of a
+ * project, and fires while the metric is at or above the rule's threshold:
+ *
+ *   unhealthy       the last <threshold> health checks all failed
+ *   response_time   the p95 health check response time over the window, in ms
+ *   cpu, memory     usage per running pod, as a percentage of the limit, stayed at or above
+ *                   the threshold for the whole window
+ *   restarts        container restarts within the window
+ *
+ * Health rules read the health_checks rows written by healthChecker.js, the others the
+ * samples written by metricsHistory.js. The evaluator keeps at most one firing alert per
+ * rule and service, resolves it once the condition clears (or there is no data left to
+ * judge it by, e.g. the service was stopped), and notifies the project owner on each of
+ * those two transitions only.
+ */
+
+import { HEALTH_CHECK_INTERVAL } from './healthChecker.js';
+import { METRICS_SAMPLE_INTERVAL } from './metricsHistory.js';
+import { getServiceResources, parseCpu, parseMemory } from './resources.js';
+import { sendAlertNotification } from './notifications.js';
+import logger from './logger.js';
+
+const ALERT_CHECK_INTERVAL = parseInt(process.env.ALERT_CHECK_INTERVAL, 10) || 60000; // 1 minute
+
+// Share of the expected metric samples a window needs before cpu and memory rules are judged
+const MIN_SAMPLE_COVERAGE = 0.8;
+
+let evaluationInterval = null;
+let evaluating = false;
+
+/**
+ * Round to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Failed health checks in a row, counting back from the latest, up to the threshold
+ */
+async function evaluateUnhealthy(db, rule, services) {
+  const checks = Math.ceil(rule.threshold);
+  // Checks older than this belong to an earlier run of the service, or the checker stopped
+  const windowSeconds = ((checks + 2) * HEALTH_CHECK_INTERVAL) / 1000;
+
+  const result = await db.query(
+    `SELECT service_id, status
+     FROM (
+       SELECT service_id, status,
+              ROW_NUMBER() OVER (PARTITION BY service_id ORDER BY checked_at DESC) AS n
+       FROM health_checks
+       WHERE service_id = ANY($1) AND checked_at > NOW() - make_interval(secs => $3)
+     ) h
+     WHERE n <= $2
+     ORDER BY service_id, n`,
+    [services.map(s => s.id), checks, windowSeconds]
+  );
+
+  const values = new Map();
+  const healthySeen = new Set();
+  for (const row of result.rows) {
+    if (!values.has(row.service_id)) values.set(row.service_id, 0);
+    if (row.status !== 'unhealthy') healthySeen.add(row.service_id);
+    if (!healthySeen.has(row.service_id)) {
+      values.set(row.service_id, values.get(row.service_id) + 1);
+    }
+  }
+  return values;
+}
+
+/**
+ * p95 health check response time over the window, in milliseconds
+ */
+async function evaluateResponseTime(db, rule, services) {
+  const result = await db.query(
+    `SELECT service_id, percentile_cont(0.95) WITHIN GROUP (ORDER BY response_time_ms) AS p95
+     FROM health_checks
+     WHERE service_id = ANY($1)
+       AND checked_at > NOW() - make_interval(mins => $2)
+       AND response_time_ms IS NOT NULL
+     GROUP BY service_id`,
+    [services.map(s => s.id), rule.duration_minutes]
+  );
+
+  return new Map(result.rows.map(row => [row.service_id, Math.round(Number(row.p95))]));
+}
+
+/**
+ * Lowest per-pod CPU or memory usage over the window, as a percentage of the limit. The
+ * lowest sample being over the threshold means usage stayed over it for the whole window.
+ */
+async function evaluateUsage(db, rule, services) {
+  const result = await db.query(
+    `SELECT service_id,
+            MIN(cpu_millicores / pods) AS cpu,
+            MIN(memory_bytes::float8 / pods) AS memory,
+            COUNT(*) AS samples
+     FROM service_metric_samples
+     WHERE service_id = ANY($1) AND sampled_at > NOW() - make_interval(mins => $2)
+     GROUP BY service_id`,
+    [services.map(s => s.id), rule.duration_minutes]
+  );
+
+  const expected = (rule.duration_minutes * 60000) / METRICS_SAMPLE_INTERVAL;
+  const needed = Math.max(1, Math.floor(expected * MIN_SAMPLE_COVERAGE));
+
+  const values = new Map();
+  for (const row of result.rows) {
+    if (Number(row.samples) < needed) {
+      continue;
+    }
+
+    const service = services.find(s => s.id === row.service_id);
+    const { limits } = getServiceResources(service);
+    const limit = rule.metric === 'cpu'
+      ? parseCpu(limits.cpu)
+      : parseMemory(limits.memory) * 1024 * 1024;
+    if (limit > 0) {
+      values.set(row.service_id, round((Number(row[rule.metric]) / limit) * 100));
+    }
+  }
+  return values;
+}
+
+/**
+ * Container restarts within the window
+ */
+async function evaluateRestarts(db, rule, services) {
+  const result = await db.query(
+    `SELECT service_id, SUM(restarts) AS restarts
+     FROM service_metric_samples
+     WHERE service_id = ANY($1) AND sampled_at > NOW() - make_interval(mins => $2)
+     GROUP BY service_id`,
+    [services.map(s => s.id), rule.duration_minutes]
+  );
+
+  return new Map(result.rows.map(row => [row.service_id, Number(row.restarts)]));
+}
+
+// Metrics a rule can watch: threshold bounds, how to read the current values, and how to
+// describe a firing alert
+export const ALERT_METRICS = {
+  unhealthy: {
+    integer: true,
+    max: 100,
+    evaluate: evaluateUnhealthy,
+    describe: (value) => `Failed the last ${value} health checks`,
+  },
+  response_time: {
+    integer: false,
+    max: 60000,
+    evaluate: evaluateResponseTime,
+    describe: (value, rule) => `Response time p95 was ${value}ms over the last ${rule.duration_minutes} min (threshold ${rule.threshold}ms)`,
+  },
+  cpu: {
+    integer: false,
+    max: 100,
+    evaluate: evaluateUsage,
+    describe: (value, rule) => `CPU stayed at ${value}% of its limit or more for ${rule.duration_minutes} min (threshold ${rule.threshold}%)`,
+  },
+  memory: {
+    integer: false,
+    max: 100,
+    evaluate: evaluateUsage,
+    describe: (value, rule) => `Memory stayed at ${value}% of its limit or more for ${rule.duration_minutes} min (threshold ${rule.threshold}%)`,
+  },
+  restarts: {
+    integer: true,
+    max: 1000,
+    evaluate: evaluateRestarts,
+    describe: (value, rule) => `${value} container restart${value === 1 ? '' : 's'} in the last ${rule.duration_minutes} min (threshold ${rule.threshold})`,
+  },
+};
+
+/**
+ * Check a threshold against a metric's bounds
+ * @param {string} metric - Key of ALERT_METRICS
+ * @param {number} threshold - Threshold in the metric's unit
+ * @returns {string|null} Why the threshold is invalid, or null
+ */
+export function validateThreshold(metric, threshold) {
+  const { integer, max } = ALERT_METRICS[metric];
+  if (integer && !Number.isInteger(threshold)) {
+    return 'Threshold must be a whole number for this metric';
+  }
+  if (threshold <= 0 || threshold > max) {
+    return `Threshold must be greater than 0 and at most ${max} for this metric`;
+  }
+  return null;
+}
+
+/**
+ * Resolve a rule's firing alerts without notifying, e.g. when the rule is disabled
+ * @param {object} db - Database connection
+ * @param {string} ruleId - Rule UUID
+ */
+export async function resolveRuleAlerts(db, ruleId) {
+  await db.query(
+    `UPDATE alerts SET status = 'resolved', resolved_at = NOW()
+     WHERE rule_id = $1 AND status = 'firing'`,
+    [ruleId]
+  );
+}
+
+/**
+ * Notify about an alert transition; a failed delivery is recorded by notifications.js
+ * and must not stop the evaluation
+ */
+async function notify(db, alert, rule, service) {
+  const project = { id: rule.project_id, name: rule.project_name, user_id: rule.user_id };
+  try {
+    await sendAlertNotification(db, alert, rule, service, project);
+  } catch (err) {
+    logger.error('Failed to send alert notification', { alertId: alert.id, error: err.message });
+  }
+}
+
+/**
+ * Evaluate a rule against each service it applies to, firing and resolving alerts
+ * @param {object} db - Database connection
+ * @param {object} rule - alert_rules row with project_name and user_id
+ */
+async function evaluateRule(db, rule) {
+  const servicesResult = await db.query(
+    `SELECT * FROM services
+     WHERE project_id = $1 AND service_type <> 'cron' AND ($2::uuid IS NULL OR id = $2)`,
+    [rule.project_id, rule.service_id]
+  );
+  const services = servicesResult.rows;
+  if (services.length === 0) {
+    return;
+  }
+
+  const metric = ALERT_METRICS[rule.metric];
+  const values = await metric.evaluate(db, rule, services);
+
+  const openResult = await db.query(
+    `SELECT * FROM alerts WHERE rule_id = $1 AND status = 'firing'`,
+    [rule.id]
+  );
+  const open = new Map(openResult.rows.map(alert => [alert.service_id, alert]));
+
+  for (const service of services) {
+    const value = values.get(service.id);
+    const firing = value !== undefined && value >= rule.threshold;
+    const current = open.get(service.id);
+
+    if (firing && !current) {
+      const result = await db.query(
+        `INSERT INTO alerts (rule_id, service_id, status, value, message)
+         VALUES ($1, $2, 'firing', $3, $4)
+         ON CONFLICT (rule_id, service_id) WHERE status = 'firing' DO NOTHING
+         RETURNING *`,
+        [rule.id, service.id, value, metric.describe(value, rule)]
+      );
+      if (result.rows[0]) {
+        logger.warn(`Alert "${rule.name}" firing for ${service.name}: ${result.rows[0].message}`);
+        await notify(db, result.rows[0], rule, service);
+      }
+    } else if (!firing && current) {
+      const result = await db.query(
+        `UPDATE alerts SET status = 'resolved', resolved_at = NOW()
+         WHERE id = $1 AND status = 'firing'
+         RETURNING *`,
+        [current.id]
+      );
+      if (result.rows[0]) {
+        logger.info(`Alert "${rule.name}" resolved for ${service.name}`);
+        await notify(db, result.rows[0], rule, service);
+      }
+    }
+  }
+}
+
+/**
+ * One pass of the evaluator over every enabled rule
+ * @param {object} db - Database connection
+ */
+async function runAlertEvaluation(db) {
+  if (evaluating) {
+    return;
+  }
+  evaluating = true;
+
+  try {
+    const result = await db.query(
+      `SELECT r.*, p.name AS project_name, p.user_id
+       FROM alert_rules r
+       JOIN projects p ON r.project_id = p.id
+       WHERE r.enabled = true`
+    );
+
+    for (const rule of result.rows) {
+      try {
+        await evaluateRule(db, rule);
+      } catch (err) {
+        logger.warn(`Failed to evaluate alert rule ${rule.id}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error('Alert evaluation failed', { error: err.message });
+  } finally {
+    evaluating = false;
+  }
+}
+
+/**
+ * Start evaluating alert rules
+ * @param {object} db - Database connection
+ */
+export function startAlertEvaluator(db) {
+  if (evaluationInterval) {
+    logger.warn('Alert evaluator already running');
+    return;
+  }
+
+  evaluationInterval = setInterval(() => runAlertEvaluation(db), ALERT_CHECK_INTERVAL);
+  logger.info(`Alert evaluator started with ${ALERT_CHECK_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop evaluating alert rules. Firing alerts stay firing until the next start.
+ */
+export function stopAlertEvaluator() {
+  if (evaluationInterval) {
+    clearInterval(evaluationInterval);
+    evaluationInterval = null;
+  }
+  logger.info('Alert evaluator stopped');
+}
@@ -0,0 +1,197 @@
+/**
+ * Personal access tokens - hashed, revocable bearer tokens for API access
+ */
+
+import crypto from 'crypto';
+
+export const API_TOKEN_PREFIX = 'dgs_';
+export const API_TOKEN_SCOPES = ['read', 'deploy', 'env:write', 'admin'];
+
+// Routes that deploy or change the running state of a service
+const DEPLOY_ROUTES = [
+  /^\/services\/[^/]+\/(deploy|rollback|restart|promote|runs)$/,
+  /^\/services\/[^/]+\/state$/,
+  /^\/services\/[^/]+\/rollout\/(promote|abort)$/,
+];
+
+// Environment variable routes (writes, and revealing secret values)
+const ENV_ROUTES = [
+  /^\/services\/[^/]+\/env(\/.*)?$/,
+];
+
+// GET routes that return secrets and therefore need more than read access
+const SECRET_READ_ROUTES = [
+  { pattern: /^\/services\/[^/]+\/env\/[^/]+\/value$/, scope: 'env:write' },
+  { pattern: /^\/services\/[^/]+\/webhook-secret$/, scope: 'admin' },
+  { pattern: /^\/addons\/[^/]+\/credentials$/, scope: 'admin' },
+  // Chat webhook URLs are bearer secrets, and generic webhooks come with their signing secret
+  { pattern: /^\/notifications\/channels$/, scope: 'admin' },
+  // Includes the signing secret of the account's own webhook
+  { pattern: /^\/notifications\/settings$/, scope: 'admin' },
+  // Attempts keep the URL each request was posted to, which for chat channels is the secret
+  { pattern: /^\/notifications\/deliveries\/[^/]+$/, scope: 'admin' },
+];
+
+// Token, session and account management always require a browser session
+const SESSION_ONLY_ROUTES = [
+  /^\/auth\/(tokens|sessions|device)(\/.*)?$/,
+  /^\/auth\/(logout|logout-all|account)$/,
+];
+
+/**
+ * Hash a plaintext token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new plaintext token
+ * @returns {string} Token such as dgs_3f9c...
+ */
+export function generateApiToken() {
+  return API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Determine which scope a request needs when made with a token
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL (query string is ignored)
+ * @returns {string|null} Required scope, or null if tokens are not accepted
+ */
+export function getRequiredScope(method, url) {
+  const path = url.split('?')[0];
+
+  if (SESSION_ONLY_ROUTES.some(pattern => pattern.test(path))) {
+    return null;
+  }
+
+  if (method === 'GET' || method === 'HEAD') {
+    const secretRoute = SECRET_READ_ROUTES.find(route => route.pattern.test(path));
+    return secretRoute ? secretRoute.scope : 'read';
+  }
+
+  if (DEPLOY_ROUTES.some(pattern => pattern.test(path))) {
+    return 'deploy';
+  }
+
+  if (ENV_ROUTES.some(pattern => pattern.test(path))) {
+    return 'env:write';
+  }
+
+  return 'admin';
+}
+
+/**
+ * Check whether a token's scopes satisfy a required scope.
+ * admin grants everything; every scope grants read.
+ * @param {string[]} scopes - Scopes granted to the token
+ * @param {string} required - Required scope
+ * @returns {boolean}
+ */
+export function hasScope(scopes, required) {
+  if (scopes.includes('admin') || scopes.includes(required)) {
+    return true;
+  }
+  return required === 'read' && scopes.length > 0;
+}
+
+/**
+ * Create a token for a user
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @param {object} options - Token options
+ * @param {string} options.name - Display name
+ * @param {string[]} options.scopes - Granted scopes (defaults to admin)
+ * @param {number} options.expiresInDays - Days until expiry (omit for no expiry)
+ * @returns {Promise<{token: string, record: object}>} Plaintext token (shown once) and stored record
+ */
+export async function createApiToken(db, userId, { name, scopes = ['admin'], expiresInDays } = {}) {
+  const token = generateApiToken();
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const result = await db.query(
+    `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at`,
+    [userId, name, hashApiToken(token), token.substring(0, API_TOKEN_PREFIX.length + 8), scopes, expiresAt]
+  );
+
+  return { token, record: result.rows[0] };
+}
+
+/**
+ * List a user's tokens (never includes the token itself)
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Tokens, newest first
+ */
+export async function listApiTokens(db, userId) {
+  const result = await db.query(
+    `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+     FROM api_tokens
+     WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Revoke a token
+ * @param {object} db - Database connection
+ * @param {string} userId - Owning user UUID
+ * @param {string} tokenId - Token UUID
+ * @returns {Promise<object|null>} Revoked token, or null if not found
+ */
+export async function revokeApiToken(db, userId, tokenId) {
+  const result = await db.query(
+    `UPDATE api_tokens
+     SET revoked_at = COALESCE(revoked_at, NOW())
+     WHERE id = $1 AND user_id = $2
+     RETURNING id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at`,
+    [tokenId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve a plaintext token to its user and record last use
+ * @param {object} db - Database connection
+ * @param {string} token - Plaintext bearer token
+ * @returns {Promise<{user: object, token: object}|null>} Null if unknown, revoked or expired
+ */
+export async function authenticateApiToken(db, token) {
+  if (!token || !token.startsWith(API_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const result = await db.query(
+    `UPDATE api_tokens t
+     SET last_used_at = NOW()
+     FROM users u
+     WHERE t.token_hash = $1
+       AND t.user_id = u.id
+       AND t.revoked_at IS NULL
+       AND (t.expires_at IS NULL OR t.expires_at > NOW())
+     RETURNING t.id as token_id, t.name as token_name, t.scopes,
+               u.id, u.github_username, u.hash, u.created_at`,
+    [hashApiToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { token_id, token_name, scopes, ...user } = result.rows[0];
+  return {
+    user,
+    token: { id: token_id, name: token_name, scopes },
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Service autoscaling - settings validation and the service's HorizontalPodAutoscaler.
+ *
+ * With autoscaling on, the HPA owns the Deployment's replica count between min and max.
+ * Deploys and starts keep the count the HPA has reached, and only set a stopped or new
+ * Deployment to the minimum for the HPA to take it from there; stopping scales the
+ * Deployment to 0, which the HPA leaves alone until it is started again.
+ */
+
+import {
+  getDeployment,
+  getHorizontalPodAutoscaler,
+  upsertHorizontalPodAutoscaler,
+  deleteHorizontalPodAutoscaler,
+} from './kubernetes.js';
+import { generateHorizontalPodAutoscalerManifest } from './manifestGenerator.js';
+
+export const MAX_AUTOSCALING_REPLICAS = 10;
+
+export const AUTOSCALING_FIELDS = [
+  'autoscaling_enabled',
+  'autoscaling_min_replicas',
+  'autoscaling_max_replicas',
+  'autoscaling_cpu_target',
+  'autoscaling_memory_target',
+];
+
+/**
+ * Work out a service's autoscaling columns after a PATCH
+ * @param {object} current - Current service row
+ * @param {object} body - Request body
+ * @returns {{updates: object|null, error?: string}} Column updates, or null if nothing changed
+ */
+export function resolveAutoscalingUpdate(current, body) {
+  const changed = AUTOSCALING_FIELDS.filter(field => body[field] !== undefined);
+  if (changed.length === 0) {
+    return { updates: null };
+  }
+
+  const values = Object.fromEntries(AUTOSCALING_FIELDS.map(field => [field, current[field]]));
+  for (const field of changed) {
+    values[field] = body[field];
+  }
+
+  if (values.autoscaling_min_replicas > values.autoscaling_max_replicas) {
+    return { updates: null, error: 'autoscaling_min_replicas cannot be greater than autoscaling_max_replicas' };
+  }
+  if (values.autoscaling_enabled && values.autoscaling_cpu_target == null && values.autoscaling_memory_target == null) {
+    return { updates: null, error: 'Autoscaling needs a CPU or memory utilization target' };
+  }
+
+  return { updates: Object.fromEntries(changed.map(field => [field, values[field]])) };
+}
+
+/**
+ * Replica count a stopped or new service's Deployment is set to on deploy or start
+ * @param {object} service - Service row
+ * @returns {number} Fixed replicas, or the autoscaler's minimum when autoscaling is on
+ */
+export function getRunningReplicas(service) {
+  if (service.autoscaling_enabled) {
+    return service.autoscaling_min_replicas || 1;
+  }
+  return service.replicas || 1;
+}
+
+/**
+ * Replica count to deploy or start a service with. With autoscaling on, a Deployment the HPA
+ * has scaled keeps its live count (within the current min and max), so a deploy or start
+ * under load doesn't drop it back to the minimum.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ * @returns {Promise<number>}
+ */
+export async function getDeployReplicas(namespace, service) {
+  if (!service.autoscaling_enabled) {
+    return getRunningReplicas(service);
+  }
+
+  let liveReplicas = 0;
+  try {
+    const deployment = await getDeployment(namespace, service.name);
+    liveReplicas = deployment.spec?.replicas || 0;
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+  }
+
+  if (liveReplicas === 0) {
+    return getRunningReplicas(service);
+  }
+  return Math.min(
+    Math.max(liveReplicas, service.autoscaling_min_replicas || 1),
+    service.autoscaling_max_replicas || MAX_AUTOSCALING_REPLICAS
+  );
+}
+
+/**
+ * Create, update or remove a service's HPA to match its settings
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ * @returns {Promise<void>}
+ */
+export async function syncAutoscaler(namespace, service) {
+  if (!service.autoscaling_enabled) {
+    await deleteAutoscaler(namespace, service.name);
+    return;
+  }
+
+  const manifest = generateHorizontalPodAutoscalerManifest({
+    namespace,
+    serviceName: service.name,
+    minReplicas: service.autoscaling_min_replicas,
+    maxReplicas: service.autoscaling_max_replicas,
+    cpuTarget: service.autoscaling_cpu_target ?? undefined,
+    memoryTarget: service.autoscaling_memory_target ?? undefined,
+  });
+
+  await upsertHorizontalPodAutoscaler(manifest);
+}
+
+/**
+ * Remove a service's HPA if it has one
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} serviceName - Service name
+ * @returns {Promise<void>}
+ */
+export async function deleteAutoscaler(namespace, serviceName) {
+  try {
+    await deleteHorizontalPodAutoscaler(namespace, serviceName);
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Current state of a service's HPA for the metrics payload
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} serviceName - Service name
+ * @returns {Promise<object|null>} Replica range, current/desired replicas and per-metric
+ *   target vs current utilization, or null if the service has no HPA
+ */
+export async function getAutoscalerStatus(namespace, serviceName) {
+  let hpa;
+  try {
+    hpa = await getHorizontalPodAutoscaler(namespace, serviceName);
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+
+  const currentMetrics = hpa.status?.currentMetrics || [];
+  const metrics = (hpa.spec?.metrics || [])
+    .filter(metric => metric.type === 'Resource')
+    .map((metric) => {
+      const current = currentMetrics.find(m => m.type === 'Resource' && m.resource?.name === metric.resource.name);
+      return {
+        name: metric.resource.name,
+        targetPercent: metric.resource.target?.averageUtilization ?? null,
+        currentPercent: current?.resource?.current?.averageUtilization ?? null,
+      };
+    });
+
+  return {
+    minReplicas: hpa.spec?.minReplicas || 1,
+    maxReplicas: hpa.spec?.maxReplicas,
+    currentReplicas: hpa.status?.currentReplicas || 0,
+    desiredReplicas: hpa.status?.desiredReplicas || 0,
+    metrics,
+    lastScaleTime: hpa.status?.lastScaleTime || null,
+  };
+}
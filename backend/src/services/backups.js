@@ -0,0 +1,823 @@
+/**
+ * Backups
+ *
+ * Service volumes and PostgreSQL/MySQL add-ons are backed up to an S3-compatible bucket
+ * (BACKUP_S3_*, see objectStorage.js), on the source's backup_schedule or on demand. Each
+ * backup is a Job in the project's namespace: a volume is archived with tar on the node its
+ * claim is attached to (the claim is ReadWriteOnce), an add-on is dumped over the network
+ * with its engine's tool. Volumes are archived while the service keeps running, so a file
+ * being written at that moment may be caught half-written.
+ *
+ * Objects are stored as <project>/<services|addons>/<name>/<time>-<id>.<ext>. The loop here
+ * records how each Job ended, starts scheduled backups that are due, and deletes scheduled
+ * backups beyond the source's backup_retention. Manual backups, and backups whose service
+ * or add-on has been deleted, are kept until deleted by hand or with their project.
+ *
+ * A volume is restored into a new claim; once it has been filled the service switches to it
+ * (services.storage_claim_name). Its old claim is kept, labelled with the restore that
+ * replaced it, until it is deleted by hand or with the service. A dump is loaded into the
+ * running add-on, replacing the tables it contains.
+ */
+
+import crypto from 'crypto';
+import {
+  applyManifest,
+  upsertSecret,
+  getJob,
+  deleteJob,
+  getPodsByLabel,
+  getPodLogs,
+  patchDeployment,
+  deletePVC,
+  patchPVC,
+  listPVCs,
+} from './kubernetes.js';
+import {
+  generateBackupJobManifest,
+  generateRestoreJobManifest,
+  generatePVCManifest,
+} from './manifestGenerator.js';
+import { isBackupStorageConfigured, getBackupStorageConfig, getObjectSize, deleteObject } from './objectStorage.js';
+import { ADDON_ENGINES, getAddonResourceName, getCredentialsSecretName } from './addons.js';
+import { FATAL_WAITING_REASONS } from './deploymentVerifier.js';
+import logger from './logger.js';
+
+const BACKUP_CHECK_INTERVAL = parseInt(process.env.BACKUP_CHECK_INTERVAL, 10) || 60000; // 1 minute
+const BACKUP_TIMEOUT = parseInt(process.env.BACKUP_TIMEOUT, 10) || 3600000; // 1 hour
+const STORAGE_SECRET_NAME = 'dangus-backup-storage';
+const VOLUME_IMAGE = 'alpine:3.20';
+const VOLUME_BACKUP_COMMAND = 'tar -czf "$BACKUP_FILE" -C /data .';
+const VOLUME_RESTORE_COMMAND = 'tar -xzf "$BACKUP_FILE" -C /data';
+const FAILURE_LOG_LINES = 5;
+// How long a Job may be missing before its backup or restore counts as failed
+const VANISHED_GRACE = 120000;
+// Set on a claim a restore switched its service away from
+const REPLACED_BY_LABEL = 'dangus.cloud/replaced-by-restore';
+const REPLACED_AT_ANNOTATION = 'dangus.cloud/replaced-at';
+
+export const BACKUP_SCHEDULES = ['hourly', 'daily', 'weekly'];
+export const MAX_BACKUP_RETENTION = 90;
+
+let checkInterval = null;
+let checking = false;
+
+/**
+ * SQL for the time between a source's scheduled backups
+ * @param {string} column - Its backup_schedule column
+ * @returns {string}
+ */
+function scheduleIntervalSql(column) {
+  return `CASE ${column} WHEN 'hourly' THEN INTERVAL '1 hour' WHEN 'daily' THEN INTERVAL '1 day' ELSE INTERVAL '7 days' END`;
+}
+
+/**
+ * Name of the claim a service's volume lives on
+ * @param {object} service - Service row
+ * @returns {string} The claim a restore switched it to, or <service>-pvc
+ */
+export function getStorageClaimName(service) {
+  return service.storage_claim_name || `${service.name}-pvc`;
+}
+
+/**
+ * Whether an add-on's engine can be backed up
+ * @param {object} addon - addons row
+ * @returns {boolean}
+ */
+export function canBackUpAddon(addon) {
+  return Boolean(ADDON_ENGINES[addon.engine]?.backup);
+}
+
+/**
+ * Job name for a backup or restore (at most 63 characters, so it fits the job-name label)
+ * @param {string} action - backup | restore
+ * @param {string} name - Source or target name
+ * @param {string} id - Backup or restore UUID
+ * @returns {string}
+ */
+function generateJobName(action, name, id) {
+  return `${action}-${name.slice(0, 45).replace(/-+$/, '')}-${id.substring(0, 8)}`;
+}
+
+/**
+ * Object key for a new backup
+ * @param {string} projectName - Project name
+ * @param {string} kind - services | addons
+ * @param {string} sourceName - Service or add-on name
+ * @param {string} id - Backup UUID
+ * @param {string} extension - File extension
+ * @returns {string} e.g. myproject/services/api/2026-01-31T02-00-00Z-1a2b3c4d.tar.gz
+ */
+function generateObjectKey(projectName, kind, sourceName, id, extension) {
+  const time = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+  return `${projectName}/${kind}/${sourceName}/${time}-${id.substring(0, 8)}.${extension}`;
+}
+
+/**
+ * Write the bucket credentials Jobs in a namespace read
+ * @param {string} namespace - Kubernetes namespace
+ */
+async function ensureStorageSecret(namespace) {
+  const { region, accessKeyId, secretAccessKey } = getBackupStorageConfig();
+  const values = {
+    AWS_ACCESS_KEY_ID: accessKeyId,
+    AWS_SECRET_ACCESS_KEY: secretAccessKey,
+    AWS_DEFAULT_REGION: region,
+  };
+
+  const data = {};
+  for (const [key, value] of Object.entries(values)) {
+    data[key] = Buffer.from(value, 'utf8').toString('base64');
+  }
+  await upsertSecret(namespace, STORAGE_SECRET_NAME, data);
+}
+
+/**
+ * Options every backup and restore Job shares
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} objectKey - Object the Job uploads or downloads
+ * @returns {object}
+ */
+function storageJobOptions(namespace, objectKey) {
+  const { endpoint, bucket } = getBackupStorageConfig();
+  return {
+    namespace,
+    storageSecretName: STORAGE_SECRET_NAME,
+    endpoint,
+    bucket,
+    objectKey,
+    timeoutSeconds: Math.ceil(BACKUP_TIMEOUT / 1000),
+  };
+}
+
+/**
+ * Node a service's volume is attached to
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} serviceName - Service name
+ * @returns {Promise<string|undefined>} Node of a running pod, or undefined if none is running
+ */
+async function findVolumeNode(namespace, serviceName) {
+  const pods = await getPodsByLabel(namespace, `app=${serviceName}`);
+  const pod = (pods.items || []).find(p => p.spec?.nodeName && p.status?.phase === 'Running');
+  return pod?.spec.nodeName;
+}
+
+/**
+ * Record a backup and start its Job. If the Job can't be created the backup is recorded as failed.
+ * @param {object} db - Database connection
+ * @param {object} backup - Columns of the backups row
+ * @param {object} jobOptions - Backup job options that depend on the source
+ * @returns {Promise<object>} backups row
+ */
+async function startBackup(db, backup, jobOptions) {
+  const result = await db.query(
+    `INSERT INTO backups (id, project_id, service_id, addon_id, source_name, method, trigger, object_key, job_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      backup.id,
+      backup.projectId,
+      backup.serviceId || null,
+      backup.addonId || null,
+      backup.sourceName,
+      backup.method,
+      backup.trigger,
+      backup.objectKey,
+      generateJobName('backup', backup.sourceName, backup.id),
+    ]
+  );
+  const row = result.rows[0];
+
+  try {
+    await ensureStorageSecret(jobOptions.namespace);
+    await applyManifest(generateBackupJobManifest({
+      ...storageJobOptions(jobOptions.namespace, row.object_key),
+      ...jobOptions,
+      jobName: row.job_name,
+      sourceName: row.source_name,
+    }));
+  } catch (err) {
+    logger.error('Failed to start backup', { source: row.source_name, error: err.message });
+    const failed = await db.query(
+      `UPDATE backups SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2 RETURNING *`,
+      [`Could not start the backup job: ${err.message}`, row.id]
+    );
+    return failed.rows[0];
+  }
+
+  logger.info('Started backup', { source: row.source_name, trigger: row.trigger, jobName: row.job_name });
+  return row;
+}
+
+/**
+ * Back up a service's volume
+ * @param {object} db - Database connection
+ * @param {object} service - Service row with storage_gb set and project_name
+ * @param {string} trigger - schedule | manual
+ * @returns {Promise<object>} backups row
+ */
+export async function startServiceBackup(db, service, trigger) {
+  const id = crypto.randomUUID();
+  const namespace = service.project_name;
+
+  return startBackup(db, {
+    id,
+    projectId: service.project_id,
+    serviceId: service.id,
+    sourceName: service.name,
+    method: 'tar',
+    trigger,
+    objectKey: generateObjectKey(namespace, 'services', service.name, id, 'tar.gz'),
+  }, {
+    namespace,
+    image: VOLUME_IMAGE,
+    command: VOLUME_BACKUP_COMMAND,
+    claimName: getStorageClaimName(service),
+    nodeName: await findVolumeNode(namespace, service.name),
+  });
+}
+
+/**
+ * Dump a PostgreSQL or MySQL add-on
+ * @param {object} db - Database connection
+ * @param {object} addon - addons row with project_name (see canBackUpAddon)
+ * @param {string} trigger - schedule | manual
+ * @returns {Promise<object>} backups row
+ */
+export async function startAddonBackup(db, addon, trigger) {
+  const engine = ADDON_ENGINES[addon.engine];
+  const id = crypto.randomUUID();
+  const namespace = addon.project_name;
+
+  return startBackup(db, {
+    id,
+    projectId: addon.project_id,
+    addonId: addon.id,
+    sourceName: addon.name,
+    method: engine.backup.method,
+    trigger,
+    objectKey: generateObjectKey(namespace, 'addons', addon.name, id, engine.backup.extension),
+  }, {
+    namespace,
+    image: engine.image(addon.version),
+    command: engine.backup.dumpCommand,
+    envVars: [{ name: 'DB_HOST', value: getAddonResourceName(addon) }],
+    envSecretName: getCredentialsSecretName(addon),
+  });
+}
+
+/**
+ * Record a restore and start its Job. If the Job can't be created the restore is recorded
+ * as failed and its new claim, if any, deleted.
+ * @param {object} db - Database connection
+ * @param {object} restore - Columns of the backup_restores row
+ * @param {object} jobOptions - Restore job options that depend on the target
+ * @returns {Promise<object>} backup_restores row
+ */
+async function startRestore(db, restore, jobOptions) {
+  const result = await db.query(
+    `INSERT INTO backup_restores (id, backup_id, service_id, addon_id, target_name, claim_name, job_name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      restore.id,
+      restore.backup.id,
+      restore.serviceId || null,
+      restore.addonId || null,
+      restore.targetName,
+      jobOptions.claimName || null,
+      generateJobName('restore', restore.targetName, restore.id),
+    ]
+  );
+  const row = result.rows[0];
+
+  try {
+    if (restore.claim) {
+      await applyManifest(restore.claim);
+    }
+    await ensureStorageSecret(jobOptions.namespace);
+    await applyManifest(generateRestoreJobManifest({
+      ...storageJobOptions(jobOptions.namespace, restore.backup.object_key),
+      ...jobOptions,
+      jobName: row.job_name,
+      targetName: row.target_name,
+    }));
+  } catch (err) {
+    logger.error('Failed to start restore', { target: row.target_name, error: err.message });
+    if (row.claim_name) {
+      await deletePVC(jobOptions.namespace, row.claim_name).catch(() => {});
+    }
+    const failed = await db.query(
+      `UPDATE backup_restores SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2 RETURNING *`,
+      [`Could not start the restore job: ${err.message}`, row.id]
+    );
+    return failed.rows[0];
+  }
+
+  logger.info('Started restore', { backupId: restore.backup.id, target: row.target_name, jobName: row.job_name });
+  return row;
+}
+
+/**
+ * Restore a volume backup into a new claim for a service. The service switches to the
+ * claim once it has been filled.
+ * @param {object} db - Database connection
+ * @param {object} backup - backups row (method tar)
+ * @param {object} service - Service row with storage_gb set and project_name
+ * @returns {Promise<object>} backup_restores row
+ */
+export async function startServiceRestore(db, backup, service) {
+  const id = crypto.randomUUID();
+  const namespace = service.project_name;
+  const claimName = `${service.name}-pvc-${id.substring(0, 8)}`;
+
+  return startRestore(db, {
+    id,
+    backup,
+    serviceId: service.id,
+    targetName: service.name,
+    claim: generatePVCManifest({
+      namespace,
+      serviceName: service.name,
+      claimName,
+      storageGb: service.storage_gb,
+    }),
+  }, {
+    namespace,
+    image: VOLUME_IMAGE,
+    command: VOLUME_RESTORE_COMMAND,
+    claimName,
+  });
+}
+
+/**
+ * Load a database dump into an add-on of the same engine
+ * @param {object} db - Database connection
+ * @param {object} backup - backups row (method pg_dump or mysqldump)
+ * @param {object} addon - addons row with project_name
+ * @returns {Promise<object>} backup_restores row
+ */
+export async function startAddonRestore(db, backup, addon) {
+  const engine = ADDON_ENGINES[addon.engine];
+
+  return startRestore(db, {
+    id: crypto.randomUUID(),
+    backup,
+    addonId: addon.id,
+    targetName: addon.name,
+  }, {
+    namespace: addon.project_name,
+    image: engine.image(addon.version),
+    command: engine.backup.restoreCommand,
+    envVars: [{ name: 'DB_HOST', value: getAddonResourceName(addon) }],
+    envSecretName: getCredentialsSecretName(addon),
+  });
+}
+
+/**
+ * Delete a backup's object and row
+ * @param {object} db - Database connection
+ * @param {object} backup - backups row that is not running
+ */
+export async function deleteBackup(db, backup) {
+  await deleteObject(backup.object_key);
+  await db.query('DELETE FROM backups WHERE id = $1', [backup.id]);
+}
+
+/**
+ * Whether a backup of any of some projects is running. Its Job could still upload an object
+ * after the project's backups have been deleted.
+ * @param {object} db - Database connection
+ * @param {string[]} projectIds - Project UUIDs
+ * @returns {Promise<boolean>}
+ */
+export async function hasRunningBackups(db, projectIds) {
+  const result = await db.query(
+    `SELECT 1 FROM backups WHERE project_id = ANY($1) AND status = 'running' LIMIT 1`,
+    [projectIds]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Delete every backup of some projects about to be deleted. Their rows would go with the
+ * projects, leaving the objects in the bucket with nothing pointing at them.
+ * @param {object} db - Database connection
+ * @param {string[]} projectIds - Project UUIDs, none with a running backup
+ * @returns {Promise<number>} Backups deleted
+ * @throws If an object can't be deleted; the backups deleted before it stay deleted
+ */
+export async function deleteProjectBackups(db, projectIds) {
+  const result = await db.query('SELECT * FROM backups WHERE project_id = ANY($1)', [projectIds]);
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  if (!isBackupStorageConfigured()) {
+    logger.warn('Backup storage is not configured; leaving the objects of deleted projects', { count: result.rows.length });
+    return 0;
+  }
+
+  for (const backup of result.rows) {
+    await deleteBackup(db, backup);
+  }
+  logger.info('Deleted backups of deleted projects', { count: result.rows.length });
+  return result.rows.length;
+}
+
+/**
+ * Why a Job's pod failed, or is stuck
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} jobName - Job name
+ * @returns {Promise<{failure: string|null, stuck: string|null}>} failure describes a container
+ *   that exited non-zero (with its last log lines); stuck one that can never start
+ */
+async function inspectJobPod(namespace, jobName) {
+  const pods = (await getPodsByLabel(namespace, `job-name=${jobName}`)).items || [];
+  const pod = pods[0];
+  if (!pod) {
+    return { failure: null, stuck: null };
+  }
+
+  const containers = [...(pod.status?.initContainerStatuses || []), ...(pod.status?.containerStatuses || [])];
+
+  const waiting = containers.find(c => FATAL_WAITING_REASONS.includes(c.state?.waiting?.reason));
+  const stuck = waiting ? `${waiting.name} container is in ${waiting.state.waiting.reason}` : null;
+
+  const exited = containers.find(c => c.state?.terminated && c.state.terminated.exitCode !== 0);
+  if (!exited) {
+    return { failure: null, stuck };
+  }
+
+  let output = '';
+  try {
+    const logs = await getPodLogs(namespace, pod.metadata.name, { container: exited.name, tailLines: FAILURE_LOG_LINES });
+    // Drop the timestamp getPodLogs puts in front of each line
+    output = logs.split('\n').map(line => line.replace(/^\S+ /, '').trim()).filter(Boolean).join('\n');
+  } catch (err) {
+    logger.debug('Could not retrieve backup job logs', { namespace, jobName, error: err.message });
+  }
+
+  const failure = `${exited.name} exited with code ${exited.state.terminated.exitCode}${output ? `: ${output}` : ''}`;
+  return { failure, stuck };
+}
+
+/**
+ * Where a backup or restore Job is
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} row - backups or backup_restores row still marked running
+ * @returns {Promise<{status: string, error?: string}>} status is running, succeeded or failed
+ */
+async function checkJob(namespace, row) {
+  let job;
+  try {
+    job = await getJob(namespace, row.job_name);
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+    if (Date.now() - new Date(row.started_at).getTime() > VANISHED_GRACE) {
+      return { status: 'failed', error: 'Job was deleted before it finished' };
+    }
+    return { status: 'running' };
+  }
+
+  const status = job.status || {};
+  if (status.succeeded >= 1) {
+    return { status: 'succeeded' };
+  }
+
+  const failed = status.conditions?.find(c => c.type === 'Failed' && c.status === 'True');
+  if (failed?.reason === 'DeadlineExceeded') {
+    return { status: 'failed', error: `Did not finish within ${Math.ceil(BACKUP_TIMEOUT / 1000)} seconds` };
+  }
+
+  const { failure, stuck } = await inspectJobPod(namespace, row.job_name);
+  if (failed || status.failed >= 1) {
+    return { status: 'failed', error: failure || 'Job failed' };
+  }
+  if (stuck) {
+    return { status: 'failed', error: stuck };
+  }
+  return { status: 'running' };
+}
+
+/**
+ * Record how a backup ended, with the size of what was uploaded
+ * @param {object} db - Database connection
+ * @param {object} backup - backups row still marked running
+ * @param {{status: string, error?: string}} outcome - From checkJob
+ */
+async function finishBackup(db, backup, outcome) {
+  let { status, error = null } = outcome;
+  let size = null;
+
+  if (status === 'succeeded') {
+    try {
+      size = await getObjectSize(backup.object_key);
+      if (size === null) {
+        status = 'failed';
+        error = 'The upload finished but the object is not in the bucket';
+      }
+    } catch (err) {
+      logger.warn('Could not read backup size', { objectKey: backup.object_key, error: err.message });
+    }
+  }
+
+  await db.query(
+    `UPDATE backups SET status = $1, size_bytes = $2, error = $3, finished_at = NOW()
+     WHERE id = $4 AND status = 'running'`,
+    [status, size, error, backup.id]
+  );
+
+  if (status === 'failed') {
+    logger.warn('Backup failed', { source: backup.source_name, jobName: backup.job_name, error });
+  } else {
+    logger.info('Backup finished', { source: backup.source_name, objectKey: backup.object_key, size });
+  }
+}
+
+/**
+ * Point a service at the claim a restore filled. The claim it used before is labelled and
+ * kept, so the data it held can still be recovered until it is deleted.
+ * @param {object} db - Database connection
+ * @param {object} restore - backup_restores row with project_name
+ */
+async function switchServiceClaim(db, restore) {
+  const namespace = restore.project_name;
+  const result = await db.query('SELECT * FROM services WHERE id = $1', [restore.service_id]);
+  const service = result.rows[0];
+  if (!service) {
+    return;
+  }
+
+  const previousClaim = getStorageClaimName(service);
+
+  // Labelled before the switch, so a claim the service no longer uses is always listed. A
+  // failure here leaves the restore running and it is finished on the next check.
+  if (previousClaim !== restore.claim_name) {
+    try {
+      await patchPVC(namespace, previousClaim, {
+        metadata: {
+          labels: { [REPLACED_BY_LABEL]: restore.id },
+          annotations: { [REPLACED_AT_ANNOTATION]: new Date().toISOString() },
+        },
+      });
+    } catch (err) {
+      if (err.status !== 404) {
+        throw err;
+      }
+    }
+  }
+
+  // The live Deployment first, so a failure here leaves everything as it was
+  try {
+    await patchDeployment(namespace, service.name, {
+      spec: {
+        template: {
+          spec: {
+            volumes: [{ name: 'data-volume', persistentVolumeClaim: { claimName: restore.claim_name } }],
+          },
+        },
+      },
+    });
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+  }
+
+  await db.query('UPDATE services SET storage_claim_name = $1 WHERE id = $2', [restore.claim_name, service.id]);
+}
+
+/**
+ * Claims a restore switched a service away from, newest first
+ * @param {object} service - Service row with project_name
+ * @returns {Promise<Array<{name: string, restore_id: string, storage: string|null, replaced_at: string|null}>>}
+ */
+export async function listReplacedClaims(service) {
+  const claims = (await listPVCs(service.project_name, `app=${service.name},${REPLACED_BY_LABEL}`)).items || [];
+  return claims
+    .filter(claim => claim.metadata.name !== getStorageClaimName(service))
+    .map(claim => ({
+      name: claim.metadata.name,
+      restore_id: claim.metadata.labels[REPLACED_BY_LABEL],
+      storage: claim.spec?.resources?.requests?.storage || null,
+      replaced_at: claim.metadata.annotations?.[REPLACED_AT_ANNOTATION] || claim.metadata.creationTimestamp || null,
+    }))
+    .sort((a, b) => (b.replaced_at || '').localeCompare(a.replaced_at || ''));
+}
+
+/**
+ * Delete a claim a restore switched a service away from
+ * @param {object} service - Service row with project_name
+ * @param {string} name - Claim name
+ * @returns {Promise<boolean>} False if the service has no such replaced claim
+ */
+export async function deleteReplacedClaim(service, name) {
+  const claims = await listReplacedClaims(service);
+  if (!claims.some(claim => claim.name === name)) {
+    return false;
+  }
+  await deletePVC(service.project_name, name);
+  return true;
+}
+
+/**
+ * Record how a restore ended. A volume restore that succeeded switches its service to the
+ * new claim; one that failed deletes it.
+ * @param {object} db - Database connection
+ * @param {object} restore - backup_restores row with project_name, still marked running
+ * @param {{status: string, error?: string}} outcome - From checkJob
+ */
+async function finishRestore(db, restore, outcome) {
+  if (restore.claim_name) {
+    if (outcome.status === 'succeeded') {
+      await switchServiceClaim(db, restore);
+    } else {
+      await deletePVC(restore.project_name, restore.claim_name).catch(() => {});
+    }
+  }
+
+  await db.query(
+    `UPDATE backup_restores SET status = $1, error = $2, finished_at = NOW()
+     WHERE id = $3 AND status = 'running'`,
+    [outcome.status, outcome.error || null, restore.id]
+  );
+
+  if (outcome.status === 'failed') {
+    logger.warn('Restore failed', { target: restore.target_name, jobName: restore.job_name, error: outcome.error });
+  } else {
+    logger.info('Restore finished', { target: restore.target_name, backupId: restore.backup_id });
+  }
+}
+
+/**
+ * Record the outcome of every finished backup and restore Job
+ * @param {object} db - Database connection
+ */
+async function syncJobs(db) {
+  const backups = await db.query(
+    `SELECT b.*, p.name AS project_name
+     FROM backups b
+     JOIN projects p ON p.id = b.project_id
+     WHERE b.status = 'running'`
+  );
+  const restores = await db.query(
+    `SELECT r.*, p.name AS project_name
+     FROM backup_restores r
+     JOIN backups b ON b.id = r.backup_id
+     JOIN projects p ON p.id = b.project_id
+     WHERE r.status = 'running'`
+  );
+
+  const rows = [
+    ...backups.rows.map(row => ({ row, finish: finishBackup })),
+    ...restores.rows.map(row => ({ row, finish: finishRestore })),
+  ];
+
+  for (const { row, finish } of rows) {
+    try {
+      const outcome = await checkJob(row.project_name, row);
+      if (outcome.status === 'running') {
+        continue;
+      }
+      await finish(db, row, outcome);
+      await deleteJob(row.project_name, row.job_name).catch(() => {});
+    } catch (err) {
+      logger.warn(`Backup job sync failed for ${row.job_name}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Start the scheduled backups that are due. A source is due when its last scheduled backup
+ * started a schedule interval ago, and none of its backups is running. A service's volume
+ * only exists once it has been deployed.
+ * @param {object} db - Database connection
+ */
+async function startDueBackups(db) {
+  const services = await db.query(
+    `SELECT s.*, p.name AS project_name
+     FROM services s
+     JOIN projects p ON p.id = s.project_id
+     WHERE s.backup_schedule IS NOT NULL AND s.storage_gb IS NOT NULL
+     AND EXISTS (SELECT 1 FROM deployments d WHERE d.service_id = s.id AND d.status = 'live')
+     AND NOT EXISTS (
+       SELECT 1 FROM backups b
+       WHERE b.service_id = s.id
+       AND (b.status = 'running' OR (b.trigger = 'schedule' AND b.started_at > NOW() - ${scheduleIntervalSql('s.backup_schedule')}))
+     )`
+  );
+  const addons = await db.query(
+    `SELECT a.*, p.name AS project_name
+     FROM addons a
+     JOIN projects p ON p.id = a.project_id
+     WHERE a.backup_schedule IS NOT NULL AND a.engine = ANY($1)
+     AND NOT EXISTS (
+       SELECT 1 FROM backups b
+       WHERE b.addon_id = a.id
+       AND (b.status = 'running' OR (b.trigger = 'schedule' AND b.started_at > NOW() - ${scheduleIntervalSql('a.backup_schedule')}))
+     )`,
+    [Object.keys(ADDON_ENGINES).filter(engine => ADDON_ENGINES[engine].backup)]
+  );
+
+  for (const service of services.rows) {
+    try {
+      await startServiceBackup(db, service, 'schedule');
+    } catch (err) {
+      logger.warn(`Scheduled backup of ${service.name} failed to start: ${err.message}`);
+    }
+  }
+  for (const addon of addons.rows) {
+    try {
+      await startAddonBackup(db, addon, 'schedule');
+    } catch (err) {
+      logger.warn(`Scheduled backup of add-on ${addon.name} failed to start: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Delete scheduled backups beyond their source's retention. Successful and failed backups
+ * are counted separately, so a run of failures never pushes out a good backup. Backups
+ * being restored from are kept for now.
+ * @param {object} db - Database connection
+ */
+async function pruneBackups(db) {
+  const result = await db.query(
+    `SELECT ranked.* FROM (
+       SELECT b.*,
+         ROW_NUMBER() OVER (PARTITION BY b.service_id, b.addon_id, b.status ORDER BY b.started_at DESC) AS position,
+         COALESCE(s.backup_retention, a.backup_retention) AS retention
+       FROM backups b
+       LEFT JOIN services s ON s.id = b.service_id
+       LEFT JOIN addons a ON a.id = b.addon_id
+       WHERE b.trigger = 'schedule' AND b.status <> 'running'
+       AND (b.service_id IS NOT NULL OR b.addon_id IS NOT NULL)
+     ) ranked
+     WHERE ranked.position > ranked.retention
+     AND NOT EXISTS (
+       SELECT 1 FROM backup_restores r WHERE r.backup_id = ranked.id AND r.status = 'running'
+     )`
+  );
+
+  for (const backup of result.rows) {
+    try {
+      await deleteBackup(db, backup);
+      logger.info('Pruned backup', { source: backup.source_name, objectKey: backup.object_key });
+    } catch (err) {
+      logger.warn(`Failed to prune backup ${backup.object_key}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * One pass of the backup loop
+ * @param {object} db - Database connection
+ */
+async function runBackupChecks(db) {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    await syncJobs(db);
+    await startDueBackups(db);
+    await pruneBackups(db);
+  } catch (err) {
+    logger.error('Backup check failed', { error: err.message });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the backup loop. Does nothing unless a bucket is configured.
+ * @param {object} db - Database connection
+ */
+export function startBackupScheduler(db) {
+  if (!isBackupStorageConfigured()) {
+    logger.info('Backups disabled: BACKUP_S3_BUCKET and credentials are not set');
+    return;
+  }
+  if (checkInterval) {
+    logger.warn('Backup scheduler already running');
+    return;
+  }
+
+  checkInterval = setInterval(() => runBackupChecks(db), BACKUP_CHECK_INTERVAL);
+  logger.info(`Backup scheduler started with ${BACKUP_CHECK_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop the backup loop. Running Jobs carry on; their outcome is recorded on the next start.
+ */
+export function stopBackupScheduler() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+  logger.info('Backup scheduler stopped');
+}
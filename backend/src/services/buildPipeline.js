@@ -21,8 +21,17 @@ import {
 import { parseGitHubUrl, getDockerfileExposedPort } from './github.js';
 import { getGeneratedFile } from './dockerfileGenerator.js';
 import { updateDeploymentStatus } from './deploymentService.js';
-import { decrypt } from './encryption.js';
-import { sendDeploymentNotification } from './notifications.js';
+import { getDecryptedEnvVars, applyEnvResources } from './serviceEnv.js';
+import { getServiceResources, getBuildResources } from './resources.js';
+import { getDeployReplicas, syncAutoscaler } from './autoscaling.js';
+import { clearSleeping } from './idleScaler.js';
+import { sendDeploymentNotification, sendBuildStartedNotification, sendRollbackNotification } from './notifications.js';
+import { verifyDeployment, VERIFY_WINDOW } from './deploymentVerifier.js';
+import { getDeployStrategy, startRollout, cancelActiveRollouts } from './rollouts.js';
+import { deployCronJob } from './cronJobs.js';
+import { syncExposedPorts } from './exposedPorts.js';
+import { runReleaseCommand } from './releaseCommand.js';
+import { getStorageClaimName } from './backups.js';
 import appEvents from './event-emitter.js';
 
 const HARBOR_REGISTRY = process.env.HARBOR_REGISTRY || 'harbor.192.168.1.124.nip.io';
@@ -139,6 +148,7 @@ export async function triggerBuild(db, service, deployment, commitSha, githubTok
         gitSecretName,
         registrySecretName: REGISTRY_SECRET_NAME,
         dockerfileConfigMap: dockerfileConfigMapName,
+        resources: getBuildResources(service),
       });
     } else {
       // Using Dockerfile from repository
@@ -162,6 +172,7 @@ export async function triggerBuild(db, service, deployment, commitSha, githubTok
         imageDest: imageTag,
         gitSecretName,
         registrySecretName: REGISTRY_SECRET_NAME,
+        resources: getBuildResources(service),
       });
     }
 
@@ -296,14 +307,18 @@ export async function watchBuildJob(db, namespace, jobName, deploymentId, gitSec
 }
 
 /**
- * Deploy a service after successful build
+ * Deploy a service after successful build. A service's release command runs first (see
+ * releaseCommand.js); if it fails the deployment is marked failed and nothing is rolled out.
+ * Services with a blue-green or canary strategy start a rollout instead (see rollouts.js);
+ * the deployment stays 'deploying' until the rollout is promoted. Cron services update their
+ * CronJob instead (see cronJobs.js).
  * @param {object} db - Database connection
  * @param {object} service - Service object from database
  * @param {object} deployment - Deployment object from database
  * @param {string} imageTag - Docker image tag
  * @param {string} namespace - Kubernetes namespace
  * @param {string} projectName - Project name for subdomain
- * @param {Array<{name: string, value: string}>} envVars - Decrypted environment variables
+ * @param {Array<{name: string, value: string, secret: boolean}>} envVars - Decrypted environment variables
  * @returns {Promise<void>}
  */
 export async function deployService(db, service, deployment, imageTag, namespace, projectName, envVars = []) {
@@ -311,8 +326,8 @@ export async function deployService(db, service, deployment, imageTag, namespace
     // URL pattern: {projectName}-{serviceName}.{baseDomain}
     const subdomain = `${projectName}-${service.name}`;
 
-    // Generate PVC manifest if storage is configured
-    if (service.storage_gb) {
+    // Generate PVC manifest if storage is configured (a restored volume has its own claim)
+    if (service.storage_gb && !service.storage_claim_name) {
       const pvcManifest = generatePVCManifest({
         namespace,
         serviceName: service.name,
@@ -329,17 +344,56 @@ export async function deployService(db, service, deployment, imageTag, namespace
       }
     }
 
-    // Generate and apply deployment manifest
-    const deploymentManifest = generateDeploymentManifest({
+    // Write env vars to the service's Secret and ConfigMap before the pods reference them
+    const envResources = await applyEnvResources(namespace, service.name, envVars);
+
+    const manifestOptions = {
       namespace,
       serviceName: service.name,
       image: imageTag,
       port: service.port,
-      replicas: service.replicas || 1,
-      envVars: envVars.length > 0 ? envVars : undefined,
+      replicas: await getDeployReplicas(namespace, service),
+      resources: getServiceResources(service),
+      envSecretName: envResources.secretName,
+      envConfigMapName: envResources.configMapName,
+      envHash: envResources.hash,
       healthCheckPath: service.health_check_path || undefined,
-      storageClaimName: service.storage_gb ? `${service.name}-pvc` : undefined,
-    });
+      livenessCommand: service.liveness_command || undefined,
+      storageClaimName: service.storage_gb ? getStorageClaimName(service) : undefined,
+    };
+
+    // Rollbacks go back to an image whose release command already ran
+    if (service.release_command && !deployment.rollback_to) {
+      const released = await runRelease(db, service, deployment, manifestOptions);
+      if (!released) {
+        return;
+      }
+    }
+
+    // A cron service has nothing to roll out or verify; its runs are tracked by cronJobs.js
+    if (service.service_type === 'cron') {
+      await deployCronJob(service, manifestOptions);
+      await updateDeploymentStatus(db, deployment.id, 'live');
+      appEvents.emitDeploymentStatus(deployment.id, {
+        status: 'live',
+        previousStatus: 'deploying',
+        imageTag,
+        message: 'CronJob updated'
+      });
+      return;
+    }
+
+    const strategy = await getDeployStrategy(service, deployment, namespace);
+    if (strategy !== 'rolling') {
+      await startRollout(db, service, deployment, strategy, manifestOptions);
+      return;
+    }
+
+    // Updating in place replaces any blue-green or canary rollout still in progress
+    await cancelActiveRollouts(db, service, namespace, `Superseded by deployment ${deployment.id}`);
+
+    // Generate and apply deployment manifest
+    const deploymentManifest = generateDeploymentManifest(manifestOptions);
 
     try {
       await applyManifest(deploymentManifest);
@@ -355,38 +409,50 @@ export async function deployService(db, service, deployment, imageTag, namespace
       }
     }
 
-    // Generate and apply service manifest
-    const serviceManifest = generateServiceManifest({
-      namespace,
-      serviceName: service.name,
-      port: service.port,
-    });
+    // Create or remove the HPA to match the service's autoscaling settings
+    await syncAutoscaler(namespace, service);
 
-    try {
-      await applyManifest(serviceManifest);
-    } catch (error) {
-      if (error.status !== 409) {
-        throw error;
+    // Workers don't listen on a port, so they get no Service or Ingress
+    if (service.service_type !== 'worker') {
+      const serviceManifest = generateServiceManifest({
+        namespace,
+        serviceName: service.name,
+        port: service.port,
+      });
+
+      try {
+        await applyManifest(serviceManifest);
+      } catch (error) {
+        if (error.status !== 409) {
+          throw error;
+        }
       }
-    }
 
-    // Generate and apply ingress manifest
-    const ingressManifest = generateIngressManifest({
-      namespace,
-      serviceName: service.name,
-      port: service.port,
-      subdomain,
-      baseDomain: BASE_DOMAIN,
-    });
+      const ingressManifest = generateIngressManifest({
+        namespace,
+        serviceName: service.name,
+        port: service.port,
+        subdomain,
+        baseDomain: BASE_DOMAIN,
+      });
 
-    try {
-      await applyManifest(ingressManifest);
-    } catch (error) {
-      if (error.status !== 409) {
-        throw error;
+      try {
+        await applyManifest(ingressManifest);
+      } catch (error) {
+        if (error.status !== 409) {
+          throw error;
+        }
       }
     }
 
+    // TCP/UDP ports exposed through Traefik entrypoints (this also gives a worker its Service)
+    await syncExposedPorts(db, namespace, service);
+
+    // The new pods replace a sleeping service's; route its traffic back to them
+    if (service.sleeping_at) {
+      await clearSleeping(db, { ...service, project_name: namespace });
+    }
+
     // Update deployment status to live
     await updateDeploymentStatus(db, deployment.id, 'live');
 
@@ -397,9 +463,16 @@ export async function deployService(db, service, deployment, imageTag, namespace
       imageTag,
       message: 'Deployment successful'
     });
+
+    // Watch the rollout in the background and roll back if it turns out unhealthy
+    if (VERIFY_WINDOW > 0) {
+      verifyAndRollback(db, service, deployment, namespace, projectName);
+    }
   } catch (error) {
+    // Re-read the logs: the release command may have added to them
+    const current = await getDeploymentById(db, deployment.id).catch(() => null);
     await updateDeploymentStatus(db, deployment.id, 'failed', {
-      build_logs: (deployment.build_logs || '') + `\n\nDeploy failed: ${error.message}`,
+      build_logs: (current?.build_logs ?? deployment.build_logs ?? '') + `\n\nDeploy failed: ${error.message}`,
     });
 
     // Emit WebSocket event for real-time update
@@ -413,6 +486,154 @@ export async function deployService(db, service, deployment, imageTag, namespace
   }
 }
 
+/**
+ * Run a service's release command before its new image is deployed and append the output
+ * to the deployment's build logs. A failed command fails the deployment.
+ * @param {object} db - Database connection
+ * @param {object} service - Service object from database
+ * @param {object} deployment - Deployment being deployed
+ * @param {object} manifestOptions - Deployment manifest options for the new image
+ * @returns {Promise<boolean>} Whether the deploy should go ahead
+ */
+async function runRelease(db, service, deployment, manifestOptions) {
+  appEvents.emitDeploymentStatus(deployment.id, {
+    status: 'deploying',
+    previousStatus: 'deploying',
+    message: 'Running release command...'
+  });
+
+  const release = await runReleaseCommand(service, deployment, manifestOptions);
+
+  const current = await getDeploymentById(db, deployment.id);
+  const buildLogs = (current?.build_logs || '') +
+    `\n\n=== Release Command Logs ===\n$ ${service.release_command}\n${release.logs}`;
+
+  if (release.success) {
+    await updateDeploymentStatus(db, deployment.id, 'deploying', { build_logs: buildLogs });
+    return true;
+  }
+
+  await updateDeploymentStatus(db, deployment.id, 'failed', {
+    build_logs: `${buildLogs}\n\n${release.reason}`,
+    failure_reason: release.reason,
+  });
+
+  appEvents.emitDeploymentStatus(deployment.id, {
+    status: 'failed',
+    previousStatus: 'deploying',
+    reason: release.reason,
+    message: `${release.reason}. Deployment aborted`
+  });
+
+  return false;
+}
+
+/**
+ * Verify a deployment that just went live. If it fails, mark it failed with the reason,
+ * notify, and redeploy the previous live deployment (rollbacks are not rolled back again).
+ * Runs in the background and never throws.
+ * @param {object} db - Database connection
+ * @param {object} service - Service object from database
+ * @param {object} deployment - Deployment that just went live
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} projectName - Project name for subdomain
+ * @returns {Promise<void>}
+ */
+async function verifyAndRollback(db, service, deployment, namespace, projectName) {
+  try {
+    const result = await verifyDeployment(db, service, deployment, namespace, projectName);
+
+    if (result.healthy) {
+      if (!result.superseded) {
+        logger.info('Deployment verified', { deploymentId: deployment.id, service: service.name });
+      }
+      return;
+    }
+
+    logger.warn('Deployment failed verification', {
+      deploymentId: deployment.id,
+      service: service.name,
+      reason: result.reason,
+    });
+
+    const current = await getDeploymentById(db, deployment.id);
+    await updateDeploymentStatus(db, deployment.id, 'failed', {
+      failure_reason: result.reason,
+      build_logs: (current?.build_logs || '') + `\n\nVerification failed: ${result.reason}`,
+    });
+
+    let target = null;
+    let rollback = null;
+    if (!deployment.rollback_to) {
+      const previousResult = await db.query(
+        `SELECT * FROM deployments
+         WHERE service_id = $1 AND status = 'live' AND image_tag IS NOT NULL AND created_at < $2
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [service.id, deployment.created_at]
+      );
+      target = previousResult.rows[0] || null;
+    }
+
+    if (target) {
+      const rollbackResult = await db.query(
+        `INSERT INTO deployments (service_id, commit_sha, status, image_tag, build_logs, rollback_to)
+         VALUES ($1, $2, 'deploying', $3, $4, $5)
+         RETURNING *`,
+        [
+          service.id,
+          target.commit_sha,
+          target.image_tag,
+          `Automatic rollback - deployment ${deployment.id} failed verification: ${result.reason}`,
+          target.id,
+        ]
+      );
+      rollback = rollbackResult.rows[0];
+    }
+
+    appEvents.emitDeploymentStatus(deployment.id, {
+      status: 'failed',
+      previousStatus: 'live',
+      reason: result.reason,
+      rollbackDeploymentId: rollback?.id || null,
+      message: rollback
+        ? `Verification failed: ${result.reason}. Rolling back to ${target.commit_sha?.substring(0, 7) || target.id}`
+        : `Verification failed: ${result.reason}`
+    });
+
+    const projectResult = await db.query(
+      'SELECT id, name, user_id FROM projects WHERE id = $1',
+      [service.project_id]
+    );
+    if (projectResult.rows[0]) {
+      try {
+        const failed = await getDeploymentById(db, deployment.id);
+        await sendDeploymentNotification(db, { ...failed, rolled_back_to: target?.id || null }, service, projectResult.rows[0]);
+      } catch (notifyErr) {
+        logger.error('Failed to send deployment notification', { error: notifyErr.message });
+      }
+      if (rollback) {
+        await sendRollbackNotification(db, rollback, target, service, projectResult.rows[0], {
+          trigger: 'verification',
+          reason: `Deployment ${deployment.id} failed verification: ${result.reason}`,
+        });
+      }
+    }
+
+    if (rollback) {
+      logger.info('Rolling back after failed verification', {
+        deploymentId: deployment.id,
+        rollbackDeploymentId: rollback.id,
+        rollbackTo: target.id,
+      });
+      const envVars = await getDecryptedEnvVars(db, service.id);
+      await deployService(db, service, rollback, target.image_tag, namespace, projectName, envVars);
+    }
+  } catch (err) {
+    logger.error('Deployment verification failed to run', { deploymentId: deployment.id, error: err.message });
+  }
+}
+
 /**
  * Capture build logs from a Kaniko job
  * @param {string} namespace - Kubernetes namespace
@@ -509,29 +730,22 @@ async function cleanupBuildJob(namespace, jobName, gitSecretName) {
 }
 
 /**
- * Helper function for async sleep
- * @param {number} ms - Milliseconds to sleep
+ * Remove the job and git secret left behind by an interrupted build
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} serviceName - Service name
+ * @param {string} commitSha - Git commit SHA of the interrupted build
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export async function cleanupStaleBuild(namespace, serviceName, commitSha) {
+  const jobName = generateJobName(serviceName, commitSha);
+  await cleanupBuildJob(namespace, jobName, `git-creds-${jobName}`);
 }
 
 /**
- * Get decrypted environment variables for a service
- * @param {object} db - Database connection
- * @param {string} serviceId - Service ID
- * @returns {Promise<Array<{name: string, value: string}>>}
+ * Helper function for async sleep
+ * @param {number} ms - Milliseconds to sleep
  */
-export async function getDecryptedEnvVars(db, serviceId) {
-  const result = await db.query(
-    'SELECT key, value FROM env_vars WHERE service_id = $1',
-    [serviceId]
-  );
-
-  return result.rows.map(row => ({
-    name: row.key,
-    value: decrypt(row.value),
-  }));
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
@@ -542,7 +756,8 @@ export async function getDecryptedEnvVars(db, serviceId) {
  * @returns {Promise<{detectedPort: number|null, hasMismatch: boolean}>}
  */
 export async function detectDockerfilePort(db, service, githubToken) {
-  if (!service.repo_url || !githubToken) {
+  // Only web services listen on a port
+  if (!service.repo_url || !githubToken || service.service_type !== 'web') {
     return { detectedPort: null, hasMismatch: false };
   }
 
@@ -600,7 +815,8 @@ export async function runBuildPipeline(db, service, deployment, commitSha, githu
 
   // Helper to send notifications
   const notifyCompletion = async (finalDeployment) => {
-    if (project) {
+    // A blue-green or canary rollout in progress notifies when it is promoted or aborted
+    if (project && finalDeployment.status !== 'deploying') {
       try {
         await sendDeploymentNotification(db, finalDeployment, service, project);
       } catch (notifyErr) {
@@ -648,6 +864,10 @@ export async function runBuildPipeline(db, service, deployment, commitSha, githu
     }
   }
 
+  if (project) {
+    await sendBuildStartedNotification(db, deployment, service, project);
+  }
+
   // For repo-based services, run the full build pipeline
   const { jobName, imageTag, gitSecretName } = await triggerBuild(
     db,
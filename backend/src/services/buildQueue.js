@@ -0,0 +1,419 @@
+/**
+ * Build Queue Service
+ *
+ * Postgres-backed queue that feeds runBuildPipeline. Builds are coalesced per
+ * service (the newest commit replaces any build still waiting), limited per
+ * project, and resumed after a backend restart.
+ */
+
+import { runBuildPipeline, cleanupStaleBuild } from './buildPipeline.js';
+import { updateDeploymentStatus } from './deploymentService.js';
+import { decrypt } from './encryption.js';
+import appEvents from './event-emitter.js';
+import logger from './logger.js';
+
+const PROJECT_CONCURRENCY = parseInt(process.env.BUILD_CONCURRENCY_PER_PROJECT, 10) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.BUILD_MAX_ATTEMPTS, 10) || 3;
+const QUEUE_POLL_INTERVAL = 30000; // 30 seconds
+
+let pollInterval = null;
+let processing = false;
+let processAgain = false;
+
+/**
+ * Add a build to the queue, superseding any build still waiting for the same service
+ * @param {object} db - Database connection
+ * @param {object} service - Service object (id, project_id)
+ * @param {object} deployment - Pending deployment object (id, commit_sha)
+ * @param {string} trigger - What requested the build (webhook, manual, clone)
+ * @returns {Promise<{entry: object, superseded: string[]}>} Queue entry and superseded deployment IDs
+ */
+export async function enqueueBuild(db, service, deployment, trigger = 'manual') {
+  const client = await db.pool.connect();
+  let entry;
+  let superseded;
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize enqueues for the service: without the lock, two at once both find nothing to
+    // supersede and the second insert breaks the one-queued-build-per-service index
+    await client.query('SELECT id FROM services WHERE id = $1 FOR NO KEY UPDATE', [service.id]);
+
+    const supersededResult = await client.query(
+      `UPDATE build_queue
+       SET status = 'superseded', finished_at = NOW()
+       WHERE service_id = $1 AND status = 'queued'
+       RETURNING deployment_id`,
+      [service.id]
+    );
+    superseded = supersededResult.rows.map(row => row.deployment_id);
+
+    const insertResult = await client.query(
+      `INSERT INTO build_queue (deployment_id, service_id, project_id, commit_sha, trigger)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [deployment.id, service.id, service.project_id, deployment.commit_sha, trigger]
+    );
+    entry = insertResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const shortSha = deployment.commit_sha.substring(0, 7);
+  for (const deploymentId of superseded) {
+    await updateDeploymentStatus(db, deploymentId, 'failed', {
+      build_logs: `Superseded by newer commit ${shortSha} before the build started`,
+    });
+    appEvents.emitDeploymentStatus(deploymentId, {
+      status: 'failed',
+      previousStatus: 'pending',
+      message: `Superseded by ${shortSha}`
+    });
+  }
+
+  logger.info('Build queued', {
+    deploymentId: deployment.id,
+    serviceId: service.id,
+    commitSha: deployment.commit_sha,
+    trigger,
+    superseded: superseded.length
+  });
+
+  appEvents.emitDeploymentStatus(deployment.id, {
+    status: 'pending',
+    commitSha: deployment.commit_sha,
+    message: 'Queued for build...'
+  });
+
+  processBuildQueue(db).catch(err => {
+    logger.error('Build queue processing failed', { error: err.message });
+  });
+
+  return { entry, superseded };
+}
+
+/**
+ * Claim the next runnable entry. An entry is runnable when its service has no
+ * build running and its project is below the concurrency limit.
+ * @param {object} db - Database connection
+ * @returns {Promise<object|null>} Claimed queue entry
+ */
+async function claimNextBuild(db) {
+  const result = await db.query(
+    `UPDATE build_queue
+     SET status = 'running', started_at = NOW(), attempts = attempts + 1
+     WHERE id = (
+       SELECT q.id FROM build_queue q
+       WHERE q.status = 'queued'
+         AND NOT EXISTS (
+           SELECT 1 FROM build_queue r
+           WHERE r.service_id = q.service_id AND r.status = 'running'
+         )
+         AND (
+           SELECT COUNT(*) FROM build_queue r
+           WHERE r.project_id = q.project_id AND r.status = 'running'
+         ) < $1
+       ORDER BY q.created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [PROJECT_CONCURRENCY]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a queue entry as finished
+ * @param {object} db - Database connection
+ * @param {string} entryId - Queue entry ID
+ * @param {string} status - completed or failed
+ * @param {string} error - Error message (optional)
+ */
+async function finishBuild(db, entryId, status, error = null) {
+  await db.query(
+    `UPDATE build_queue
+     SET status = $1, error = $2, finished_at = NOW()
+     WHERE id = $3`,
+    [status, error, entryId]
+  );
+}
+
+/**
+ * Load everything runBuildPipeline needs for a queue entry
+ * @param {object} db - Database connection
+ * @param {object} entry - Queue entry
+ * @returns {Promise<object|null>} Service, deployment and owner context
+ */
+async function loadBuildContext(db, entry) {
+  const serviceResult = await db.query(
+    `SELECT s.*, p.name as project_name, p.user_id,
+            u.hash as user_hash, u.github_access_token
+     FROM services s
+     JOIN projects p ON s.project_id = p.id
+     JOIN users u ON p.user_id = u.id
+     WHERE s.id = $1`,
+    [entry.service_id]
+  );
+
+  const deploymentResult = await db.query(
+    'SELECT * FROM deployments WHERE id = $1',
+    [entry.deployment_id]
+  );
+
+  if (serviceResult.rows.length === 0 || deploymentResult.rows.length === 0) {
+    return null;
+  }
+
+  const { github_access_token, user_hash, ...service } = serviceResult.rows[0];
+
+  return {
+    service,
+    deployment: deploymentResult.rows[0],
+    userHash: user_hash,
+    githubToken: github_access_token ? decrypt(github_access_token) : null,
+  };
+}
+
+/**
+ * Run a claimed queue entry through the build pipeline
+ * @param {object} db - Database connection
+ * @param {object} entry - Claimed queue entry
+ */
+async function runQueuedBuild(db, entry) {
+  try {
+    const context = await loadBuildContext(db, entry);
+    if (!context) {
+      await finishBuild(db, entry.id, 'failed', 'Service or deployment no longer exists');
+      return;
+    }
+
+    const { service, deployment, userHash, githubToken } = context;
+    // Namespace is the project name
+    const namespace = service.project_name;
+    const isImageOnly = service.image && !service.repo_url;
+
+    if (!isImageOnly && !githubToken) {
+      throw new Error('GitHub token not configured');
+    }
+
+    // Resumed after a restart: clear leftovers from the interrupted attempt
+    if (deployment.status !== 'pending') {
+      if (!isImageOnly) {
+        await cleanupStaleBuild(namespace, service.name, entry.commit_sha);
+      }
+      await updateDeploymentStatus(db, deployment.id, 'pending', {
+        build_logs: `Resuming build after backend restart (attempt ${entry.attempts})`,
+      });
+      deployment.status = 'pending';
+    }
+
+    const project = {
+      id: service.project_id,
+      name: service.project_name,
+      user_id: service.user_id,
+    };
+
+    await runBuildPipeline(
+      db,
+      service,
+      deployment,
+      isImageOnly ? null : entry.commit_sha,
+      githubToken,
+      namespace,
+      service.project_name,
+      userHash,
+      project
+    );
+
+    await finishBuild(db, entry.id, 'completed');
+  } catch (err) {
+    logger.error('Queued build failed', {
+      queueId: entry.id,
+      deploymentId: entry.deployment_id,
+      error: err.message
+    });
+
+    await finishBuild(db, entry.id, 'failed', err.message).catch(() => {});
+    await failDeployment(db, entry.deployment_id, `Build pipeline failed: ${err.message}`);
+  }
+}
+
+/**
+ * Mark a deployment as failed unless the pipeline already settled it
+ * @param {object} db - Database connection
+ * @param {string} deploymentId - Deployment ID
+ * @param {string} reason - Failure reason appended to build logs
+ */
+async function failDeployment(db, deploymentId, reason) {
+  try {
+    const result = await db.query(
+      `UPDATE deployments
+       SET status = 'failed', build_logs = COALESCE(build_logs || E'\\n\\n', '') || $2
+       WHERE id = $1 AND status IN ('pending', 'building', 'deploying')
+       RETURNING id`,
+      [deploymentId, reason]
+    );
+
+    if (result.rows.length > 0) {
+      appEvents.emitDeploymentStatus(deploymentId, {
+        status: 'failed',
+        message: reason
+      });
+    }
+  } catch (err) {
+    logger.error('Failed to mark deployment as failed', { deploymentId, error: err.message });
+  }
+}
+
+/**
+ * Start as many queued builds as the concurrency limits allow
+ * @param {object} db - Database connection
+ */
+export async function processBuildQueue(db) {
+  if (processing) {
+    processAgain = true;
+    return;
+  }
+
+  processing = true;
+  try {
+    do {
+      processAgain = false;
+      let entry;
+      while ((entry = await claimNextBuild(db))) {
+        logger.info('Starting queued build', {
+          queueId: entry.id,
+          deploymentId: entry.deployment_id,
+          serviceId: entry.service_id,
+          attempt: entry.attempts
+        });
+
+        runQueuedBuild(db, entry).finally(() => {
+          processBuildQueue(db).catch(err => {
+            logger.error('Build queue processing failed', { error: err.message });
+          });
+        });
+      }
+    } while (processAgain);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Requeue builds that were running when the backend stopped. Entries that have
+ * already used all their attempts are failed instead of retried forever.
+ * @param {object} db - Database connection
+ * @returns {Promise<{requeued: number, failed: number}>}
+ */
+export async function resumeInterruptedBuilds(db) {
+  const exhausted = await db.query(
+    `UPDATE build_queue
+     SET status = 'failed', error = 'Interrupted too many times', finished_at = NOW()
+     WHERE status = 'running' AND attempts >= $1
+     RETURNING deployment_id`,
+    [MAX_ATTEMPTS]
+  );
+
+  for (const row of exhausted.rows) {
+    await failDeployment(db, row.deployment_id, `Build interrupted ${MAX_ATTEMPTS} times by backend restarts`);
+  }
+
+  // A newer queued commit for the same service wins over a resumed build
+  const superseded = await db.query(
+    `UPDATE build_queue r
+     SET status = 'superseded', finished_at = NOW()
+     WHERE r.status = 'running'
+       AND EXISTS (
+         SELECT 1 FROM build_queue q
+         WHERE q.service_id = r.service_id AND q.status = 'queued'
+       )
+     RETURNING deployment_id`
+  );
+
+  for (const row of superseded.rows) {
+    await failDeployment(db, row.deployment_id, 'Superseded by a newer commit while the backend was down');
+  }
+
+  const requeued = await db.query(
+    `UPDATE build_queue
+     SET status = 'queued', started_at = NULL
+     WHERE status = 'running'
+     RETURNING id`
+  );
+
+  if (requeued.rows.length > 0 || exhausted.rows.length > 0) {
+    logger.info('Resumed interrupted builds', {
+      requeued: requeued.rows.length,
+      failed: exhausted.rows.length + superseded.rows.length
+    });
+  }
+
+  return {
+    requeued: requeued.rows.length,
+    failed: exhausted.rows.length + superseded.rows.length
+  };
+}
+
+/**
+ * Get queue position info for a deployment
+ * @param {object} db - Database connection
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<object|null>} Queue entry with position (1-based) while queued
+ */
+export async function getQueueEntry(db, deploymentId) {
+  const result = await db.query(
+    `SELECT q.*,
+       CASE WHEN q.status = 'queued' THEN (
+         SELECT COUNT(*)::int FROM build_queue o
+         WHERE o.project_id = q.project_id AND o.status = 'queued' AND o.created_at <= q.created_at
+       ) END as position
+     FROM build_queue q
+     WHERE q.deployment_id = $1`,
+    [deploymentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Start the build queue: resume interrupted work and poll for runnable builds
+ * @param {object} db - Database connection
+ */
+export async function startBuildQueue(db) {
+  if (pollInterval) {
+    logger.warn('Build queue already running');
+    return;
+  }
+
+  await resumeInterruptedBuilds(db);
+  await processBuildQueue(db);
+
+  pollInterval = setInterval(() => {
+    processBuildQueue(db).catch(err => {
+      logger.error('Build queue processing failed', { error: err.message });
+    });
+  }, QUEUE_POLL_INTERVAL);
+
+  logger.info('Build queue started', { projectConcurrency: PROJECT_CONCURRENCY });
+}
+
+/**
+ * Stop polling the build queue. Running builds are left as 'running' and are
+ * resumed on the next startup.
+ */
+export function stopBuildQueue() {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+  }
+  logger.info('Build queue stopped');
+}
@@ -0,0 +1,171 @@
+/**
+ * Custom Domain Certificates
+ *
+ * Once a custom domain is verified its ingress asks cert-manager for a certificate. The
+ * watcher follows the Certificate resources of domains whose certificate is pending or
+ * failed (cert-manager keeps retrying failed ones), records the status in
+ * custom_domains.certificate_status and notifies the project owner when it changes to
+ * issued or failed.
+ */
+
+import crypto from 'crypto';
+import { getCertificate, getSecret } from './kubernetes.js';
+import { sendDomainNotification } from './notifications.js';
+import logger from './logger.js';
+
+const CERTIFICATE_CHECK_INTERVAL = parseInt(process.env.CERTIFICATE_CHECK_INTERVAL, 10) || 60000; // 1 minute
+
+let checkInterval = null;
+let checking = false;
+
+/**
+ * Short hash of a domain, used in the names of its ingress and TLS secret
+ * @param {string} domain - Domain name
+ * @returns {string}
+ */
+export function computeDomainHash(domain) {
+  return crypto.createHash('md5').update(domain).digest('hex').substring(0, 8);
+}
+
+/**
+ * Name of the TLS secret of a custom domain, which cert-manager also gives its Certificate
+ * @param {string} serviceName - Service name
+ * @param {string} domain - Domain name
+ * @returns {string}
+ */
+export function certificateSecretName(serviceName, domain) {
+  return `${serviceName}-${computeDomainHash(domain)}-tls`;
+}
+
+/**
+ * Status of a cert-manager Certificate
+ * @param {object} certificate - Certificate resource
+ * @returns {{status: 'pending'|'issued'|'failed', reason: string|null}}
+ */
+function certificateState(certificate) {
+  const conditions = certificate.status?.conditions || [];
+  const ready = conditions.find(c => c.type === 'Ready');
+  if (ready?.status === 'True') {
+    return { status: 'issued', reason: null };
+  }
+
+  // Set when an issuance attempt failed, and cleared once one succeeds
+  if (certificate.status?.lastFailureTime) {
+    const issuing = conditions.find(c => c.type === 'Issuing');
+    return { status: 'failed', reason: issuing?.message || ready?.message || 'Certificate request failed' };
+  }
+
+  return { status: 'pending', reason: null };
+}
+
+/**
+ * Look up the certificate of a verified custom domain and record its status, notifying the
+ * project owner when it changes to issued or failed
+ * @param {object} db - Database connection
+ * @param {object} domain - custom_domains row
+ * @param {object} service - Service with name, owner_hash, project_id, project_name and user_id
+ * @returns {Promise<string>} Certificate status
+ */
+export async function checkCertificate(db, domain, service) {
+  const namespace = `${service.owner_hash}-${service.project_name}`;
+  const name = certificateSecretName(service.name, domain.domain);
+
+  const certificate = await getCertificate(namespace, name);
+  let state = { status: 'pending', reason: null };
+  if (certificate) {
+    state = certificateState(certificate);
+  } else {
+    // Certificates issued without cert-manager's ingress-shim only leave a secret behind
+    const secret = await getSecret(namespace, name);
+    if (secret?.data?.['tls.crt']) {
+      state = { status: 'issued', reason: null };
+    }
+  }
+
+  const result = await db.query(
+    `UPDATE custom_domains SET certificate_status = $1
+     WHERE id = $2 AND certificate_status IS DISTINCT FROM $1
+     RETURNING id`,
+    [state.status, domain.id]
+  );
+
+  // The update only matches once per change, so a domain checked by the watcher and the
+  // dashboard at the same time notifies once
+  if (result.rowCount > 0 && state.status !== 'pending') {
+    logger.info(`Certificate ${state.status} for ${domain.domain}`, { domainId: domain.id, reason: state.reason });
+    await sendDomainNotification(db, `certificate.${state.status}`, domain, service, {
+      id: service.project_id,
+      name: service.project_name,
+      user_id: service.user_id,
+    }, state.reason);
+  }
+
+  return state.status;
+}
+
+/**
+ * Check the certificates of all verified domains that are not issued yet
+ * @param {object} db - Database connection
+ */
+async function runCertificateChecks(db) {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    const result = await db.query(
+      `SELECT d.*, s.name AS service_name, s.project_id, p.name AS project_name, p.user_id, u.hash AS owner_hash
+       FROM custom_domains d
+       JOIN services s ON d.service_id = s.id
+       JOIN projects p ON s.project_id = p.id
+       JOIN users u ON p.user_id = u.id
+       WHERE d.verified = true
+       AND d.certificate_status IN ('pending', 'failed')`
+    );
+
+    for (const row of result.rows) {
+      try {
+        await checkCertificate(db, row, {
+          id: row.service_id,
+          name: row.service_name,
+          owner_hash: row.owner_hash,
+          project_id: row.project_id,
+          project_name: row.project_name,
+          user_id: row.user_id,
+        });
+      } catch (err) {
+        logger.warn(`Failed to check certificate for ${row.domain}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error('Certificate check failed', { error: err.message });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start watching pending certificates
+ * @param {object} db - Database connection
+ */
+export function startCertificateWatcher(db) {
+  if (checkInterval) {
+    logger.warn('Certificate watcher already running');
+    return;
+  }
+
+  checkInterval = setInterval(() => runCertificateChecks(db), CERTIFICATE_CHECK_INTERVAL);
+  logger.info(`Certificate watcher started with ${CERTIFICATE_CHECK_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop watching pending certificates
+ */
+export function stopCertificateWatcher() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+  logger.info('Certificate watcher stopped');
+}
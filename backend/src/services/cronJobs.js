@@ -0,0 +1,450 @@
+/**
+ * Cron Services
+ *
+ * A service with service_type 'cron' builds like any other service but is deployed as a
+ * Kubernetes CronJob named after the service, which runs the image's default command on
+ * cron_schedule (UTC). It has no Service, Ingress or port. Stopping the service suspends
+ * the CronJob.
+ *
+ * Every run is a Job labelled dangus.cloud/cron=<service>. The sync loop here records each
+ * one in cron_runs (scheduled, or 'manual' for "run now") and, once it finishes, its exit
+ * code and logs, so the history outlives the Jobs Kubernetes keeps. Failed runs send a
+ * notification through notifications.js.
+ */
+
+import crypto from 'crypto';
+import {
+  applyManifest,
+  getCronJob,
+  upsertCronJob,
+  patchCronJob,
+  listJobs,
+  deleteJob,
+  getPodHealth,
+  getPodLogs,
+} from './kubernetes.js';
+import { generateCronJobManifest } from './manifestGenerator.js';
+import { getServiceResources } from './resources.js';
+import { describeFatalPod } from './deploymentVerifier.js';
+import { sendCronRunNotification } from './notifications.js';
+import logger from './logger.js';
+
+const CRON_SYNC_INTERVAL = parseInt(process.env.CRON_SYNC_INTERVAL, 10) || 15000; // 15 seconds
+const CRON_RUN_HISTORY = parseInt(process.env.CRON_RUN_HISTORY, 10) || 50;
+const RUN_LOG_LINES = 1000;
+// A running run whose Job is gone this long is counted as failed (younger ones may not be listed yet)
+const VANISHED_GRACE = 60000;
+
+export const CRON_CONCURRENCY_POLICIES = ['Allow', 'Forbid', 'Replace'];
+export const MAX_CRON_HISTORY = 10;
+// Kubernetes adds an 11-character suffix to the CronJob name for each Job
+export const MAX_CRON_NAME_LENGTH = 52;
+
+const CRON_MACROS = ['@yearly', '@annually', '@monthly', '@weekly', '@daily', '@midnight', '@hourly'];
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week', min: 0, max: 6, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 },
+];
+
+let syncInterval = null;
+let syncing = false;
+
+/**
+ * Check a cron schedule the way the Kubernetes CronJob controller parses it
+ * @param {string} schedule - e.g. '0 3 * * *' or '@hourly'
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+export function validateCronSchedule(schedule) {
+  if (typeof schedule !== 'string' || schedule.trim() === '') {
+    return 'Schedule is required';
+  }
+
+  const trimmed = schedule.trim();
+  if (trimmed.startsWith('@')) {
+    return CRON_MACROS.includes(trimmed) ? null : `Schedule macro must be one of: ${CRON_MACROS.join(', ')}`;
+  }
+
+  const parts = trimmed.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    return 'Schedule must have 5 fields: minute hour day-of-month month day-of-week';
+  }
+
+  for (let i = 0; i < parts.length; i++) {
+    const field = CRON_FIELDS[i];
+    const parseValue = (value) => {
+      const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+      if (index !== -1) return index + field.offset;
+      return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    };
+
+    for (const item of parts[i].split(',')) {
+      const [range, step, extra] = item.split('/');
+      if (extra !== undefined || (step !== undefined && !(/^\d+$/.test(step) && parseInt(step, 10) > 0))) {
+        return `Invalid step in ${field.name} field: ${item}`;
+      }
+      if (range === '*' || range === '?') {
+        continue;
+      }
+
+      const bounds = range.split('-');
+      const values = bounds.map(parseValue);
+      if (bounds.length > 2 || values.some(v => !(v >= field.min && v <= field.max))) {
+        return `${field.name[0].toUpperCase()}${field.name.slice(1)} must be from ${field.min} to ${field.max}: ${item}`;
+      }
+      if (values.length === 2 && values[0] > values[1]) {
+        return `Invalid range in ${field.name} field: ${item}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * CronJob manifest options for a service
+ * @param {object} service - Service row
+ * @param {object} manifestOptions - Deployment manifest options from deployService
+ * @param {boolean} suspend - Whether the CronJob is suspended
+ * @returns {object} generateCronJobManifest options
+ */
+function cronJobOptions(service, manifestOptions, suspend) {
+  return {
+    namespace: manifestOptions.namespace,
+    serviceName: service.name,
+    image: manifestOptions.image,
+    schedule: service.cron_schedule,
+    concurrencyPolicy: service.cron_concurrency_policy,
+    successfulJobsHistoryLimit: service.cron_successful_history,
+    failedJobsHistoryLimit: service.cron_failed_history,
+    suspend,
+    resources: manifestOptions.resources,
+    envSecretName: manifestOptions.envSecretName,
+    envConfigMapName: manifestOptions.envConfigMapName,
+  };
+}
+
+/**
+ * Create or update a cron service's CronJob. A suspended (stopped) CronJob stays suspended.
+ * @param {object} service - Service row
+ * @param {object} manifestOptions - Deployment manifest options from deployService
+ * @returns {Promise<void>}
+ */
+export async function deployCronJob(service, manifestOptions) {
+  let suspend = false;
+  try {
+    const existing = await getCronJob(manifestOptions.namespace, service.name);
+    suspend = existing.spec?.suspend === true;
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+  }
+
+  await upsertCronJob(generateCronJobManifest(cronJobOptions(service, manifestOptions, suspend)));
+}
+
+/**
+ * Apply a cron service's schedule, concurrency policy, history limits and resources to its
+ * CronJob right away; the next run picks them up. Does nothing if it has not been deployed yet.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row with the new settings
+ * @returns {Promise<boolean>} Whether a CronJob was updated
+ */
+export async function applyCronSettings(namespace, service) {
+  try {
+    await patchCronJob(namespace, service.name, {
+      spec: {
+        schedule: service.cron_schedule,
+        concurrencyPolicy: service.cron_concurrency_policy,
+        successfulJobsHistoryLimit: service.cron_successful_history,
+        failedJobsHistoryLimit: service.cron_failed_history,
+        jobTemplate: {
+          spec: {
+            template: {
+              spec: {
+                containers: [{ name: service.name, resources: getServiceResources(service) }],
+              },
+            },
+          },
+        },
+      },
+    });
+    return true;
+  } catch (err) {
+    if (err.status === 404) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Suspend or resume a cron service's schedule. Runs already going are left to finish.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - Service name
+ * @param {boolean} suspended - true to stop scheduling runs
+ */
+export async function setCronJobSuspended(namespace, name, suspended) {
+  return patchCronJob(namespace, name, { spec: { suspend: suspended } });
+}
+
+/**
+ * Start a run of a cron service now, outside its schedule
+ * @param {object} db - Database connection
+ * @param {object} service - Service row
+ * @param {string} namespace - Kubernetes namespace
+ * @returns {Promise<object>} New cron_runs row
+ */
+export async function triggerCronRun(db, service, namespace) {
+  const cronJob = await getCronJob(namespace, service.name);
+  const template = cronJob.spec.jobTemplate;
+  const jobName = `${service.name}-run-${crypto.randomBytes(3).toString('hex')}`;
+
+  // What `kubectl create job --from=cronjob/<name>` does
+  await applyManifest({
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name: jobName,
+      namespace,
+      labels: template.metadata?.labels || {},
+      annotations: { 'cronjob.kubernetes.io/instantiate': 'manual' },
+      ownerReferences: [{
+        apiVersion: 'batch/v1',
+        kind: 'CronJob',
+        name: cronJob.metadata.name,
+        uid: cronJob.metadata.uid,
+      }],
+    },
+    spec: template.spec,
+  });
+
+  const result = await db.query(
+    `INSERT INTO cron_runs (service_id, job_name, trigger, image_tag)
+     VALUES ($1, $2, 'manual', $3)
+     RETURNING *`,
+    [service.id, jobName, template.spec.template.spec.containers[0]?.image || null]
+  );
+
+  logger.info('Cron run started by hand', { service: service.name, jobName });
+  return result.rows[0];
+}
+
+/**
+ * Read a run's output from its pod
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} jobName - Job name
+ * @returns {Promise<{logs: string|null, pod: object|null}>} Logs (null if the pod is gone) and pod health
+ */
+export async function readRunOutput(namespace, jobName) {
+  const pods = await getPodHealth(namespace, `job-name=${jobName}`);
+  const pod = pods.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  if (!pod) {
+    return { logs: null, pod: null };
+  }
+
+  try {
+    const logs = await getPodLogs(namespace, pod.name, { tailLines: RUN_LOG_LINES });
+    return { logs, pod };
+  } catch (err) {
+    logger.debug('Could not retrieve cron run logs', { namespace, jobName, error: err.message });
+    return { logs: null, pod };
+  }
+}
+
+/**
+ * Where a run's Job is
+ * @param {object} job - Job object
+ * @returns {{status: string, reason?: string, finishedAt?: string}}
+ */
+function jobOutcome(job) {
+  const status = job.status || {};
+  if (status.succeeded >= 1) {
+    return { status: 'succeeded', finishedAt: status.completionTime };
+  }
+
+  const failed = status.conditions?.find(c => c.type === 'Failed' && c.status === 'True');
+  if (failed || status.failed >= 1) {
+    return {
+      status: 'failed',
+      reason: failed?.reason === 'DeadlineExceeded' ? 'Run exceeded its deadline' : null,
+      finishedAt: failed?.lastTransitionTime,
+    };
+  }
+
+  return { status: 'running' };
+}
+
+/**
+ * Record a finished run and notify if it failed
+ * @param {object} db - Database connection
+ * @param {object} service - Service row with project_name, project_id and project_user_id
+ * @param {object} run - cron_runs row still marked running
+ * @param {{status: string, reason?: string, finishedAt?: string}} outcome - How it ended
+ */
+async function finishRun(db, service, run, outcome) {
+  const { logs, pod } = await readRunOutput(service.project_name, run.job_name);
+  const exitCode = pod?.terminatedExitCode ?? null;
+  const failureReason = outcome.status === 'failed'
+    ? outcome.reason || (exitCode != null ? `Exited with code ${exitCode}` : 'Run failed')
+    : null;
+
+  const result = await db.query(
+    `UPDATE cron_runs
+     SET status = $1, exit_code = $2, failure_reason = $3, logs = COALESCE($4, logs), finished_at = $5
+     WHERE id = $6 AND status = 'running'
+     RETURNING *`,
+    [outcome.status, exitCode, failureReason, logs, outcome.finishedAt || new Date(), run.id]
+  );
+
+  const finished = result.rows[0];
+  if (!finished || finished.status !== 'failed') {
+    return;
+  }
+
+  logger.warn('Cron run failed', { service: service.name, jobName: run.job_name, reason: failureReason });
+
+  try {
+    await sendCronRunNotification(db, finished, service, {
+      id: service.project_id,
+      name: service.project_name,
+      user_id: service.project_user_id,
+    });
+  } catch (err) {
+    logger.error('Failed to send cron run notification', { error: err.message });
+  }
+}
+
+/**
+ * Bring a cron service's run history up to date with its Jobs
+ * @param {object} db - Database connection
+ * @param {object} service - Service row with project_name, project_id and project_user_id
+ */
+async function syncServiceRuns(db, service) {
+  const namespace = service.project_name;
+  const jobs = (await listJobs(namespace, `dangus.cloud/cron=${service.name}`)).items || [];
+
+  const runsResult = await db.query(
+    `SELECT * FROM cron_runs WHERE service_id = $1 AND (status = 'running' OR job_name = ANY($2))`,
+    [service.id, jobs.map(job => job.metadata.name)]
+  );
+  const runs = new Map(runsResult.rows.map(run => [run.job_name, run]));
+
+  for (const job of jobs) {
+    let run = runs.get(job.metadata.name);
+    runs.delete(job.metadata.name);
+
+    if (!run) {
+      const manual = job.metadata.annotations?.['cronjob.kubernetes.io/instantiate'] === 'manual';
+      const inserted = await db.query(
+        `INSERT INTO cron_runs (service_id, job_name, trigger, image_tag, started_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (service_id, job_name) DO NOTHING
+         RETURNING *`,
+        [
+          service.id,
+          job.metadata.name,
+          manual ? 'manual' : 'schedule',
+          job.spec?.template?.spec?.containers?.[0]?.image || null,
+          job.status?.startTime || job.metadata.creationTimestamp,
+        ]
+      );
+      run = inserted.rows[0];
+    }
+
+    if (!run || run.status !== 'running') {
+      continue;
+    }
+
+    const outcome = jobOutcome(job);
+    if (outcome.status !== 'running') {
+      await finishRun(db, service, run, outcome);
+      continue;
+    }
+
+    // A pod that can't pull its image or find its env Secret never fails on its own
+    const pods = await getPodHealth(namespace, `job-name=${job.metadata.name}`);
+    const fatal = describeFatalPod(pods);
+    if (fatal) {
+      await finishRun(db, service, run, { status: 'failed', reason: fatal });
+      await deleteJob(namespace, job.metadata.name).catch(() => {});
+    }
+  }
+
+  // Runs still marked running whose Job has been deleted
+  for (const run of runs.values()) {
+    if (run.status === 'running' && Date.now() - new Date(run.started_at).getTime() > VANISHED_GRACE) {
+      await finishRun(db, service, run, { status: 'failed', reason: 'Job was deleted before it finished' });
+    }
+  }
+
+  await db.query(
+    `DELETE FROM cron_runs
+     WHERE service_id = $1 AND id NOT IN (
+       SELECT id FROM cron_runs WHERE service_id = $1 ORDER BY started_at DESC LIMIT $2
+     )`,
+    [service.id, CRON_RUN_HISTORY]
+  );
+}
+
+/**
+ * Sync the run history of every cron service
+ * @param {object} db - Database connection
+ */
+async function syncCronRuns(db) {
+  if (syncing) {
+    return;
+  }
+  syncing = true;
+
+  try {
+    const result = await db.query(
+      `SELECT s.*, p.name AS project_name, p.user_id AS project_user_id
+       FROM services s
+       JOIN projects p ON s.project_id = p.id
+       WHERE s.service_type = 'cron'`
+    );
+
+    for (const service of result.rows) {
+      try {
+        await syncServiceRuns(db, service);
+      } catch (err) {
+        if (err.status !== 404) {
+          logger.warn(`Cron run sync failed for ${service.name}: ${err.message}`);
+        }
+      }
+    }
+  } catch (err) {
+    logger.error('Cron run sync failed', { error: err.message });
+  } finally {
+    syncing = false;
+  }
+}
+
+/**
+ * Start the cron run sync loop
+ * @param {object} db - Database connection
+ */
+export function startCronRunSync(db) {
+  if (syncInterval) {
+    logger.warn('Cron run sync already running');
+    return;
+  }
+
+  syncInterval = setInterval(() => syncCronRuns(db), CRON_SYNC_INTERVAL);
+  logger.info(`Cron run sync started with ${CRON_SYNC_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop the cron run sync loop. CronJobs keep running; their runs are recorded on the next start.
+ */
+export function stopCronRunSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+  logger.info('Cron run sync stopped');
+}
@@ -2,8 +2,11 @@ import Anthropic from '@anthropic-ai/sdk';
 import { getRepoTree, getFileContent, parseGitHubUrl } from './github.js';
 import { getGeneratedFile } from './dockerfileGenerator.js';
 import { upsertConfigMap, deleteConfigMap, getPodLogs, getPodEvents, getPodHealth, getDeploymentSpec } from './kubernetes.js';
-import { triggerBuild, watchBuildJob, captureBuildLogs, deployService, getDecryptedEnvVars } from './buildPipeline.js';
+import { triggerBuild, watchBuildJob, captureBuildLogs, deployService } from './buildPipeline.js';
+import { getDecryptedEnvVars } from './serviceEnv.js';
+import { getBuildResources } from './resources.js';
 import { updateDeploymentStatus } from './deploymentService.js';
+import { sendDebugSessionNotification } from './notifications.js';
 import appEvents from './event-emitter.js';
 import logger from './logger.js';
 
@@ -233,6 +236,13 @@ export async function runDebugLoop(db, session, service, deployment, githubToken
           message: 'Issue requires manual fix by the user'
         });
 
+        await notifySessionEnd(db, session, service, {
+          success: false,
+          attempts: attempt,
+          explanation: llmResult.explanation,
+          needsManualFix: true,
+        });
+
         return { success: false, attempts: attempt, needsManualFix: true, explanation: llmResult.explanation, suggestedActions: llmResult.suggestedActions || [] };
       }
 
@@ -277,6 +287,13 @@ export async function runDebugLoop(db, session, service, deployment, githubToken
 
         logger.info({ sessionId: session.id, attempt }, 'Debug session succeeded');
 
+        await notifySessionEnd(db, session, service, {
+          success: true,
+          attempts: attempt,
+          explanation: llmResult.explanation,
+          fileChanges: finalChanges,
+        });
+
         return { success: true, attempts: attempt, fileChanges: finalChanges };
       }
 
@@ -306,6 +323,12 @@ export async function runDebugLoop(db, session, service, deployment, githubToken
 
     logger.info({ sessionId: session.id }, 'Debug session failed after max attempts');
 
+    await notifySessionEnd(db, session, service, {
+      success: false,
+      attempts: session.max_attempts,
+      explanation: finalExplanation,
+    });
+
     return { success: false, attempts: session.max_attempts, finalExplanation };
 
   } catch (error) {
@@ -318,10 +341,37 @@ export async function runDebugLoop(db, session, service, deployment, githubToken
       message: `Debug session error: ${error.message}`
     });
 
+    await notifySessionEnd(db, session, service, {
+      success: false,
+      attempts: attempts.length,
+      explanation: `Debug session error: ${error.message}`,
+    });
+
     throw error;
   }
 }
 
+/**
+ * Notify the project owner's channels that a debug session ended
+ * @param {object} db - Database connection
+ * @param {object} session - Debug session object
+ * @param {object} service - Service object
+ * @param {object} outcome - Result of the session, see sendDebugSessionNotification
+ */
+async function notifySessionEnd(db, session, service, outcome) {
+  try {
+    const projectResult = await db.query(
+      'SELECT id, name, user_id FROM projects WHERE id = $1',
+      [service.project_id]
+    );
+    if (projectResult.rows[0]) {
+      await sendDebugSessionNotification(db, session, service, projectResult.rows[0], outcome);
+    }
+  } catch (err) {
+    logger.error({ sessionId: session.id, error: err.message }, 'Failed to send debug session notification');
+  }
+}
+
 /**
  * Analyze build failure and suggest fixes using LLM
  */
@@ -534,6 +584,7 @@ async function triggerDebugBuild(db, service, deployment, commitSha, githubToken
       gitSecretName,
       registrySecretName: REGISTRY_SECRET_NAME,
       dockerfileConfigMap: configMapName,
+      resources: getBuildResources(service),
     });
 
     await applyManifest(jobManifest);
@@ -31,6 +31,7 @@ export async function getLatestDeployment(db, serviceId) {
  * @param {object} extras - Optional additional fields to update
  * @param {string} extras.build_logs - Build logs to append/set
  * @param {string} extras.image_tag - Docker image tag
+ * @param {string} extras.failure_reason - Why the deployment failed
  * @returns {object} Updated deployment
  */
 export async function updateDeploymentStatus(db, deploymentId, status, extras = {}) {
@@ -38,7 +39,7 @@ export async function updateDeploymentStatus(db, deploymentId, status, extras =
     throw new Error(`Invalid deployment status: ${status}. Must be one of: ${DEPLOYMENT_STATUSES.join(', ')}`);
   }
 
-  const { build_logs, image_tag } = extras;
+  const { build_logs, image_tag, failure_reason } = extras;
 
   const setClauses = ['status = $1'];
   const values = [status];
@@ -56,13 +57,19 @@ export async function updateDeploymentStatus(db, deploymentId, status, extras =
     paramIndex++;
   }
 
+  if (failure_reason !== undefined) {
+    setClauses.push(`failure_reason = $${paramIndex}`);
+    values.push(failure_reason);
+    paramIndex++;
+  }
+
   values.push(deploymentId);
 
   const result = await db.query(
     `UPDATE deployments
      SET ${setClauses.join(', ')}
      WHERE id = $${paramIndex}
-     RETURNING id, service_id, commit_sha, status, image_tag, build_logs, created_at`,
+     RETURNING id, service_id, commit_sha, status, image_tag, build_logs, failure_reason, created_at`,
     values
   );
 
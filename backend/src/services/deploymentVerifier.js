@@ -0,0 +1,167 @@
+/**
+ * Deployment verifier - watches a rollout for a while after it goes live.
+ *
+ * A deployment is marked live as soon as its manifests are applied. During the
+ * verification window the new pods must not crash-loop or fail to pull their image,
+ * the rollout must finish with every replica ready, and the service's health check
+ * (if it has one) must keep passing. The build pipeline rolls back when it doesn't.
+ */
+
+import { getDeployment, getPodHealth } from './kubernetes.js';
+import { performHealthCheck } from './healthChecker.js';
+import logger from './logger.js';
+
+// How long to watch a new deployment; 0 turns verification (and automatic rollback) off
+const configuredWindow = parseInt(process.env.DEPLOY_VERIFY_WINDOW, 10);
+export const VERIFY_WINDOW = Number.isNaN(configuredWindow) ? 120000 : configuredWindow; // 2 minutes
+const VERIFY_POLL_INTERVAL = parseInt(process.env.DEPLOY_VERIFY_POLL_INTERVAL, 10) || 10000; // 10 seconds
+const MAX_HEALTH_FAILURES = 3;
+
+// Container states that won't recover without a new deployment
+export const FATAL_WAITING_REASONS = [
+  'CrashLoopBackOff',
+  'ImagePullBackOff',
+  'ErrImagePull',
+  'InvalidImageName',
+  'CreateContainerConfigError',
+  'CreateContainerError',
+];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a newer deployment of the service has started since this one
+ */
+async function isSuperseded(db, serviceId, deploymentId) {
+  const result = await db.query(
+    `SELECT id FROM deployments
+     WHERE service_id = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [serviceId]
+  );
+  return result.rows[0]?.id !== deploymentId;
+}
+
+/**
+ * Read the rollout progress of a Kubernetes Deployment
+ * @param {object} k8sDeployment - Deployment from getDeployment
+ * @returns {{desired: number, updated: number, available: number, complete: boolean}}
+ */
+export function getRolloutProgress(k8sDeployment) {
+  const desired = k8sDeployment.spec?.replicas ?? 1;
+  const status = k8sDeployment.status || {};
+  const updated = status.updatedReplicas || 0;
+  const available = status.availableReplicas || 0;
+  const observed = (status.observedGeneration || 0) >= (k8sDeployment.metadata?.generation || 0);
+
+  return {
+    desired,
+    updated,
+    available,
+    complete: observed && updated >= desired && available >= desired,
+  };
+}
+
+/**
+ * Describe the first pod stuck in a state it won't leave without a new deployment
+ * @param {Array<object>} pods - Pods from getPodHealth
+ * @returns {string|null} Failure reason, or null if no pod is stuck
+ */
+export function describeFatalPod(pods) {
+  const crashed = pods.find(pod => FATAL_WAITING_REASONS.includes(pod.waitingReason));
+  if (!crashed) {
+    return null;
+  }
+  const exit = crashed.terminatedExitCode != null ? `, last exit code ${crashed.terminatedExitCode}` : '';
+  return `Pod ${crashed.name} is in ${crashed.waitingReason}${exit}`;
+}
+
+/**
+ * Watch a deployment that just went live
+ * @param {object} db - Database connection
+ * @param {object} service - Service row
+ * @param {object} deployment - Deployment row (created_at separates its pods from older ones)
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} projectName - Project name for the service subdomain
+ * @returns {Promise<{healthy: boolean, reason?: string, superseded?: boolean}>}
+ */
+export async function verifyDeployment(db, service, deployment, namespace, projectName) {
+  const deadline = Date.now() + VERIFY_WINDOW;
+  const since = new Date(deployment.created_at).getTime();
+  const subdomain = `${projectName}-${service.name}`;
+  let healthFailures = 0;
+  let lastProgress = null;
+  let lastHealthError = null;
+
+  while (Date.now() < deadline) {
+    await sleep(VERIFY_POLL_INTERVAL);
+
+    if (await isSuperseded(db, service.id, deployment.id)) {
+      return { healthy: true, superseded: true };
+    }
+
+    let k8sDeployment;
+    try {
+      k8sDeployment = await getDeployment(namespace, service.name);
+    } catch (err) {
+      if (err.status === 404) {
+        // Deleted or stopped while we were watching - nothing left to verify
+        return { healthy: true, superseded: true };
+      }
+      logger.warn(`Deployment verification: failed to read ${service.name}: ${err.message}`);
+      continue;
+    }
+
+    lastProgress = getRolloutProgress(k8sDeployment);
+    if (lastProgress.desired === 0) {
+      // Scaled to zero (stopped or sleeping) - no pods to judge
+      return { healthy: true };
+    }
+
+    // Only this deployment's pods; older ones may still be terminating
+    const pods = (await getPodHealth(namespace, `app=${service.name}`))
+      .filter(pod => new Date(pod.createdAt).getTime() >= since);
+
+    const fatal = describeFatalPod(pods);
+    if (fatal) {
+      return { healthy: false, reason: fatal };
+    }
+
+    if (!lastProgress.complete || !service.health_check_path) {
+      continue;
+    }
+
+    const health = await performHealthCheck(subdomain, service.health_check_path, service.port);
+    if (health.status === 'healthy') {
+      healthFailures = 0;
+    } else {
+      healthFailures++;
+      lastHealthError = health.error || `HTTP ${health.statusCode}`;
+      if (healthFailures >= MAX_HEALTH_FAILURES) {
+        return {
+          healthy: false,
+          reason: `Health check ${service.health_check_path} failed ${healthFailures} times in a row (${lastHealthError})`,
+        };
+      }
+    }
+  }
+
+  if (lastProgress && !lastProgress.complete) {
+    return {
+      healthy: false,
+      reason: `Rollout did not become ready within ${Math.round(VERIFY_WINDOW / 1000)}s (${lastProgress.available}/${lastProgress.desired} replicas ready)`,
+    };
+  }
+
+  if (healthFailures > 0) {
+    return {
+      healthy: false,
+      reason: `Health check ${service.health_check_path} was failing at the end of verification (${lastHealthError})`,
+    };
+  }
+
+  return { healthy: true };
+}
@@ -0,0 +1,174 @@
+/**
+ * Device authorization - lets the CLI log in without handling browser cookies.
+ *
+ * The CLI requests a device code and a short user code, the user approves the
+ * user code in the browser, and the CLI's next poll exchanges the device code for
+ * a personal access token. The token is only minted when it is claimed, so its
+ * plaintext is never stored.
+ */
+
+import crypto from 'crypto';
+import { createApiToken, hashApiToken } from './apiTokens.js';
+
+const DEVICE_CODE_TTL_MINUTES = 10;
+
+export const DEVICE_POLL_INTERVAL_SECONDS = 5;
+
+// No vowels or look-alike characters, so codes are easy to read out and never spell words
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+
+/**
+ * Generate a user code such as WDJB-MJHT
+ * @returns {string}
+ */
+function generateUserCode() {
+  const chars = Array.from(crypto.randomBytes(8), byte => USER_CODE_ALPHABET[byte % USER_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+/**
+ * Normalize a user code typed by a person (case and missing dash)
+ * @param {string} userCode - Code as entered
+ * @returns {string}
+ */
+export function normalizeUserCode(userCode) {
+  const compact = (userCode || '').toUpperCase().replace(/[^A-Z]/g, '');
+  return compact.length === 8 ? `${compact.slice(0, 4)}-${compact.slice(4)}` : compact;
+}
+
+/**
+ * Start a device authorization
+ * @param {object} db - Database connection
+ * @param {string} clientName - Name shown to the user when approving (e.g. "dangus CLI on laptop")
+ * @returns {Promise<{deviceCode: string, userCode: string, expiresIn: number}>}
+ */
+export async function createDeviceAuthorization(db, clientName) {
+  const deviceCode = crypto.randomBytes(32).toString('hex');
+
+  // Retry on the (unlikely) collision with another pending user code
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const userCode = generateUserCode();
+    try {
+      await db.query(
+        `INSERT INTO device_authorizations (device_code_hash, user_code, client_name, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+        [hashApiToken(deviceCode), userCode, clientName, DEVICE_CODE_TTL_MINUTES]
+      );
+      return { deviceCode, userCode, expiresIn: DEVICE_CODE_TTL_MINUTES * 60 };
+    } catch (err) {
+      if (err.code !== '23505') throw err;
+    }
+  }
+
+  throw new Error('Could not allocate a unique user code');
+}
+
+/**
+ * Look up a pending, unexpired authorization by user code
+ * @param {object} db - Database connection
+ * @param {string} userCode - User code
+ * @returns {Promise<object|null>}
+ */
+export async function findPendingAuthorization(db, userCode) {
+  const result = await db.query(
+    `SELECT id, user_code, client_name, created_at, expires_at
+     FROM device_authorizations
+     WHERE user_code = $1 AND status = 'pending' AND expires_at > NOW()`,
+    [normalizeUserCode(userCode)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Approve or deny a pending authorization
+ * @param {object} db - Database connection
+ * @param {string} userCode - User code
+ * @param {string} userId - Approving user UUID
+ * @param {object} decision - Decision
+ * @param {boolean} decision.approve - Whether to approve
+ * @param {string[]} decision.scopes - Scopes for the token (approval only)
+ * @returns {Promise<object|null>} Updated authorization, or null if not pending
+ */
+export async function resolveDeviceAuthorization(db, userCode, userId, { approve, scopes = ['admin'] }) {
+  const result = await db.query(
+    `UPDATE device_authorizations
+     SET status = $3, user_id = $2, scopes = $4
+     WHERE user_code = $1 AND status = 'pending' AND expires_at > NOW()
+     RETURNING id, user_code, client_name, status, scopes`,
+    [normalizeUserCode(userCode), userId, approve ? 'approved' : 'denied', approve ? scopes : null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Poll an authorization with the device code. Claims it on approval.
+ * @param {object} db - Database connection
+ * @param {string} deviceCode - Device code held by the CLI
+ * @returns {Promise<{status: string, token?: string, user?: object, scopes?: string[]}>}
+ *   status is pending | slow_down | approved | denied | expired
+ */
+export async function pollDeviceAuthorization(db, deviceCode) {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, client_name, status, user_id, scopes,
+              expires_at <= NOW() as expired,
+              last_polled_at > NOW() - make_interval(secs => $2) as too_fast
+       FROM device_authorizations
+       WHERE device_code_hash = $1
+       FOR UPDATE`,
+      [hashApiToken(deviceCode || ''), DEVICE_POLL_INTERVAL_SECONDS - 1]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'expired' };
+    }
+
+    const authorization = result.rows[0];
+
+    await client.query(
+      'UPDATE device_authorizations SET last_polled_at = NOW() WHERE id = $1',
+      [authorization.id]
+    );
+
+    let outcome;
+    if (authorization.status === 'denied') {
+      outcome = { status: 'denied' };
+    } else if (authorization.status === 'claimed' || authorization.expired) {
+      outcome = { status: 'expired' };
+    } else if (authorization.status === 'pending') {
+      outcome = { status: authorization.too_fast ? 'slow_down' : 'pending' };
+    } else {
+      const { token, record } = await createApiToken(client, authorization.user_id, {
+        name: authorization.client_name,
+        scopes: authorization.scopes,
+      });
+
+      await client.query(
+        `UPDATE device_authorizations SET status = 'claimed', api_token_id = $2 WHERE id = $1`,
+        [authorization.id, record.id]
+      );
+
+      const userResult = await client.query(
+        'SELECT id, github_username FROM users WHERE id = $1',
+        [authorization.user_id]
+      );
+
+      outcome = { status: 'approved', token, scopes: record.scopes, user: userResult.rows[0] };
+    }
+
+    await client.query('COMMIT');
+    return outcome;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
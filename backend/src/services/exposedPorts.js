@@ -0,0 +1,236 @@
+/**
+ * TCP/UDP exposure
+ *
+ * Web services are reached over HTTP through their Ingress. Anything else (databases,
+ * MQTT brokers, game servers) can have container ports exposed on a public port from
+ * EXPOSED_PORT_RANGE. Each public port is served by a Traefik entrypoint named
+ * <protocol>-<port> (e.g. tcp-20000), with an IngressRouteTCP or IngressRouteUDP sending
+ * its traffic to the service's Kubernetes Service. Entrypoints are part of Traefik's static
+ * configuration, so the range must match the entrypoints Traefik was started with.
+ *
+ * Public ports are allocated in service_ports, whose unique constraint keeps two services
+ * from sharing one.
+ */
+
+import {
+  applyManifest,
+  replaceServicePorts,
+  deleteService,
+  upsertPortRoute,
+  deletePortRoute,
+} from './kubernetes.js';
+import { generateServiceManifest, generatePortRouteManifest } from './manifestGenerator.js';
+import logger from './logger.js';
+
+const BASE_DOMAIN = process.env.BASE_DOMAIN || '192.168.1.124.nip.io';
+// Host clients connect to; Traefik's entrypoints must be reachable on it
+const EXPOSED_PORT_HOST = process.env.EXPOSED_PORT_HOST || BASE_DOMAIN;
+const DEFAULT_PORT_RANGE = '20000-20099';
+// Another request can take the port picked for this one; try the next free one
+const ALLOCATE_ATTEMPTS = 5;
+
+export const EXPOSED_PROTOCOLS = ['tcp', 'udp'];
+export const MAX_EXPOSED_PORTS = 5;
+
+/**
+ * Parse a port range
+ * @param {string} value - "<first>-<last>"
+ * @returns {{first: number, last: number}|null} Range, or null if invalid
+ */
+function parsePortRange(value) {
+  const match = /^(\d+)-(\d+)$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const first = parseInt(match[1], 10);
+  const last = parseInt(match[2], 10);
+  return first >= 1 && last <= 65535 && first <= last ? { first, last } : null;
+}
+
+let portRange = parsePortRange(process.env.EXPOSED_PORT_RANGE || DEFAULT_PORT_RANGE);
+if (!portRange) {
+  logger.warn(`Invalid EXPOSED_PORT_RANGE "${process.env.EXPOSED_PORT_RANGE}", using ${DEFAULT_PORT_RANGE}`);
+  portRange = parsePortRange(DEFAULT_PORT_RANGE);
+}
+
+export const EXPOSED_PORT_RANGE = portRange;
+
+/**
+ * Traefik entrypoint serving a public port
+ * @param {object} row - service_ports row
+ * @returns {string} e.g. tcp-20000
+ */
+function entryPointName(row) {
+  return `${row.protocol}-${row.public_port}`;
+}
+
+/**
+ * Name of the Traefik route for an exposed port
+ * @param {string} serviceName - Service name
+ * @param {object} row - service_ports row
+ * @returns {string}
+ */
+function routeName(serviceName, row) {
+  return `${serviceName}-${row.protocol}-${row.public_port}`;
+}
+
+/**
+ * Shape a service_ports row for the API
+ * @param {object} row - service_ports row
+ * @returns {object} Row with the public host and a host:port connection string
+ */
+export function formatExposedPort(row) {
+  return {
+    id: row.id,
+    protocol: row.protocol,
+    container_port: row.container_port,
+    public_port: row.public_port,
+    host: EXPOSED_PORT_HOST,
+    connection_string: `${EXPOSED_PORT_HOST}:${row.public_port}`,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Get a service's exposed ports
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Array<object>>} service_ports rows, by public port
+ */
+export async function listExposedPorts(db, serviceId) {
+  const result = await db.query(
+    'SELECT * FROM service_ports WHERE service_id = $1 ORDER BY public_port',
+    [serviceId]
+  );
+  return result.rows;
+}
+
+/**
+ * Give a container port of a service the lowest free public port in the range
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Service ID
+ * @param {string} protocol - 'tcp' or 'udp'
+ * @param {number} containerPort - Port the container listens on
+ * @returns {Promise<object|null>} New service_ports row, or null if the range is used up
+ */
+export async function allocateExposedPort(db, serviceId, protocol, containerPort) {
+  const { first, last } = EXPOSED_PORT_RANGE;
+
+  for (let attempt = 0; attempt < ALLOCATE_ATTEMPTS; attempt++) {
+    const result = await db.query(
+      `INSERT INTO service_ports (service_id, protocol, container_port, public_port)
+       SELECT $1, $2, $3, candidate
+       FROM generate_series($4::int, $5::int) AS candidate
+       WHERE NOT EXISTS (
+         SELECT 1 FROM service_ports WHERE protocol = $2 AND public_port = candidate
+       )
+       ORDER BY candidate
+       LIMIT 1
+       ON CONFLICT (protocol, public_port) DO NOTHING
+       RETURNING *`,
+      [serviceId, protocol, containerPort, first, last]
+    );
+
+    if (result.rows.length > 0) {
+      return result.rows[0];
+    }
+
+    const used = await db.query(
+      `SELECT COUNT(*) AS total FROM service_ports
+       WHERE protocol = $1 AND public_port BETWEEN $2 AND $3`,
+      [protocol, first, last]
+    );
+    if (parseInt(used.rows[0].total, 10) >= last - first + 1) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Make a service's Kubernetes Service and Traefik routes match its exposed ports. The
+ * Service is created if the service has none (workers), otherwise only its ports change.
+ * Does nothing for a service without exposed ports.
+ * @param {object} db - Database connection
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ */
+export async function syncExposedPorts(db, namespace, service) {
+  const rows = await listExposedPorts(db, service.id);
+  if (rows.length === 0) {
+    return;
+  }
+
+  await applyServicePorts(namespace, service, rows);
+
+  for (const row of rows) {
+    await upsertPortRoute(generatePortRouteManifest({
+      namespace,
+      routeName: routeName(service.name, row),
+      serviceName: service.name,
+      protocol: row.protocol,
+      port: row.container_port,
+      entryPoint: entryPointName(row),
+    }));
+  }
+}
+
+/**
+ * Stop exposing a port: delete its route and row, and drop it from the Service. A worker
+ * left without exposed ports has its Service deleted.
+ * @param {object} db - Database connection
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ * @param {object} row - service_ports row to remove
+ */
+export async function removeExposedPort(db, namespace, service, row) {
+  const kind = row.protocol === 'tcp' ? 'IngressRouteTCP' : 'IngressRouteUDP';
+  try {
+    await deletePortRoute(namespace, kind, routeName(service.name, row));
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+  }
+
+  await db.query('DELETE FROM service_ports WHERE id = $1', [row.id]);
+
+  const remaining = await listExposedPorts(db, service.id);
+  try {
+    if (remaining.length === 0 && service.service_type === 'worker') {
+      await deleteService(namespace, service.name);
+    } else {
+      await applyServicePorts(namespace, service, remaining);
+    }
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Set the ports of a service's Kubernetes Service: its HTTP port (web services) plus
+ * the exposed ones
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ * @param {Array<object>} rows - service_ports rows
+ */
+async function applyServicePorts(namespace, service, rows) {
+  const manifest = generateServiceManifest({
+    namespace,
+    serviceName: service.name,
+    port: service.service_type === 'web' ? service.port : undefined,
+    exposedPorts: rows.map(row => ({ protocol: row.protocol, port: row.container_port })),
+  });
+
+  try {
+    await replaceServicePorts(namespace, service.name, manifest.spec.ports);
+  } catch (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+    await applyManifest(manifest);
+  }
+}
@@ -99,14 +99,29 @@ export async function deleteRepository(repositoryName) {
   }
 }
 
+/**
+ * Get the repository name ("namespace/service") of an image pushed to our Harbor project
+ * @param {string} imageTag - Full image reference (registry/project/namespace/service:tag)
+ * @returns {string|null} Repository name, or null for images hosted elsewhere
+ */
+export function getRepositoryName(imageTag) {
+  const prefix = `${HARBOR_REGISTRY}/${HARBOR_PROJECT}/`;
+  if (!imageTag || !imageTag.startsWith(prefix)) {
+    return null;
+  }
+  return imageTag.slice(prefix.length).replace(/[:@].*$/, '');
+}
+
 /**
  * Delete all repositories matching a namespace prefix
  * Used when deleting a project to clean up all associated images
  * @param {string} namespace - Kubernetes namespace (used as repo prefix)
- * @returns {Promise<{deleted: number, failed: number}>}
+ * @param {object} [options]
+ * @param {string[]} [options.keep] - Repository names to leave in place (images promoted elsewhere)
+ * @returns {Promise<{deleted: number, failed: number, kept: number}>}
  */
-export async function deleteRepositoriesByNamespace(namespace) {
-  const results = { deleted: 0, failed: 0 };
+export async function deleteRepositoriesByNamespace(namespace, { keep = [] } = {}) {
+  const results = { deleted: 0, failed: 0, kept: 0 };
 
   try {
     const repos = await listRepositories(namespace);
@@ -123,6 +138,11 @@ export async function deleteRepositoriesByNamespace(namespace) {
       const repoName = repo.name.replace(`${HARBOR_PROJECT}/`, '');
 
       if (repoName.startsWith(namespace + '/') || repoName === namespace) {
+        if (keep.includes(repoName)) {
+          results.kept++;
+          continue;
+        }
+
         const success = await deleteRepository(repoName);
         if (success) {
           results.deleted++;
@@ -1,8 +1,9 @@
 import logger from './logger.js';
 import appEvents from './event-emitter.js';
+import { sendHealthNotification } from './notifications.js';
 
 const BASE_DOMAIN = process.env.BASE_DOMAIN || '192.168.1.124.nip.io';
-const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 60000; // 1 minute default
+export const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 60000; // 1 minute default
 const HEALTH_CHECK_TIMEOUT = parseInt(process.env.HEALTH_CHECK_TIMEOUT, 10) || 5000; // 5 second timeout
 
 /**
@@ -20,7 +21,15 @@ function computeSubdomain(userHash, serviceName) {
  * @returns {Promise<object>} Health check result
  */
 export async function performHealthCheck(subdomain, healthPath, port) {
-  const url = `http://${subdomain}.${BASE_DOMAIN}${healthPath}`;
+  return checkHealthUrl(`http://${subdomain}.${BASE_DOMAIN}${healthPath}`);
+}
+
+/**
+ * Request a health check URL
+ * @param {string} url - Full URL of the health endpoint
+ * @returns {Promise<object>} Health check result
+ */
+export async function checkHealthUrl(url) {
   const start = Date.now();
 
   try {
@@ -115,13 +124,22 @@ async function cleanupOldRecords(db) {
  */
 async function runHealthChecks(db) {
   try {
-    // Get all services with health checks configured that have been deployed
+    // Get all web services with health checks configured that have been deployed.
+    // Services in idle mode are left out: a check every minute would count as traffic
+    // and keep them awake (or wake them up). Workers and cron jobs have no HTTP endpoint.
     const result = await db.query(
-      `SELECT s.id, s.name, s.port, s.health_check_path, u.hash as user_hash
+      `SELECT s.id, s.name, s.port, s.health_check_path, u.hash as user_hash,
+              p.id as project_id, p.name as project_name, p.user_id,
+              (SELECT h.status FROM health_checks h
+               WHERE h.service_id = s.id
+               ORDER BY h.checked_at DESC
+               LIMIT 1) as last_status
        FROM services s
        JOIN projects p ON s.project_id = p.id
        JOIN users u ON p.user_id = u.id
-       WHERE s.health_check_path IS NOT NULL
+       WHERE s.service_type = 'web'
+       AND s.health_check_path IS NOT NULL
+       AND s.idle_timeout_minutes IS NULL
        AND EXISTS (
          SELECT 1 FROM deployments d
          WHERE d.service_id = s.id
@@ -160,6 +178,15 @@ async function runHealthChecks(db) {
         if (healthResult.status === 'unhealthy') {
           logger.warn(`Health check failed for ${service.name}: ${healthResult.error || `Status ${healthResult.statusCode}`}`);
         }
+
+        // Only transitions notify; the first check of a service counts as one if it fails
+        if (healthResult.status !== (service.last_status || 'healthy')) {
+          await sendHealthNotification(db, healthResult, service.last_status, service, {
+            id: service.project_id,
+            name: service.project_name,
+            user_id: service.user_id,
+          });
+        }
       } catch (err) {
         logger.error(`Error checking health for service ${service.name}: ${err.message}`);
       }
@@ -0,0 +1,381 @@
+/**
+ * Idle Scaler Service
+ *
+ * Scales services with idle mode on to zero once they have had no ingress traffic for
+ * idle_timeout_minutes, and brings them back on the next request.
+ *
+ * Traffic is read from Traefik's Prometheus metrics (traefik_service_requests_total).
+ * While a service sleeps, its ingresses point at the per-namespace wake Service, which
+ * forwards to the backend's wake server (wakeServer.js). The wake server shows a
+ * "waking up" page and calls wakeService(); once a pod is ready the ingresses are pointed
+ * back at the service. Idle, waking, awake and wake_failed events go out on the
+ * service:<id>:health channel.
+ */
+
+import {
+  getDeployment,
+  scaleDeployment,
+  listIngresses,
+  patchIngress,
+  applyManifest,
+} from './kubernetes.js';
+import { generateWakeServiceManifest, WAKE_SERVICE_NAME } from './manifestGenerator.js';
+import { getRunningReplicas } from './autoscaling.js';
+import { ACTIVE_ROLLOUT_PHASES } from './rollouts.js';
+import appEvents from './event-emitter.js';
+import logger from './logger.js';
+
+const BASE_DOMAIN = process.env.BASE_DOMAIN || '192.168.1.124.nip.io';
+const IDLE_CHECK_INTERVAL = parseInt(process.env.IDLE_CHECK_INTERVAL, 10) || 60000; // 1 minute
+const TRAEFIK_METRICS_URL = process.env.TRAEFIK_METRICS_URL || 'http://traefik.kube-system.svc.cluster.local:9100/metrics';
+const METRICS_TIMEOUT = 5000;
+// The backend's Service as seen from user namespaces
+const WAKE_SERVICE_HOST = process.env.WAKE_SERVICE_HOST || 'backend.dangus-cloud.svc.cluster.local';
+export const WAKE_PORT = parseInt(process.env.WAKE_PORT, 10) || 3002;
+const WAKE_TIMEOUT = parseInt(process.env.WAKE_TIMEOUT, 10) || 300000; // 5 minutes
+const WAKE_POLL_INTERVAL = 2000;
+
+// Set on ingresses that were pointed at the wake Service, so they can be pointed back
+const SLEEPING_ANNOTATION = 'dangus.cloud/sleeping-service';
+
+// Request counter and when it last changed, per service
+const activity = new Map(); // serviceId -> { requests, lastActivityAt }
+
+// Wakes in progress, so concurrent requests share one
+const waking = new Map(); // serviceId -> Promise<boolean>
+
+let checkInterval = null;
+
+/**
+ * Name Traefik gives a Kubernetes Ingress backend in its metrics
+ * @param {object} service - Service row with project_name
+ * @returns {string} Traefik service label
+ */
+function traefikServiceName(service) {
+  return `${service.project_name}-${service.name}-${service.port}@kubernetes`;
+}
+
+/**
+ * Read total request counts per Traefik service
+ * @returns {Promise<Map<string, number>>} Traefik service label -> total requests
+ */
+async function fetchRequestCounts() {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), METRICS_TIMEOUT);
+
+  let text;
+  try {
+    const response = await fetch(TRAEFIK_METRICS_URL, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    text = await response.text();
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  const counts = new Map();
+  for (const line of text.split('\n')) {
+    const match = line.match(/^traefik_service_requests_total\{([^}]*)\}\s+(\S+)/);
+    if (!match) continue;
+    const service = match[1].match(/(?:^|,)service="([^"]*)"/)?.[1];
+    if (!service) continue;
+    counts.set(service, (counts.get(service) || 0) + Number(match[2]));
+  }
+  return counts;
+}
+
+/**
+ * Point a service's ingresses at the wake Service (asleep) or back at the service
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ * @param {boolean} asleep - Direction to switch
+ * @returns {Promise<number>} Number of ingresses changed
+ */
+async function routeIngresses(namespace, service, asleep) {
+  const from = asleep ? service.name : WAKE_SERVICE_NAME;
+  const to = asleep
+    ? { name: WAKE_SERVICE_NAME, port: { number: WAKE_PORT } }
+    : { name: service.name, port: { number: service.port } };
+
+  const list = await listIngresses(namespace);
+  let changed = 0;
+
+  for (const ingress of list.items || []) {
+    const annotations = ingress.metadata.annotations || {};
+    if (!asleep && annotations[SLEEPING_ANNOTATION] !== service.name) {
+      continue;
+    }
+
+    let matched = false;
+    const rules = (ingress.spec?.rules || []).map((rule) => {
+      if (!rule.http) return rule;
+      return {
+        ...rule,
+        http: {
+          ...rule.http,
+          paths: rule.http.paths.map((path) => {
+            if (path.backend?.service?.name !== from) return path;
+            matched = true;
+            return { ...path, backend: { service: to } };
+          }),
+        },
+      };
+    });
+
+    if (!matched) continue;
+
+    await patchIngress(namespace, ingress.metadata.name, {
+      metadata: { annotations: { [SLEEPING_ANNOTATION]: asleep ? service.name : null } },
+      spec: { rules },
+    });
+    changed++;
+  }
+
+  return changed;
+}
+
+/**
+ * Create the namespace's wake Service if it does not exist yet
+ * @param {string} namespace - Kubernetes namespace
+ */
+async function ensureWakeService(namespace) {
+  try {
+    await applyManifest(generateWakeServiceManifest({
+      namespace,
+      externalName: WAKE_SERVICE_HOST,
+      port: WAKE_PORT,
+    }));
+  } catch (err) {
+    if (err.status !== 409) {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Scale an idle service to zero and route its traffic to the wake server
+ * @param {object} db - Database connection
+ * @param {object} service - Service row with project_name
+ * @returns {Promise<boolean>} True if the service was put to sleep
+ */
+export async function sleepService(db, service) {
+  const namespace = service.project_name;
+
+  let deployment;
+  try {
+    deployment = await getDeployment(namespace, service.name);
+  } catch (err) {
+    if (err.status === 404) return false;
+    throw err;
+  }
+
+  // Stopped services stay stopped; only running ones go to sleep
+  if ((deployment.spec?.replicas || 0) === 0) {
+    return false;
+  }
+
+  // Reroute first so no request lands on a service without pods
+  await ensureWakeService(namespace);
+  await routeIngresses(namespace, service, true);
+  await scaleDeployment(namespace, service.name, 0);
+  await db.query('UPDATE services SET sleeping_at = NOW() WHERE id = $1', [service.id]);
+  activity.delete(service.id);
+
+  logger.info(`Service ${service.name} idle for ${service.idle_timeout_minutes} minutes, scaled to zero`, { namespace });
+  appEvents.emitServiceHealth(service.id, {
+    event: 'idle',
+    message: `Scaled to zero after ${service.idle_timeout_minutes} minutes without traffic`,
+    sleepingAt: new Date().toISOString(),
+  });
+
+  return true;
+}
+
+/**
+ * Point a sleeping service's ingresses back at it and mark it awake. Does not scale;
+ * callers that start the service (deploy, start, wake) scale it themselves.
+ * @param {object} db - Database connection
+ * @param {object} service - Service row with project_name
+ */
+export async function clearSleeping(db, service) {
+  await routeIngresses(service.project_name, service, false);
+  await db.query('UPDATE services SET sleeping_at = NULL WHERE id = $1', [service.id]);
+  activity.delete(service.id);
+}
+
+async function runWake(db, service) {
+  const namespace = service.project_name;
+  const startedAt = Date.now();
+
+  logger.info(`Waking service ${service.name}`, { namespace });
+  appEvents.emitServiceHealth(service.id, {
+    event: 'waking',
+    message: 'Request received, starting pods',
+  });
+
+  try {
+    await scaleDeployment(namespace, service.name, getRunningReplicas(service));
+
+    while (Date.now() - startedAt < WAKE_TIMEOUT) {
+      const deployment = await getDeployment(namespace, service.name);
+      if ((deployment.status?.readyReplicas || 0) > 0) {
+        await clearSleeping(db, service);
+        const wakeTimeMs = Date.now() - startedAt;
+        logger.info(`Service ${service.name} awake after ${wakeTimeMs}ms`, { namespace });
+        appEvents.emitServiceHealth(service.id, {
+          event: 'awake',
+          message: `Awake after ${Math.round(wakeTimeMs / 1000)}s`,
+          wakeTimeMs,
+        });
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, WAKE_POLL_INTERVAL));
+    }
+
+    throw new Error(`No pod became ready within ${WAKE_TIMEOUT / 1000} seconds`);
+  } catch (err) {
+    logger.error(`Failed to wake service ${service.name}: ${err.message}`, { namespace });
+    appEvents.emitServiceHealth(service.id, {
+      event: 'wake_failed',
+      message: err.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Wake a sleeping service. Concurrent calls for the same service share one wake.
+ * @param {object} db - Database connection
+ * @param {object} service - Service row with project_name
+ * @returns {Promise<boolean>} True once a pod is ready and traffic is routed back
+ */
+export function wakeService(db, service) {
+  if (!waking.has(service.id)) {
+    waking.set(service.id, runWake(db, service).finally(() => waking.delete(service.id)));
+  }
+  return waking.get(service.id);
+}
+
+/**
+ * Find the service an ingress host belongs to, from the database alone since the wake
+ * server answers unauthenticated requests. A subdomain can belong to more than one
+ * service, as project "a-b" with service "c" and project "a" with service "b-c" share one;
+ * the request only reached the wake server because a sleeping service's Ingress routed it,
+ * so sleeping services come first.
+ * @param {object} db - Database connection
+ * @param {string} host - Request host, without port
+ * @returns {Promise<object|null>} Service row with project_name
+ */
+export async function findServiceByHost(db, host) {
+  const suffix = `.${BASE_DOMAIN}`;
+  const subdomain = host.endsWith(suffix) ? host.slice(0, -suffix.length) : '';
+
+  // Every <project>-<service> split of the subdomain, so the lookup uses the name indexes
+  const projectNames = [];
+  const serviceNames = [];
+  for (let i = subdomain.indexOf('-'); i > 0; i = subdomain.indexOf('-', i + 1)) {
+    projectNames.push(subdomain.slice(0, i));
+    serviceNames.push(subdomain.slice(i + 1));
+  }
+
+  const result = await db.query(
+    `SELECT s.*, p.name as project_name
+     FROM services s
+     JOIN projects p ON s.project_id = p.id
+     WHERE (p.name, s.name) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+        OR s.id IN (SELECT service_id FROM custom_domains WHERE domain = $3 AND verified = true)
+     ORDER BY s.sleeping_at IS NULL, s.idle_timeout_minutes IS NULL, s.created_at
+     LIMIT 1`,
+    [projectNames, serviceNames, host]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Put services that have been idle long enough to sleep
+ * @param {object} db - Database connection
+ */
+async function checkIdleServices(db) {
+  try {
+    const result = await db.query(
+      `SELECT s.*, p.name as project_name
+       FROM services s
+       JOIN projects p ON s.project_id = p.id
+       WHERE s.idle_timeout_minutes IS NOT NULL
+       AND s.sleeping_at IS NULL
+       -- Canary traffic is counted under the canary route, not the Ingress; wait for rollouts to finish
+       AND NOT EXISTS (
+         SELECT 1 FROM deployments d WHERE d.service_id = s.id AND d.rollout_phase = ANY($1)
+       )`,
+      [ACTIVE_ROLLOUT_PHASES]
+    );
+
+    const services = result.rows;
+    const ids = new Set(services.map(s => s.id));
+    for (const id of activity.keys()) {
+      if (!ids.has(id)) activity.delete(id);
+    }
+
+    if (services.length === 0) {
+      return;
+    }
+
+    let counts;
+    try {
+      counts = await fetchRequestCounts();
+    } catch (err) {
+      logger.warn(`Idle check skipped, Traefik metrics unavailable at ${TRAEFIK_METRICS_URL}: ${err.message}`);
+      return;
+    }
+
+    const now = Date.now();
+    for (const service of services) {
+      const requests = counts.get(traefikServiceName(service)) || 0;
+      const seen = activity.get(service.id);
+
+      // First sighting or new requests restart the idle timer
+      if (!seen || seen.requests !== requests) {
+        activity.set(service.id, { requests, lastActivityAt: now });
+        continue;
+      }
+
+      if (now - seen.lastActivityAt < service.idle_timeout_minutes * 60000) {
+        continue;
+      }
+
+      try {
+        await sleepService(db, service);
+      } catch (err) {
+        logger.error(`Failed to scale idle service ${service.name} to zero: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error(`Failed to check idle services: ${err.message}`);
+  }
+}
+
+/**
+ * Start the idle check loop
+ * @param {object} db - Database connection
+ */
+export function startIdleScaler(db) {
+  if (checkInterval) {
+    logger.warn('Idle scaler already running');
+    return;
+  }
+
+  checkInterval = setInterval(() => checkIdleServices(db), IDLE_CHECK_INTERVAL);
+  logger.info(`Idle scaler started with ${IDLE_CHECK_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop the idle check loop. Sleeping services stay asleep and still wake on request.
+ */
+export function stopIdleScaler() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+  logger.info('Idle scaler stopped');
+}
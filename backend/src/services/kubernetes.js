@@ -153,6 +153,31 @@ export async function deletePVC(namespace, name) {
   return k8sRequest('DELETE', `/api/v1/namespaces/${namespace}/persistentvolumeclaims/${name}`);
 }
 
+/**
+ * List PersistentVolumeClaims matching a label selector
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} labelSelector - Label selector (e.g., 'app=myservice')
+ * @returns {Promise<object>} PersistentVolumeClaimList
+ */
+export async function listPVCs(namespace, labelSelector) {
+  return k8sRequest('GET', `/api/v1/namespaces/${namespace}/persistentvolumeclaims?labelSelector=${encodeURIComponent(labelSelector)}`);
+}
+
+/**
+ * Patch a PersistentVolumeClaim using strategic merge patch
+ * @param {string} namespace - Namespace
+ * @param {string} name - Claim name
+ * @param {object} patch - Patch object
+ */
+export async function patchPVC(namespace, name, patch) {
+  return k8sRequest(
+    'PATCH',
+    `/api/v1/namespaces/${namespace}/persistentvolumeclaims/${name}`,
+    patch,
+    'application/strategic-merge-patch+json'
+  );
+}
+
 export async function applyManifest(manifest) {
   const { apiVersion, kind, metadata } = manifest;
   const namespace = metadata.namespace;
@@ -163,6 +188,8 @@ export async function applyManifest(manifest) {
     path = `/api/v1/namespaces/${namespace}/services`;
   } else if (apiVersion === 'apps/v1' && kind === 'Deployment') {
     path = `/apis/apps/v1/namespaces/${namespace}/deployments`;
+  } else if (apiVersion === 'apps/v1' && kind === 'StatefulSet') {
+    path = `/apis/apps/v1/namespaces/${namespace}/statefulsets`;
   } else if (apiVersion === 'networking.k8s.io/v1' && kind === 'Ingress') {
     path = `/apis/networking.k8s.io/v1/namespaces/${namespace}/ingresses`;
   } else if (apiVersion === 'v1' && kind === 'PersistentVolumeClaim') {
@@ -196,6 +223,39 @@ export async function createSecret(namespace, name, data, type = 'Opaque') {
   return k8sRequest('POST', `/api/v1/namespaces/${namespace}/secrets`, secret);
 }
 
+/**
+ * Update or create a Secret (upsert)
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - Secret name
+ * @param {object} data - Key-value pairs of data (base64 encoded)
+ * @param {string} type - Secret type
+ * @returns {Promise<object>} Updated/created Secret
+ */
+export async function upsertSecret(namespace, name, data, type = 'Opaque') {
+  const secret = {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: {
+      name,
+      namespace,
+      labels: {
+        'app.kubernetes.io/managed-by': 'dangus-cloud',
+      },
+    },
+    type,
+    data,
+  };
+
+  try {
+    return await k8sRequest('PUT', `/api/v1/namespaces/${namespace}/secrets/${name}`, secret);
+  } catch (error) {
+    if (error.status === 404) {
+      return createSecret(namespace, name, data, type);
+    }
+    throw error;
+  }
+}
+
 export async function deleteSecret(namespace, name) {
   return k8sRequest('DELETE', `/api/v1/namespaces/${namespace}/secrets/${name}`);
 }
@@ -208,6 +268,69 @@ export async function deleteJob(namespace, name, propagationPolicy = 'Background
   return k8sRequest('DELETE', `/apis/batch/v1/namespaces/${namespace}/jobs/${name}?propagationPolicy=${propagationPolicy}`);
 }
 
+/**
+ * List Jobs matching a label selector
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} labelSelector - Label selector (e.g., 'dangus.cloud/cron=report')
+ * @returns {Promise<object>} JobList
+ */
+export async function listJobs(namespace, labelSelector) {
+  return k8sRequest('GET', `/apis/batch/v1/namespaces/${namespace}/jobs?labelSelector=${encodeURIComponent(labelSelector)}`);
+}
+
+/**
+ * Get a CronJob
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - CronJob name
+ * @returns {Promise<object>} CronJob object including status
+ */
+export async function getCronJob(namespace, name) {
+  return k8sRequest('GET', `/apis/batch/v1/namespaces/${namespace}/cronjobs/${name}`);
+}
+
+/**
+ * Update or create a CronJob (upsert)
+ * @param {object} manifest - batch/v1 CronJob manifest
+ * @returns {Promise<object>} Updated/created CronJob
+ */
+export async function upsertCronJob(manifest) {
+  const { namespace, name } = manifest.metadata;
+  const path = `/apis/batch/v1/namespaces/${namespace}/cronjobs`;
+
+  try {
+    return await k8sRequest('PUT', `${path}/${name}`, manifest);
+  } catch (error) {
+    if (error.status === 404) {
+      return k8sRequest('POST', path, manifest);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Patch a CronJob using strategic merge patch
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - CronJob name
+ * @param {object} patch - Patch object
+ */
+export async function patchCronJob(namespace, name, patch) {
+  return k8sRequest(
+    'PATCH',
+    `/apis/batch/v1/namespaces/${namespace}/cronjobs/${name}`,
+    patch,
+    'application/strategic-merge-patch+json'
+  );
+}
+
+/**
+ * Delete a CronJob and the Jobs it created
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - CronJob name
+ */
+export async function deleteCronJob(namespace, name) {
+  return k8sRequest('DELETE', `/apis/batch/v1/namespaces/${namespace}/cronjobs/${name}?propagationPolicy=Background`);
+}
+
 export async function getPodsByLabel(namespace, labelSelector) {
   return k8sRequest('GET', `/api/v1/namespaces/${namespace}/pods?labelSelector=${encodeURIComponent(labelSelector)}`);
 }
@@ -216,6 +339,36 @@ export async function getDeployment(namespace, name) {
   return k8sRequest('GET', `/apis/apps/v1/namespaces/${namespace}/deployments/${name}`);
 }
 
+export async function getStatefulSet(namespace, name) {
+  return k8sRequest('GET', `/apis/apps/v1/namespaces/${namespace}/statefulsets/${name}`);
+}
+
+export async function deleteStatefulSet(namespace, name) {
+  return k8sRequest('DELETE', `/apis/apps/v1/namespaces/${namespace}/statefulsets/${name}`);
+}
+
+/**
+ * Get a pod's volume usage from its node's kubelet (stats summary through the API
+ * server's node proxy)
+ * @param {object} pod - Pod object (needs spec.nodeName)
+ * @returns {Promise<Array<{claimName: string, usedBytes: number, capacityBytes: number}>>}
+ *   Usage of the pod's PVC-backed volumes
+ */
+export async function getPodVolumeStats(pod) {
+  const summary = await k8sRequest('GET', `/api/v1/nodes/${pod.spec.nodeName}/proxy/stats/summary`);
+  const podStats = (summary.pods || []).find(p =>
+    p.podRef?.namespace === pod.metadata.namespace && p.podRef?.name === pod.metadata.name
+  );
+
+  return (podStats?.volume || [])
+    .filter(volume => volume.pvcRef)
+    .map(volume => ({
+      claimName: volume.pvcRef.name,
+      usedBytes: volume.usedBytes,
+      capacityBytes: volume.capacityBytes,
+    }));
+}
+
 export async function getService(namespace, name) {
   return k8sRequest('GET', `/api/v1/namespaces/${namespace}/services/${name}`);
 }
@@ -235,6 +388,22 @@ export async function patchService(namespace, name, patch) {
   );
 }
 
+/**
+ * Replace a Kubernetes Service's port list (JSON merge patch replaces lists whole, so
+ * removed ports go away; the selector is left alone for rollouts that switched it)
+ * @param {string} namespace - Namespace
+ * @param {string} name - Service name
+ * @param {Array<object>} ports - Complete spec.ports list
+ */
+export async function replaceServicePorts(namespace, name, ports) {
+  return k8sRequest(
+    'PATCH',
+    `/api/v1/namespaces/${namespace}/services/${name}`,
+    { spec: { ports } },
+    'application/merge-patch+json'
+  );
+}
+
 /**
  * Patch a Kubernetes Deployment using strategic merge patch
  * @param {string} namespace - Namespace
@@ -265,9 +434,12 @@ export async function patchIngress(namespace, name, patch) {
   );
 }
 
+export async function listPodMetrics(namespace) {
+  return k8sRequest('GET', `/apis/metrics.k8s.io/v1beta1/namespaces/${namespace}/pods`);
+}
+
 export async function getPodMetrics(namespace, labelSelector) {
-  const metricsPath = `/apis/metrics.k8s.io/v1beta1/namespaces/${namespace}/pods`;
-  const metrics = await k8sRequest('GET', metricsPath);
+  const metrics = await listPodMetrics(namespace);
 
   // Filter by label selector (format: "app=servicename")
   const [labelKey, labelValue] = labelSelector.split('=');
@@ -452,6 +624,15 @@ export async function deleteServicePods(namespace, serviceName) {
   );
 }
 
+/**
+ * List all ingresses in a namespace
+ * @param {string} namespace - Kubernetes namespace
+ * @returns {Promise<object>} List of ingresses
+ */
+export async function listIngresses(namespace) {
+  return k8sRequest('GET', `/apis/networking.k8s.io/v1/namespaces/${namespace}/ingresses`);
+}
+
 export async function getIngress(namespace, name) {
   return k8sRequest('GET', `/apis/networking.k8s.io/v1/namespaces/${namespace}/ingresses/${name}`);
 }
@@ -520,6 +701,7 @@ export async function getPodHealth(namespace, labelSelector) {
 
     return {
       name: pod.metadata.name,
+      createdAt: pod.metadata.creationTimestamp,
       ready: readyCondition?.status === 'True',
       phase: pod.status?.phase,
       restartCount: mainContainer.restartCount || 0,
@@ -713,6 +895,134 @@ export async function getConfigMap(namespace, name) {
   return k8sRequest('GET', `/api/v1/namespaces/${namespace}/configmaps/${name}`);
 }
 
+/**
+ * Get a HorizontalPodAutoscaler
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - HPA name
+ * @returns {Promise<object>} HPA object including status
+ */
+export async function getHorizontalPodAutoscaler(namespace, name) {
+  return k8sRequest('GET', `/apis/autoscaling/v2/namespaces/${namespace}/horizontalpodautoscalers/${name}`);
+}
+
+/**
+ * Update or create a HorizontalPodAutoscaler (upsert)
+ * @param {object} manifest - autoscaling/v2 HorizontalPodAutoscaler manifest
+ * @returns {Promise<object>} Updated/created HPA
+ */
+export async function upsertHorizontalPodAutoscaler(manifest) {
+  const { namespace, name } = manifest.metadata;
+  const path = `/apis/autoscaling/v2/namespaces/${namespace}/horizontalpodautoscalers`;
+
+  try {
+    return await k8sRequest('PUT', `${path}/${name}`, manifest);
+  } catch (error) {
+    if (error.status === 404) {
+      return k8sRequest('POST', path, manifest);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a HorizontalPodAutoscaler
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} name - HPA name
+ * @returns {Promise<object>}
+ */
+export async function deleteHorizontalPodAutoscaler(namespace, name) {
+  return k8sRequest('DELETE', `/apis/autoscaling/v2/namespaces/${namespace}/horizontalpodautoscalers/${name}`);
+}
+
+/**
+ * Update or create a Traefik IngressRoute (upsert)
+ * @param {object} manifest - traefik.io/v1alpha1 IngressRoute manifest
+ * @returns {Promise<object>} Updated/created IngressRoute
+ */
+export async function upsertIngressRoute(manifest) {
+  const { namespace, name } = manifest.metadata;
+  const path = `/apis/traefik.io/v1alpha1/namespaces/${namespace}/ingressroutes`;
+
+  try {
+    return await k8sRequest('PUT', `${path}/${name}`, manifest);
+  } catch (error) {
+    if (error.status === 404) {
+      return k8sRequest('POST', path, manifest);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete the Traefik IngressRoutes matching a label selector
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} labelSelector - Label selector (e.g., 'app=myservice')
+ * @returns {Promise<object>}
+ */
+export async function deleteIngressRoutes(namespace, labelSelector) {
+  return k8sRequest(
+    'DELETE',
+    `/apis/traefik.io/v1alpha1/namespaces/${namespace}/ingressroutes?labelSelector=${encodeURIComponent(labelSelector)}`
+  );
+}
+
+// Plural resource names of Traefik's TCP/UDP route kinds
+const PORT_ROUTE_RESOURCES = {
+  IngressRouteTCP: 'ingressroutetcps',
+  IngressRouteUDP: 'ingressrouteudps',
+};
+
+/**
+ * Update or create a Traefik IngressRouteTCP or IngressRouteUDP (upsert)
+ * @param {object} manifest - traefik.io/v1alpha1 IngressRouteTCP/IngressRouteUDP manifest
+ * @returns {Promise<object>} Updated/created route
+ */
+export async function upsertPortRoute(manifest) {
+  const { namespace, name } = manifest.metadata;
+  const path = `/apis/traefik.io/v1alpha1/namespaces/${namespace}/${PORT_ROUTE_RESOURCES[manifest.kind]}`;
+
+  try {
+    return await k8sRequest('PUT', `${path}/${name}`, manifest);
+  } catch (error) {
+    if (error.status === 404) {
+      return k8sRequest('POST', path, manifest);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a Traefik IngressRouteTCP or IngressRouteUDP
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} kind - 'IngressRouteTCP' or 'IngressRouteUDP'
+ * @param {string} name - Route name
+ * @returns {Promise<object>}
+ */
+export async function deletePortRoute(namespace, kind, name) {
+  return k8sRequest('DELETE', `/apis/traefik.io/v1alpha1/namespaces/${namespace}/${PORT_ROUTE_RESOURCES[kind]}/${name}`);
+}
+
+/**
+ * Delete the Traefik IngressRouteTCPs and IngressRouteUDPs matching a label selector.
+ * A route kind whose CRD is not installed is skipped.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} labelSelector - Label selector (e.g., 'app=myservice')
+ */
+export async function deletePortRoutes(namespace, labelSelector) {
+  for (const resource of Object.values(PORT_ROUTE_RESOURCES)) {
+    try {
+      await k8sRequest(
+        'DELETE',
+        `/apis/traefik.io/v1alpha1/namespaces/${namespace}/${resource}?labelSelector=${encodeURIComponent(labelSelector)}`
+      );
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+}
+
 /**
  * List all namespaces managed by Dangus Cloud
  * @returns {Promise<Array<{name: string, createdAt: string}>>} List of managed namespaces
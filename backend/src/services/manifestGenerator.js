@@ -1,154 +1,646 @@
-import { readFileSync } from 'fs';
-import { parse } from 'yaml';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+/**
+ * Kubernetes manifest builders.
+ *
+ * Each generate*Manifest function checks its options against a schema and builds the
+ * manifest as a plain object. User-supplied values (names, paths, domains, branches)
+ * are only ever placed into the object as data - they are never parsed as YAML or
+ * pasted into a shell script - so they cannot change the manifest's structure.
+ *
+ * Operators can layer changes onto any manifest with a file in templates/
+ * (see manifestOverrides.js).
+ */
+
+import { applyOverride } from './manifestOverrides.js';
+import { RESOURCE_PRESETS, BUILD_RESOURCE_PRESETS, toContainerResources } from './resources.js';
+
+const DNS_LABEL_REGEX = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const CONTROL_CHARS_REGEX = /[\u0000-\u001f\u007f]/;
+const REPO_URL_REGEX = /^[A-Za-z0-9.-]+(\/[A-Za-z0-9._-]+)+$/;
+const COMMIT_SHA_REGEX = /^[0-9a-f]{7,40}$/i;
+const HEX_REGEX = /^[0-9a-f]+$/;
+const ENV_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+const QUANTITY_REGEX = /^\d+(\.\d+)?(m|Ki|Mi|Gi|Ti|k|M|G|T)?$/;
+// Five space-separated fields or a macro like @daily; cronJobs.js checks the field values
+const CRON_SCHEDULE_REGEX = /^(@[a-z]+|[^\s]+( [^\s]+){4})$/;
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-// In container: /app/src/services -> /app/templates
-// Locally: backend/src/services -> backend/../templates (via ../../templates won't work)
-// Use environment variable or fallback to container path
-const TEMPLATES_DIR = process.env.TEMPLATES_DIR || join(__dirname, '../../templates');
+function isDnsName(value, maxLength) {
+  return value.length <= maxLength && value.split('.').every(part => part.length <= 63 && DNS_LABEL_REGEX.test(part));
+}
 
 /**
- * Interpolate template variables using mustache-style syntax.
- * Supports:
- *   - Simple variables: {{variable}}
- *   - Conditional blocks: {{#variable}}content{{/variable}}
- *   - Each loops: {{#each items}}...{{name}}...{{/each}}
- *
- * @param {string} template - Template string with {{variable}} placeholders
- * @param {object} vars - Object containing variable values
- * @returns {string} Interpolated template string
+ * Option checks. Each returns a problem description, or null if the value is valid.
  */
-function interpolate(template, vars) {
-  let result = template;
-
-  // Handle {{#each items}}...{{/each}} loops
-  result = result.replace(
-    /\{\{#each\s+(\w+)\}\}([\s\S]*?)\{\{\/each\}\}/g,
-    (_, arrayName, content) => {
-      const items = vars[arrayName];
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        return '';
+const CHECKS = {
+  string: (value) => {
+    if (typeof value !== 'string' || value === '') return 'must be a non-empty string';
+    if (CONTROL_CHARS_REGEX.test(value)) return 'must not contain control characters';
+    return null;
+  },
+  label: (value) => CHECKS.string(value)
+    || (value.length <= 63 && DNS_LABEL_REGEX.test(value) ? null
+      : 'must be lowercase letters, digits and hyphens (at most 63 characters)'),
+  name: (value) => CHECKS.string(value)
+    || (isDnsName(value, 253) ? null : 'must be a lowercase DNS name (letters, digits, hyphens and dots)'),
+  host: (value) => CHECKS.string(value)
+    || (isDnsName(value, 253) ? null : 'must be a valid lowercase hostname'),
+  path: (value) => CHECKS.string(value)
+    || (value.startsWith('/') && !/\s/.test(value) ? null : 'must be an absolute path without whitespace'),
+  image: (value) => CHECKS.string(value)
+    || (/\s/.test(value) ? 'must not contain whitespace' : null),
+  gitRef: (value) => CHECKS.string(value)
+    || (/\s|\.\.|[~^:?*[\\]/.test(value) || value.startsWith('-') ? 'must be a valid git branch name' : null),
+  repoUrl: (value) => CHECKS.string(value)
+    || (REPO_URL_REGEX.test(value) ? null : 'must look like host/owner/repo'),
+  sha: (value) => (typeof value === 'string' && COMMIT_SHA_REGEX.test(value) ? null : 'must be a git commit SHA'),
+  hex: (value) => (typeof value === 'string' && HEX_REGEX.test(value) ? null : 'must be a lowercase hex string'),
+  integer: (value, spec) => (Number.isInteger(value) && value >= spec.min && value <= spec.max ? null
+    : `must be an integer from ${spec.min} to ${spec.max}`),
+  boolean: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+  oneOf: (value, spec) => (spec.values.includes(value) ? null : `must be one of: ${spec.values.join(', ')}`),
+  cronSchedule: (value) => CHECKS.string(value)
+    || (CRON_SCHEDULE_REGEX.test(value) ? null : 'must be a cron schedule'),
+  envVars: (value) => {
+    if (!Array.isArray(value)) return 'must be an array of {name, value}';
+    for (const envVar of value) {
+      if (typeof envVar?.name !== 'string' || !ENV_NAME_REGEX.test(envVar.name)) {
+        return `has an invalid variable name: ${JSON.stringify(envVar?.name)}`;
+      }
+      if (typeof envVar.value !== 'string') {
+        return `value of ${envVar.name} must be a string`;
+      }
+    }
+    return null;
+  },
+  stringList: (value) => {
+    if (!Array.isArray(value)) return 'must be an array of strings';
+    for (const entry of value) {
+      if (typeof entry !== 'string' || CONTROL_CHARS_REGEX.test(entry)) {
+        return `has an invalid entry: ${JSON.stringify(entry)}`;
+      }
+    }
+    return null;
+  },
+  exposedPorts: (value) => {
+    if (!Array.isArray(value)) return 'must be an array of {protocol, port}';
+    for (const entry of value) {
+      if (!['tcp', 'udp'].includes(entry?.protocol)) {
+        return `has an invalid protocol: ${JSON.stringify(entry?.protocol)}`;
+      }
+      if (!Number.isInteger(entry.port) || entry.port < 1 || entry.port > 65535) {
+        return `has an invalid port: ${JSON.stringify(entry.port)}`;
       }
-      return items.map(item => {
-        let itemContent = content;
-        for (const [key, value] of Object.entries(item)) {
-          itemContent = itemContent.replace(
-            new RegExp(`\\{\\{${key}\\}\\}`, 'g'),
-            String(value)
-          );
+    }
+    return null;
+  },
+  resources: (value) => {
+    for (const section of ['requests', 'limits']) {
+      for (const key of ['cpu', 'memory']) {
+        if (typeof value?.[section]?.[key] !== 'string' || !QUANTITY_REGEX.test(value[section][key])) {
+          return `${section}.${key} must be a Kubernetes quantity`;
         }
-        return itemContent;
-      }).join('');
+      }
     }
-  );
+    return null;
+  },
+};
 
-  // Handle {{#variable}}...{{/variable}} conditional blocks
-  result = result.replace(
-    /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g,
-    (_, varName, content) => {
-      const value = vars[varName];
-      if (!value) {
-        return '';
-      }
-      // Recursively interpolate the content inside the block
-      return interpolate(content, vars);
+/**
+ * Validate builder options against a schema
+ * @param {object} schema - Field name -> { type, required?, default?, min?, max? }
+ * @param {object} options - Options passed by the caller
+ * @returns {object} New object with only known, validated options and defaults applied
+ */
+function validateOptions(schema, options) {
+  for (const field of Object.keys(options)) {
+    if (!(field in schema)) {
+      throw new Error(`Unknown option: ${field}`);
     }
-  );
+  }
 
-  // Handle simple {{variable}} replacements
-  result = result.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    if (!(key in vars)) {
-      throw new Error(`Missing required variable: ${key}`);
+  const result = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = options[field];
+    if (value === undefined || value === null) {
+      if (spec.default !== undefined) {
+        result[field] = spec.default;
+      } else if (spec.required) {
+        throw new Error(`Missing required option: ${field}`);
+      }
+      continue;
     }
-    return String(vars[key]);
-  });
 
+    const problem = CHECKS[spec.type](value, spec);
+    if (problem) {
+      throw new Error(`Invalid option ${field}: ${problem}`);
+    }
+    result[field] = value;
+  }
   return result;
 }
 
-/**
- * Load a template file from the templates directory
- * @param {string} filename - Template filename (e.g., 'deployment.yaml.tpl')
- * @returns {string} Template content
- */
-function loadTemplate(filename) {
-  const templatePath = join(TEMPLATES_DIR, filename);
-  return readFileSync(templatePath, 'utf8');
-}
+const MANAGED_BY_LABEL = { 'managed-by': 'dangus-cloud' };
+
+export const WAKE_SERVICE_NAME = 'dangus-wake';
+
+// Higher than any rule-length priority Traefik gives an Ingress router, so a canary
+// route wins over the host's Ingress while it exists
+const CANARY_ROUTE_PRIORITY = 10000;
+
+const SCHEMAS = {
+  deployment: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    image: { type: 'image', required: true },
+    port: { type: 'integer', min: 1, max: 65535 },
+    replicas: { type: 'integer', min: 1, max: 10, default: 1 },
+    resources: { type: 'resources', default: toContainerResources(RESOURCE_PRESETS.small) },
+    envVars: { type: 'envVars' },
+    envSecretName: { type: 'name' },
+    envConfigMapName: { type: 'name' },
+    envHash: { type: 'hex' },
+    healthCheckPath: { type: 'path' },
+    livenessCommand: { type: 'string' },
+    storageMountPath: { type: 'path' },
+    storageClaimName: { type: 'name' },
+  },
+  service: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    port: { type: 'integer', min: 1, max: 65535 },
+    exposedPorts: { type: 'exposedPorts' },
+  },
+  wakeService: {
+    namespace: { type: 'label', required: true },
+    externalName: { type: 'host', required: true },
+    port: { type: 'integer', min: 1, max: 65535, required: true },
+  },
+  ingress: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    port: { type: 'integer', min: 1, max: 65535, required: true },
+    subdomain: { type: 'host', required: true },
+    baseDomain: { type: 'host', required: true },
+  },
+  hpa: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    minReplicas: { type: 'integer', min: 1, max: 10, required: true },
+    maxReplicas: { type: 'integer', min: 1, max: 10, required: true },
+    cpuTarget: { type: 'integer', min: 10, max: 100 },
+    memoryTarget: { type: 'integer', min: 10, max: 100 },
+  },
+  canaryRoute: {
+    namespace: { type: 'label', required: true },
+    routeName: { type: 'name', required: true },
+    serviceName: { type: 'label', required: true },
+    canaryServiceName: { type: 'label', required: true },
+    port: { type: 'integer', min: 1, max: 65535, required: true },
+    host: { type: 'host', required: true },
+    canaryWeight: { type: 'integer', min: 0, max: 100, required: true },
+    tlsSecretName: { type: 'name' },
+  },
+  portRoute: {
+    namespace: { type: 'label', required: true },
+    routeName: { type: 'name', required: true },
+    serviceName: { type: 'label', required: true },
+    protocol: { type: 'oneOf', values: ['tcp', 'udp'], required: true },
+    port: { type: 'integer', min: 1, max: 65535, required: true },
+    entryPoint: { type: 'label', required: true },
+  },
+  statefulSet: {
+    namespace: { type: 'label', required: true },
+    name: { type: 'label', required: true },
+    image: { type: 'image', required: true },
+    port: { type: 'integer', min: 1, max: 65535, required: true },
+    args: { type: 'stringList' },
+    envVars: { type: 'envVars' },
+    envSecretName: { type: 'name', required: true },
+    readinessCommand: { type: 'string' },
+    dataPath: { type: 'path', required: true },
+    storageGb: { type: 'integer', min: 1, max: 10, required: true },
+    resources: { type: 'resources', default: toContainerResources(RESOURCE_PRESETS.small) },
+  },
+  pvc: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    claimName: { type: 'name' },
+    storageGb: { type: 'integer', min: 1, max: 10, required: true },
+  },
+  kanikoJob: {
+    namespace: { type: 'label', required: true },
+    jobName: { type: 'name', required: true },
+    repoUrl: { type: 'repoUrl', required: true },
+    branch: { type: 'gitRef', required: true },
+    commitSha: { type: 'sha', required: true },
+    dockerfilePath: { type: 'string', required: true },
+    imageDest: { type: 'image', required: true },
+    gitSecretName: { type: 'name', required: true },
+    registrySecretName: { type: 'name', required: true },
+    resources: { type: 'resources', default: toContainerResources(BUILD_RESOURCE_PRESETS.standard) },
+  },
+  kanikoJobGenerated: {
+    namespace: { type: 'label', required: true },
+    jobName: { type: 'name', required: true },
+    repoUrl: { type: 'repoUrl', required: true },
+    branch: { type: 'gitRef', required: true },
+    commitSha: { type: 'sha', required: true },
+    imageDest: { type: 'image', required: true },
+    gitSecretName: { type: 'name', required: true },
+    registrySecretName: { type: 'name', required: true },
+    dockerfileConfigMap: { type: 'name', required: true },
+    resources: { type: 'resources', default: toContainerResources(BUILD_RESOURCE_PRESETS.standard) },
+  },
+  cronJob: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    image: { type: 'image', required: true },
+    schedule: { type: 'cronSchedule', required: true },
+    concurrencyPolicy: { type: 'oneOf', values: ['Allow', 'Forbid', 'Replace'], default: 'Forbid' },
+    successfulJobsHistoryLimit: { type: 'integer', min: 0, max: 10, default: 3 },
+    failedJobsHistoryLimit: { type: 'integer', min: 0, max: 10, default: 3 },
+    suspend: { type: 'boolean', default: false },
+    resources: { type: 'resources', default: toContainerResources(RESOURCE_PRESETS.small) },
+    envSecretName: { type: 'name' },
+    envConfigMapName: { type: 'name' },
+  },
+  releaseJob: {
+    namespace: { type: 'label', required: true },
+    jobName: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    image: { type: 'image', required: true },
+    command: { type: 'string', required: true },
+    resources: { type: 'resources', default: toContainerResources(RESOURCE_PRESETS.small) },
+    envSecretName: { type: 'name' },
+    envConfigMapName: { type: 'name' },
+    timeoutSeconds: { type: 'integer', min: 30, max: 86400, default: 600 },
+  },
+  backupJob: {
+    namespace: { type: 'label', required: true },
+    jobName: { type: 'label', required: true },
+    sourceName: { type: 'label', required: true },
+    image: { type: 'image', required: true },
+    command: { type: 'string', required: true },
+    envVars: { type: 'envVars' },
+    envSecretName: { type: 'name' },
+    claimName: { type: 'name' },
+    nodeName: { type: 'name' },
+    storageSecretName: { type: 'name', required: true },
+    endpoint: { type: 'string', required: true },
+    bucket: { type: 'string', required: true },
+    objectKey: { type: 'string', required: true },
+    resources: { type: 'resources', default: toContainerResources(RESOURCE_PRESETS.small) },
+    timeoutSeconds: { type: 'integer', min: 60, max: 86400, default: 3600 },
+  },
+  restoreJob: {
+    namespace: { type: 'label', required: true },
+    jobName: { type: 'label', required: true },
+    targetName: { type: 'label', required: true },
+    image: { type: 'image', required: true },
+    command: { type: 'string', required: true },
+    envVars: { type: 'envVars' },
+    envSecretName: { type: 'name' },
+    claimName: { type: 'name' },
+    storageSecretName: { type: 'name', required: true },
+    endpoint: { type: 'string', required: true },
+    bucket: { type: 'string', required: true },
+    objectKey: { type: 'string', required: true },
+    resources: { type: 'resources', default: toContainerResources(RESOURCE_PRESETS.small) },
+    timeoutSeconds: { type: 'integer', min: 60, max: 86400, default: 3600 },
+  },
+  domainIngress: {
+    namespace: { type: 'label', required: true },
+    serviceName: { type: 'label', required: true },
+    port: { type: 'integer', min: 1, max: 65535, required: true },
+    domain: { type: 'host', required: true },
+    ingressName: { type: 'name', required: true },
+    secretName: { type: 'name', required: true },
+  },
+};
 
 /**
  * Generate a Kubernetes Namespace manifest
  * @param {string} name - Namespace name (project name, e.g., 'myproject')
- * @returns {object} Parsed Kubernetes manifest object
+ * @returns {object} Kubernetes manifest object
  */
 export function generateNamespaceManifest(name) {
   // Namespace is just the project name now (globally unique)
-  const template = loadTemplate('namespace.yaml.tpl');
-  const yaml = interpolate(template, {
-    namespace: name,
-    projectName: name
-  });
-  return parse(yaml);
+  const options = validateOptions({ namespace: { type: 'label', required: true } }, { namespace: name });
+
+  return applyOverride('namespace', {
+    apiVersion: 'v1',
+    kind: 'Namespace',
+    metadata: {
+      name: options.namespace,
+      labels: {
+        app: 'dangus-cloud',
+        type: 'user-project',
+        project: options.namespace,
+      },
+    },
+  }, { ...options, projectName: options.namespace });
 }
 
 /**
  * Generate a Kubernetes Deployment manifest
+ * Env vars normally come from the service's Secret/ConfigMap via envFrom; envVars adds
+ * literal entries on top. Rolling update with maxSurge 1, maxUnavailable 0.
+ * Worker services have no port; without a livenessCommand their container is only
+ * restarted when its process exits.
  * @param {object} options - Deployment configuration
  * @param {string} options.namespace - Kubernetes namespace
  * @param {string} options.serviceName - Name of the service
  * @param {string} options.image - Full container image path with tag
- * @param {number} options.port - Container port to expose
- * @param {number} [options.replicas=1] - Number of replicas (1-3)
- * @param {Array<{name: string, value: string}>} [options.envVars] - Environment variables
- * @param {string} [options.healthCheckPath] - HTTP path for health check probe
+ * @param {number} [options.port] - Container port to expose (omitted for workers)
+ * @param {number} [options.replicas=1] - Number of replicas (1-10; the autoscaler's minimum when it is enabled)
+ * @param {object} [options.resources] - Container resources ({requests, limits} of cpu/memory; default: small preset)
+ * @param {Array<{name: string, value: string}>} [options.envVars] - Literal environment variables
+ * @param {string} [options.envSecretName] - Secret loaded into the container with envFrom
+ * @param {string} [options.envConfigMapName] - ConfigMap loaded into the container with envFrom
+ * @param {string} [options.envHash] - Env content hash, set as a pod annotation to trigger rollouts
+ * @param {string} [options.healthCheckPath] - HTTP path for health check probe (needs port)
+ * @param {string} [options.livenessCommand] - Shell command run in the container as an exec
+ *   liveness probe, used when there is no healthCheckPath
  * @param {string} [options.storageMountPath] - Mount path for PVC (default: /data)
  * @param {string} [options.storageClaimName] - PVC name if persistent storage is enabled
- * @returns {object} Parsed Kubernetes manifest object
+ * @returns {object} Kubernetes manifest object
  */
 export function generateDeploymentManifest(options) {
-  const required = ['namespace', 'serviceName', 'image', 'port'];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
-    }
+  const opts = validateOptions(SCHEMAS.deployment, options);
+
+  if (opts.healthCheckPath && !opts.port) {
+    throw new Error('Invalid option healthCheckPath: requires port');
+  }
+
+  if (opts.storageClaimName && !opts.storageMountPath) {
+    opts.storageMountPath = '/data';
+  }
+
+  const container = {
+    name: opts.serviceName,
+    image: opts.image,
+    imagePullPolicy: 'Always',
+    resources: opts.resources,
+  };
+
+  if (opts.port) {
+    container.ports = [{ containerPort: opts.port, protocol: 'TCP' }];
+  }
+
+  if (opts.envVars?.length > 0) {
+    container.env = opts.envVars.map(({ name, value }) => ({ name, value }));
+  }
+
+  // Both refs are optional so pods still start if either object is missing
+  const envFrom = [];
+  if (opts.envSecretName) {
+    envFrom.push({ secretRef: { name: opts.envSecretName, optional: true } });
+  }
+  if (opts.envConfigMapName) {
+    envFrom.push({ configMapRef: { name: opts.envConfigMapName, optional: true } });
+  }
+  if (envFrom.length > 0) {
+    container.envFrom = envFrom;
   }
 
-  // Set default replicas if not provided
-  if (!options.replicas) {
-    options.replicas = 1;
+  if (opts.healthCheckPath) {
+    container.livenessProbe = {
+      httpGet: { path: opts.healthCheckPath, port: opts.port },
+      initialDelaySeconds: 15,
+      periodSeconds: 20,
+      timeoutSeconds: 5,
+      failureThreshold: 3,
+    };
+    container.readinessProbe = {
+      httpGet: { path: opts.healthCheckPath, port: opts.port },
+      initialDelaySeconds: 5,
+      periodSeconds: 10,
+      timeoutSeconds: 3,
+      failureThreshold: 3,
+    };
+  } else if (opts.livenessCommand) {
+    container.livenessProbe = {
+      exec: { command: ['/bin/sh', '-c', opts.livenessCommand] },
+      initialDelaySeconds: 15,
+      periodSeconds: 20,
+      timeoutSeconds: 5,
+      failureThreshold: 3,
+    };
   }
 
-  // Set default storageMountPath if storageClaimName is provided
-  if (options.storageClaimName && !options.storageMountPath) {
-    options.storageMountPath = '/data';
+  const podSpec = { containers: [container] };
+
+  if (opts.storageClaimName) {
+    container.volumeMounts = [{ name: 'data-volume', mountPath: opts.storageMountPath }];
+    podSpec.volumes = [{ name: 'data-volume', persistentVolumeClaim: { claimName: opts.storageClaimName } }];
+  }
+
+  const podMetadata = { labels: { app: opts.serviceName } };
+  if (opts.envHash) {
+    podMetadata.annotations = { 'dangus.cloud/env-hash': opts.envHash };
   }
 
-  const template = loadTemplate('deployment.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+  return applyOverride('deployment', {
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: {
+      name: opts.serviceName,
+      namespace: opts.namespace,
+      labels: { app: opts.serviceName, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      replicas: opts.replicas,
+      strategy: {
+        type: 'RollingUpdate',
+        rollingUpdate: { maxSurge: 1, maxUnavailable: 0 },
+      },
+      selector: { matchLabels: { app: opts.serviceName } },
+      template: {
+        metadata: podMetadata,
+        spec: podSpec,
+      },
+    },
+  }, opts);
 }
 
 /**
  * Generate a Kubernetes Service manifest
+ * With exposedPorts, every port is named (http, tcp-<port>, udp-<port>) as Kubernetes
+ * requires for multi-port Services.
  * @param {object} options - Service configuration
  * @param {string} options.namespace - Kubernetes namespace
  * @param {string} options.serviceName - Service name
- * @param {number} options.port - Container/service port
- * @returns {object} Parsed Kubernetes manifest object
+ * @param {number} [options.port] - Container/service HTTP port (unset for workers)
+ * @param {Array<{protocol: string, port: number}>} [options.exposedPorts] - TCP/UDP container
+ *   ports routed from outside the cluster through Traefik
+ * @returns {object} Kubernetes manifest object
  */
 export function generateServiceManifest(options) {
-  const required = ['namespace', 'serviceName', 'port'];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
-    }
+  const opts = validateOptions(SCHEMAS.service, options);
+
+  const exposedPorts = opts.exposedPorts || [];
+  if (!opts.port && exposedPorts.length === 0) {
+    throw new Error('Missing required option: port (or exposedPorts)');
+  }
+
+  const ports = [];
+  if (opts.port) {
+    ports.push(exposedPorts.length > 0
+      ? { name: 'http', port: opts.port, targetPort: opts.port }
+      : { port: opts.port, targetPort: opts.port });
+  }
+  for (const { protocol, port } of exposedPorts) {
+    ports.push({ name: `${protocol}-${port}`, port, targetPort: port, protocol: protocol.toUpperCase() });
+  }
+
+  return applyOverride('service', {
+    apiVersion: 'v1',
+    kind: 'Service',
+    metadata: {
+      name: opts.serviceName,
+      namespace: opts.namespace,
+    },
+    spec: {
+      type: 'ClusterIP',
+      selector: { app: opts.serviceName },
+      ports,
+    },
+  }, opts);
+}
+
+/**
+ * Generate a single-replica StatefulSet for a database or cache add-on. The data directory
+ * is on a volume from volumeClaimTemplates (claim data-<name>-0), which outlives the pod.
+ * @param {object} options - StatefulSet configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.name - StatefulSet name (also its pod label and Service name)
+ * @param {string} options.image - Server image
+ * @param {number} options.port - Port the server listens on
+ * @param {Array<string>} [options.args] - Container args; $(VAR) expands env vars
+ * @param {Array<{name: string, value: string}>} [options.envVars] - Literal environment variables
+ * @param {string} options.envSecretName - Secret with the credentials, loaded with envFrom
+ * @param {string} [options.readinessCommand] - Shell command that succeeds once the server accepts connections
+ * @param {string} options.dataPath - Where the server keeps its data
+ * @param {number} options.storageGb - Volume size in GiB
+ * @param {object} [options.resources] - Container resources (default: small preset)
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateStatefulSetManifest(options) {
+  const opts = validateOptions(SCHEMAS.statefulSet, options);
+
+  const container = {
+    name: opts.name,
+    image: opts.image,
+    ports: [{ containerPort: opts.port, protocol: 'TCP' }],
+    envFrom: [{ secretRef: { name: opts.envSecretName } }],
+    resources: opts.resources,
+    volumeMounts: [{ name: 'data', mountPath: opts.dataPath }],
+  };
+
+  if (opts.args?.length > 0) {
+    container.args = opts.args;
+  }
+
+  if (opts.envVars?.length > 0) {
+    container.env = opts.envVars.map(({ name, value }) => ({ name, value }));
+  }
+
+  if (opts.readinessCommand) {
+    container.readinessProbe = {
+      exec: { command: ['/bin/sh', '-c', opts.readinessCommand] },
+      initialDelaySeconds: 5,
+      periodSeconds: 10,
+      timeoutSeconds: 5,
+      failureThreshold: 3,
+    };
   }
 
-  const template = loadTemplate('service.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+  return applyOverride('statefulset', {
+    apiVersion: 'apps/v1',
+    kind: 'StatefulSet',
+    metadata: {
+      name: opts.name,
+      namespace: opts.namespace,
+      labels: { app: opts.name, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      replicas: 1,
+      serviceName: opts.name,
+      selector: { matchLabels: { app: opts.name } },
+      template: {
+        metadata: { labels: { app: opts.name } },
+        spec: { containers: [container] },
+      },
+      volumeClaimTemplates: [{
+        metadata: { name: 'data' },
+        spec: {
+          storageClassName: 'longhorn',
+          accessModes: ['ReadWriteOnce'],
+          resources: {
+            requests: { storage: `${opts.storageGb}Gi` },
+          },
+        },
+      }],
+    },
+  }, opts);
+}
+
+/**
+ * Generate the ExternalName Service that sleeping services' ingresses point at.
+ * One per namespace; it forwards to the backend's wake endpoint. Traefik needs
+ * allowExternalNameServices enabled for its Kubernetes Ingress provider.
+ * @param {object} options - Service configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.externalName - DNS name of the backend's Service
+ * @param {number} options.port - Wake endpoint port
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateWakeServiceManifest(options) {
+  const opts = validateOptions(SCHEMAS.wakeService, options);
+
+  return applyOverride('wake-service', {
+    apiVersion: 'v1',
+    kind: 'Service',
+    metadata: {
+      name: WAKE_SERVICE_NAME,
+      namespace: opts.namespace,
+      labels: { ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      type: 'ExternalName',
+      externalName: opts.externalName,
+      ports: [{ port: opts.port, targetPort: opts.port }],
+    },
+  }, opts);
+}
+
+/**
+ * Build an Ingress routing one host to a service
+ * @param {object} metadata - Ingress metadata
+ * @param {string} host - Hostname
+ * @param {string} serviceName - Backend service name
+ * @param {number} port - Backend service port
+ * @returns {object} Ingress manifest object
+ */
+function buildIngress(metadata, host, serviceName, port) {
+  return {
+    apiVersion: 'networking.k8s.io/v1',
+    kind: 'Ingress',
+    metadata,
+    spec: {
+      rules: [{
+        host,
+        http: {
+          paths: [{
+            path: '/',
+            pathType: 'Prefix',
+            backend: {
+              service: { name: serviceName, port: { number: port } },
+            },
+          }],
+        },
+      }],
+    },
+  };
 }
 
 /**
@@ -159,44 +651,312 @@ export function generateServiceManifest(options) {
  * @param {number} options.port - Service port number
  * @param {string} options.subdomain - Subdomain prefix (e.g., 'a1b2c3-myservice')
  * @param {string} options.baseDomain - Base domain (e.g., '192.168.1.124.nip.io')
- * @returns {object} Parsed Kubernetes manifest object
+ * @returns {object} Kubernetes manifest object
  */
 export function generateIngressManifest(options) {
-  const required = ['namespace', 'serviceName', 'port', 'subdomain', 'baseDomain'];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
+  const opts = validateOptions(SCHEMAS.ingress, options);
+  const host = `${opts.subdomain}.${opts.baseDomain}`;
+
+  if (!isDnsName(host, 253)) {
+    throw new Error(`Invalid ingress host: ${host}`);
+  }
+
+  return applyOverride(
+    'ingress',
+    buildIngress({ name: opts.serviceName, namespace: opts.namespace }, host, opts.serviceName, opts.port),
+    opts
+  );
+}
+
+/**
+ * Generate an autoscaling/v2 HorizontalPodAutoscaler manifest for a service's Deployment.
+ * Targets are average utilization as a percentage of the container requests.
+ * @param {object} options - Autoscaler configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.serviceName - Service (and Deployment) name
+ * @param {number} options.minReplicas - Minimum replicas (1-10)
+ * @param {number} options.maxReplicas - Maximum replicas (1-10, at least minReplicas)
+ * @param {number} [options.cpuTarget] - Target CPU utilization percent (10-100)
+ * @param {number} [options.memoryTarget] - Target memory utilization percent (10-100)
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateHorizontalPodAutoscalerManifest(options) {
+  const opts = validateOptions(SCHEMAS.hpa, options);
+
+  if (opts.maxReplicas < opts.minReplicas) {
+    throw new Error('Invalid option maxReplicas: must be at least minReplicas');
+  }
+  if (opts.cpuTarget === undefined && opts.memoryTarget === undefined) {
+    throw new Error('Missing required option: cpuTarget or memoryTarget');
+  }
+
+  const metrics = [];
+  for (const [name, target] of [['cpu', opts.cpuTarget], ['memory', opts.memoryTarget]]) {
+    if (target !== undefined) {
+      metrics.push({
+        type: 'Resource',
+        resource: { name, target: { type: 'Utilization', averageUtilization: target } },
+      });
     }
   }
 
-  const template = loadTemplate('ingress.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+  return applyOverride('hpa', {
+    apiVersion: 'autoscaling/v2',
+    kind: 'HorizontalPodAutoscaler',
+    metadata: {
+      name: opts.serviceName,
+      namespace: opts.namespace,
+      labels: { app: opts.serviceName, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name: opts.serviceName },
+      minReplicas: opts.minReplicas,
+      maxReplicas: opts.maxReplicas,
+      metrics,
+    },
+  }, opts);
+}
+
+/**
+ * Generate a Traefik IngressRoute that splits a host's traffic between a service and the
+ * new version being rolled out next to it. Used by canary rollouts; the host's Ingress
+ * takes over again once the route is deleted.
+ * @param {object} options - Route configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.routeName - IngressRoute name
+ * @param {string} options.serviceName - Service running the current version
+ * @param {string} options.canaryServiceName - Service running the new version
+ * @param {number} options.port - Port of both services
+ * @param {string} options.host - Hostname to route
+ * @param {number} options.canaryWeight - Percent of requests sent to the new version (0-100)
+ * @param {string} [options.tlsSecretName] - TLS secret for hosts served over HTTPS
+ * @returns {object} Traefik IngressRoute manifest object
+ */
+export function generateCanaryRouteManifest(options) {
+  const opts = validateOptions(SCHEMAS.canaryRoute, options);
+
+  const route = {
+    apiVersion: 'traefik.io/v1alpha1',
+    kind: 'IngressRoute',
+    metadata: {
+      name: opts.routeName,
+      namespace: opts.namespace,
+      labels: { app: opts.serviceName, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      routes: [{
+        match: `Host(\`${opts.host}\`)`,
+        kind: 'Rule',
+        priority: CANARY_ROUTE_PRIORITY,
+        services: [
+          { name: opts.serviceName, port: opts.port, weight: 100 - opts.canaryWeight },
+          { name: opts.canaryServiceName, port: opts.port, weight: opts.canaryWeight },
+        ],
+      }],
+    },
+  };
+
+  if (opts.tlsSecretName) {
+    route.spec.tls = { secretName: opts.tlsSecretName };
+  }
+
+  return applyOverride('canary-route', route, opts);
+}
+
+/**
+ * Generate a Traefik IngressRouteTCP or IngressRouteUDP that sends everything arriving on
+ * an entrypoint to one port of a service. TCP routes match any client (HostSNI(`*`)), so
+ * each entrypoint carries a single route and TLS is left to the application.
+ * @param {object} options - Route configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.routeName - Route name
+ * @param {string} options.serviceName - Kubernetes Service to route to
+ * @param {string} options.protocol - 'tcp' or 'udp'
+ * @param {number} options.port - Service port
+ * @param {string} options.entryPoint - Traefik entrypoint name
+ * @returns {object} Traefik IngressRouteTCP/IngressRouteUDP manifest object
+ */
+export function generatePortRouteManifest(options) {
+  const opts = validateOptions(SCHEMAS.portRoute, options);
+
+  const services = [{ name: opts.serviceName, port: opts.port }];
+  const route = opts.protocol === 'tcp' ? { match: 'HostSNI(`*`)', services } : { services };
+
+  return applyOverride('port-route', {
+    apiVersion: 'traefik.io/v1alpha1',
+    kind: opts.protocol === 'tcp' ? 'IngressRouteTCP' : 'IngressRouteUDP',
+    metadata: {
+      name: opts.routeName,
+      namespace: opts.namespace,
+      labels: { app: opts.serviceName, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      entryPoints: [opts.entryPoint],
+      routes: [route],
+    },
+  }, opts);
 }
 
 /**
  * Generate a Kubernetes PersistentVolumeClaim manifest
+ * The claim is named <serviceName>-pvc, matching storageClaimName in deployService, unless
+ * a restore names it (see backups.js).
  * @param {object} options - PVC configuration
  * @param {string} options.namespace - Kubernetes namespace
  * @param {string} options.serviceName - Service name for the PVC
+ * @param {string} [options.claimName] - Claim name (default: <serviceName>-pvc)
  * @param {number} options.storageGb - Storage size in GB (1-10)
- * @returns {object} Parsed Kubernetes manifest object
+ * @returns {object} Kubernetes manifest object
  */
 export function generatePVCManifest(options) {
-  const required = ['namespace', 'serviceName', 'storageGb'];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
-    }
-  }
+  const opts = validateOptions(SCHEMAS.pvc, options);
 
-  if (options.storageGb < 1 || options.storageGb > 10) {
-    throw new Error('storageGb must be between 1 and 10');
-  }
+  return applyOverride('pvc', {
+    apiVersion: 'v1',
+    kind: 'PersistentVolumeClaim',
+    metadata: {
+      name: opts.claimName || `${opts.serviceName}-pvc`,
+      namespace: opts.namespace,
+      labels: { app: opts.serviceName },
+    },
+    spec: {
+      storageClassName: 'longhorn',
+      accessModes: ['ReadWriteOnce'],
+      resources: {
+        requests: { storage: `${opts.storageGb}Gi` },
+      },
+    },
+  }, opts);
+}
 
-  const template = loadTemplate('pvc.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+// Repo, branch and commit reach the script as env vars, never as script text
+const GIT_CLONE_SCRIPT = `git clone --single-branch --branch "$GIT_BRANCH" \\
+  "https://\${GIT_USERNAME}:\${GIT_PASSWORD}@\${GIT_REPO}" /workspace && \\
+cd /workspace && \\
+git checkout "$GIT_COMMIT"
+`;
+
+// Copies generated/modified files into the workspace. Supports multi-file ConfigMaps
+// where paths are escaped (src/nginx.conf -> src_nginx.conf)
+const COPY_GENERATED_FILES_SCRIPT = `echo "=== Copying files from ConfigMap ==="
+for file in /generated/*; do
+  if [ -f "$file" ]; then
+    filename=$(basename "$file")
+    # Decode path: convert single underscores to slashes, then double to single
+    # e.g., src_my__config.js -> src/my_config.js
+    # Uses null byte as temp placeholder to avoid double-replacement
+    destpath=$(echo "$filename" | sed 's/__/\\x00/g; s/_/\\//g; s/\\x00/_/g')
+    # Security: Reject paths with .. or starting with /
+    if echo "$destpath" | grep -qE '(^/|\\.\\.)'; then
+      echo "SECURITY: Rejecting invalid path: $destpath"
+      continue
+    fi
+    # Create parent directories if needed
+    mkdir -p "$(dirname "/workspace/$destpath")"
+    cp "$file" "/workspace/$destpath"
+    echo "Copied: $destpath"
+  fi
+done
+echo "=== Files copied ==="
+if [ -f /workspace/Dockerfile ]; then
+  echo "=== Dockerfile ==="
+  cat /workspace/Dockerfile
+  echo "=== End Dockerfile ==="
+fi
+`;
+
+const WORKSPACE_MOUNT = { name: 'workspace', mountPath: '/workspace' };
+
+function gitCloneContainer(opts) {
+  const secretEnv = (key) => ({
+    name: key,
+    valueFrom: { secretKeyRef: { name: opts.gitSecretName, key } },
+  });
+
+  return {
+    name: 'git-clone',
+    image: 'alpine/git:latest',
+    env: [
+      secretEnv('GIT_USERNAME'),
+      secretEnv('GIT_PASSWORD'),
+      { name: 'GIT_REPO', value: opts.repoUrl },
+      { name: 'GIT_BRANCH', value: opts.branch },
+      { name: 'GIT_COMMIT', value: opts.commitSha },
+    ],
+    command: ['/bin/sh', '-c', GIT_CLONE_SCRIPT],
+    volumeMounts: [WORKSPACE_MOUNT],
+    resources: {
+      requests: { memory: '256Mi', cpu: '100m' },
+      limits: { memory: '512Mi', cpu: '500m' },
+    },
+  };
+}
+
+/**
+ * Build a Kaniko Job. TTL 1 hour after completion, 30 minute deadline, 2 retries.
+ * @param {object} opts - Validated Kaniko options
+ * @param {object} build - dockerfile path, extra labels, extra init containers and volumes
+ * @returns {object} Job manifest object
+ */
+function buildKanikoJob(opts, { dockerfile, labels = {}, initContainers = [], volumes = [] }) {
+  return {
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name: opts.jobName,
+      namespace: opts.namespace,
+      labels: {
+        app: 'kaniko-build',
+        ...MANAGED_BY_LABEL,
+        'commit-sha': opts.commitSha,
+        ...labels,
+      },
+    },
+    spec: {
+      ttlSecondsAfterFinished: 3600,
+      backoffLimit: 2,
+      activeDeadlineSeconds: 1800,
+      template: {
+        metadata: {
+          labels: { app: 'kaniko-build', 'job-name': opts.jobName },
+        },
+        spec: {
+          restartPolicy: 'Never',
+          initContainers: [gitCloneContainer(opts), ...initContainers],
+          containers: [{
+            name: 'kaniko',
+            image: 'gcr.io/kaniko-project/executor:latest',
+            args: [
+              `--dockerfile=${dockerfile}`,
+              '--context=dir:///workspace',
+              `--destination=${opts.imageDest}`,
+              '--cache=true',
+              '--cache-ttl=24h',
+              '--snapshot-mode=redo',
+              '--log-format=text',
+              '--skip-tls-verify',
+            ],
+            volumeMounts: [
+              WORKSPACE_MOUNT,
+              { name: 'docker-config', mountPath: '/kaniko/.docker', readOnly: true },
+            ],
+            resources: opts.resources,
+          }],
+          volumes: [
+            { name: 'workspace', emptyDir: {} },
+            {
+              name: 'docker-config',
+              secret: {
+                secretName: opts.registrySecretName,
+                items: [{ key: 'config.json', path: 'config.json' }],
+              },
+            },
+            ...volumes,
+          ],
+        },
+      },
+    },
+  };
 }
 
 /**
@@ -211,29 +971,13 @@ export function generatePVCManifest(options) {
  * @param {string} options.imageDest - Full destination image path
  * @param {string} options.gitSecretName - Name of K8s secret containing git credentials
  * @param {string} options.registrySecretName - Name of K8s secret containing registry credentials
- * @returns {object} Parsed Kubernetes manifest object
+ * @param {object} [options.resources] - Kaniko container resources (default: standard build preset)
+ * @returns {object} Kubernetes manifest object
  */
 export function generateKanikoJobManifest(options) {
-  const required = [
-    'namespace',
-    'jobName',
-    'repoUrl',
-    'branch',
-    'commitSha',
-    'dockerfilePath',
-    'imageDest',
-    'gitSecretName',
-    'registrySecretName'
-  ];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
-    }
-  }
+  const opts = validateOptions(SCHEMAS.kanikoJob, options);
 
-  const template = loadTemplate('kaniko-job.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+  return applyOverride('kaniko-job', buildKanikoJob(opts, { dockerfile: opts.dockerfilePath }), opts);
 }
 
 /**
@@ -249,29 +993,346 @@ export function generateKanikoJobManifest(options) {
  * @param {string} options.gitSecretName - Name of K8s secret containing git credentials
  * @param {string} options.registrySecretName - Name of K8s secret containing registry credentials
  * @param {string} options.dockerfileConfigMap - Name of ConfigMap containing the generated Dockerfile
- * @returns {object} Parsed Kubernetes manifest object
+ * @param {object} [options.resources] - Kaniko container resources (default: standard build preset)
+ * @returns {object} Kubernetes manifest object
  */
 export function generateKanikoJobManifestGenerated(options) {
-  const required = [
-    'namespace',
-    'jobName',
-    'repoUrl',
-    'branch',
-    'commitSha',
-    'imageDest',
-    'gitSecretName',
-    'registrySecretName',
-    'dockerfileConfigMap'
-  ];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
-    }
+  const opts = validateOptions(SCHEMAS.kanikoJobGenerated, options);
+
+  const job = buildKanikoJob(opts, {
+    dockerfile: '/workspace/Dockerfile',
+    labels: { 'dockerfile-source': 'generated' },
+    initContainers: [{
+      name: 'copy-dockerfile',
+      image: 'busybox:1.36',
+      command: ['/bin/sh', '-c', COPY_GENERATED_FILES_SCRIPT],
+      volumeMounts: [
+        WORKSPACE_MOUNT,
+        { name: 'generated-dockerfile', mountPath: '/generated', readOnly: true },
+      ],
+      resources: {
+        requests: { memory: '64Mi', cpu: '50m' },
+        limits: { memory: '128Mi', cpu: '100m' },
+      },
+    }],
+    volumes: [{ name: 'generated-dockerfile', configMap: { name: opts.dockerfileConfigMap } }],
+  });
+
+  return applyOverride('kaniko-job-generated', job, opts);
+}
+
+/**
+ * Generate a Kubernetes CronJob manifest for a cron service. Each run is a Job whose pod
+ * runs the image's default command once; runs are labelled dangus.cloud/cron=<service>.
+ * @param {object} options - CronJob configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.serviceName - Service name (at most 52 characters, Kubernetes
+ *   appends a suffix for each Job)
+ * @param {string} options.image - Image to run
+ * @param {string} options.schedule - Cron schedule, in UTC
+ * @param {string} [options.concurrencyPolicy] - Allow, Forbid (default) or Replace
+ * @param {number} [options.successfulJobsHistoryLimit] - Finished Jobs to keep (default: 3)
+ * @param {number} [options.failedJobsHistoryLimit] - Failed Jobs to keep (default: 3)
+ * @param {boolean} [options.suspend] - Stop scheduling runs (default: false)
+ * @param {object} [options.resources] - Container resources (default: small preset)
+ * @param {string} [options.envSecretName] - Secret holding the service's secret env vars
+ * @param {string} [options.envConfigMapName] - ConfigMap holding the service's plain env vars
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateCronJobManifest(options) {
+  const opts = validateOptions(SCHEMAS.cronJob, options);
+
+  const container = {
+    name: opts.serviceName,
+    image: opts.image,
+    imagePullPolicy: 'Always',
+    resources: opts.resources,
+  };
+
+  const envFrom = [];
+  if (opts.envSecretName) {
+    envFrom.push({ secretRef: { name: opts.envSecretName, optional: true } });
+  }
+  if (opts.envConfigMapName) {
+    envFrom.push({ configMapRef: { name: opts.envConfigMapName, optional: true } });
+  }
+  if (envFrom.length > 0) {
+    container.envFrom = envFrom;
+  }
+
+  const runLabels = { app: opts.serviceName, 'dangus.cloud/cron': opts.serviceName };
+
+  return applyOverride('cronjob', {
+    apiVersion: 'batch/v1',
+    kind: 'CronJob',
+    metadata: {
+      name: opts.serviceName,
+      namespace: opts.namespace,
+      labels: { app: opts.serviceName, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      schedule: opts.schedule,
+      concurrencyPolicy: opts.concurrencyPolicy,
+      successfulJobsHistoryLimit: opts.successfulJobsHistoryLimit,
+      failedJobsHistoryLimit: opts.failedJobsHistoryLimit,
+      suspend: opts.suspend,
+      // Skip runs missed by more than this (e.g. while the cluster was down) instead of catching up
+      startingDeadlineSeconds: 300,
+      jobTemplate: {
+        metadata: { labels: { ...runLabels, ...MANAGED_BY_LABEL } },
+        spec: {
+          // One attempt per run, so a run's status is its pod's exit code
+          backoffLimit: 0,
+          template: {
+            metadata: { labels: runLabels },
+            spec: {
+              restartPolicy: 'Never',
+              containers: [container],
+            },
+          },
+        },
+      },
+    },
+  }, opts);
+}
+
+/**
+ * Generate a Kubernetes Job manifest that runs a service's release command (e.g. database
+ * migrations) in the new image before it is deployed. The command runs once through
+ * /bin/sh -c with the service's env vars; a non-zero exit fails the job.
+ * @param {object} options - Release job configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.jobName - Unique job name
+ * @param {string} options.serviceName - Service name
+ * @param {string} options.image - Image being deployed
+ * @param {string} options.command - Shell command to run
+ * @param {object} [options.resources] - Container resources (default: small preset)
+ * @param {string} [options.envSecretName] - Secret holding the service's secret env vars
+ * @param {string} [options.envConfigMapName] - ConfigMap holding the service's plain env vars
+ * @param {number} [options.timeoutSeconds] - How long the command may run (default: 600)
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateReleaseJobManifest(options) {
+  const opts = validateOptions(SCHEMAS.releaseJob, options);
+
+  const container = {
+    name: 'release',
+    image: opts.image,
+    imagePullPolicy: 'Always',
+    command: ['/bin/sh', '-c', opts.command],
+    resources: opts.resources,
+  };
+
+  const envFrom = [];
+  if (opts.envSecretName) {
+    envFrom.push({ secretRef: { name: opts.envSecretName, optional: true } });
+  }
+  if (opts.envConfigMapName) {
+    envFrom.push({ configMapRef: { name: opts.envConfigMapName, optional: true } });
+  }
+  if (envFrom.length > 0) {
+    container.envFrom = envFrom;
   }
 
-  const template = loadTemplate('kaniko-job-generated.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+  return applyOverride('release-job', {
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name: opts.jobName,
+      namespace: opts.namespace,
+      labels: { app: 'release', service: opts.serviceName, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      ttlSecondsAfterFinished: 3600,
+      // Migrations are not safe to retry blindly
+      backoffLimit: 0,
+      activeDeadlineSeconds: opts.timeoutSeconds,
+      template: {
+        metadata: {
+          labels: { app: 'release', service: opts.serviceName, 'job-name': opts.jobName },
+        },
+        spec: {
+          restartPolicy: 'Never',
+          containers: [container],
+        },
+      },
+    },
+  }, opts);
+}
+
+const BACKUP_MOUNT = { name: 'backup', mountPath: '/backup' };
+const BACKUP_FILE = '/backup/archive';
+
+/**
+ * AWS CLI container that copies the archive between /backup and the bucket. Bucket, key
+ * and endpoint are passed as arguments, not through a shell.
+ * @param {string} name - Container name
+ * @param {object} opts - Validated backup or restore job options
+ * @param {boolean} upload - Copy to the bucket (otherwise from it)
+ * @returns {object} Container spec
+ */
+function transferContainer(name, opts, upload) {
+  const secretEnv = (key) => ({
+    name: key,
+    valueFrom: { secretKeyRef: { name: opts.storageSecretName, key } },
+  });
+  const object = `s3://${opts.bucket}/${opts.objectKey}`;
+
+  return {
+    name,
+    image: 'amazon/aws-cli:latest',
+    command: [
+      'aws', 's3', 'cp',
+      ...(upload ? [BACKUP_FILE, object] : [object, BACKUP_FILE]),
+      '--endpoint-url', opts.endpoint,
+      '--only-show-errors',
+    ],
+    env: [
+      secretEnv('AWS_ACCESS_KEY_ID'),
+      secretEnv('AWS_SECRET_ACCESS_KEY'),
+      secretEnv('AWS_DEFAULT_REGION'),
+    ],
+    volumeMounts: [BACKUP_MOUNT],
+    resources: {
+      requests: { memory: '128Mi', cpu: '100m' },
+      limits: { memory: '512Mi', cpu: '500m' },
+    },
+  };
+}
+
+/**
+ * Container that writes the archive (backup) or reads it back (restore) with the caller's
+ * command. The archive path is in $BACKUP_FILE; the volume, if any, is mounted at /data.
+ * @param {string} name - Container name
+ * @param {object} opts - Validated backup or restore job options
+ * @param {boolean} readOnly - Mount the volume read-only
+ * @returns {object} Container spec
+ */
+function dataContainer(name, opts, readOnly) {
+  const container = {
+    name,
+    image: opts.image,
+    command: ['/bin/sh', '-c', opts.command],
+    env: [
+      { name: 'BACKUP_FILE', value: BACKUP_FILE },
+      ...(opts.envVars || []).map(({ name: envName, value }) => ({ name: envName, value })),
+    ],
+    volumeMounts: [BACKUP_MOUNT],
+    resources: opts.resources,
+  };
+
+  if (opts.envSecretName) {
+    container.envFrom = [{ secretRef: { name: opts.envSecretName } }];
+  }
+  if (opts.claimName) {
+    container.volumeMounts.push({ name: 'data', mountPath: '/data', readOnly });
+  }
+  return container;
+}
+
+/**
+ * Build a one-attempt Job around a backup or restore pod. The archive passes between its
+ * init container and container through an emptyDir.
+ * @param {object} opts - Validated backup or restore job options
+ * @param {object} job - labels, init container, container and pod spec extras
+ * @returns {object} Job manifest object
+ */
+function buildBackupJob(opts, { labels, initContainer, container, podSpec = {} }) {
+  const volumes = [{ name: 'backup', emptyDir: {} }];
+  if (opts.claimName) {
+    volumes.push({ name: 'data', persistentVolumeClaim: { claimName: opts.claimName } });
+  }
+
+  return {
+    apiVersion: 'batch/v1',
+    kind: 'Job',
+    metadata: {
+      name: opts.jobName,
+      namespace: opts.namespace,
+      labels: { ...labels, ...MANAGED_BY_LABEL },
+    },
+    spec: {
+      ttlSecondsAfterFinished: 3600,
+      backoffLimit: 0,
+      activeDeadlineSeconds: opts.timeoutSeconds,
+      template: {
+        metadata: {
+          labels: { app: labels.app, 'job-name': opts.jobName },
+        },
+        spec: {
+          restartPolicy: 'Never',
+          initContainers: [initContainer],
+          containers: [container],
+          volumes,
+          ...podSpec,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Generate a Kubernetes Job manifest that backs up a volume or database to an
+ * S3-compatible bucket. The archive container runs the command (e.g. tar of /data, or a
+ * database dump) to write $BACKUP_FILE, then the upload container copies it to the bucket.
+ * @param {object} options - Backup job configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.jobName - Unique job name
+ * @param {string} options.sourceName - Service or add-on being backed up
+ * @param {string} options.image - Image of the archive container
+ * @param {string} options.command - Shell command that writes $BACKUP_FILE
+ * @param {Array<{name: string, value: string}>} [options.envVars] - Extra env vars for the command
+ * @param {string} [options.envSecretName] - Secret to load as env vars (e.g. database credentials)
+ * @param {string} [options.claimName] - PVC mounted read-only at /data
+ * @param {string} [options.nodeName] - Node to run on (where a ReadWriteOnce claim is attached)
+ * @param {string} options.storageSecretName - Secret with the bucket's AWS_* credentials
+ * @param {string} options.endpoint - S3 endpoint URL
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.objectKey - Key to upload to
+ * @param {object} [options.resources] - Archive container resources (default: small preset)
+ * @param {number} [options.timeoutSeconds] - How long the backup may take (default: 3600)
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateBackupJobManifest(options) {
+  const opts = validateOptions(SCHEMAS.backupJob, options);
+
+  return applyOverride('backup-job', buildBackupJob(opts, {
+    labels: { app: 'dangus-backup', source: opts.sourceName },
+    initContainer: dataContainer('archive', opts, true),
+    container: transferContainer('upload', opts, true),
+    podSpec: opts.nodeName ? { nodeSelector: { 'kubernetes.io/hostname': opts.nodeName } } : {},
+  }), opts);
+}
+
+/**
+ * Generate a Kubernetes Job manifest that restores a backup from an S3-compatible bucket.
+ * The download container copies the object to $BACKUP_FILE, then the restore container
+ * runs the command (e.g. untar into /data, or load a database dump).
+ * @param {object} options - Restore job configuration
+ * @param {string} options.namespace - Kubernetes namespace
+ * @param {string} options.jobName - Unique job name
+ * @param {string} options.targetName - Service or add-on being restored into
+ * @param {string} options.image - Image of the restore container
+ * @param {string} options.command - Shell command that reads $BACKUP_FILE
+ * @param {Array<{name: string, value: string}>} [options.envVars] - Extra env vars for the command
+ * @param {string} [options.envSecretName] - Secret to load as env vars (e.g. database credentials)
+ * @param {string} [options.claimName] - PVC mounted read-write at /data
+ * @param {string} options.storageSecretName - Secret with the bucket's AWS_* credentials
+ * @param {string} options.endpoint - S3 endpoint URL
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.objectKey - Key to download
+ * @param {object} [options.resources] - Restore container resources (default: small preset)
+ * @param {number} [options.timeoutSeconds] - How long the restore may take (default: 3600)
+ * @returns {object} Kubernetes manifest object
+ */
+export function generateRestoreJobManifest(options) {
+  const opts = validateOptions(SCHEMAS.restoreJob, options);
+
+  return applyOverride('restore-job', buildBackupJob(opts, {
+    labels: { app: 'dangus-restore', target: opts.targetName },
+    initContainer: transferContainer('download', opts, false),
+    container: dataContainer('restore', opts, false),
+  }), opts);
 }
 
 /**
@@ -283,17 +1344,25 @@ export function generateKanikoJobManifestGenerated(options) {
  * @param {string} options.domain - Custom domain (e.g., api.example.com)
  * @param {string} options.ingressName - Unique ingress name for this domain
  * @param {string} options.secretName - TLS secret name for certificate storage
- * @returns {object} Parsed Kubernetes manifest object
+ * @returns {object} Kubernetes manifest object
  */
 export function generateDomainIngressManifest(options) {
-  const required = ['namespace', 'serviceName', 'port', 'domain', 'ingressName', 'secretName'];
-  for (const field of required) {
-    if (!(field in options)) {
-      throw new Error(`Missing required option: ${field}`);
-    }
-  }
+  const opts = validateOptions(SCHEMAS.domainIngress, options);
+
+  const ingress = buildIngress({
+    name: opts.ingressName,
+    namespace: opts.namespace,
+    annotations: { 'cert-manager.io/cluster-issuer': 'letsencrypt-prod' },
+    labels: {
+      'app.kubernetes.io/managed-by': 'dangus-cloud',
+      'dangus-cloud/domain-type': 'custom',
+    },
+  }, opts.domain, opts.serviceName, opts.port);
+
+  ingress.spec = {
+    tls: [{ hosts: [opts.domain], secretName: opts.secretName }],
+    ...ingress.spec,
+  };
 
-  const template = loadTemplate('domain-ingress.yaml.tpl');
-  const yaml = interpolate(template, options);
-  return parse(yaml);
+  return applyOverride('domain-ingress', ingress, opts);
 }
@@ -0,0 +1,161 @@
+/**
+ * Operator overrides for generated Kubernetes manifests.
+ *
+ * A file named <manifest>.yaml in TEMPLATES_DIR (e.g. deployment.yaml) is merged
+ * onto the manifest built by manifestGenerator.js:
+ *   - Objects merge key by key; a null value removes the key
+ *   - Lists whose items all have a `name` (containers, env, volumes, ...) merge item
+ *     by item on name; any other list replaces the generated one
+ *   - {{option}} inside a string is replaced with the builder's option value after the
+ *     file is parsed, so option values can never change the YAML structure
+ *
+ * kind, apiVersion, metadata.name and metadata.namespace always keep their generated
+ * values, since the rest of the backend finds resources by them.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'yaml';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+// In container: /app/src/services -> /app/templates
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || join(__dirname, '../../templates');
+
+const VARIABLE_REGEX = /\{\{(\w+)\}\}/g;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read an override file. Read on every call so edits apply without a restart.
+ * @param {string} filename - File name inside TEMPLATES_DIR
+ * @returns {string|null} File content, or null if there is no override
+ */
+function readOverride(filename) {
+  try {
+    return readFileSync(join(TEMPLATES_DIR, filename), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Replace {{option}} references in the string values of a parsed override
+ * @param {*} value - Parsed YAML value
+ * @param {object} vars - Builder options
+ * @param {string} filename - For error messages
+ * @returns {*} Value with references replaced
+ */
+function substitute(value, vars, filename) {
+  if (typeof value === 'string') {
+    // A string that is exactly one reference keeps the option's type (e.g. port numbers)
+    const whole = value.match(/^\{\{(\w+)\}\}$/);
+    if (whole && vars[whole[1]] !== undefined) {
+      return vars[whole[1]];
+    }
+    return value.replace(VARIABLE_REGEX, (match, key) => {
+      if (!(key in vars) || vars[key] === undefined) {
+        throw new Error(`Unknown variable ${match} in ${filename}`);
+      }
+      return String(vars[key]);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, vars, filename));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substitute(item, vars, filename)])
+    );
+  }
+  return value;
+}
+
+function isNamedList(list) {
+  return list.every(item => isPlainObject(item) && typeof item.name === 'string');
+}
+
+function mergeLists(base, override) {
+  if (!isNamedList(base) || !isNamedList(override)) {
+    return override;
+  }
+
+  const result = base.map((item) => {
+    const patch = override.find(o => o.name === item.name);
+    return patch ? mergeValues(item, patch) : item;
+  });
+  for (const item of override) {
+    if (!base.some(b => b.name === item.name)) {
+      result.push(item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Merge an override value onto a generated value
+ * @param {*} base - Generated value
+ * @param {*} override - Override value
+ * @returns {*} Merged value
+ */
+export function mergeValues(base, override) {
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = key in base ? mergeValues(base[key], value) : value;
+      }
+    }
+    return result;
+  }
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return mergeLists(base, override);
+  }
+  return override;
+}
+
+/**
+ * Apply the operator override for a manifest, if one exists
+ * @param {string} name - Manifest name (e.g. 'deployment', 'kaniko-job')
+ * @param {object} manifest - Generated manifest
+ * @param {object} vars - Validated builder options, available as {{option}}
+ * @returns {object} Manifest with the override merged in
+ */
+export function applyOverride(name, manifest, vars) {
+  const filename = `${name}.yaml`;
+  const content = readOverride(filename);
+  if (content === null) {
+    return manifest;
+  }
+
+  let override;
+  try {
+    override = parse(content);
+  } catch (err) {
+    throw new Error(`Invalid manifest override ${filename}: ${err.message}`);
+  }
+  if (override === null) {
+    return manifest;
+  }
+  if (!isPlainObject(override)) {
+    throw new Error(`Invalid manifest override ${filename}: must be a YAML mapping`);
+  }
+
+  const merged = mergeValues(manifest, substitute(override, vars, filename));
+
+  merged.apiVersion = manifest.apiVersion;
+  merged.kind = manifest.kind;
+  merged.metadata = { ...merged.metadata, name: manifest.metadata.name };
+  if (manifest.metadata.namespace) {
+    merged.metadata.namespace = manifest.metadata.namespace;
+  }
+
+  return merged;
+}
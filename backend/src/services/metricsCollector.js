@@ -6,6 +6,7 @@
  */
 
 import { getPodMetrics, getPodsByLabel, getDeployment, listDeployments } from './kubernetes.js';
+import { getAutoscalerStatus } from './autoscaling.js';
 import appEvents from './event-emitter.js';
 import logger from './logger.js';
 
@@ -21,7 +22,7 @@ const podStates = new Map(); // serviceId -> { pods: Map<podName, state> }
 /**
  * Parse raw CPU value (e.g., "250m" or "1") to millicores
  */
-function parseCpuValue(value) {
+export function parseCpuValue(value) {
   if (!value) return 0;
   if (typeof value === 'number') return value * 1000;
   const str = String(value);
@@ -34,7 +35,7 @@ function parseCpuValue(value) {
 /**
  * Parse raw memory value (e.g., "128Mi", "1Gi") to bytes
  */
-function parseMemoryValue(value) {
+export function parseMemoryValue(value) {
   if (!value) return 0;
   if (typeof value === 'number') return value;
   const str = String(value);
@@ -95,6 +96,14 @@ async function collectServiceMetrics(serviceId, namespace, serviceName) {
       }
     }
 
+    // Get autoscaler state if the service has one
+    let autoscaler = null;
+    try {
+      autoscaler = await getAutoscalerStatus(namespace, serviceName);
+    } catch (err) {
+      logger.debug(`Autoscaler unavailable for ${serviceName}`, { error: err.message });
+    }
+
     // Get resource limits from deployment
     const container = deployment?.spec?.template?.spec?.containers?.[0];
     const limits = container?.resources?.limits || {};
@@ -108,7 +117,7 @@ async function collectServiceMetrics(serviceId, namespace, serviceName) {
       const mainContainer = containerStatuses[0] || {};
 
       // Get metrics for this pod if available
-      const podMetric = metrics?.items?.find(m => m.metadata.name === podName);
+      const podMetric = metrics?.find(m => m.name === podName);
       const containerMetric = podMetric?.containers?.[0] || {};
 
       // Parse restart count and status
@@ -118,8 +127,8 @@ async function collectServiceMetrics(serviceId, namespace, serviceName) {
       const started = mainContainer.started || false;
 
       // Parse resource usage
-      const cpuUsage = parseCpuValue(containerMetric.usage?.cpu);
-      const memoryUsage = parseMemoryValue(containerMetric.usage?.memory);
+      const cpuUsage = parseCpuValue(containerMetric.cpu);
+      const memoryUsage = parseMemoryValue(containerMetric.memory);
 
       return {
         name: podName,
@@ -128,13 +137,13 @@ async function collectServiceMetrics(serviceId, namespace, serviceName) {
         started,
         restartCount,
         cpu: {
-          usage: containerMetric.usage?.cpu || '0',
+          usage: containerMetric.cpu || '0',
           usageMillicores: cpuUsage,
           limitMillicores: cpuLimit || null,
           percentUsed: cpuLimit > 0 ? Math.round((cpuUsage / cpuLimit) * 100) : null
         },
         memory: {
-          usage: containerMetric.usage?.memory || '0',
+          usage: containerMetric.memory || '0',
           usageBytes: memoryUsage,
           limitBytes: memoryLimit || null,
           percentUsed: memoryLimit > 0 ? Math.round((memoryUsage / memoryLimit) * 100) : null
@@ -173,6 +182,7 @@ async function collectServiceMetrics(serviceId, namespace, serviceName) {
         cpuMillicores: cpuLimit || null,
         memoryBytes: memoryLimit || null
       } : null,
+      autoscaler,
       available: podMetrics.length > 0
     };
 
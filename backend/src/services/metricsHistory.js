@@ -0,0 +1,337 @@
+/**
+ * Metrics History
+ *
+ * metricsCollector.js only streams live usage to open service pages. This loop records
+ * every web and worker service's usage so it can be charted later. A sample is the CPU
+ * and memory of the service's running pods summed (from metrics-server), the number of
+ * running pods, and the container restarts since the previous sample. Services without
+ * running pods (stopped, sleeping) get no samples, which charts show as gaps.
+ *
+ * Samples are rolled up into 5-minute buckets, and those into hourly buckets, keeping the
+ * average and maximum of each. Each resolution is pruned by age:
+ *
+ *   raw samples   24 hours
+ *   5-minute      7 days
+ *   hourly        90 days
+ *
+ * getMetricsHistory() reads the finest resolution that still covers the requested range
+ * and averages it down to the requested step.
+ */
+
+import { listPodMetrics, getPodsByLabel } from './kubernetes.js';
+import { parseCpuValue, parseMemoryValue } from './metricsCollector.js';
+import { getServiceResources, parseCpu, parseMemory } from './resources.js';
+import logger from './logger.js';
+
+export const METRICS_SAMPLE_INTERVAL = parseInt(process.env.METRICS_SAMPLE_INTERVAL, 10) || 60000; // 1 minute
+const ROLLUP_INTERVAL = 300000; // 5 minutes
+
+// Ranges a history can be read for, in seconds
+export const METRICS_RANGES = {
+  '1h': 3600,
+  '6h': 21600,
+  '24h': 86400,
+  '7d': 604800,
+  '30d': 2592000,
+  '90d': 7776000,
+};
+
+// Stored resolutions, finest first, with how long each is kept (seconds)
+const RESOLUTIONS = [
+  { name: 'raw', bucketSeconds: null, retention: 86400 },
+  { name: '5m', bucketSeconds: 300, retention: 604800 },
+  { name: '1h', bucketSeconds: 3600, retention: 7776000 },
+];
+
+// Steps picked when the caller doesn't ask for one (seconds), and the points aimed for
+const DEFAULT_STEPS = [60, 300, 900, 1800, 3600, 10800, 21600, 43200];
+const TARGET_POINTS = 200;
+export const MAX_POINTS = 1500;
+
+const STEP_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Container restart counts seen at the last sample
+const restartCounts = new Map(); // serviceId -> Map<podName, restartCount>
+
+let sampleInterval = null;
+let sampling = false;
+let lastRollupAt = 0;
+
+/**
+ * Parse a step such as "300", "5m", "1h" or "1d"
+ * @param {string} value - Step; a bare number is seconds
+ * @returns {number|null} Seconds, or null if not a valid step
+ */
+export function parseStep(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value));
+  if (!match) return null;
+  const seconds = parseInt(match[1], 10) * STEP_UNITS[match[2] || 's'];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Record a sample for each service of a namespace that has running pods
+ * @param {object} db - Database connection
+ * @param {string} namespace - Kubernetes namespace
+ * @param {Array<object>} services - Service rows in the namespace
+ * @param {Date} sampledAt - Sample time shared by the whole pass
+ */
+async function sampleNamespace(db, namespace, services, sampledAt) {
+  const [metrics, podList] = await Promise.all([
+    listPodMetrics(namespace),
+    getPodsByLabel(namespace, 'app'),
+  ]);
+
+  const usage = new Map(); // podName -> { cpu, memory }
+  for (const item of metrics.items || []) {
+    usage.set(item.metadata.name, {
+      cpu: item.containers.reduce((sum, c) => sum + parseCpuValue(c.usage?.cpu), 0),
+      memory: item.containers.reduce((sum, c) => sum + parseMemoryValue(c.usage?.memory), 0),
+    });
+  }
+
+  const podsByApp = new Map();
+  for (const pod of podList.items || []) {
+    const app = pod.metadata.labels?.app;
+    if (!podsByApp.has(app)) podsByApp.set(app, []);
+    podsByApp.get(app).push(pod);
+  }
+
+  for (const service of services) {
+    const pods = podsByApp.get(service.name) || [];
+
+    // Restarts of pods seen last time count from their old count, new pods from zero.
+    // The first pass after a backend start only records the counts.
+    const previous = restartCounts.get(service.id);
+    const current = new Map();
+    let restarts = 0;
+    for (const pod of pods) {
+      const count = (pod.status?.containerStatuses || []).reduce((sum, c) => sum + (c.restartCount || 0), 0);
+      current.set(pod.metadata.name, count);
+      if (previous) {
+        restarts += Math.max(0, count - (previous.get(pod.metadata.name) || 0));
+      }
+    }
+    restartCounts.set(service.id, current);
+
+    const running = pods.filter(pod => pod.status?.phase === 'Running');
+    if (running.length === 0) {
+      continue;
+    }
+
+    let cpu = 0;
+    let memory = 0;
+    for (const pod of running) {
+      cpu += usage.get(pod.metadata.name)?.cpu || 0;
+      memory += usage.get(pod.metadata.name)?.memory || 0;
+    }
+
+    await db.query(
+      `INSERT INTO service_metric_samples (service_id, sampled_at, cpu_millicores, memory_bytes, restarts, pods)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (service_id, sampled_at) DO NOTHING`,
+      [service.id, sampledAt, cpu, Math.round(memory), restarts, running.length]
+    );
+  }
+}
+
+/**
+ * Roll recent samples up into 5-minute buckets and those into hourly buckets, then prune
+ * each resolution. Recent complete buckets are recomputed every time, so a bucket rolled
+ * up before all of its rows were written is corrected on the next pass.
+ * @param {object} db - Database connection
+ */
+async function rollUp(db) {
+  await db.query(
+    `INSERT INTO service_metric_rollups
+       (service_id, resolution, bucket_start, cpu_avg, cpu_max, memory_avg, memory_max, restarts, pods_max, samples)
+     SELECT service_id, '5m', date_bin('5 minutes', sampled_at, TIMESTAMPTZ 'epoch') AS bucket,
+            AVG(cpu_millicores), MAX(cpu_millicores), AVG(memory_bytes)::bigint, MAX(memory_bytes),
+            SUM(restarts), MAX(pods), COUNT(*)
+     FROM service_metric_samples
+     WHERE sampled_at >= date_bin('5 minutes', NOW() - INTERVAL '1 hour', TIMESTAMPTZ 'epoch')
+       AND sampled_at < date_bin('5 minutes', NOW(), TIMESTAMPTZ 'epoch')
+     GROUP BY service_id, bucket
+     ON CONFLICT (service_id, resolution, bucket_start) DO UPDATE SET
+       cpu_avg = EXCLUDED.cpu_avg, cpu_max = EXCLUDED.cpu_max,
+       memory_avg = EXCLUDED.memory_avg, memory_max = EXCLUDED.memory_max,
+       restarts = EXCLUDED.restarts, pods_max = EXCLUDED.pods_max, samples = EXCLUDED.samples`
+  );
+
+  await db.query(
+    `INSERT INTO service_metric_rollups
+       (service_id, resolution, bucket_start, cpu_avg, cpu_max, memory_avg, memory_max, restarts, pods_max, samples)
+     SELECT service_id, '1h', date_bin('1 hour', bucket_start, TIMESTAMPTZ 'epoch') AS bucket,
+            SUM(cpu_avg * samples) / SUM(samples), MAX(cpu_max),
+            (SUM(memory_avg::float8 * samples) / SUM(samples))::bigint, MAX(memory_max),
+            SUM(restarts), MAX(pods_max), SUM(samples)
+     FROM service_metric_rollups
+     WHERE resolution = '5m'
+       AND bucket_start >= date_bin('1 hour', NOW() - INTERVAL '3 hours', TIMESTAMPTZ 'epoch')
+       AND bucket_start < date_bin('1 hour', NOW(), TIMESTAMPTZ 'epoch')
+     GROUP BY service_id, bucket
+     ON CONFLICT (service_id, resolution, bucket_start) DO UPDATE SET
+       cpu_avg = EXCLUDED.cpu_avg, cpu_max = EXCLUDED.cpu_max,
+       memory_avg = EXCLUDED.memory_avg, memory_max = EXCLUDED.memory_max,
+       restarts = EXCLUDED.restarts, pods_max = EXCLUDED.pods_max, samples = EXCLUDED.samples`
+  );
+
+  const [raw, ...rollups] = RESOLUTIONS;
+  await db.query(
+    'DELETE FROM service_metric_samples WHERE sampled_at < NOW() - make_interval(secs => $1)',
+    [raw.retention]
+  );
+  for (const resolution of rollups) {
+    await db.query(
+      `DELETE FROM service_metric_rollups
+       WHERE resolution = $1 AND bucket_start < NOW() - make_interval(secs => $2)`,
+      [resolution.name, resolution.retention]
+    );
+  }
+}
+
+/**
+ * One pass of the loop: sample every web and worker service, and roll up every
+ * ROLLUP_INTERVAL
+ * @param {object} db - Database connection
+ */
+async function runMetricsHistory(db) {
+  if (sampling) {
+    return;
+  }
+  sampling = true;
+
+  try {
+    const result = await db.query(
+      `SELECT s.id, s.name, p.name AS project_name
+       FROM services s
+       JOIN projects p ON s.project_id = p.id
+       WHERE s.service_type <> 'cron'`
+    );
+
+    const namespaces = new Map();
+    for (const service of result.rows) {
+      if (!namespaces.has(service.project_name)) namespaces.set(service.project_name, []);
+      namespaces.get(service.project_name).push(service);
+    }
+
+    const sampledAt = new Date();
+    for (const [namespace, services] of namespaces) {
+      try {
+        await sampleNamespace(db, namespace, services, sampledAt);
+      } catch (err) {
+        // A missing namespace (never deployed) or metrics-server is not worth a warning
+        if (err.status === 404 || err.status === 503) {
+          logger.debug(`No metrics for namespace ${namespace}: ${err.message}`);
+        } else {
+          logger.warn(`Failed to sample metrics of namespace ${namespace}: ${err.message}`);
+        }
+      }
+    }
+
+    // Forget restart counts of deleted services
+    const ids = new Set(result.rows.map(service => service.id));
+    for (const serviceId of restartCounts.keys()) {
+      if (!ids.has(serviceId)) restartCounts.delete(serviceId);
+    }
+
+    if (Date.now() - lastRollupAt >= ROLLUP_INTERVAL) {
+      await rollUp(db);
+      lastRollupAt = Date.now();
+    }
+  } catch (err) {
+    logger.error('Metrics history pass failed', { error: err.message });
+  } finally {
+    sampling = false;
+  }
+}
+
+/**
+ * Read a service's CPU, memory and restart history
+ * @param {object} db - Database connection
+ * @param {object} service - Service row
+ * @param {object} options
+ * @param {string} options.range - Key of METRICS_RANGES
+ * @param {number} [options.step] - Seconds per point; picked from the range when omitted
+ * @returns {Promise<object>} { range, step, resolution, limits, points }. The step is raised
+ *   to the stored resolution and to what keeps the points under MAX_POINTS.
+ */
+export async function getMetricsHistory(db, service, { range, step }) {
+  const rangeSeconds = METRICS_RANGES[range];
+  const resolution = RESOLUTIONS.find(r => r.retention >= rangeSeconds);
+  const base = resolution.bucketSeconds || Math.ceil(METRICS_SAMPLE_INTERVAL / 1000);
+
+  // Whole multiples of the stored resolution, so every point averages the same number of rows
+  const requested = step || DEFAULT_STEPS.find(s => rangeSeconds / s <= TARGET_POINTS);
+  const stepSeconds = Math.ceil(Math.max(requested, rangeSeconds / MAX_POINTS) / base) * base;
+
+  const result = resolution.name === 'raw'
+    ? await db.query(
+      `SELECT date_bin(make_interval(secs => $3), sampled_at, TIMESTAMPTZ 'epoch') AS time,
+              AVG(cpu_millicores) AS cpu_avg, MAX(cpu_millicores) AS cpu_max,
+              AVG(memory_bytes) AS memory_avg, MAX(memory_bytes) AS memory_max,
+              SUM(restarts) AS restarts, MAX(pods) AS pods
+       FROM service_metric_samples
+       WHERE service_id = $1 AND sampled_at >= NOW() - make_interval(secs => $2)
+       GROUP BY 1
+       ORDER BY 1`,
+      [service.id, rangeSeconds, stepSeconds]
+    )
+    : await db.query(
+      `SELECT date_bin(make_interval(secs => $4), bucket_start, TIMESTAMPTZ 'epoch') AS time,
+              SUM(cpu_avg * samples) / SUM(samples) AS cpu_avg, MAX(cpu_max) AS cpu_max,
+              SUM(memory_avg::float8 * samples) / SUM(samples) AS memory_avg, MAX(memory_max) AS memory_max,
+              SUM(restarts) AS restarts, MAX(pods_max) AS pods
+       FROM service_metric_rollups
+       WHERE service_id = $1 AND resolution = $2 AND bucket_start >= NOW() - make_interval(secs => $3)
+       GROUP BY 1
+       ORDER BY 1`,
+      [service.id, resolution.name, rangeSeconds, stepSeconds]
+    );
+
+  const { limits } = getServiceResources(service);
+
+  return {
+    range,
+    step: stepSeconds,
+    resolution: resolution.name,
+    limits: {
+      cpu_millicores: parseCpu(limits.cpu),
+      memory_bytes: parseMemory(limits.memory) * 1024 * 1024,
+    },
+    points: result.rows.map(row => ({
+      time: row.time,
+      cpu_millicores: Math.round(Number(row.cpu_avg) * 10) / 10,
+      cpu_max_millicores: Math.round(Number(row.cpu_max) * 10) / 10,
+      memory_bytes: Math.round(Number(row.memory_avg)),
+      memory_max_bytes: Number(row.memory_max),
+      restarts: Number(row.restarts),
+      pods: Number(row.pods),
+    })),
+  };
+}
+
+/**
+ * Start sampling service metrics into the history tables
+ * @param {object} db - Database connection
+ */
+export function startMetricsHistory(db) {
+  if (sampleInterval) {
+    logger.warn('Metrics history already running');
+    return;
+  }
+
+  sampleInterval = setInterval(() => runMetricsHistory(db), METRICS_SAMPLE_INTERVAL);
+  logger.info(`Metrics history started with ${METRICS_SAMPLE_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop sampling. History resumes on the next start; the gap shows in charts.
+ */
+export function stopMetricsHistory() {
+  if (sampleInterval) {
+    clearInterval(sampleInterval);
+    sampleInterval = null;
+  }
+  logger.info('Metrics history stopped');
+}
@@ -0,0 +1,302 @@
+/**
+ * Notification Channels
+ *
+ * Renders a notification in the native format of a channel type and posts it:
+ *
+ *   webhook   the JSON payload of the event, signed like the settings webhook
+ *   slack     incoming webhook message with a coloured attachment (also understood by
+ *             Mattermost and Rocket.Chat)
+ *   discord   webhook message with an embed
+ *   teams     Adaptive Card, for Workflows ("when a webhook request is received") and
+ *             connector webhooks
+ *   ntfy      push to a topic URL, with an optional access token
+ *   gotify    push to a server with an application token
+ *
+ * Every notification comes as a message (title, text, level, fields, dashboard URL) for the
+ * chat and push formats, and the event payload for generic webhooks.
+ *
+ * Webhook bodies are signed twice: X-Dangus-Signature over the body alone, kept for receivers
+ * that verify it, and X-Dangus-Signature-V2 over "<X-Dangus-Timestamp>.<body>", which lets
+ * receivers reject replayed requests by their age.
+ */
+
+import crypto from 'crypto';
+import { decrypt } from './encryption.js';
+
+const REQUEST_TIMEOUT = 10000;
+
+// Response bodies longer than this are cut before they are stored
+const MAX_RESPONSE_BODY = 16384;
+
+// Request headers that carry a channel's token
+const SECRET_HEADERS = ['Authorization', 'X-Gotify-Key'];
+
+// Colours per message level, matching the dashboard's terminal palette
+const LEVEL_COLORS = {
+  success: '#33ff33',
+  failure: '#ff3333',
+  warning: '#ffaa00',
+  info: '#00ffff',
+};
+
+const TEAMS_COLORS = { success: 'Good', failure: 'Attention', warning: 'Warning', info: 'Accent' };
+const NTFY_TAGS = { success: 'white_check_mark', failure: 'x', warning: 'warning', info: 'information_source' };
+const NTFY_PRIORITIES = { success: 'default', failure: 'high', warning: 'high', info: 'default' };
+const GOTIFY_PRIORITIES = { success: 4, failure: 8, warning: 8, info: 4 };
+
+/**
+ * Shorten text to a platform's field limit
+ */
+function truncate(text, max) {
+  const value = String(text ?? '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Message as plain text lines, for push notifications
+ */
+function plainText(message) {
+  return [
+    message.text,
+    ...message.fields.map(([name, value]) => `${name}: ${value}`),
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Build a signed JSON webhook request
+ * @param {string} url - Endpoint
+ * @param {string|null} secret - Signing secret
+ * @param {object} payload - Event payload
+ * @returns {{url: string, headers: object, body: string}}
+ */
+export function signedWebhookRequest(url, secret, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const sign = (data) => crypto.createHmac('sha256', secret || '').update(data).digest('hex');
+
+  return {
+    url,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Dangus-Event': payload.event,
+      'X-Dangus-Timestamp': timestamp,
+      'X-Dangus-Signature': `sha256=${sign(body)}`,
+      'X-Dangus-Signature-V2': `sha256=${sign(`${timestamp}.${body}`)}`,
+    },
+    body,
+  };
+}
+
+/**
+ * Build the request for each channel type
+ * @type {Object<string, {label: string, token: boolean, request: function(object, object, object): {url: string, headers: object, body: string}}>}
+ */
+export const CHANNEL_TYPES = {
+  webhook: {
+    label: 'Webhook',
+    token: false,
+    request: (channel, message, payload) => signedWebhookRequest(channel.url, channel.secret, payload),
+  },
+
+  slack: {
+    label: 'Slack',
+    token: false,
+    request: (channel, message) => ({
+      url: channel.url,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text: message.title,
+        attachments: [{
+          color: LEVEL_COLORS[message.level],
+          title: message.title,
+          title_link: message.url,
+          text: message.text,
+          fields: message.fields.map(([title, value]) => ({ title, value: String(value), short: true })),
+          footer: 'Dangus Cloud',
+          ts: Math.floor(Date.now() / 1000),
+        }],
+      }),
+    }),
+  },
+
+  discord: {
+    label: 'Discord',
+    token: false,
+    request: (channel, message) => ({
+      url: channel.url,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: 'Dangus Cloud',
+        embeds: [{
+          title: truncate(message.title, 256),
+          url: message.url,
+          description: message.text ? truncate(message.text, 4096) : undefined,
+          color: parseInt(LEVEL_COLORS[message.level].slice(1), 16),
+          fields: message.fields.map(([name, value]) => ({
+            name: truncate(name, 256),
+            value: truncate(value || '-', 1024),
+            inline: true,
+          })),
+          footer: { text: 'Dangus Cloud' },
+          timestamp: new Date().toISOString(),
+        }],
+      }),
+    }),
+  },
+
+  teams: {
+    label: 'Microsoft Teams',
+    token: false,
+    request: (channel, message) => ({
+      url: channel.url,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              { type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', color: TEAMS_COLORS[message.level], wrap: true },
+              ...(message.text ? [{ type: 'TextBlock', text: message.text, wrap: true }] : []),
+              { type: 'FactSet', facts: message.fields.map(([title, value]) => ({ title, value: String(value) })) },
+            ],
+            actions: message.url
+              ? [{ type: 'Action.OpenUrl', title: 'View in Dashboard', url: message.url }]
+              : [],
+          },
+        }],
+      }),
+    }),
+  },
+
+  ntfy: {
+    label: 'ntfy',
+    token: true,
+    request: (channel, message) => ({
+      url: channel.url,
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        // Header values must be Latin-1, so anything else is dropped from the title
+        Title: message.title.replace(/[^\x20-\xff]/g, ''),
+        Priority: NTFY_PRIORITIES[message.level],
+        Tags: NTFY_TAGS[message.level],
+        ...(message.url ? { Click: message.url } : {}),
+        ...(channel.token ? { Authorization: `Bearer ${decrypt(channel.token)}` } : {}),
+      },
+      body: plainText(message),
+    }),
+  },
+
+  gotify: {
+    label: 'Gotify',
+    token: true,
+    request: (channel, message) => ({
+      url: `${channel.url.replace(/\/+$/, '')}/message`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(channel.token ? { 'X-Gotify-Key': decrypt(channel.token) } : {}),
+      },
+      body: JSON.stringify({
+        title: message.title,
+        message: plainText(message),
+        priority: GOTIFY_PRIORITIES[message.level],
+        ...(message.url ? { extras: { 'client::notification': { click: { url: message.url } } } } : {}),
+      }),
+    }),
+  },
+};
+
+/**
+ * Copy of request headers that is safe to store, with tokens redacted
+ * @param {object} headers - Request headers
+ * @returns {object}
+ */
+export function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    SECRET_HEADERS.includes(name) ? '[redacted]' : value,
+  ]));
+}
+
+/**
+ * Read a response body, stopping once more than max characters have arrived. The rest
+ * would only be cut off, so the stream is cancelled, which closes the connection.
+ * @param {Response} response - fetch response
+ * @param {number} max - Characters that will be kept
+ * @returns {Promise<string>}
+ */
+async function readBody(response, max) {
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  while (text.length <= max) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return text + decoder.decode();
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+
+  await reader.cancel();
+  return text;
+}
+
+/**
+ * Make a POST request and capture its outcome. Never throws.
+ * @param {{url: string, headers: object, body: string}} request
+ * @returns {Promise<{status: number|null, headers: object|null, body: string|null, durationMs: number, error: string|null}>}
+ *   error is set for network errors, timeouts and non-2xx responses
+ */
+export async function postRequest({ url, headers, body }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  const startedAt = Date.now();
+
+  let response = null;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal,
+    });
+    const responseBody = await readBody(response, MAX_RESPONSE_BODY);
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      body: truncate(responseBody, MAX_RESPONSE_BODY),
+      durationMs: Date.now() - startedAt,
+      error: response.ok ? null : `HTTP ${response.status}: ${response.statusText}`,
+    };
+  } catch (error) {
+    return {
+      status: response?.status ?? null,
+      headers: response ? Object.fromEntries(response.headers) : null,
+      body: null,
+      durationMs: Date.now() - startedAt,
+      error: error.name === 'AbortError' ? 'Request timed out' : (error.cause?.message || error.message),
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Post a notification to a channel once, without queueing or retries
+ * @param {object} channel - notification_channels row
+ * @param {object} message - { title, text, level, fields: [[name, value]], url }
+ * @param {object} payload - Event payload, sent as is by generic webhooks
+ * @throws {Error} When the request fails, times out or gets a non-2xx response
+ */
+export async function sendToChannel(channel, message, payload) {
+  const result = await postRequest(CHANNEL_TYPES[channel.type].request(channel, message, payload));
+  if (result.error) {
+    throw new Error(result.error);
+  }
+}
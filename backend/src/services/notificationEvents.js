@@ -0,0 +1,272 @@
+/**
+ * Notification Events
+ *
+ * Catalog of the events notification channels can subscribe to, with the JSON Schema of the
+ * payload generic webhooks receive for each one. Every payload carries the event name, the
+ * version of its schema, the project and a timestamp.
+ *
+ * Within a version fields are only ever added. Removing or renaming a field, or changing its
+ * type or meaning, bumps the version of the event, so receivers can check `version` before
+ * reading the rest of the payload.
+ */
+
+const uuid = { type: 'string', format: 'uuid' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+/**
+ * Schema that also allows null
+ */
+function nullable(schema) {
+  return schema.enum
+    ? { enum: [...schema.enum, null] }
+    : { ...schema, type: [schema.type, 'null'] };
+}
+
+/**
+ * Object schema whose properties are all required
+ */
+function object(properties) {
+  return {
+    type: 'object',
+    required: Object.keys(properties),
+    properties,
+  };
+}
+
+const project = object({ id: uuid, name: { type: 'string' } });
+const service = object({ id: uuid, name: { type: 'string' } });
+const actor = nullable(object({ id: uuid, username: { type: 'string' } }));
+
+const deployment = object({
+  id: uuid,
+  status: { type: 'string' },
+  commit_sha: nullable({ type: 'string' }),
+  created_at: dateTime,
+  failure_reason: nullable({ type: 'string' }),
+  rolled_back_to: nullable(uuid),
+});
+
+const alertPayload = {
+  alert: object({
+    id: uuid,
+    status: { enum: ['firing', 'resolved'] },
+    value: nullable({ type: 'number' }),
+    message: { type: 'string' },
+    started_at: dateTime,
+    resolved_at: nullable(dateTime),
+  }),
+  rule: object({
+    id: uuid,
+    name: { type: 'string' },
+    metric: { type: 'string' },
+    threshold: { type: 'number' },
+    duration_minutes: { type: 'integer' },
+  }),
+  service,
+};
+
+const debugSession = object({
+  id: uuid,
+  deployment_id: uuid,
+  attempts: { type: 'integer' },
+  max_attempts: { type: 'integer' },
+});
+
+const domain = object({ id: uuid, domain: { type: 'string' } });
+
+const health = object({
+  status: { enum: ['healthy', 'unhealthy'] },
+  previous_status: nullable({ enum: ['healthy', 'unhealthy'] }),
+  status_code: nullable({ type: 'integer' }),
+  response_time_ms: nullable({ type: 'integer' }),
+  error: nullable({ type: 'string' }),
+});
+
+// Replicas are null for cron services, whose schedule is suspended or resumed instead
+const stateChange = {
+  service,
+  replicas: nullable({ type: 'integer' }),
+  actor,
+};
+
+/**
+ * Events a channel can subscribe to. `event` is the name sent in the payload and the
+ * X-Dangus-Event header when it differs from the key (deployments share one payload).
+ * @type {Object<string, {description: string, version: number, event?: string, properties: object}>}
+ */
+export const NOTIFICATION_EVENTS = {
+  'build.started': {
+    description: 'A build started',
+    version: 1,
+    properties: {
+      deployment: object({ id: uuid, commit_sha: nullable({ type: 'string' }), created_at: dateTime }),
+      service,
+    },
+  },
+  'deployment.succeeded': {
+    description: 'A deployment went live',
+    version: 1,
+    event: 'deployment.completed',
+    properties: {
+      deployment,
+      service: object({ id: uuid, name: { type: 'string' }, url: nullable({ type: 'string' }) }),
+    },
+  },
+  'deployment.failed': {
+    description: 'A deployment failed or was rolled back',
+    version: 1,
+    event: 'deployment.completed',
+    properties: {
+      deployment,
+      service: object({ id: uuid, name: { type: 'string' }, url: nullable({ type: 'string' }) }),
+    },
+  },
+  'deployment.rolled_back': {
+    description: 'A service was rolled back to an earlier deployment',
+    version: 1,
+    properties: {
+      deployment: object({ id: uuid, commit_sha: nullable({ type: 'string' }) }),
+      target: object({ id: uuid, commit_sha: nullable({ type: 'string' }) }),
+      trigger: { enum: ['manual', 'verification'] },
+      reason: nullable({ type: 'string' }),
+      service,
+      actor,
+    },
+  },
+  'debug_session.succeeded': {
+    description: 'The debug agent fixed a failed build',
+    version: 1,
+    properties: {
+      session: debugSession,
+      explanation: nullable({ type: 'string' }),
+      files: { type: 'array', items: { type: 'string' } },
+      service,
+    },
+  },
+  'debug_session.failed': {
+    description: 'The debug agent gave up on a failed build',
+    version: 1,
+    properties: {
+      session: debugSession,
+      explanation: nullable({ type: 'string' }),
+      needs_manual_fix: { type: 'boolean' },
+      service,
+    },
+  },
+  'domain.verified': {
+    description: 'A custom domain passed DNS verification',
+    version: 1,
+    properties: { domain, service },
+  },
+  'certificate.issued': {
+    description: 'A TLS certificate was issued for a custom domain',
+    version: 1,
+    properties: { domain, service },
+  },
+  'certificate.failed': {
+    description: 'Issuing a TLS certificate for a custom domain failed',
+    version: 1,
+    properties: { domain, reason: nullable({ type: 'string' }), service },
+  },
+  'service.started': {
+    description: 'A stopped service was started',
+    version: 1,
+    properties: stateChange,
+  },
+  'service.stopped': {
+    description: 'A service was stopped',
+    version: 1,
+    properties: stateChange,
+  },
+  'service.unhealthy': {
+    description: 'A health check started failing',
+    version: 1,
+    properties: { health, service },
+  },
+  'service.healthy': {
+    description: 'A failing health check recovered',
+    version: 1,
+    properties: { health, service },
+  },
+  'cron_run.failed': {
+    description: 'A cron job run failed',
+    version: 1,
+    properties: {
+      run: object({
+        id: uuid,
+        status: { type: 'string' },
+        trigger: { enum: ['schedule', 'manual'] },
+        exit_code: nullable({ type: 'integer' }),
+        failure_reason: nullable({ type: 'string' }),
+        started_at: dateTime,
+        finished_at: nullable(dateTime),
+      }),
+      service: object({ id: uuid, name: { type: 'string' }, schedule: { type: 'string' } }),
+    },
+  },
+  'alert.firing': {
+    description: 'An alert rule fired',
+    version: 1,
+    properties: alertPayload,
+  },
+  'alert.resolved': {
+    description: 'A firing alert resolved',
+    version: 1,
+    properties: alertPayload,
+  },
+  'reconciliation.drift': {
+    description: 'The cluster no longer matches a project',
+    version: 1,
+    properties: {
+      drift: {
+        type: 'array',
+        items: object({ type: { enum: ['namespace_missing'] }, detail: { type: 'string' } }),
+      },
+    },
+  },
+};
+
+/**
+ * JSON Schema (draft 2020-12) of the payload of an event
+ * @param {string} id - Key of NOTIFICATION_EVENTS
+ * @returns {object}
+ */
+export function eventSchema(id) {
+  const definition = NOTIFICATION_EVENTS[id];
+  const schema = object({
+    event: { const: definition.event || id },
+    version: { const: definition.version },
+    ...definition.properties,
+    project,
+    timestamp: dateTime,
+  });
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: `${id} v${definition.version}`,
+    description: definition.description,
+    ...schema,
+  };
+}
+
+/**
+ * Build the payload of an event: its name and schema version, the event's own fields, the
+ * project and a timestamp
+ * @param {string} id - Key of NOTIFICATION_EVENTS
+ * @param {{id: string, name: string}} eventProject - Project the event is about
+ * @param {object} fields - Fields of the event
+ * @returns {object}
+ */
+export function eventPayload(id, eventProject, fields) {
+  const definition = NOTIFICATION_EVENTS[id];
+  return {
+    event: definition.event || id,
+    version: definition.version,
+    ...fields,
+    project: {
+      id: eventProject.id,
+      name: eventProject.name,
+    },
+    timestamp: new Date().toISOString(),
+  };
+}
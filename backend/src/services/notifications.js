@@ -1,6 +1,9 @@
 import nodemailer from 'nodemailer';
 import crypto from 'crypto';
 import logger from './logger.js';
+import { sendToChannel, signedWebhookRequest, postRequest } from './notificationChannels.js';
+import { enqueueDelivery } from './webhookDeliveries.js';
+import { eventPayload } from './notificationEvents.js';
 
 /**
  * Send deployment notification (webhook and/or email) based on user preferences
@@ -10,6 +13,42 @@ import logger from './logger.js';
  * @param {object} project - Project object with user_id
  */
 export async function sendDeploymentNotification(db, deployment, service, project) {
+  const isSuccess = deployment.status === 'live';
+
+  const event = isSuccess ? 'deployment.succeeded' : 'deployment.failed';
+  const payload = eventPayload(event, project, {
+    deployment: {
+      id: deployment.id,
+      status: deployment.status,
+      commit_sha: deployment.commit_sha,
+      created_at: deployment.created_at,
+      failure_reason: deployment.failure_reason || null,
+      rolled_back_to: deployment.rolled_back_to || null,
+    },
+    service: {
+      id: service.id,
+      name: service.name,
+      url: service.url || null,
+    },
+  });
+
+  const ref = { deploymentId: deployment.id };
+
+  await notifyChannels(db, project, event, ref, payload, {
+    title: `Deployment ${isSuccess ? 'succeeded' : 'failed'}: ${service.name}`,
+    text: [
+      deployment.failure_reason,
+      deployment.rolled_back_to ? 'Rolled back to the previous live deployment' : null,
+    ].filter(Boolean).join('\n'),
+    level: isSuccess ? 'success' : 'failure',
+    fields: [
+      ['Project', project.name],
+      ['Commit', deployment.commit_sha?.substring(0, 7) || 'N/A'],
+      ...(service.url ? [['URL', service.url]] : []),
+    ],
+    url: dashboardUrl(`/services/${service.id}`),
+  });
+
   const settings = await db.query(
     'SELECT * FROM notification_settings WHERE user_id = $1',
     [project.user_id]
@@ -21,7 +60,6 @@ export async function sendDeploymentNotification(db, deployment, service, projec
   }
 
   const prefs = settings.rows[0];
-  const isSuccess = deployment.status === 'live';
 
   // Check if user wants this type of notification
   if (isSuccess && !prefs.notify_on_success) {
@@ -33,99 +71,502 @@ export async function sendDeploymentNotification(db, deployment, service, projec
     return;
   }
 
-  const payload = {
-    event: 'deployment.completed',
-    deployment: {
-      id: deployment.id,
-      status: deployment.status,
-      commit_sha: deployment.commit_sha,
-      created_at: deployment.created_at,
+  // Send webhook notification
+  if (prefs.webhook_enabled && prefs.webhook_url) {
+    await enqueueDelivery(db, { userId: project.user_id, channel: null, ref, payload });
+  }
+
+  // Send email notification
+  if (prefs.email_enabled && prefs.email_address) {
+    await sendEmail(db, project.user_id, ref, prefs, payload, service);
+  }
+}
+
+/**
+ * Send a notification for a failed cron run (webhook and/or email), if the project owner
+ * wants failure notifications
+ * @param {object} db - Database connection
+ * @param {object} run - cron_runs row
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ */
+export async function sendCronRunNotification(db, run, service, project) {
+  const payload = eventPayload('cron_run.failed', project, {
+    run: {
+      id: run.id,
+      status: run.status,
+      trigger: run.trigger,
+      exit_code: run.exit_code,
+      failure_reason: run.failure_reason || null,
+      started_at: run.started_at,
+      finished_at: run.finished_at,
     },
     service: {
       id: service.id,
       name: service.name,
-      url: service.url || null,
-    },
-    project: {
-      id: project.id,
-      name: project.name,
+      schedule: service.cron_schedule,
     },
-    timestamp: new Date().toISOString(),
-  };
+  });
+
+  const ref = { cronRunId: run.id };
+  const reason = run.failure_reason || `Exited with code ${run.exit_code ?? 'unknown'}`;
+
+  await notifyChannels(db, project, 'cron_run.failed', ref, payload, {
+    title: `Cron run failed: ${service.name}`,
+    text: reason,
+    level: 'failure',
+    fields: [
+      ['Project', project.name],
+      ['Schedule', service.cron_schedule],
+      ['Started', `${new Date(run.started_at).toISOString()}${run.trigger === 'manual' ? ' (run by hand)' : ''}`],
+    ],
+    url: dashboardUrl(`/services/${service.id}/runs`),
+  });
+
+  const settings = await db.query(
+    'SELECT * FROM notification_settings WHERE user_id = $1',
+    [project.user_id]
+  );
+
+  const prefs = settings.rows[0];
+  if (!prefs?.notify_on_failure) {
+    logger.debug('No failure notifications for user', { userId: project.user_id });
+    return;
+  }
 
-  // Send webhook notification
   if (prefs.webhook_enabled && prefs.webhook_url) {
-    await sendWebhook(db, project.user_id, deployment.id, prefs, payload);
+    await enqueueDelivery(db, { userId: project.user_id, channel: null, ref, payload });
   }
 
-  // Send email notification
   if (prefs.email_enabled && prefs.email_address) {
-    await sendEmail(db, project.user_id, deployment.id, prefs, payload, service);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    await deliverEmail(db, project.user_id, ref, prefs, {
+      subject: `❌ Cron run failed: ${service.name}`,
+      html: `
+        <div style="font-family: monospace; background: #0a0a0a; color: #00ff00; padding: 20px; border: 1px solid #00ff00;">
+          <h2 style="color: #ff0000;">Cron run failed</h2>
+          <p><strong>Service:</strong> ${service.name}</p>
+          <p><strong>Project:</strong> ${project.name}</p>
+          <p><strong>Schedule:</strong> ${service.cron_schedule}</p>
+          <p><strong>Started:</strong> ${new Date(run.started_at).toISOString()}${run.trigger === 'manual' ? ' (run by hand)' : ''}</p>
+          <p><strong>Reason:</strong> ${reason}</p>
+          <p style="margin-top: 20px;">
+            <a href="${frontendUrl}/services/${service.id}/runs" style="color: #00ff00; border: 1px solid #00ff00; padding: 10px 20px; text-decoration: none;">
+              View Run Logs
+            </a>
+          </p>
+        </div>
+      `,
+      text: `
+Cron run failed
+
+Service: ${service.name}
+Project: ${project.name}
+Schedule: ${service.cron_schedule}
+Started: ${new Date(run.started_at).toISOString()}${run.trigger === 'manual' ? ' (run by hand)' : ''}
+Reason: ${reason}
+
+View Run Logs: ${frontendUrl}/services/${service.id}/runs
+      `.trim(),
+    });
   }
 }
 
 /**
- * Send webhook notification
+ * Send a notification when an alert fires or resolves (webhook and/or email), if the
+ * project owner wants alert notifications
+ * @param {object} db - Database connection
+ * @param {object} alert - alerts row
+ * @param {object} rule - alert_rules row
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
  */
-async function sendWebhook(db, userId, deploymentId, prefs, payload) {
-  const signature = crypto
-    .createHmac('sha256', prefs.webhook_secret || '')
-    .update(JSON.stringify(payload))
-    .digest('hex');
+export async function sendAlertNotification(db, alert, rule, service, project) {
+  const firing = alert.status === 'firing';
+  const payload = eventPayload(firing ? 'alert.firing' : 'alert.resolved', project, {
+    alert: {
+      id: alert.id,
+      status: alert.status,
+      value: alert.value,
+      message: alert.message,
+      started_at: alert.started_at,
+      resolved_at: alert.resolved_at || null,
+    },
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      metric: rule.metric,
+      threshold: rule.threshold,
+      duration_minutes: rule.duration_minutes,
+    },
+    service: {
+      id: service.id,
+      name: service.name,
+    },
+  });
 
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-    const response = await fetch(prefs.webhook_url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Dangus-Signature': `sha256=${signature}`,
-        'X-Dangus-Event': 'deployment.completed',
-      },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
+  const ref = { alertId: alert.id };
+
+  await notifyChannels(db, project, payload.event, ref, payload, {
+    title: `${firing ? 'Alert firing' : 'Alert resolved'}: ${rule.name} (${service.name})`,
+    text: alert.message,
+    level: firing ? 'failure' : 'success',
+    fields: [
+      ['Project', project.name],
+      ['Service', service.name],
+      ['Firing since', new Date(alert.started_at).toISOString()],
+      ...(firing ? [] : [['Resolved', new Date(alert.resolved_at).toISOString()]]),
+    ],
+    url: dashboardUrl(`/services/${service.id}`),
+  });
+
+  const settings = await db.query(
+    'SELECT * FROM notification_settings WHERE user_id = $1',
+    [project.user_id]
+  );
+
+  const prefs = settings.rows[0];
+  if (!prefs || prefs.notify_on_alert === false) {
+    logger.debug('No alert notifications for user', { userId: project.user_id });
+    return;
+  }
+
+  if (prefs.webhook_enabled && prefs.webhook_url) {
+    await enqueueDelivery(db, { userId: project.user_id, channel: null, ref, payload });
+  }
+
+  if (prefs.email_enabled && prefs.email_address) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const title = firing ? `Alert firing: ${rule.name}` : `Alert resolved: ${rule.name}`;
+    const since = new Date(alert.started_at).toISOString();
+
+    await deliverEmail(db, project.user_id, ref, prefs, {
+      subject: `${firing ? '🔥' : '✅'} ${title} (${service.name})`,
+      html: `
+        <div style="font-family: monospace; background: #0a0a0a; color: #00ff00; padding: 20px; border: 1px solid #00ff00;">
+          <h2 style="color: ${firing ? '#ff0000' : '#00ff00'};">${title}</h2>
+          <p><strong>Service:</strong> ${service.name}</p>
+          <p><strong>Project:</strong> ${project.name}</p>
+          <p><strong>Condition:</strong> ${alert.message}</p>
+          <p><strong>Firing since:</strong> ${since}</p>
+          ${firing ? '' : `<p><strong>Resolved:</strong> ${new Date(alert.resolved_at).toISOString()}</p>`}
+          <p style="margin-top: 20px;">
+            <a href="${frontendUrl}/services/${service.id}" style="color: #00ff00; border: 1px solid #00ff00; padding: 10px 20px; text-decoration: none;">
+              View in Dashboard
+            </a>
+          </p>
+        </div>
+      `,
+      text: `
+${title}
+
+Service: ${service.name}
+Project: ${project.name}
+Condition: ${alert.message}
+Firing since: ${since}
+${firing ? '' : `Resolved: ${new Date(alert.resolved_at).toISOString()}`}
+
+View in Dashboard: ${frontendUrl}/services/${service.id}
+      `.trim(),
     });
+  }
+}
 
-    clearTimeout(timeoutId);
+/**
+ * Send a notification when a build starts
+ * @param {object} db - Database connection
+ * @param {object} deployment - Deployment being built
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ */
+export async function sendBuildStartedNotification(db, deployment, service, project) {
+  await notifyEvent(db, 'build.started', project, {
+    deployment: {
+      id: deployment.id,
+      commit_sha: deployment.commit_sha,
+      created_at: deployment.created_at,
+    },
+    service: serviceRef(service),
+  }, {
+    title: `Build started: ${service.name}`,
+    level: 'info',
+    fields: [
+      ['Service', service.name],
+      ['Commit', deployment.commit_sha?.substring(0, 7) || 'N/A'],
+    ],
+    url: dashboardUrl(`/services/${service.id}`),
+  }, { deploymentId: deployment.id });
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+/**
+ * Send a notification when a service is rolled back, by hand or after a deployment failed
+ * verification
+ * @param {object} db - Database connection
+ * @param {object} rollback - Deployment created for the rollback
+ * @param {object} target - Deployment rolled back to
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ * @param {{trigger: 'manual'|'verification', reason?: string, actor?: {id: string, username: string}}} details
+ */
+export async function sendRollbackNotification(db, rollback, target, service, project, { trigger, reason = null, actor = null }) {
+  const targetCommit = target.commit_sha?.substring(0, 7) || target.id;
+
+  await notifyEvent(db, 'deployment.rolled_back', project, {
+    deployment: { id: rollback.id, commit_sha: rollback.commit_sha },
+    target: { id: target.id, commit_sha: target.commit_sha },
+    trigger,
+    reason,
+    service: serviceRef(service),
+    actor,
+  }, {
+    title: `Rolled back: ${service.name}`,
+    text: reason,
+    level: 'warning',
+    fields: [
+      ['Service', service.name],
+      ['Rolled back to', targetCommit],
+      ['By', actor ? actor.username : 'automatic rollback'],
+    ],
+    url: dashboardUrl(`/services/${service.id}`),
+  }, { deploymentId: rollback.id });
+}
 
-    await db.query(
-      `INSERT INTO notifications (user_id, deployment_id, type, status, sent_at)
-       VALUES ($1, $2, 'webhook', 'sent', NOW())`,
-      [userId, deploymentId]
-    );
+/**
+ * Send a notification when a debug session ends
+ * @param {object} db - Database connection
+ * @param {object} session - debug_sessions row
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ * @param {{success: boolean, attempts: number, explanation?: string, fileChanges?: Array<{path: string}>, needsManualFix?: boolean}} outcome
+ */
+export async function sendDebugSessionNotification(db, session, service, project, outcome) {
+  const fields = {
+    session: {
+      id: session.id,
+      deployment_id: session.deployment_id,
+      attempts: outcome.attempts,
+      max_attempts: session.max_attempts,
+    },
+    explanation: outcome.explanation || null,
+  };
 
-    logger.info('Webhook notification sent', { userId, deploymentId, url: prefs.webhook_url });
-  } catch (error) {
-    const errorMessage = error.name === 'AbortError' ? 'Request timed out' : error.message;
+  await notifyEvent(
+    db,
+    outcome.success ? 'debug_session.succeeded' : 'debug_session.failed',
+    project,
+    outcome.success
+      ? { ...fields, files: (outcome.fileChanges || []).map(change => change.path), service: serviceRef(service) }
+      : { ...fields, needs_manual_fix: Boolean(outcome.needsManualFix), service: serviceRef(service) },
+    {
+      title: outcome.success ? `Build fixed by the debug agent: ${service.name}` : `Debug agent could not fix the build: ${service.name}`,
+      text: outcome.explanation,
+      level: outcome.success ? 'success' : 'failure',
+      fields: [
+        ['Service', service.name],
+        ['Attempts', `${outcome.attempts}/${session.max_attempts}`],
+      ],
+      url: dashboardUrl(`/services/${service.id}`),
+    },
+    { deploymentId: session.deployment_id }
+  );
+}
+
+/**
+ * Send a notification when a custom domain is verified, or its certificate is issued or fails
+ * @param {object} db - Database connection
+ * @param {'domain.verified'|'certificate.issued'|'certificate.failed'} event - Event
+ * @param {object} domain - custom_domains row
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ * @param {string|null} reason - Why the certificate failed
+ */
+export async function sendDomainNotification(db, event, domain, service, project, reason = null) {
+  const titles = {
+    'domain.verified': 'Domain verified',
+    'certificate.issued': 'Certificate issued',
+    'certificate.failed': 'Certificate failed',
+  };
+
+  await notifyEvent(db, event, project, {
+    domain: { id: domain.id, domain: domain.domain },
+    ...(event === 'certificate.failed' ? { reason } : {}),
+    service: serviceRef(service),
+  }, {
+    title: `${titles[event]}: ${domain.domain}`,
+    text: reason,
+    level: event === 'certificate.failed' ? 'failure' : 'success',
+    fields: [['Service', service.name]],
+    url: dashboardUrl(`/services/${service.id}`),
+  });
+}
+
+/**
+ * Send a notification when a service is stopped or started
+ * @param {object} db - Database connection
+ * @param {boolean} stopped - Whether the service was stopped
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ * @param {number|null} replicas - Replicas the service now runs, null for cron services
+ * @param {{id: string, username: string}|null} actor - User who changed the state
+ */
+export async function sendServiceStateNotification(db, stopped, service, project, replicas, actor) {
+  await notifyEvent(db, stopped ? 'service.stopped' : 'service.started', project, {
+    service: serviceRef(service),
+    replicas,
+    actor,
+  }, {
+    title: `Service ${stopped ? 'stopped' : 'started'}: ${service.name}`,
+    level: stopped ? 'warning' : 'info',
+    fields: [
+      ['Service', service.name],
+      ...(actor ? [['By', actor.username]] : []),
+    ],
+    url: dashboardUrl(`/services/${service.id}`),
+  });
+}
+
+/**
+ * Send a notification when a service's health check changes from healthy to unhealthy or back
+ * @param {object} db - Database connection
+ * @param {object} health - Health check result
+ * @param {string|null} previousStatus - Status of the previous check
+ * @param {object} service - Service object
+ * @param {object} project - Project object with user_id
+ */
+export async function sendHealthNotification(db, health, previousStatus, service, project) {
+  const healthy = health.status === 'healthy';
+
+  await notifyEvent(db, healthy ? 'service.healthy' : 'service.unhealthy', project, {
+    health: {
+      status: health.status,
+      previous_status: previousStatus,
+      status_code: health.statusCode ?? null,
+      response_time_ms: health.responseTimeMs ?? null,
+      error: health.error || null,
+    },
+    service: serviceRef(service),
+  }, {
+    title: `${healthy ? 'Health check recovered' : 'Health check failing'}: ${service.name}`,
+    text: health.error || (health.statusCode ? `Status ${health.statusCode}` : null),
+    level: healthy ? 'success' : 'failure',
+    fields: [
+      ['Service', service.name],
+      ['Response time', `${health.responseTimeMs}ms`],
+    ],
+    url: dashboardUrl(`/services/${service.id}`),
+  });
+}
+
+/**
+ * Send a notification when reconciliation finds the cluster no longer matches a project
+ * @param {object} db - Database connection
+ * @param {object} project - Project object with user_id
+ * @param {Array<{type: string, detail: string}>} drift - What no longer matches
+ */
+export async function sendDriftNotification(db, project, drift) {
+  await notifyEvent(db, 'reconciliation.drift', project, { drift }, {
+    title: `Cluster drift: ${project.name}`,
+    text: drift.map(item => item.detail).join('\n'),
+    level: 'warning',
+    fields: [],
+    url: dashboardUrl(`/projects/${project.id}`),
+  });
+}
+
+/**
+ * Service as it appears in event payloads
+ */
+function serviceRef(service) {
+  return { id: service.id, name: service.name };
+}
+
+/**
+ * Queue an event that goes to notification channels only, not to the webhook and email of the
+ * notification settings. Failures are logged rather than thrown, so a notification never
+ * fails the operation it reports on.
+ * @param {object} db - Database connection
+ * @param {string} event - Key of NOTIFICATION_EVENTS
+ * @param {object} project - Project object with id, name and user_id
+ * @param {object} fields - Fields of the event payload
+ * @param {object} message - { title, text, level, fields, url }; the project is added to the fields
+ * @param {{deploymentId?: string}} ref - What the notification is about
+ */
+async function notifyEvent(db, event, project, fields, message, ref = {}) {
+  try {
+    await notifyChannels(db, project, event, ref, eventPayload(event, project, fields), {
+      ...message,
+      text: message.text || null,
+      fields: [['Project', project.name], ...message.fields],
+    });
+  } catch (err) {
+    logger.error('Failed to queue notification', { event, projectId: project.id, error: err.message });
+  }
+}
+
+/**
+ * Record a sent or failed email. Webhook and channel notifications are recorded by
+ * enqueueDelivery and updated once delivered or failed.
+ * @param {object} db - Database connection
+ * @param {string} userId - User ID
+ * @param {{deploymentId?: string, cronRunId?: string, alertId?: string}} ref - What the notification is about
+ * @param {string} type - 'email'
+ * @param {string|null} error - Why delivery failed, or null if it was sent
+ */
+async function recordNotification(db, userId, ref, type, error = null) {
+  await db.query(
+    `INSERT INTO notifications (user_id, deployment_id, cron_run_id, alert_id, type, status, error, sent_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [userId, ref.deploymentId || null, ref.cronRunId || null, ref.alertId || null, type, error ? 'failed' : 'sent', error, error ? null : new Date()]
+  );
+}
 
-    await db.query(
-      `INSERT INTO notifications (user_id, deployment_id, type, status, error)
-       VALUES ($1, $2, 'webhook', 'failed', $3)`,
-      [userId, deploymentId, errorMessage]
-    );
+/**
+ * Link to a page of the dashboard
+ * @param {string} path - Path of the page, e.g. /services/<id>
+ * @returns {string}
+ */
+function dashboardUrl(path) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+}
 
-    logger.error('Webhook notification failed', { userId, deploymentId, error: errorMessage });
+/**
+ * Queue an event for the enabled channels subscribed to it: the project's own channels, and
+ * the channels covering every project of the project's owner
+ * @param {object} db - Database connection
+ * @param {object} project - Project object with id and user_id
+ * @param {string} event - Key of NOTIFICATION_EVENTS
+ * @param {{deploymentId?: string, cronRunId?: string, alertId?: string}} ref - What the notification is about
+ * @param {object} payload - Event payload for generic webhooks
+ * @param {object} message - { title, text, level, fields, url } for chat and push channels
+ */
+async function notifyChannels(db, project, event, ref, payload, message) {
+  const channels = await db.query(
+    `SELECT * FROM notification_channels
+     WHERE enabled = true
+       AND $3 = ANY(events)
+       AND (project_id = $1 OR (project_id IS NULL AND user_id = $2))`,
+    [project.id, project.user_id, event]
+  );
+
+  for (const channel of channels.rows) {
+    await enqueueDelivery(db, { userId: channel.user_id, channel, ref, payload, message });
   }
 }
 
 /**
- * Send email notification
+ * Send an email through the configured SMTP server and record the outcome
+ * @param {object} db - Database connection
+ * @param {string} userId - User ID
+ * @param {{deploymentId?: string, cronRunId?: string, alertId?: string}} ref - What the notification is about
+ * @param {object} prefs - notification_settings row
+ * @param {{subject: string, html: string, text: string}} message - Email content
  */
-async function sendEmail(db, userId, deploymentId, prefs, payload, service) {
+async function deliverEmail(db, userId, ref, prefs, message) {
   // Check if SMTP is configured
   if (!process.env.SMTP_HOST) {
     logger.warn('SMTP not configured, skipping email notification');
-    await db.query(
-      `INSERT INTO notifications (user_id, deployment_id, type, status, error)
-       VALUES ($1, $2, 'email', 'failed', $3)`,
-      [userId, deploymentId, 'SMTP not configured']
-    );
+    await recordNotification(db, userId, ref, 'email', 'SMTP not configured');
     return;
   }
 
@@ -139,61 +580,66 @@ async function sendEmail(db, userId, deploymentId, prefs, payload, service) {
     } : undefined,
   });
 
-  const statusEmoji = payload.deployment.status === 'live' ? '✅' : '❌';
-  const statusText = payload.deployment.status === 'live' ? 'succeeded' : 'failed';
-  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-
   try {
     await transporter.sendMail({
       from: process.env.SMTP_FROM || '"Dangus Cloud" <notifications@dangus.cloud>',
       to: prefs.email_address,
-      subject: `${statusEmoji} Deployment ${statusText}: ${service.name}`,
-      html: `
-        <div style="font-family: monospace; background: #0a0a0a; color: #00ff00; padding: 20px; border: 1px solid #00ff00;">
-          <h2 style="color: ${payload.deployment.status === 'live' ? '#00ff00' : '#ff0000'};">
-            Deployment ${statusText}
-          </h2>
-          <p><strong>Service:</strong> ${service.name}</p>
-          <p><strong>Project:</strong> ${payload.project.name}</p>
-          <p><strong>Status:</strong> ${payload.deployment.status}</p>
-          <p><strong>Commit:</strong> ${payload.deployment.commit_sha || 'N/A'}</p>
-          ${service.url ? `<p><strong>URL:</strong> <a href="${service.url}" style="color: #00ff00;">${service.url}</a></p>` : ''}
-          <p style="margin-top: 20px;">
-            <a href="${frontendUrl}/services/${service.id}" style="color: #00ff00; border: 1px solid #00ff00; padding: 10px 20px; text-decoration: none;">
-              View in Dashboard
-            </a>
-          </p>
-        </div>
-      `,
-      text: `
+      ...message,
+    });
+
+    await recordNotification(db, userId, ref, 'email');
+
+    logger.info('Email notification sent', { userId, ...ref, to: prefs.email_address });
+  } catch (error) {
+    await recordNotification(db, userId, ref, 'email', error.message);
+
+    logger.error('Email notification failed', { userId, ...ref, error: error.message });
+  }
+}
+
+/**
+ * Send deployment email notification
+ */
+async function sendEmail(db, userId, ref, prefs, payload, service) {
+  const statusEmoji = payload.deployment.status === 'live' ? '✅' : '❌';
+  const statusText = payload.deployment.status === 'live' ? 'succeeded' : 'failed';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  await deliverEmail(db, userId, ref, prefs, {
+    subject: `${statusEmoji} Deployment ${statusText}: ${service.name}`,
+    html: `
+      <div style="font-family: monospace; background: #0a0a0a; color: #00ff00; padding: 20px; border: 1px solid #00ff00;">
+        <h2 style="color: ${payload.deployment.status === 'live' ? '#00ff00' : '#ff0000'};">
+          Deployment ${statusText}
+        </h2>
+        <p><strong>Service:</strong> ${service.name}</p>
+        <p><strong>Project:</strong> ${payload.project.name}</p>
+        <p><strong>Status:</strong> ${payload.deployment.status}</p>
+        <p><strong>Commit:</strong> ${payload.deployment.commit_sha || 'N/A'}</p>
+        ${payload.deployment.failure_reason ? `<p><strong>Reason:</strong> ${payload.deployment.failure_reason}</p>` : ''}
+        ${payload.deployment.rolled_back_to ? '<p><strong>Rolled back to the previous live deployment</strong></p>' : ''}
+        ${service.url ? `<p><strong>URL:</strong> <a href="${service.url}" style="color: #00ff00;">${service.url}</a></p>` : ''}
+        <p style="margin-top: 20px;">
+          <a href="${frontendUrl}/services/${service.id}" style="color: #00ff00; border: 1px solid #00ff00; padding: 10px 20px; text-decoration: none;">
+            View in Dashboard
+          </a>
+        </p>
+      </div>
+    `,
+    text: `
 Deployment ${statusText}
 
 Service: ${service.name}
 Project: ${payload.project.name}
 Status: ${payload.deployment.status}
 Commit: ${payload.deployment.commit_sha || 'N/A'}
+${payload.deployment.failure_reason ? `Reason: ${payload.deployment.failure_reason}` : ''}
+${payload.deployment.rolled_back_to ? 'Rolled back to the previous live deployment' : ''}
 ${service.url ? `URL: ${service.url}` : ''}
 
 View in Dashboard: ${frontendUrl}/services/${service.id}
-      `.trim(),
-    });
-
-    await db.query(
-      `INSERT INTO notifications (user_id, deployment_id, type, status, sent_at)
-       VALUES ($1, $2, 'email', 'sent', NOW())`,
-      [userId, deploymentId]
-    );
-
-    logger.info('Email notification sent', { userId, deploymentId, to: prefs.email_address });
-  } catch (error) {
-    await db.query(
-      `INSERT INTO notifications (user_id, deployment_id, type, status, error)
-       VALUES ($1, $2, 'email', 'failed', $3)`,
-      [userId, deploymentId, error.message]
-    );
-
-    logger.error('Email notification failed', { userId, deploymentId, error: error.message });
-  }
+    `.trim(),
+  });
 }
 
 /**
@@ -223,39 +669,8 @@ export async function sendTestNotification(db, userId) {
 
   // Test webhook
   if (prefs.webhook_enabled && prefs.webhook_url) {
-    const signature = crypto
-      .createHmac('sha256', prefs.webhook_secret || '')
-      .update(JSON.stringify(testPayload))
-      .digest('hex');
-
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-      const response = await fetch(prefs.webhook_url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Dangus-Signature': `sha256=${signature}`,
-          'X-Dangus-Event': 'test',
-        },
-        body: JSON.stringify(testPayload),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      results.webhook = { success: true };
-    } catch (error) {
-      results.webhook = {
-        success: false,
-        error: error.name === 'AbortError' ? 'Request timed out' : error.message,
-      };
-    }
+    const result = await postRequest(signedWebhookRequest(prefs.webhook_url, prefs.webhook_secret, testPayload));
+    results.webhook = result.error ? { success: false, error: result.error } : { success: true };
   }
 
   // Test email
@@ -298,6 +713,32 @@ export async function sendTestNotification(db, userId) {
   return results;
 }
 
+/**
+ * Send a test notification to one channel
+ * @param {object} channel - notification_channels row
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function sendChannelTest(channel) {
+  const payload = {
+    event: 'test',
+    message: 'This is a test notification from Dangus Cloud',
+    timestamp: new Date().toISOString(),
+  };
+
+  try {
+    await sendToChannel(channel, {
+      title: 'Test notification',
+      text: `Notifications to the channel "${channel.name}" are configured correctly.`,
+      level: 'info',
+      fields: [['Channel', channel.name]],
+      url: dashboardUrl('/settings'),
+    }, payload);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Generate a new webhook secret
  * @returns {string} 64-character hex string
@@ -0,0 +1,140 @@
+/**
+ * Backup object storage - the S3-compatible bucket (AWS S3, MinIO, ...) that volume and
+ * database backups are kept in.
+ *
+ * Backup and restore Jobs move the data themselves with the AWS CLI (see backups.js). The
+ * backend only looks up and deletes objects, so it signs those few requests itself (AWS
+ * Signature Version 4, path-style URLs as MinIO expects) rather than pulling in an SDK.
+ */
+
+import crypto from 'crypto';
+
+const S3_BUCKET = process.env.BACKUP_S3_BUCKET;
+const S3_REGION = process.env.BACKUP_S3_REGION || 'us-east-1';
+const S3_ENDPOINT = (process.env.BACKUP_S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`).replace(/\/+$/, '');
+const S3_ACCESS_KEY_ID = process.env.BACKUP_S3_ACCESS_KEY_ID;
+const S3_SECRET_ACCESS_KEY = process.env.BACKUP_S3_SECRET_ACCESS_KEY;
+const S3_REQUEST_TIMEOUT = 30000;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Every request here has an empty body
+const EMPTY_PAYLOAD_HASH = sha256('');
+
+/**
+ * URI-encode a key segment as SigV4 requires (encodeURIComponent leaves !'()* alone)
+ */
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Whether backups have somewhere to go
+ * @returns {boolean}
+ */
+export function isBackupStorageConfigured() {
+  return Boolean(S3_BUCKET && S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY);
+}
+
+/**
+ * Bucket settings, for the Jobs that upload and download backups
+ * @returns {{endpoint: string, region: string, bucket: string, accessKeyId: string, secretAccessKey: string}}
+ */
+export function getBackupStorageConfig() {
+  return {
+    endpoint: S3_ENDPOINT,
+    region: S3_REGION,
+    bucket: S3_BUCKET,
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY,
+  };
+}
+
+/**
+ * Send a signed request for an object
+ * @param {string} method - HEAD or DELETE
+ * @param {string} key - Object key
+ * @returns {Promise<Response>}
+ */
+async function objectRequest(method, key) {
+  const url = new URL(`${S3_ENDPOINT}/${encodeSegment(S3_BUCKET)}/${key.split('/').map(encodeSegment).join('/')}`);
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${S3_REGION}/s3/aws4_request`;
+
+  // fetch sends Host from the URL, so it is signed without being set here
+  const headers = {
+    'x-amz-content-sha256': EMPTY_PAYLOAD_HASH,
+    'x-amz-date': amzDate,
+  };
+  const signed = { host: url.host, ...headers };
+  const signedHeaders = Object.keys(signed).join(';');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...Object.entries(signed).map(([name, value]) => `${name}:${value}`),
+    '',
+    signedHeaders,
+    EMPTY_PAYLOAD_HASH,
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  let signingKey = `AWS4${S3_SECRET_ACCESS_KEY}`;
+  for (const part of scope.split('/')) {
+    signingKey = hmac(signingKey, part);
+  }
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), S3_REQUEST_TIMEOUT);
+  try {
+    return await fetch(url, {
+      method,
+      headers: {
+        ...headers,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Size of an object
+ * @param {string} key - Object key
+ * @returns {Promise<number|null>} Size in bytes, or null if there is no such object
+ */
+export async function getObjectSize(key) {
+  const response = await objectRequest('HEAD', key);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    const error = new Error(`Object storage returned ${response.status} for ${key}`);
+    error.status = response.status;
+    throw error;
+  }
+  return parseInt(response.headers.get('content-length'), 10);
+}
+
+/**
+ * Delete an object. Deleting a missing object succeeds.
+ * @param {string} key - Object key
+ */
+export async function deleteObject(key) {
+  const response = await objectRequest('DELETE', key);
+  if (!response.ok && response.status !== 404) {
+    const error = new Error(`Object storage returned ${response.status} deleting ${key}`);
+    error.status = response.status;
+    throw error;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Organizations - moving projects in and out of them.
+ *
+ * A project's environments are child projects (parent_project_id) that always belong to the
+ * same organization, and have the same creator, as their parent.
+ */
+
+/**
+ * Move a project and its environments into an organization, or out of one. A single
+ * statement, so they never end up in different organizations.
+ * @param {object} db - Database connection
+ * @param {object} project - Root projects row (parent_project_id null)
+ * @param {string|null} organizationId - Organization UUID, or null to take it out
+ * @param {string} userId - User moving it, who becomes the creator of a project taken out of
+ *   an organization
+ * @returns {Promise<number>} Projects updated, the root included
+ */
+export async function moveProjectToOrganization(db, project, organizationId, userId) {
+  // Outside an organization the creator is the owner, so the project goes to whoever takes
+  // it out rather than back to a creator who may have left the organization
+  const result = await db.query(
+    `UPDATE projects
+     SET organization_id = $2,
+         user_id = CASE WHEN $2::uuid IS NULL AND $4::uuid IS NOT NULL THEN $3::uuid ELSE user_id END
+     WHERE id = $1 OR parent_project_id = $1`,
+    [project.id, organizationId, userId, project.organization_id]
+  );
+  return result.rowCount;
+}
@@ -0,0 +1,347 @@
+/**
+ * Project permissions - the single access check behind every route and WebSocket channel.
+ *
+ * A user's role on a project is the highest of:
+ * - owner, if they created the project (projects.user_id) and it is not in an organization
+ * - their collaborator role (project_members)
+ * - their role in the project's organization (organization_members)
+ */
+
+export const ROLES = ['viewer', 'deployer', 'maintainer', 'owner'];
+
+const ROLE_RANK = {
+  viewer: 1,
+  deployer: 2,
+  maintainer: 3,
+  owner: 4,
+};
+
+// Minimum role required for each action
+const ACTION_ROLES = {
+  view: 'viewer',         // read projects, services, deployments, logs, metrics
+  deploy: 'deployer',     // deploy, rollback, restart, start/stop, debug sessions
+  write: 'maintainer',    // create/update/delete services, env vars, domains, secrets
+  admin: 'owner',         // delete the project, manage collaborators
+};
+
+// Resolve a WebSocket channel resource to its project
+const RESOURCE_PROJECT_QUERIES = {
+  project: 'SELECT id AS project_id FROM projects WHERE id = $1',
+  service: 'SELECT project_id FROM services WHERE id = $1',
+  deployment: `SELECT s.project_id FROM deployments d
+               JOIN services s ON d.service_id = s.id
+               WHERE d.id = $1`,
+  domain: `SELECT s.project_id FROM custom_domains d
+           JOIN services s ON d.service_id = s.id
+           WHERE d.id = $1`,
+  debug: `SELECT s.project_id FROM debug_sessions ds
+          JOIN services s ON ds.service_id = s.id
+          WHERE ds.id = $1`,
+};
+
+/**
+ * Check whether a role satisfies an action
+ * @param {string|null} role - User's role on the project
+ * @param {string} action - view | deploy | write | admin
+ * @returns {boolean}
+ */
+export function roleAllows(role, action) {
+  const required = ACTION_ROLES[action];
+  if (!role || !required) return false;
+  return ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+/**
+ * Compare two roles
+ * @param {string} a - Role
+ * @param {string} b - Role
+ * @returns {number} Positive if a outranks b, negative if b outranks a, 0 if equal
+ */
+export function compareRoles(a, b) {
+  return (ROLE_RANK[a] || 0) - (ROLE_RANK[b] || 0);
+}
+
+/**
+ * Get a user's effective role on a project
+ * @param {object} db - Database connection
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<string|null>} Highest role, or null if the user has no access
+ */
+export async function getProjectRole(db, projectId, userId) {
+  const result = await db.query(
+    'SELECT role FROM project_access WHERE project_id = $1 AND user_id = $2',
+    [projectId, userId]
+  );
+
+  let best = null;
+  for (const { role } of result.rows) {
+    if (compareRoles(role, best) > 0) {
+      best = role;
+    }
+  }
+  return best;
+}
+
+/**
+ * The permission check. Every ownership/access decision goes through here.
+ * @param {object} db - Database connection
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{role?: string, error?: string, status?: number}>}
+ */
+export async function checkProjectPermission(db, projectId, userId, action) {
+  const role = await getProjectRole(db, projectId, userId);
+
+  if (!role) {
+    return { error: 'Access denied', status: 403 };
+  }
+
+  if (!roleAllows(role, action)) {
+    return { error: `This action requires the ${ACTION_ROLES[action]} role (you are ${role})`, status: 403 };
+  }
+
+  return { role };
+}
+
+/**
+ * Load a project and check access
+ * @param {object} db - Database connection
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{project?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeProject(db, projectId, userId, action) {
+  const result = await db.query(
+    'SELECT id, user_id, name, organization_id, parent_project_id, environment, created_at FROM projects WHERE id = $1',
+    [projectId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Project not found', status: 404 };
+  }
+
+  const permission = await checkProjectPermission(db, projectId, userId, action);
+  if (permission.error) {
+    return permission;
+  }
+
+  return { project: result.rows[0], role: permission.role };
+}
+
+/**
+ * Load a service (with project name and environment, project owner and owner hash) and check access
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Service UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{service?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeService(db, serviceId, userId, action) {
+  const result = await db.query(
+    `SELECT s.*, p.user_id, p.name as project_name, p.parent_project_id, p.environment, u.hash as owner_hash
+     FROM services s
+     JOIN projects p ON s.project_id = p.id
+     LEFT JOIN users u ON p.user_id = u.id
+     WHERE s.id = $1`,
+    [serviceId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Service not found', status: 404 };
+  }
+
+  const service = result.rows[0];
+  const permission = await checkProjectPermission(db, service.project_id, userId, action);
+  if (permission.error) {
+    return permission;
+  }
+
+  return { service, role: permission.role };
+}
+
+/**
+ * Load an add-on (with project name) and check access
+ * @param {object} db - Database connection
+ * @param {string} addonId - Add-on UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{addon?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeAddon(db, addonId, userId, action) {
+  const result = await db.query(
+    `SELECT a.*, p.name as project_name
+     FROM addons a
+     JOIN projects p ON a.project_id = p.id
+     WHERE a.id = $1`,
+    [addonId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Add-on not found', status: 404 };
+  }
+
+  const addon = result.rows[0];
+  const permission = await checkProjectPermission(db, addon.project_id, userId, action);
+  if (permission.error) {
+    return permission;
+  }
+
+  return { addon, role: permission.role };
+}
+
+/**
+ * Load a backup (with project name) and check access
+ * @param {object} db - Database connection
+ * @param {string} backupId - Backup UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{backup?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeBackup(db, backupId, userId, action) {
+  const result = await db.query(
+    `SELECT b.*, p.name as project_name
+     FROM backups b
+     JOIN projects p ON b.project_id = p.id
+     WHERE b.id = $1`,
+    [backupId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Backup not found', status: 404 };
+  }
+
+  const backup = result.rows[0];
+  const permission = await checkProjectPermission(db, backup.project_id, userId, action);
+  if (permission.error) {
+    return permission;
+  }
+
+  return { backup, role: permission.role };
+}
+
+/**
+ * Load an alert rule (with project name) and check access
+ * @param {object} db - Database connection
+ * @param {string} ruleId - Alert rule UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{rule?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeAlertRule(db, ruleId, userId, action) {
+  const result = await db.query(
+    `SELECT r.*, p.name as project_name
+     FROM alert_rules r
+     JOIN projects p ON r.project_id = p.id
+     WHERE r.id = $1`,
+    [ruleId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Alert rule not found', status: 404 };
+  }
+
+  const rule = result.rows[0];
+  const permission = await checkProjectPermission(db, rule.project_id, userId, action);
+  if (permission.error) {
+    return permission;
+  }
+
+  return { rule, role: permission.role };
+}
+
+/**
+ * Load a deployment (with service name) and check access
+ * @param {object} db - Database connection
+ * @param {string} deploymentId - Deployment UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{deployment?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeDeployment(db, deploymentId, userId, action) {
+  const result = await db.query(
+    `SELECT d.*, s.name as service_name, s.project_id, p.user_id
+     FROM deployments d
+     JOIN services s ON d.service_id = s.id
+     JOIN projects p ON s.project_id = p.id
+     WHERE d.id = $1`,
+    [deploymentId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Deployment not found', status: 404 };
+  }
+
+  const deployment = result.rows[0];
+  const permission = await checkProjectPermission(db, deployment.project_id, userId, action);
+  if (permission.error) {
+    return permission;
+  }
+
+  return { deployment, role: permission.role };
+}
+
+/**
+ * Load an organization and check the user's org role
+ * @param {object} db - Database connection
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - User UUID
+ * @param {string} action - view | deploy | write | admin
+ * @returns {Promise<{organization?: object, role?: string, error?: string, status?: number}>}
+ */
+export async function authorizeOrganization(db, organizationId, userId, action) {
+  const result = await db.query(
+    `SELECT o.id, o.name, o.created_by, o.created_at, om.role
+     FROM organizations o
+     LEFT JOIN organization_members om ON om.organization_id = o.id AND om.user_id = $2
+     WHERE o.id = $1`,
+    [organizationId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Organization not found', status: 404 };
+  }
+
+  const { role, ...organization } = result.rows[0];
+
+  if (!role) {
+    return { error: 'Access denied', status: 403 };
+  }
+
+  if (!roleAllows(role, action)) {
+    return { error: `This action requires the ${ACTION_ROLES[action]} role (you are ${role})`, status: 403 };
+  }
+
+  return { organization, role };
+}
+
+/**
+ * Check access to a WebSocket channel (e.g. service:<id>:metrics).
+ * Subscriptions only ever need view access.
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @param {string} channel - Channel name
+ * @returns {Promise<boolean>} Whether the user may subscribe
+ */
+export async function authorizeChannel(db, userId, channel) {
+  const parts = channel.split(':');
+  if (parts.length < 2) return false;
+
+  const [resourceType, resourceId] = parts;
+
+  // Notifications are per-user
+  if (resourceType === 'user') {
+    return resourceId === userId;
+  }
+
+  const query = RESOURCE_PROJECT_QUERIES[resourceType];
+  if (!query) return false;
+
+  const result = await db.query(query, [resourceId]);
+  if (result.rows.length === 0) return false;
+
+  const permission = await checkProjectPermission(db, result.rows[0].project_id, userId, 'view');
+  return !permission.error;
+}
@@ -0,0 +1,374 @@
+/**
+ * Pull Request Previews
+ *
+ * A service with previews_enabled gets an ephemeral copy for every open pull request
+ * against its branch: <service>-pr-<number>, built from the PR head and served at the
+ * usual <project>-<service>-pr-<number> subdomain. With preview_scope 'project' every
+ * service in the project is copied; copies of services from the same repository are
+ * built from the PR head as well, the others run their source's live image.
+ *
+ * Copies are ordinary service rows linked to a previews row by preview_id. They get their
+ * source's env vars with its preview_env_vars applied on top, and are torn down when the
+ * PR is closed or merged, when the source service is deleted, or when no pull request
+ * event has arrived for preview_ttl_hours.
+ */
+
+import { generateWebhookSecret } from './encryption.js';
+import { enqueueBuild } from './buildQueue.js';
+import { deleteServiceResources } from './serviceCleanup.js';
+import logger from './logger.js';
+
+const PREVIEW_CLEANUP_INTERVAL = parseInt(process.env.PREVIEW_CLEANUP_INTERVAL, 10) || 900000; // 15 minutes
+const NAME_MAX_LENGTH = 63;
+
+export const PREVIEW_SCOPES = ['service', 'project'];
+export const MAX_PREVIEW_TTL_HOURS = 720;
+
+// Pull request actions that create or rebuild a preview
+const SYNC_ACTIONS = ['opened', 'reopened', 'synchronize'];
+
+let cleanupInterval = null;
+
+/**
+ * Name of a service's copy in a pull request preview
+ * @param {string} serviceName - Source service name
+ * @param {number} prNumber - Pull request number
+ * @returns {string} <service>-pr-<number>, shortened to fit a DNS label
+ */
+export function previewServiceName(serviceName, prNumber) {
+  const suffix = `-pr-${prNumber}`;
+  return serviceName.slice(0, NAME_MAX_LENGTH - suffix.length).replace(/-+$/, '') + suffix;
+}
+
+/**
+ * Image of a service's latest live deployment
+ * @param {object} db - Database connection
+ * @param {object} service - Service row
+ * @returns {Promise<string|null>} Image reference, or null if it has never been live
+ */
+async function getLiveImage(db, service) {
+  if (service.image && !service.repo_url) {
+    return service.image;
+  }
+
+  const result = await db.query(
+    `SELECT image_tag FROM deployments
+     WHERE service_id = $1 AND status = 'live' AND image_tag IS NOT NULL
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [service.id]
+  );
+  return result.rows[0]?.image_tag || null;
+}
+
+/**
+ * Replace a copy's env vars with its source's, preview overrides applied on top.
+ * Values are copied still encrypted.
+ * @param {object} db - Database connection
+ * @param {string} sourceId - Source service UUID
+ * @param {string} copyId - Preview copy UUID
+ */
+async function syncPreviewEnv(db, sourceId, copyId) {
+  await db.query('DELETE FROM env_vars WHERE service_id = $1', [copyId]);
+  await db.query(
+    `INSERT INTO env_vars (service_id, key, value, is_secret)
+     SELECT $1, key, value, is_secret FROM env_vars
+     WHERE service_id = $2
+     AND key NOT IN (SELECT key FROM preview_env_vars WHERE service_id = $2)
+     UNION ALL
+     SELECT $1, key, value, is_secret FROM preview_env_vars
+     WHERE service_id = $2`,
+    [copyId, sourceId]
+  );
+}
+
+/**
+ * Create or update one service's copy in a preview and queue its deployment
+ * @param {object} db - Database connection
+ * @param {object} preview - Previews row
+ * @param {object} service - Service that received the pull request
+ * @param {object} source - Service being copied
+ * @returns {Promise<object|null>} Queued deployment, or null if nothing was deployed
+ */
+async function syncPreviewCopy(db, preview, service, source) {
+  const name = previewServiceName(source.name, preview.pr_number);
+  const fromPr = !!source.repo_url && source.repo_url === service.repo_url;
+
+  const existing = await db.query(
+    'SELECT * FROM services WHERE preview_id = $1 AND name = $2',
+    [preview.id, name]
+  );
+  let copy = existing.rows[0];
+
+  // Copies of other repositories run a fixed image; new commits on the PR don't change them
+  if (copy && !fromPr) {
+    return null;
+  }
+
+  let image = null;
+  if (!fromPr) {
+    image = await getLiveImage(db, source);
+    if (!image) {
+      logger.info(`Preview for PR #${preview.pr_number} skips ${source.name}: it has never been deployed`);
+      return null;
+    }
+  }
+
+  if (copy) {
+    const result = await db.query(
+      'UPDATE services SET branch = $1 WHERE id = $2 RETURNING *',
+      [preview.head_branch, copy.id]
+    );
+    copy = result.rows[0];
+  } else {
+    try {
+      // Previews run a single replica without autoscaling; custom domains are not copied
+      const result = await db.query(
+        `INSERT INTO services (
+          name, project_id, preview_id, repo_url, image, branch, webhook_secret, replicas,
+          dockerfile_path, build_context, port, storage_gb, health_check_path,
+          resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+          idle_timeout_minutes, release_command, service_type, liveness_command
+        )
+        SELECT
+          $1, project_id, $2, $3, $4, $5, $6, 1,
+          dockerfile_path, build_context, port, storage_gb, health_check_path,
+          resource_preset, cpu_request, cpu_limit, memory_request, memory_limit, build_resource_preset,
+          idle_timeout_minutes, release_command, service_type, liveness_command
+        FROM services WHERE id = $7
+        RETURNING *`,
+        [
+          name,
+          preview.id,
+          fromPr ? source.repo_url : null,
+          image,
+          fromPr ? preview.head_branch : source.branch,
+          generateWebhookSecret(),
+          source.id,
+        ]
+      );
+      copy = result.rows[0];
+    } catch (err) {
+      if (err.code === '23505') {
+        throw new Error(`A service named ${name} already exists in the project`);
+      }
+      throw err;
+    }
+  }
+
+  if (fromPr) {
+    // Services built from a generated Dockerfile build the PR with it too
+    await db.query(
+      `INSERT INTO generated_files (service_id, file_type, content, llm_model, detected_framework, tokens_used)
+       SELECT $1, file_type, content, llm_model, detected_framework, tokens_used
+       FROM generated_files WHERE service_id = $2
+       ON CONFLICT (service_id, file_type) DO UPDATE SET content = EXCLUDED.content`,
+      [copy.id, source.id]
+    );
+  }
+
+  await syncPreviewEnv(db, source.id, copy.id);
+
+  const deploymentResult = await db.query(
+    `INSERT INTO deployments (service_id, commit_sha, status)
+     VALUES ($1, $2, 'pending')
+     RETURNING id, service_id, commit_sha, status, created_at`,
+    [copy.id, fromPr ? preview.head_sha : 'image-deploy']
+  );
+  const deployment = deploymentResult.rows[0];
+
+  await enqueueBuild(db, copy, deployment, 'preview');
+
+  return { service_id: copy.id, service: copy.name, deployment_id: deployment.id };
+}
+
+/**
+ * Create or refresh the preview for a pull request and queue its deployments
+ * @param {object} db - Database connection
+ * @param {object} service - Service that received the pull request
+ * @param {object} pr - GitHub pull_request payload
+ * @returns {Promise<{preview: object, deployments: Array}>}
+ */
+async function syncPreview(db, service, pr) {
+  const previewResult = await db.query(
+    `INSERT INTO previews (service_id, pr_number, pr_title, pr_url, pr_author, head_branch, head_sha, scope, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(hours => $9))
+     ON CONFLICT (service_id, pr_number) DO UPDATE SET
+       pr_title = EXCLUDED.pr_title,
+       pr_url = EXCLUDED.pr_url,
+       head_branch = EXCLUDED.head_branch,
+       head_sha = EXCLUDED.head_sha,
+       expires_at = EXCLUDED.expires_at,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      service.id,
+      pr.number,
+      pr.title || null,
+      pr.html_url || null,
+      pr.user?.login || null,
+      pr.head.ref,
+      pr.head.sha,
+      service.preview_scope,
+      service.preview_ttl_hours,
+    ]
+  );
+  const preview = previewResult.rows[0];
+
+  // A preview keeps the scope it was created with. Cron services would run their jobs
+  // against the preview on schedule, so they are left out.
+  const sourcesResult = preview.scope === 'project'
+    ? await db.query(
+      `SELECT * FROM services WHERE project_id = $1 AND preview_id IS NULL AND service_type <> 'cron' ORDER BY created_at`,
+      [service.project_id]
+    )
+    : await db.query('SELECT * FROM services WHERE id = $1', [service.id]);
+
+  const deployments = [];
+  for (const source of sourcesResult.rows) {
+    try {
+      const deployment = await syncPreviewCopy(db, preview, service, source);
+      if (deployment) {
+        deployments.push(deployment);
+      }
+    } catch (err) {
+      logger.error(`Failed to deploy ${source.name} for PR #${preview.pr_number} preview: ${err.message}`);
+    }
+  }
+
+  logger.info(`Preview for PR #${preview.pr_number} of ${service.name} queued ${deployments.length} deployment(s)`);
+  return { preview, deployments };
+}
+
+/**
+ * Tear down a preview: delete its copies' Kubernetes objects, then the preview
+ * (its copies, their env vars and deployments cascade)
+ * @param {object} db - Database connection
+ * @param {object} preview - Previews row
+ */
+export async function teardownPreview(db, preview) {
+  const copies = await db.query(
+    `SELECT s.*, p.name as project_name
+     FROM services s
+     JOIN projects p ON s.project_id = p.id
+     WHERE s.preview_id = $1`,
+    [preview.id]
+  );
+
+  for (const copy of copies.rows) {
+    await deleteServiceResources(copy.project_name, copy);
+  }
+
+  await db.query('DELETE FROM previews WHERE id = $1', [preview.id]);
+  logger.info(`Tore down preview for PR #${preview.pr_number} (${copies.rows.length} service(s))`);
+}
+
+/**
+ * Tear down every preview of a service
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Source service UUID
+ */
+export async function teardownServicePreviews(db, serviceId) {
+  const result = await db.query('SELECT * FROM previews WHERE service_id = $1', [serviceId]);
+  for (const preview of result.rows) {
+    await teardownPreview(db, preview);
+  }
+}
+
+/**
+ * Handle a pull_request webhook event for a service
+ * @param {object} db - Database connection
+ * @param {object} service - Service row the webhook belongs to
+ * @param {object} payload - GitHub pull_request event payload
+ * @returns {Promise<object>} Webhook response body
+ */
+export async function handlePullRequestEvent(db, service, payload) {
+  const { action, pull_request: pr } = payload;
+
+  if (!service.previews_enabled) {
+    return { ignored: true, reason: 'Previews are not enabled for this service' };
+  }
+
+  // Closed covers merged too; tear down whatever exists regardless of base branch
+  if (action === 'closed') {
+    const result = await db.query(
+      'SELECT * FROM previews WHERE service_id = $1 AND pr_number = $2',
+      [service.id, pr.number]
+    );
+    if (result.rows.length === 0) {
+      return { ignored: true, reason: `No preview for PR #${pr.number}` };
+    }
+    await teardownPreview(db, result.rows[0]);
+    return { received: true, preview: 'removed', pr_number: pr.number };
+  }
+
+  if (!SYNC_ACTIONS.includes(action)) {
+    return { ignored: true, reason: `Pull request action '${action}' not processed` };
+  }
+
+  if (pr.base?.ref !== service.branch) {
+    return { ignored: true, reason: `PR targets '${pr.base?.ref}', watching '${service.branch}'` };
+  }
+
+  // Fork branches can't be cloned from the service's repository, and would run
+  // untrusted code with the service's env vars
+  if (pr.head?.repo?.full_name !== pr.base?.repo?.full_name) {
+    return { ignored: true, reason: 'Pull requests from forks are not previewed' };
+  }
+
+  const { preview, deployments } = await syncPreview(db, service, pr);
+  return {
+    received: true,
+    preview: action === 'synchronize' ? 'updated' : 'created',
+    preview_id: preview.id,
+    pr_number: preview.pr_number,
+    commit_sha: preview.head_sha,
+    deployments,
+  };
+}
+
+/**
+ * Tear down previews that have not seen a pull request event within their TTL
+ * @param {object} db - Database connection
+ */
+async function cleanupExpiredPreviews(db) {
+  try {
+    const result = await db.query('SELECT * FROM previews WHERE expires_at < NOW()');
+
+    for (const preview of result.rows) {
+      try {
+        logger.info(`Preview for PR #${preview.pr_number} expired`);
+        await teardownPreview(db, preview);
+      } catch (err) {
+        logger.error(`Failed to tear down expired preview ${preview.id}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error(`Failed to clean up expired previews: ${err.message}`);
+  }
+}
+
+/**
+ * Start the expired preview cleanup loop
+ * @param {object} db - Database connection
+ */
+export function startPreviewCleanup(db) {
+  if (cleanupInterval) {
+    logger.warn('Preview cleanup already running');
+    return;
+  }
+
+  cleanupInterval = setInterval(() => cleanupExpiredPreviews(db), PREVIEW_CLEANUP_INTERVAL);
+  logger.info(`Preview cleanup started with ${PREVIEW_CLEANUP_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop the expired preview cleanup loop
+ */
+export function stopPreviewCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+  logger.info('Preview cleanup stopped');
+}
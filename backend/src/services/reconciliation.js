@@ -1,5 +1,6 @@
 import { listManagedNamespaces, deleteNamespace, createNamespace } from './kubernetes.js';
 import logger from './logger.js';
+import { sendDriftNotification } from './notifications.js';
 
 /**
  * Reconciliation service for maintaining consistency between
@@ -218,6 +219,16 @@ export async function runStartupHealthCheck(db) {
         count: health.ghostProjects.length,
         projects: health.ghostProjects.map(p => ({ name: p.name, id: p.id }))
       });
+
+      // Without the K8s API every project looks like a ghost, so only real drift is reported
+      if (!health.k8sError) {
+        for (const project of health.ghostProjects) {
+          await sendDriftNotification(db, { id: project.id, name: project.name, user_id: project.userId }, [{
+            type: 'namespace_missing',
+            detail: `Namespace ${project.name} is missing from the cluster`,
+          }]);
+        }
+      }
     }
 
     if (health.k8sError) {
@@ -0,0 +1,147 @@
+/**
+ * Release commands - run a service's release_command (e.g. `npm run migrate`) before deploy.
+ *
+ * The command runs once as a Kubernetes Job in the image about to be deployed, with the
+ * service's env vars. The build pipeline only moves traffic to the new image when it
+ * exits 0; otherwise the deployment fails with the job's logs and exit code.
+ */
+
+import { applyManifest, getJob, deleteJob, getPodHealth, getPodLogs } from './kubernetes.js';
+import { generateReleaseJobManifest } from './manifestGenerator.js';
+import { describeFatalPod } from './deploymentVerifier.js';
+import logger from './logger.js';
+
+const RELEASE_TIMEOUT = parseInt(process.env.RELEASE_TIMEOUT, 10) || 600000; // 10 minutes
+const RELEASE_POLL_INTERVAL = 5000; // 5 seconds
+const RELEASE_LOG_LINES = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Job name for a deployment's release command (at most 63 characters, so it fits the job-name label)
+ * @param {string} serviceName - Service name
+ * @param {string} deploymentId - Deployment UUID
+ * @returns {string} Job name
+ */
+function generateReleaseJobName(serviceName, deploymentId) {
+  return `release-${serviceName.slice(0, 45).replace(/-+$/, '')}-${deploymentId.substring(0, 8)}`;
+}
+
+/**
+ * Capture the release container's logs
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} podName - Job pod name
+ * @returns {Promise<string>} Logs, or a placeholder if they can't be read
+ */
+async function captureReleaseLogs(namespace, podName) {
+  try {
+    const logs = await getPodLogs(namespace, podName, { container: 'release', tailLines: RELEASE_LOG_LINES });
+    return logs || '(no output)';
+  } catch (err) {
+    logger.debug('Could not retrieve release command logs', { namespace, pod: podName, error: err.message });
+    return '(no logs available)';
+  }
+}
+
+/**
+ * Delete a finished release job and its pod
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} jobName - Job name
+ */
+async function cleanupReleaseJob(namespace, jobName) {
+  try {
+    await deleteJob(namespace, jobName);
+  } catch (err) {
+    // Log but don't fail - ttlSecondsAfterFinished removes it eventually
+    if (err.status !== 404) {
+      logger.warn('Failed to cleanup release job', { namespace, jobName, error: err.message });
+    }
+  }
+}
+
+/**
+ * Run a service's release command in the image about to be deployed and wait for it
+ * @param {object} service - Service row with release_command set
+ * @param {object} deployment - Deployment row
+ * @param {object} manifestOptions - Deployment manifest options (namespace, image, resources, env refs)
+ * @returns {Promise<{success: boolean, logs: string, reason?: string}>}
+ */
+export async function runReleaseCommand(service, deployment, manifestOptions) {
+  const { namespace } = manifestOptions;
+  const jobName = generateReleaseJobName(service.name, deployment.id);
+  const timeoutSeconds = Math.ceil(RELEASE_TIMEOUT / 1000);
+
+  // A retried deploy reuses the job name; start from a clean slate
+  await cleanupReleaseJob(namespace, jobName);
+
+  await applyManifest(generateReleaseJobManifest({
+    namespace,
+    jobName,
+    serviceName: service.name,
+    image: manifestOptions.image,
+    command: service.release_command,
+    resources: manifestOptions.resources,
+    envSecretName: manifestOptions.envSecretName,
+    envConfigMapName: manifestOptions.envConfigMapName,
+    timeoutSeconds,
+  }));
+
+  logger.info('Running release command', { service: service.name, deploymentId: deployment.id, jobName });
+
+  // Give Kubernetes a moment past activeDeadlineSeconds to mark the job failed
+  const deadline = Date.now() + RELEASE_TIMEOUT + 30000;
+  let result = null;
+
+  while (!result && Date.now() < deadline) {
+    await sleep(RELEASE_POLL_INTERVAL);
+
+    let job;
+    try {
+      job = await getJob(namespace, jobName);
+    } catch (err) {
+      if (err.status === 404) {
+        continue;
+      }
+      throw err;
+    }
+
+    const status = job.status || {};
+    const pod = (await getPodHealth(namespace, `job-name=${jobName}`))[0];
+
+    if (status.succeeded >= 1) {
+      result = { success: true, logs: pod ? await captureReleaseLogs(namespace, pod.name) : '' };
+    } else if (status.failed >= 1 || status.conditions?.some(c => c.type === 'Failed' && c.status === 'True')) {
+      const deadlineExceeded = status.conditions?.some(c => c.reason === 'DeadlineExceeded');
+      result = {
+        success: false,
+        logs: pod ? await captureReleaseLogs(namespace, pod.name) : '',
+        reason: deadlineExceeded
+          ? `Release command did not finish within ${timeoutSeconds} seconds`
+          : `Release command exited with code ${pod?.terminatedExitCode ?? 'unknown'}`,
+      };
+    } else if (pod) {
+      // The image can't be pulled or the env Secret is missing - the job would sit until its deadline
+      const fatal = describeFatalPod([pod]);
+      if (fatal) {
+        result = { success: false, logs: '', reason: `Release command could not start: ${fatal}` };
+      }
+    }
+  }
+
+  if (!result) {
+    result = { success: false, logs: '', reason: `Release command did not finish within ${timeoutSeconds} seconds` };
+  }
+
+  await cleanupReleaseJob(namespace, jobName);
+
+  logger.info('Release command finished', {
+    service: service.name,
+    deploymentId: deployment.id,
+    success: result.success,
+    reason: result.reason,
+  });
+
+  return result;
+}
@@ -0,0 +1,158 @@
+/**
+ * Service resources - CPU/memory presets, validation and conversion to Kubernetes specs.
+ *
+ * Services store requests and limits as Kubernetes quantity strings plus the preset they
+ * came from ('custom' once edited by hand). Build jobs only pick a preset.
+ */
+
+// Upper bounds for a single container; keeps one service from requesting a whole node
+const MAX_CPU_MILLICORES = parseInt(process.env.MAX_SERVICE_CPU_MILLICORES || '4000', 10);
+const MAX_MEMORY_MI = parseInt(process.env.MAX_SERVICE_MEMORY_MI || '8192', 10);
+
+export const RESOURCE_FIELDS = ['cpu_request', 'cpu_limit', 'memory_request', 'memory_limit'];
+
+export const CUSTOM_PRESET = 'custom';
+
+export const RESOURCE_PRESETS = {
+  nano: { cpu_request: '100m', cpu_limit: '250m', memory_request: '128Mi', memory_limit: '128Mi' },
+  small: { cpu_request: '250m', cpu_limit: '250m', memory_request: '256Mi', memory_limit: '256Mi' },
+  medium: { cpu_request: '250m', cpu_limit: '1', memory_request: '512Mi', memory_limit: '1Gi' },
+  large: { cpu_request: '500m', cpu_limit: '2', memory_request: '1Gi', memory_limit: '2Gi' },
+  xlarge: { cpu_request: '1', cpu_limit: '2', memory_request: '2Gi', memory_limit: '4Gi' },
+};
+
+export const BUILD_RESOURCE_PRESETS = {
+  small: { cpu_request: '250m', cpu_limit: '1', memory_request: '1Gi', memory_limit: '2Gi' },
+  standard: { cpu_request: '500m', cpu_limit: '2', memory_request: '2Gi', memory_limit: '4Gi' },
+  large: { cpu_request: '1', cpu_limit: '4', memory_request: '4Gi', memory_limit: '8Gi' },
+};
+
+const CPU_REGEX = /^(\d+m|\d+(\.\d{1,3})?)$/;
+const MEMORY_REGEX = /^\d+(Mi|Gi)$/;
+
+/**
+ * Parse a CPU quantity ("250m", "1", "0.5") into millicores
+ * @param {string} value - CPU quantity
+ * @returns {number|null} Millicores, or null if not a supported quantity
+ */
+export function parseCpu(value) {
+  if (typeof value !== 'string' || !CPU_REGEX.test(value)) return null;
+  return value.endsWith('m') ? parseInt(value, 10) : Math.round(parseFloat(value) * 1000);
+}
+
+/**
+ * Parse a memory quantity ("256Mi", "2Gi") into MiB
+ * @param {string} value - Memory quantity
+ * @returns {number|null} MiB, or null if not a supported quantity
+ */
+export function parseMemory(value) {
+  if (typeof value !== 'string' || !MEMORY_REGEX.test(value)) return null;
+  const amount = parseInt(value, 10);
+  return value.endsWith('Gi') ? amount * 1024 : amount;
+}
+
+/**
+ * Validate a set of requests/limits
+ * @param {object} resources - cpu_request, cpu_limit, memory_request, memory_limit
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateResources(resources) {
+  const cpuRequest = parseCpu(resources.cpu_request);
+  const cpuLimit = parseCpu(resources.cpu_limit);
+  const memoryRequest = parseMemory(resources.memory_request);
+  const memoryLimit = parseMemory(resources.memory_limit);
+
+  if (cpuRequest === null || cpuLimit === null) {
+    return { valid: false, error: 'CPU must be millicores (e.g. "250m") or cores (e.g. "1", "0.5")' };
+  }
+  if (memoryRequest === null || memoryLimit === null) {
+    return { valid: false, error: 'Memory must be in Mi or Gi (e.g. "512Mi", "1Gi")' };
+  }
+  if (cpuRequest < 10 || memoryRequest < 32) {
+    return { valid: false, error: 'Requests must be at least 10m CPU and 32Mi memory' };
+  }
+  if (cpuRequest > cpuLimit) {
+    return { valid: false, error: 'cpu_request cannot be greater than cpu_limit' };
+  }
+  if (memoryRequest > memoryLimit) {
+    return { valid: false, error: 'memory_request cannot be greater than memory_limit' };
+  }
+  if (cpuLimit > MAX_CPU_MILLICORES) {
+    return { valid: false, error: `cpu_limit cannot exceed ${MAX_CPU_MILLICORES}m` };
+  }
+  if (memoryLimit > MAX_MEMORY_MI) {
+    return { valid: false, error: `memory_limit cannot exceed ${MAX_MEMORY_MI}Mi` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Work out a service's resource columns after a PATCH.
+ * A named preset sets all four values; explicit values are applied on top of it, and the
+ * preset is then whichever one matches exactly, or 'custom'.
+ * @param {object} current - Current service row
+ * @param {object} body - Request body
+ * @returns {{updates: object|null, error?: string}} Column updates, or null if nothing changed
+ */
+export function resolveResourceUpdate(current, body) {
+  const explicit = RESOURCE_FIELDS.filter(field => body[field] !== undefined);
+  if (body.resource_preset === undefined && explicit.length === 0) {
+    return { updates: null };
+  }
+
+  let values = Object.fromEntries(RESOURCE_FIELDS.map(field => [field, current[field]]));
+
+  if (body.resource_preset !== undefined && body.resource_preset !== CUSTOM_PRESET) {
+    values = { ...RESOURCE_PRESETS[body.resource_preset] };
+  }
+  for (const field of explicit) {
+    values[field] = body[field];
+  }
+
+  const validation = validateResources(values);
+  if (!validation.valid) {
+    return { updates: null, error: validation.error };
+  }
+
+  const matching = Object.entries(RESOURCE_PRESETS)
+    .find(([, preset]) => RESOURCE_FIELDS.every(field => preset[field] === values[field]));
+
+  return {
+    updates: { ...values, resource_preset: matching ? matching[0] : CUSTOM_PRESET },
+  };
+}
+
+/**
+ * Convert resource columns to a container resources spec
+ * @param {object} values - cpu_request, cpu_limit, memory_request, memory_limit
+ * @returns {{requests: {cpu: string, memory: string}, limits: {cpu: string, memory: string}}}
+ */
+export function toContainerResources(values) {
+  return {
+    requests: { memory: values.memory_request, cpu: values.cpu_request },
+    limits: { memory: values.memory_limit, cpu: values.cpu_limit },
+  };
+}
+
+/**
+ * Container resources for a service's pods
+ * @param {object} service - Service row
+ * @returns {object} Container resources spec
+ */
+export function getServiceResources(service) {
+  const values = RESOURCE_FIELDS.every(field => service[field])
+    ? service
+    : RESOURCE_PRESETS.small;
+  return toContainerResources(values);
+}
+
+/**
+ * Container resources for a service's build job
+ * @param {object} service - Service row
+ * @returns {object} Container resources spec
+ */
+export function getBuildResources(service) {
+  const preset = BUILD_RESOURCE_PRESETS[service.build_resource_preset] || BUILD_RESOURCE_PRESETS.standard;
+  return toContainerResources(preset);
+}
@@ -0,0 +1,669 @@
+/**
+ * Rollouts - blue-green and canary deployments
+ *
+ * Services with deploy_strategy 'blue-green' or 'canary' don't update their Deployment in
+ * place. deployService starts the new version next to the running one as <service>--next
+ * (its own Deployment and Service) and leaves the deployment to the rollout loop here,
+ * which moves it through rollout_phase:
+ *
+ *   starting   <service>--next is coming up. It gets traffic once its pods are ready and
+ *              its health check passes.
+ *   canary     A Traefik IngressRoute per host sends traffic_weight percent of requests to
+ *              <service>--next, stepping up by canary_step every canary_interval_minutes.
+ *   switched   (blue-green) The service's Service selects the <service>--next pods. The old
+ *              pods stay warm for BLUE_GREEN_HOLD so an abort switches straight back.
+ *   promoting  The service's own Deployment is updated to the new image. Once it has rolled
+ *              out, traffic goes back to it and <service>--next is removed.
+ *
+ * Promote and abort are also manual actions (POST /services/:id/rollout/promote|abort), and
+ * a crashing or unhealthy new version aborts on its own. Progress goes out on the
+ * deployment:<id>:status channel. All state is in the deployments table, so a rollout
+ * carries on after a backend restart.
+ */
+
+import crypto from 'crypto';
+import {
+  applyManifest,
+  getDeployment,
+  deleteDeployment,
+  deleteService,
+  patchService,
+  patchDeployment,
+  getPodHealth,
+  upsertIngressRoute,
+  deleteIngressRoutes,
+} from './kubernetes.js';
+import {
+  generateDeploymentManifest,
+  generateServiceManifest,
+  generateCanaryRouteManifest,
+} from './manifestGenerator.js';
+import { describeFatalPod, getRolloutProgress } from './deploymentVerifier.js';
+import { checkHealthUrl } from './healthChecker.js';
+import { updateDeploymentStatus } from './deploymentService.js';
+import { sendDeploymentNotification } from './notifications.js';
+import appEvents from './event-emitter.js';
+import logger from './logger.js';
+
+const BASE_DOMAIN = process.env.BASE_DOMAIN || '192.168.1.124.nip.io';
+const ROLLOUT_CHECK_INTERVAL = parseInt(process.env.ROLLOUT_CHECK_INTERVAL, 10) || 10000; // 10 seconds
+const ROLLOUT_TIMEOUT = parseInt(process.env.ROLLOUT_TIMEOUT, 10) || 600000; // 10 minutes
+const BLUE_GREEN_HOLD = parseInt(process.env.BLUE_GREEN_HOLD, 10) || 600000; // 10 minutes
+const MAX_HEALTH_FAILURES = 3;
+
+export const DEPLOY_STRATEGIES = ['rolling', 'blue-green', 'canary'];
+export const ACTIVE_ROLLOUT_PHASES = ['starting', 'canary', 'switched', 'promoting'];
+
+// Consecutive failed health checks of the new version, per deployment
+const healthFailures = new Map(); // deploymentId -> count
+
+// Work in progress per deployment, so the loop and promote/abort requests take turns
+const locks = new Map(); // deploymentId -> Promise
+
+let checkInterval = null;
+let checking = false;
+
+/**
+ * Name of the Deployment and Service running the new version during a rollout. Service,
+ * preview and add-on names can't contain '--', so this is never the name of one of them.
+ * @param {string} serviceName - Service name
+ * @returns {string} <service>--next, or for a name too long for that, its first 48
+ *   characters and a hash of the whole name (at most 63 characters)
+ */
+export function candidateName(serviceName) {
+  const name = `${serviceName}--next`;
+  if (name.length <= 63) {
+    return name;
+  }
+  const hash = crypto.createHash('sha256').update(serviceName).digest('hex').slice(0, 8);
+  return `${serviceName.slice(0, 48)}--${hash}`;
+}
+
+/**
+ * Compute a hash for the domain (used in ingress and secret names)
+ */
+function computeDomainHash(domain) {
+  return crypto.createHash('md5').update(domain).digest('hex').substring(0, 8);
+}
+
+/**
+ * Run fn once any earlier work on the same deployment has finished
+ * @param {string} deploymentId - Deployment UUID
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} Result of fn
+ */
+function withLock(deploymentId, fn) {
+  const previous = locks.get(deploymentId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  locks.set(deploymentId, next);
+  next.catch(() => {}).finally(() => {
+    if (locks.get(deploymentId) === next) {
+      locks.delete(deploymentId);
+    }
+  });
+  return next;
+}
+
+/**
+ * Pick how a deployment is rolled out. Rollbacks, services with storage (a volume can only
+ * be mounted by one version) and services with nothing running yet roll in place.
+ * @param {object} service - Service row
+ * @param {object} deployment - Deployment row
+ * @param {string} namespace - Kubernetes namespace
+ * @returns {Promise<string>} 'rolling', 'blue-green' or 'canary'
+ */
+export async function getDeployStrategy(service, deployment, namespace) {
+  if (!service.deploy_strategy || service.deploy_strategy === 'rolling' || deployment.rollback_to || service.storage_gb) {
+    return 'rolling';
+  }
+
+  try {
+    const current = await getDeployment(namespace, service.name);
+    if ((current.spec?.replicas || 0) === 0) {
+      // Stopped or sleeping - no traffic to protect
+      return 'rolling';
+    }
+  } catch (err) {
+    if (err.status === 404) {
+      return 'rolling';
+    }
+    throw err;
+  }
+
+  return service.deploy_strategy;
+}
+
+/**
+ * Get the deployment whose rollout is in progress for a service
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Service UUID
+ * @returns {Promise<object|null>} Deployment row or null
+ */
+export async function getActiveRollout(db, serviceId) {
+  const result = await db.query(
+    `SELECT * FROM deployments
+     WHERE service_id = $1 AND rollout_phase = ANY($2)
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [serviceId, ACTIVE_ROLLOUT_PHASES]
+  );
+  return result.rows[0] || null;
+}
+
+async function getDeploymentRow(db, deploymentId) {
+  const result = await db.query('SELECT * FROM deployments WHERE id = $1', [deploymentId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a rollout's phase and traffic weight, and send it to the deployment's channel
+ */
+async function setRolloutState(db, deployment, phase, weight, message) {
+  await db.query(
+    `UPDATE deployments
+     SET rollout_phase = $1, traffic_weight = $2, rollout_updated_at = NOW()
+     WHERE id = $3`,
+    [phase, weight, deployment.id]
+  );
+
+  appEvents.emitDeploymentStatus(deployment.id, {
+    status: 'deploying',
+    previousStatus: 'deploying',
+    rollout: { strategy: deployment.rollout_strategy, phase, weight },
+    message,
+  });
+}
+
+/**
+ * Apply a manifest, replacing a Deployment left over from an earlier rollout
+ */
+async function replaceDeployment(manifest) {
+  try {
+    await applyManifest(manifest);
+  } catch (error) {
+    if (error.status !== 409) {
+      throw error;
+    }
+    await deleteDeployment(manifest.metadata.namespace, manifest.metadata.name);
+    await applyManifest(manifest);
+  }
+}
+
+/**
+ * Point the service's hosts at both versions, sending weight percent to the new one
+ */
+async function applyCanaryWeight(db, service, namespace, weight) {
+  const routes = [{
+    routeName: `${service.name}-canary`,
+    host: `${service.project_name}-${service.name}.${BASE_DOMAIN}`,
+  }];
+
+  const domains = await db.query(
+    'SELECT domain FROM custom_domains WHERE service_id = $1 AND verified = true',
+    [service.id]
+  );
+  for (const { domain } of domains.rows) {
+    const domainHash = computeDomainHash(domain);
+    routes.push({
+      routeName: `${service.name}-canary-${domainHash}`,
+      host: domain,
+      tlsSecretName: `${service.name}-${domainHash}-tls`,
+    });
+  }
+
+  for (const route of routes) {
+    await upsertIngressRoute(generateCanaryRouteManifest({
+      namespace,
+      serviceName: service.name,
+      canaryServiceName: candidateName(service.name),
+      port: service.port,
+      canaryWeight: weight,
+      ...route,
+    }));
+  }
+}
+
+/**
+ * Send all traffic back to the service's own Deployment
+ */
+async function restoreTraffic(service, namespace, strategy) {
+  if (strategy === 'canary') {
+    await deleteIngressRoutes(namespace, `app=${service.name},managed-by=dangus-cloud`);
+  } else {
+    await patchService(namespace, service.name, { spec: { selector: { app: service.name } } });
+  }
+}
+
+/**
+ * Delete <service>--next. Missing objects are skipped.
+ */
+async function removeCandidate(service, namespace) {
+  const name = candidateName(service.name);
+  for (const remove of [() => deleteDeployment(namespace, name), () => deleteService(namespace, name)]) {
+    try {
+      await remove();
+    } catch (err) {
+      if (err.status !== 404) {
+        throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Check the new version: its pods must not be stuck, and once they are all ready its
+ * health check must pass
+ * @returns {Promise<{ready: boolean, reason?: string}>}
+ */
+async function checkCandidate(service, namespace, deploymentId) {
+  const name = candidateName(service.name);
+
+  let k8sDeployment;
+  try {
+    k8sDeployment = await getDeployment(namespace, name);
+  } catch (err) {
+    if (err.status === 404) {
+      return { ready: false, reason: `${name} no longer exists` };
+    }
+    throw err;
+  }
+
+  const fatal = describeFatalPod(await getPodHealth(namespace, `app=${name}`));
+  if (fatal) {
+    return { ready: false, reason: fatal };
+  }
+
+  if (!getRolloutProgress(k8sDeployment).complete) {
+    return { ready: false };
+  }
+
+  if (service.health_check_path) {
+    const health = await checkHealthUrl(
+      `http://${name}.${namespace}.svc.cluster.local:${service.port}${service.health_check_path}`
+    );
+    if (health.status !== 'healthy') {
+      const failures = (healthFailures.get(deploymentId) || 0) + 1;
+      healthFailures.set(deploymentId, failures);
+      if (failures >= MAX_HEALTH_FAILURES) {
+        return {
+          ready: false,
+          reason: `Health check ${service.health_check_path} failed ${failures} times in a row (${health.error || `HTTP ${health.statusCode}`})`,
+        };
+      }
+      return { ready: false };
+    }
+    healthFailures.delete(deploymentId);
+  }
+
+  return { ready: true };
+}
+
+async function loadService(db, serviceId) {
+  const result = await db.query(
+    `SELECT s.*, p.name AS project_name, p.user_id AS project_user_id
+     FROM services s
+     JOIN projects p ON s.project_id = p.id
+     WHERE s.id = $1`,
+    [serviceId]
+  );
+  return result.rows[0] || null;
+}
+
+async function notify(db, service, deploymentId) {
+  try {
+    const deployment = await getDeploymentRow(db, deploymentId);
+    await sendDeploymentNotification(db, deployment, service, {
+      id: service.project_id,
+      name: service.project_name,
+      user_id: service.project_user_id,
+    });
+  } catch (err) {
+    logger.error('Failed to send deployment notification', { error: err.message });
+  }
+}
+
+/**
+ * Start a blue-green or canary rollout: run the new version as <service>--next and hand the
+ * deployment to the rollout loop. Any rollout already in progress for the service is cancelled.
+ * @param {object} db - Database connection
+ * @param {object} service - Service row
+ * @param {object} deployment - Deployment row
+ * @param {string} strategy - 'blue-green' or 'canary'
+ * @param {object} manifestOptions - generateDeploymentManifest options for the service
+ * @returns {Promise<void>}
+ */
+export async function startRollout(db, service, deployment, strategy, manifestOptions) {
+  const { namespace } = manifestOptions;
+  const name = candidateName(service.name);
+
+  await cancelActiveRollouts(db, service, namespace, `Superseded by deployment ${deployment.id}`);
+
+  // A canary only needs its share of the pods; blue-green brings up a full copy
+  const replicas = strategy === 'canary'
+    ? Math.max(1, Math.ceil(manifestOptions.replicas * service.canary_weight / 100))
+    : manifestOptions.replicas;
+
+  await replaceDeployment(generateDeploymentManifest({ ...manifestOptions, serviceName: name, replicas }));
+
+  try {
+    await applyManifest(generateServiceManifest({ namespace, serviceName: name, port: service.port }));
+  } catch (error) {
+    if (error.status !== 409) {
+      throw error;
+    }
+  }
+
+  await db.query('UPDATE deployments SET rollout_strategy = $1 WHERE id = $2', [strategy, deployment.id]);
+  await setRolloutState(
+    db,
+    { ...deployment, rollout_strategy: strategy },
+    'starting',
+    0,
+    `Starting ${name} for ${strategy} rollout`
+  );
+
+  logger.info('Rollout started', { deploymentId: deployment.id, service: service.name, strategy });
+}
+
+/**
+ * Move all traffic to the new version and update the service's own Deployment to it
+ */
+async function beginPromotion(db, service, namespace, deployment) {
+  const candidate = await getDeployment(namespace, candidateName(service.name));
+  const template = candidate.spec.template;
+
+  await patchDeployment(namespace, service.name, {
+    spec: {
+      template: {
+        metadata: { annotations: template.metadata?.annotations || {} },
+        spec: { containers: [{ name: service.name, image: template.spec.containers[0].image }] },
+      },
+    },
+  });
+
+  if (deployment.rollout_strategy === 'canary') {
+    await applyCanaryWeight(db, service, namespace, 100);
+  }
+
+  await setRolloutState(db, deployment, 'promoting', 100, `Promoting: updating ${service.name} to the new version`);
+}
+
+/**
+ * Finish a promoted rollout once the service's own Deployment runs the new version
+ */
+async function completeRollout(db, service, namespace, deployment) {
+  await restoreTraffic(service, namespace, deployment.rollout_strategy);
+  await removeCandidate(service, namespace);
+
+  await db.query(
+    `UPDATE deployments SET rollout_phase = 'complete', rollout_updated_at = NOW() WHERE id = $1`,
+    [deployment.id]
+  );
+  await updateDeploymentStatus(db, deployment.id, 'live');
+  healthFailures.delete(deployment.id);
+
+  appEvents.emitDeploymentStatus(deployment.id, {
+    status: 'live',
+    previousStatus: 'deploying',
+    imageTag: deployment.image_tag,
+    rollout: { strategy: deployment.rollout_strategy, phase: 'complete', weight: 100 },
+    message: 'Rollout complete',
+  });
+
+  logger.info('Rollout complete', { deploymentId: deployment.id, service: service.name });
+  await notify(db, service, deployment.id);
+}
+
+/**
+ * Send traffic back to the old version, remove the new one and fail the deployment
+ */
+async function failRollout(db, service, namespace, deployment, reason) {
+  await restoreTraffic(service, namespace, deployment.rollout_strategy);
+
+  // The service's Deployment was already moving to the new image; put the old one back
+  if (deployment.rollout_phase === 'promoting') {
+    const previous = await db.query(
+      `SELECT image_tag FROM deployments
+       WHERE service_id = $1 AND status = 'live' AND image_tag IS NOT NULL AND created_at < $2
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [service.id, deployment.created_at]
+    );
+    if (previous.rows[0]) {
+      await patchDeployment(namespace, service.name, {
+        spec: { template: { spec: { containers: [{ name: service.name, image: previous.rows[0].image_tag }] } } },
+      });
+    }
+  }
+
+  await removeCandidate(service, namespace);
+
+  await db.query(
+    `UPDATE deployments SET rollout_phase = 'aborted', rollout_updated_at = NOW() WHERE id = $1`,
+    [deployment.id]
+  );
+  await updateDeploymentStatus(db, deployment.id, 'failed', {
+    failure_reason: reason,
+    build_logs: (deployment.build_logs || '') + `\n\nRollout aborted: ${reason}`,
+  });
+  healthFailures.delete(deployment.id);
+
+  appEvents.emitDeploymentStatus(deployment.id, {
+    status: 'failed',
+    previousStatus: 'deploying',
+    reason,
+    rollout: { strategy: deployment.rollout_strategy, phase: 'aborted', weight: 0 },
+    message: `Rollout aborted: ${reason}`,
+  });
+
+  logger.warn('Rollout aborted', { deploymentId: deployment.id, service: service.name, reason });
+}
+
+/**
+ * Take one step of a rollout
+ */
+async function advanceRollout(db, deploymentId) {
+  const deployment = await getDeploymentRow(db, deploymentId);
+  if (!deployment || !ACTIVE_ROLLOUT_PHASES.includes(deployment.rollout_phase)) {
+    return;
+  }
+
+  const service = await loadService(db, deployment.service_id);
+  if (!service) {
+    return;
+  }
+
+  const namespace = service.project_name;
+  const elapsed = Date.now() - new Date(deployment.rollout_updated_at).getTime();
+
+  if (deployment.rollout_phase === 'promoting') {
+    const primary = await getDeployment(namespace, service.name);
+    if (getRolloutProgress(primary).complete) {
+      await completeRollout(db, service, namespace, deployment);
+    } else if (elapsed > ROLLOUT_TIMEOUT) {
+      await failRollout(db, service, namespace, deployment,
+        `${service.name} did not finish updating within ${Math.round(ROLLOUT_TIMEOUT / 60000)} minutes`);
+      await notify(db, service, deployment.id);
+    }
+    return;
+  }
+
+  const check = await checkCandidate(service, namespace, deployment.id);
+  if (check.reason) {
+    await failRollout(db, service, namespace, deployment, check.reason);
+    await notify(db, service, deployment.id);
+    return;
+  }
+
+  if (deployment.rollout_phase === 'starting') {
+    if (!check.ready) {
+      if (elapsed > ROLLOUT_TIMEOUT) {
+        await failRollout(db, service, namespace, deployment,
+          `${candidateName(service.name)} did not become ready within ${Math.round(ROLLOUT_TIMEOUT / 60000)} minutes`);
+        await notify(db, service, deployment.id);
+      }
+      return;
+    }
+
+    if (deployment.rollout_strategy === 'canary') {
+      await applyCanaryWeight(db, service, namespace, service.canary_weight);
+      await setRolloutState(db, deployment, 'canary', service.canary_weight,
+        `Canary receiving ${service.canary_weight}% of traffic`);
+    } else {
+      await patchService(namespace, service.name, { spec: { selector: { app: candidateName(service.name) } } });
+      await setRolloutState(db, deployment, 'switched', 100,
+        'Traffic switched to the new version; previous version kept warm');
+    }
+    return;
+  }
+
+  if (deployment.rollout_phase === 'canary') {
+    // Don't step up while a pod is restarting or the health check is failing
+    if (!check.ready || elapsed < service.canary_interval_minutes * 60000) {
+      return;
+    }
+
+    const weight = Math.min(100, deployment.traffic_weight + service.canary_step);
+    if (weight >= 100) {
+      await beginPromotion(db, service, namespace, deployment);
+    } else {
+      await applyCanaryWeight(db, service, namespace, weight);
+      await setRolloutState(db, deployment, 'canary', weight, `Canary receiving ${weight}% of traffic`);
+    }
+    return;
+  }
+
+  if (deployment.rollout_phase === 'switched' && elapsed >= BLUE_GREEN_HOLD) {
+    await beginPromotion(db, service, namespace, deployment);
+  }
+}
+
+/**
+ * Promote a rollout now: skip the remaining canary steps or the blue-green hold
+ * @param {object} db - Database connection
+ * @param {string} deploymentId - Deployment UUID
+ * @returns {Promise<{error?: string}>} error when the rollout can't be promoted
+ */
+export function promoteRollout(db, deploymentId) {
+  return withLock(deploymentId, async () => {
+    const deployment = await getDeploymentRow(db, deploymentId);
+    if (!['canary', 'switched'].includes(deployment?.rollout_phase)) {
+      return {
+        error: deployment?.rollout_phase === 'starting'
+          ? 'The new version is not receiving traffic yet'
+          : 'This deployment has no rollout to promote',
+      };
+    }
+
+    const service = await loadService(db, deployment.service_id);
+    await beginPromotion(db, service, service.project_name, deployment);
+    logger.info('Rollout promoted', { deploymentId, service: service.name });
+    return {};
+  });
+}
+
+/**
+ * Abort a rollout: traffic goes back to the current version and the deployment fails
+ * @param {object} db - Database connection
+ * @param {string} deploymentId - Deployment UUID
+ * @param {string} reason - Recorded as the deployment's failure_reason
+ * @returns {Promise<{error?: string}>} error when the rollout can't be aborted
+ */
+export function abortRollout(db, deploymentId, reason) {
+  return withLock(deploymentId, async () => {
+    const deployment = await getDeploymentRow(db, deploymentId);
+    if (!['starting', 'canary', 'switched'].includes(deployment?.rollout_phase)) {
+      return {
+        error: deployment?.rollout_phase === 'promoting'
+          ? 'The rollout is already being promoted'
+          : 'This deployment has no rollout to abort',
+      };
+    }
+
+    const service = await loadService(db, deployment.service_id);
+    await failRollout(db, service, service.project_name, deployment, reason);
+    await notify(db, service, deploymentId);
+    return {};
+  });
+}
+
+/**
+ * Abort every rollout in progress for a service, e.g. before a newer deployment or when
+ * the service is stopped
+ * @param {object} db - Database connection
+ * @param {object} service - Service row
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} reason - Recorded as each deployment's failure_reason
+ * @returns {Promise<void>}
+ */
+export async function cancelActiveRollouts(db, service, namespace, reason) {
+  const result = await db.query(
+    'SELECT id FROM deployments WHERE service_id = $1 AND rollout_phase = ANY($2)',
+    [service.id, ACTIVE_ROLLOUT_PHASES]
+  );
+
+  for (const { id } of result.rows) {
+    await withLock(id, async () => {
+      const deployment = await getDeploymentRow(db, id);
+      if (ACTIVE_ROLLOUT_PHASES.includes(deployment.rollout_phase)) {
+        const fullService = await loadService(db, service.id);
+        await failRollout(db, fullService, namespace, deployment, reason);
+      }
+    });
+  }
+}
+
+/**
+ * Advance every rollout in progress
+ * @param {object} db - Database connection
+ */
+export async function checkRollouts(db) {
+  if (checking) {
+    return;
+  }
+  checking = true;
+
+  try {
+    const result = await db.query(
+      'SELECT id FROM deployments WHERE rollout_phase = ANY($1) ORDER BY created_at',
+      [ACTIVE_ROLLOUT_PHASES]
+    );
+
+    for (const { id } of result.rows) {
+      try {
+        await withLock(id, () => advanceRollout(db, id));
+      } catch (err) {
+        logger.error('Failed to advance rollout', { deploymentId: id, error: err.message });
+      }
+    }
+  } catch (err) {
+    logger.error('Rollout check failed', { error: err.message });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the rollout loop
+ * @param {object} db - Database connection
+ */
+export function startRolloutLoop(db) {
+  if (checkInterval) {
+    logger.warn('Rollout loop already running');
+    return;
+  }
+
+  checkInterval = setInterval(() => checkRollouts(db), ROLLOUT_CHECK_INTERVAL);
+  logger.info(`Rollout loop started with ${ROLLOUT_CHECK_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop the rollout loop
+ */
+export function stopRolloutLoop() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+  }
+  logger.info('Rollout loop stopped');
+}
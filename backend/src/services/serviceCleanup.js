@@ -0,0 +1,69 @@
+/**
+ * Service cleanup - removes the Kubernetes objects a service owns. Used when a service is
+ * deleted and when preview copies are torn down. The caller deletes the database row.
+ */
+
+import { deleteDeployment, deleteService, deleteIngress, deletePVC, listPVCs, deleteIngressRoutes, deletePortRoutes, deleteCronJob } from './kubernetes.js';
+import { deleteEnvResources } from './serviceEnv.js';
+import { deleteAutoscaler } from './autoscaling.js';
+import { candidateName } from './rollouts.js';
+import { getStorageClaimName } from './backups.js';
+import logger from './logger.js';
+
+/**
+ * Delete the claims of a service other than its current one
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row
+ */
+async function deleteRestoreClaims(namespace, service) {
+  const claims = (await listPVCs(namespace, `app=${service.name}`)).items || [];
+  for (const claim of claims) {
+    if (claim.metadata.name !== getStorageClaimName(service)) {
+      await deletePVC(namespace, claim.metadata.name);
+    }
+  }
+}
+
+/**
+ * Delete a service's Deployment, Service, Ingress, PVC, env Secret/ConfigMap, HPA,
+ * CronJob (with its Jobs) and TCP/UDP routes, plus the <service>--next Deployment/Service and canary routes of an unfinished rollout.
+ * Missing objects are skipped and other failures are logged, so this never throws.
+ * @param {string} namespace - Kubernetes namespace
+ * @param {object} service - Service row (name, storage_gb)
+ */
+export async function deleteServiceResources(namespace, service) {
+  const k8sDeletes = [
+    { name: 'deployment', fn: () => deleteDeployment(namespace, service.name) },
+    { name: 'service', fn: () => deleteService(namespace, service.name) },
+    { name: 'ingress', fn: () => deleteIngress(namespace, service.name) },
+    { name: 'env secret/configmap', fn: () => deleteEnvResources(namespace, service.name) },
+    { name: 'autoscaler', fn: () => deleteAutoscaler(namespace, service.name) },
+    { name: 'rollout deployment', fn: () => deleteDeployment(namespace, candidateName(service.name)) },
+    { name: 'rollout service', fn: () => deleteService(namespace, candidateName(service.name)) },
+    { name: 'canary routes', fn: () => deleteIngressRoutes(namespace, `app=${service.name},managed-by=dangus-cloud`) },
+    { name: 'port routes', fn: () => deletePortRoutes(namespace, `app=${service.name},managed-by=dangus-cloud`) },
+  ];
+
+  if (service.service_type === 'cron') {
+    k8sDeletes.push({ name: 'cronjob', fn: () => deleteCronJob(namespace, service.name) });
+  }
+
+  // Only delete PVCs if storage was configured. Besides the service's claim, a restore may
+  // be filling a new one and earlier restores keep the claims they replaced (see
+  // backups.js); all of them carry the service's app label.
+  if (service.storage_gb) {
+    k8sDeletes.push({ name: 'pvc', fn: () => deletePVC(namespace, getStorageClaimName(service)) });
+    k8sDeletes.push({ name: 'restore pvcs', fn: () => deleteRestoreClaims(namespace, service) });
+  }
+
+  for (const resource of k8sDeletes) {
+    try {
+      await resource.fn();
+      logger.info(`Deleted K8s ${resource.name}: ${service.name} in ${namespace}`);
+    } catch (k8sErr) {
+      if (k8sErr.status !== 404) {
+        logger.warn(`Failed to delete K8s ${resource.name}: ${k8sErr.message}`);
+      }
+    }
+  }
+}
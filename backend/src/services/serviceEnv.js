@@ -0,0 +1,158 @@
+/**
+ * Service environment - renders a service's env vars into Kubernetes objects.
+ *
+ * Secret variables go into a Secret (<service>-env), plain variables into a
+ * ConfigMap (<service>-config). The Deployment loads both with envFrom, so values
+ * never appear in the Deployment spec. A hash of the content is stored as a pod
+ * template annotation; changing it rolls the Deployment so pods pick up new values.
+ *
+ * Connection URLs of attached add-ons (see addons.js) are rendered as secret variables
+ * alongside the service's own.
+ */
+
+import crypto from 'crypto';
+import { decrypt } from './encryption.js';
+import { getAddonEnvVars } from './addons.js';
+import {
+  upsertSecret,
+  upsertConfigMap,
+  deleteSecret,
+  deleteConfigMap,
+  getDeployment,
+  patchDeployment,
+} from './kubernetes.js';
+import logger from './logger.js';
+
+export const ENV_HASH_ANNOTATION = 'dangus.cloud/env-hash';
+
+/**
+ * Names of the Kubernetes objects holding a service's environment
+ * @param {string} serviceName - Service name
+ * @returns {{secretName: string, configMapName: string}}
+ */
+export function getEnvResourceNames(serviceName) {
+  return {
+    secretName: `${serviceName}-env`,
+    configMapName: `${serviceName}-config`,
+  };
+}
+
+/**
+ * Get decrypted environment variables for a service, plus the connection URLs of its
+ * attached add-ons. A variable the service sets itself wins over an add-on's.
+ * @param {object} db - Database connection
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Array<{name: string, value: string, secret: boolean}>>}
+ */
+export async function getDecryptedEnvVars(db, serviceId) {
+  const result = await db.query(
+    'SELECT key, value, is_secret FROM env_vars WHERE service_id = $1 ORDER BY key',
+    [serviceId]
+  );
+
+  const envVars = result.rows.map(row => ({
+    name: row.key,
+    value: decrypt(row.value),
+    secret: row.is_secret,
+  }));
+
+  const names = new Set(envVars.map(v => v.name));
+  const addonVars = await getAddonEnvVars(db, serviceId);
+  return [...envVars, ...addonVars.filter(v => !names.has(v.name))];
+}
+
+/**
+ * Hash env var content. Order-independent; covers secret/plain placement too.
+ * @param {Array<{name: string, value: string, secret: boolean}>} envVars
+ * @returns {string} Short hex digest
+ */
+export function hashEnvVars(envVars) {
+  const canonical = [...envVars]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(v => [v.name, v.secret ? 's' : 'p', v.value]);
+
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Write the Secret and ConfigMap for a service
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} serviceName - Service name
+ * @param {Array<{name: string, value: string, secret: boolean}>} envVars - Decrypted env vars
+ * @returns {Promise<{secretName: string, configMapName: string, hash: string}>}
+ */
+export async function applyEnvResources(namespace, serviceName, envVars) {
+  const { secretName, configMapName } = getEnvResourceNames(serviceName);
+
+  const secretData = {};
+  const configData = {};
+  for (const envVar of envVars) {
+    if (envVar.secret) {
+      secretData[envVar.name] = Buffer.from(envVar.value, 'utf8').toString('base64');
+    } else {
+      configData[envVar.name] = envVar.value;
+    }
+  }
+
+  await upsertSecret(namespace, secretName, secretData);
+  await upsertConfigMap(namespace, configMapName, configData);
+
+  return { secretName, configMapName, hash: hashEnvVars(envVars) };
+}
+
+/**
+ * Re-render a service's env after a change and roll its Deployment if the content changed.
+ * Does nothing to the Deployment if the service has not been deployed yet.
+ * @param {object} db - Database connection
+ * @param {object} service - Service with id and name
+ * @param {string} namespace - Kubernetes namespace
+ * @returns {Promise<{hash: string, rolled: boolean}>}
+ */
+export async function syncServiceEnv(db, service, namespace) {
+  const envVars = await getDecryptedEnvVars(db, service.id);
+  const { hash } = await applyEnvResources(namespace, service.name, envVars);
+
+  let deployment;
+  try {
+    deployment = await getDeployment(namespace, service.name);
+  } catch (error) {
+    if (error.status === 404) {
+      return { hash, rolled: false };
+    }
+    throw error;
+  }
+
+  if (deployment.spec?.template?.metadata?.annotations?.[ENV_HASH_ANNOTATION] === hash) {
+    return { hash, rolled: false };
+  }
+
+  await patchDeployment(namespace, service.name, {
+    spec: {
+      template: {
+        metadata: {
+          annotations: { [ENV_HASH_ANNOTATION]: hash },
+        },
+      },
+    },
+  });
+
+  logger.info('Environment changed, rolling deployment', { namespace, service: service.name, hash });
+  return { hash, rolled: true };
+}
+
+/**
+ * Delete a service's env Secret and ConfigMap
+ * @param {string} namespace - Kubernetes namespace
+ * @param {string} serviceName - Service name
+ */
+export async function deleteEnvResources(namespace, serviceName) {
+  const { secretName, configMapName } = getEnvResourceNames(serviceName);
+
+  for (const remove of [() => deleteSecret(namespace, secretName), () => deleteConfigMap(namespace, configMapName)]) {
+    try {
+      await remove();
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Login sessions - server-side records behind the signed session cookie
+ */
+
+const IDLE_TIMEOUT_HOURS = parseInt(process.env.SESSION_IDLE_TIMEOUT_HOURS, 10) || 72;
+const ABSOLUTE_TIMEOUT_DAYS = parseInt(process.env.SESSION_ABSOLUTE_TIMEOUT_DAYS, 10) || 7;
+
+// Avoid a write on every request; last_seen_at only needs minute precision
+const TOUCH_INTERVAL_SECONDS = 60;
+
+export const SESSION_MAX_AGE_SECONDS = ABSOLUTE_TIMEOUT_DAYS * 24 * 60 * 60;
+
+/**
+ * Create a session for a user after login
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @param {object} client - Client details
+ * @param {string} client.userAgent - User-Agent header
+ * @param {string} client.ipAddress - Client IP address
+ * @returns {Promise<object>} Created session
+ */
+export async function createSession(db, userId, { userAgent, ipAddress } = {}) {
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+     RETURNING id, user_id, created_at, expires_at`,
+    [userId, userAgent?.substring(0, 512) || null, ipAddress || null, ABSOLUTE_TIMEOUT_DAYS]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Resolve a session ID to its user, enforcing revocation and expiry
+ * @param {object} db - Database connection
+ * @param {string} sessionId - Session UUID from the cookie
+ * @returns {Promise<{user?: object, session?: object, error?: string}>}
+ */
+export async function validateSession(db, sessionId) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(sessionId)) {
+    return { error: 'Invalid session' };
+  }
+
+  const result = await db.query(
+    `SELECT s.id as session_id, s.revoked_at, s.expires_at, s.last_seen_at,
+            s.expires_at <= NOW() as absolute_expired,
+            s.last_seen_at <= NOW() - make_interval(hours => $2) as idle_expired,
+            s.last_seen_at <= NOW() - make_interval(secs => $3) as needs_touch,
+            u.id, u.github_username, u.hash, u.created_at
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = $1`,
+    [sessionId, IDLE_TIMEOUT_HOURS, TOUCH_INTERVAL_SECONDS]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Session not found' };
+  }
+
+  const {
+    session_id, revoked_at, expires_at, last_seen_at,
+    absolute_expired, idle_expired, needs_touch,
+    ...user
+  } = result.rows[0];
+
+  if (revoked_at) {
+    return { error: 'Session revoked' };
+  }
+
+  if (absolute_expired || idle_expired) {
+    await db.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+      [session_id]
+    );
+    return { error: 'Session expired' };
+  }
+
+  if (needs_touch) {
+    await db.query('UPDATE sessions SET last_seen_at = NOW() WHERE id = $1', [session_id]);
+  }
+
+  return {
+    user,
+    session: { id: session_id, expires_at, last_seen_at },
+  };
+}
+
+/**
+ * List a user's active sessions
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Sessions, most recently seen first
+ */
+export async function listSessions(db, userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+       AND last_seen_at > NOW() - make_interval(hours => $2)
+     ORDER BY last_seen_at DESC`,
+    [userId, IDLE_TIMEOUT_HOURS]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    device: describeUserAgent(row.user_agent),
+  }));
+}
+
+/**
+ * Revoke a single session
+ * @param {object} db - Database connection
+ * @param {string} userId - Owning user UUID
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+export async function revokeSession(db, userId, sessionId) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke every active session for a user
+ * @param {object} db - Database connection
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(db, userId) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Build a short device label (e.g. "Firefox on Linux") from a User-Agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device label
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+    ['curl/', 'curl'],
+    ['node', 'Node.js'],
+  ];
+  const systems = [
+    ['Windows', 'Windows'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Android', 'Android'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux'],
+  ];
+
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1] || 'Unknown browser';
+  const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+  return system ? `${browser} on ${system}` : browser;
+}
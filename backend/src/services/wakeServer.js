@@ -0,0 +1,119 @@
+/**
+ * Wake Server
+ *
+ * A second HTTP listener (WAKE_PORT) that sleeping services' ingresses point at. Every
+ * request starts waking the service its Host belongs to and gets a 503: browsers see a
+ * "waking up" page that reloads itself, other clients a Retry-After header. Once the
+ * service is awake its ingresses point back at it and the reload reaches the app.
+ */
+
+import Fastify from 'fastify';
+import { findServiceByHost, wakeService, WAKE_PORT } from './idleScaler.js';
+import logger from './logger.js';
+
+const RETRY_AFTER_SECONDS = 3;
+
+let server = null;
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+/**
+ * Render the "waking up" page
+ * @param {string} serviceName - Service being woken
+ * @returns {string} HTML document
+ */
+function renderWakingPage(serviceName) {
+  const name = escapeHtml(serviceName);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${RETRY_AFTER_SECONDS}">
+<title>${name} is waking up</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+         background: #0a0a0a; color: #33ff33; font-family: 'IBM Plex Mono', 'Courier New', monospace; }
+  .box { border: 1px solid #1a3a1a; padding: 2rem 2.5rem; max-width: 36rem; box-shadow: 0 0 12px rgba(51,255,51,0.15); }
+  .muted { color: #5a7a5a; }
+  .amber { color: #ffaa33; }
+  .cursor { display: inline-block; width: 0.6em; height: 1em; background: #33ff33; vertical-align: text-bottom;
+            animation: blink 1s steps(1) infinite; }
+  @keyframes blink { 50% { opacity: 0; } }
+</style>
+</head>
+<body>
+<div class="box">
+  <p class="muted">$ dangus wake ${name}</p>
+  <p>&gt; service <span class="amber">${name}</span> was asleep after a period of inactivity</p>
+  <p>&gt; starting pods<span class="cursor"></span></p>
+  <p class="muted">This page reloads every ${RETRY_AFTER_SECONDS} seconds and opens the app once it is ready.</p>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Start the wake server
+ * @param {object} db - Database connection
+ */
+export async function startWakeServer(db) {
+  if (server) {
+    logger.warn('Wake server already running');
+    return;
+  }
+
+  server = Fastify({ logger: false });
+
+  // Requests of any method and body type are answered the same way; bodies are ignored
+  server.removeAllContentTypeParsers();
+  server.addContentTypeParser('*', (request, payload, done) => done(null));
+
+  server.setNotFoundHandler(async (request, reply) => {
+    const host = (request.headers.host || '').split(':')[0].toLowerCase();
+
+    let service = null;
+    try {
+      service = await findServiceByHost(db, host);
+    } catch (err) {
+      logger.error(`Wake lookup failed for ${host}: ${err.message}`);
+    }
+
+    if (!service) {
+      return reply.code(404).type('text/plain').send('Not Found\n');
+    }
+
+    // Already awake services are only here until their ingresses switch back
+    if (service.sleeping_at) {
+      wakeService(db, service);
+    }
+
+    reply
+      .code(503)
+      .header('Retry-After', String(RETRY_AFTER_SECONDS))
+      .header('Cache-Control', 'no-store');
+
+    if ((request.headers.accept || '').includes('text/html')) {
+      return reply.type('text/html; charset=utf-8').send(renderWakingPage(service.name));
+    }
+    return reply.type('text/plain').send(`${service.name} is waking up, retry in a few seconds\n`);
+  });
+
+  await server.listen({ port: WAKE_PORT, host: process.env.HOST || '0.0.0.0' });
+  logger.info(`Wake server listening on port ${WAKE_PORT}`);
+}
+
+/**
+ * Stop the wake server
+ */
+export async function stopWakeServer() {
+  if (server) {
+    await server.close();
+    server = null;
+  }
+}
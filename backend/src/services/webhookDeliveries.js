@@ -0,0 +1,353 @@
+/**
+ * Webhook Deliveries
+ *
+ * Postgres-backed queue for outbound notifications over HTTP: the webhook of a user's
+ * notification settings and every notification channel. enqueueDelivery() stores the
+ * notification and makes the first attempt right away; a failed attempt (network error,
+ * timeout or non-2xx response) is retried with exponential backoff:
+ *
+ *   attempt 2   30 seconds after the first
+ *   attempt 3   1 minute later
+ *   ...         doubling each time, up to WEBHOOK_MAX_ATTEMPTS attempts (about an hour)
+ *
+ * A response with a longer Retry-After header waits that long instead. Each attempt is
+ * stored with its request, response and latency. A delivery that ran out of attempts, or
+ * succeeded, can be redelivered by hand; redelivery is a single attempt, made right away.
+ *
+ * Every attempt is built afresh from the delivery's target as it is then, so it carries the
+ * current URL and secret, and a new timestamp and signature. X-Dangus-Delivery stays the
+ * same across attempts so receivers can drop duplicates.
+ */
+
+import {
+  CHANNEL_TYPES,
+  signedWebhookRequest,
+  redactHeaders,
+  postRequest,
+} from './notificationChannels.js';
+import logger from './logger.js';
+
+export const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const DELIVERY_INTERVAL = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL, 10) || 10000; // 10 seconds
+
+const RETRY_BASE_DELAY = 30; // seconds
+const MAX_RETRY_DELAY = 21600; // 6 hours
+// How long a claimed delivery is held before another pass may try it again
+const CLAIM_TIMEOUT = 300; // seconds
+const BATCH_SIZE = 10;
+const DELIVERY_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL = 3600000; // 1 hour
+
+let deliveryInterval = null;
+let delivering = false;
+let deliverAgain = false;
+let lastPruneAt = 0;
+
+/**
+ * Queue a notification for delivery and make the first attempt
+ * @param {object} db - Database connection
+ * @param {object} options
+ * @param {string} options.userId - User the notification is recorded for
+ * @param {object|null} options.channel - notification_channels row, or null for the settings webhook
+ * @param {{deploymentId?: string, cronRunId?: string, alertId?: string}} options.ref - What the notification is about
+ * @param {object} options.payload - Event payload
+ * @param {object} [options.message] - { title, text, level, fields, url } for chat and push channels
+ * @returns {Promise<object>} webhook_deliveries row
+ */
+export async function enqueueDelivery(db, { userId, channel, ref, payload, message = null }) {
+  const client = await db.pool.connect();
+  let delivery;
+
+  try {
+    await client.query('BEGIN');
+
+    const notification = await client.query(
+      `INSERT INTO notifications (user_id, deployment_id, cron_run_id, alert_id, channel_id, type, status)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+       RETURNING id`,
+      [userId, ref.deploymentId || null, ref.cronRunId || null, ref.alertId || null, channel?.id || null, channel?.type || 'webhook']
+    );
+
+    const result = await client.query(
+      `INSERT INTO webhook_deliveries
+         (user_id, notification_id, channel_id, event, payload, message, max_attempts, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING *`,
+      [userId, notification.rows[0].id, channel?.id || null, payload.event, payload, message, WEBHOOK_MAX_ATTEMPTS]
+    );
+    delivery = result.rows[0];
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  processDeliveries(db).catch(err => {
+    logger.error('Webhook delivery processing failed', { error: err.message });
+  });
+
+  return delivery;
+}
+
+/**
+ * Delay before the next attempt, doubling from RETRY_BASE_DELAY
+ * @param {number} attempts - Attempts made so far
+ * @param {object|null} responseHeaders - Headers of the last response, for Retry-After
+ * @returns {number} Seconds
+ */
+function retryDelay(attempts, responseHeaders) {
+  const backoff = RETRY_BASE_DELAY * 2 ** (attempts - 1);
+  const retryAfter = parseInt(responseHeaders?.['retry-after'], 10);
+  return Math.min(Math.max(backoff, Number.isFinite(retryAfter) ? retryAfter : 0), MAX_RETRY_DELAY);
+}
+
+/**
+ * Build the request for a delivery from its target as it is now
+ * @param {object} db - Database connection
+ * @param {object} delivery - webhook_deliveries row
+ * @returns {Promise<{request?: object, error?: string}>} error when the target is gone or turned off
+ */
+async function buildRequest(db, delivery) {
+  let request;
+
+  if (delivery.channel_id) {
+    const result = await db.query('SELECT * FROM notification_channels WHERE id = $1', [delivery.channel_id]);
+    const channel = result.rows[0];
+    if (!channel) {
+      return { error: 'Channel no longer exists' };
+    }
+    if (!channel.enabled) {
+      return { error: 'Channel is disabled' };
+    }
+    request = CHANNEL_TYPES[channel.type].request(channel, delivery.message, delivery.payload);
+  } else {
+    const result = await db.query('SELECT * FROM notification_settings WHERE user_id = $1', [delivery.user_id]);
+    const prefs = result.rows[0];
+    if (!prefs?.webhook_enabled || !prefs.webhook_url) {
+      return { error: 'Webhook is no longer enabled in the notification settings' };
+    }
+    request = signedWebhookRequest(prefs.webhook_url, prefs.webhook_secret, delivery.payload);
+  }
+
+  request.headers['X-Dangus-Delivery'] = delivery.id;
+  return { request };
+}
+
+/**
+ * Make one attempt at a claimed delivery and record its outcome
+ * @param {object} db - Database connection
+ * @param {object} delivery - webhook_deliveries row, claimed by the caller
+ * @param {boolean} [redelivery] - Made by hand rather than by the retry schedule
+ * @returns {Promise<object>} Updated webhook_deliveries row
+ */
+async function attemptDelivery(db, delivery, redelivery = false) {
+  const attempt = delivery.attempts + 1;
+  const { request, error: targetError } = await buildRequest(db, delivery);
+
+  let result;
+  if (request) {
+    result = await postRequest(request);
+    await db.query(
+      `INSERT INTO webhook_delivery_attempts
+         (delivery_id, attempt, redelivery, request_url, request_headers, request_body,
+          response_status, response_headers, response_body, duration_ms, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        delivery.id, attempt, redelivery, request.url, redactHeaders(request.headers), request.body,
+        result.status, result.headers, result.body, result.durationMs, result.error,
+      ]
+    );
+  }
+
+  const error = targetError || result.error;
+  let status;
+  if (!error) {
+    status = 'delivered';
+  } else if (targetError || attempt >= delivery.max_attempts) {
+    status = 'failed';
+  } else {
+    status = 'pending';
+  }
+
+  const updated = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $1,
+         attempts = $2,
+         last_error = $3,
+         next_attempt_at = NOW() + make_interval(secs => $4),
+         delivered_at = COALESCE($5, delivered_at),
+         updated_at = NOW()
+     WHERE id = $6
+     RETURNING *`,
+    [
+      status,
+      request ? attempt : delivery.attempts,
+      error || null,
+      status === 'pending' ? retryDelay(attempt, result.headers) : null,
+      status === 'delivered' ? new Date() : null,
+      delivery.id,
+    ]
+  );
+
+  // The notification history shows the outcome once there is one
+  if (status !== 'pending') {
+    await db.query(
+      `UPDATE notifications SET status = $1, error = $2, sent_at = $3 WHERE id = $4`,
+      [error ? 'failed' : 'sent', error || null, error ? null : new Date(), delivery.notification_id]
+    );
+  }
+
+  const context = { deliveryId: delivery.id, channelId: delivery.channel_id, event: delivery.event, attempt };
+  if (!error) {
+    logger.info('Webhook delivered', { ...context, durationMs: result.durationMs });
+  } else if (status === 'pending') {
+    logger.warn('Webhook delivery failed, will retry', { ...context, error });
+  } else {
+    logger.error('Webhook delivery failed', { ...context, error });
+  }
+
+  return updated.rows[0];
+}
+
+/**
+ * Claim deliveries that are due, holding them for CLAIM_TIMEOUT so other passes and
+ * backend instances skip them. A delivery whose attempt never finished (the backend
+ * stopped mid-request) becomes due again once the claim runs out.
+ * @param {object} db - Database connection
+ * @returns {Promise<Array<object>>} Claimed deliveries
+ */
+async function claimDueDeliveries(db) {
+  const result = await db.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = NOW() + make_interval(secs => $1)
+     WHERE id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [CLAIM_TIMEOUT, BATCH_SIZE]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Drop finished deliveries older than DELIVERY_RETENTION_DAYS, with their attempts
+ * @param {object} db - Database connection
+ */
+async function pruneDeliveries(db) {
+  const result = await db.query(
+    `DELETE FROM webhook_deliveries
+     WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)`,
+    [DELIVERY_RETENTION_DAYS]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Pruned old webhook deliveries', { count: result.rowCount });
+  }
+}
+
+/**
+ * Attempt every due delivery, a batch at a time
+ * @param {object} db - Database connection
+ */
+export async function processDeliveries(db) {
+  if (delivering) {
+    deliverAgain = true;
+    return;
+  }
+  delivering = true;
+
+  try {
+    do {
+      deliverAgain = false;
+
+      let batch;
+      while ((batch = await claimDueDeliveries(db)).length > 0) {
+        await Promise.all(batch.map(delivery =>
+          attemptDelivery(db, delivery).catch(err => {
+            logger.error('Webhook delivery attempt error', { deliveryId: delivery.id, error: err.message });
+          })
+        ));
+      }
+    } while (deliverAgain);
+
+    if (Date.now() - lastPruneAt >= PRUNE_INTERVAL) {
+      lastPruneAt = Date.now();
+      await pruneDeliveries(db);
+    }
+  } finally {
+    delivering = false;
+  }
+}
+
+/**
+ * Redeliver a finished delivery: one attempt, made now, whatever the retry schedule
+ * @param {object} db - Database connection
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} userId - Owner of the delivery
+ * @returns {Promise<{delivery?: object, error?: string, status?: number}>}
+ */
+export async function redeliverDelivery(db, deliveryId, userId) {
+  const claimed = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', max_attempts = attempts + 1,
+         next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status <> 'pending'
+     RETURNING *`,
+    [deliveryId, userId, CLAIM_TIMEOUT]
+  );
+
+  if (claimed.rows.length === 0) {
+    const existing = await db.query(
+      'SELECT status FROM webhook_deliveries WHERE id = $1 AND user_id = $2',
+      [deliveryId, userId]
+    );
+    if (existing.rows.length === 0) {
+      return { error: 'Delivery not found', status: 404 };
+    }
+    return { error: 'Delivery is still queued; wait for its next attempt to finish', status: 409 };
+  }
+
+  await db.query(
+    `UPDATE notifications SET status = 'pending', error = NULL, sent_at = NULL WHERE id = $1`,
+    [claimed.rows[0].notification_id]
+  );
+
+  return { delivery: await attemptDelivery(db, claimed.rows[0], true) };
+}
+
+/**
+ * Start attempting due deliveries (resumes deliveries queued before a restart)
+ * @param {object} db - Database connection
+ */
+export function startWebhookDeliveries(db) {
+  if (deliveryInterval) {
+    logger.warn('Webhook deliveries already running');
+    return;
+  }
+
+  deliveryInterval = setInterval(() => {
+    processDeliveries(db).catch(err => {
+      logger.error('Webhook delivery processing failed', { error: err.message });
+    });
+  }, DELIVERY_INTERVAL);
+  logger.info(`Webhook deliveries started with ${DELIVERY_INTERVAL}ms interval`);
+}
+
+/**
+ * Stop attempting deliveries. Pending ones are picked up on the next start.
+ */
+export function stopWebhookDeliveries() {
+  if (deliveryInterval) {
+    clearInterval(deliveryInterval);
+    deliveryInterval = null;
+  }
+  logger.info('Webhook deliveries stopped');
+}
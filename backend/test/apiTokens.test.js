@@ -0,0 +1,27 @@
+/**
+ * Scopes an API token needs for each route.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRequiredScope, hasScope } from '../src/services/apiTokens.js';
+
+test('reading notification settings, which include the webhook secret, needs admin', () => {
+  assert.equal(getRequiredScope('GET', '/notifications/settings'), 'admin');
+  assert.equal(getRequiredScope('GET', '/notifications/settings?fresh=1'), 'admin');
+  assert.equal(hasScope(['read'], getRequiredScope('GET', '/notifications/settings')), false);
+  assert.equal(hasScope(['admin'], getRequiredScope('GET', '/notifications/settings')), true);
+});
+
+test('other secret reads need their scope and plain reads need read', () => {
+  assert.equal(getRequiredScope('GET', '/services/1/webhook-secret'), 'admin');
+  assert.equal(getRequiredScope('GET', '/notifications/channels'), 'admin');
+  assert.equal(getRequiredScope('GET', '/services/1/env/2/value'), 'env:write');
+  assert.equal(getRequiredScope('GET', '/notifications/deliveries'), 'read');
+  assert.equal(getRequiredScope('GET', '/projects'), 'read');
+});
+
+test('token and account routes only accept a session', () => {
+  assert.equal(getRequiredScope('GET', '/auth/tokens'), null);
+  assert.equal(getRequiredScope('DELETE', '/auth/account'), null);
+});
@@ -0,0 +1,75 @@
+/**
+ * Finding the sleeping service a wake request is for, against the real schema.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestDatabase } from './helpers/database.js';
+
+process.env.BASE_DOMAIN = 'apps.example.com';
+const { findServiceByHost } = await import('../src/services/idleScaler.js');
+
+let database;
+let db;
+let user;
+
+before(async () => {
+  database = await startTestDatabase();
+  db = database.db;
+  const result = await db.query(
+    `INSERT INTO users (github_id, github_username, github_access_token, hash)
+     VALUES (1, 'sleeper', 'token', '000001') RETURNING *`
+  );
+  user = result.rows[0];
+});
+
+after(async () => {
+  await database?.stop();
+});
+
+async function createService(projectName, serviceName, { sleeping = false } = {}) {
+  const project = await db.query(
+    `INSERT INTO projects (user_id, name) VALUES ($1, $2)
+     ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name RETURNING *`,
+    [user.id, projectName]
+  );
+  const result = await db.query(
+    `INSERT INTO services (project_id, name, repo_url, port, webhook_secret, idle_timeout_minutes, sleeping_at)
+     VALUES ($1, $2, 'https://github.com/example/app', 8080, 'secret', 15, $3) RETURNING *`,
+    [project.rows[0].id, serviceName, sleeping ? new Date() : null]
+  );
+  return result.rows[0];
+}
+
+test('a host is matched to its project and service by subdomain', async () => {
+  const service = await createService('shop', 'api', { sleeping: true });
+
+  const found = await findServiceByHost(db, 'shop-api.apps.example.com');
+
+  assert.equal(found.id, service.id);
+  assert.equal(found.project_name, 'shop');
+  assert.equal(await findServiceByHost(db, 'shop-web.apps.example.com'), null);
+  assert.equal(await findServiceByHost(db, 'shop-api.other.example.com'), null);
+});
+
+test('of two services sharing a subdomain, the sleeping one is woken', async () => {
+  await createService('blog-post', 'feed');
+  const sleeping = await createService('blog', 'post-feed', { sleeping: true });
+
+  const found = await findServiceByHost(db, 'blog-post-feed.apps.example.com');
+
+  assert.equal(found.id, sleeping.id);
+});
+
+test('a verified custom domain is matched to its service', async () => {
+  const service = await createService('docs', 'site', { sleeping: true });
+  await db.query(
+    `INSERT INTO custom_domains (service_id, domain, verified, verification_token)
+     VALUES ($1, 'docs.example.org', true, 'token')`,
+    [service.id]
+  );
+
+  const found = await findServiceByHost(db, 'docs.example.org');
+
+  assert.equal(found.id, service.id);
+});
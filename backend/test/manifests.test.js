@@ -0,0 +1,254 @@
+/**
+ * Golden-file tests for the manifest builders in manifestGenerator.js.
+ *
+ * Each case builds a manifest from fixed options and compares it with
+ * test/manifests/<case>.yaml. After an intended change to a builder, regenerate the files
+ * with `UPDATE_GOLDEN=1 npm test` and review the diff.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parse, stringify } from 'yaml';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = join(__dirname, 'manifests');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// Builders merge operator overrides from TEMPLATES_DIR; point it at a directory without any
+process.env.TEMPLATES_DIR = join(GOLDEN_DIR, 'no-overrides');
+const manifests = await import('../src/services/manifestGenerator.js');
+
+const resources = {
+  requests: { cpu: '250m', memory: '256Mi' },
+  limits: { cpu: '1', memory: '1Gi' },
+};
+
+const storage = {
+  storageSecretName: 'dangus-backup-storage',
+  endpoint: 'https://s3.example.com',
+  bucket: 'dangus-backups',
+};
+
+const CASES = {
+  namespace: () => manifests.generateNamespaceManifest('shop'),
+
+  deployment: () => manifests.generateDeploymentManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    image: 'harbor.example.com/shop/api:abc1234',
+    port: 8080,
+  }),
+
+  'deployment-full': () => manifests.generateDeploymentManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    image: 'harbor.example.com/shop/api:abc1234',
+    port: 8080,
+    replicas: 3,
+    resources,
+    envVars: [{ name: 'PORT', value: '8080' }],
+    envSecretName: 'api-secrets',
+    envConfigMapName: 'api-config',
+    envHash: '0123456789abcdef',
+    healthCheckPath: '/healthz',
+    storageMountPath: '/var/lib/api',
+    storageClaimName: 'api-pvc',
+  }),
+
+  'deployment-worker': () => manifests.generateDeploymentManifest({
+    namespace: 'shop',
+    serviceName: 'worker',
+    image: 'harbor.example.com/shop/worker:abc1234',
+    livenessCommand: 'test -f /tmp/alive',
+  }),
+
+  service: () => manifests.generateServiceManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    port: 8080,
+  }),
+
+  'service-exposed-ports': () => manifests.generateServiceManifest({
+    namespace: 'shop',
+    serviceName: 'game',
+    port: 8080,
+    exposedPorts: [{ protocol: 'tcp', port: 25565 }, { protocol: 'udp', port: 19132 }],
+  }),
+
+  'wake-service': () => manifests.generateWakeServiceManifest({
+    namespace: 'shop',
+    externalName: 'dangus-backend.dangus.svc.cluster.local',
+    port: 3000,
+  }),
+
+  ingress: () => manifests.generateIngressManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    port: 8080,
+    subdomain: 'shop-api',
+    baseDomain: 'apps.example.com',
+  }),
+
+  'domain-ingress': () => manifests.generateDomainIngressManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    port: 8080,
+    domain: 'api.example.org',
+    ingressName: 'api-1a2b3c4d',
+    secretName: 'api-1a2b3c4d-tls',
+  }),
+
+  pvc: () => manifests.generatePVCManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    storageGb: 5,
+  }),
+
+  'pvc-restore': () => manifests.generatePVCManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    claimName: 'api-pvc-1a2b3c4d',
+    storageGb: 5,
+  }),
+
+  hpa: () => manifests.generateHorizontalPodAutoscalerManifest({
+    namespace: 'shop',
+    serviceName: 'api',
+    minReplicas: 2,
+    maxReplicas: 6,
+    cpuTarget: 70,
+    memoryTarget: 80,
+  }),
+
+  'canary-route': () => manifests.generateCanaryRouteManifest({
+    namespace: 'shop',
+    routeName: 'api-canary',
+    serviceName: 'api',
+    canaryServiceName: 'api--next',
+    port: 8080,
+    host: 'shop-api.apps.example.com',
+    canaryWeight: 20,
+    tlsSecretName: 'api-tls',
+  }),
+
+  'port-route': () => manifests.generatePortRouteManifest({
+    namespace: 'shop',
+    routeName: 'game-tcp-25565',
+    serviceName: 'game',
+    protocol: 'tcp',
+    port: 25565,
+    entryPoint: 'tcp-25565',
+  }),
+
+  'stateful-set': () => manifests.generateStatefulSetManifest({
+    namespace: 'shop',
+    name: 'db',
+    image: 'postgres:16',
+    port: 5432,
+    envVars: [{ name: 'PGDATA', value: '/var/lib/postgresql/data/pgdata' }],
+    envSecretName: 'db-credentials',
+    readinessCommand: 'pg_isready -U "$POSTGRES_USER"',
+    dataPath: '/var/lib/postgresql/data',
+    storageGb: 2,
+  }),
+
+  'kaniko-job': () => manifests.generateKanikoJobManifest({
+    namespace: 'shop',
+    jobName: 'build-api-abc1234',
+    repoUrl: 'github.com/example/shop',
+    branch: 'main',
+    commitSha: 'abc1234def5678',
+    dockerfilePath: 'services/api/Dockerfile',
+    imageDest: 'harbor.example.com/shop/api:abc1234',
+    gitSecretName: 'git-credentials-api',
+    registrySecretName: 'harbor-registry-secret',
+  }),
+
+  'kaniko-job-generated': () => manifests.generateKanikoJobManifestGenerated({
+    namespace: 'shop',
+    jobName: 'build-api-abc1234',
+    repoUrl: 'github.com/example/shop',
+    branch: 'main',
+    commitSha: 'abc1234def5678',
+    imageDest: 'harbor.example.com/shop/api:abc1234',
+    gitSecretName: 'git-credentials-api',
+    registrySecretName: 'harbor-registry-secret',
+    dockerfileConfigMap: 'api-dockerfile',
+  }),
+
+  'cron-job': () => manifests.generateCronJobManifest({
+    namespace: 'shop',
+    serviceName: 'report',
+    image: 'harbor.example.com/shop/report:abc1234',
+    schedule: '0 3 * * *',
+    concurrencyPolicy: 'Replace',
+    envSecretName: 'report-secrets',
+    envConfigMapName: 'report-config',
+  }),
+
+  'release-job': () => manifests.generateReleaseJobManifest({
+    namespace: 'shop',
+    jobName: 'release-api-abc1234',
+    serviceName: 'api',
+    image: 'harbor.example.com/shop/api:abc1234',
+    command: 'npm run migrate',
+    envSecretName: 'api-secrets',
+    envConfigMapName: 'api-config',
+    timeoutSeconds: 300,
+  }),
+
+  'backup-job': () => manifests.generateBackupJobManifest({
+    namespace: 'shop',
+    jobName: 'backup-api-1a2b3c4d',
+    sourceName: 'api',
+    image: 'alpine:3.20',
+    command: 'tar -czf "$BACKUP_FILE" -C /data .',
+    claimName: 'api-pvc',
+    nodeName: 'node-1',
+    objectKey: 'shop/services/api/2024-01-01T00-00-00Z-1a2b3c4d.tar.gz',
+    ...storage,
+  }),
+
+  'restore-job': () => manifests.generateRestoreJobManifest({
+    namespace: 'shop',
+    jobName: 'restore-db-1a2b3c4d',
+    targetName: 'db',
+    image: 'postgres:16',
+    command: 'pg_restore --clean --if-exists -d "$DATABASE_URL" "$BACKUP_FILE"',
+    envVars: [{ name: 'DB_HOST', value: 'db' }],
+    envSecretName: 'db-credentials',
+    objectKey: 'shop/addons/db/2024-01-01T00-00-00Z-1a2b3c4d.dump',
+    ...storage,
+  }),
+};
+
+for (const [name, build] of Object.entries(CASES)) {
+  test(`${name} manifest matches test/manifests/${name}.yaml`, () => {
+    const manifest = build();
+    const file = join(GOLDEN_DIR, `${name}.yaml`);
+
+    if (UPDATE_GOLDEN) {
+      writeFileSync(file, stringify(manifest));
+      return;
+    }
+
+    assert.deepEqual(manifest, parse(readFileSync(file, 'utf8')));
+  });
+}
+
+test('builders reject options they do not know', () => {
+  assert.throws(
+    () => manifests.generatePVCManifest({ namespace: 'shop', serviceName: 'api', storageGb: 5, size: '5Gi' }),
+    /Unknown option: size/
+  );
+});
+
+test('builders reject values that are not DNS labels', () => {
+  assert.throws(
+    () => manifests.generateServiceManifest({ namespace: 'shop', serviceName: 'api\nkind: Secret', port: 8080 }),
+    /Invalid option serviceName/
+  );
+});
@@ -0,0 +1,62 @@
+/**
+ * Posting webhook requests and capturing their responses.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+
+// Required by encryption.js, which notificationChannels.js loads
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+const { postRequest } = await import('../src/services/notificationChannels.js');
+
+let server;
+let baseUrl;
+let endlessClosed;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    if (req.url === '/endless') {
+      // Streams until the client hangs up
+      const chunk = 'x'.repeat(65536);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      const interval = setInterval(() => res.write(chunk), 5);
+      res.on('close', () => {
+        clearInterval(interval);
+        endlessClosed();
+      });
+      return;
+    }
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('boom');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a long response body is cut off and the connection closed', async () => {
+  const closed = new Promise((resolve) => { endlessClosed = resolve; });
+
+  const result = await postRequest({ url: `${baseUrl}/endless`, headers: {}, body: '{}' });
+
+  assert.equal(result.error, null);
+  assert.equal(result.status, 200);
+  assert.equal(result.body.length, 16384);
+  assert.ok(result.body.endsWith('…'));
+  await closed;
+});
+
+test('a short error response is stored whole', async () => {
+  const result = await postRequest({ url: `${baseUrl}/fail`, headers: {}, body: '{}' });
+
+  assert.equal(result.status, 500);
+  assert.equal(result.body, 'boom');
+  assert.match(result.error, /^HTTP 500/);
+});
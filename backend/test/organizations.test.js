@@ -0,0 +1,132 @@
+/**
+ * Moving projects between organizations, against the real schema.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestDatabase } from './helpers/database.js';
+
+// Required by encryption.js, which accountService.js loads
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+const { moveProjectToOrganization } = await import('../src/services/organizations.js');
+const { deleteUserAccount, getAccountDeletionBlocker } = await import('../src/services/accountService.js');
+const { getProjectRole } = await import('../src/services/permissions.js');
+
+let database;
+let db;
+
+before(async () => {
+  database = await startTestDatabase();
+  db = database.db;
+});
+
+after(async () => {
+  await database?.stop();
+});
+
+let nextGithubId = 1;
+
+async function createUser(username) {
+  const githubId = nextGithubId++;
+  const result = await db.query(
+    `INSERT INTO users (github_id, github_username, github_access_token, hash)
+     VALUES ($1, $2, 'token', $3) RETURNING *`,
+    [githubId, username, String(githubId).padStart(6, '0')]
+  );
+  return result.rows[0];
+}
+
+async function createOrganization(name, members) {
+  const result = await db.query('INSERT INTO organizations (name) VALUES ($1) RETURNING *', [name]);
+  const organization = result.rows[0];
+  for (const [user, role] of members) {
+    await db.query(
+      'INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)',
+      [organization.id, user.id, role]
+    );
+  }
+  return organization;
+}
+
+async function createProject(user, name, { organizationId = null, parent = null } = {}) {
+  const result = await db.query(
+    `INSERT INTO projects (user_id, name, organization_id, parent_project_id, environment)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [user.id, name, organizationId, parent?.id || null, parent ? 'staging' : 'production']
+  );
+  return result.rows[0];
+}
+
+async function getProject(id) {
+  const result = await db.query('SELECT * FROM projects WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+test('a project moved into an organization takes its environments along', async () => {
+  const creator = await createUser('move-creator');
+  const owner = await createUser('move-owner');
+  const organization = await createOrganization('move-org', [[owner, 'owner'], [creator, 'maintainer']]);
+
+  const project = await createProject(creator, 'move-shop');
+  const staging = await createProject(creator, 'move-shop-staging', { parent: project });
+
+  const moved = await moveProjectToOrganization(db, project, organization.id, creator.id);
+
+  assert.equal(moved, 2);
+  assert.equal((await getProject(project.id)).organization_id, organization.id);
+  assert.equal((await getProject(staging.id)).organization_id, organization.id);
+});
+
+test('deleting the account of a creator who moved a project into an organization keeps the project and its environments', async () => {
+  const creator = await createUser('delete-creator');
+  const owner = await createUser('delete-owner');
+  const organization = await createOrganization('delete-org', [[owner, 'owner'], [creator, 'maintainer']]);
+
+  const project = await createProject(creator, 'delete-shop');
+  const staging = await createProject(creator, 'delete-shop-staging', { parent: project });
+  await moveProjectToOrganization(db, project, organization.id, creator.id);
+
+  assert.equal(await getAccountDeletionBlocker(db, creator.id), null);
+  const summary = await deleteUserAccount(db, creator.id);
+
+  // Nothing of the organization's was torn down, and both rows went to the other owner
+  assert.equal(summary.projects, 0);
+  assert.equal(summary.transferredProjects, 2);
+  assert.equal((await getProject(project.id)).user_id, owner.id);
+  assert.equal((await getProject(staging.id)).user_id, owner.id);
+  assert.equal(await getProjectRole(db, staging.id, owner.id), 'owner');
+});
+
+test('a project taken out of an organization goes to the user who moves it, environments included', async () => {
+  const creator = await createUser('out-creator');
+  const owner = await createUser('out-owner');
+  const organization = await createOrganization('out-org', [[owner, 'owner'], [creator, 'maintainer']]);
+
+  const project = await createProject(creator, 'out-shop', { organizationId: organization.id });
+  const staging = await createProject(creator, 'out-shop-staging', { organizationId: organization.id, parent: project });
+
+  await moveProjectToOrganization(db, project, null, owner.id);
+
+  for (const id of [project.id, staging.id]) {
+    const row = await getProject(id);
+    assert.equal(row.organization_id, null);
+    assert.equal(row.user_id, owner.id);
+  }
+  assert.equal(await getProjectRole(db, project.id, creator.id), null);
+});
+
+test('the creator of an organization project has only their organization role on it', async () => {
+  const creator = await createUser('role-creator');
+  const owner = await createUser('role-owner');
+  const organization = await createOrganization('role-org', [[owner, 'owner'], [creator, 'maintainer']]);
+
+  const project = await createProject(creator, 'role-shop', { organizationId: organization.id });
+  assert.equal(await getProjectRole(db, project.id, creator.id), 'maintainer');
+
+  await db.query(
+    'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organization.id, creator.id]
+  );
+  assert.equal(await getProjectRole(db, project.id, creator.id), null);
+});
@@ -0,0 +1,34 @@
+/**
+ * Names of the objects a blue-green or canary rollout runs the new version in.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { candidateName } from '../src/services/rollouts.js';
+
+const DNS_LABEL = /^[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+test('the candidate of a service is never the name of a sibling service', () => {
+  // Service names can't contain '--'
+  assert.equal(candidateName('api'), 'api--next');
+  assert.notEqual(candidateName('api'), 'api-next');
+  assert.notEqual(candidateName('api'), candidateName('api-next'));
+});
+
+test('services with long names sharing a prefix get different candidates', () => {
+  const prefix = 'a'.repeat(58);
+  const first = candidateName(`${prefix}-one`);
+  const second = candidateName(`${prefix}-two`);
+
+  assert.notEqual(first, second);
+  for (const name of [first, second]) {
+    assert.match(name, DNS_LABEL);
+    assert.ok(name.includes('--'));
+  }
+});
+
+test('the candidate of a name of any valid length is a DNS label', () => {
+  for (let length = 1; length <= 63; length++) {
+    assert.match(candidateName('a'.repeat(length)), DNS_LABEL);
+  }
+});
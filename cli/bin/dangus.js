@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * dangus - command-line client for Dangus Cloud
+ */
+
+import { parseArgs } from 'util';
+import { createClient, ApiError } from '../src/api.js';
+import { resolveConfig } from '../src/config.js';
+import { UsageError } from '../src/resolve.js';
+import * as out from '../src/output.js';
+import { commands as authCommands } from '../src/commands/auth.js';
+import { commands as projectCommands } from '../src/commands/projects.js';
+import { commands as serviceCommands } from '../src/commands/services.js';
+import { commands as addonCommands } from '../src/commands/addons.js';
+import { commands as backupCommands } from '../src/commands/backups.js';
+import { commands as alertCommands } from '../src/commands/alerts.js';
+import { commands as channelCommands } from '../src/commands/channels.js';
+import { commands as deliveryCommands } from '../src/commands/deliveries.js';
+import { commands as envCommands } from '../src/commands/env.js';
+import { commands as logCommands } from '../src/commands/logs.js';
+import { commands as deploymentCommands } from '../src/commands/deployments.js';
+
+const COMMANDS = {
+  ...authCommands,
+  ...projectCommands,
+  ...serviceCommands,
+  ...addonCommands,
+  ...backupCommands,
+  ...alertCommands,
+  ...channelCommands,
+  ...deliveryCommands,
+  ...envCommands,
+  ...logCommands,
+  ...deploymentCommands,
+};
+
+const ALIASES = {
+  list: 'ls',
+  delete: 'rm',
+};
+
+// Accepted by every command
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  'api-url': { type: 'string' },
+  token: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  console.log(out.color.green('dangus') + out.color.muted(' - command-line client for Dangus Cloud\n'));
+  console.log(out.color.amber('USAGE'));
+  console.log('  dangus <command> [arguments] [--json] [--api-url <url>] [--token <token>]\n');
+  console.log(out.color.amber('COMMANDS'));
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${out.color.green(name.padEnd(width))}  ${command.summary}`);
+  }
+  console.log(out.color.muted('\nServices can be given as an ID, project/service, or a unique service name.'));
+  console.log(out.color.muted('Run `dangus <command> --help` for command options.'));
+}
+
+/**
+ * Find the command named by the leading positional arguments ("services deploy" or "logs")
+ * @param {string[]} argv - Raw arguments
+ * @returns {{name: string, command: object, rest: string[]}|null}
+ */
+function findCommand(argv) {
+  const [first, second] = argv;
+  const sub = ALIASES[second] || second;
+
+  if (first && sub && COMMANDS[`${first} ${sub}`]) {
+    return { name: `${first} ${sub}`, command: COMMANDS[`${first} ${sub}`], rest: argv.slice(2) };
+  }
+  if (first && COMMANDS[first]) {
+    return { name: first, command: COMMANDS[first], rest: argv.slice(1) };
+  }
+  return null;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+
+  if (argv.length === 0 || argv[0] === 'help' || argv[0] === '--help' || argv[0] === '-h') {
+    printHelp();
+    return;
+  }
+
+  const found = findCommand(argv);
+  if (!found) {
+    const group = Object.keys(COMMANDS).filter(name => name.startsWith(`${argv[0]} `));
+    throw new UsageError(group.length > 0
+      ? `Unknown command. Did you mean one of: ${group.map(name => `dangus ${name}`).join(', ')}?`
+      : `Unknown command "${argv[0]}". Run \`dangus help\` for a list of commands.`);
+  }
+
+  const { name, command, rest } = found;
+  const { values: flags, positionals: args } = parseArgs({
+    args: rest,
+    options: { ...GLOBAL_OPTIONS, ...command.options },
+    allowPositionals: true,
+  });
+
+  out.setJsonMode(flags.json);
+
+  if (flags.help) {
+    console.log(`${out.color.green(name)} - ${command.summary}\n`);
+    console.log(`  ${command.usage}`);
+    return;
+  }
+
+  const config = resolveConfig(flags);
+  if (command.requiresAuth !== false && !config.token) {
+    throw new UsageError('Not logged in. Run `dangus login` (or set DANGUS_TOKEN).');
+  }
+
+  const client = createClient(config);
+  await command.run({ client, config, args, flags });
+}
+
+main().catch((err) => {
+  if (err instanceof ApiError) {
+    const hint = err.isUnauthorized ? ' Run `dangus login` to log in again.' : '';
+    out.error(`${err.message}${hint}`, err.data.error || 'ApiError');
+  } else if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+    out.error(err.message, 'Usage Error');
+  } else {
+    out.error(err.message);
+  }
+  process.exitCode = 1;
+});
@@ -0,0 +1,76 @@
+/**
+ * REST client - the same endpoints the frontend uses, authenticated with a bearer token
+ */
+
+export class ApiError extends Error {
+  constructor(status, message, data = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+}
+
+/**
+ * Create a client bound to an API URL and token
+ * @param {object} options - Client options
+ * @param {string} options.apiUrl - Backend base URL, e.g. https://api.dangus.cloud
+ * @param {string} options.token - Personal access token (dgs_...)
+ * @returns {{apiUrl: string, token: string, request: Function, get: Function, post: Function, patch: Function, del: Function}}
+ */
+export function createClient({ apiUrl, token }) {
+  async function request(method, endpoint, body) {
+    const headers = { 'User-Agent': 'dangus-cli' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    // Only set Content-Type if there's a body (avoids Fastify empty JSON body error)
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${apiUrl}${endpoint}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw new ApiError(0, `Could not reach ${apiUrl} (${err.cause?.code || err.message})`);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        response.status,
+        errorData.message || `Request failed with status ${response.status}`,
+        errorData
+      );
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    return response.json();
+  }
+
+  return {
+    apiUrl,
+    token,
+    request,
+    get: (endpoint) => request('GET', endpoint),
+    post: (endpoint, body = {}) => request('POST', endpoint, body),
+    patch: (endpoint, body = {}) => request('PATCH', endpoint, body),
+    del: (endpoint) => request('DELETE', endpoint),
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * addons ls / create / rm / url / attach / detach
+ */
+
+import { resolveProject, UsageError } from '../resolve.js';
+import * as out from '../output.js';
+
+const ADDON_ENGINES = ['postgres', 'mysql', 'redis'];
+
+/**
+ * Resolve a "project/addon" reference
+ * @param {object} client - API client
+ * @param {string} ref - project/addon
+ * @returns {Promise<{project: object, addon: object}>} Project from GET /projects/:id and
+ *   add-on from GET /projects/:id/addons
+ */
+async function resolveAddon(client, ref) {
+  if (!ref || !ref.includes('/')) {
+    throw new UsageError('An add-on is required as project/addon');
+  }
+
+  const [projectRef, name] = ref.split('/', 2);
+  const project = await resolveProject(client, projectRef);
+  const { addons } = await client.get(`/projects/${project.id}/addons`);
+  const addon = addons.find(a => a.name === name);
+  if (!addon) {
+    throw new UsageError(`Add-on "${name}" not found in project "${project.name}"`);
+  }
+  return { project, addon };
+}
+
+/**
+ * Find a service of the add-on's project by name
+ * @param {object} project - Project from GET /projects/:id
+ * @param {string} name - Service name
+ * @returns {object} Service summary
+ */
+function findProjectService(project, name) {
+  if (!name) {
+    throw new UsageError('A service name is required');
+  }
+  const service = project.services.find(s => s.name === name);
+  if (!service) {
+    throw new UsageError(`Service "${name}" not found in project "${project.name}"`);
+  }
+  return service;
+}
+
+/**
+ * Format an add-on's data size
+ * @param {object} addon - Add-on from the API
+ * @returns {string}
+ */
+function formatUsage(addon) {
+  if (addon.used_bytes == null || !addon.capacity_bytes) {
+    return `${addon.storage_gb} GB`;
+  }
+  const percent = Math.round((addon.used_bytes / addon.capacity_bytes) * 100);
+  return `${(addon.used_bytes / 1024 ** 2).toFixed(0)} MB of ${addon.storage_gb} GB (${percent}%)`;
+}
+
+export const commands = {
+  'addons ls': {
+    summary: 'List a project\'s database and cache add-ons',
+    usage: 'dangus addons ls <project>',
+    async run({ client, args }) {
+      const project = await resolveProject(client, args[0]);
+      const data = await client.get(`/projects/${project.id}/addons`);
+      out.table([
+        { key: 'name', label: 'Name', format: (name) => out.color.green(name) },
+        { key: 'engine', label: 'Engine', format: (engine, row) => `${engine} ${row.version}` },
+        { key: 'status', label: 'Status', format: out.statusTag },
+        { key: 'used_bytes', label: 'Data', format: (_, row) => formatUsage(row) },
+        { key: 'connection', label: 'Host', format: (connection) => `${connection.host}:${connection.port}` },
+        { key: 'attachments', label: 'Attached', format: (attachments) => attachments.map(a => `${a.service_name} (${a.env_var})`).join(', ') || '-' },
+      ], data.addons, {
+        title: `Add-ons: ${project.name}`,
+        empty: 'No add-ons yet. Create one with `dangus addons create`.',
+        data,
+      });
+    },
+  },
+
+  'addons create': {
+    summary: 'Create a managed PostgreSQL, MySQL or Redis server with generated credentials',
+    usage: 'dangus addons create <project> <name> --engine postgres|mysql|redis [--version <version>] [--storage <gb>]',
+    options: {
+      engine: { type: 'string' },
+      version: { type: 'string' },
+      storage: { type: 'string', default: '1' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, name] = args;
+      if (!name) {
+        throw new UsageError('An add-on name is required');
+      }
+      if (!ADDON_ENGINES.includes(flags.engine)) {
+        throw new UsageError(`--engine must be one of: ${ADDON_ENGINES.join(', ')}`);
+      }
+      const storage = Number(flags.storage);
+      if (!Number.isInteger(storage) || storage < 1 || storage > 10) {
+        throw new UsageError('--storage must be a number of GB from 1 to 10');
+      }
+
+      const project = await resolveProject(client, ref);
+      const body = { name, engine: flags.engine, storage_gb: storage };
+      if (flags.version) {
+        body.version = flags.version;
+      }
+
+      const addon = await client.post(`/projects/${project.id}/addons`, body);
+      out.success(`${addon.engine_label} ${addon.version} add-on ${addon.name} created at ${addon.connection.host}:${addon.connection.port}`, addon);
+      if (!out.isJsonMode()) {
+        out.info(`Give a service its ${addon.env_var} with: dangus addons attach ${project.name}/${addon.name} <service>`);
+      }
+    },
+  },
+
+  'addons rm': {
+    summary: 'Delete an add-on and its data',
+    usage: 'dangus addons rm <project/addon> [--yes]',
+    options: {
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const { addon } = await resolveAddon(client, args[0]);
+
+      if (!flags.yes) {
+        const confirmed = await out.confirmByName(addon.name, `This deletes ${addon.name} and all of its data.`);
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to delete without prompting.');
+        }
+      }
+
+      const result = await client.del(`/addons/${addon.id}`);
+      out.success(`Add-on ${addon.name} deleted`, result);
+    },
+  },
+
+  'addons url': {
+    summary: 'Print an add-on\'s connection URL, password included',
+    usage: 'dangus addons url <project/addon>',
+    async run({ client, args }) {
+      const { addon } = await resolveAddon(client, args[0]);
+      const credentials = await client.get(`/addons/${addon.id}/credentials`);
+      if (out.isJsonMode()) {
+        out.printJson(credentials);
+        return;
+      }
+      console.log(credentials.url);
+    },
+  },
+
+  'addons attach': {
+    summary: 'Give a service an add-on\'s connection URL as a secret env var',
+    usage: 'dangus addons attach <project/addon> <service> [--as <VARIABLE>]',
+    options: {
+      as: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const { project, addon } = await resolveAddon(client, args[0]);
+      const service = findProjectService(project, args[1]);
+
+      const body = { service_id: service.id };
+      if (flags.as) {
+        body.env_var = flags.as;
+      }
+
+      const attachment = await client.post(`/addons/${addon.id}/attachments`, body);
+      out.success(`${service.name} gets ${attachment.env_var} from ${addon.name}`, attachment);
+    },
+  },
+
+  'addons detach': {
+    summary: 'Remove an add-on\'s connection URL from a service',
+    usage: 'dangus addons detach <project/addon> <service>',
+    async run({ client, args }) {
+      const { project, addon } = await resolveAddon(client, args[0]);
+      const service = findProjectService(project, args[1]);
+
+      const result = await client.del(`/addons/${addon.id}/attachments/${service.id}`);
+      out.success(`${service.name} detached from ${addon.name}`, result);
+    },
+  },
+};
@@ -0,0 +1,164 @@
+/**
+ * alerts ls / create / enable / disable / rm
+ */
+
+import { resolveProject, UsageError } from '../resolve.js';
+import * as out from '../output.js';
+
+// Unit of each metric's threshold, as shown in the rule's condition
+const METRICS = {
+  unhealthy: 'failed checks in a row',
+  response_time: 'ms p95 response time',
+  cpu: '% of the CPU limit',
+  memory: '% of the memory limit',
+  restarts: 'restarts',
+};
+
+/**
+ * Describe a rule's condition, e.g. "90 % of the memory limit for 5 min"
+ * @param {object} rule - Alert rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  if (rule.metric === 'unhealthy') {
+    return `${rule.threshold} ${METRICS.unhealthy}`;
+  }
+  return `${rule.threshold} ${METRICS[rule.metric]} ${rule.metric === 'restarts' ? 'within' : 'for'} ${rule.duration_minutes} min`;
+}
+
+/**
+ * Enable or disable a rule
+ */
+async function setEnabled(client, ruleId, enabled) {
+  if (!ruleId) {
+    throw new UsageError('An alert rule ID is required');
+  }
+  const rule = await client.patch(`/alert-rules/${ruleId}`, { enabled });
+  out.success(`Alert rule "${rule.name}" ${enabled ? 'enabled' : 'disabled'}`, rule);
+}
+
+export const commands = {
+  'alerts ls': {
+    summary: 'List a project\'s alert rules and its firing alerts',
+    usage: 'dangus alerts ls <project>',
+    async run({ client, args }) {
+      const project = await resolveProject(client, args[0]);
+      const [{ rules }, { alerts }] = await Promise.all([
+        client.get(`/projects/${project.id}/alert-rules`),
+        client.get(`/projects/${project.id}/alerts?status=firing`),
+      ]);
+
+      out.table([
+        { key: 'id', label: 'ID' },
+        { key: 'name', label: 'Name', format: (name) => out.color.green(name) },
+        { key: 'service_name', label: 'Service', format: (name) => name || 'all services' },
+        { key: 'metric', label: 'Condition', format: (metric, rule) => describeRule(rule) },
+        { key: 'enabled', label: 'Enabled', format: (enabled) => enabled ? 'yes' : out.color.muted('no') },
+        { key: 'firing', label: 'Firing', format: (firing) => firing > 0 ? out.color.red(firing) : '0' },
+      ], rules, {
+        title: `Alert rules: ${project.name}`,
+        empty: 'No alert rules. Add one with `dangus alerts create`.',
+        data: { rules, alerts },
+      });
+
+      if (!out.isJsonMode() && alerts.length > 0) {
+        out.table([
+          { key: 'status', label: 'Status', format: out.statusTag },
+          { key: 'service_name', label: 'Service' },
+          { key: 'rule_name', label: 'Rule' },
+          { key: 'message', label: 'Condition' },
+          { key: 'started_at', label: 'Since', format: (value) => new Date(value).toLocaleString() },
+        ], alerts, { title: 'Firing' });
+      }
+    },
+  },
+
+  'alerts create': {
+    summary: 'Alert when a service (or any service of a project) is unhealthy, slow, near its limits or restarting',
+    usage: 'dangus alerts create <project>[/<service>] --metric unhealthy|response_time|cpu|memory|restarts --threshold <n> [--for <minutes>] [--name <name>]',
+    options: {
+      metric: { type: 'string' },
+      threshold: { type: 'string' },
+      for: { type: 'string' },
+      name: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      if (!METRICS[flags.metric]) {
+        throw new UsageError(`--metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+      }
+
+      const threshold = Number(flags.threshold);
+      if (!(threshold > 0)) {
+        throw new UsageError('--threshold must be a number greater than 0');
+      }
+
+      const [projectRef, serviceName] = (args[0] || '').split('/', 2);
+      const project = await resolveProject(client, projectRef);
+
+      const body = {
+        name: flags.name || `${serviceName || project.name}-${flags.metric.replace('_', '-')}`,
+        metric: flags.metric,
+        threshold,
+      };
+
+      if (serviceName) {
+        const service = project.services.find(s => s.name === serviceName);
+        if (!service) {
+          throw new UsageError(`Service "${serviceName}" not found in project "${project.name}"`);
+        }
+        body.service_id = service.id;
+      }
+
+      if (flags.for !== undefined) {
+        const minutes = Number(flags.for);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+          throw new UsageError('--for must be a number of minutes from 1 to 1440');
+        }
+        body.duration_minutes = minutes;
+      }
+
+      const rule = await client.post(`/projects/${project.id}/alert-rules`, body);
+      out.success(`Alert rule "${rule.name}" created: ${describeRule(rule)} on ${rule.service_name || 'all services'}`, rule);
+    },
+  },
+
+  'alerts enable': {
+    summary: 'Enable an alert rule',
+    usage: 'dangus alerts enable <rule-id>',
+    async run({ client, args }) {
+      await setEnabled(client, args[0], true);
+    },
+  },
+
+  'alerts disable': {
+    summary: 'Disable an alert rule, resolving its firing alerts without notifying',
+    usage: 'dangus alerts disable <rule-id>',
+    async run({ client, args }) {
+      await setEnabled(client, args[0], false);
+    },
+  },
+
+  'alerts rm': {
+    summary: 'Delete an alert rule and its alert history',
+    usage: 'dangus alerts rm <rule-id> [--yes]',
+    options: {
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const [ruleId] = args;
+      if (!ruleId) {
+        throw new UsageError('An alert rule ID is required');
+      }
+
+      if (!flags.yes) {
+        const confirmed = await out.confirmByName(ruleId, 'This deletes the alert rule and its alert history.');
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to delete without prompting.');
+        }
+      }
+
+      const result = await client.del(`/alert-rules/${ruleId}`);
+      out.success('Alert rule deleted', result);
+    },
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * login / logout / whoami
+ */
+
+import os from 'os';
+import { spawn } from 'child_process';
+import { createClient } from '../api.js';
+import { writeConfig, clearConfig, readConfig, CONFIG_PATH } from '../config.js';
+import * as out from '../output.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Open a URL in the default browser. Failure is fine - the URL is printed too.
+ * @param {string} url
+ */
+function openBrowser(url) {
+  const command = process.platform === 'darwin' ? 'open'
+    : process.platform === 'win32' ? 'explorer'
+    : 'xdg-open';
+
+  try {
+    const child = spawn(command, [url], { stdio: 'ignore', detached: true });
+    child.on('error', () => {});
+    child.unref();
+  } catch (err) {
+    // No browser available (e.g. over SSH)
+  }
+}
+
+/**
+ * Run the device login flow and return the issued token
+ * @param {object} client - Unauthenticated API client
+ * @param {object} options - Options
+ * @param {string} options.clientName - Name shown on the approval page
+ * @param {boolean} options.browser - Whether to open the browser
+ * @returns {Promise<{token: string, user: object, scopes: string[]}>}
+ */
+async function deviceLogin(client, { clientName, browser }) {
+  const start = await client.post('/auth/device/code', { client_name: clientName });
+
+  out.info(`Open ${out.color.cyan(start.verification_uri)} and enter the code:`);
+  console.error(`\n    ${out.color.green(out.color.bold(start.user_code))}\n`);
+
+  if (browser) {
+    openBrowser(start.verification_uri_complete);
+  }
+
+  out.info('Waiting for approval...');
+
+  let interval = start.interval * 1000;
+  const deadline = Date.now() + start.expires_in * 1000;
+
+  while (Date.now() < deadline) {
+    await sleep(interval);
+    const result = await client.post('/auth/device/token', { device_code: start.device_code });
+
+    switch (result.status) {
+      case 'approved':
+        return result;
+      case 'slow_down':
+        interval += 5000;
+        break;
+      case 'denied':
+        throw new Error('Login was denied in the browser');
+      case 'expired':
+        throw new Error('Login code expired. Run `dangus login` again.');
+      default:
+        break;
+    }
+  }
+
+  throw new Error('Login code expired. Run `dangus login` again.');
+}
+
+export const commands = {
+  login: {
+    summary: 'Log in via the browser (device flow) or with an API token',
+    usage: 'dangus login [--token <dgs_...>] [--api-url <url>] [--name <client name>] [--no-browser]',
+    options: {
+      name: { type: 'string' },
+      'no-browser': { type: 'boolean' },
+    },
+    requiresAuth: false,
+    async run({ flags, config }) {
+      const apiUrl = config.apiUrl;
+      let token = flags.token || process.env.DANGUS_TOKEN;
+      let user;
+      let scopes;
+
+      if (token) {
+        user = await createClient({ apiUrl, token }).get('/auth/me');
+      } else {
+        const result = await deviceLogin(createClient({ apiUrl }), {
+          clientName: (flags.name || `dangus CLI on ${os.hostname()}`).substring(0, 100),
+          browser: !flags['no-browser'],
+        });
+        token = result.token;
+        user = result.user;
+        scopes = result.scopes;
+      }
+
+      writeConfig({ api_url: apiUrl, token, github_username: user.github_username });
+
+      out.success(`Logged in to ${apiUrl} as ${user.github_username}`, {
+        api_url: apiUrl,
+        github_username: user.github_username,
+        scopes,
+      });
+    },
+  },
+
+  logout: {
+    summary: 'Forget the stored token',
+    usage: 'dangus logout',
+    requiresAuth: false,
+    async run() {
+      const stored = readConfig();
+      clearConfig();
+
+      if (stored.token) {
+        out.info('The token is still valid until you revoke it under Settings > API Tokens.');
+      }
+      out.success('Logged out', { success: true });
+    },
+  },
+
+  whoami: {
+    summary: 'Show the current user',
+    usage: 'dangus whoami',
+    async run({ client }) {
+      const user = await client.get('/auth/me');
+      out.details([
+        ['User', out.color.green(user.github_username)],
+        ['User ID', user.hash],
+        ['API', client.apiUrl],
+        ['Config', CONFIG_PATH],
+      ], { title: 'Whoami', data: { ...user, api_url: client.apiUrl } });
+    },
+  },
+};
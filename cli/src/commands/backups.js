@@ -0,0 +1,226 @@
+/**
+ * backups ls / create / schedule / restore / rm / rm-volume
+ */
+
+import { resolveProject, UsageError } from '../resolve.js';
+import * as out from '../output.js';
+
+const SCHEDULES = ['hourly', 'daily', 'weekly'];
+
+/**
+ * Resolve a "project/name" reference to a service or add-on of the project
+ * @param {object} client - API client
+ * @param {string} ref - project/service or project/addon
+ * @returns {Promise<{project: object, kind: string, source: object}>} kind is services or addons
+ */
+async function resolveSource(client, ref) {
+  if (!ref || !ref.includes('/')) {
+    throw new UsageError('A service or add-on is required as project/name');
+  }
+
+  const [projectRef, name] = ref.split('/', 2);
+  const project = await resolveProject(client, projectRef);
+
+  const service = project.services.find(s => s.name === name);
+  if (service) {
+    return { project, kind: 'services', source: service };
+  }
+
+  const { addons } = await client.get(`/projects/${project.id}/addons`);
+  const addon = addons.find(a => a.name === name);
+  if (addon) {
+    return { project, kind: 'addons', source: addon };
+  }
+
+  throw new UsageError(`No service or add-on named "${name}" in project "${project.name}"`);
+}
+
+/**
+ * Format a backup's size
+ * @param {number|null} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes == null) return '-';
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
+
+const BACKUP_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'started_at', label: 'Started', format: (value) => new Date(value).toLocaleString() },
+  { key: 'status', label: 'Status', format: out.statusTag },
+  { key: 'trigger', label: 'Trigger' },
+  { key: 'size_bytes', label: 'Size', format: formatSize },
+  { key: 'error', label: 'Error', format: (error) => error ? out.color.red(error) : '' },
+];
+
+export const commands = {
+  'backups ls': {
+    summary: 'List the backups of a service volume or database add-on, or of a whole project',
+    usage: 'dangus backups ls <project>[/<service-or-addon>]',
+    async run({ client, args }) {
+      if (!args[0]?.includes('/')) {
+        const project = await resolveProject(client, args[0]);
+        const data = await client.get(`/projects/${project.id}/backups`);
+        out.table([
+          { key: 'source_name', label: 'Source', format: (name) => out.color.green(name) },
+          ...BACKUP_COLUMNS,
+        ], data.backups, {
+          title: `Backups: ${project.name}`,
+          empty: data.enabled ? 'No backups yet.' : 'Backups are not configured on this server.',
+          data,
+        });
+        return;
+      }
+
+      const { source, kind } = await resolveSource(client, args[0]);
+      const data = await client.get(`/${kind}/${source.id}/backups`);
+      out.table(BACKUP_COLUMNS, data.backups, {
+        title: `Backups: ${source.name}`,
+        empty: !data.enabled
+          ? 'Backups are not configured on this server.'
+          : data.unavailable_reason || 'No backups yet. Take one with `dangus backups create`.',
+        data,
+      });
+      if (!out.isJsonMode() && data.enabled && !data.unavailable_reason) {
+        out.info(data.schedule
+          ? `Backed up ${data.schedule}, keeping the last ${data.retention} scheduled backups`
+          : 'No backup schedule. Set one with `dangus backups schedule`.');
+      }
+      if (!out.isJsonMode() && data.previous_volumes?.length) {
+        out.info(`Volumes replaced by restores: ${data.previous_volumes.map(v => v.name).join(', ')}. Delete them with \`dangus backups rm-volume\`.`);
+      }
+    },
+  },
+
+  'backups create': {
+    summary: 'Back up a service volume or database add-on now',
+    usage: 'dangus backups create <project/service-or-addon>',
+    async run({ client, args }) {
+      const { source, kind } = await resolveSource(client, args[0]);
+      const backup = await client.post(`/${kind}/${source.id}/backups`);
+      out.success(`Backing up ${source.name} (backup ${backup.id})`, backup);
+      if (!out.isJsonMode()) {
+        out.info(`Follow it with: dangus backups ls ${args[0]}`);
+      }
+    },
+  },
+
+  'backups schedule': {
+    summary: 'Set how often a service volume or database add-on is backed up and how many backups to keep',
+    usage: 'dangus backups schedule <project/service-or-addon> --every hourly|daily|weekly|none [--keep <count>]',
+    options: {
+      every: { type: 'string' },
+      keep: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      if (flags.every !== 'none' && !SCHEDULES.includes(flags.every)) {
+        throw new UsageError(`--every must be one of: ${[...SCHEDULES, 'none'].join(', ')}`);
+      }
+
+      const body = { schedule: flags.every === 'none' ? null : flags.every };
+      if (flags.keep !== undefined) {
+        const keep = Number(flags.keep);
+        if (!Number.isInteger(keep) || keep < 1 || keep > 90) {
+          throw new UsageError('--keep must be a number of backups from 1 to 90');
+        }
+        body.retention = keep;
+      }
+
+      const { source, kind } = await resolveSource(client, args[0]);
+      const policy = await client.patch(`/${kind}/${source.id}/backup-policy`, body);
+      out.success(policy.schedule
+        ? `${source.name} is backed up ${policy.schedule}, keeping the last ${policy.retention}`
+        : `Scheduled backups of ${source.name} turned off`, policy);
+    },
+  },
+
+  'backups restore': {
+    summary: 'Restore a backup into its service or add-on, or into another one of the project',
+    usage: 'dangus backups restore <backup-id> [--into <project/service-or-addon>] [--yes]',
+    options: {
+      into: { type: 'string' },
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const [backupId] = args;
+      if (!backupId) {
+        throw new UsageError('A backup ID is required');
+      }
+
+      const body = {};
+      let targetName = null;
+      if (flags.into) {
+        const { source, kind } = await resolveSource(client, flags.into);
+        body[kind === 'services' ? 'service_id' : 'addon_id'] = source.id;
+        targetName = source.name;
+      }
+
+      if (!flags.yes) {
+        const target = targetName || 'the backed up service or add-on';
+        const confirmed = await out.confirmByName(backupId, `This replaces the data of ${target} with the backup. Changes since then are lost.`);
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to restore without prompting.');
+        }
+      }
+
+      const restore = await client.post(`/backups/${backupId}/restore`, body);
+      out.success(`Restoring ${restore.target_name} (restore ${restore.id})`, restore);
+    },
+  },
+
+  'backups rm': {
+    summary: 'Delete a backup from storage',
+    usage: 'dangus backups rm <backup-id> [--yes]',
+    options: {
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const [backupId] = args;
+      if (!backupId) {
+        throw new UsageError('A backup ID is required');
+      }
+
+      if (!flags.yes) {
+        const confirmed = await out.confirmByName(backupId, 'This deletes the backup from storage.');
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to delete without prompting.');
+        }
+      }
+
+      const result = await client.del(`/backups/${backupId}`);
+      out.success('Backup deleted', result);
+    },
+  },
+
+  'backups rm-volume': {
+    summary: 'Delete a volume a restore replaced',
+    usage: 'dangus backups rm-volume <project/service> <volume> [--yes]',
+    options: {
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, volume] = args;
+      if (!volume) {
+        throw new UsageError('A service and the name of one of its previous volumes are required');
+      }
+
+      const { source, kind } = await resolveSource(client, ref);
+      if (kind !== 'services') {
+        throw new UsageError('Only services keep the volumes a restore replaced');
+      }
+
+      if (!flags.yes) {
+        const confirmed = await out.confirmByName(volume, `This deletes the data ${source.name} held before the restore.`);
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to delete without prompting.');
+        }
+      }
+
+      const result = await client.del(`/services/${source.id}/previous-volumes/${volume}`);
+      out.success(`Deleted ${volume}`, result);
+    },
+  },
+};
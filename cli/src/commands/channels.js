@@ -0,0 +1,171 @@
+/**
+ * channels ls / events / add / test / enable / disable / rm
+ */
+
+import { resolveProject, UsageError } from '../resolve.js';
+import * as out from '../output.js';
+
+const TYPES = ['webhook', 'slack', 'discord', 'teams', 'ntfy', 'gotify'];
+
+const DEFAULT_EVENTS = ['deployment.failed', 'cron_run.failed', 'alert.firing', 'alert.resolved'];
+
+/**
+ * Find one of your channels by name or ID
+ * @param {object} client - API client
+ * @param {string} ref - Channel name or ID
+ * @returns {Promise<object>} Channel
+ */
+async function resolveChannel(client, ref) {
+  if (!ref) {
+    throw new UsageError('A channel name or ID is required');
+  }
+  const { channels } = await client.get('/notifications/channels');
+  const channel = channels.find(c => c.id === ref || c.name === ref);
+  if (!channel) {
+    throw new UsageError(`Channel "${ref}" not found`);
+  }
+  return channel;
+}
+
+/**
+ * Enable or disable a channel
+ */
+async function setEnabled(client, ref, enabled) {
+  const channel = await resolveChannel(client, ref);
+  const updated = await client.patch(`/notifications/channels/${channel.id}`, { enabled });
+  out.success(`Channel "${updated.name}" ${enabled ? 'enabled' : 'disabled'}`, updated);
+}
+
+export const commands = {
+  'channels ls': {
+    summary: 'List your Slack, Discord, Teams, ntfy, Gotify and webhook notification channels',
+    usage: 'dangus channels ls',
+    async run({ client }) {
+      const data = await client.get('/notifications/channels');
+      out.table([
+        { key: 'name', label: 'Name', format: (name) => out.color.green(name) },
+        { key: 'type', label: 'Type' },
+        { key: 'project_name', label: 'Project', format: (name) => name || 'all my projects' },
+        { key: 'events', label: 'Events', format: (events) => events.join(', ') },
+        { key: 'enabled', label: 'Enabled', format: (enabled) => enabled ? 'yes' : out.color.muted('no') },
+      ], data.channels, {
+        title: 'Notification channels',
+        empty: 'No channels. Add one with `dangus channels add`.',
+        data,
+      });
+    },
+  },
+
+  'channels events': {
+    summary: 'List the events channels can subscribe to, with the version of each payload schema',
+    usage: 'dangus channels events',
+    async run({ client }) {
+      const data = await client.get('/notifications/events');
+      out.table([
+        { key: 'id', label: 'Event', format: (id) => out.color.green(id) },
+        { key: 'version', label: 'Version', format: (version) => `v${version}` },
+        { key: 'description', label: 'Description' },
+      ], data.events, {
+        title: 'Notification events',
+        data,
+      });
+    },
+  },
+
+  'channels add': {
+    summary: 'Add a notification channel for one project, or every project you own',
+    usage: `dangus channels add <name> --type ${TYPES.join('|')} --url <url> [--token <token>] [--project <project>] [--events <event,...>]`,
+    options: {
+      type: { type: 'string' },
+      url: { type: 'string' },
+      token: { type: 'string' },
+      project: { type: 'string' },
+      events: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const [name] = args;
+      if (!name) {
+        throw new UsageError('A channel name is required');
+      }
+      if (!TYPES.includes(flags.type)) {
+        throw new UsageError(`--type must be one of: ${TYPES.join(', ')}`);
+      }
+      if (!flags.url) {
+        throw new UsageError('--url is required');
+      }
+
+      const body = {
+        name,
+        type: flags.type,
+        url: flags.url,
+        events: flags.events ? flags.events.split(',').map(e => e.trim()).filter(Boolean) : DEFAULT_EVENTS,
+      };
+      if (flags.token) {
+        body.token = flags.token;
+      }
+      if (flags.project) {
+        body.project_id = (await resolveProject(client, flags.project)).id;
+      }
+
+      const channel = await client.post('/notifications/channels', body);
+      out.success(`Channel "${channel.name}" added for ${channel.project_name || 'all your projects'}`, channel);
+      if (!out.isJsonMode()) {
+        if (channel.secret) {
+          out.info(`Signing secret (X-Dangus-Signature): ${channel.secret}`);
+        }
+        out.info(`Send a test with: dangus channels test ${channel.name}`);
+      }
+    },
+  },
+
+  'channels test': {
+    summary: 'Send a test notification through a channel',
+    usage: 'dangus channels test <channel>',
+    async run({ client, args }) {
+      const channel = await resolveChannel(client, args[0]);
+      const result = await client.post('/notifications/test', { channel_id: channel.id });
+      const outcome = result.results[channel.type];
+      if (!outcome.success) {
+        throw new Error(`Test to "${channel.name}" failed: ${outcome.error}`);
+      }
+      out.success(`Test sent to "${channel.name}"`, result);
+    },
+  },
+
+  'channels enable': {
+    summary: 'Enable a notification channel',
+    usage: 'dangus channels enable <channel>',
+    async run({ client, args }) {
+      await setEnabled(client, args[0], true);
+    },
+  },
+
+  'channels disable': {
+    summary: 'Stop posting to a notification channel without deleting it',
+    usage: 'dangus channels disable <channel>',
+    async run({ client, args }) {
+      await setEnabled(client, args[0], false);
+    },
+  },
+
+  'channels rm': {
+    summary: 'Delete a notification channel',
+    usage: 'dangus channels rm <channel> [--yes]',
+    options: {
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const channel = await resolveChannel(client, args[0]);
+
+      if (!flags.yes) {
+        const confirmed = await out.confirmByName(channel.name, 'This deletes the notification channel.');
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to delete without prompting.');
+        }
+      }
+
+      const result = await client.del(`/notifications/channels/${channel.id}`);
+      out.success(`Channel "${channel.name}" deleted`, result);
+    },
+  },
+};
@@ -0,0 +1,101 @@
+/**
+ * deliveries ls / show / redeliver
+ */
+
+import { UsageError } from '../resolve.js';
+import * as out from '../output.js';
+
+const STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Where a delivery was sent
+ */
+function target(delivery) {
+  return delivery.channel_id ? `${delivery.channel_type}:${delivery.channel_name}` : 'settings webhook';
+}
+
+/**
+ * Print a delivery and the outcome of each attempt
+ */
+function printDelivery(delivery) {
+  out.details([
+    ['Delivery', delivery.id],
+    ['Status', out.statusTag(delivery.status)],
+    ['Event', delivery.event],
+    ['Target', target(delivery)],
+    ['Attempts', `${delivery.attempts}/${delivery.max_attempts}`],
+    ['Next attempt', delivery.status === 'pending' ? delivery.next_attempt_at : null],
+    ['Error', delivery.last_error ? out.color.red(delivery.last_error) : null],
+  ], { title: 'Webhook delivery', data: delivery });
+
+  if (out.isJsonMode()) return;
+
+  out.table([
+    { key: 'attempt', label: '#' },
+    { key: 'response_status', label: 'Status', format: (status, row) => (row.error ? out.color.red(status ?? 'none') : out.color.green(status)) },
+    { key: 'duration_ms', label: 'Latency', format: (ms) => `${ms}ms` },
+    { key: 'created_at', label: 'When', format: (time, row) => `${out.relativeTime(time)}${row.redelivery ? ' (redelivery)' : ''}` },
+    { key: 'error', label: 'Error' },
+  ], delivery.attempt_log, { title: 'Attempts', empty: 'No requests made yet.' });
+}
+
+export const commands = {
+  'deliveries ls': {
+    summary: 'List deliveries of the settings webhook and notification channels',
+    usage: `dangus deliveries ls [--status ${STATUSES.join('|')}] [--limit <n>]`,
+    options: {
+      status: { type: 'string' },
+      limit: { type: 'string' },
+    },
+    async run({ client, flags }) {
+      if (flags.status && !STATUSES.includes(flags.status)) {
+        throw new UsageError(`--status must be one of: ${STATUSES.join(', ')}`);
+      }
+      const params = new URLSearchParams({ limit: flags.limit || '20' });
+      if (flags.status) params.set('status', flags.status);
+
+      const data = await client.get(`/notifications/deliveries?${params}`);
+      out.table([
+        { key: 'id', label: 'ID' },
+        { key: 'status', label: 'Status', format: (status) => out.statusTag(status) },
+        { key: 'event', label: 'Event' },
+        { key: 'channel_name', label: 'Target', format: (name, row) => target(row) },
+        { key: 'last_response_status', label: 'Response', format: (status, row) => (status ? `${status} in ${row.last_duration_ms}ms` : null) },
+        { key: 'attempts', label: 'Attempts', format: (attempts, row) => `${attempts}/${row.max_attempts}` },
+        { key: 'created_at', label: 'Created', format: (time) => out.relativeTime(time) },
+      ], data.deliveries, {
+        title: 'Webhook deliveries',
+        empty: 'No deliveries.',
+        data,
+      });
+    },
+  },
+
+  'deliveries show': {
+    summary: 'Show a delivery and its attempts (--json includes the request and response bodies)',
+    usage: 'dangus deliveries show <delivery-id>',
+    async run({ client, args }) {
+      const [deliveryId] = args;
+      if (!deliveryId) {
+        throw new UsageError('A delivery ID is required');
+      }
+      printDelivery(await client.get(`/notifications/deliveries/${deliveryId}`));
+    },
+  },
+
+  'deliveries redeliver': {
+    summary: 'Send a delivered or failed delivery again, now',
+    usage: 'dangus deliveries redeliver <delivery-id>',
+    async run({ client, args }) {
+      const [deliveryId] = args;
+      if (!deliveryId) {
+        throw new UsageError('A delivery ID is required');
+      }
+      const delivery = await client.post(`/notifications/deliveries/${deliveryId}/redeliver`);
+      printDelivery(delivery);
+      if (delivery.status !== 'delivered') {
+        throw new Error(`Redelivery failed: ${delivery.last_error}`);
+      }
+    },
+  },
+};
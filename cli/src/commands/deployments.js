@@ -0,0 +1,169 @@
+/**
+ * deployments ls / watch
+ */
+
+import { resolveService, UsageError } from '../resolve.js';
+import { subscribe } from '../ws.js';
+import * as out from '../output.js';
+
+const TERMINAL_STATUSES = ['live', 'failed'];
+
+const shortSha = (sha) => (sha ? sha.substring(0, 7) : null);
+
+/**
+ * Print a status line, or an NDJSON line in --json mode
+ * @param {object} event - {timestamp, payload}
+ */
+function printStatusEvent({ timestamp, payload }) {
+  if (out.isJsonMode()) {
+    console.log(JSON.stringify({ timestamp, ...payload }));
+    return;
+  }
+
+  const time = new Date(timestamp).toLocaleTimeString();
+  const message = payload.message ? `  ${payload.message}` : '';
+  console.log(`${out.color.muted(`[${time}]`)} ${out.statusTag(payload.status)}${message}`);
+}
+
+/**
+ * Follow a deployment on its deployment:<id>:status channel until it is live or failed
+ * @param {object} client - API client
+ * @param {string} deploymentId - Deployment UUID
+ * @returns {Promise<string>} Final status
+ */
+export async function watchDeployment(client, deploymentId) {
+  const initial = await client.get(`/deployments/${deploymentId}`);
+  let lastStatus = null;
+
+  const report = (event) => {
+    if (event.payload.status === lastStatus && !event.payload.message) return;
+    lastStatus = event.payload.status;
+    printStatusEvent(event);
+  };
+
+  report({ timestamp: new Date().toISOString(), payload: { status: initial.status } });
+  if (TERMINAL_STATUSES.includes(initial.status)) {
+    return initial.status;
+  }
+
+  return new Promise((resolve, reject) => {
+    let subscription = null;
+    let finished = false;
+
+    const finish = (status) => {
+      if (finished) return;
+      finished = true;
+      subscription?.close();
+      resolve(status);
+    };
+
+    const onEvent = (event) => {
+      report(event);
+      if (TERMINAL_STATUSES.includes(event.payload.status)) {
+        finish(event.payload.status);
+      }
+    };
+
+    const onClose = () => {
+      if (!finished) {
+        finished = true;
+        reject(new Error('Lost connection while watching the deployment'));
+      }
+    };
+
+    subscribe(client, [`deployment:${deploymentId}:status`], onEvent, onClose)
+      .then(async (sub) => {
+        subscription = sub;
+        if (finished) {
+          sub.close();
+          return;
+        }
+
+        // The deployment may have finished between the first fetch and subscribing
+        const current = await client.get(`/deployments/${deploymentId}`);
+        if (TERMINAL_STATUSES.includes(current.status)) {
+          onEvent({ timestamp: new Date().toISOString(), payload: { status: current.status } });
+        }
+      })
+      .catch((err) => {
+        if (!finished) {
+          finished = true;
+          reject(err);
+        }
+      });
+  });
+}
+
+export const commands = {
+  'deployments ls': {
+    summary: 'List recent deployments of a service',
+    usage: 'dangus deployments ls <service> [--limit <n>]',
+    options: {
+      limit: { type: 'string', default: '20' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+      const limit = parseInt(flags.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError('--limit must be a positive number');
+      }
+
+      const data = await client.get(`/services/${service.id}/deployments?limit=${limit}`);
+      out.table([
+        { key: 'status', label: 'Status', format: out.statusTag },
+        { key: 'commit_sha', label: 'Commit', format: (sha, row) => {
+          if (row.rollback_to) return `${shortSha(sha)} ${out.color.amber('(rollback)')}`;
+          if (row.promoted_from_environment) return `${shortSha(sha)} ${out.color.amber(`(from ${row.promoted_from_environment})`)}`;
+          return shortSha(sha);
+        } },
+        { key: 'created_at', label: 'Created', format: out.relativeTime },
+        { key: 'id', label: 'ID', format: (id) => out.color.muted(id) },
+      ], data.deployments, {
+        title: `Deployments: ${service.name}`,
+        empty: 'No deployments yet.',
+        data,
+      });
+    },
+  },
+
+  'deployments watch': {
+    summary: 'Follow a deployment until it is live or failed',
+    usage: 'dangus deployments watch <deployment id | service>',
+    async run({ client, args }) {
+      const [ref] = args;
+      if (!ref) {
+        throw new UsageError('A deployment ID or service is required');
+      }
+
+      let deploymentId = ref;
+      if (!/^[0-9a-f-]{36}$/i.test(ref) || !(await isDeployment(client, ref))) {
+        const service = await resolveService(client, ref);
+        if (!service.latest_deployment) {
+          throw new UsageError(`Service ${service.name} has no deployments`);
+        }
+        deploymentId = service.latest_deployment.id;
+      }
+
+      const status = await watchDeployment(client, deploymentId);
+      if (status === 'failed') {
+        process.exitCode = 1;
+      }
+    },
+  },
+};
+
+/**
+ * Check whether a UUID refers to a deployment (rather than a service)
+ * @param {object} client - API client
+ * @param {string} id - UUID
+ * @returns {Promise<boolean>}
+ */
+async function isDeployment(client, id) {
+  try {
+    await client.get(`/deployments/${id}`);
+    return true;
+  } catch (err) {
+    if (err.status === 404) return false;
+    throw err;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * env ls / pull / push
+ */
+
+import fs from 'fs';
+import { resolveService, UsageError } from '../resolve.js';
+import { parseDotenv, formatDotenv } from '../dotenv.js';
+import * as out from '../output.js';
+
+/**
+ * Fetch every variable of a service with its value (secret values are revealed one by one)
+ * @param {object} client - API client
+ * @param {string} serviceId - Service UUID
+ * @returns {Promise<Array<{id: string, key: string, value: string, is_secret: boolean}>>}
+ */
+async function fetchEnvWithValues(client, serviceId) {
+  const { env_vars: envVars } = await client.get(`/services/${serviceId}/env`);
+  const revealed = [];
+  for (const envVar of envVars) {
+    if (!envVar.is_secret) {
+      revealed.push(envVar);
+      continue;
+    }
+    const { value } = await client.get(`/services/${serviceId}/env/${envVar.id}/value`);
+    revealed.push({ ...envVar, value });
+  }
+  return revealed;
+}
+
+export const commands = {
+  'env ls': {
+    summary: 'List environment variables (secret values stay masked)',
+    usage: 'dangus env ls <service>',
+    async run({ client, args }) {
+      const service = await resolveService(client, args[0]);
+      const data = await client.get(`/services/${service.id}/env`);
+      out.table([
+        { key: 'key', label: 'Key', format: (key) => out.color.green(key) },
+        { key: 'is_secret', label: 'Type', format: (secret) => (secret ? out.color.amber('secret') : 'plain') },
+        { key: 'value', label: 'Value', format: (value) => out.color.muted(value) },
+        { key: 'created_at', label: 'Created', format: out.relativeTime },
+      ], data.env_vars, {
+        title: `Environment: ${service.name}`,
+        empty: 'No environment variables.',
+        data,
+      });
+    },
+  },
+
+  'env pull': {
+    summary: 'Download environment variables into a .env file',
+    usage: 'dangus env pull <service> [--file .env] [--force]',
+    options: {
+      file: { type: 'string', short: 'f', default: '.env' },
+      force: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+      const envVars = await fetchEnvWithValues(client, service.id);
+
+      if (out.isJsonMode()) {
+        out.printJson(Object.fromEntries(envVars.map(v => [v.key, v.value])));
+        return;
+      }
+
+      const file = flags.file;
+      if (file === '-') {
+        process.stdout.write(formatDotenv(envVars.map(v => [v.key, v.value])));
+        return;
+      }
+
+      if (fs.existsSync(file) && !flags.force) {
+        throw new UsageError(`${file} already exists. Pass --force to overwrite it.`);
+      }
+
+      const header = `# Environment for ${service.name}, pulled ${new Date().toISOString()}\n`;
+      fs.writeFileSync(file, header + formatDotenv(envVars.map(v => [v.key, v.value])), { mode: 0o600 });
+      out.success(`Wrote ${envVars.length} variable(s) to ${file}`);
+    },
+  },
+
+  'env push': {
+    summary: 'Create or update environment variables from a .env file',
+    usage: 'dangus env push <service> [--file .env] [--plain] [--prune] [--dry-run]',
+    options: {
+      file: { type: 'string', short: 'f', default: '.env' },
+      plain: { type: 'boolean' },
+      prune: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+
+      let content;
+      try {
+        content = flags.file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(flags.file, 'utf8');
+      } catch (err) {
+        throw new UsageError(`Cannot read ${flags.file}: ${err.message}`);
+      }
+
+      const { vars, errors } = parseDotenv(content);
+      if (errors.length > 0) {
+        throw new UsageError(`Invalid ${flags.file}:\n  ${errors.join('\n  ')}`);
+      }
+
+      const existing = new Map((await fetchEnvWithValues(client, service.id)).map(v => [v.key, v]));
+      const changes = { created: [], updated: [], unchanged: [], deleted: [] };
+
+      for (const [key, value] of vars) {
+        const current = existing.get(key);
+        if (!current) {
+          if (!flags['dry-run']) {
+            await client.post(`/services/${service.id}/env`, { key, value, is_secret: !flags.plain });
+          }
+          changes.created.push(key);
+        } else if (current.value !== value) {
+          if (!flags['dry-run']) {
+            await client.patch(`/services/${service.id}/env/${current.id}`, { value });
+          }
+          changes.updated.push(key);
+        } else {
+          changes.unchanged.push(key);
+        }
+      }
+
+      if (flags.prune) {
+        for (const [key, current] of existing) {
+          if (!vars.has(key)) {
+            if (!flags['dry-run']) {
+              await client.del(`/services/${service.id}/env/${current.id}`);
+            }
+            changes.deleted.push(key);
+          }
+        }
+      }
+
+      if (out.isJsonMode()) {
+        out.printJson({ dry_run: Boolean(flags['dry-run']), ...changes });
+        return;
+      }
+
+      const prefix = flags['dry-run'] ? '(dry run) ' : '';
+      for (const key of changes.created) console.log(out.color.green(`+ ${key}`));
+      for (const key of changes.updated) console.log(out.color.amber(`~ ${key}`));
+      for (const key of changes.deleted) console.log(out.color.red(`- ${key}`));
+      out.success(`${prefix}${changes.created.length} created, ${changes.updated.length} updated, ${changes.deleted.length} deleted, ${changes.unchanged.length} unchanged`);
+
+      const changed = changes.created.length + changes.updated.length + changes.deleted.length;
+      if (changed > 0 && !flags['dry-run']) {
+        out.info('Running pods are restarted with the new values');
+      }
+    },
+  },
+};
@@ -0,0 +1,122 @@
+/**
+ * logs [-f]
+ */
+
+import { resolveService, UsageError } from '../resolve.js';
+import { openSocket } from '../ws.js';
+import * as out from '../output.js';
+
+/**
+ * Stream logs over /services/:id/logs/stream until the stream ends or Ctrl-C
+ * @param {object} client - API client
+ * @param {object} service - Service
+ * @param {object} options - pod, container, tailLines
+ * @returns {Promise<void>}
+ */
+function followLogs(client, service, { pod, container, tailLines }) {
+  return new Promise((resolve, reject) => {
+    const socket = openSocket(client, `/services/${service.id}/logs/stream`, { pod, container, tailLines });
+    let failed = false;
+
+    const stop = () => socket.close();
+    process.once('SIGINT', stop);
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        return;
+      }
+
+      if (out.isJsonMode()) {
+        console.log(JSON.stringify(message));
+      } else if (message.type === 'log') {
+        process.stdout.write(message.data);
+      } else if (message.type === 'connected') {
+        out.info(`Streaming ${message.pod} (${message.container}), Ctrl-C to stop`);
+      } else if (message.type === 'pods' && message.pods.length > 1) {
+        out.info(`${message.pods.length} pods running, showing the first. Use --pod to pick one: ${message.pods.map(p => p.name).join(', ')}`);
+      } else if (message.type === 'end') {
+        out.info(message.message || 'Log stream ended');
+      }
+
+      if (message.type === 'error') {
+        failed = true;
+        if (!out.isJsonMode()) {
+          out.error(message.message);
+        }
+      }
+    });
+
+    socket.on('unexpected-response', (req, res) => {
+      failed = true;
+      reject(new Error(res.statusCode === 401
+        ? 'Not authenticated. Run `dangus login` first.'
+        : `Log stream failed (${res.statusCode})`));
+    });
+
+    socket.on('error', (err) => {
+      if (!failed) reject(err);
+    });
+
+    socket.on('close', () => {
+      process.removeListener('SIGINT', stop);
+      if (failed) {
+        process.exitCode = 1;
+      }
+      resolve();
+    });
+  });
+}
+
+export const commands = {
+  logs: {
+    summary: 'Show container logs, or follow them with -f',
+    usage: 'dangus logs <service> [-f] [--tail <lines>] [--pod <name>] [--container <name>]',
+    options: {
+      follow: { type: 'boolean', short: 'f' },
+      tail: { type: 'string', short: 'n', default: '100' },
+      pod: { type: 'string' },
+      container: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const tailLines = Number(flags.tail);
+      if (!Number.isInteger(tailLines) || tailLines < 1 || tailLines > 10000) {
+        throw new UsageError('--tail must be a number from 1 to 10000');
+      }
+
+      const service = await resolveService(client, args[0]);
+
+      if (flags.follow) {
+        await followLogs(client, service, { pod: flags.pod, container: flags.container, tailLines });
+        return;
+      }
+
+      const query = new URLSearchParams({ tailLines: String(tailLines) });
+      if (flags.pod) query.set('pod', flags.pod);
+      if (flags.container) query.set('container', flags.container);
+
+      const data = await client.get(`/services/${service.id}/logs?${query}`);
+      if (out.isJsonMode()) {
+        out.printJson(data);
+        return;
+      }
+
+      if (data.pods.length === 0) {
+        out.info('No running pods');
+        return;
+      }
+
+      for (const pod of data.pods) {
+        if (data.pods.length > 1) {
+          out.header(`${pod.name} ${pod.status}`);
+        }
+        if (pod.error) {
+          out.warn(`${pod.name}: ${pod.error}`);
+        }
+        process.stdout.write(pod.logs.endsWith('\n') || !pod.logs ? pod.logs : `${pod.logs}\n`);
+      }
+    },
+  },
+};
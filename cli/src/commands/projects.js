@@ -0,0 +1,118 @@
+/**
+ * projects ls / create / rm / envs / add-env
+ */
+
+import { resolveProject, UsageError } from '../resolve.js';
+import * as out from '../output.js';
+
+export const commands = {
+  'projects ls': {
+    summary: 'List projects you have access to',
+    usage: 'dangus projects ls',
+    async run({ client }) {
+      const { projects } = await client.get('/projects');
+      out.table([
+        { key: 'name', label: 'Name', format: (name) => out.color.green(name) },
+        { key: 'role', label: 'Role', format: (role) => role.toUpperCase() },
+        { key: 'service_count', label: 'Services' },
+        { key: 'environment_count', label: 'Envs' },
+        { key: 'organization_name', label: 'Org' },
+        { key: 'created_at', label: 'Created', format: out.relativeTime },
+        { key: 'id', label: 'ID', format: (id) => out.color.muted(id) },
+      ], projects, {
+        title: 'Projects',
+        empty: 'No projects yet. Create one with `dangus projects create <name>`.',
+        data: { projects },
+      });
+    },
+  },
+
+  'projects create': {
+    summary: 'Create a project',
+    usage: 'dangus projects create <name> [--org <organization id>]',
+    options: {
+      org: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const [name] = args;
+      if (!name) {
+        throw new UsageError('A project name is required');
+      }
+
+      const body = { name };
+      if (flags.org) {
+        body.organization_id = flags.org;
+      }
+
+      const project = await client.post('/projects', body);
+      out.success(`Project ${project.name} created (namespace ${project.namespace})`, project);
+    },
+  },
+
+  'projects rm': {
+    summary: 'Delete a project and all of its services',
+    usage: 'dangus projects rm <project> [--yes]',
+    options: {
+      yes: { type: 'boolean', short: 'y' },
+    },
+    async run({ client, args, flags }) {
+      const project = await resolveProject(client, args[0]);
+
+      if (!flags.yes) {
+        const confirmed = await out.confirmByName(
+          project.name,
+          `This deletes ${project.name}, its ${project.services.length} service(s) and namespace ${project.namespace}.`
+        );
+        if (!confirmed) {
+          throw new UsageError('Not confirmed. Pass --yes to delete without prompting.');
+        }
+      }
+
+      const result = await client.del(`/projects/${project.id}`);
+      out.success(`Project ${project.name} deleted`, result);
+    },
+  },
+
+  'projects envs': {
+    summary: 'List the environments of a project',
+    usage: 'dangus projects envs <project>',
+    async run({ client, args }) {
+      const project = await resolveProject(client, args[0]);
+      const { environments } = await client.get(`/projects/${project.id}/environments`);
+      out.table([
+        { key: 'environment', label: 'Environment', format: (name) => out.color.green(name) },
+        { key: 'namespace', label: 'Namespace' },
+        { key: 'service_count', label: 'Services' },
+        { key: 'created_at', label: 'Created', format: out.relativeTime },
+        { key: 'id', label: 'ID', format: (id) => out.color.muted(id) },
+      ], environments, {
+        title: `Environments: ${project.name}`,
+        data: { environments },
+      });
+    },
+  },
+
+  'projects add-env': {
+    summary: 'Create an environment with copies of the project\'s services',
+    usage: 'dangus projects add-env <project> <name> [--copy-env]',
+    options: {
+      'copy-env': { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, name] = args;
+      if (!name) {
+        throw new UsageError('An environment name is required');
+      }
+
+      const project = await resolveProject(client, ref);
+      const environment = await client.post(`/projects/${project.id}/environments`, {
+        name,
+        include_env: Boolean(flags['copy-env']),
+      });
+      out.success(`Environment ${environment.environment} created (namespace ${environment.namespace}, ${environment.service_count} service(s))`, environment);
+      if (!out.isJsonMode()) {
+        out.info(`Deploy into it with: dangus services promote ${project.name}/<service> ${environment.environment}`);
+      }
+    },
+  },
+};
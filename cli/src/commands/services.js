@@ -0,0 +1,585 @@
+/**
+ * services ls / info / create / deploy / rollback / promote / restart / scale / autoscale / idle /
+ * strategy / rollout / release / liveness / ports / expose / unexpose / schedule / runs / run
+ */
+
+import { resolveProject, resolveService, UsageError } from '../resolve.js';
+import { watchDeployment } from './deployments.js';
+import * as out from '../output.js';
+
+const MAX_REPLICAS = 3;
+const MAX_AUTOSCALING_REPLICAS = 10;
+const MIN_IDLE_MINUTES = 5;
+const MAX_IDLE_MINUTES = 1440;
+const DEPLOY_STRATEGIES = ['rolling', 'blue-green', 'canary'];
+const CRON_CONCURRENCY_POLICIES = ['Allow', 'Forbid', 'Replace'];
+
+/**
+ * Parse an integer flag
+ * @param {string} value - Raw value
+ * @param {string} name - Flag name for the error message
+ * @returns {number|undefined}
+ */
+function parseIntFlag(value, name) {
+  if (value === undefined) return undefined;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    throw new UsageError(`--${name} must be a whole number`);
+  }
+  return parsed;
+}
+
+/**
+ * Report a newly created deployment, and follow it when --watch is given
+ * @param {object} client - API client
+ * @param {object} deployment - Deployment returned by the API
+ * @param {string} message - Success message
+ * @param {boolean} watch - Whether to follow the deployment
+ */
+async function reportDeployment(client, deployment, message, watch) {
+  if (!watch) {
+    out.success(`${message} (deployment ${deployment.id})`, deployment);
+    if (!out.isJsonMode()) {
+      out.info(`Follow it with: dangus deployments watch ${deployment.id}`);
+    }
+    return;
+  }
+
+  out.info(`${message}, watching deployment ${deployment.id}`);
+  const status = await watchDeployment(client, deployment.id);
+  if (status === 'failed') {
+    process.exitCode = 1;
+  }
+}
+
+export const commands = {
+  'services ls': {
+    summary: 'List services in a project',
+    usage: 'dangus services ls <project>',
+    async run({ client, args }) {
+      const project = await resolveProject(client, args[0]);
+      out.table([
+        { key: 'name', label: 'Name', format: (name) => out.color.green(name) },
+        { key: 'current_status', label: 'Status', format: (status) => (status ? out.statusTag(status) : out.color.muted('NOT DEPLOYED')) },
+        { key: 'port', label: 'Port', format: (port, row) => (row.service_type === 'web' ? port : out.color.muted(row.service_type)) },
+        { key: 'branch', label: 'Branch' },
+        { key: 'last_deployment_at', label: 'Deployed', format: out.relativeTime },
+        { key: 'id', label: 'ID', format: (id) => out.color.muted(id) },
+      ], project.services, {
+        title: `Services: ${project.name}`,
+        empty: 'No services yet. Create one with `dangus services create`.',
+        data: { services: project.services },
+      });
+    },
+  },
+
+  'services info': {
+    summary: 'Show a service',
+    usage: 'dangus services info <service>',
+    async run({ client, args }) {
+      const service = await resolveService(client, args[0]);
+      const latest = service.latest_deployment;
+      out.details([
+        ['Name', out.color.green(service.name)],
+        ['Status', latest ? out.statusTag(latest.status) : out.color.muted('NOT DEPLOYED')],
+        ['Environment', service.environments?.length > 1 ? service.environment : null],
+        ['URL', service.url ? out.color.cyan(service.url) : null],
+        ['Type', service.service_type === 'web' ? null : service.service_type],
+        ['Schedule', service.service_type === 'cron'
+          ? `${service.cron_schedule} UTC${service.cron_suspended ? ' (suspended)' : ''}, overlap ${service.cron_concurrency_policy}`
+          : null],
+        ['Source', service.image || service.repo_url],
+        ['Branch', service.image ? null : service.branch],
+        ['Port', service.port],
+        ['Replicas', service.autoscaling_enabled
+          ? `auto ${service.autoscaling_min_replicas}-${service.autoscaling_max_replicas}`
+          : service.replicas],
+        ['Idle', service.idle_timeout_minutes == null ? null
+          : service.sleeping_at ? 'sleeping' : `sleeps after ${service.idle_timeout_minutes}m`],
+        ['Strategy', service.deploy_strategy === 'canary'
+          ? `canary ${service.canary_weight}% +${service.canary_step}% every ${service.canary_interval_minutes}m`
+          : service.deploy_strategy],
+        ['Rollout', service.rollout ? `${service.rollout.strategy} ${service.rollout.phase} (${service.rollout.weight ?? 0}% new)` : null],
+        ['Health', service.health_check_path],
+        ['Liveness', service.liveness_command],
+        ['Release', service.release_command],
+        ['Role', service.role?.toUpperCase()],
+        ['ID', service.id],
+      ], { title: `Service: ${service.name}`, data: service });
+    },
+  },
+
+  'services create': {
+    summary: 'Create a service from a GitHub repo or a container image',
+    usage: 'dangus services create <project> <name> (--port <port> | --worker | --cron "<schedule>") (--repo <url> | --image <image>) [--branch <branch>] [--dockerfile <path>] [--context <dir>] [--replicas <n>] [--storage <gb>] [--health-check <path>]',
+    options: {
+      port: { type: 'string' },
+      worker: { type: 'boolean' },
+      cron: { type: 'string' },
+      repo: { type: 'string' },
+      image: { type: 'string' },
+      branch: { type: 'string' },
+      dockerfile: { type: 'string' },
+      context: { type: 'string' },
+      replicas: { type: 'string' },
+      storage: { type: 'string' },
+      'health-check': { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const [projectRef, name] = args;
+      if (!name) {
+        throw new UsageError('Usage: dangus services create <project> <name> (--port <port> | --worker | --cron "<schedule>") (--repo <url> | --image <image>)');
+      }
+      const typeFlags = [flags.port, flags.worker, flags.cron].filter(Boolean).length;
+      if (typeFlags === 0) {
+        throw new UsageError('--port is required (or --worker for a background worker, or --cron "<schedule>" for a cron job)');
+      }
+      if (typeFlags > 1) {
+        throw new UsageError('Workers and cron jobs have no port; give one of --port, --worker or --cron');
+      }
+      if (!flags.repo && !flags.image) {
+        throw new UsageError('Either --repo or --image is required');
+      }
+
+      const project = await resolveProject(client, projectRef);
+      const body = {
+        name,
+        service_type: flags.cron ? 'cron' : flags.worker ? 'worker' : 'web',
+        cron_schedule: flags.cron,
+        port: parseIntFlag(flags.port, 'port'),
+        repo_url: flags.repo,
+        image: flags.image,
+        branch: flags.branch,
+        dockerfile_path: flags.dockerfile,
+        build_context: flags.context,
+        replicas: parseIntFlag(flags.replicas, 'replicas'),
+        storage_gb: parseIntFlag(flags.storage, 'storage'),
+        health_check_path: flags['health-check'],
+      };
+      for (const key of Object.keys(body)) {
+        if (body[key] === undefined) delete body[key];
+      }
+
+      const service = await client.post(`/projects/${project.id}/services`, body);
+      out.success(flags.cron
+        ? `Cron job ${service.name} created in ${project.name}, runs on "${service.cron_schedule}" (UTC)`
+        : flags.worker
+          ? `Worker ${service.name} created in ${project.name} (no public URL)`
+          : `Service ${service.name} created in ${project.name}`, service);
+      if (!out.isJsonMode()) {
+        out.info(`Deploy it with: dangus services deploy ${project.name}/${service.name}`);
+      }
+    },
+  },
+
+  'services deploy': {
+    summary: 'Build and deploy the latest commit',
+    usage: 'dangus services deploy <service> [--watch]',
+    options: {
+      watch: { type: 'boolean', short: 'w' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+      const deployment = await client.post(`/services/${service.id}/deploy`);
+      await reportDeployment(client, deployment, `Deployment of ${service.name} queued`, flags.watch);
+    },
+  },
+
+  'services rollback': {
+    summary: 'Roll back to a previous live deployment (defaults to the one before the current)',
+    usage: 'dangus services rollback <service> [--to <deployment id>] [--watch]',
+    options: {
+      to: { type: 'string' },
+      watch: { type: 'boolean', short: 'w' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+
+      let targetId = flags.to;
+      if (!targetId) {
+        const { deployments } = await client.get(`/services/${service.id}/deployments?limit=50`);
+        const live = deployments.filter(d => d.status === 'live' && d.image_tag);
+        // Skip earlier deployments of the image that is running now (e.g. a previous rollback)
+        const target = live.find(d => d.image_tag !== live[0]?.image_tag);
+        if (!target) {
+          throw new UsageError('No earlier live deployment to roll back to');
+        }
+        targetId = target.id;
+      }
+
+      const deployment = await client.post(`/services/${service.id}/rollback`, { deployment_id: targetId });
+      await reportDeployment(client, deployment, `Rollback of ${service.name} started`, flags.watch);
+    },
+  },
+
+  'services promote': {
+    summary: 'Deploy a live image to the same service in another environment, without rebuilding',
+    usage: 'dangus services promote <service> <environment> [--deployment <id>] [--watch]',
+    options: {
+      deployment: { type: 'string' },
+      watch: { type: 'boolean', short: 'w' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, environment] = args;
+      if (!environment) {
+        throw new UsageError('A target environment is required');
+      }
+
+      const service = await resolveService(client, ref);
+      const body = { environment };
+      if (flags.deployment) {
+        body.deployment_id = flags.deployment;
+      }
+
+      const deployment = await client.post(`/services/${service.id}/promote`, body);
+      await reportDeployment(client, deployment, `Promotion of ${service.name} from ${service.environment} to ${environment} started`, flags.watch);
+    },
+  },
+
+  'services restart': {
+    summary: 'Restart a service (rolling by default)',
+    usage: 'dangus services restart <service> [--hard]',
+    options: {
+      hard: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+      const type = flags.hard ? 'hard' : 'rolling';
+      const result = await client.post(`/services/${service.id}/restart`, { type });
+      out.success(`${service.name} restarted (${type})`, result);
+    },
+  },
+
+  'services scale': {
+    summary: `Set the number of replicas (1-${MAX_REPLICAS})`,
+    usage: 'dangus services scale <service> <replicas>',
+    async run({ client, args }) {
+      const [ref, rawReplicas] = args;
+      const replicas = Number(rawReplicas);
+      if (!Number.isInteger(replicas) || replicas < 1 || replicas > MAX_REPLICAS) {
+        throw new UsageError(`Replicas must be a number from 1 to ${MAX_REPLICAS}`);
+      }
+
+      const service = await resolveService(client, ref);
+      const updated = await client.patch(`/services/${service.id}`, { replicas });
+      out.success(`${service.name} scaled to ${updated.replicas} replica(s)`, updated);
+    },
+  },
+
+  'services autoscale': {
+    summary: 'Turn autoscaling on (min/max replicas, CPU and memory targets) or off',
+    usage: 'dangus services autoscale <service> (--min <n> --max <n> [--cpu <percent>] [--memory <percent>] | --off)',
+    options: {
+      min: { type: 'string' },
+      max: { type: 'string' },
+      cpu: { type: 'string' },
+      memory: { type: 'string' },
+      off: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      let body;
+      if (flags.off) {
+        body = { autoscaling_enabled: false };
+      } else {
+        const min = parseIntFlag(flags.min, 'min');
+        const max = parseIntFlag(flags.max, 'max');
+        if (min === undefined || max === undefined) {
+          throw new UsageError('--min and --max are required (or --off)');
+        }
+        if (min < 1 || max > MAX_AUTOSCALING_REPLICAS || min > max) {
+          throw new UsageError(`--min and --max must satisfy 1 <= min <= max <= ${MAX_AUTOSCALING_REPLICAS}`);
+        }
+        body = {
+          autoscaling_enabled: true,
+          autoscaling_min_replicas: min,
+          autoscaling_max_replicas: max,
+        };
+        // Only send targets that were given, so existing ones are kept
+        const cpu = parseIntFlag(flags.cpu, 'cpu');
+        const memory = parseIntFlag(flags.memory, 'memory');
+        if (cpu !== undefined) body.autoscaling_cpu_target = cpu;
+        if (memory !== undefined) body.autoscaling_memory_target = memory;
+      }
+
+      const service = await resolveService(client, args[0]);
+      const updated = await client.patch(`/services/${service.id}`, body);
+      if (updated.autoscaling_enabled) {
+        const targets = [
+          updated.autoscaling_cpu_target != null && `CPU ${updated.autoscaling_cpu_target}%`,
+          updated.autoscaling_memory_target != null && `memory ${updated.autoscaling_memory_target}%`,
+        ].filter(Boolean).join(', ');
+        out.success(`${service.name} autoscales between ${updated.autoscaling_min_replicas} and ${updated.autoscaling_max_replicas} replicas (${targets})`, updated);
+      } else {
+        out.success(`${service.name} autoscaling off, fixed at ${updated.replicas} replica(s)`, updated);
+      }
+    },
+  },
+
+  'services idle': {
+    summary: 'Scale a service to zero after some minutes without traffic, or turn idle mode off',
+    usage: 'dangus services idle <service> (<minutes> | --off)',
+    options: {
+      off: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, rawMinutes] = args;
+      let minutes = null;
+      if (!flags.off) {
+        minutes = Number(rawMinutes);
+        if (!Number.isInteger(minutes) || minutes < MIN_IDLE_MINUTES || minutes > MAX_IDLE_MINUTES) {
+          throw new UsageError(`Minutes must be a number from ${MIN_IDLE_MINUTES} to ${MAX_IDLE_MINUTES} (or --off)`);
+        }
+      }
+
+      const service = await resolveService(client, ref);
+      const updated = await client.patch(`/services/${service.id}`, { idle_timeout_minutes: minutes });
+      if (updated.idle_timeout_minutes != null) {
+        out.success(`${service.name} scales to zero after ${updated.idle_timeout_minutes} idle minutes`, updated);
+      } else {
+        out.success(`${service.name} idle mode off`, updated);
+      }
+    },
+  },
+
+  'services release': {
+    summary: 'Set the command run in the new image before each deploy (e.g. migrations), or remove it',
+    usage: 'dangus services release <service> ("<command>" | --off)',
+    options: {
+      off: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, ...words] = args;
+      const command = flags.off ? null : words.join(' ').trim();
+      if (command === '') {
+        throw new UsageError('Give the command to run (quote it), or --off');
+      }
+
+      const service = await resolveService(client, ref);
+      const updated = await client.patch(`/services/${service.id}`, { release_command: command });
+      if (updated.release_command) {
+        out.success(`${service.name} runs \`${updated.release_command}\` before each deploy`, updated);
+      } else {
+        out.success(`${service.name} release command removed`, updated);
+      }
+    },
+  },
+
+  'services liveness': {
+    summary: 'Set a worker\'s liveness command (its container restarts when the command keeps failing), or remove it',
+    usage: 'dangus services liveness <service> ("<command>" | --off)',
+    options: {
+      off: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, ...words] = args;
+      const command = flags.off ? null : words.join(' ').trim();
+      if (command === '') {
+        throw new UsageError('Give the command to run (quote it), or --off');
+      }
+
+      const service = await resolveService(client, ref);
+      const updated = await client.patch(`/services/${service.id}`, { liveness_command: command });
+      if (updated.liveness_command) {
+        out.success(`${service.name} is restarted when \`${updated.liveness_command}\` fails 3 times in a row (from the next deploy)`, updated);
+      } else {
+        out.success(`${service.name} liveness command removed; it restarts only when its process exits`, updated);
+      }
+    },
+  },
+
+  'services ports': {
+    summary: 'List the TCP/UDP ports a service exposes outside the cluster',
+    usage: 'dangus services ports <service>',
+    async run({ client, args }) {
+      const service = await resolveService(client, args[0]);
+      const data = await client.get(`/services/${service.id}/ports`);
+      out.table([
+        { key: 'protocol', label: 'Protocol', format: (protocol) => protocol.toUpperCase() },
+        { key: 'container_port', label: 'Container' },
+        { key: 'connection_string', label: 'Connect to', format: (value) => out.color.cyan(value) },
+        { key: 'id', label: 'ID', format: (id) => out.color.muted(id) },
+      ], data.ports, {
+        title: `Exposed ports: ${service.name}`,
+        empty: 'No ports exposed. Expose one with `dangus services expose`.',
+        data,
+      });
+    },
+  },
+
+  'services expose': {
+    summary: 'Expose a container port over TCP (or UDP) on a public port',
+    usage: 'dangus services expose <service> <container port> [--udp]',
+    options: {
+      udp: { type: 'boolean' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, rawPort] = args;
+      const containerPort = Number(rawPort);
+      if (!Number.isInteger(containerPort) || containerPort < 1 || containerPort > 65535) {
+        throw new UsageError('Container port must be a number from 1 to 65535');
+      }
+
+      const service = await resolveService(client, ref);
+      const port = await client.post(`/services/${service.id}/ports`, {
+        protocol: flags.udp ? 'udp' : 'tcp',
+        container_port: containerPort,
+      });
+      out.success(`${port.protocol.toUpperCase()} ${port.container_port} of ${service.name} is reachable at ${port.connection_string}`, port);
+    },
+  },
+
+  'services unexpose': {
+    summary: 'Stop exposing a port and release its public port',
+    usage: 'dangus services unexpose <service> <public port>',
+    async run({ client, args }) {
+      const [ref, rawPort] = args;
+      const publicPort = Number(rawPort);
+      if (!Number.isInteger(publicPort)) {
+        throw new UsageError('Give the public port, as shown by `dangus services ports`');
+      }
+
+      const service = await resolveService(client, ref);
+      const { ports } = await client.get(`/services/${service.id}/ports`);
+      const port = ports.find((p) => p.public_port === publicPort);
+      if (!port) {
+        throw new UsageError(`${service.name} does not expose public port ${publicPort}`);
+      }
+
+      const result = await client.del(`/services/${service.id}/ports/${port.id}`);
+      out.success(`${service.name} no longer exposes ${port.connection_string}`, result);
+    },
+  },
+
+  'services strategy': {
+    summary: 'Choose how deployments roll out: in place, blue-green or canary',
+    usage: 'dangus services strategy <service> (rolling | blue-green | canary [--weight <percent>] [--step <percent>] [--interval <minutes>])',
+    options: {
+      weight: { type: 'string' },
+      step: { type: 'string' },
+      interval: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, strategy] = args;
+      if (!DEPLOY_STRATEGIES.includes(strategy)) {
+        throw new UsageError(`Strategy must be one of: ${DEPLOY_STRATEGIES.join(', ')}`);
+      }
+
+      const body = { deploy_strategy: strategy };
+      // Only send canary settings that were given, so existing ones are kept
+      const weight = parseIntFlag(flags.weight, 'weight');
+      const step = parseIntFlag(flags.step, 'step');
+      const interval = parseIntFlag(flags.interval, 'interval');
+      if (weight !== undefined) body.canary_weight = weight;
+      if (step !== undefined) body.canary_step = step;
+      if (interval !== undefined) body.canary_interval_minutes = interval;
+
+      const service = await resolveService(client, ref);
+      const updated = await client.patch(`/services/${service.id}`, body);
+      if (updated.deploy_strategy === 'canary') {
+        out.success(`${service.name} deploys as a canary: ${updated.canary_weight}% of traffic, +${updated.canary_step}% every ${updated.canary_interval_minutes}m`, updated);
+      } else {
+        out.success(`${service.name} deploys ${updated.deploy_strategy === 'rolling' ? 'in place' : 'blue-green'}`, updated);
+      }
+    },
+  },
+
+  'services rollout': {
+    summary: 'Show the blue-green or canary rollout in progress, or promote or abort it',
+    usage: 'dangus services rollout <service> [promote | abort]',
+    async run({ client, args }) {
+      const [ref, action] = args;
+      if (action && !['promote', 'abort'].includes(action)) {
+        throw new UsageError('Action must be promote or abort');
+      }
+
+      const service = await resolveService(client, ref);
+      if (!action) {
+        const { rollout } = service;
+        if (!rollout) {
+          out.info(`${service.name} has no rollout in progress`);
+          return;
+        }
+        out.details([
+          ['Strategy', rollout.strategy],
+          ['Phase', rollout.phase],
+          ['New version traffic', `${rollout.weight ?? 0}%`],
+          ['Deployment', rollout.deployment_id],
+        ], { title: `Rollout: ${service.name}`, data: rollout });
+        return;
+      }
+
+      const result = await client.post(`/services/${service.id}/rollout/${action}`);
+      out.success(action === 'promote' ? `Promoting ${service.name} rollout` : `${service.name} rollout aborted`, result);
+    },
+  },
+
+  'services schedule': {
+    summary: 'Change when a cron job runs, and what happens when a run is due while the last one is still going',
+    usage: 'dangus services schedule <service> ["<schedule>"] [--overlap Allow|Forbid|Replace]',
+    options: {
+      overlap: { type: 'string' },
+    },
+    async run({ client, args, flags }) {
+      const [ref, ...words] = args;
+      const schedule = words.join(' ').trim();
+      if (!schedule && !flags.overlap) {
+        throw new UsageError('Give the new schedule (quote it), --overlap, or both');
+      }
+      if (flags.overlap && !CRON_CONCURRENCY_POLICIES.includes(flags.overlap)) {
+        throw new UsageError(`--overlap must be one of: ${CRON_CONCURRENCY_POLICIES.join(', ')}`);
+      }
+
+      const body = {};
+      if (schedule) body.cron_schedule = schedule;
+      if (flags.overlap) body.cron_concurrency_policy = flags.overlap;
+
+      const service = await resolveService(client, ref);
+      const updated = await client.patch(`/services/${service.id}`, body);
+      out.success(`${service.name} runs on "${updated.cron_schedule}" (UTC), overlap ${updated.cron_concurrency_policy}`, updated);
+    },
+  },
+
+  'services runs': {
+    summary: 'List recent runs of a cron job',
+    usage: 'dangus services runs <service> [--limit <n>]',
+    options: {
+      limit: { type: 'string', default: '20' },
+    },
+    async run({ client, args, flags }) {
+      const service = await resolveService(client, args[0]);
+      const limit = parseIntFlag(flags.limit, 'limit');
+      if (limit < 1) {
+        throw new UsageError('--limit must be a positive number');
+      }
+
+      const data = await client.get(`/services/${service.id}/runs?limit=${limit}`);
+      out.table([
+        { key: 'status', label: 'Status', format: out.statusTag },
+        { key: 'trigger', label: 'Trigger' },
+        { key: 'started_at', label: 'Started', format: out.relativeTime },
+        { key: 'finished_at', label: 'Took', format: (finished, row) => (finished
+          ? `${Math.round((new Date(finished) - new Date(row.started_at)) / 1000)}s`
+          : '-') },
+        { key: 'exit_code', label: 'Exit', format: (code) => (code == null ? '-' : code) },
+        { key: 'failure_reason', label: 'Reason', format: (reason) => (reason ? out.color.red(reason) : '') },
+      ], data.runs, {
+        title: `Runs: ${service.name}`,
+        empty: 'No runs yet.',
+        data,
+      });
+    },
+  },
+
+  'services run': {
+    summary: 'Run a cron job now, outside its schedule',
+    usage: 'dangus services run <service>',
+    async run({ client, args }) {
+      const service = await resolveService(client, args[0]);
+      const run = await client.post(`/services/${service.id}/runs`);
+      out.success(`${service.name} started (job ${run.job_name})`, run);
+      if (!out.isJsonMode()) {
+        out.info(`See how it went with: dangus services runs ${args[0]}`);
+      }
+    },
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * CLI configuration - API URL and token, stored in ~/.config/dangus/config.json.
+ * DANGUS_API_URL and DANGUS_TOKEN override the stored values (useful in CI).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_API_URL = 'http://localhost:3001';
+
+const CONFIG_DIR = process.env.XDG_CONFIG_HOME
+  ? path.join(process.env.XDG_CONFIG_HOME, 'dangus')
+  : path.join(os.homedir(), '.config', 'dangus');
+
+export const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+
+/**
+ * Read the stored configuration
+ * @returns {object} Stored config (empty if not logged in)
+ */
+export function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Write the configuration. The file holds a token, so it is only readable by the user.
+ * @param {object} config - Config to store
+ */
+export function writeConfig(config) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Remove the stored configuration
+ */
+export function clearConfig() {
+  fs.rmSync(CONFIG_PATH, { force: true });
+}
+
+/**
+ * Resolve the effective API URL and token
+ * @param {object} flags - Parsed global flags (--api-url, --token)
+ * @returns {{apiUrl: string, token: string|undefined, username: string|undefined}}
+ */
+export function resolveConfig(flags = {}) {
+  const stored = readConfig();
+  const apiUrl = flags['api-url'] || process.env.DANGUS_API_URL || stored.api_url || DEFAULT_API_URL;
+
+  return {
+    apiUrl: apiUrl.replace(/\/+$/, ''),
+    token: flags.token || process.env.DANGUS_TOKEN || stored.token,
+    username: stored.github_username,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Minimal .env reading and writing for `env pull` / `env push`
+ */
+
+// Same rule the API enforces for environment variable keys
+export const ENV_KEY_REGEX = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Read a double-quoted value, unescaping \n, \" and \\
+ * @param {string} text - Text starting with the opening quote
+ * @returns {string|null} Unquoted value, or null if the quote is never closed
+ */
+function readDoubleQuoted(text) {
+  let value = '';
+  for (let i = 1; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') return value;
+    if (ch === '\\' && i + 1 < text.length) {
+      const next = text[++i];
+      value += next === 'n' ? '\n' : next;
+    } else {
+      value += ch;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse .env content
+ * Supports comments, `export KEY=...`, and single- or double-quoted values
+ * (double quotes understand \n, \" and \\).
+ * @param {string} content - File content
+ * @returns {{vars: Map<string, string>, errors: string[]}}
+ */
+export function parseDotenv(content) {
+  const vars = new Map();
+  const errors = [];
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = line.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match) {
+      errors.push(`line ${index + 1}: expected KEY=value`);
+      return;
+    }
+
+    const [, key, rawValue] = match;
+    if (!ENV_KEY_REGEX.test(key)) {
+      errors.push(`line ${index + 1}: invalid key "${key}" (use uppercase letters, digits and underscores)`);
+      return;
+    }
+
+    let value = rawValue;
+    if (value.startsWith('"')) {
+      const unquoted = readDoubleQuoted(value);
+      if (unquoted === null) {
+        errors.push(`line ${index + 1}: unterminated double quote`);
+        return;
+      }
+      value = unquoted;
+    } else if (value.startsWith("'")) {
+      const end = value.indexOf("'", 1);
+      if (end === -1) {
+        errors.push(`line ${index + 1}: unterminated single quote`);
+        return;
+      }
+      value = value.slice(1, end);
+    } else {
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+
+    vars.set(key, value);
+  });
+
+  return { vars, errors };
+}
+
+/**
+ * Serialize variables to .env content, quoting only where needed
+ * @param {Array<[string, string]>} entries - Key/value pairs
+ * @returns {string}
+ */
+export function formatDotenv(entries) {
+  return entries.map(([key, value]) => {
+    if (/^[A-Za-z0-9_./:@%+,-]*$/.test(value)) {
+      return `${key}=${value}`;
+    }
+    const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${key}="${escaped}"`;
+  }).join('\n') + '\n';
+}
@@ -0,0 +1,235 @@
+/**
+ * Terminal output - mirrors the web UI's terminal theme (green/amber/cyan on black,
+ * uppercase headers, status dots). Everything goes through here so that
+ * --json can replace it with machine-readable output.
+ */
+
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR && process.env.TERM !== 'dumb';
+
+const ANSI = {
+  green: '\x1b[92m',
+  amber: '\x1b[33m',
+  cyan: '\x1b[96m',
+  red: '\x1b[91m',
+  yellow: '\x1b[93m',
+  muted: '\x1b[90m',
+  bold: '\x1b[1m',
+  reset: '\x1b[0m',
+};
+
+export const color = Object.fromEntries(
+  Object.entries(ANSI).map(([name, code]) => [
+    name,
+    (text) => (useColor ? `${code}${text}${ANSI.reset}` : String(text)),
+  ])
+);
+
+// Same palette as StatusIndicator / deployment badges in the frontend
+const STATUS_STYLES = {
+  live: { dot: '●', paint: color.green },
+  running: { dot: '●', paint: color.green },
+  succeeded: { dot: '●', paint: color.green },
+  healthy: { dot: '●', paint: color.green },
+  approved: { dot: '●', paint: color.green },
+  resolved: { dot: '●', paint: color.green },
+  delivered: { dot: '●', paint: color.green },
+  pending: { dot: '◐', paint: color.cyan },
+  building: { dot: '◐', paint: color.cyan },
+  deploying: { dot: '◐', paint: color.cyan },
+  slow_down: { dot: '◐', paint: color.cyan },
+  starting: { dot: '◐', paint: color.cyan },
+  degraded: { dot: '●', paint: color.amber },
+  stopped: { dot: '○', paint: color.muted },
+  failed: { dot: '●', paint: color.red },
+  unhealthy: { dot: '●', paint: color.red },
+  denied: { dot: '●', paint: color.red },
+  missing: { dot: '●', paint: color.red },
+  firing: { dot: '●', paint: color.red },
+  expired: { dot: '○', paint: color.muted },
+};
+
+let jsonMode = false;
+
+/**
+ * Switch all output to JSON (set from the global --json flag)
+ * @param {boolean} enabled
+ */
+export function setJsonMode(enabled) {
+  jsonMode = Boolean(enabled);
+}
+
+export function isJsonMode() {
+  return jsonMode;
+}
+
+/**
+ * Render a status as a colored indicator, e.g. "● LIVE"
+ * @param {string} status - Status value
+ * @returns {string}
+ */
+export function statusTag(status) {
+  const style = STATUS_STYLES[status] || { dot: '○', paint: color.muted };
+  return style.paint(`${style.dot} ${String(status || 'unknown').toUpperCase()}`);
+}
+
+const stripAnsi = (text) => String(text).replace(/\x1b\[[0-9;]*m/g, '');
+
+/**
+ * Print a section header in the style of the UI's card titles: ┌─ TITLE ───
+ * @param {string} title - Header text
+ */
+export function header(title) {
+  if (jsonMode) return;
+  const label = ` ${title.toUpperCase()} `;
+  const width = Math.max(label.length + 4, Math.min(process.stdout.columns || 60, 60));
+  console.log(color.amber(`┌─${label}${'─'.repeat(width - label.length - 2)}`));
+}
+
+/**
+ * Print a table. In JSON mode prints `data` instead.
+ * @param {Array<{key: string, label: string, format?: Function}>} columns - Column definitions
+ * @param {Array<object>} rows - Rows to print
+ * @param {object} options - Options
+ * @param {string} options.title - Header shown above the table
+ * @param {string} options.empty - Message when there are no rows
+ * @param {*} options.data - Value printed in JSON mode (defaults to rows)
+ */
+export function table(columns, rows, { title, empty = 'Nothing here yet.', data } = {}) {
+  if (jsonMode) {
+    printJson(data ?? rows);
+    return;
+  }
+
+  if (title) header(title);
+
+  if (rows.length === 0) {
+    console.log(color.muted(`│ ${empty}`));
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(col => {
+    const value = col.format ? col.format(row[col.key], row) : row[col.key];
+    return value === null || value === undefined ? color.muted('-') : String(value);
+  }));
+  const widths = columns.map((col, i) => Math.max(
+    col.label.length,
+    ...cells.map(row => stripAnsi(row[i]).length)
+  ));
+  // Pad every column except the last, so lines carry no trailing whitespace
+  const pad = (text, i) => (i === columns.length - 1 ? text : text + ' '.repeat(widths[i] - stripAnsi(text).length));
+
+  console.log(color.muted('│ ') + columns.map((col, i) => color.muted(pad(col.label.toUpperCase(), i))).join('  '));
+  for (const row of cells) {
+    console.log(color.muted('│ ') + row.map((cell, i) => pad(cell, i)).join('  '));
+  }
+}
+
+/**
+ * Print key/value pairs (like the KEY: value grids in the UI). In JSON mode prints `data`.
+ * @param {Array<[string, *]>} pairs - Label/value pairs
+ * @param {object} options - Options
+ * @param {string} options.title - Header shown above the pairs
+ * @param {*} options.data - Value printed in JSON mode
+ */
+export function details(pairs, { title, data } = {}) {
+  if (jsonMode) {
+    printJson(data ?? Object.fromEntries(pairs));
+    return;
+  }
+
+  if (title) header(title);
+
+  const width = Math.max(...pairs.map(([label]) => label.length));
+  for (const [label, value] of pairs) {
+    const shown = value === null || value === undefined ? color.muted('-') : value;
+    console.log(`${color.muted('│ ')}${color.muted(`${label.toUpperCase()}:`.padEnd(width + 2))}${shown}`);
+  }
+}
+
+/**
+ * Print a success line ("> Done."). In JSON mode prints `data` if given.
+ * @param {string} message - Message
+ * @param {*} data - Value printed in JSON mode
+ */
+export function success(message, data) {
+  if (jsonMode) {
+    if (data !== undefined) printJson(data);
+    return;
+  }
+  console.log(color.green(`> ${message}`));
+}
+
+/**
+ * Print an informational line to stderr, so it never pollutes piped or JSON output
+ * @param {string} message - Message
+ */
+export function info(message) {
+  console.error(color.muted(`> ${message}`));
+}
+
+/**
+ * Print a warning to stderr
+ * @param {string} message - Message
+ */
+export function warn(message) {
+  console.error(color.yellow(`! ${message}`));
+}
+
+/**
+ * Print an error to stderr. In JSON mode prints {error, message} like the API.
+ * @param {string} message - Message
+ * @param {string} errorName - Error name (JSON mode only)
+ */
+export function error(message, errorName = 'Error') {
+  if (jsonMode) {
+    console.error(JSON.stringify({ error: errorName, message }));
+    return;
+  }
+  console.error(color.red(`✗ ERROR: ${message}`));
+}
+
+/**
+ * Print a value as JSON on stdout
+ * @param {*} value
+ */
+export function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Format a timestamp as relative time, matching formatRelativeTime in the frontend
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+export function relativeTime(timestamp) {
+  if (!timestamp) return null;
+  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  const days = Math.floor(seconds / 86400);
+  if (days < 30) return `${days}d ago`;
+  if (days < 365) return `${Math.floor(days / 30)}mo ago`;
+  return `${Math.floor(days / 365)}y ago`;
+}
+
+/**
+ * Ask the user to confirm a destructive action by typing a name (like the UI's delete modals)
+ * @param {string} expected - Text the user must type
+ * @param {string} message - Prompt shown before the input
+ * @returns {Promise<boolean>} False when stdin is not a terminal
+ */
+export async function confirmByName(expected, message) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+
+  const readline = await import('readline/promises');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(color.red(`! ${message}\n  Type ${color.bold(expected)} to confirm: `));
+    return answer.trim() === expected;
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Resolve project and service references given on the command line.
+ * Projects: a UUID or a name. Services: a UUID, "project/service", or a service
+ * name that is unique across the projects you can see.
+ */
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Resolve a project reference to the full project (including services). Environments
+ * are not listed by GET /projects, so their names (<project>-<environment>) are looked
+ * up on the parent project.
+ * @param {object} client - API client
+ * @param {string} ref - Project UUID or name
+ * @returns {Promise<object>} Project from GET /projects/:id
+ */
+export async function resolveProject(client, ref) {
+  if (!ref) {
+    throw new UsageError('A project name or ID is required');
+  }
+
+  if (UUID_REGEX.test(ref)) {
+    return client.get(`/projects/${ref}`);
+  }
+
+  const { projects } = await client.get('/projects');
+  const project = projects.find(p => p.name === ref);
+  if (project) {
+    return client.get(`/projects/${project.id}`);
+  }
+
+  for (const parent of projects.filter(p => p.environment_count > 1 && ref.startsWith(`${p.name}-`))) {
+    const { environments } = await client.get(`/projects/${parent.id}/environments`);
+    const environment = environments.find(e => e.name === ref);
+    if (environment) {
+      return client.get(`/projects/${environment.id}`);
+    }
+  }
+
+  throw new UsageError(`Project "${ref}" not found`);
+}
+
+/**
+ * Resolve a service reference to the full service
+ * @param {object} client - API client
+ * @param {string} ref - Service UUID, project/service, or service name
+ * @returns {Promise<object>} Service from GET /services/:id
+ */
+export async function resolveService(client, ref) {
+  if (!ref) {
+    throw new UsageError('A service is required (name, project/service or ID)');
+  }
+
+  if (UUID_REGEX.test(ref)) {
+    return client.get(`/services/${ref}`);
+  }
+
+  if (ref.includes('/')) {
+    const [projectRef, serviceName] = ref.split('/', 2);
+    const project = await resolveProject(client, projectRef);
+    const service = project.services.find(s => s.name === serviceName);
+    if (!service) {
+      throw new UsageError(`Service "${serviceName}" not found in project "${project.name}"`);
+    }
+    return client.get(`/services/${service.id}`);
+  }
+
+  const { projects } = await client.get('/projects');
+  const matches = [];
+  for (const summary of projects.filter(p => p.service_count > 0)) {
+    const project = await client.get(`/projects/${summary.id}`);
+    for (const service of project.services) {
+      if (service.name === ref) {
+        matches.push({ project, service });
+      }
+    }
+  }
+
+  if (matches.length === 0) {
+    throw new UsageError(`Service "${ref}" not found`);
+  }
+  if (matches.length > 1) {
+    const options = matches.map(m => `${m.project.name}/${m.service.name}`).join(', ');
+    throw new UsageError(`Service name "${ref}" is ambiguous, use one of: ${options}`);
+  }
+
+  return client.get(`/services/${matches[0].service.id}`);
+}
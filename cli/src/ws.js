@@ -0,0 +1,110 @@
+/**
+ * WebSocket helpers - log streaming and the /ws event hub, using the same
+ * message protocol as the frontend WebSocketManager
+ */
+
+import WebSocket from 'ws';
+
+const PING_INTERVAL_MS = 30000;
+
+/**
+ * Open an authenticated WebSocket to an API path
+ * @param {object} client - API client from createClient
+ * @param {string} endpoint - Path such as /services/:id/logs/stream
+ * @param {object} query - Query string parameters (undefined values are skipped)
+ * @returns {WebSocket}
+ */
+export function openSocket(client, endpoint, query = {}) {
+  const url = new URL(`${client.apiUrl}${endpoint}`);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  return new WebSocket(url, {
+    headers: {
+      Authorization: `Bearer ${client.token}`,
+      'User-Agent': 'dangus-cli',
+    },
+  });
+}
+
+/**
+ * Subscribe to event hub channels (e.g. deployment:<id>:status)
+ * @param {object} client - API client from createClient
+ * @param {string[]} channels - Channels to subscribe to
+ * @param {Function} onEvent - Called with each {channel, timestamp, payload} event
+ * @param {Function} onClose - Called if the connection drops after subscribing
+ * @returns {Promise<{close: Function}>} Resolves once every channel is subscribed
+ */
+export function subscribe(client, channels, onEvent, onClose = () => {}) {
+  return new Promise((resolve, reject) => {
+    const socket = openSocket(client, '/ws');
+    const pending = new Set(channels);
+    let pingTimer = null;
+    let settled = false;
+    let closing = false;
+
+    const close = () => {
+      closing = true;
+      clearInterval(pingTimer);
+      socket.close();
+    };
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      close();
+      reject(err);
+    };
+
+    socket.on('open', () => {
+      channels.forEach((channel, index) => {
+        socket.send(JSON.stringify({ type: 'subscribe', id: `sub_${index}`, channel }));
+      });
+      pingTimer = setInterval(() => {
+        socket.send(JSON.stringify({ type: 'ping', id: `ping_${Date.now()}` }));
+      }, PING_INTERVAL_MS);
+    });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        return;
+      }
+
+      if (message.type === 'subscribed') {
+        pending.delete(message.channel);
+        if (pending.size === 0 && !settled) {
+          settled = true;
+          resolve({ close });
+        }
+      } else if (message.type === 'error') {
+        fail(new Error(message.error || message.message || 'Subscription failed'));
+      } else if (message.type === 'event') {
+        onEvent(message);
+      }
+    });
+
+    socket.on('unexpected-response', (req, res) => {
+      fail(new Error(res.statusCode === 401
+        ? 'Not authenticated. Run `dangus login` first.'
+        : `WebSocket connection failed (${res.statusCode})`));
+    });
+
+    socket.on('error', fail);
+
+    socket.on('close', () => {
+      clearInterval(pingTimer);
+      if (!settled) {
+        fail(new Error('Connection closed'));
+      } else if (!closing) {
+        onClose();
+      }
+    });
+  });
+}
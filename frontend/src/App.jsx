@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { Routes, Route, useNavigate, useLocation, useParams } from 'react-router-dom'
+import { Routes, Route, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom'
 import {
   Layout,
   SidebarMenu,
@@ -15,7 +15,8 @@ import {
   ServiceDetail,
   NewServiceForm,
   NewProjectWizard,
-  Settings
+  Settings,
+  DeviceAuthorize
 } from './pages'
 import { WebSocketProvider } from './context/WebSocketContext'
 import { getCurrentUser, logout, getLoginUrl } from './api/auth'
@@ -23,6 +24,9 @@ import { fetchProject } from './api/projects'
 import { createService } from './api/services'
 import { ApiError } from './api/utils'
 
+// Where to return after GitHub login (e.g. a /device?code=... link opened by the CLI)
+const LOGIN_REDIRECT_KEY = 'dangus_login_redirect'
+
 // Wrapper components for pages that need route params
 function ProjectDetailPage({ user, onServiceClick }) {
   const { projectId, '*': tabPath } = useParams()
@@ -33,15 +37,26 @@ function ProjectDetailPage({ user, onServiceClick }) {
   if (tabPath === 'services/new') {
     const handleSubmit = async (data) => {
       try {
-        const serviceData = {
+        const serviceData = data.type === 'cron' ? {
+          name: data.name,
+          service_type: 'cron',
+          repo_url: data.image,
+          cron_schedule: data.cronSchedule.trim(),
+          branch: 'main',
+          dockerfile_path: 'Dockerfile'
+        } : {
           name: data.name,
+          service_type: data.type,
           repo_url: data.image,
-          port: data.port,
           branch: 'main',
           dockerfile_path: 'Dockerfile',
           replicas: data.replicas || 1,
           storage_gb: data.storage || null,
-          health_check_path: data.healthCheckPath || null
+          // Workers have no port or HTTP health check
+          ...(data.type === 'web' && {
+            port: data.port,
+            health_check_path: data.healthCheckPath || null
+          })
         }
         await createService(projectId, serviceData)
         toast.success(`Service "${data.name}" created successfully`)
@@ -67,10 +82,14 @@ function ProjectDetailPage({ user, onServiceClick }) {
   return (
     <ProjectDetail
       projectId={projectId}
+      user={user}
       activeTab={activeTab}
       onServiceClick={onServiceClick}
       onNewService={() => navigate(`/projects/${projectId}/services/new`)}
       onBack={() => navigate('/')}
+      onEnvironmentChange={(environmentId) => {
+        navigate(tabPath ? `/projects/${environmentId}/${tabPath}` : `/projects/${environmentId}`)
+      }}
       onTabChange={(tab) => {
         const basePath = `/projects/${projectId}`
         navigate(tab === 'overview' ? basePath : `${basePath}/${tab}`)
@@ -123,6 +142,18 @@ function SettingsPage({ user, onLogout }) {
   )
 }
 
+function DeviceAuthorizePage() {
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+
+  return (
+    <DeviceAuthorize
+      initialCode={searchParams.get('code') || ''}
+      onDone={() => navigate('/')}
+    />
+  )
+}
+
 function DashboardPage() {
   const navigate = useNavigate()
 
@@ -156,6 +187,12 @@ function AppContent() {
     try {
       const userData = await getCurrentUser()
       setUser(userData)
+
+      const redirect = sessionStorage.getItem(LOGIN_REDIRECT_KEY)
+      if (redirect) {
+        sessionStorage.removeItem(LOGIN_REDIRECT_KEY)
+        navigate(redirect)
+      }
     } catch (err) {
       // Not authenticated - this is expected for logged out users
       setUser(null)
@@ -197,6 +234,9 @@ function AppContent() {
   }
 
   const handleLogin = () => {
+    if (location.pathname === '/device') {
+      sessionStorage.setItem(LOGIN_REDIRECT_KEY, location.pathname + location.search)
+    }
     window.location.href = getLoginUrl()
   }
 
@@ -230,7 +270,8 @@ function AppContent() {
         { label: 'Config', href: `${basePath}/config` },
         { label: 'Environment', href: `${basePath}/env` },
         { label: 'Logs', href: `${basePath}/logs` },
-        { label: 'History', href: `${basePath}/history` }
+        { label: 'History', href: `${basePath}/history` },
+        { label: 'Previews', href: `${basePath}/previews` }
       ]
     }
     // Dashboard - no navigation sidebar needed
@@ -271,6 +312,8 @@ function AppContent() {
       }
     } else if (path === '/settings') {
       crumbs.push({ label: 'settings' })
+    } else if (path === '/device') {
+      crumbs.push({ label: 'device-login' })
     }
 
     return crumbs
@@ -311,6 +354,7 @@ function AppContent() {
         <Route path="/projects/new" element={<NewProjectPage />} />
         <Route path="/projects/:projectId/*" element={<ProjectDetailPage user={user} onServiceClick={handleServiceClick} />} />
         <Route path="/services/:serviceId/*" element={<ServiceDetailPage />} />
+        <Route path="/device" element={<DeviceAuthorizePage />} />
         <Route path="/settings" element={<SettingsPage user={user} onLogout={() => { setUser(null); navigate('/'); }} />} />
       </Routes>
     </Layout>
@@ -0,0 +1,35 @@
+import { apiFetch } from './utils.js';
+
+export async function fetchAddons(projectId) {
+  return apiFetch(`/projects/${projectId}/addons`);
+}
+
+export async function createAddon(projectId, addon) {
+  return apiFetch(`/projects/${projectId}/addons`, {
+    method: 'POST',
+    body: JSON.stringify(addon),
+  });
+}
+
+export async function deleteAddon(addonId) {
+  return apiFetch(`/addons/${addonId}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function fetchAddonCredentials(addonId) {
+  return apiFetch(`/addons/${addonId}/credentials`);
+}
+
+export async function attachAddon(addonId, serviceId, envVar) {
+  return apiFetch(`/addons/${addonId}/attachments`, {
+    method: 'POST',
+    body: JSON.stringify({ service_id: serviceId, ...(envVar && { env_var: envVar }) }),
+  });
+}
+
+export async function detachAddon(addonId, serviceId) {
+  return apiFetch(`/addons/${addonId}/attachments/${serviceId}`, {
+    method: 'DELETE',
+  });
+}
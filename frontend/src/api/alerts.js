@@ -0,0 +1,31 @@
+import { apiFetch } from './utils.js';
+
+export async function fetchAlertRules(projectId) {
+  return apiFetch(`/projects/${projectId}/alert-rules`);
+}
+
+export async function createAlertRule(projectId, rule) {
+  return apiFetch(`/projects/${projectId}/alert-rules`, {
+    method: 'POST',
+    body: JSON.stringify(rule),
+  });
+}
+
+export async function updateAlertRule(ruleId, updates) {
+  return apiFetch(`/alert-rules/${ruleId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  });
+}
+
+export async function deleteAlertRule(ruleId) {
+  return apiFetch(`/alert-rules/${ruleId}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function fetchAlerts(projectId, { status, limit = 20 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (status) params.set('status', status);
+  return apiFetch(`/projects/${projectId}/alerts?${params}`);
+}
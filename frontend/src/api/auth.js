@@ -21,3 +21,35 @@ export function getLoginUrl() {
   }
   return `${backendUrl}/auth/github`;
 }
+
+export async function logoutAllDevices() {
+  return apiFetch('/auth/logout-all', {
+    method: 'POST',
+  });
+}
+
+/**
+ * List active login sessions for the current user
+ * @returns {Promise<{sessions: Array<{id: string, device: string, ip_address: string, created_at: string, last_seen_at: string, current: boolean}>}>}
+ */
+export async function fetchSessions() {
+  return apiFetch('/auth/sessions');
+}
+
+export async function revokeSession(id) {
+  return apiFetch(`/auth/sessions/${id}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Permanently delete the current account and its own projects, services and images.
+ * Organization projects it created go to another owner of the organization.
+ * @returns {Promise<{success: boolean, projects_deleted: number, projects_transferred: number, warnings: string[]}>}
+ */
+export async function deleteAccount() {
+  return apiFetch('/auth/account', {
+    method: 'DELETE',
+    body: JSON.stringify({ confirm: 'DELETE' }),
+  });
+}
@@ -0,0 +1,42 @@
+import { apiFetch } from './utils.js';
+
+// kind is 'services' or 'addons'
+export async function fetchBackups(kind, id) {
+  return apiFetch(`/${kind}/${id}/backups`);
+}
+
+export async function updateBackupPolicy(kind, id, policy) {
+  return apiFetch(`/${kind}/${id}/backup-policy`, {
+    method: 'PATCH',
+    body: JSON.stringify(policy),
+  });
+}
+
+export async function startBackup(kind, id) {
+  return apiFetch(`/${kind}/${id}/backups`, {
+    method: 'POST',
+  });
+}
+
+export async function fetchProjectBackups(projectId) {
+  return apiFetch(`/projects/${projectId}/backups`);
+}
+
+export async function restoreBackup(backupId, target = {}) {
+  return apiFetch(`/backups/${backupId}/restore`, {
+    method: 'POST',
+    body: JSON.stringify(target),
+  });
+}
+
+export async function deleteBackup(backupId) {
+  return apiFetch(`/backups/${backupId}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function deletePreviousVolume(serviceId, name) {
+  return apiFetch(`/services/${serviceId}/previous-volumes/${name}`, {
+    method: 'DELETE',
+  });
+}
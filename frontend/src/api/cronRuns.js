@@ -0,0 +1,17 @@
+import { apiFetch } from './utils.js';
+
+export async function fetchCronRuns(serviceId, options = {}) {
+  const { limit = 20, offset = 0 } = options;
+  const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+  return apiFetch(`/services/${serviceId}/runs?${params}`);
+}
+
+export async function fetchCronRun(serviceId, runId) {
+  return apiFetch(`/services/${serviceId}/runs/${runId}`);
+}
+
+export async function runCronNow(serviceId) {
+  return apiFetch(`/services/${serviceId}/runs`, {
+    method: 'POST',
+  });
+}
@@ -5,17 +5,18 @@ export async function fetchEnvVars(serviceId) {
   return response.env_vars;
 }
 
-export async function createEnvVar(serviceId, key, value) {
+export async function createEnvVar(serviceId, key, value, isSecret = true) {
   return apiFetch(`/services/${serviceId}/env`, {
     method: 'POST',
-    body: JSON.stringify({ key, value }),
+    body: JSON.stringify({ key, value, is_secret: isSecret }),
   });
 }
 
-export async function updateEnvVar(serviceId, envId, value) {
+// Pass value undefined to change only the secret flag
+export async function updateEnvVar(serviceId, envId, value, isSecret) {
   return apiFetch(`/services/${serviceId}/env/${envId}`, {
     method: 'PATCH',
-    body: JSON.stringify({ value }),
+    body: JSON.stringify({ value, is_secret: isSecret }),
   });
 }
 
@@ -30,6 +30,61 @@ export async function sendTestNotification() {
   });
 }
 
+/**
+ * Get the user's notification channels, with the channel types and events to pick from
+ * @returns {Promise<object>} { channels, types, events }
+ */
+export async function getNotificationChannels() {
+  return apiFetch('/notifications/channels');
+}
+
+/**
+ * Add a notification channel
+ * @param {object} channel - name, type, url, token, project_id, events, enabled
+ * @returns {Promise<object>} Created channel
+ */
+export async function createNotificationChannel(channel) {
+  return apiFetch('/notifications/channels', {
+    method: 'POST',
+    body: JSON.stringify(channel),
+  });
+}
+
+/**
+ * Update a notification channel
+ * @param {string} channelId - Channel ID
+ * @param {object} updates - Fields to change
+ * @returns {Promise<object>} Updated channel
+ */
+export async function updateNotificationChannel(channelId, updates) {
+  return apiFetch(`/notifications/channels/${channelId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  });
+}
+
+/**
+ * Delete a notification channel
+ * @param {string} channelId - Channel ID
+ */
+export async function deleteNotificationChannel(channelId) {
+  return apiFetch(`/notifications/channels/${channelId}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Send a test notification through one channel
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<object>} Test results, keyed by channel type
+ */
+export async function sendChannelTestNotification(channelId) {
+  return apiFetch('/notifications/test', {
+    method: 'POST',
+    body: JSON.stringify({ channel_id: channelId }),
+  });
+}
+
 /**
  * Get notification history
  * @param {object} params - Pagination params
@@ -40,3 +95,37 @@ export async function sendTestNotification() {
 export async function getNotificationHistory({ limit = 20, offset = 0 } = {}) {
   return apiFetch(`/notifications/history?limit=${limit}&offset=${offset}`);
 }
+
+/**
+ * Get webhook and channel deliveries, newest first
+ * @param {object} params
+ * @param {string} [params.status] - pending, delivered or failed
+ * @param {number} [params.limit] - Number of items per page
+ * @param {number} [params.offset] - Offset for pagination
+ * @returns {Promise<object>} { deliveries, pagination }
+ */
+export async function getWebhookDeliveries({ status, limit = 20, offset = 0 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+  if (status) params.set('status', status);
+  return apiFetch(`/notifications/deliveries?${params}`);
+}
+
+/**
+ * Get a delivery with its payload and the request and response of every attempt
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<object>} Delivery with attempt_log
+ */
+export async function getWebhookDelivery(deliveryId) {
+  return apiFetch(`/notifications/deliveries/${deliveryId}`);
+}
+
+/**
+ * Make one more attempt at a delivered or failed delivery
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<object>} Delivery with attempt_log, including the new attempt
+ */
+export async function redeliverWebhookDelivery(deliveryId) {
+  return apiFetch(`/notifications/deliveries/${deliveryId}/redeliver`, {
+    method: 'POST',
+  });
+}
@@ -0,0 +1,18 @@
+import { apiFetch } from './utils.js';
+
+export async function fetchServicePorts(serviceId) {
+  return apiFetch(`/services/${serviceId}/ports`);
+}
+
+export async function exposeServicePort(serviceId, protocol, containerPort) {
+  return apiFetch(`/services/${serviceId}/ports`, {
+    method: 'POST',
+    body: JSON.stringify({ protocol, container_port: containerPort }),
+  });
+}
+
+export async function removeServicePort(serviceId, portId) {
+  return apiFetch(`/services/${serviceId}/ports/${portId}`, {
+    method: 'DELETE',
+  });
+}
@@ -0,0 +1,29 @@
+import { apiFetch } from './utils.js';
+
+export async function fetchPreviews(serviceId) {
+  return apiFetch(`/services/${serviceId}/previews`);
+}
+
+export async function deletePreview(serviceId, previewId) {
+  return apiFetch(`/services/${serviceId}/previews/${previewId}`, {
+    method: 'DELETE',
+  });
+}
+
+export async function fetchPreviewEnvVars(serviceId) {
+  const response = await apiFetch(`/services/${serviceId}/preview-env`);
+  return response.env_vars;
+}
+
+export async function setPreviewEnvVar(serviceId, key, value, isSecret = true) {
+  return apiFetch(`/services/${serviceId}/preview-env/${encodeURIComponent(key)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ value, is_secret: isSecret }),
+  });
+}
+
+export async function deletePreviewEnvVar(serviceId, key) {
+  return apiFetch(`/services/${serviceId}/preview-env/${encodeURIComponent(key)}`, {
+    method: 'DELETE',
+  });
+}
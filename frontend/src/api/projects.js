@@ -9,10 +9,10 @@ export async function fetchProject(id) {
   return apiFetch(`/projects/${id}`);
 }
 
-export async function createProject(name) {
+export async function createProject(name, organizationId) {
   return apiFetch('/projects', {
     method: 'POST',
-    body: JSON.stringify({ name }),
+    body: JSON.stringify({ name, ...(organizationId && { organization_id: organizationId }) }),
   });
 }
 
@@ -29,6 +29,18 @@ export async function deleteProject(id) {
   });
 }
 
+export async function fetchEnvironments(id) {
+  const response = await apiFetch(`/projects/${id}/environments`);
+  return response.environments;
+}
+
+export async function createEnvironment(id, name, includeEnv = false) {
+  return apiFetch(`/projects/${id}/environments`, {
+    method: 'POST',
+    body: JSON.stringify({ name, include_env: includeEnv }),
+  });
+}
+
 export async function setProjectState(id, state) {
   return apiFetch(`/projects/${id}/state`, {
     method: 'PATCH',
@@ -45,6 +45,11 @@ export async function fetchServiceMetrics(id) {
   return apiFetch(`/services/${id}/metrics`);
 }
 
+export async function fetchServiceMetricsHistory(id, range = '24h') {
+  const params = new URLSearchParams({ range });
+  return apiFetch(`/services/${id}/metrics/history?${params}`);
+}
+
 /**
  * Create multiple services at once
  * @param {string} projectId - Project ID
@@ -152,6 +157,38 @@ export async function rollbackService(id, deploymentId) {
   });
 }
 
+/**
+ * Promote a deployment's image to the same service in another environment, without rebuilding
+ * @param {string} id - Service ID
+ * @param {string} environment - Target environment name
+ * @param {string} [deploymentId] - Deployment to promote (defaults to the latest live one)
+ * @returns {Promise<{id: string, status: string, target_service_id: string, promoted_from: string, message: string}>}
+ */
+export async function promoteService(id, environment, deploymentId) {
+  return apiFetch(`/services/${id}/promote`, {
+    method: 'POST',
+    body: JSON.stringify({ environment, ...(deploymentId && { deployment_id: deploymentId }) }),
+  });
+}
+
+/**
+ * Promote the blue-green or canary rollout in progress (all traffic to the new version)
+ * @param {string} id - Service ID
+ * @returns {Promise<{deployment_id: string, message: string}>}
+ */
+export async function promoteRollout(id) {
+  return apiFetch(`/services/${id}/rollout/promote`, { method: 'POST' });
+}
+
+/**
+ * Abort the blue-green or canary rollout in progress (all traffic back to the current version)
+ * @param {string} id - Service ID
+ * @returns {Promise<{deployment_id: string, message: string}>}
+ */
+export async function abortRollout(id) {
+  return apiFetch(`/services/${id}/rollout/abort`, { method: 'POST' });
+}
+
 /**
  * Set the state of a service (start/stop)
  * @param {string} id - Service ID
@@ -0,0 +1,180 @@
+import { apiFetch } from './utils.js';
+
+/**
+ * Roles, lowest to highest
+ * viewer: read-only; deployer: deploy/rollback/restart/start/stop;
+ * maintainer: change services, env vars and domains; owner: delete and manage members
+ */
+export const ROLES = ['viewer', 'deployer', 'maintainer', 'owner'];
+
+/**
+ * List organizations the current user belongs to
+ * @returns {Promise<Array>} Organizations with the user's role
+ */
+export async function fetchOrganizations() {
+  const response = await apiFetch('/organizations');
+  return response.organizations;
+}
+
+/**
+ * Get an organization with members, projects and pending invitations
+ * @param {string} id - Organization ID
+ */
+export async function fetchOrganization(id) {
+  return apiFetch(`/organizations/${id}`);
+}
+
+/**
+ * Create an organization (the creator becomes owner)
+ * @param {string} name - Organization name
+ */
+export async function createOrganization(name) {
+  return apiFetch('/organizations', {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  });
+}
+
+/**
+ * Delete an organization. Its projects are kept.
+ * @param {string} id - Organization ID
+ */
+export async function deleteOrganization(id) {
+  return apiFetch(`/organizations/${id}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Invite a GitHub user to an organization
+ * @param {string} id - Organization ID
+ * @param {string} githubUsername - GitHub username
+ * @param {string} role - Role to grant on acceptance
+ */
+export async function inviteToOrganization(id, githubUsername, role) {
+  return apiFetch(`/organizations/${id}/invitations`, {
+    method: 'POST',
+    body: JSON.stringify({ github_username: githubUsername, role }),
+  });
+}
+
+/**
+ * Change an organization member's role
+ * @param {string} id - Organization ID
+ * @param {string} userId - Member user ID
+ * @param {string} role - New role
+ */
+export async function updateOrganizationMember(id, userId, role) {
+  return apiFetch(`/organizations/${id}/members/${userId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ role }),
+  });
+}
+
+/**
+ * Remove a member from an organization (or leave it)
+ * @param {string} id - Organization ID
+ * @param {string} userId - Member user ID
+ */
+export async function removeOrganizationMember(id, userId) {
+  return apiFetch(`/organizations/${id}/members/${userId}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * List everyone with access to a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<{role: string, members: Array, invitations: Array}>}
+ */
+export async function fetchProjectMembers(projectId) {
+  return apiFetch(`/projects/${projectId}/members`);
+}
+
+/**
+ * Invite a GitHub user to collaborate on a project
+ * @param {string} projectId - Project ID
+ * @param {string} githubUsername - GitHub username
+ * @param {string} role - Role to grant on acceptance
+ */
+export async function inviteToProject(projectId, githubUsername, role) {
+  return apiFetch(`/projects/${projectId}/invitations`, {
+    method: 'POST',
+    body: JSON.stringify({ github_username: githubUsername, role }),
+  });
+}
+
+/**
+ * Change a collaborator's role
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Collaborator user ID
+ * @param {string} role - New role
+ */
+export async function updateProjectMember(projectId, userId, role) {
+  return apiFetch(`/projects/${projectId}/members/${userId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ role }),
+  });
+}
+
+/**
+ * Remove a collaborator from a project (or leave it)
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Collaborator user ID
+ */
+export async function removeProjectMember(projectId, userId) {
+  return apiFetch(`/projects/${projectId}/members/${userId}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Move a project into an organization, or out of one
+ * @param {string} projectId - Project ID
+ * @param {string|null} organizationId - Organization ID, or null to detach
+ */
+export async function setProjectOrganization(projectId, organizationId) {
+  return apiFetch(`/projects/${projectId}/organization`, {
+    method: 'PATCH',
+    body: JSON.stringify({ organization_id: organizationId }),
+  });
+}
+
+/**
+ * List pending invitations for the current user
+ * @returns {Promise<Array>} Invitations
+ */
+export async function fetchInvitations() {
+  const response = await apiFetch('/invitations');
+  return response.invitations;
+}
+
+/**
+ * Accept an invitation
+ * @param {string} id - Invitation ID
+ */
+export async function acceptInvitation(id) {
+  return apiFetch(`/invitations/${id}/accept`, {
+    method: 'POST',
+  });
+}
+
+/**
+ * Decline an invitation
+ * @param {string} id - Invitation ID
+ */
+export async function declineInvitation(id) {
+  return apiFetch(`/invitations/${id}/decline`, {
+    method: 'POST',
+  });
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} id - Invitation ID
+ */
+export async function revokeInvitation(id) {
+  return apiFetch(`/invitations/${id}`, {
+    method: 'DELETE',
+  });
+}
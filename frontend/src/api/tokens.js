@@ -0,0 +1,66 @@
+import { apiFetch } from './utils.js';
+
+/**
+ * List personal access tokens for the current user
+ * @returns {Promise<{tokens: Array, available_scopes: string[]}>}
+ */
+export async function fetchApiTokens() {
+  return apiFetch('/auth/tokens');
+}
+
+/**
+ * Create a personal access token
+ * @param {object} data - Token options
+ * @param {string} data.name - Display name
+ * @param {string[]} data.scopes - Scopes (read, deploy, env:write, admin)
+ * @param {number} data.expires_in_days - Days until expiry (omit for no expiry)
+ * @returns {Promise<object>} Created token, including the plaintext `token` (shown once)
+ */
+export async function createApiToken(data) {
+  return apiFetch('/auth/tokens', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  });
+}
+
+/**
+ * Revoke a personal access token
+ * @param {string} id - Token ID
+ */
+export async function revokeApiToken(id) {
+  return apiFetch(`/auth/tokens/${id}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Look up a pending device login (CLI) by its user code
+ * @param {string} userCode - Code shown by the CLI, e.g. WDJB-MJHT
+ * @returns {Promise<{client_name: string, expires_at: string, available_scopes: string[]}>}
+ */
+export async function fetchDeviceAuthorization(userCode) {
+  return apiFetch(`/auth/device/${encodeURIComponent(userCode)}`);
+}
+
+/**
+ * Approve a device login, granting the CLI a token with the given scopes
+ * @param {string} userCode - Code shown by the CLI
+ * @param {string[]} scopes - Scopes for the issued token
+ */
+export async function approveDeviceAuthorization(userCode, scopes) {
+  return apiFetch('/auth/device/approve', {
+    method: 'POST',
+    body: JSON.stringify({ user_code: userCode, scopes }),
+  });
+}
+
+/**
+ * Deny a device login
+ * @param {string} userCode - Code shown by the CLI
+ */
+export async function denyDeviceAuthorization(userCode) {
+  return apiFetch('/auth/device/deny', {
+    method: 'POST',
+    body: JSON.stringify({ user_code: userCode }),
+  });
+}
@@ -0,0 +1,433 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalModal } from './TerminalCard'
+import { ProgressGauge } from './StatusIndicator'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { BackupManager } from './BackupManager'
+import { useToast } from './Toast'
+import {
+  fetchAddons,
+  createAddon,
+  deleteAddon,
+  fetchAddonCredentials,
+  attachAddon,
+  detachAddon,
+} from '../api/addons'
+import { ApiError } from '../api/utils'
+import { useCopyToClipboard, formatBytes } from '../utils'
+
+const STORAGE_OPTIONS = Array.from({ length: 10 }, (_, i) => ({ value: String(i + 1), label: `${i + 1} GB` }))
+
+const STATUS_CLASSES = {
+  running: 'text-terminal-primary',
+  starting: 'text-terminal-secondary',
+  missing: 'text-terminal-red',
+  unknown: 'text-terminal-muted',
+}
+
+export function AddonManager({ projectId, services = [], canWrite = false }) {
+  const [addons, setAddons] = useState([])
+  const [engines, setEngines] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const [showCreate, setShowCreate] = useState(false)
+  const [form, setForm] = useState({ name: '', engine: 'postgres', version: '', storage: '1' })
+  const [creating, setCreating] = useState(false)
+
+  const [credentials, setCredentials] = useState({})
+  const [attachForm, setAttachForm] = useState({})
+  const [busy, setBusy] = useState(null)
+  const [showDeleteModal, setShowDeleteModal] = useState(null)
+  const [backupsOpen, setBackupsOpen] = useState(null)
+
+  const toast = useToast()
+  const { copy, copied } = useCopyToClipboard()
+
+  useEffect(() => {
+    if (projectId) {
+      loadAddons()
+    }
+  }, [projectId])
+
+  const loadAddons = async () => {
+    setLoading(true)
+    try {
+      const data = await fetchAddons(projectId)
+      setAddons(data.addons)
+      setEngines(data.engines)
+    } catch (err) {
+      toast.error('Failed to load add-ons')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectedEngine = engines.find(e => e.id === form.engine)
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return
+
+    setCreating(true)
+    try {
+      const addon = await createAddon(projectId, {
+        name: form.name.trim(),
+        engine: form.engine,
+        ...(form.version && { version: form.version }),
+        storage_gb: parseInt(form.storage, 10),
+      })
+      setAddons(prev => [...prev, addon])
+      setForm({ name: '', engine: form.engine, version: '', storage: '1' })
+      setShowCreate(false)
+      toast.success(`${addon.engine_label} add-on "${addon.name}" created`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to create add-on'
+      toast.error(message)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleDelete = async (addon) => {
+    setBusy(addon.id)
+    try {
+      await deleteAddon(addon.id)
+      setAddons(prev => prev.filter(a => a.id !== addon.id))
+      setShowDeleteModal(null)
+      toast.success(`Add-on "${addon.name}" deleted`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to delete add-on'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleRevealCredentials = async (addon) => {
+    if (credentials[addon.id]) {
+      setCredentials(prev => ({ ...prev, [addon.id]: null }))
+      return
+    }
+
+    try {
+      const data = await fetchAddonCredentials(addon.id)
+      setCredentials(prev => ({ ...prev, [addon.id]: data }))
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to reveal credentials'
+      toast.error(message)
+    }
+  }
+
+  const handleAttach = async (addon) => {
+    const { serviceId, envVar } = attachForm[addon.id] || {}
+    if (!serviceId) return
+
+    setBusy(addon.id)
+    try {
+      const attachment = await attachAddon(addon.id, serviceId, envVar?.trim())
+      setAddons(prev => prev.map(a => (a.id === addon.id
+        ? { ...a, attachments: [...a.attachments, attachment] }
+        : a)))
+      setAttachForm(prev => ({ ...prev, [addon.id]: {} }))
+      toast.success(`${attachment.service_name} gets ${attachment.env_var} from ${addon.name}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to attach service'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDetach = async (addon, attachment) => {
+    setBusy(addon.id)
+    try {
+      await detachAddon(addon.id, attachment.service_id)
+      setAddons(prev => prev.map(a => (a.id === addon.id
+        ? { ...a, attachments: a.attachments.filter(x => x.service_id !== attachment.service_id) }
+        : a)))
+      toast.success(`${attachment.service_name} detached from ${addon.name}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to detach service'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const renderSize = (addon) => {
+    if (addon.used_bytes == null || !addon.capacity_bytes) {
+      return (
+        <div className="font-mono text-xs text-terminal-muted">
+          DATA: {addon.storage_gb} GB volume{addon.status === 'running' ? ' (usage unavailable)' : ''}
+        </div>
+      )
+    }
+
+    return (
+      <div>
+        <ProgressGauge value={addon.used_bytes} max={addon.capacity_bytes} width={20} />
+        <div className="font-mono text-xs text-terminal-muted mt-1">
+          {formatBytes(addon.used_bytes)} of {formatBytes(addon.capacity_bytes)} used
+        </div>
+      </div>
+    )
+  }
+
+  const renderAddon = (addon) => {
+    const attachedIds = new Set(addon.attachments.map(a => a.service_id))
+    const attachable = services
+      .filter(s => !attachedIds.has(s.id))
+      .map(s => ({ value: s.id, label: s.name }))
+    const attach = attachForm[addon.id] || {}
+    const revealed = credentials[addon.id]
+    const endpoint = `${addon.connection.host}:${addon.connection.port}`
+    const backups = engines.find(e => e.id === addon.engine)?.backups
+
+    return (
+      <div key={addon.id} className="border border-terminal-border p-3 rounded">
+        <div className="flex justify-between items-start gap-4 mb-3">
+          <div>
+            <div className="font-mono text-terminal-primary font-bold">{addon.name}</div>
+            <div className="font-mono text-xs mt-1">
+              <span className="text-terminal-cyan mr-3">{addon.engine_label.toUpperCase()} {addon.version}</span>
+              <span className={STATUS_CLASSES[addon.status] || STATUS_CLASSES.unknown}>{addon.status.toUpperCase()}</span>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {backups && (
+              <TerminalButton
+                variant="secondary"
+                size="sm"
+                onClick={() => setBackupsOpen(backupsOpen === addon.id ? null : addon.id)}
+              >
+                {backupsOpen === addon.id ? '[HIDE BACKUPS]' : '[BACKUPS]'}
+              </TerminalButton>
+            )}
+            {canWrite && (
+              <TerminalButton variant="danger" size="sm" onClick={() => setShowDeleteModal(addon)}>
+                [DELETE]
+              </TerminalButton>
+            )}
+          </div>
+        </div>
+
+        {renderSize(addon)}
+
+        <div className="mt-3 space-y-1 font-mono text-xs">
+          <div className="flex items-center gap-2 min-w-0">
+            <span className="text-terminal-muted w-20">HOST:</span>
+            <span className="text-terminal-primary truncate">{endpoint}</span>
+            <button
+              onClick={() => copy(endpoint, `host-${addon.id}`)}
+              className="text-terminal-muted hover:text-terminal-primary"
+            >
+              {copied === `host-${addon.id}` ? '[COPIED]' : '[COPY]'}
+            </button>
+          </div>
+          {addon.connection.username && (
+            <div className="flex items-center gap-2">
+              <span className="text-terminal-muted w-20">USER:</span>
+              <span className="text-terminal-primary">{addon.connection.username}</span>
+            </div>
+          )}
+          {addon.connection.database && (
+            <div className="flex items-center gap-2">
+              <span className="text-terminal-muted w-20">DATABASE:</span>
+              <span className="text-terminal-primary">{addon.connection.database}</span>
+            </div>
+          )}
+          {canWrite && (
+            <div className="flex items-center gap-2 min-w-0">
+              <span className="text-terminal-muted w-20">URL:</span>
+              <span className="text-terminal-primary truncate">
+                {revealed ? revealed.url : '*'.repeat(24)}
+              </span>
+              <button
+                onClick={() => handleRevealCredentials(addon)}
+                className="text-terminal-muted hover:text-terminal-primary"
+              >
+                {revealed ? '[HIDE]' : '[REVEAL]'}
+              </button>
+              {revealed && (
+                <button
+                  onClick={() => copy(revealed.url, `url-${addon.id}`)}
+                  className="text-terminal-muted hover:text-terminal-primary"
+                >
+                  {copied === `url-${addon.id}` ? '[COPIED]' : '[COPY]'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="mt-3 pt-3 border-t border-terminal-border">
+          <div className="font-mono text-xs text-terminal-muted mb-2">ATTACHED SERVICES</div>
+          {addon.attachments.length === 0 ? (
+            <div className="font-mono text-xs text-terminal-muted">None</div>
+          ) : (
+            <div className="space-y-1">
+              {addon.attachments.map(attachment => (
+                <div key={attachment.service_id} className="flex items-center justify-between gap-2 font-mono text-xs">
+                  <span>
+                    <span className="text-terminal-primary">{attachment.service_name}</span>
+                    <span className="text-terminal-muted"> gets </span>
+                    <span className="text-terminal-cyan">{attachment.env_var}</span>
+                  </span>
+                  {canWrite && (
+                    <button
+                      onClick={() => handleDetach(addon, attachment)}
+                      disabled={busy === addon.id}
+                      className="text-terminal-muted hover:text-terminal-red"
+                    >
+                      [DETACH]
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {canWrite && attachable.length > 0 && (
+            <div className="flex items-end gap-2 mt-3">
+              <TerminalSelect
+                options={attachable}
+                value={attach.serviceId || ''}
+                onChange={(e) => setAttachForm(prev => ({ ...prev, [addon.id]: { ...attach, serviceId: e.target.value } }))}
+                placeholder="Service..."
+                className="w-40"
+              />
+              <TerminalInput
+                value={attach.envVar || ''}
+                onChange={(e) => setAttachForm(prev => ({ ...prev, [addon.id]: { ...attach, envVar: e.target.value } }))}
+                placeholder={addon.env_var}
+                className="w-40"
+              />
+              <TerminalButton
+                size="sm"
+                onClick={() => handleAttach(addon)}
+                disabled={!attach.serviceId || busy === addon.id}
+              >
+                [ATTACH]
+              </TerminalButton>
+            </div>
+          )}
+        </div>
+
+        {backupsOpen === addon.id && (
+          <div className="mt-3 pt-3 border-t border-terminal-border">
+            <div className="font-mono text-xs text-terminal-muted mb-2">BACKUPS</div>
+            <BackupManager kind="addons" source={addon} canWrite={canWrite} bare />
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <TerminalCard title="Add-ons" variant="cyan" className="mt-4">
+      {loading ? (
+        <div className="text-terminal-muted">Loading add-ons...</div>
+      ) : (
+        <>
+          {addons.length === 0 ? (
+            <div className="text-terminal-muted text-sm mb-4">
+              No add-ons. Create a managed PostgreSQL, MySQL or Redis server and attach services to it
+              to give them a connection URL.
+            </div>
+          ) : (
+            <div className="space-y-4 mb-4">
+              {addons.map(renderAddon)}
+            </div>
+          )}
+
+          {canWrite && !showCreate && (
+            <TerminalButton onClick={() => setShowCreate(true)}>
+              [+] ADD-ON
+            </TerminalButton>
+          )}
+
+          {canWrite && showCreate && (
+            <form onSubmit={handleCreate} className="space-y-3 border-t border-terminal-border pt-3">
+              <div className="flex flex-wrap items-end gap-3">
+                <div>
+                  <label className="block font-mono text-xs text-terminal-muted mb-2">NAME</label>
+                  <TerminalInput
+                    value={form.name}
+                    onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="db"
+                    maxLength={40}
+                    className="w-40"
+                    autoFocus
+                  />
+                </div>
+                <div>
+                  <label className="block font-mono text-xs text-terminal-muted mb-2">ENGINE</label>
+                  <TerminalSelect
+                    options={engines.map(e => ({ value: e.id, label: e.label }))}
+                    value={form.engine}
+                    onChange={(e) => setForm(prev => ({ ...prev, engine: e.target.value, version: '' }))}
+                    className="w-36"
+                  />
+                </div>
+                <div>
+                  <label className="block font-mono text-xs text-terminal-muted mb-2">VERSION</label>
+                  <TerminalSelect
+                    options={(selectedEngine?.versions || []).map(v => ({ value: v, label: v }))}
+                    value={form.version || selectedEngine?.versions[0] || ''}
+                    onChange={(e) => setForm(prev => ({ ...prev, version: e.target.value }))}
+                    className="w-24"
+                  />
+                </div>
+                <div>
+                  <label className="block font-mono text-xs text-terminal-muted mb-2">STORAGE</label>
+                  <TerminalSelect
+                    options={STORAGE_OPTIONS}
+                    value={form.storage}
+                    onChange={(e) => setForm(prev => ({ ...prev, storage: e.target.value }))}
+                    className="w-24"
+                  />
+                </div>
+              </div>
+              <p className="font-mono text-xs text-terminal-muted">
+                Credentials are generated for you. Attached services get {selectedEngine?.env_var || 'the connection URL'} as
+                a secret variable, which rolls their pods.
+              </p>
+              <div className="flex gap-2">
+                <TerminalButton type="button" variant="secondary" onClick={() => setShowCreate(false)}>
+                  [CANCEL]
+                </TerminalButton>
+                <TerminalButton type="submit" disabled={!form.name.trim() || creating}>
+                  {creating ? 'CREATING...' : '[CREATE]'}
+                </TerminalButton>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+
+      {showDeleteModal && (
+        <TerminalModal title="Delete Add-on" variant="red" onClose={() => setShowDeleteModal(null)}>
+          <p className="font-mono text-sm text-terminal-primary mb-4">
+            Delete <span className="text-terminal-cyan">{showDeleteModal.name}</span> and its volume?
+            All of its data is lost.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <TerminalButton variant="secondary" onClick={() => setShowDeleteModal(null)}>
+              [CANCEL]
+            </TerminalButton>
+            <TerminalButton
+              variant="danger"
+              onClick={() => handleDelete(showDeleteModal)}
+              disabled={busy === showDeleteModal.id}
+            >
+              {busy === showDeleteModal.id ? 'DELETING...' : '[DELETE]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </TerminalCard>
+  )
+}
+
+export default AddonManager
@@ -0,0 +1,330 @@
+import { useState, useEffect } from 'react'
+import { TerminalModal } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import {
+  fetchAlertRules,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  fetchAlerts,
+} from '../api/alerts'
+import { ApiError } from '../api/utils'
+import { formatDate } from '../utils'
+
+// Metrics a rule can watch; windowed is false where the threshold is the window itself
+const METRICS = {
+  unhealthy: { label: 'Unhealthy', unit: 'failed checks in a row', defaultThreshold: '3', windowed: false },
+  response_time: { label: 'Response time p95', unit: 'ms', defaultThreshold: '1000', windowed: true },
+  cpu: { label: 'CPU', unit: '% of limit', defaultThreshold: '90', windowed: true },
+  memory: { label: 'Memory', unit: '% of limit', defaultThreshold: '90', windowed: true },
+  restarts: { label: 'Restarts', unit: 'restarts', defaultThreshold: '3', windowed: true },
+}
+
+const METRIC_OPTIONS = Object.entries(METRICS).map(([value, { label }]) => ({ value, label }))
+
+// Alerts are evaluated once a minute
+const POLL_INTERVAL = 60000
+
+const EMPTY_FORM = { name: '', service_id: '', metric: 'memory', threshold: '90', duration_minutes: '5' }
+
+/**
+ * Describe a rule's condition, e.g. "Memory >= 90% of limit for 5 min"
+ */
+function describeRule(rule) {
+  const metric = METRICS[rule.metric]
+  if (!metric.windowed) {
+    return `Unhealthy for ${rule.threshold} checks in a row`
+  }
+  if (rule.metric === 'restarts') {
+    return `${rule.threshold}+ restarts within ${rule.duration_minutes} min`
+  }
+  return `${metric.label} >= ${rule.threshold}${metric.unit.startsWith('%') ? '' : ' '}${metric.unit} for ${rule.duration_minutes} min`
+}
+
+/**
+ * Alert rules of a project, its firing alerts and recently resolved ones
+ * @param {object} props
+ * @param {string} props.projectId - Project ID
+ * @param {Array} props.services - Services of the project, for rules on a single service
+ * @param {boolean} [props.canWrite] - Show the controls that change anything
+ */
+export function AlertRules({ projectId, services = [], canWrite = true }) {
+  const [rules, setRules] = useState([])
+  const [alerts, setAlerts] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [creating, setCreating] = useState(false)
+  const [busy, setBusy] = useState(null)
+  const [deleteConfirm, setDeleteConfirm] = useState(null)
+
+  const toast = useToast()
+
+  useEffect(() => {
+    loadAlerts(true)
+    const interval = setInterval(() => loadAlerts(false), POLL_INTERVAL)
+    return () => clearInterval(interval)
+  }, [projectId])
+
+  const loadAlerts = async (initial) => {
+    if (initial) setLoading(true)
+    try {
+      const [rulesData, alertsData] = await Promise.all([
+        fetchAlertRules(projectId),
+        fetchAlerts(projectId, { limit: 10 }),
+      ])
+      setRules(rulesData.rules)
+      setAlerts(alertsData.alerts)
+    } catch (err) {
+      if (initial) toast.error('Failed to load alert rules')
+    } finally {
+      if (initial) setLoading(false)
+    }
+  }
+
+  const serviceOptions = [
+    { value: '', label: 'All services' },
+    ...services
+      .filter(s => s.service_type !== 'cron')
+      .map(s => ({ value: s.id, label: s.name })),
+  ]
+
+  const handleMetricChange = (e) => {
+    const metric = e.target.value
+    setForm(prev => ({ ...prev, metric, threshold: METRICS[metric].defaultThreshold }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const threshold = Number(form.threshold)
+    const duration = parseInt(form.duration_minutes, 10)
+    if (!form.name.trim() || !(threshold > 0)) return
+
+    setCreating(true)
+    try {
+      const rule = await createAlertRule(projectId, {
+        name: form.name.trim(),
+        metric: form.metric,
+        threshold,
+        ...(form.service_id ? { service_id: form.service_id } : {}),
+        ...(METRICS[form.metric].windowed && duration > 0 ? { duration_minutes: duration } : {}),
+      })
+      setRules(prev => [...prev, rule])
+      setForm(EMPTY_FORM)
+      setShowForm(false)
+      toast.success(`Alert rule "${rule.name}" created`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to create alert rule'
+      toast.error(message)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleToggle = async (rule) => {
+    setBusy(rule.id)
+    try {
+      const updated = await updateAlertRule(rule.id, { enabled: !rule.enabled })
+      setRules(prev => prev.map(r => (r.id === rule.id ? updated : r)))
+      if (!updated.enabled) {
+        setAlerts(prev => prev.filter(a => a.rule_id !== rule.id || a.status !== 'firing'))
+      }
+      toast.success(`Alert rule "${rule.name}" ${updated.enabled ? 'enabled' : 'disabled'}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update alert rule'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleDelete = async () => {
+    const rule = deleteConfirm
+    setBusy(rule.id)
+    try {
+      await deleteAlertRule(rule.id)
+      setRules(prev => prev.filter(r => r.id !== rule.id))
+      setAlerts(prev => prev.filter(a => a.rule_id !== rule.id))
+      setDeleteConfirm(null)
+      toast.success(`Alert rule "${rule.name}" deleted`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to delete alert rule'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const renderAlert = (alert) => (
+    <div key={alert.id} className="font-mono text-xs">
+      <span className={alert.status === 'firing' ? 'text-terminal-red' : 'text-terminal-primary'}>
+        [{alert.status.toUpperCase()}]
+      </span>
+      <span className="text-terminal-cyan"> {alert.service_name}</span>
+      <span className="text-terminal-secondary"> {alert.rule_name}</span>
+      <span className="text-terminal-primary"> {alert.message}</span>
+      <span className="text-terminal-muted">
+        {' '}since {formatDate(alert.started_at)}
+        {alert.resolved_at && `, resolved ${formatDate(alert.resolved_at)}`}
+      </span>
+    </div>
+  )
+
+  const renderRule = (rule) => (
+    <div key={rule.id} className="border border-terminal-border p-3 rounded font-mono text-xs">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3 flex-wrap">
+          <span className={rule.enabled ? 'text-terminal-primary' : 'text-terminal-muted'}>{rule.name}</span>
+          <span className="text-terminal-muted">{rule.service_name || 'all services'}</span>
+          <span className="text-terminal-primary">{describeRule(rule)}</span>
+          {!rule.enabled && <span className="text-terminal-muted">[DISABLED]</span>}
+          {rule.firing > 0 && (
+            <span className="text-terminal-red">[FIRING{rule.firing > 1 ? ` x${rule.firing}` : ''}]</span>
+          )}
+        </div>
+        {canWrite && (
+          <div className="flex items-center gap-2">
+            <TerminalButton
+              size="sm"
+              variant="secondary"
+              onClick={() => handleToggle(rule)}
+              disabled={busy === rule.id}
+            >
+              {rule.enabled ? '[DISABLE]' : '[ENABLE]'}
+            </TerminalButton>
+            <TerminalButton
+              size="sm"
+              variant="danger"
+              onClick={() => setDeleteConfirm(rule)}
+              disabled={busy === rule.id}
+            >
+              [DELETE]
+            </TerminalButton>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+
+  const renderForm = () => {
+    const metric = METRICS[form.metric]
+    return (
+      <form onSubmit={handleCreate} className="border border-terminal-border p-3 rounded mb-4 space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">NAME</label>
+            <TerminalInput
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="memory-high"
+            />
+          </div>
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">SERVICE</label>
+            <TerminalSelect
+              options={serviceOptions}
+              value={form.service_id}
+              onChange={(e) => setForm(prev => ({ ...prev, service_id: e.target.value }))}
+            />
+          </div>
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">METRIC</label>
+            <TerminalSelect options={METRIC_OPTIONS} value={form.metric} onChange={handleMetricChange} />
+          </div>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">
+              THRESHOLD ({metric.unit.toUpperCase()})
+            </label>
+            <TerminalInput
+              value={form.threshold}
+              onChange={(e) => setForm(prev => ({ ...prev, threshold: e.target.value }))}
+              className="w-28"
+            />
+          </div>
+          {metric.windowed && (
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">FOR (MINUTES)</label>
+              <TerminalInput
+                value={form.duration_minutes}
+                onChange={(e) => setForm(prev => ({ ...prev, duration_minutes: e.target.value }))}
+                className="w-20"
+              />
+            </div>
+          )}
+          <TerminalButton type="submit" disabled={creating || !form.name.trim()}>
+            {creating ? 'CREATING...' : '[CREATE]'}
+          </TerminalButton>
+          <TerminalButton variant="secondary" onClick={() => setShowForm(false)}>
+            [CANCEL]
+          </TerminalButton>
+        </div>
+      </form>
+    )
+  }
+
+  if (loading) {
+    return <div className="text-terminal-muted font-mono text-sm">Loading alert rules...</div>
+  }
+
+  const firing = alerts.filter(a => a.status === 'firing')
+  const resolved = alerts.filter(a => a.status === 'resolved')
+
+  return (
+    <div className="space-y-4">
+      {firing.length > 0 && (
+        <div className="border border-terminal-red p-3 space-y-1">
+          {firing.map(renderAlert)}
+        </div>
+      )}
+
+      {canWrite && (showForm ? renderForm() : (
+        <TerminalButton variant="secondary" size="sm" onClick={() => setShowForm(true)}>
+          [NEW RULE]
+        </TerminalButton>
+      ))}
+
+      {rules.length === 0 ? (
+        <div className="text-terminal-muted font-mono text-sm">
+          No alert rules. Alerts are sent through your notification settings when a rule fires and
+          when it resolves.
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {rules.map(renderRule)}
+        </div>
+      )}
+
+      {resolved.length > 0 && (
+        <div className="space-y-1">
+          <div className="font-mono text-xs text-terminal-muted">RECENTLY RESOLVED</div>
+          {resolved.map(renderAlert)}
+        </div>
+      )}
+
+      {deleteConfirm && (
+        <TerminalModal title="Delete Alert Rule" variant="red" onClose={() => setDeleteConfirm(null)}>
+          <p className="font-mono text-sm text-terminal-primary mb-4">
+            Delete the alert rule <span className="text-terminal-cyan">{deleteConfirm.name}</span> and
+            its alert history? Firing alerts are dropped without a resolved notification.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <TerminalButton variant="secondary" onClick={() => setDeleteConfirm(null)}>
+              [CANCEL]
+            </TerminalButton>
+            <TerminalButton variant="danger" onClick={handleDelete} disabled={busy === deleteConfirm.id}>
+              {busy === deleteConfirm.id ? 'DELETING...' : '[DELETE]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </div>
+  )
+}
+
+export default AlertRules
@@ -0,0 +1,294 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalModal } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import TerminalToggle from './TerminalToggle'
+import { useToast } from './Toast'
+import { fetchApiTokens, createApiToken, revokeApiToken } from '../api/tokens'
+import { ApiError } from '../api/utils'
+import { useCopyToClipboard, formatDate, formatRelativeTime } from '../utils'
+
+export const SCOPE_DESCRIPTIONS = {
+  read: 'Read projects, services, deployments and logs',
+  deploy: 'Deploy, rollback, restart, start and stop services',
+  'env:write': 'Create, update, delete and reveal environment variables',
+  admin: 'Full access, including creating and deleting resources',
+}
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'never', label: 'No expiry' },
+]
+
+const emptyForm = {
+  name: '',
+  scopes: ['read'],
+  expiry: '90',
+}
+
+function getTokenState(token) {
+  if (token.revoked_at) return { label: 'REVOKED', className: 'text-terminal-red' }
+  if (token.expires_at && new Date(token.expires_at) <= new Date()) {
+    return { label: 'EXPIRED', className: 'text-terminal-yellow' }
+  }
+  return { label: 'ACTIVE', className: 'text-terminal-green' }
+}
+
+export function ApiTokenManager() {
+  const [tokens, setTokens] = useState([])
+  const [availableScopes, setAvailableScopes] = useState(Object.keys(SCOPE_DESCRIPTIONS))
+  const [loading, setLoading] = useState(true)
+
+  const [showCreateModal, setShowCreateModal] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+  const [creating, setCreating] = useState(false)
+  const [createdToken, setCreatedToken] = useState(null)
+
+  const [revokeTarget, setRevokeTarget] = useState(null)
+  const [revoking, setRevoking] = useState(false)
+
+  const toast = useToast()
+  const { copy, copied } = useCopyToClipboard()
+
+  useEffect(() => {
+    loadTokens()
+  }, [])
+
+  const loadTokens = async () => {
+    try {
+      setLoading(true)
+      const data = await fetchApiTokens()
+      setTokens(data.tokens || [])
+      if (data.available_scopes) {
+        setAvailableScopes(data.available_scopes)
+      }
+    } catch (err) {
+      toast.error('Failed to load API tokens')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleScopeToggle = (scope, enabled) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: enabled
+        ? [...prev.scopes, scope]
+        : prev.scopes.filter(s => s !== scope),
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim() || form.scopes.length === 0) return
+
+    setCreating(true)
+    try {
+      const result = await createApiToken({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        ...(form.expiry !== 'never' && { expires_in_days: parseInt(form.expiry, 10) }),
+      })
+      const { token, ...record } = result
+      setTokens(prev => [record, ...prev])
+      setCreatedToken(token)
+      setForm(emptyForm)
+      toast.success(`Token "${record.name}" created`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to create token'
+      toast.error(message)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleRevoke = async () => {
+    if (!revokeTarget) return
+
+    setRevoking(true)
+    try {
+      await revokeApiToken(revokeTarget.id)
+      setTokens(prev => prev.map(t =>
+        t.id === revokeTarget.id ? { ...t, revoked_at: new Date().toISOString() } : t
+      ))
+      toast.success(`Token "${revokeTarget.name}" revoked`)
+      setRevokeTarget(null)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to revoke token'
+      toast.error(message)
+    } finally {
+      setRevoking(false)
+    }
+  }
+
+  const closeCreateModal = () => {
+    setShowCreateModal(false)
+    setCreatedToken(null)
+    setForm(emptyForm)
+  }
+
+  return (
+    <TerminalCard title="API Tokens" variant="amber">
+      <div className="space-y-4">
+        <p className="font-mono text-xs text-terminal-muted">
+          Personal access tokens for CI and scripts. Send as <span className="text-terminal-secondary">Authorization: Bearer &lt;token&gt;</span>.
+        </p>
+
+        {loading ? (
+          <p className="font-mono text-xs text-terminal-muted">Loading...</p>
+        ) : tokens.length === 0 ? (
+          <p className="font-mono text-xs text-terminal-muted">No tokens created yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {tokens.map((token) => {
+              const state = getTokenState(token)
+              return (
+                <div
+                  key={token.id}
+                  className="flex items-start justify-between gap-4 p-2 bg-terminal-bg border border-terminal-border"
+                >
+                  <div className="space-y-1 min-w-0">
+                    <div className="flex items-center gap-3 flex-wrap">
+                      <span className={`font-mono text-xs ${state.className}`}>[{state.label}]</span>
+                      <span className="font-mono text-sm text-terminal-primary">{token.name}</span>
+                      <code className="font-mono text-xs text-terminal-muted">{token.token_prefix}...</code>
+                    </div>
+                    <div className="font-mono text-xs text-terminal-secondary">
+                      SCOPES: {token.scopes.join(', ')}
+                    </div>
+                    <div className="font-mono text-xs text-terminal-muted">
+                      LAST USED: {token.last_used_at ? formatRelativeTime(token.last_used_at) : 'never'}
+                      {' | '}
+                      EXPIRES: {token.expires_at ? formatDate(token.expires_at) : 'never'}
+                    </div>
+                  </div>
+                  {!token.revoked_at && (
+                    <TerminalButton
+                      variant="danger"
+                      onClick={() => setRevokeTarget(token)}
+                    >
+                      [ REVOKE ]
+                    </TerminalButton>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <TerminalButton variant="secondary" onClick={() => setShowCreateModal(true)}>
+          [ + NEW TOKEN ]
+        </TerminalButton>
+      </div>
+
+      {/* Create Token Modal */}
+      {showCreateModal && (
+        <TerminalModal title="NEW API TOKEN" variant="amber">
+          {createdToken ? (
+            <div className="space-y-4">
+              <p className="font-mono text-xs text-terminal-yellow">
+                ! Copy this token now. It will not be shown again.
+              </p>
+              <div className="p-3 bg-terminal-bg border border-terminal-border">
+                <code className="font-mono text-xs text-terminal-green break-all">{createdToken}</code>
+              </div>
+              <div className="flex justify-end gap-3">
+                <TerminalButton
+                  variant="secondary"
+                  onClick={() => copy(createdToken, 'new_token')}
+                >
+                  {copied === 'new_token' ? '[ COPIED ]' : '[ COPY ]'}
+                </TerminalButton>
+                <TerminalButton variant="primary" onClick={closeCreateModal}>
+                  [ DONE ]
+                </TerminalButton>
+              </div>
+            </div>
+          ) : (
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
+                  Token Name
+                </label>
+                <TerminalInput
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="github-actions"
+                  className="w-full"
+                  autoFocus
+                />
+              </div>
+
+              <div className="space-y-2">
+                <p className="font-mono text-xs text-terminal-muted uppercase">Scopes</p>
+                {availableScopes.map(scope => (
+                  <div key={scope}>
+                    <TerminalToggle
+                      checked={form.scopes.includes(scope)}
+                      onChange={(e) => handleScopeToggle(scope, e.target.checked)}
+                      label={scope}
+                      id={`token-scope-${scope}`}
+                    />
+                    <p className="font-mono text-xs text-terminal-muted ml-1 mt-1">
+                      {SCOPE_DESCRIPTIONS[scope]}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
+                  Expiration
+                </label>
+                <TerminalSelect
+                  options={EXPIRY_OPTIONS}
+                  value={form.expiry}
+                  onChange={(e) => setForm(prev => ({ ...prev, expiry: e.target.value }))}
+                  className="w-full max-w-xs"
+                />
+              </div>
+
+              <div className="flex justify-end gap-3">
+                <TerminalButton type="button" variant="secondary" onClick={closeCreateModal}>
+                  [ CANCEL ]
+                </TerminalButton>
+                <TerminalButton
+                  type="submit"
+                  variant="primary"
+                  disabled={creating || !form.name.trim() || form.scopes.length === 0}
+                >
+                  {creating ? '[ CREATING... ]' : '[ CREATE ]'}
+                </TerminalButton>
+              </div>
+            </form>
+          )}
+        </TerminalModal>
+      )}
+
+      {/* Revoke Confirmation Modal */}
+      {revokeTarget && (
+        <TerminalModal title="REVOKE TOKEN" variant="red">
+          <p className="font-mono text-terminal-primary mb-2">
+            Revoke token "{revokeTarget.name}"?
+          </p>
+          <p className="font-mono text-xs text-terminal-muted mb-6">
+            Scripts using this token will immediately receive 401 errors.
+          </p>
+          <div className="flex justify-end gap-3">
+            <TerminalButton variant="secondary" onClick={() => setRevokeTarget(null)}>
+              [ CANCEL ]
+            </TerminalButton>
+            <TerminalButton variant="danger" onClick={handleRevoke} disabled={revoking}>
+              {revoking ? '[ REVOKING... ]' : '[ REVOKE ]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </TerminalCard>
+  )
+}
+
+export default ApiTokenManager
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalToggle from './TerminalToggle'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+const MAX_REPLICAS = 10
+
+const FIELDS = [
+  { key: 'autoscaling_min_replicas', label: 'MIN REPLICAS', placeholder: '1' },
+  { key: 'autoscaling_max_replicas', label: 'MAX REPLICAS', placeholder: '3' },
+  { key: 'autoscaling_cpu_target', label: 'CPU TARGET %', placeholder: 'off' },
+  { key: 'autoscaling_memory_target', label: 'MEMORY TARGET %', placeholder: 'off' },
+]
+
+function valuesFrom(service) {
+  return {
+    autoscaling_enabled: !!service.autoscaling_enabled,
+    autoscaling_min_replicas: String(service.autoscaling_min_replicas ?? 1),
+    autoscaling_max_replicas: String(service.autoscaling_max_replicas ?? 3),
+    autoscaling_cpu_target: service.autoscaling_cpu_target == null ? '' : String(service.autoscaling_cpu_target),
+    autoscaling_memory_target: service.autoscaling_memory_target == null ? '' : String(service.autoscaling_memory_target),
+  }
+}
+
+export function AutoscalingSettings({ service, onUpdated }) {
+  const [values, setValues] = useState(valuesFrom(service))
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved settings change, not on every service refresh
+  const saved = valuesFrom(service)
+  const savedKey = JSON.stringify(saved)
+
+  useEffect(() => {
+    setValues(valuesFrom(service))
+  }, [savedKey])
+
+  const changed = JSON.stringify(values) !== savedKey
+
+  const handleSave = async () => {
+    const toInt = (value) => (value === '' ? null : parseInt(value, 10))
+    const body = {
+      autoscaling_enabled: values.autoscaling_enabled,
+      autoscaling_min_replicas: toInt(values.autoscaling_min_replicas),
+      autoscaling_max_replicas: toInt(values.autoscaling_max_replicas),
+      autoscaling_cpu_target: toInt(values.autoscaling_cpu_target),
+      autoscaling_memory_target: toInt(values.autoscaling_memory_target),
+    }
+
+    if (!body.autoscaling_min_replicas || !body.autoscaling_max_replicas) {
+      toast.error('Min and max replicas are required')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updated = await updateService(service.id, body)
+      onUpdated?.(updated)
+      toast.success(updated.autoscaling_enabled ? 'Autoscaling updated' : 'Autoscaling disabled')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update autoscaling'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Autoscaling" variant="cyan" className="mt-4">
+      <TerminalToggle
+        id="autoscaling-enabled"
+        checked={values.autoscaling_enabled}
+        onChange={(e) => setValues(prev => ({ ...prev, autoscaling_enabled: e.target.checked }))}
+        label={values.autoscaling_enabled
+          ? `Scale between ${values.autoscaling_min_replicas || '?'} and ${values.autoscaling_max_replicas || '?'} replicas`
+          : `Fixed at ${service.replicas || 1} replica${(service.replicas || 1) > 1 ? 's' : ''}`}
+      />
+
+      {values.autoscaling_enabled && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+          {FIELDS.map(({ key, label, placeholder }) => (
+            <div key={key}>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">{label}</label>
+              <TerminalInput
+                type="number"
+                min={key.endsWith('replicas') ? 1 : 10}
+                max={key.endsWith('replicas') ? MAX_REPLICAS : 100}
+                value={values[key]}
+                onChange={(e) => setValues(prev => ({ ...prev, [key]: e.target.value }))}
+                placeholder={placeholder}
+                className="w-full"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          Targets are average utilization of the CPU/memory request. Leave a target empty to ignore it.
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default AutoscalingSettings
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalModal } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import {
+  fetchBackups,
+  updateBackupPolicy,
+  startBackup,
+  restoreBackup,
+  deleteBackup,
+  deletePreviousVolume,
+} from '../api/backups'
+import { ApiError } from '../api/utils'
+import { formatBytes, formatDate } from '../utils'
+
+const SCHEDULE_OPTIONS = [
+  { value: '', label: 'Off' },
+  { value: 'hourly', label: 'Hourly' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+]
+
+const STATUS_CLASSES = {
+  running: 'text-terminal-secondary',
+  succeeded: 'text-terminal-primary',
+  failed: 'text-terminal-red',
+}
+
+// How often to refresh while a backup or restore is running
+const POLL_INTERVAL = 5000
+
+/**
+ * Backup schedule, backup list and restores of a service volume or database add-on
+ * @param {object} props
+ * @param {string} props.kind - 'services' or 'addons'
+ * @param {object} props.source - The service or add-on
+ * @param {boolean} [props.canWrite] - Show the controls that change anything
+ * @param {boolean} [props.bare] - Render without a card, to sit inside another one
+ */
+export function BackupManager({ kind, source, canWrite = true, bare = false }) {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const [policy, setPolicy] = useState({ schedule: '', retention: '7' })
+  const [saving, setSaving] = useState(false)
+  const [busy, setBusy] = useState(null)
+  const [confirm, setConfirm] = useState(null)
+
+  const toast = useToast()
+
+  useEffect(() => {
+    loadBackups(true)
+  }, [kind, source.id])
+
+  const active = data && (
+    data.backups.some(b => b.status === 'running') || data.restores.some(r => r.status === 'running')
+  )
+
+  useEffect(() => {
+    if (!active) return
+    const timer = setTimeout(() => loadBackups(false), POLL_INTERVAL)
+    return () => clearTimeout(timer)
+  }, [active, data])
+
+  const loadBackups = async (initial) => {
+    if (initial) setLoading(true)
+    try {
+      const result = await fetchBackups(kind, source.id)
+      setData(result)
+      if (initial) {
+        setPolicy({ schedule: result.schedule || '', retention: String(result.retention) })
+      }
+    } catch (err) {
+      toast.error('Failed to load backups')
+    } finally {
+      if (initial) setLoading(false)
+    }
+  }
+
+  const retention = parseInt(policy.retention, 10)
+  const retentionValid = /^\d+$/.test(policy.retention) && retention >= 1 && retention <= 90
+  const policyChanged = data && (
+    (policy.schedule || null) !== data.schedule || retention !== data.retention
+  )
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault()
+    if (!retentionValid) return
+
+    setSaving(true)
+    try {
+      const result = await updateBackupPolicy(kind, source.id, {
+        schedule: policy.schedule || null,
+        retention,
+      })
+      setData(prev => ({ ...prev, ...result }))
+      toast.success(result.schedule ? `Backing up ${result.schedule}, keeping ${result.retention}` : 'Scheduled backups off')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to save backup schedule'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleBackupNow = async () => {
+    setBusy('backup')
+    try {
+      const backup = await startBackup(kind, source.id)
+      setData(prev => ({ ...prev, backups: [backup, ...prev.backups] }))
+      toast.success(`Backing up ${source.name}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to start backup'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleConfirm = async () => {
+    const { action, backup, volume } = confirm
+    if (action === 'delete-volume') {
+      setBusy(volume.name)
+      try {
+        await deletePreviousVolume(source.id, volume.name)
+        setData(prev => ({ ...prev, previous_volumes: prev.previous_volumes.filter(v => v.name !== volume.name) }))
+        toast.success('Previous volume deleted')
+        setConfirm(null)
+      } catch (err) {
+        const message = err instanceof ApiError ? err.message : 'Failed to delete previous volume'
+        toast.error(message)
+      } finally {
+        setBusy(null)
+      }
+      return
+    }
+
+    setBusy(backup.id)
+    try {
+      if (action === 'restore') {
+        const restore = await restoreBackup(backup.id)
+        setData(prev => ({ ...prev, restores: [restore, ...prev.restores] }))
+        toast.success(`Restoring ${source.name} from the backup of ${formatDate(backup.started_at)}`)
+      } else {
+        await deleteBackup(backup.id)
+        setData(prev => ({ ...prev, backups: prev.backups.filter(b => b.id !== backup.id) }))
+        toast.success('Backup deleted')
+      }
+      setConfirm(null)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : `Failed to ${action} backup`
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const renderRestores = () => {
+    const recent = data.restores.slice(0, 3)
+    if (recent.length === 0) return null
+
+    return (
+      <div className="mb-4 space-y-1 font-mono text-xs">
+        <div className="text-terminal-muted">RECENT RESTORES</div>
+        {recent.map(restore => (
+          <div key={restore.id}>
+            <span className="text-terminal-muted">{formatDate(restore.started_at)} </span>
+            <span className={STATUS_CLASSES[restore.status]}>{restore.status.toUpperCase()}</span>
+            {restore.error && <span className="text-terminal-red"> {restore.error}</span>}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  const renderPreviousVolumes = () => {
+    const volumes = data.previous_volumes || []
+    if (volumes.length === 0) return null
+
+    return (
+      <div className="mb-4 space-y-1 font-mono text-xs">
+        <div className="text-terminal-muted">PREVIOUS VOLUMES</div>
+        {volumes.map(volume => (
+          <div key={volume.name} className="flex items-center justify-between gap-3">
+            <div>
+              <span className="text-terminal-primary">{volume.name} </span>
+              {volume.storage && <span className="text-terminal-muted">{volume.storage} </span>}
+              {volume.replaced_at && (
+                <span className="text-terminal-muted">replaced {formatDate(volume.replaced_at)}</span>
+              )}
+            </div>
+            {canWrite && (
+              <TerminalButton
+                size="sm"
+                variant="danger"
+                onClick={() => setConfirm({ action: 'delete-volume', volume })}
+                disabled={busy === volume.name}
+              >
+                [DELETE]
+              </TerminalButton>
+            )}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  const renderBackup = (backup) => (
+    <div key={backup.id} className="border border-terminal-border p-3 rounded font-mono text-xs">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <span className="text-terminal-primary">{formatDate(backup.started_at)}</span>
+          <span className={STATUS_CLASSES[backup.status]}>{backup.status.toUpperCase()}</span>
+          <span className="text-terminal-muted">{backup.trigger === 'schedule' ? 'scheduled' : 'manual'}</span>
+          {backup.size_bytes != null && (
+            <span className="text-terminal-muted">{formatBytes(backup.size_bytes)}</span>
+          )}
+        </div>
+        {canWrite && backup.status !== 'running' && (
+          <div className="flex items-center gap-2">
+            {backup.status === 'succeeded' && (
+              <TerminalButton
+                size="sm"
+                variant="secondary"
+                onClick={() => setConfirm({ action: 'restore', backup })}
+                disabled={busy === backup.id}
+              >
+                [RESTORE]
+              </TerminalButton>
+            )}
+            <TerminalButton
+              size="sm"
+              variant="danger"
+              onClick={() => setConfirm({ action: 'delete', backup })}
+              disabled={busy === backup.id}
+            >
+              [DELETE]
+            </TerminalButton>
+          </div>
+        )}
+      </div>
+      {backup.error && (
+        <pre className="mt-2 text-terminal-red whitespace-pre-wrap break-words">{backup.error}</pre>
+      )}
+    </div>
+  )
+
+  const renderContent = () => {
+    if (loading) {
+      return <div className="text-terminal-muted">Loading backups...</div>
+    }
+    if (!data) {
+      return null
+    }
+    if (!data.enabled) {
+      return (
+        <div className="text-terminal-muted text-sm">
+          Backups are not configured on this server. An administrator can enable them by setting
+          the BACKUP_S3_* variables.
+        </div>
+      )
+    }
+    if (data.unavailable_reason) {
+      return <div className="text-terminal-muted text-sm">{data.unavailable_reason}.</div>
+    }
+
+    return (
+      <>
+        {canWrite && (
+          <form onSubmit={handleSavePolicy} className="flex items-end gap-3 mb-4">
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">SCHEDULE</label>
+              <TerminalSelect
+                options={SCHEDULE_OPTIONS}
+                value={policy.schedule}
+                onChange={(e) => setPolicy(prev => ({ ...prev, schedule: e.target.value }))}
+                className="w-32"
+              />
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">KEEP</label>
+              <TerminalInput
+                value={policy.retention}
+                onChange={(e) => setPolicy(prev => ({ ...prev, retention: e.target.value }))}
+                className="w-20"
+              />
+            </div>
+            <TerminalButton type="submit" disabled={!policyChanged || !retentionValid || saving}>
+              {saving ? 'SAVING...' : '[SAVE]'}
+            </TerminalButton>
+            <TerminalButton
+              variant="secondary"
+              onClick={handleBackupNow}
+              disabled={busy === 'backup' || active}
+            >
+              {busy === 'backup' ? 'STARTING...' : '[BACK UP NOW]'}
+            </TerminalButton>
+          </form>
+        )}
+
+        <p className="font-mono text-xs text-terminal-muted mb-4">
+          {kind === 'services'
+            ? 'The volume is archived while the service runs. Restoring fills a new volume and switches the service to it; the current volume is kept until you delete it.'
+            : 'Restoring loads the dump into this add-on, replacing the tables it contains.'}
+          {' '}Only scheduled backups are pruned; manual ones are kept until deleted.
+        </p>
+
+        {renderRestores()}
+        {renderPreviousVolumes()}
+
+        {data.backups.length === 0 ? (
+          <div className="text-terminal-muted text-sm">No backups yet.</div>
+        ) : (
+          <div className="space-y-2">
+            {data.backups.map(renderBackup)}
+          </div>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <>
+      {bare ? renderContent() : (
+        <TerminalCard title="BACKUPS" variant="cyan">
+          {renderContent()}
+        </TerminalCard>
+      )}
+
+      {confirm && (
+        <TerminalModal
+          title={{ restore: 'Restore Backup', delete: 'Delete Backup', 'delete-volume': 'Delete Previous Volume' }[confirm.action]}
+          variant={confirm.action === 'restore' ? 'amber' : 'red'}
+          onClose={() => setConfirm(null)}
+        >
+          <p className="font-mono text-sm text-terminal-primary mb-4">
+            {confirm.action === 'restore' && (
+              <>
+                Restore <span className="text-terminal-cyan">{source.name}</span> from the backup
+                of {formatDate(confirm.backup.started_at)}?
+                {kind === 'services'
+                  ? ' Changes made to the volume since then are lost.'
+                  : ' Changes made to its tables since then are lost.'}
+              </>
+            )}
+            {confirm.action === 'delete' && (
+              <>Delete the backup of {formatDate(confirm.backup.started_at)} from storage?</>
+            )}
+            {confirm.action === 'delete-volume' && (
+              <>
+                Delete <span className="text-terminal-cyan">{confirm.volume.name}</span>? The data
+                {' '}{source.name} held before the restore is lost.
+              </>
+            )}
+          </p>
+          <div className="flex gap-2 justify-end">
+            <TerminalButton variant="secondary" onClick={() => setConfirm(null)}>
+              [CANCEL]
+            </TerminalButton>
+            <TerminalButton
+              variant="danger"
+              onClick={handleConfirm}
+              disabled={busy === (confirm.volume?.name || confirm.backup?.id)}
+            >
+              {busy === (confirm.volume?.name || confirm.backup?.id)
+                ? (confirm.action === 'restore' ? 'STARTING...' : 'DELETING...')
+                : (confirm.action === 'restore' ? '[RESTORE]' : '[DELETE]')}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </>
+  )
+}
+
+export default BackupManager
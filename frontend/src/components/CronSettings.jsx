@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+const MAX_HISTORY = 10
+
+const CONCURRENCY_OPTIONS = [
+  { value: 'Forbid', label: 'Skip the run if the last one is still going' },
+  { value: 'Replace', label: 'Stop the last run and start the new one' },
+  { value: 'Allow', label: 'Run both at once' }
+]
+
+function valuesFrom(service) {
+  return {
+    cron_schedule: service.cron_schedule || '',
+    cron_concurrency_policy: service.cron_concurrency_policy || 'Forbid',
+    cron_successful_history: String(service.cron_successful_history ?? 3),
+    cron_failed_history: String(service.cron_failed_history ?? 3),
+  }
+}
+
+export function CronSettings({ service, onUpdated }) {
+  const [values, setValues] = useState(valuesFrom(service))
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved settings change, not on every service refresh
+  const savedKey = JSON.stringify(valuesFrom(service))
+
+  useEffect(() => {
+    setValues(valuesFrom(service))
+  }, [savedKey])
+
+  const changed = JSON.stringify(values) !== savedKey
+
+  const handleSave = async () => {
+    const successful = parseInt(values.cron_successful_history, 10)
+    const failed = parseInt(values.cron_failed_history, 10)
+
+    if (!values.cron_schedule.trim()) {
+      toast.error('Schedule is required')
+      return
+    }
+    if (!(successful >= 0 && successful <= MAX_HISTORY) || !(failed >= 0 && failed <= MAX_HISTORY)) {
+      toast.error(`Jobs kept must be between 0 and ${MAX_HISTORY}`)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updated = await updateService(service.id, {
+        cron_schedule: values.cron_schedule.trim(),
+        cron_concurrency_policy: values.cron_concurrency_policy,
+        cron_successful_history: successful,
+        cron_failed_history: failed,
+      })
+      onUpdated?.(updated)
+      toast.success('Schedule updated')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update schedule'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Schedule" variant="cyan" className="mt-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block font-mono text-xs text-terminal-muted mb-2">CRON SCHEDULE (UTC)</label>
+          <TerminalInput
+            value={values.cron_schedule}
+            onChange={(e) => setValues(prev => ({ ...prev, cron_schedule: e.target.value }))}
+            placeholder="0 3 * * *"
+            maxLength={100}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block font-mono text-xs text-terminal-muted mb-2">WHEN A RUN OVERLAPS</label>
+          <TerminalSelect
+            options={CONCURRENCY_OPTIONS}
+            value={values.cron_concurrency_policy}
+            onChange={(e) => setValues(prev => ({ ...prev, cron_concurrency_policy: e.target.value }))}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block font-mono text-xs text-terminal-muted mb-2">SUCCEEDED JOBS KEPT</label>
+          <TerminalInput
+            type="number"
+            min={0}
+            max={MAX_HISTORY}
+            value={values.cron_successful_history}
+            onChange={(e) => setValues(prev => ({ ...prev, cron_successful_history: e.target.value }))}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block font-mono text-xs text-terminal-muted mb-2">FAILED JOBS KEPT</label>
+          <TerminalInput
+            type="number"
+            min={0}
+            max={MAX_HISTORY}
+            value={values.cron_failed_history}
+            onChange={(e) => setValues(prev => ({ ...prev, cron_failed_history: e.target.value }))}
+            className="w-full"
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          Five fields (minute hour day month weekday) or a macro like @hourly. Kept jobs hold the
+          pods of recent runs in the cluster; the Runs tab keeps a longer history either way.
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default CronSettings
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+const STRATEGY_OPTIONS = [
+  { value: 'rolling', label: 'ROLLING - replace pods in place' },
+  { value: 'blue-green', label: 'BLUE-GREEN - switch all traffic once healthy' },
+  { value: 'canary', label: 'CANARY - shift traffic in steps' },
+]
+
+const CANARY_FIELDS = [
+  { key: 'canary_weight', label: 'INITIAL TRAFFIC (%)', min: 1, max: 99 },
+  { key: 'canary_step', label: 'STEP (%)', min: 1, max: 100 },
+  { key: 'canary_interval_minutes', label: 'STEP EVERY (MINUTES)', min: 1, max: 1440 },
+]
+
+function valuesFrom(service) {
+  return {
+    deploy_strategy: service.deploy_strategy || 'rolling',
+    canary_weight: String(service.canary_weight ?? 10),
+    canary_step: String(service.canary_step ?? 20),
+    canary_interval_minutes: String(service.canary_interval_minutes ?? 5),
+  }
+}
+
+export function DeployStrategySettings({ service, onUpdated }) {
+  const [values, setValues] = useState(valuesFrom(service))
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved settings change, not on every service refresh
+  const savedKey = JSON.stringify(valuesFrom(service))
+
+  useEffect(() => {
+    setValues(valuesFrom(service))
+  }, [savedKey])
+
+  const changed = JSON.stringify(values) !== savedKey
+
+  const handleSave = async () => {
+    const updates = { deploy_strategy: values.deploy_strategy }
+
+    if (values.deploy_strategy === 'canary') {
+      for (const field of CANARY_FIELDS) {
+        const value = parseInt(values[field.key], 10)
+        if (!(value >= field.min && value <= field.max)) {
+          toast.error(`${field.label.replace(/ \(.*\)/, '')} must be between ${field.min} and ${field.max}`)
+          return
+        }
+        updates[field.key] = value
+      }
+    }
+
+    setSaving(true)
+    try {
+      const updated = await updateService(service.id, updates)
+      onUpdated?.(updated)
+      toast.success('Deploy strategy updated')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update deploy strategy'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Deploy Strategy" variant="cyan" className="mt-4">
+      <div className="max-w-md">
+        <label className="block font-mono text-xs text-terminal-muted mb-2">STRATEGY</label>
+        <TerminalSelect
+          options={STRATEGY_OPTIONS}
+          value={values.deploy_strategy}
+          onChange={(e) => setValues(prev => ({ ...prev, deploy_strategy: e.target.value }))}
+          disabled={!!service.storage_gb}
+          className="w-full"
+        />
+      </div>
+
+      {values.deploy_strategy === 'canary' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+          {CANARY_FIELDS.map(field => (
+            <div key={field.key}>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">{field.label}</label>
+              <TerminalInput
+                type="number"
+                min={field.min}
+                max={field.max}
+                value={values[field.key]}
+                onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+                className="w-full"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          {service.storage_gb
+            ? 'Services with persistent storage always roll in place: the volume can only be mounted by one version.'
+            : 'Blue-green and canary run the new version next to the current one. Promote or abort from the Overview tab; an unhealthy new version is aborted automatically.'}
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default DeployStrategySettings
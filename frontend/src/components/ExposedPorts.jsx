@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import { fetchServicePorts, exposeServicePort, removeServicePort } from '../api/ports'
+import { ApiError } from '../api/utils'
+import { useCopyToClipboard } from '../utils'
+
+const PROTOCOL_OPTIONS = [
+  { value: 'tcp', label: 'TCP' },
+  { value: 'udp', label: 'UDP' },
+]
+
+export function ExposedPorts({ service }) {
+  const [ports, setPorts] = useState([])
+  const [maxPorts, setMaxPorts] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const [protocol, setProtocol] = useState('tcp')
+  const [containerPort, setContainerPort] = useState('')
+  const [adding, setAdding] = useState(false)
+  const [removing, setRemoving] = useState(null)
+
+  const toast = useToast()
+  const { copy, copied } = useCopyToClipboard()
+
+  useEffect(() => {
+    loadPorts()
+  }, [service.id])
+
+  const loadPorts = async () => {
+    setLoading(true)
+    try {
+      const data = await fetchServicePorts(service.id)
+      setPorts(data.ports)
+      setMaxPorts(data.max_ports)
+    } catch (err) {
+      toast.error('Failed to load exposed ports')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const parsedPort = parseInt(containerPort, 10)
+  const portValid = /^\d+$/.test(containerPort) && parsedPort >= 1 && parsedPort <= 65535
+  const atLimit = maxPorts != null && ports.length >= maxPorts
+  // Only HTTP requests wake a sleeping service, so the backend refuses ports in idle mode
+  const idle = service.idle_timeout_minutes != null
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (!portValid) return
+
+    setAdding(true)
+    try {
+      const result = await exposeServicePort(service.id, protocol, parsedPort)
+      setPorts(prev => [...prev, result].sort((a, b) => a.public_port - b.public_port))
+      setContainerPort('')
+      toast.success(`${protocol.toUpperCase()} ${parsedPort} exposed on ${result.connection_string}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to expose port'
+      toast.error(message)
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const handleRemove = async (port) => {
+    setRemoving(port.id)
+    try {
+      await removeServicePort(service.id, port.id)
+      setPorts(prev => prev.filter(p => p.id !== port.id))
+      toast.success(`Port ${port.public_port} no longer exposed`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to remove port'
+      toast.error(message)
+    } finally {
+      setRemoving(null)
+    }
+  }
+
+  return (
+    <TerminalCard title="EXPOSED PORTS" variant="cyan">
+      {loading ? (
+        <div className="text-terminal-muted">Loading ports...</div>
+      ) : (
+        <>
+          {ports.length === 0 ? (
+            <div className="text-terminal-muted text-sm mb-4">
+              No TCP/UDP ports exposed. Expose a container port to reach it from outside the cluster
+              (databases, MQTT brokers, game servers).
+            </div>
+          ) : (
+            <div className="space-y-2 mb-4">
+              {ports.map(port => (
+                <div
+                  key={port.id}
+                  className="flex items-center justify-between gap-4 border border-terminal-border p-3 rounded"
+                >
+                  <div className="font-mono text-sm flex items-center gap-3 min-w-0">
+                    <span className="text-terminal-accent">{port.protocol.toUpperCase()}</span>
+                    <span className="text-terminal-muted">{port.container_port} -&gt;</span>
+                    <span className="text-terminal-primary truncate">{port.connection_string}</span>
+                    <button
+                      onClick={() => copy(port.connection_string, `port-${port.id}`)}
+                      className="text-terminal-muted hover:text-terminal-text text-xs"
+                    >
+                      {copied === `port-${port.id}` ? '[COPIED]' : '[COPY]'}
+                    </button>
+                  </div>
+                  <TerminalButton
+                    variant="danger"
+                    size="sm"
+                    onClick={() => handleRemove(port)}
+                    disabled={removing === port.id}
+                  >
+                    {removing === port.id ? 'REMOVING...' : '[REMOVE]'}
+                  </TerminalButton>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {idle ? (
+            <p className="font-mono text-xs text-terminal-muted">
+              Turn idle mode off to expose ports.
+            </p>
+          ) : atLimit ? (
+            <p className="font-mono text-xs text-terminal-muted">
+              A service can expose at most {maxPorts} ports.
+            </p>
+          ) : (
+            <form onSubmit={handleAdd} className="flex items-end gap-3">
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted mb-2">PROTOCOL</label>
+                <TerminalSelect
+                  options={PROTOCOL_OPTIONS}
+                  value={protocol}
+                  onChange={(e) => setProtocol(e.target.value)}
+                  className="w-24"
+                />
+              </div>
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted mb-2">CONTAINER PORT</label>
+                <TerminalInput
+                  value={containerPort}
+                  onChange={(e) => setContainerPort(e.target.value)}
+                  placeholder="5432"
+                  className="w-32"
+                />
+              </div>
+              <TerminalButton type="submit" disabled={!portValid || adding}>
+                {adding ? 'EXPOSING...' : '[+] EXPOSE'}
+              </TerminalButton>
+            </form>
+          )}
+        </>
+      )}
+    </TerminalCard>
+  )
+}
+
+export default ExposedPorts
@@ -166,6 +166,29 @@ export function HealthStatus({ serviceId, fetchHealth, refreshInterval = 30000 }
     const unsubscribe = subscribe(channel, (event) => {
       const { payload, timestamp } = event
 
+      // Idle mode events (idle, waking, awake, wake_failed) share the channel but are not
+      // health checks. Going idle means no pods and no checks until the service wakes.
+      if (payload.event) {
+        if (payload.event === 'idle') {
+          setHealth(prevHealth => prevHealth && {
+            ...prevHealth,
+            status: 'sleeping',
+            sleeping_at: payload.sleepingAt,
+            activeCheck: null,
+            pods: []
+          })
+          setLastUpdate(timestamp || new Date().toISOString())
+        } else if (payload.event === 'awake' && fetchHealth) {
+          fetchHealth(serviceId)
+            .then(data => {
+              setHealth(data)
+              setLastUpdate(new Date().toISOString())
+            })
+            .catch(() => {})
+        }
+        return
+      }
+
       // Merge WebSocket updates with existing health data
       setHealth(prevHealth => {
         if (!prevHealth) {
@@ -202,7 +225,7 @@ export function HealthStatus({ serviceId, fetchHealth, refreshInterval = 30000 }
     return () => {
       unsubscribe()
     }
-  }, [serviceId, subscribe])
+  }, [serviceId, subscribe, fetchHealth])
 
   // Fallback polling when WebSocket is not connected
   useEffect(() => {
@@ -271,6 +294,19 @@ export function HealthStatus({ serviceId, fetchHealth, refreshInterval = 30000 }
     )
   }
 
+  if (health.status === 'sleeping') {
+    return (
+      <TerminalCard title="Health Status" variant="amber">
+        <div className="flex items-center gap-4">
+          <StatusIndicator status="idle" label="SLEEPING" />
+          <span className="font-mono text-xs text-terminal-muted">
+            Scaled to zero {formatTimeAgo(health.sleeping_at)}. Checks resume when a request wakes it.
+          </span>
+        </div>
+      </TerminalCard>
+    )
+  }
+
   const isHealthy = health.status === 'healthy'
   const variant = isHealthy ? 'green' : 'red'
 
@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalToggle from './TerminalToggle'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+const MIN_IDLE_MINUTES = 5
+const MAX_IDLE_MINUTES = 1440
+const DEFAULT_IDLE_MINUTES = 30
+
+function valuesFrom(service) {
+  return {
+    enabled: service.idle_timeout_minutes != null,
+    minutes: String(service.idle_timeout_minutes ?? DEFAULT_IDLE_MINUTES),
+  }
+}
+
+export function IdleSettings({ service, onUpdated }) {
+  const [values, setValues] = useState(valuesFrom(service))
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved settings change, not on every service refresh
+  const savedKey = JSON.stringify(valuesFrom(service))
+
+  useEffect(() => {
+    setValues(valuesFrom(service))
+  }, [savedKey])
+
+  const changed = JSON.stringify(values) !== savedKey
+
+  const handleSave = async () => {
+    const minutes = parseInt(values.minutes, 10)
+
+    if (values.enabled && !(minutes >= MIN_IDLE_MINUTES && minutes <= MAX_IDLE_MINUTES)) {
+      toast.error(`Idle timeout must be between ${MIN_IDLE_MINUTES} and ${MAX_IDLE_MINUTES} minutes`)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const updated = await updateService(service.id, {
+        idle_timeout_minutes: values.enabled ? minutes : null,
+      })
+      onUpdated?.(updated)
+      toast.success(updated.idle_timeout_minutes != null ? 'Idle mode updated' : 'Idle mode disabled')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update idle mode'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Idle Mode" variant="cyan" className="mt-4">
+      <TerminalToggle
+        id="idle-enabled"
+        checked={values.enabled}
+        onChange={(e) => setValues(prev => ({ ...prev, enabled: e.target.checked }))}
+        label={values.enabled
+          ? `Scale to zero after ${values.minutes || '?'} minutes without traffic`
+          : 'Always running'}
+      />
+
+      {values.enabled && (
+        <div className="mt-4 max-w-xs">
+          <label className="block font-mono text-xs text-terminal-muted mb-2">IDLE TIMEOUT (MINUTES)</label>
+          <TerminalInput
+            type="number"
+            min={MIN_IDLE_MINUTES}
+            max={MAX_IDLE_MINUTES}
+            value={values.minutes}
+            onChange={(e) => setValues(prev => ({ ...prev, minutes: e.target.value }))}
+            placeholder={String(DEFAULT_IDLE_MINUTES)}
+            className="w-full"
+          />
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          The next request wakes the service; visitors see a waking page until a pod is ready.
+          Background health checks are paused while idle mode is on.
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default IdleSettings
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+export function LivenessSettings({ service, onUpdated }) {
+  const [command, setCommand] = useState(service.liveness_command || '')
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved command changes, not on every service refresh
+  useEffect(() => {
+    setCommand(service.liveness_command || '')
+  }, [service.liveness_command])
+
+  const changed = command.trim() !== (service.liveness_command || '')
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const updated = await updateService(service.id, {
+        liveness_command: command.trim() || null,
+      })
+      onUpdated?.(updated)
+      toast.success(updated.liveness_command ? 'Liveness check updated' : 'Liveness check removed')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update liveness check'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Liveness Check" variant="cyan" className="mt-4">
+      <label className="block font-mono text-xs text-terminal-muted mb-2">COMMAND RUN IN THE CONTAINER</label>
+      <TerminalInput
+        value={command}
+        onChange={(e) => setCommand(e.target.value)}
+        placeholder="test -f /tmp/healthy"
+        maxLength={1000}
+        className="w-full"
+      />
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          Runs every 20 seconds; three non-zero exits in a row restart the container.
+          Without one, the worker is only restarted when its process exits. Applies from the next deploy.
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default LivenessSettings
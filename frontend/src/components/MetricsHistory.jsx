@@ -0,0 +1,291 @@
+import { useState, useEffect, useMemo } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalSpinner from './TerminalSpinner'
+import { fetchServiceMetricsHistory } from '../api/services'
+import { formatBytes, formatDate } from '../utils'
+
+// Color constants matching tailwind.config.js
+const COLORS = {
+  cpu: '#00ffff',
+  memory: '#33ff33',
+  restarts: '#ffaa00',
+  limit: '#ff3333',
+  grid: '#333333',
+}
+
+const RANGES = ['1h', '6h', '24h', '7d', '30d', '90d']
+
+const RANGE_SECONDS = {
+  '1h': 3600,
+  '6h': 21600,
+  '24h': 86400,
+  '7d': 604800,
+  '30d': 2592000,
+  '90d': 7776000,
+}
+
+// Refresh the open range about as often as a new point can appear, within reason
+const MIN_REFRESH = 60000
+const MAX_REFRESH = 900000
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 64
+
+const formatCpu = (millicores) => `${Math.round(millicores)}m`
+
+const formatStep = (seconds) => {
+  if (seconds % 86400 === 0) return `${seconds / 86400}d`
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`
+  if (seconds % 60 === 0) return `${seconds / 60}m`
+  return `${seconds}s`
+}
+
+/**
+ * Split points into runs without gaps; a gap is a missing step (no running pods, or the
+ * backend was down), and the line is broken there rather than drawn across it
+ */
+function splitRuns(points, stepMs) {
+  const runs = []
+  let run = []
+  for (const point of points) {
+    const previous = run[run.length - 1]
+    if (previous && point.t - previous.t > stepMs * 1.5) {
+      runs.push(run)
+      run = []
+    }
+    run.push(point)
+  }
+  if (run.length > 0) runs.push(run)
+  return runs
+}
+
+function HistoryChart({ label, points, from, to, stepMs, valueKey, maxKey, limit, color, format }) {
+  const [hover, setHover] = useState(null)
+
+  const peak = Math.max(0, ...points.map(p => p[maxKey]))
+  const top = Math.max(peak, limit || 0) * 1.1 || 1
+
+  const x = (t) => ((t - from) / (to - from)) * CHART_WIDTH
+  const y = (value) => CHART_HEIGHT - (value / top) * CHART_HEIGHT
+
+  const runs = splitRuns(points, stepMs)
+  const line = (run, key) => run.map(p => `${x(p.t).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ')
+
+  const latest = points[points.length - 1]
+  const shown = hover || latest
+
+  const handleMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const t = from + ((e.clientX - rect.left) / rect.width) * (to - from)
+    let nearest = null
+    for (const point of points) {
+      if (!nearest || Math.abs(point.t - t) < Math.abs(nearest.t - t)) nearest = point
+    }
+    setHover(nearest && Math.abs(nearest.t - t) <= stepMs ? nearest : null)
+  }
+
+  return (
+    <div className="font-mono text-xs">
+      <div className="flex justify-between items-baseline mb-1">
+        <span className="text-terminal-muted uppercase">{label}</span>
+        <span>
+          {shown ? (
+            <>
+              <span style={{ color }}>{format(shown[valueKey])}</span>
+              <span className="text-terminal-muted"> avg / {format(shown[maxKey])} max</span>
+              {hover && <span className="text-terminal-muted"> @ {formatDate(hover.time)}</span>}
+            </>
+          ) : (
+            <span className="text-terminal-muted">--</span>
+          )}
+          {limit ? <span className="text-terminal-muted"> (limit {format(limit)})</span> : null}
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-16 border border-terminal-border bg-terminal-bg-primary"
+        onMouseMove={handleMove}
+        onMouseLeave={() => setHover(null)}
+      >
+        <line x1="0" y1={CHART_HEIGHT / 2} x2={CHART_WIDTH} y2={CHART_HEIGHT / 2} stroke={COLORS.grid} strokeDasharray="2 4" />
+        {limit ? (
+          <line x1="0" y1={y(limit)} x2={CHART_WIDTH} y2={y(limit)} stroke={COLORS.limit} strokeDasharray="6 4" opacity="0.6" vectorEffect="non-scaling-stroke" />
+        ) : null}
+        {runs.map((run, i) => (
+          <g key={i}>
+            <polyline points={line(run, maxKey)} fill="none" stroke={color} strokeOpacity="0.35" vectorEffect="non-scaling-stroke" />
+            <polyline points={line(run, valueKey)} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+          </g>
+        ))}
+        {hover && (
+          <line x1={x(hover.t)} y1="0" x2={x(hover.t)} y2={CHART_HEIGHT} stroke={COLORS.grid} vectorEffect="non-scaling-stroke" />
+        )}
+      </svg>
+    </div>
+  )
+}
+
+function RestartStrip({ points, from, to, stepMs }) {
+  const restarts = points.filter(p => p.restarts > 0)
+  const total = restarts.reduce((sum, p) => sum + p.restarts, 0)
+  const barWidth = Math.max((stepMs / (to - from)) * CHART_WIDTH, 2)
+
+  return (
+    <div className="font-mono text-xs">
+      <div className="flex justify-between items-baseline mb-1">
+        <span className="text-terminal-muted uppercase">Restarts</span>
+        <span className={total > 0 ? 'text-terminal-secondary' : 'text-terminal-muted'}>
+          {total} in range
+        </span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} 12`}
+        preserveAspectRatio="none"
+        className="w-full h-3 border border-terminal-border bg-terminal-bg-primary"
+      >
+        {restarts.map(p => (
+          <rect
+            key={p.t}
+            x={((p.t - from) / (to - from)) * CHART_WIDTH}
+            y="0"
+            width={barWidth}
+            height="12"
+            fill={COLORS.restarts}
+          >
+            <title>{`${p.restarts} restart${p.restarts > 1 ? 's' : ''} @ ${formatDate(p.time)}`}</title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  )
+}
+
+/**
+ * CPU, memory and restart history of a service, from GET /services/:id/metrics/history
+ * @param {object} props
+ * @param {string} props.serviceId - Service ID
+ */
+export function MetricsHistory({ serviceId }) {
+  const [range, setRange] = useState('24h')
+  const [history, setHistory] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [loadedAt, setLoadedAt] = useState(Date.now())
+
+  useEffect(() => {
+    if (!serviceId) return
+
+    let mounted = true
+
+    const loadHistory = async (initial) => {
+      if (initial) setLoading(true)
+      try {
+        const data = await fetchServiceMetricsHistory(serviceId, range)
+        if (mounted) {
+          setHistory(data)
+          setError(null)
+          setLoadedAt(Date.now())
+        }
+      } catch (err) {
+        if (mounted) setError(err.message || 'Failed to load metrics history')
+      } finally {
+        if (mounted && initial) setLoading(false)
+      }
+    }
+
+    loadHistory(true)
+    const refresh = Math.min(Math.max(RANGE_SECONDS[range] * 1000 / 200, MIN_REFRESH), MAX_REFRESH)
+    const interval = setInterval(() => loadHistory(false), refresh)
+
+    return () => {
+      mounted = false
+      clearInterval(interval)
+    }
+  }, [serviceId, range])
+
+  const points = useMemo(() => (
+    (history?.points || []).map(p => ({ ...p, t: new Date(p.time).getTime() }))
+  ), [history])
+
+  const to = loadedAt
+  const from = to - RANGE_SECONDS[range] * 1000
+  const stepMs = (history?.step || 60) * 1000
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="flex items-center justify-center py-4">
+          <TerminalSpinner color="cyan" />
+          <span className="ml-2 text-terminal-muted font-mono text-sm">Loading history...</span>
+        </div>
+      )
+    }
+    if (error) {
+      return <p className="font-mono text-terminal-red text-sm py-4 text-center">! {error}</p>
+    }
+    if (points.length === 0) {
+      return (
+        <p className="font-mono text-terminal-muted text-sm py-4 text-center">
+          No samples in this range. Usage is recorded every minute while the service has running pods.
+        </p>
+      )
+    }
+
+    return (
+      <div className="space-y-4">
+        <HistoryChart
+          label="CPU"
+          points={points}
+          from={from}
+          to={to}
+          stepMs={stepMs}
+          valueKey="cpu_millicores"
+          maxKey="cpu_max_millicores"
+          limit={history.limits?.cpu_millicores}
+          color={COLORS.cpu}
+          format={formatCpu}
+        />
+        <HistoryChart
+          label="Memory"
+          points={points}
+          from={from}
+          to={to}
+          stepMs={stepMs}
+          valueKey="memory_bytes"
+          maxKey="memory_max_bytes"
+          limit={history.limits?.memory_bytes}
+          color={COLORS.memory}
+          format={formatBytes}
+        />
+        <RestartStrip points={points} from={from} to={to} stepMs={stepMs} />
+      </div>
+    )
+  }
+
+  return (
+    <TerminalCard title="Usage History" variant="cyan">
+      <div className="flex items-center justify-between mb-4 font-mono text-xs">
+        <div className="flex gap-2">
+          {RANGES.map(r => (
+            <button
+              key={r}
+              onClick={() => setRange(r)}
+              className={r === range ? 'text-terminal-primary' : 'text-terminal-muted hover:text-terminal-secondary'}
+            >
+              [{r.toUpperCase()}]
+            </button>
+          ))}
+        </div>
+        {history && (
+          <span className="text-terminal-muted">
+            {formatStep(history.step)} per point
+          </span>
+        )}
+      </div>
+      {renderContent()}
+    </TerminalCard>
+  )
+}
+
+export default MetricsHistory
@@ -0,0 +1,402 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalModal } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import {
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+  sendChannelTestNotification,
+} from '../api/notifications'
+import { fetchProjects } from '../api/projects'
+import { ApiError } from '../api/utils'
+
+const URL_PLACEHOLDERS = {
+  webhook: 'https://example.com/hooks/dangus',
+  slack: 'https://hooks.slack.com/services/T000/B000/XXXX',
+  discord: 'https://discord.com/api/webhooks/<id>/<token>',
+  teams: 'Workflows or connector webhook URL',
+  ntfy: 'https://ntfy.sh/<topic>',
+  gotify: 'https://gotify.example.com',
+}
+
+const TOKEN_LABELS = {
+  ntfy: 'ACCESS TOKEN (OPTIONAL)',
+  gotify: 'APPLICATION TOKEN',
+}
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'slack',
+  url: '',
+  token: '',
+  project_id: '',
+  events: ['deployment.failed', 'cron_run.failed', 'alert.firing', 'alert.resolved'],
+}
+
+/**
+ * Named Slack, Discord, Teams, ntfy, Gotify and webhook channels of the current user, each
+ * with its own events and a test button
+ */
+export function NotificationChannels() {
+  const [channels, setChannels] = useState([])
+  const [types, setTypes] = useState([])
+  const [events, setEvents] = useState([])
+  const [projects, setProjects] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // null, or { channel } when editing; channel is null when adding
+  const [editing, setEditing] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [busy, setBusy] = useState(null)
+  const [deleteConfirm, setDeleteConfirm] = useState(null)
+
+  const toast = useToast()
+
+  useEffect(() => {
+    loadChannels()
+  }, [])
+
+  const loadChannels = async () => {
+    setLoading(true)
+    try {
+      const [data, projectList] = await Promise.all([
+        getNotificationChannels(),
+        fetchProjects(),
+      ])
+      setChannels(data.channels)
+      setTypes(data.types)
+      setEvents(data.events)
+      setProjects(projectList.filter(p => ['owner', 'maintainer'].includes(p.role)))
+    } catch (err) {
+      toast.error('Failed to load notification channels')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const typeLabel = (type) => types.find(t => t.id === type)?.label || type
+  const typeHasToken = (type) => Boolean(types.find(t => t.id === type)?.token)
+
+  const openForm = (channel) => {
+    setForm(channel ? {
+      name: channel.name,
+      type: channel.type,
+      url: channel.url,
+      token: '',
+      project_id: channel.project_id || '',
+      events: channel.events,
+    } : EMPTY_FORM)
+    setEditing({ channel })
+  }
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event],
+    }))
+  }
+
+  const replaceChannel = (updated) => {
+    setChannels(prev => prev.map(c => (c.id === updated.id ? updated : c)))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const { channel } = editing
+
+    const fields = {
+      name: form.name.trim(),
+      url: form.url.trim(),
+      project_id: form.project_id || null,
+      events: form.events,
+    }
+    // A blank token keeps the stored one when editing
+    if (typeHasToken(form.type) && (form.token || !channel)) {
+      fields.token = form.token || null
+    }
+
+    setSaving(true)
+    try {
+      if (channel) {
+        replaceChannel(await updateNotificationChannel(channel.id, fields))
+        toast.success(`Channel "${fields.name}" saved`)
+      } else {
+        const created = await createNotificationChannel({ ...fields, type: form.type })
+        setChannels(prev => [...prev, created])
+        toast.success(`Channel "${created.name}" added`)
+      }
+      setEditing(null)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to save channel'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (channel) => {
+    setBusy(channel.id)
+    try {
+      const updated = await updateNotificationChannel(channel.id, { enabled: !channel.enabled })
+      replaceChannel(updated)
+      toast.success(`Channel "${channel.name}" ${updated.enabled ? 'enabled' : 'disabled'}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update channel'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleTest = async (channel) => {
+    setBusy(channel.id)
+    try {
+      const result = await sendChannelTestNotification(channel.id)
+      const outcome = result.results?.[channel.type]
+      if (outcome?.success) {
+        toast.success(`Test sent to "${channel.name}"`)
+      } else {
+        toast.error(`Test to "${channel.name}" failed: ${outcome?.error || 'unknown error'}`)
+      }
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to send test'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleRegenerateSecret = async () => {
+    const { channel } = editing
+    setSaving(true)
+    try {
+      const updated = await updateNotificationChannel(channel.id, { regenerate_secret: true })
+      replaceChannel(updated)
+      setEditing({ channel: updated })
+      toast.success('Signing secret regenerated')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to regenerate secret'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    const channel = deleteConfirm
+    setBusy(channel.id)
+    try {
+      await deleteNotificationChannel(channel.id)
+      setChannels(prev => prev.filter(c => c.id !== channel.id))
+      setDeleteConfirm(null)
+      toast.success(`Channel "${channel.name}" deleted`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to delete channel'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const renderChannel = (channel) => (
+    <div key={channel.id} className="border border-terminal-border p-3 font-mono text-xs">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3 flex-wrap">
+          <span className={channel.enabled ? 'text-terminal-primary' : 'text-terminal-muted'}>{channel.name}</span>
+          <span className="text-terminal-secondary">{typeLabel(channel.type)}</span>
+          <span className="text-terminal-muted">{channel.project_name || 'all my projects'}</span>
+          {!channel.enabled && <span className="text-terminal-muted">[DISABLED]</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          <TerminalButton size="sm" variant="secondary" onClick={() => handleTest(channel)} disabled={busy === channel.id}>
+            [TEST]
+          </TerminalButton>
+          <TerminalButton size="sm" variant="secondary" onClick={() => openForm(channel)} disabled={busy === channel.id}>
+            [EDIT]
+          </TerminalButton>
+          <TerminalButton size="sm" variant="secondary" onClick={() => handleToggle(channel)} disabled={busy === channel.id}>
+            {channel.enabled ? '[DISABLE]' : '[ENABLE]'}
+          </TerminalButton>
+          <TerminalButton size="sm" variant="danger" onClick={() => setDeleteConfirm(channel)} disabled={busy === channel.id}>
+            [DELETE]
+          </TerminalButton>
+        </div>
+      </div>
+      <div className="mt-2 text-terminal-muted">{channel.events.join(', ')}</div>
+    </div>
+  )
+
+  const renderForm = () => {
+    const { channel } = editing
+    const tokenType = typeHasToken(form.type)
+    const projectOptions = [
+      { value: '', label: 'All my projects' },
+      ...projects.map(p => ({ value: p.id, label: p.name })),
+    ]
+    // Keep a project the user can no longer change selectable, so saving doesn't move the channel
+    if (channel?.project_id && !projects.some(p => p.id === channel.project_id)) {
+      projectOptions.push({ value: channel.project_id, label: channel.project_name })
+    }
+    const valid = form.name.trim() && form.url.trim() && form.events.length > 0 &&
+      (form.type !== 'gotify' || channel || form.token)
+
+    return (
+      <TerminalModal
+        title={channel ? `Edit ${channel.name}` : 'Add Notification Channel'}
+        variant="green"
+        onClose={() => setEditing(null)}
+      >
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">NAME</label>
+              <TerminalInput
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="ops-slack"
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">TYPE</label>
+              {channel ? (
+                <div className="font-mono text-sm text-terminal-secondary py-2">{typeLabel(channel.type)}</div>
+              ) : (
+                <TerminalSelect
+                  options={types.map(t => ({ value: t.id, label: t.label }))}
+                  value={form.type}
+                  onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value, token: '' }))}
+                />
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">URL</label>
+            <TerminalInput
+              value={form.url}
+              onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+              placeholder={URL_PLACEHOLDERS[form.type]}
+              className="w-full"
+            />
+          </div>
+
+          {tokenType && (
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">{TOKEN_LABELS[form.type]}</label>
+              <TerminalInput
+                type="password"
+                value={form.token}
+                onChange={(e) => setForm(prev => ({ ...prev, token: e.target.value }))}
+                placeholder={channel?.has_token ? 'Leave blank to keep the current token' : ''}
+                className="w-full"
+              />
+            </div>
+          )}
+
+          {channel?.type === 'webhook' && (
+            <div>
+              <label className="block font-mono text-xs text-terminal-muted mb-2">SIGNING SECRET</label>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 font-mono text-xs text-terminal-primary bg-terminal-bg-secondary p-2 border border-terminal-border break-all">
+                  {channel.secret}
+                </code>
+                <TerminalButton size="sm" variant="secondary" onClick={handleRegenerateSecret} disabled={saving}>
+                  [REGENERATE]
+                </TerminalButton>
+              </div>
+              <p className="font-mono text-xs text-terminal-muted mt-2">
+                Verify the X-Dangus-Signature-V2 header with this secret, and reject requests whose
+                X-Dangus-Timestamp is more than a few minutes old
+              </p>
+            </div>
+          )}
+
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">PROJECT</label>
+            <TerminalSelect
+              options={projectOptions}
+              value={form.project_id}
+              onChange={(e) => setForm(prev => ({ ...prev, project_id: e.target.value }))}
+            />
+          </div>
+
+          <div>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">EVENTS</label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {events.map(event => (
+                <label key={event.id} className="flex items-center gap-3 cursor-pointer group">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event.id)}
+                    onChange={() => toggleEvent(event.id)}
+                    className="w-4 h-4 accent-terminal-green bg-terminal-bg-secondary border border-terminal-border cursor-pointer"
+                  />
+                  <span className="font-mono text-xs text-terminal-primary">{event.id}</span>
+                  <span className="font-mono text-xs text-terminal-cyan">v{event.version}</span>
+                  <span className="font-mono text-xs text-terminal-muted">{event.description}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <TerminalButton variant="secondary" onClick={() => setEditing(null)}>
+              [CANCEL]
+            </TerminalButton>
+            <TerminalButton type="submit" disabled={!valid || saving}>
+              {saving ? 'SAVING...' : channel ? '[SAVE]' : '[ADD]'}
+            </TerminalButton>
+          </div>
+        </form>
+      </TerminalModal>
+    )
+  }
+
+  return (
+    <TerminalCard title="Notification Channels" variant="cyan">
+      {loading ? (
+        <p className="font-mono text-xs text-terminal-muted">Loading...</p>
+      ) : (
+        <div className="space-y-3">
+          <p className="font-mono text-xs text-terminal-muted">
+            Post to Slack, Discord, Microsoft Teams, ntfy, Gotify or a webhook. A channel covers
+            one project, or every project you own.
+          </p>
+          {channels.map(renderChannel)}
+          <TerminalButton variant="secondary" size="sm" onClick={() => openForm(null)}>
+            [ADD CHANNEL]
+          </TerminalButton>
+        </div>
+      )}
+
+      {editing && renderForm()}
+
+      {deleteConfirm && (
+        <TerminalModal title="Delete Channel" variant="red" onClose={() => setDeleteConfirm(null)}>
+          <p className="font-mono text-sm text-terminal-text mb-4">
+            Delete the channel <span className="text-terminal-accent">{deleteConfirm.name}</span>? Nothing
+            more is posted to it.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <TerminalButton variant="secondary" onClick={() => setDeleteConfirm(null)}>
+              [CANCEL]
+            </TerminalButton>
+            <TerminalButton variant="danger" onClick={handleDelete} disabled={busy === deleteConfirm.id}>
+              {busy === deleteConfirm.id ? 'DELETING...' : '[DELETE]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </TerminalCard>
+  )
+}
+
+export default NotificationChannels
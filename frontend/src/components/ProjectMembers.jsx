@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalModal } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import {
+  ROLES,
+  fetchProjectMembers,
+  inviteToProject,
+  updateProjectMember,
+  removeProjectMember,
+  revokeInvitation,
+  fetchOrganizations,
+  setProjectOrganization,
+} from '../api/teams'
+import { ApiError } from '../api/utils'
+import { formatRelativeTime } from '../utils'
+
+const ROLE_OPTIONS = ROLES.map(role => ({ value: role, label: role.toUpperCase() }))
+
+const SOURCE_LABELS = {
+  creator: 'CREATOR',
+  collaborator: 'COLLABORATOR',
+  organization: 'VIA ORG',
+}
+
+export function ProjectMembers({ projectId, currentUserId, onLeave }) {
+  const [members, setMembers] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [role, setRole] = useState(null)
+  const [organizationId, setOrganizationId] = useState(null)
+  const [organizations, setOrganizations] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const [inviteUsername, setInviteUsername] = useState('')
+  const [inviteRole, setInviteRole] = useState('deployer')
+  const [inviting, setInviting] = useState(false)
+
+  const [removeTarget, setRemoveTarget] = useState(null)
+  const [removing, setRemoving] = useState(false)
+
+  const toast = useToast()
+  const isOwner = role === 'owner'
+
+  useEffect(() => {
+    loadMembers()
+  }, [projectId])
+
+  const loadMembers = async () => {
+    try {
+      setLoading(true)
+      const data = await fetchProjectMembers(projectId)
+      setMembers(data.members || [])
+      setInvitations(data.invitations || [])
+      setRole(data.role)
+      setOrganizationId(data.organization_id)
+      if (data.role === 'owner') {
+        setOrganizations(await fetchOrganizations())
+      }
+    } catch (err) {
+      toast.error('Failed to load project members')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    const username = inviteUsername.trim()
+    if (!username) return
+
+    setInviting(true)
+    try {
+      const invitation = await inviteToProject(projectId, username, inviteRole)
+      setInvitations(prev => [invitation, ...prev])
+      setInviteUsername('')
+      toast.success(`Invited ${invitation.github_username} as ${invitation.role}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to send invitation'
+      toast.error(message)
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  const handleRoleChange = async (member, newRole) => {
+    try {
+      await updateProjectMember(projectId, member.user_id, newRole)
+      setMembers(prev => prev.map(m =>
+        m.user_id === member.user_id && m.source === 'collaborator' ? { ...m, role: newRole } : m
+      ))
+      toast.success(`${member.github_username} is now ${newRole}`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to change role'
+      toast.error(message)
+    }
+  }
+
+  const handleOrganizationChange = async (value) => {
+    const nextOrganizationId = value || null
+    try {
+      await setProjectOrganization(projectId, nextOrganizationId)
+      setOrganizationId(nextOrganizationId)
+      toast.success(nextOrganizationId ? 'Project moved to organization' : 'Project removed from organization')
+      await loadMembers()
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to change organization'
+      toast.error(message)
+    }
+  }
+
+  const handleRevokeInvitation = async (invitation) => {
+    try {
+      await revokeInvitation(invitation.id)
+      setInvitations(prev => prev.filter(i => i.id !== invitation.id))
+      toast.success(`Invitation for ${invitation.github_username} revoked`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to revoke invitation'
+      toast.error(message)
+    }
+  }
+
+  const handleRemove = async () => {
+    if (!removeTarget) return
+
+    setRemoving(true)
+    try {
+      await removeProjectMember(projectId, removeTarget.user_id)
+      if (removeTarget.user_id === currentUserId) {
+        toast.success('You left the project')
+        onLeave?.()
+        return
+      }
+      setMembers(prev => prev.filter(m => !(m.user_id === removeTarget.user_id && m.source === 'collaborator')))
+      toast.success(`${removeTarget.github_username} removed`)
+      setRemoveTarget(null)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to remove collaborator'
+      toast.error(message)
+    } finally {
+      setRemoving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Members" variant="cyan" className="mb-6">
+      <div className="space-y-4">
+        {role && (
+          <p className="font-mono text-xs text-terminal-muted">
+            YOUR ROLE: <span className="text-terminal-secondary uppercase">{role}</span>
+          </p>
+        )}
+
+        {loading ? (
+          <p className="font-mono text-xs text-terminal-muted">Loading...</p>
+        ) : (
+          <div className="space-y-2">
+            {members.map((member) => {
+              const editable = isOwner && member.source === 'collaborator'
+              const canLeave = member.source === 'collaborator' && member.user_id === currentUserId
+              return (
+                <div
+                  key={`${member.source}-${member.user_id}`}
+                  className="flex items-center justify-between gap-4 p-2 bg-terminal-bg border border-terminal-border"
+                >
+                  <div className="flex items-center gap-3 min-w-0 flex-wrap">
+                    <span className="font-mono text-sm text-terminal-primary">{member.github_username}</span>
+                    <span className="font-mono text-xs text-terminal-muted">[{SOURCE_LABELS[member.source]}]</span>
+                    {!editable && (
+                      <span className="font-mono text-xs text-terminal-secondary uppercase">{member.role}</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {editable && (
+                      <TerminalSelect
+                        options={ROLE_OPTIONS}
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                      />
+                    )}
+                    {(editable || canLeave) && (
+                      <TerminalButton variant="danger" onClick={() => setRemoveTarget(member)}>
+                        {canLeave ? '[ LEAVE ]' : '[ REMOVE ]'}
+                      </TerminalButton>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {isOwner && invitations.length > 0 && (
+          <div className="space-y-2">
+            <p className="font-mono text-xs text-terminal-muted uppercase">Pending Invitations</p>
+            {invitations.map((invitation) => (
+              <div
+                key={invitation.id}
+                className="flex items-center justify-between gap-4 p-2 bg-terminal-bg border border-terminal-border"
+              >
+                <div className="font-mono text-xs">
+                  <span className="text-terminal-yellow">[PENDING]</span>{' '}
+                  <span className="text-terminal-primary">{invitation.github_username}</span>{' '}
+                  <span className="text-terminal-secondary uppercase">{invitation.role}</span>{' '}
+                  <span className="text-terminal-muted">{formatRelativeTime(invitation.created_at)}</span>
+                </div>
+                <TerminalButton variant="secondary" onClick={() => handleRevokeInvitation(invitation)}>
+                  [ REVOKE ]
+                </TerminalButton>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isOwner && organizations.length > 0 && (
+          <div className="flex items-center gap-3">
+            <span className="font-mono text-xs text-terminal-muted uppercase">Organization:</span>
+            <TerminalSelect
+              options={[
+                { value: '', label: 'NONE' },
+                ...organizations.map(org => ({ value: org.id, label: org.name })),
+              ]}
+              value={organizationId || ''}
+              onChange={(e) => handleOrganizationChange(e.target.value)}
+            />
+          </div>
+        )}
+
+        {isOwner && (
+          <form onSubmit={handleInvite} className="flex gap-3 items-center flex-wrap">
+            <TerminalInput
+              value={inviteUsername}
+              onChange={(e) => setInviteUsername(e.target.value)}
+              placeholder="github-username"
+              className="flex-1"
+            />
+            <TerminalSelect
+              options={ROLE_OPTIONS}
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+            />
+            <TerminalButton type="submit" variant="primary" disabled={inviting || !inviteUsername.trim()}>
+              {inviting ? '[ INVITING... ]' : '[ INVITE ]'}
+            </TerminalButton>
+          </form>
+        )}
+
+        <p className="font-mono text-xs text-terminal-muted">
+          VIEWER: read-only | DEPLOYER: deploy, rollback, restart | MAINTAINER: services, env vars, domains | OWNER: members, delete
+        </p>
+      </div>
+
+      {/* Remove Confirmation Modal */}
+      {removeTarget && (
+        <TerminalModal title={removeTarget.user_id === currentUserId ? 'LEAVE PROJECT' : 'REMOVE COLLABORATOR'} variant="red">
+          <p className="font-mono text-terminal-primary mb-6">
+            {removeTarget.user_id === currentUserId
+              ? 'Leave this project? You will lose access immediately.'
+              : `Remove ${removeTarget.github_username} from this project?`}
+          </p>
+          <div className="flex justify-end gap-3">
+            <TerminalButton variant="secondary" onClick={() => setRemoveTarget(null)}>
+              [ CANCEL ]
+            </TerminalButton>
+            <TerminalButton variant="danger" onClick={handleRemove} disabled={removing}>
+              {removing ? '[ REMOVING... ]' : '[ CONFIRM ]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </TerminalCard>
+  )
+}
+
+export default ProjectMembers
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+export function ReleaseCommandSettings({ service, onUpdated }) {
+  const [command, setCommand] = useState(service.release_command || '')
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved command changes, not on every service refresh
+  useEffect(() => {
+    setCommand(service.release_command || '')
+  }, [service.release_command])
+
+  const changed = command.trim() !== (service.release_command || '')
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const updated = await updateService(service.id, {
+        release_command: command.trim() || null,
+      })
+      onUpdated?.(updated)
+      toast.success(updated.release_command ? 'Release command updated' : 'Release command removed')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update release command'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Release Command" variant="cyan" className="mt-4">
+      <label className="block font-mono text-xs text-terminal-muted mb-2">RUN BEFORE EACH DEPLOY</label>
+      <TerminalInput
+        value={command}
+        onChange={(e) => setCommand(e.target.value)}
+        placeholder="npm run migrate"
+        maxLength={1000}
+        className="w-full"
+      />
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          Runs once in the new image with the service's env vars, before it gets traffic.
+          A non-zero exit fails the deployment; its output is added to the build logs. Rollbacks skip it.
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default ReleaseCommandSettings
@@ -51,6 +51,40 @@ function MetricGaugeArc({ label, value, max, unit }) {
   )
 }
 
+function ReplicaStatus({ replicas, autoscaler }) {
+  if (!replicas && !autoscaler) return null
+
+  const current = autoscaler ? autoscaler.currentReplicas : replicas.current
+  const desired = autoscaler ? autoscaler.desiredReplicas : replicas.desired
+  const scaling = current !== desired
+
+  return (
+    <div className="border-t border-terminal-border pt-3 mt-3 font-mono text-xs">
+      <div className="flex justify-between items-center">
+        <span className="text-terminal-muted uppercase">Replicas</span>
+        <span className={scaling ? 'text-terminal-amber' : 'text-terminal-green'}>
+          {current} current / {desired} desired
+          {scaling && (desired > current ? ' (scaling up)' : ' (scaling down)')}
+        </span>
+      </div>
+      {autoscaler && (
+        <div className="flex justify-between items-center mt-1">
+          <span className="text-terminal-muted uppercase">
+            Autoscaling {autoscaler.minReplicas}-{autoscaler.maxReplicas}
+          </span>
+          <div className="flex gap-3">
+            {autoscaler.metrics.map(metric => (
+              <span key={metric.name} className="text-terminal-cyan">
+                {metric.name.toUpperCase()}: {metric.currentPercent ?? '--'}% / {metric.targetPercent}%
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
 function PodMetricRow({ pod, isLast }) {
   const cpuPercent = pod.cpu.percentUsed
   const memPercent = pod.memory.percentUsed
@@ -256,6 +290,8 @@ export function ResourceMetrics({ serviceId, fetchMetrics, refreshInterval = 500
         />
       </div>
 
+      <ReplicaStatus replicas={metrics.aggregated.replicas} autoscaler={metrics.autoscaler} />
+
       {metrics.pods.length > 0 && (
         <div className="border-t border-terminal-border pt-3 mt-3">
           <div className="flex justify-between items-center text-xs text-terminal-muted uppercase mb-2">
@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import { updateService } from '../api/services'
+import { ApiError } from '../api/utils'
+
+// Mirrors RESOURCE_PRESETS / BUILD_RESOURCE_PRESETS in backend/src/services/resources.js
+const RESOURCE_PRESETS = {
+  nano: { cpu_request: '100m', cpu_limit: '250m', memory_request: '128Mi', memory_limit: '128Mi' },
+  small: { cpu_request: '250m', cpu_limit: '250m', memory_request: '256Mi', memory_limit: '256Mi' },
+  medium: { cpu_request: '250m', cpu_limit: '1', memory_request: '512Mi', memory_limit: '1Gi' },
+  large: { cpu_request: '500m', cpu_limit: '2', memory_request: '1Gi', memory_limit: '2Gi' },
+  xlarge: { cpu_request: '1', cpu_limit: '2', memory_request: '2Gi', memory_limit: '4Gi' },
+}
+
+const BUILD_PRESETS = {
+  small: 'SMALL (1 CPU / 2Gi)',
+  standard: 'STANDARD (2 CPU / 4Gi)',
+  large: 'LARGE (4 CPU / 8Gi)',
+}
+
+const FIELDS = [
+  { key: 'cpu_request', label: 'CPU REQUEST', placeholder: '250m' },
+  { key: 'cpu_limit', label: 'CPU LIMIT', placeholder: '1' },
+  { key: 'memory_request', label: 'MEMORY REQUEST', placeholder: '512Mi' },
+  { key: 'memory_limit', label: 'MEMORY LIMIT', placeholder: '1Gi' },
+]
+
+const presetOptions = [
+  ...Object.entries(RESOURCE_PRESETS).map(([name, p]) => ({
+    value: name,
+    label: `${name.toUpperCase()} (${p.cpu_limit} CPU / ${p.memory_limit})`,
+  })),
+  { value: 'custom', label: 'CUSTOM' },
+]
+
+const buildPresetOptions = Object.entries(BUILD_PRESETS).map(([value, label]) => ({ value, label }))
+
+function valuesFrom(service) {
+  return Object.fromEntries(FIELDS.map(({ key }) => [key, service[key] || RESOURCE_PRESETS.small[key]]))
+}
+
+export function ResourceSettings({ service, onUpdated }) {
+  const [preset, setPreset] = useState(service.resource_preset || 'small')
+  const [values, setValues] = useState(valuesFrom(service))
+  const [buildPreset, setBuildPreset] = useState(service.build_resource_preset || 'standard')
+  const [saving, setSaving] = useState(false)
+
+  const toast = useToast()
+
+  // Reset the form only when the saved settings change, not on every service refresh
+  const savedKey = [service.resource_preset, service.build_resource_preset, ...FIELDS.map(({ key }) => service[key])].join('|')
+
+  useEffect(() => {
+    setPreset(service.resource_preset || 'small')
+    setValues(valuesFrom(service))
+    setBuildPreset(service.build_resource_preset || 'standard')
+  }, [savedKey])
+
+  const handlePresetChange = (e) => {
+    const next = e.target.value
+    setPreset(next)
+    if (RESOURCE_PRESETS[next]) {
+      setValues({ ...RESOURCE_PRESETS[next] })
+    }
+  }
+
+  const changed = preset !== (service.resource_preset || 'small')
+    || buildPreset !== (service.build_resource_preset || 'standard')
+    || FIELDS.some(({ key }) => values[key] !== valuesFrom(service)[key])
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const body = { build_resource_preset: buildPreset }
+      if (preset === 'custom') {
+        Object.assign(body, values)
+      } else {
+        body.resource_preset = preset
+      }
+      const updated = await updateService(service.id, body)
+      const podsChanged = FIELDS.some(({ key }) => updated[key] !== service[key])
+      onUpdated?.(updated)
+      toast.success(podsChanged ? 'Resources updated. Running pods are being replaced.' : 'Build resources updated')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update resources'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <TerminalCard title="Resource Limits" variant="cyan" className="mt-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
+            Size
+          </label>
+          <TerminalSelect
+            options={presetOptions}
+            value={preset}
+            onChange={handlePresetChange}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
+            Build Job
+          </label>
+          <TerminalSelect
+            options={buildPresetOptions}
+            value={buildPreset}
+            onChange={(e) => setBuildPreset(e.target.value)}
+            className="w-full"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {FIELDS.map(({ key, label, placeholder }) => (
+          <div key={key}>
+            <label className="block font-mono text-xs text-terminal-muted mb-2">{label}</label>
+            {preset === 'custom' ? (
+              <TerminalInput
+                value={values[key]}
+                onChange={(e) => setValues(prev => ({ ...prev, [key]: e.target.value.trim() }))}
+                placeholder={placeholder}
+                className="w-full"
+              />
+            ) : (
+              <div className="font-mono text-sm text-terminal-primary py-2">{values[key]}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+        <p className="font-mono text-xs text-terminal-muted">
+          CPU in millicores (250m) or cores (1). Memory in Mi or Gi. Limits above the request let pods burst.
+        </p>
+        <TerminalButton
+          variant="primary"
+          onClick={handleSave}
+          disabled={saving || !changed}
+        >
+          {saving ? '[ SAVING... ]' : '[ SAVE ]'}
+        </TerminalButton>
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default ResourceSettings
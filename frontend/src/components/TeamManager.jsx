@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalModal } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalInput from './TerminalInput'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import {
+  ROLES,
+  fetchOrganizations,
+  fetchOrganization,
+  createOrganization,
+  deleteOrganization,
+  inviteToOrganization,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  fetchInvitations,
+  acceptInvitation,
+  declineInvitation,
+  revokeInvitation,
+} from '../api/teams'
+import { ApiError } from '../api/utils'
+import { formatRelativeTime } from '../utils'
+
+const ROLE_OPTIONS = ROLES.map(role => ({ value: role, label: role.toUpperCase() }))
+
+function errorMessage(err, fallback) {
+  return err instanceof ApiError ? err.message : fallback
+}
+
+export function TeamManager({ currentUserId }) {
+  const [invitations, setInvitations] = useState([])
+  const [organizations, setOrganizations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [respondingTo, setRespondingTo] = useState(null)
+
+  const [newOrgName, setNewOrgName] = useState('')
+  const [creatingOrg, setCreatingOrg] = useState(false)
+
+  const [selectedOrg, setSelectedOrg] = useState(null)
+  const [inviteUsername, setInviteUsername] = useState('')
+  const [inviteRole, setInviteRole] = useState('deployer')
+  const [inviting, setInviting] = useState(false)
+
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  const toast = useToast()
+
+  useEffect(() => {
+    loadTeams()
+  }, [])
+
+  const loadTeams = async () => {
+    try {
+      setLoading(true)
+      const [invitationData, organizationData] = await Promise.all([
+        fetchInvitations(),
+        fetchOrganizations(),
+      ])
+      setInvitations(invitationData || [])
+      setOrganizations(organizationData || [])
+    } catch (err) {
+      toast.error('Failed to load teams')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadOrganization = async (id) => {
+    try {
+      setSelectedOrg(await fetchOrganization(id))
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to load organization'))
+    }
+  }
+
+  const handleRespond = async (invitation, accept) => {
+    setRespondingTo(invitation.id)
+    try {
+      if (accept) {
+        await acceptInvitation(invitation.id)
+        toast.success(`Joined ${invitation.project_name || invitation.organization_name} as ${invitation.role}`)
+        await loadTeams()
+      } else {
+        await declineInvitation(invitation.id)
+        setInvitations(prev => prev.filter(i => i.id !== invitation.id))
+        toast.info('Invitation declined')
+      }
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to respond to invitation'))
+    } finally {
+      setRespondingTo(null)
+    }
+  }
+
+  const handleCreateOrg = async (e) => {
+    e.preventDefault()
+    const name = newOrgName.trim()
+    if (!name) return
+
+    setCreatingOrg(true)
+    try {
+      const organization = await createOrganization(name)
+      setOrganizations(prev => [...prev, organization].sort((a, b) => a.name.localeCompare(b.name)))
+      setNewOrgName('')
+      toast.success(`Organization "${organization.name}" created`)
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to create organization'))
+    } finally {
+      setCreatingOrg(false)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    const username = inviteUsername.trim()
+    if (!username || !selectedOrg) return
+
+    setInviting(true)
+    try {
+      const invitation = await inviteToOrganization(selectedOrg.id, username, inviteRole)
+      setSelectedOrg(prev => ({ ...prev, invitations: [invitation, ...prev.invitations] }))
+      setInviteUsername('')
+      toast.success(`Invited ${invitation.github_username} as ${invitation.role}`)
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to send invitation'))
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await updateOrganizationMember(selectedOrg.id, member.user_id, role)
+      setSelectedOrg(prev => ({
+        ...prev,
+        members: prev.members.map(m => m.user_id === member.user_id ? { ...m, role } : m),
+      }))
+      toast.success(`${member.github_username} is now ${role}`)
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to change role'))
+    }
+  }
+
+  const handleRemoveMember = async (member) => {
+    try {
+      await removeOrganizationMember(selectedOrg.id, member.user_id)
+      if (member.user_id === currentUserId) {
+        toast.success(`You left ${selectedOrg.name}`)
+        setSelectedOrg(null)
+        await loadTeams()
+        return
+      }
+      setSelectedOrg(prev => ({
+        ...prev,
+        members: prev.members.filter(m => m.user_id !== member.user_id),
+      }))
+      toast.success(`${member.github_username} removed`)
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to remove member'))
+    }
+  }
+
+  const handleRevokeInvitation = async (invitation) => {
+    try {
+      await revokeInvitation(invitation.id)
+      setSelectedOrg(prev => ({
+        ...prev,
+        invitations: prev.invitations.filter(i => i.id !== invitation.id),
+      }))
+      toast.success(`Invitation for ${invitation.github_username} revoked`)
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to revoke invitation'))
+    }
+  }
+
+  const handleDeleteOrg = async () => {
+    if (!deleteTarget) return
+
+    setDeleting(true)
+    try {
+      await deleteOrganization(deleteTarget.id)
+      setOrganizations(prev => prev.filter(o => o.id !== deleteTarget.id))
+      if (selectedOrg?.id === deleteTarget.id) setSelectedOrg(null)
+      toast.success(`Organization "${deleteTarget.name}" deleted`)
+      setDeleteTarget(null)
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to delete organization'))
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  const isOrgOwner = selectedOrg?.role === 'owner'
+
+  return (
+    <TerminalCard title="Teams" variant="cyan">
+      <div className="space-y-4">
+        {loading ? (
+          <p className="font-mono text-xs text-terminal-muted">Loading...</p>
+        ) : (
+          <>
+            {/* Pending invitations for the current user */}
+            {invitations.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-mono text-xs text-terminal-muted uppercase">Pending Invitations</p>
+                {invitations.map((invitation) => (
+                  <div
+                    key={invitation.id}
+                    className="flex items-center justify-between gap-4 p-2 bg-terminal-bg border border-terminal-yellow/50"
+                  >
+                    <div className="font-mono text-xs space-y-1">
+                      <div>
+                        <span className="text-terminal-muted">{invitation.project_id ? 'PROJECT' : 'ORG'}:</span>{' '}
+                        <span className="text-terminal-primary">{invitation.project_name || invitation.organization_name}</span>{' '}
+                        <span className="text-terminal-secondary uppercase">as {invitation.role}</span>
+                      </div>
+                      <div className="text-terminal-muted">
+                        from {invitation.invited_by || 'unknown'} {formatRelativeTime(invitation.created_at)}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <TerminalButton
+                        variant="primary"
+                        onClick={() => handleRespond(invitation, true)}
+                        disabled={respondingTo === invitation.id}
+                      >
+                        [ ACCEPT ]
+                      </TerminalButton>
+                      <TerminalButton
+                        variant="secondary"
+                        onClick={() => handleRespond(invitation, false)}
+                        disabled={respondingTo === invitation.id}
+                      >
+                        [ DECLINE ]
+                      </TerminalButton>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Organizations */}
+            <div className="space-y-2">
+              <p className="font-mono text-xs text-terminal-muted uppercase">Organizations</p>
+              {organizations.length === 0 ? (
+                <p className="font-mono text-xs text-terminal-muted">Not a member of any organization.</p>
+              ) : (
+                organizations.map((org) => (
+                  <div
+                    key={org.id}
+                    className="flex items-center justify-between gap-4 p-2 bg-terminal-bg border border-terminal-border"
+                  >
+                    <div className="font-mono text-xs">
+                      <span className="text-sm text-terminal-primary">{org.name}</span>{' '}
+                      <span className="text-terminal-secondary uppercase">{org.role}</span>{' '}
+                      <span className="text-terminal-muted">
+                        {org.member_count} members | {org.project_count} projects
+                      </span>
+                    </div>
+                    <div className="flex gap-2">
+                      <TerminalButton
+                        variant="secondary"
+                        onClick={() => selectedOrg?.id === org.id ? setSelectedOrg(null) : loadOrganization(org.id)}
+                      >
+                        {selectedOrg?.id === org.id ? '[ CLOSE ]' : '[ MANAGE ]'}
+                      </TerminalButton>
+                      {org.role === 'owner' && (
+                        <TerminalButton variant="danger" onClick={() => setDeleteTarget(org)}>
+                          [ DELETE ]
+                        </TerminalButton>
+                      )}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+
+            {/* Selected organization */}
+            {selectedOrg && (
+              <div className="space-y-2 p-3 border border-terminal-border">
+                <p className="font-mono text-xs text-terminal-muted uppercase">{selectedOrg.name} Members</p>
+                {selectedOrg.members.map((member) => (
+                  <div key={member.user_id} className="flex items-center justify-between gap-4">
+                    <span className="font-mono text-sm text-terminal-primary">{member.github_username}</span>
+                    <div className="flex items-center gap-2">
+                      {isOrgOwner ? (
+                        <TerminalSelect
+                          options={ROLE_OPTIONS}
+                          value={member.role}
+                          onChange={(e) => handleRoleChange(member, e.target.value)}
+                        />
+                      ) : (
+                        <span className="font-mono text-xs text-terminal-secondary uppercase">{member.role}</span>
+                      )}
+                      {(isOrgOwner || member.user_id === currentUserId) && (
+                        <button
+                          onClick={() => handleRemoveMember(member)}
+                          className="font-mono text-xs text-terminal-red hover:text-terminal-primary"
+                        >
+                          {member.user_id === currentUserId ? '[LEAVE]' : '[REMOVE]'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+
+                {selectedOrg.projects.length > 0 && (
+                  <p className="font-mono text-xs text-terminal-muted">
+                    PROJECTS: {selectedOrg.projects.map(p => p.name).join(', ')}
+                  </p>
+                )}
+
+                {isOrgOwner && selectedOrg.invitations.map((invitation) => (
+                  <div key={invitation.id} className="flex items-center justify-between gap-4 font-mono text-xs">
+                    <span>
+                      <span className="text-terminal-yellow">[PENDING]</span>{' '}
+                      <span className="text-terminal-primary">{invitation.github_username}</span>{' '}
+                      <span className="text-terminal-secondary uppercase">{invitation.role}</span>
+                    </span>
+                    <button
+                      onClick={() => handleRevokeInvitation(invitation)}
+                      className="text-terminal-red hover:text-terminal-primary"
+                    >
+                      [REVOKE]
+                    </button>
+                  </div>
+                ))}
+
+                {isOrgOwner && (
+                  <form onSubmit={handleInvite} className="flex gap-3 items-center flex-wrap pt-2">
+                    <TerminalInput
+                      value={inviteUsername}
+                      onChange={(e) => setInviteUsername(e.target.value)}
+                      placeholder="github-username"
+                      className="flex-1"
+                    />
+                    <TerminalSelect
+                      options={ROLE_OPTIONS}
+                      value={inviteRole}
+                      onChange={(e) => setInviteRole(e.target.value)}
+                    />
+                    <TerminalButton type="submit" variant="primary" disabled={inviting || !inviteUsername.trim()}>
+                      {inviting ? '[ INVITING... ]' : '[ INVITE ]'}
+                    </TerminalButton>
+                  </form>
+                )}
+              </div>
+            )}
+
+            <form onSubmit={handleCreateOrg} className="flex gap-3 items-center">
+              <TerminalInput
+                value={newOrgName}
+                onChange={(e) => setNewOrgName(e.target.value.toLowerCase())}
+                placeholder="new-organization"
+                className="flex-1"
+              />
+              <TerminalButton type="submit" variant="secondary" disabled={creatingOrg || !newOrgName.trim()}>
+                {creatingOrg ? '[ CREATING... ]' : '[ + NEW ORG ]'}
+              </TerminalButton>
+            </form>
+            <p className="font-mono text-xs text-terminal-muted">
+              Members get their organization role on every project in the organization.
+            </p>
+          </>
+        )}
+      </div>
+
+      {/* Delete Organization Modal */}
+      {deleteTarget && (
+        <TerminalModal title="DELETE ORGANIZATION" variant="red">
+          <p className="font-mono text-terminal-primary mb-2">
+            Delete organization "{deleteTarget.name}"?
+          </p>
+          <p className="font-mono text-xs text-terminal-muted mb-6">
+            Its projects are kept, but members lose the access they had through the organization.
+          </p>
+          <div className="flex justify-end gap-3">
+            <TerminalButton variant="secondary" onClick={() => setDeleteTarget(null)}>
+              [ CANCEL ]
+            </TerminalButton>
+            <TerminalButton variant="danger" onClick={handleDeleteOrg} disabled={deleting}>
+              {deleting ? '[ DELETING... ]' : '[ DELETE ]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </TerminalCard>
+  )
+}
+
+export default TeamManager
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard } from './TerminalCard'
+import TerminalButton from './TerminalButton'
+import TerminalSelect from './TerminalSelect'
+import { useToast } from './Toast'
+import {
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery,
+} from '../api/notifications'
+import { ApiError } from '../api/utils'
+import { formatDate, formatRelativeTime } from '../utils'
+
+const PAGE_SIZE = 20
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All deliveries' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'failed', label: 'Failed' },
+]
+
+const STATUS_COLORS = {
+  delivered: 'text-terminal-primary',
+  pending: 'text-terminal-secondary',
+  failed: 'text-terminal-red',
+}
+
+/**
+ * Pretty-print a body if it is JSON
+ */
+function formatBody(body) {
+  if (!body) return ''
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2)
+  } catch {
+    return body
+  }
+}
+
+/**
+ * Headers as "Name: value" lines
+ */
+function formatHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n')
+}
+
+/**
+ * Webhook and channel deliveries of the current user, with the request and response of each
+ * attempt and a redeliver button
+ */
+export function WebhookDeliveries() {
+  const [deliveries, setDeliveries] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [status, setStatus] = useState('')
+  const [loading, setLoading] = useState(true)
+
+  // Delivery opened with its attempts
+  const [expanded, setExpanded] = useState(null)
+  const [busy, setBusy] = useState(null)
+
+  const toast = useToast()
+
+  useEffect(() => {
+    loadDeliveries()
+  }, [status])
+
+  const loadDeliveries = async (offset = 0) => {
+    if (offset === 0) setLoading(true)
+    try {
+      const data = await getWebhookDeliveries({ status, limit: PAGE_SIZE, offset })
+      setDeliveries(prev => (offset === 0 ? data.deliveries : [...prev, ...data.deliveries]))
+      setHasMore(data.pagination.has_more)
+    } catch (err) {
+      toast.error('Failed to load webhook deliveries')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const summarize = (delivery) => ({
+    ...deliveries.find(d => d.id === delivery.id),
+    status: delivery.status,
+    attempts: delivery.attempts,
+    max_attempts: delivery.max_attempts,
+    last_error: delivery.last_error,
+    last_response_status: delivery.attempt_log.at(-1)?.response_status ?? null,
+    last_duration_ms: delivery.attempt_log.at(-1)?.duration_ms ?? null,
+  })
+
+  const handleExpand = async (delivery) => {
+    if (expanded?.id === delivery.id) {
+      setExpanded(null)
+      return
+    }
+    try {
+      setExpanded(await getWebhookDelivery(delivery.id))
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to load delivery'
+      toast.error(message)
+    }
+  }
+
+  const handleRedeliver = async (delivery) => {
+    setBusy(delivery.id)
+    try {
+      const updated = await redeliverWebhookDelivery(delivery.id)
+      setExpanded(updated)
+      setDeliveries(prev => prev.map(d => (d.id === updated.id ? summarize(updated) : d)))
+      if (updated.status === 'delivered') {
+        toast.success('Redelivered')
+      } else {
+        toast.error(`Redelivery failed: ${updated.last_error}`)
+      }
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to redeliver'
+      toast.error(message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const renderAttempt = (attempt) => (
+    <div key={attempt.attempt} className="border-t border-terminal-border pt-2 space-y-2">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="text-terminal-muted">#{attempt.attempt}</span>
+        <span className={attempt.error ? 'text-terminal-red' : 'text-terminal-primary'}>
+          {attempt.response_status ?? 'NO RESPONSE'}
+        </span>
+        <span className="text-terminal-muted">{attempt.duration_ms}ms</span>
+        <span className="text-terminal-muted">{formatDate(attempt.created_at)}</span>
+        {attempt.redelivery && <span className="text-terminal-cyan">[REDELIVERY]</span>}
+        {attempt.error && <span className="text-terminal-red">{attempt.error}</span>}
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+        <div>
+          <div className="text-terminal-muted mb-1">REQUEST POST {attempt.request_url}</div>
+          <pre className="text-terminal-primary whitespace-pre-wrap break-all bg-terminal-bg-secondary p-2 max-h-64 overflow-auto">
+            {formatHeaders(attempt.request_headers)}
+            {'\n\n'}
+            {formatBody(attempt.request_body)}
+          </pre>
+        </div>
+        <div>
+          <div className="text-terminal-muted mb-1">RESPONSE</div>
+          <pre className="text-terminal-primary whitespace-pre-wrap break-all bg-terminal-bg-secondary p-2 max-h-64 overflow-auto">
+            {attempt.response_headers
+              ? `${formatHeaders(attempt.response_headers)}\n\n${formatBody(attempt.response_body)}`
+              : 'No response received'}
+          </pre>
+        </div>
+      </div>
+    </div>
+  )
+
+  const renderDelivery = (delivery) => {
+    const open = expanded?.id === delivery.id
+    return (
+      <div key={delivery.id} className="border border-terminal-border p-3 font-mono text-xs">
+        <div className="flex items-center justify-between gap-3">
+          <button
+            onClick={() => handleExpand(delivery)}
+            disabled={busy === delivery.id}
+            className="flex items-center gap-3 flex-wrap text-left"
+          >
+            <span className={STATUS_COLORS[delivery.status]}>[{delivery.status.toUpperCase()}]</span>
+            <span className="text-terminal-primary">{delivery.event}</span>
+            <span className="text-terminal-secondary">
+              {delivery.channel_id ? `${delivery.channel_type}:${delivery.channel_name}` : 'settings webhook'}
+            </span>
+            {delivery.last_response_status && (
+              <span className="text-terminal-muted">
+                {delivery.last_response_status} in {delivery.last_duration_ms}ms
+              </span>
+            )}
+            <span className="text-terminal-muted">
+              {delivery.attempts}/{delivery.max_attempts} attempts
+            </span>
+            <span className="text-terminal-muted">{formatRelativeTime(delivery.created_at)}</span>
+          </button>
+          {delivery.status !== 'pending' && (
+            <TerminalButton
+              size="sm"
+              variant="secondary"
+              onClick={() => handleRedeliver(delivery)}
+              disabled={busy === delivery.id}
+            >
+              {busy === delivery.id ? '[SENDING...]' : '[REDELIVER]'}
+            </TerminalButton>
+          )}
+        </div>
+        {delivery.last_error && delivery.status !== 'delivered' && (
+          <div className="mt-2 text-terminal-red">
+            {delivery.last_error}
+            {delivery.status === 'pending' && delivery.next_attempt_at && (
+              <span className="text-terminal-muted"> (next attempt {formatDate(delivery.next_attempt_at)})</span>
+            )}
+          </div>
+        )}
+        {open && (
+          <div className="mt-3 space-y-3">
+            {expanded.attempt_log.length === 0 ? (
+              <div className="text-terminal-muted">No requests made yet</div>
+            ) : (
+              expanded.attempt_log.map(renderAttempt)
+            )}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <TerminalCard title="Webhook Deliveries" variant="amber">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <p className="font-mono text-xs text-terminal-muted">
+            Failed webhook and channel notifications are retried with backoff for about an hour.
+          </p>
+          <div className="flex items-center gap-2">
+            <TerminalSelect options={STATUS_OPTIONS} value={status} onChange={(e) => setStatus(e.target.value)} />
+            <TerminalButton size="sm" variant="secondary" onClick={() => loadDeliveries()} disabled={loading}>
+              [REFRESH]
+            </TerminalButton>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="text-terminal-muted font-mono text-sm">Loading deliveries...</div>
+        ) : deliveries.length === 0 ? (
+          <div className="text-terminal-muted font-mono text-sm">No deliveries</div>
+        ) : (
+          <div className="space-y-2">
+            {deliveries.map(renderDelivery)}
+            {hasMore && (
+              <TerminalButton size="sm" variant="secondary" onClick={() => loadDeliveries(deliveries.length)}>
+                [LOAD MORE]
+              </TerminalButton>
+            )}
+          </div>
+        )}
+      </div>
+    </TerminalCard>
+  )
+}
+
+export default WebhookDeliveries
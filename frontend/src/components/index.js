@@ -25,7 +25,24 @@ export { WizardStepIndicator, CompactStepIndicator } from './WizardStepIndicator
 export { RepoSelector } from './RepoSelector'
 export { ServiceTable } from './ServiceTable'
 export { ResourceMetrics } from './ResourceMetrics'
+export { ResourceSettings } from './ResourceSettings'
+export { AutoscalingSettings } from './AutoscalingSettings'
+export { IdleSettings } from './IdleSettings'
+export { DeployStrategySettings } from './DeployStrategySettings'
+export { ReleaseCommandSettings } from './ReleaseCommandSettings'
+export { CronSettings } from './CronSettings'
+export { LivenessSettings } from './LivenessSettings'
 export { DomainManager } from './DomainManager'
+export { ExposedPorts } from './ExposedPorts'
+export { AddonManager } from './AddonManager'
+export { BackupManager } from './BackupManager'
+export { MetricsHistory } from './MetricsHistory'
+export { AlertRules } from './AlertRules'
+export { NotificationChannels } from './NotificationChannels'
+export { WebhookDeliveries } from './WebhookDeliveries'
+export { ApiTokenManager } from './ApiTokenManager'
+export { ProjectMembers } from './ProjectMembers'
+export { TeamManager } from './TeamManager'
 export { BranchSelector } from './BranchSelector'
 
 // v2 components
@@ -7,12 +7,14 @@ import { useWebSocket } from './useWebSocket';
  *
  * @param {string} deploymentId - The deployment ID to watch
  * @param {object} initialStatus - Initial deployment status
- * @returns {object} { status, message, imageTag, lastUpdate }
+ * @returns {object} { status, message, imageTag, rollout, lastUpdate }
  */
 export function useDeploymentStatus(deploymentId, initialStatus = null) {
   const [status, setStatus] = useState(initialStatus?.status || null);
   const [message, setMessage] = useState(initialStatus?.message || null);
   const [imageTag, setImageTag] = useState(initialStatus?.image_tag || null);
+  // Blue-green/canary progress: { strategy, phase, weight }
+  const [rollout, setRollout] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const { connectionState, subscribe, isConnected } = useWebSocket();
 
@@ -20,6 +22,7 @@ export function useDeploymentStatus(deploymentId, initialStatus = null) {
     if (!deploymentId) return;
 
     const channel = `deployment:${deploymentId}:status`;
+    setRollout(null);
 
     // Subscribe to deployment status updates
     const unsubscribe = subscribe(channel, (event) => {
@@ -34,6 +37,9 @@ export function useDeploymentStatus(deploymentId, initialStatus = null) {
       if (payload.imageTag) {
         setImageTag(payload.imageTag);
       }
+      if (payload.rollout) {
+        setRollout(payload.rollout);
+      }
       setLastUpdate(timestamp || new Date().toISOString());
     });
 
@@ -67,6 +73,7 @@ export function useDeploymentStatus(deploymentId, initialStatus = null) {
     status,
     message,
     imageTag,
+    rollout,
     lastUpdate,
     isActive,
     isComplete,
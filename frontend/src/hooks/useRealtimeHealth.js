@@ -59,6 +59,29 @@ export function useRealtimeHealth(serviceId, fetchHealth, fallbackInterval = 300
     const unsubscribe = subscribe(channel, (event) => {
       const { payload, timestamp } = event;
 
+      // Idle mode events (idle, waking, awake, wake_failed) share the channel but are not
+      // health checks. Going idle means no pods and no checks until the service wakes.
+      if (payload.event) {
+        if (payload.event === 'idle') {
+          setHealth(prevHealth => prevHealth && {
+            ...prevHealth,
+            status: 'sleeping',
+            sleeping_at: payload.sleepingAt,
+            activeCheck: null,
+            pods: []
+          });
+          setLastUpdate(timestamp || new Date().toISOString());
+        } else if (payload.event === 'awake' && fetchHealth) {
+          fetchHealth(serviceId)
+            .then(data => {
+              setHealth(data);
+              setLastUpdate(new Date().toISOString());
+            })
+            .catch(() => {});
+        }
+        return;
+      }
+
       // Merge with existing health data
       setHealth(prevHealth => {
         if (!prevHealth) {
@@ -95,7 +118,7 @@ export function useRealtimeHealth(serviceId, fetchHealth, fallbackInterval = 300
     return () => {
       unsubscribe();
     };
-  }, [serviceId, subscribe]);
+  }, [serviceId, subscribe, fetchHealth]);
 
   // Manage fallback polling based on connection state
   useEffect(() => {
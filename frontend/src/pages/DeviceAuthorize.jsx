@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react'
+import { TerminalCard, TerminalDivider } from '../components/TerminalCard'
+import TerminalButton from '../components/TerminalButton'
+import TerminalInput from '../components/TerminalInput'
+import TerminalToggle from '../components/TerminalToggle'
+import { SCOPE_DESCRIPTIONS } from '../components/ApiTokenManager'
+import { useToast } from '../components/Toast'
+import {
+  fetchDeviceAuthorization,
+  approveDeviceAuthorization,
+  denyDeviceAuthorization
+} from '../api/tokens'
+import { ApiError } from '../api/utils'
+import { formatRelativeTime } from '../utils'
+
+export function DeviceAuthorize({ initialCode = '', onDone }) {
+  const [code, setCode] = useState(initialCode)
+  const [authorization, setAuthorization] = useState(null)
+  const [scopes, setScopes] = useState(['admin'])
+  const [loading, setLoading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [result, setResult] = useState(null)
+  const toast = useToast()
+
+  useEffect(() => {
+    if (initialCode) {
+      lookupCode(initialCode)
+    }
+  }, [initialCode])
+
+  const lookupCode = async (userCode) => {
+    setLoading(true)
+    try {
+      const data = await fetchDeviceAuthorization(userCode.trim())
+      setAuthorization(data)
+      setCode(data.user_code)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to look up code'
+      toast.error(message)
+      setAuthorization(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleLookup = (e) => {
+    e.preventDefault()
+    if (code.trim()) {
+      lookupCode(code)
+    }
+  }
+
+  const handleScopeToggle = (scope, enabled) => {
+    setScopes(prev => enabled ? [...prev, scope] : prev.filter(s => s !== scope))
+  }
+
+  const handleApprove = async () => {
+    setSubmitting(true)
+    try {
+      await approveDeviceAuthorization(authorization.user_code, scopes)
+      setResult('approved')
+      toast.success(`${authorization.client_name} approved`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to approve device'
+      toast.error(message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleDeny = async () => {
+    setSubmitting(true)
+    try {
+      await denyDeviceAuthorization(authorization.user_code)
+      setResult('denied')
+      toast.info(`${authorization.client_name} denied`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to deny device'
+      toast.error(message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6 max-w-2xl">
+      {/* Header */}
+      <div>
+        <h1 className="font-mono text-xl text-terminal-primary text-glow-green uppercase tracking-terminal-wide">
+          DEVICE LOGIN
+        </h1>
+        <p className="font-mono text-sm text-terminal-muted mt-1">
+          Authorize the dangus CLI to access your account
+        </p>
+      </div>
+
+      <TerminalDivider variant="double" color="green" />
+
+      {result ? (
+        <TerminalCard title="Done" variant={result === 'approved' ? 'green' : 'amber'}>
+          <p className="font-mono text-sm text-terminal-primary mb-4">
+            {result === 'approved'
+              ? '> Device approved. Return to your terminal to continue.'
+              : '> Device denied. No token was issued.'}
+          </p>
+          <TerminalButton variant="secondary" onClick={onDone}>
+            [ BACK TO DASHBOARD ]
+          </TerminalButton>
+        </TerminalCard>
+      ) : (
+        <>
+          <TerminalCard title="Enter Code" variant="cyan">
+            <form onSubmit={handleLookup} className="flex gap-3 items-center">
+              <TerminalInput
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                placeholder="XXXX-XXXX"
+                className="flex-1"
+              />
+              <TerminalButton type="submit" variant="primary" disabled={loading || !code.trim()}>
+                {loading ? '[ CHECKING... ]' : '[ CONTINUE ]'}
+              </TerminalButton>
+            </form>
+            <p className="font-mono text-xs text-terminal-muted mt-3">
+              Run <span className="text-terminal-secondary">dangus login</span> and enter the code it shows.
+            </p>
+          </TerminalCard>
+
+          {authorization && (
+            <TerminalCard title="Confirm Access" variant="amber">
+              <div className="space-y-4">
+                <div className="space-y-1 font-mono text-sm">
+                  <div>
+                    <span className="text-xs text-terminal-muted">CLIENT: </span>
+                    <span className="text-terminal-primary">{authorization.client_name}</span>
+                  </div>
+                  <div>
+                    <span className="text-xs text-terminal-muted">REQUESTED: </span>
+                    <span className="text-terminal-secondary">{formatRelativeTime(authorization.created_at)}</span>
+                  </div>
+                </div>
+
+                <p className="font-mono text-xs text-terminal-yellow">
+                  Only approve if you started this login yourself. An API token will be created and
+                  listed under Settings, where you can revoke it.
+                </p>
+
+                <div className="space-y-3">
+                  {(authorization.available_scopes || Object.keys(SCOPE_DESCRIPTIONS)).map(scope => (
+                    <div key={scope}>
+                      <TerminalToggle
+                        checked={scopes.includes(scope)}
+                        onChange={(e) => handleScopeToggle(scope, e.target.checked)}
+                        label={scope}
+                        id={`device-scope-${scope}`}
+                      />
+                      <p className="font-mono text-xs text-terminal-muted ml-1 mt-1">
+                        {SCOPE_DESCRIPTIONS[scope]}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex justify-end gap-3">
+                  <TerminalButton variant="danger" onClick={handleDeny} disabled={submitting}>
+                    [ DENY ]
+                  </TerminalButton>
+                  <TerminalButton
+                    variant="primary"
+                    onClick={handleApprove}
+                    disabled={submitting || scopes.length === 0}
+                  >
+                    {submitting ? '[ AUTHORIZING... ]' : '[ AUTHORIZE ]'}
+                  </TerminalButton>
+                </div>
+              </div>
+            </TerminalCard>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default DeviceAuthorize
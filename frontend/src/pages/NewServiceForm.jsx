@@ -8,9 +8,10 @@ import TerminalSlider from '../components/TerminalSlider'
 export function NewServiceForm({ projectId, onSubmit, onCancel }) {
   const [formData, setFormData] = useState({
     name: '',
-    type: '',
+    type: 'web',
     image: '',
     port: '',
+    cronSchedule: '',
     replicas: 1,
     storage: 1,
     cpuLimit: '500m',
@@ -23,12 +24,16 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
   const [isSubmitting, setIsSubmitting] = useState(false)
 
   const serviceTypes = [
-    { value: 'container', label: 'Container' },
-    { value: 'database', label: 'Database' },
-    { value: 'cache', label: 'Cache' },
-    { value: 'queue', label: 'Message Queue' }
+    { value: 'web', label: 'Web Service' },
+    { value: 'worker', label: 'Background Worker' },
+    { value: 'cron', label: 'Cron Job' }
   ]
 
+  // Only web services listen on a port. Workers run continuously without one; cron jobs
+  // run on a schedule and exit
+  const isWeb = formData.type === 'web'
+  const isCron = formData.type === 'cron'
+
   const cpuOptions = [
     { value: '250m', label: '250m (0.25 CPU)' },
     { value: '500m', label: '500m (0.5 CPU)' },
@@ -93,10 +98,18 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
       newErrors.image = 'Container image is required'
     }
 
-    if (!formData.port) {
-      newErrors.port = 'Port is required'
-    } else if (isNaN(formData.port) || formData.port < 1 || formData.port > 65535) {
-      newErrors.port = 'Port must be between 1 and 65535'
+    if (isCron) {
+      if (!formData.cronSchedule.trim()) {
+        newErrors.cronSchedule = 'Schedule is required'
+      } else if (formData.name.length > 52) {
+        newErrors.name = 'Cron job names can be at most 52 characters'
+      }
+    } else if (isWeb) {
+      if (!formData.port) {
+        newErrors.port = 'Port is required'
+      } else if (isNaN(formData.port) || formData.port < 1 || formData.port > 65535) {
+        newErrors.port = 'Port must be between 1 and 65535'
+      }
     }
 
     setErrors(newErrors)
@@ -116,7 +129,7 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
       // Filter out empty env vars
       const cleanedData = {
         ...formData,
-        port: parseInt(formData.port, 10),
+        port: isWeb ? parseInt(formData.port, 10) : null,
         envVars: formData.envVars.filter(env => env.key.trim() !== '')
       }
 
@@ -207,25 +220,50 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
               )}
             </div>
 
-            {/* Port */}
-            <div>
-              <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
-                Port *
-              </label>
-              <TerminalInput
-                name="port"
-                type="number"
-                value={formData.port}
-                onChange={handleInputChange}
-                placeholder="8080"
-                className="w-full"
-              />
-              {errors.port && (
-                <p className="font-mono text-xs text-terminal-red mt-1">
-                  ! {errors.port}
-                </p>
-              )}
-            </div>
+            {isCron ? (
+              /* Schedule */
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
+                  Schedule (UTC) *
+                </label>
+                <TerminalInput
+                  name="cronSchedule"
+                  value={formData.cronSchedule}
+                  onChange={handleInputChange}
+                  placeholder="0 3 * * *"
+                  className="w-full"
+                />
+                {errors.cronSchedule ? (
+                  <p className="font-mono text-xs text-terminal-red mt-1">
+                    ! {errors.cronSchedule}
+                  </p>
+                ) : (
+                  <p className="font-mono text-xs text-terminal-muted mt-1">
+                    minute hour day-of-month month day-of-week, or a macro like @hourly
+                  </p>
+                )}
+              </div>
+            ) : isWeb && (
+              /* Port */
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
+                  Port *
+                </label>
+                <TerminalInput
+                  name="port"
+                  type="number"
+                  value={formData.port}
+                  onChange={handleInputChange}
+                  placeholder="8080"
+                  className="w-full"
+                />
+                {errors.port && (
+                  <p className="font-mono text-xs text-terminal-red mt-1">
+                    ! {errors.port}
+                  </p>
+                )}
+              </div>
+            )}
           </div>
         </TerminalCard>
 
@@ -233,7 +271,7 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
         <TerminalCard title="Resource Allocation" variant="amber">
           <div className="space-y-6">
             {/* Replicas Slider */}
-            <TerminalSlider
+            {!isCron && <TerminalSlider
               name="replicas"
               value={formData.replicas}
               onChange={handleInputChange}
@@ -242,10 +280,10 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
               step={1}
               unit="replica(s)"
               label="REPLICAS"
-            />
+            />}
 
             {/* Storage Slider */}
-            <TerminalSlider
+            {!isCron && <TerminalSlider
               name="storage"
               value={formData.storage}
               onChange={handleInputChange}
@@ -254,7 +292,7 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
               step={1}
               unit="GB"
               label="STORAGE"
-            />
+            />}
 
             {/* CPU Limit */}
             <div>
@@ -287,7 +325,7 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
         </TerminalCard>
 
         {/* Health Check */}
-        <TerminalCard title="Health Check" variant="cyan">
+        {isWeb && <TerminalCard title="Health Check" variant="cyan">
           <div>
             <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
               Health Check Path
@@ -300,7 +338,7 @@ export function NewServiceForm({ projectId, onSubmit, onCancel }) {
               className="w-full"
             />
           </div>
-        </TerminalCard>
+        </TerminalCard>}
 
         {/* Environment Variables */}
         <TerminalCard title="Environment Variables" variant="green">
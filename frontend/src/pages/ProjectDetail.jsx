@@ -6,8 +6,12 @@ import TerminalButton from '../components/TerminalButton'
 import TerminalSpinner from '../components/TerminalSpinner'
 import TerminalTabs from '../components/TerminalTabs'
 import TerminalInput from '../components/TerminalInput'
+import TerminalToggle from '../components/TerminalToggle'
+import { ProjectMembers } from '../components/ProjectMembers'
+import { AddonManager } from '../components/AddonManager'
+import { AlertRules } from '../components/AlertRules'
 import { useToast } from '../components/Toast'
-import { fetchProject, startProject, stopProject, updateProject, deleteProject } from '../api/projects'
+import { fetchProject, startProject, stopProject, updateProject, deleteProject, createEnvironment } from '../api/projects'
 import { deleteService, fetchServiceLogs } from '../api/services'
 import { ApiError } from '../api/utils'
 import { useWebSocket } from '../hooks/useWebSocket'
@@ -20,12 +24,14 @@ const PROJECT_TABS = [
   { id: 'settings', label: 'Settings' }
 ]
 
-export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange, onServiceClick, onNewService, onBack }) {
+export function ProjectDetail({ projectId, user, activeTab = 'overview', onTabChange, onEnvironmentChange, onServiceClick, onNewService, onBack }) {
   const [project, setProject] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [servicesCollapsed, setServicesCollapsed] = useState(false)
   const [discoveryCollapsed, setDiscoveryCollapsed] = useState(false)
+  const [addonsCollapsed, setAddonsCollapsed] = useState(false)
+  const [alertsCollapsed, setAlertsCollapsed] = useState(false)
   const [showDeleteModal, setShowDeleteModal] = useState(null)
   const [deleting, setDeleting] = useState(false)
   const [projectState, setProjectState] = useState('running')
@@ -39,6 +45,9 @@ export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange,
   const [showDeleteProjectModal, setShowDeleteProjectModal] = useState(false)
   const [deletingProject, setDeletingProject] = useState(false)
   const [deleteConfirmText, setDeleteConfirmText] = useState('')
+  const [newEnvironmentName, setNewEnvironmentName] = useState('')
+  const [newEnvironmentIncludeEnv, setNewEnvironmentIncludeEnv] = useState(false)
+  const [creatingEnvironment, setCreatingEnvironment] = useState(false)
 
   // Logs tab state
   const [selectedServiceForLogs, setSelectedServiceForLogs] = useState('all')
@@ -223,6 +232,25 @@ export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange,
     }
   }
 
+  const handleCreateEnvironment = async (e) => {
+    e.preventDefault()
+    if (!newEnvironmentName.trim()) return
+
+    setCreatingEnvironment(true)
+    try {
+      const environment = await createEnvironment(projectId, newEnvironmentName.trim(), newEnvironmentIncludeEnv)
+      toast.success(`Environment "${environment.environment}" created with ${environment.service_count} service(s)`)
+      setNewEnvironmentName('')
+      setNewEnvironmentIncludeEnv(false)
+      await loadProject()
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to create environment'
+      toast.error(message)
+    } finally {
+      setCreatingEnvironment(false)
+    }
+  }
+
   const handleDeleteProject = async () => {
     if (deleteConfirmText !== project.name) return
 
@@ -322,7 +350,7 @@ export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange,
                       {service.name}
                     </div>
                     <div className="col-span-2 text-terminal-secondary">
-                      :{service.port}
+                      {service.port ? `:${service.port}` : service.service_type}
                     </div>
                     <div className="col-span-2 text-terminal-muted">
                       {service.branch || 'main'}
@@ -403,6 +431,22 @@ export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange,
               Created: {formatDate(project.created_at)}
             </span>
           </div>
+          {project.environments?.length > 1 && (
+            <div className="flex items-center gap-2 mt-2 font-mono text-xs">
+              <span className="text-terminal-muted">ENV:</span>
+              {project.environments.map(environment => (
+                <button
+                  key={environment.id}
+                  onClick={() => environment.id !== projectId && onEnvironmentChange?.(environment.id)}
+                  className={environment.id === projectId
+                    ? 'text-terminal-primary uppercase'
+                    : 'text-terminal-muted hover:text-terminal-secondary uppercase'}
+                >
+                  [{environment.environment}]
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="flex gap-2">
@@ -510,6 +554,38 @@ export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange,
 
           {!servicesCollapsed && renderServicesTable()}
 
+          {/* Database and cache add-ons */}
+          <TerminalSection
+            title="ADD-ONS"
+            collapsed={addonsCollapsed}
+            onToggle={() => setAddonsCollapsed(!addonsCollapsed)}
+            color="cyan"
+          />
+
+          {!addonsCollapsed && (
+            <AddonManager
+              projectId={projectId}
+              services={project.services}
+              canWrite={['owner', 'maintainer'].includes(project.role)}
+            />
+          )}
+
+          {/* Metric and health alert rules */}
+          <TerminalSection
+            title="ALERTS"
+            collapsed={alertsCollapsed}
+            onToggle={() => setAlertsCollapsed(!alertsCollapsed)}
+            color="red"
+          />
+
+          {!alertsCollapsed && (
+            <AlertRules
+              projectId={projectId}
+              services={project.services}
+              canWrite={['owner', 'maintainer'].includes(project.role)}
+            />
+          )}
+
           {/* Project Info */}
           <TerminalDivider variant="single" color="muted" className="my-6" />
 
@@ -705,24 +781,80 @@ export function ProjectDetail({ projectId, activeTab = 'overview', onTabChange,
                 <span className="text-terminal-muted">CREATED:</span>
                 <span className="text-terminal-secondary">{formatDate(project.created_at)}</span>
               </div>
+              <div className="flex justify-between font-mono text-sm">
+                <span className="text-terminal-muted">YOUR ROLE:</span>
+                <span className="text-terminal-secondary uppercase">{project.role}</span>
+              </div>
             </div>
           </TerminalCard>
 
-          {/* Danger Zone */}
-          <TerminalCard title="Danger Zone" variant="red">
-            <div className="space-y-4">
-              <p className="font-mono text-sm text-terminal-muted">
-                Deleting this project will permanently remove all services, deployments, and associated data.
-                This action cannot be undone.
-              </p>
-              <TerminalButton
-                variant="danger"
-                onClick={() => setShowDeleteProjectModal(true)}
-              >
-                [ DELETE PROJECT ]
-              </TerminalButton>
+          {/* Environments */}
+          <TerminalCard title="Environments" variant="amber" className="mb-6">
+            <div className="space-y-2 mb-4">
+              {project.environments?.map(environment => (
+                <div key={environment.id} className="flex justify-between font-mono text-sm">
+                  <span className={environment.id === projectId ? 'text-terminal-primary uppercase' : 'text-terminal-secondary uppercase'}>
+                    {environment.environment}
+                  </span>
+                  <span className="text-terminal-muted">
+                    {environment.namespace} / {environment.service_count} service(s)
+                  </span>
+                </div>
+              ))}
             </div>
+            {['owner', 'maintainer'].includes(project.role) && (
+              <form onSubmit={handleCreateEnvironment} className="space-y-3 pt-3 border-t border-terminal-border">
+                <div className="flex gap-3 items-center">
+                  <TerminalInput
+                    value={newEnvironmentName}
+                    onChange={(e) => setNewEnvironmentName(e.target.value.toLowerCase())}
+                    placeholder="staging"
+                    className="flex-1"
+                  />
+                  <TerminalButton
+                    type="submit"
+                    variant="primary"
+                    disabled={creatingEnvironment || !newEnvironmentName.trim()}
+                  >
+                    {creatingEnvironment ? '[ CREATING... ]' : '[ ADD ENVIRONMENT ]'}
+                  </TerminalButton>
+                </div>
+                <TerminalToggle
+                  id="new-environment-include-env"
+                  checked={newEnvironmentIncludeEnv}
+                  onChange={(e) => setNewEnvironmentIncludeEnv(e.target.checked)}
+                  label="Copy environment variables"
+                />
+                <p className="font-mono text-xs text-terminal-muted">
+                  An environment gets its own namespace and a copy of each service in the parent project.
+                  Copies are not deployed: promote a deployment into them or deploy them from their branch.
+                </p>
+              </form>
+            )}
           </TerminalCard>
+
+          {/* Members are managed on the parent project and apply to every environment */}
+          <ProjectMembers projectId={project.parent_project_id || projectId} currentUserId={user?.id} onLeave={onBack} />
+
+          {/* Danger Zone */}
+          {project.role === 'owner' && (
+            <TerminalCard title="Danger Zone" variant="red">
+              <div className="space-y-4">
+                <p className="font-mono text-sm text-terminal-muted">
+                  {project.parent_project_id
+                    ? `Deleting this environment will permanently remove its namespace, services, deployments, and associated data.`
+                    : `Deleting this project will permanently remove all services, deployments, environments, and associated data.`}
+                  {' '}This action cannot be undone.
+                </p>
+                <TerminalButton
+                  variant="danger"
+                  onClick={() => setShowDeleteProjectModal(true)}
+                >
+                  [ DELETE PROJECT ]
+                </TerminalButton>
+              </div>
+            </TerminalCard>
+          )}
         </>
       )}
 
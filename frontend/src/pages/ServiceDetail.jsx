@@ -31,15 +31,36 @@ import { ServiceConfig } from './service/ServiceConfig'
 import { ServiceEnvironment } from './service/ServiceEnvironment'
 import { ServiceLogs } from './service/ServiceLogs'
 import { ServiceHistory } from './service/ServiceHistory'
+import { ServicePreviews } from './service/ServicePreviews'
+import { ServiceRuns } from './service/ServiceRuns'
 
 const SERVICE_TABS = [
   { id: 'overview', label: 'Overview' },
   { id: 'config', label: 'Config' },
   { id: 'env', label: 'Environment' },
   { id: 'logs', label: 'Logs' },
+  { id: 'history', label: 'History' },
+  { id: 'previews', label: 'Previews' }
+]
+
+// Cron services run on a schedule instead of serving traffic; they have no previews
+const CRON_SERVICE_TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'runs', label: 'Runs' },
+  { id: 'config', label: 'Config' },
+  { id: 'env', label: 'Environment' },
+  { id: 'logs', label: 'Logs' },
   { id: 'history', label: 'History' }
 ]
 
+// A cron service is running while its schedule isn't suspended
+function isServiceRunning(service) {
+  if (service?.service_type === 'cron') {
+    return service.cron_suspended === false
+  }
+  return service?.latest_deployment?.status === 'live'
+}
+
 export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange, onBack }) {
   // Core state
   const [service, setService] = useState(null)
@@ -63,10 +84,11 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
   // Debug session state
   const [activeDebugSession, setActiveDebugSession] = useState(null)
   const [startingDebug, setStartingDebug] = useState(false)
+  const [waking, setWaking] = useState(false)
 
   const toast = useToast()
   const { copy, copied } = useCopyToClipboard()
-  const { connectionState: wsConnectionState, isConnected: wsIsConnected } = useWebSocket()
+  const { connectionState: wsConnectionState, isConnected: wsIsConnected, subscribe } = useWebSocket()
 
   // Get the latest deployment ID for log streaming and WebSocket subscription
   const latestDeploymentId = deployments[0]?.id
@@ -77,9 +99,15 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
     message: wsDeploymentMessage,
     isActive: wsIsActive,
     isComplete: wsIsComplete,
-    isFailed: wsIsFailed
+    isFailed: wsIsFailed,
+    rollout: wsRollout
   } = useDeploymentStatus(latestDeploymentId, deployments[0])
 
+  // Blue-green/canary rollout: live progress from the deployment channel, else as last loaded
+  const rollout = wsRollout
+    ? { deployment_id: latestDeploymentId, ...wsRollout }
+    : service?.rollout
+
   // Check if any deployment is in progress
   const hasActiveDeployment = useCallback(() => {
     if (!deployments.length) return false
@@ -128,6 +156,26 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
     }
   }, [wsDeploymentStatus, latestDeploymentId, lastNotifiedStatus, toast])
 
+  // Idle mode events: scaled to zero, waking on a request, awake again
+  useEffect(() => {
+    if (!serviceId) return
+
+    return subscribe(`service:${serviceId}:health`, ({ payload }) => {
+      if (payload.event === 'idle') {
+        setWaking(false)
+        setService(prev => prev && { ...prev, sleeping_at: payload.sleepingAt })
+      } else if (payload.event === 'waking') {
+        setWaking(true)
+      } else if (payload.event === 'awake') {
+        setWaking(false)
+        setService(prev => prev && { ...prev, sleeping_at: null })
+      } else if (payload.event === 'wake_failed') {
+        setWaking(false)
+        toast.error(`Failed to wake service: ${payload.message}`)
+      }
+    })
+  }, [serviceId, subscribe, toast])
+
   // Fallback polling when WebSocket is not connected
   useEffect(() => {
     if (!serviceId || loading) return
@@ -281,7 +329,7 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
   const handleToggleState = async () => {
     if (changingState) return
 
-    const isRunning = service?.latest_deployment?.status === 'live'
+    const isRunning = isServiceRunning(service)
     setChangingState(true)
 
     try {
@@ -337,7 +385,8 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
     return null
   }
 
-  const isRunning = service?.latest_deployment?.status === 'live'
+  const isRunning = isServiceRunning(service)
+  const isCron = service.service_type === 'cron'
 
   return (
     <div className="space-y-6">
@@ -366,6 +415,39 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
                 {wsIsConnected() ? 'DEPLOYING (LIVE)' : 'DEPLOYING'}
               </span>
             )}
+            {waking ? (
+              <span className="font-mono text-xs text-terminal-cyan animate-pulse">
+                WAKING UP
+              </span>
+            ) : service.sleeping_at && (
+              <span
+                className="font-mono text-xs text-terminal-secondary"
+                title={`Scaled to zero at ${new Date(service.sleeping_at).toLocaleString()}, wakes on the next request`}
+              >
+                SLEEPING
+              </span>
+            )}
+            {isCron && service.cron_suspended && (
+              <span className="font-mono text-xs text-terminal-secondary" title="Scheduled runs are paused">
+                SUSPENDED
+              </span>
+            )}
+            {service.environments?.length > 1 && (
+              <span className="font-mono text-xs text-terminal-amber uppercase">
+                {service.environment}
+              </span>
+            )}
+            {service.preview && (
+              <a
+                href={service.preview.pr_url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-mono text-xs text-terminal-amber hover:underline"
+                title={service.preview.pr_title}
+              >
+                PREVIEW PR #{service.preview.pr_number}
+              </a>
+            )}
             {service.url && (
               <a
                 href={service.url}
@@ -407,7 +489,7 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
           >
             {deploying ? '[ DEPLOYING... ]' : '[ DEPLOY ]'}
           </TerminalButton>
-          <div className="relative">
+          {!isCron && <div className="relative">
             <TerminalButton
               variant="secondary"
               onClick={() => setShowRestartMenu(!showRestartMenu)}
@@ -425,7 +507,7 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
                 </button>
               </div>
             )}
-          </div>
+          </div>}
         </div>
       </div>
 
@@ -434,7 +516,7 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
       {/* Tab Navigation */}
       {onTabChange && (
         <TerminalTabs
-          tabs={SERVICE_TABS}
+          tabs={isCron ? CRON_SERVICE_TABS : SERVICE_TABS}
           activeTab={activeTab}
           onTabChange={onTabChange}
           className="mb-6"
@@ -455,6 +537,7 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
           onDeploy={handleTriggerDeploy}
           deploying={deploying}
           onRefresh={loadServiceData}
+          rollout={rollout}
           activeDebugSession={activeDebugSession}
           onStartDebug={handleStartDebug}
           startingDebug={startingDebug}
@@ -462,10 +545,18 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
         />
       )}
 
+      {activeTab === 'runs' && isCron && (
+        <ServiceRuns
+          service={service}
+          serviceId={serviceId}
+        />
+      )}
+
       {activeTab === 'config' && (
         <ServiceConfig
           service={service}
           serviceId={serviceId}
+          onServiceUpdated={(updated) => setService(prev => ({ ...prev, ...updated }))}
         />
       )}
 
@@ -488,6 +579,8 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
       {activeTab === 'history' && (
         <ServiceHistory
           serviceId={serviceId}
+          environment={service.environment}
+          environments={service.environments}
           deployments={deployments}
           hasActiveDeployment={hasActiveDeployment()}
           onDeploy={handleTriggerDeploy}
@@ -496,6 +589,14 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
         />
       )}
 
+      {activeTab === 'previews' && (
+        <ServicePreviews
+          service={service}
+          serviceId={serviceId}
+          onServiceUpdated={(updated) => setService(prev => ({ ...prev, ...updated }))}
+        />
+      )}
+
       {/* Service Info - Always visible */}
       <TerminalDivider variant="single" color="muted" className="my-6" />
 
@@ -522,10 +623,24 @@ export function ServiceDetail({ serviceId, activeTab = 'overview', onTabChange,
               </div>
             </div>
           )}
-          <div className="flex justify-between font-mono text-sm">
-            <span className="text-terminal-muted">SUBDOMAIN:</span>
-            <span className="text-terminal-secondary">{service.subdomain}</span>
-          </div>
+          {service.subdomain && (
+            <div className="flex justify-between font-mono text-sm">
+              <span className="text-terminal-muted">SUBDOMAIN:</span>
+              <span className="text-terminal-secondary">{service.subdomain}</span>
+            </div>
+          )}
+          {service.service_type === 'worker' && (
+            <div className="flex justify-between font-mono text-sm">
+              <span className="text-terminal-muted">TYPE:</span>
+              <span className="text-terminal-secondary">BACKGROUND WORKER (NO PUBLIC URL)</span>
+            </div>
+          )}
+          {isCron && (
+            <div className="flex justify-between font-mono text-sm">
+              <span className="text-terminal-muted">SCHEDULE:</span>
+              <span className="text-terminal-secondary">{service.cron_schedule} (UTC)</span>
+            </div>
+          )}
           <div className="flex justify-between font-mono text-sm">
             <span className="text-terminal-muted">CREATED:</span>
             <span className="text-terminal-secondary">{formatDate(service.created_at)}</span>
@@ -3,15 +3,26 @@ import { TerminalCard, TerminalDivider, TerminalSection, TerminalModal } from '.
 import TerminalButton from '../components/TerminalButton'
 import TerminalInput from '../components/TerminalInput'
 import TerminalToggle from '../components/TerminalToggle'
+import { ApiTokenManager } from '../components/ApiTokenManager'
+import { TeamManager } from '../components/TeamManager'
+import { NotificationChannels } from '../components/NotificationChannels'
+import { WebhookDeliveries } from '../components/WebhookDeliveries'
 import { useToast } from '../components/Toast'
-import { getCurrentUser, logout, getLoginUrl } from '../api/auth'
+import {
+  getCurrentUser,
+  getLoginUrl,
+  logoutAllDevices,
+  fetchSessions,
+  revokeSession,
+  deleteAccount
+} from '../api/auth'
 import {
   getNotificationSettings,
   updateNotificationSettings,
   sendTestNotification,
   getNotificationHistory
 } from '../api/notifications'
-import { formatDate } from '../utils'
+import { formatDate, formatRelativeTime } from '../utils'
 
 const PREFERENCES_KEY = 'dangus_cloud_preferences'
 
@@ -26,7 +37,11 @@ export function Settings({ user, onLogout }) {
   const [showDeleteModal, setShowDeleteModal] = useState(false)
   const [showLogoutAllModal, setShowLogoutAllModal] = useState(false)
   const [deleteConfirmText, setDeleteConfirmText] = useState('')
+  const [deletingAccount, setDeletingAccount] = useState(false)
   const [saving, setSaving] = useState(false)
+  const [sessions, setSessions] = useState([])
+  const [loadingSessions, setLoadingSessions] = useState(true)
+  const [revokingSession, setRevokingSession] = useState(null)
   const toast = useToast()
 
   // Notification settings state
@@ -38,6 +53,7 @@ export function Settings({ user, onLogout }) {
     webhook_secret: null,
     notify_on_success: true,
     notify_on_failure: true,
+    notify_on_alert: true,
   })
   const [notificationHistory, setNotificationHistory] = useState([])
   const [loadingNotifications, setLoadingNotifications] = useState(true)
@@ -56,10 +72,41 @@ export function Settings({ user, onLogout }) {
       }
     }
 
-    // Load notification settings from server
+    // Load notification settings and sessions from server
     loadNotificationSettings()
+    loadSessions()
   }, [])
 
+  const loadSessions = async () => {
+    try {
+      setLoadingSessions(true)
+      const result = await fetchSessions()
+      setSessions(result.sessions || [])
+    } catch (err) {
+      console.log('Could not load sessions:', err.message)
+    } finally {
+      setLoadingSessions(false)
+    }
+  }
+
+  const handleRevokeSession = async (session) => {
+    try {
+      setRevokingSession(session.id)
+      await revokeSession(session.id)
+      if (session.current) {
+        toast.success('Logged out')
+        onLogout?.()
+        return
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id))
+      toast.success(`Session on ${session.device} revoked`)
+    } catch (err) {
+      toast.error(`Failed to revoke session: ${err.message}`)
+    } finally {
+      setRevokingSession(null)
+    }
+  }
+
   const loadNotificationSettings = async () => {
     try {
       setLoadingNotifications(true)
@@ -75,6 +122,7 @@ export function Settings({ user, onLogout }) {
         webhook_secret: settings.webhook_secret || null,
         notify_on_success: settings.notify_on_success ?? true,
         notify_on_failure: settings.notify_on_failure ?? true,
+        notify_on_alert: settings.notify_on_alert ?? true,
       })
       setNotificationHistory(history.notifications || [])
     } catch (err) {
@@ -165,7 +213,7 @@ export function Settings({ user, onLogout }) {
 
   const handleLogoutAll = async () => {
     try {
-      await logout()
+      await logoutAllDevices()
       toast.success('Logged out from all devices')
       setShowLogoutAllModal(false)
       onLogout?.()
@@ -205,10 +253,22 @@ export function Settings({ user, onLogout }) {
       return
     }
 
-    // Note: Backend endpoint for account deletion would need to be implemented
-    toast.info('Account deletion is not yet implemented')
-    setShowDeleteModal(false)
-    setDeleteConfirmText('')
+    try {
+      setDeletingAccount(true)
+      const result = await deleteAccount()
+      if (result.warnings?.length > 0) {
+        toast.warning(`Account deleted with warnings: ${result.warnings.join(' | ')}`)
+      } else {
+        toast.success('Account deleted')
+      }
+      setShowDeleteModal(false)
+      setDeleteConfirmText('')
+      onLogout?.()
+    } catch (err) {
+      toast.error(`Failed to delete account: ${err.message}`)
+    } finally {
+      setDeletingAccount(false)
+    }
   }
 
 
@@ -257,6 +317,41 @@ export function Settings({ user, onLogout }) {
 
         <TerminalCard title="Session Management" variant="amber">
           <div className="space-y-3">
+            {loadingSessions ? (
+              <p className="font-mono text-xs text-terminal-muted">Loading...</p>
+            ) : (
+              <div className="space-y-2">
+                {sessions.map((session) => (
+                  <div
+                    key={session.id}
+                    className="flex items-center justify-between gap-4 p-2 bg-terminal-bg border border-terminal-border"
+                  >
+                    <div className="space-y-1">
+                      <div className="flex items-center gap-3">
+                        <span className="font-mono text-sm text-terminal-primary">{session.device}</span>
+                        {session.current && (
+                          <span className="font-mono text-xs text-terminal-green">[THIS DEVICE]</span>
+                        )}
+                      </div>
+                      <div className="font-mono text-xs text-terminal-muted">
+                        IP: {session.ip_address || 'unknown'}
+                        {' | '}
+                        SIGNED IN: {formatDate(session.created_at)}
+                        {' | '}
+                        LAST SEEN: {formatRelativeTime(session.last_seen_at)}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRevokeSession(session)}
+                      disabled={revokingSession === session.id}
+                      className="font-mono text-xs text-terminal-red hover:text-terminal-primary"
+                    >
+                      {revokingSession === session.id ? '[...]' : '[REVOKE]'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
             <p className="font-mono text-xs text-terminal-muted">
               Logout from all devices and sessions.
             </p>
@@ -265,6 +360,10 @@ export function Settings({ user, onLogout }) {
             </TerminalButton>
           </div>
         </TerminalCard>
+
+        <ApiTokenManager />
+
+        <TeamManager currentUserId={user?.id} />
       </div>
 
       <TerminalDivider variant="single" color="muted" className="my-6" />
@@ -398,7 +497,7 @@ export function Settings({ user, onLogout }) {
                             : '••••••••••••••••••••••••••••••••'}
                         </code>
                         <p className="font-mono text-xs text-terminal-muted mt-2">
-                          Use this to verify webhook signatures (X-Dangus-Signature header)
+                          Use this to verify webhook signatures (X-Dangus-Signature-V2 header, signed with X-Dangus-Timestamp)
                         </p>
                       </div>
                     )}
@@ -429,6 +528,15 @@ export function Settings({ user, onLogout }) {
                   label="Failed deployments"
                   id="notify-failure-toggle"
                 />
+                <TerminalToggle
+                  checked={notificationSettings.notify_on_alert}
+                  onChange={(e) => setNotificationSettings(prev => ({
+                    ...prev,
+                    notify_on_alert: e.target.checked
+                  }))}
+                  label="Alerts firing and resolving"
+                  id="notify-alert-toggle"
+                />
               </div>
 
               {/* Action Buttons */}
@@ -452,6 +560,12 @@ export function Settings({ user, onLogout }) {
           )}
         </TerminalCard>
 
+        {/* Slack, Discord, Teams, ntfy, Gotify and webhook channels */}
+        <NotificationChannels />
+
+        {/* Webhook and channel deliveries, with their requests and responses */}
+        <WebhookDeliveries />
+
         {/* Notification History */}
         {notificationHistory.length > 0 && (
           <TerminalCard title="Recent Notifications" variant="amber">
@@ -463,13 +577,19 @@ export function Settings({ user, onLogout }) {
                 >
                   <div className="flex items-center gap-3">
                     <span className={`font-mono text-xs ${
-                      notification.status === 'sent' ? 'text-terminal-green' : 'text-terminal-red'
+                      notification.status === 'sent' ? 'text-terminal-green'
+                        : notification.status === 'pending' ? 'text-terminal-secondary' : 'text-terminal-red'
                     }`}>
                       [{notification.status.toUpperCase()}]
                     </span>
                     <span className="font-mono text-xs text-terminal-secondary">
-                      {notification.type}
+                      {notification.channel_name ? `${notification.type}:${notification.channel_name}` : notification.type}
                     </span>
+                    {notification.event && (
+                      <span className="font-mono text-xs text-terminal-primary">
+                        {notification.event}
+                      </span>
+                    )}
                     <span className="font-mono text-xs text-terminal-muted">
                       {notification.service_name}
                     </span>
@@ -554,7 +674,8 @@ export function Settings({ user, onLogout }) {
             ! WARNING: This action cannot be undone
           </p>
           <p className="font-mono text-xs text-terminal-muted mb-4">
-            All your projects, services, and data will be permanently deleted.
+            All your projects, services, and data will be permanently deleted. Projects you
+            created in an organization are handed to another owner of the organization.
           </p>
           <label className="block font-mono text-xs text-terminal-muted uppercase mb-2">
             Type DELETE to confirm
@@ -578,9 +699,9 @@ export function Settings({ user, onLogout }) {
             <TerminalButton
               variant="danger"
               onClick={handleDeleteAccount}
-              disabled={deleteConfirmText !== 'DELETE'}
+              disabled={deleteConfirmText !== 'DELETE' || deletingAccount}
             >
-              [ DELETE FOREVER ]
+              {deletingAccount ? '[ DELETING... ]' : '[ DELETE FOREVER ]'}
             </TerminalButton>
           </div>
         </TerminalModal>
@@ -5,3 +5,4 @@ export { ServiceDetail } from './ServiceDetail'
 export { NewServiceForm } from './NewServiceForm'
 export { NewProjectWizard } from './NewProjectWizard'
 export { Settings } from './Settings'
+export { DeviceAuthorize } from './DeviceAuthorize'
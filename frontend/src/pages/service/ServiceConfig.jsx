@@ -1,17 +1,28 @@
 import { useState } from 'react'
 import { TerminalCard, TerminalSection } from '../../components/TerminalCard'
 import { ResourceMetrics } from '../../components/ResourceMetrics'
+import { ResourceSettings } from '../../components/ResourceSettings'
+import { AutoscalingSettings } from '../../components/AutoscalingSettings'
+import { IdleSettings } from '../../components/IdleSettings'
+import { DeployStrategySettings } from '../../components/DeployStrategySettings'
+import { ReleaseCommandSettings } from '../../components/ReleaseCommandSettings'
+import { CronSettings } from '../../components/CronSettings'
+import { LivenessSettings } from '../../components/LivenessSettings'
 import { HealthStatus } from '../../components/HealthStatus'
 import { DomainManager } from '../../components/DomainManager'
+import { ExposedPorts } from '../../components/ExposedPorts'
+import { BackupManager } from '../../components/BackupManager'
 import { fetchServiceMetrics, fetchServiceHealth, fetchWebhookSecret } from '../../api/services'
 import { useCopyToClipboard } from '../../utils'
 
-export function ServiceConfig({ service, serviceId }) {
+export function ServiceConfig({ service, serviceId, onServiceUpdated }) {
   const [configCollapsed, setConfigCollapsed] = useState(false)
   const [resourcesCollapsed, setResourcesCollapsed] = useState(false)
   const [healthCollapsed, setHealthCollapsed] = useState(false)
   const [webhooksCollapsed, setWebhooksCollapsed] = useState(false)
   const [domainsCollapsed, setDomainsCollapsed] = useState(false)
+  const [portsCollapsed, setPortsCollapsed] = useState(false)
+  const [backupsCollapsed, setBackupsCollapsed] = useState(false)
 
   const [webhookSecret, setWebhookSecret] = useState(null)
   const [webhookRevealed, setWebhookRevealed] = useState(false)
@@ -35,6 +46,11 @@ export function ServiceConfig({ service, serviceId }) {
 
   const maskValue = (length = 20) => '*'.repeat(length)
 
+  // Cron services have no port, replicas, rollout strategy, idle mode or domains.
+  // Workers keep replicas and autoscaling but have no port, idle mode or domains
+  const isCron = service.service_type === 'cron'
+  const isWorker = service.service_type === 'worker'
+
   return (
     <>
       {/* Configuration Section */}
@@ -49,10 +65,22 @@ export function ServiceConfig({ service, serviceId }) {
       {!configCollapsed && (
         <TerminalCard title="Service Config" variant="cyan" className="mt-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="flex items-center justify-between border-b border-terminal-border pb-2">
-              <span className="font-mono text-xs text-terminal-muted uppercase">PORT:</span>
-              <span className="font-mono text-sm text-terminal-primary">{service.port}</span>
-            </div>
+            {isCron ? (
+              <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">SCHEDULE:</span>
+                <span className="font-mono text-sm text-terminal-primary">{service.cron_schedule}</span>
+              </div>
+            ) : isWorker ? (
+              <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">TYPE:</span>
+                <span className="font-mono text-sm text-terminal-primary">WORKER</span>
+              </div>
+            ) : (
+              <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">PORT:</span>
+                <span className="font-mono text-sm text-terminal-primary">{service.port}</span>
+              </div>
+            )}
             <div className="flex items-center justify-between border-b border-terminal-border pb-2">
               <span className="font-mono text-xs text-terminal-muted uppercase">BRANCH:</span>
               <span className="font-mono text-sm text-terminal-primary">{service.branch || 'main'}</span>
@@ -61,10 +89,44 @@ export function ServiceConfig({ service, serviceId }) {
               <span className="font-mono text-xs text-terminal-muted uppercase">DOCKERFILE:</span>
               <span className="font-mono text-sm text-terminal-primary">{service.dockerfile_path || 'Dockerfile'}</span>
             </div>
+            {isCron ? (
+              <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">OVERLAP:</span>
+                <span className="font-mono text-sm text-terminal-primary">{(service.cron_concurrency_policy || 'Forbid').toUpperCase()}</span>
+              </div>
+            ) : (
+              <>
+                <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                  <span className="font-mono text-xs text-terminal-muted uppercase">REPLICAS:</span>
+                  <span className="font-mono text-sm text-terminal-primary">
+                    {service.autoscaling_enabled
+                      ? `AUTO ${service.autoscaling_min_replicas}-${service.autoscaling_max_replicas}`
+                      : service.replicas || 1}
+                  </span>
+                </div>
+                <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                  <span className="font-mono text-xs text-terminal-muted uppercase">STRATEGY:</span>
+                  <span className="font-mono text-sm text-terminal-primary">
+                    {(service.deploy_strategy || 'rolling').toUpperCase()}
+                    {service.deploy_strategy === 'canary' && ` ${service.canary_weight}% +${service.canary_step}%/${service.canary_interval_minutes}m`}
+                  </span>
+                </div>
+              </>
+            )}
             <div className="flex items-center justify-between border-b border-terminal-border pb-2">
-              <span className="font-mono text-xs text-terminal-muted uppercase">REPLICAS:</span>
-              <span className="font-mono text-sm text-terminal-primary">{service.replicas || 1}</span>
+              <span className="font-mono text-xs text-terminal-muted uppercase">SIZE:</span>
+              <span className="font-mono text-sm text-terminal-primary">
+                {(service.resource_preset || 'small').toUpperCase()} ({service.cpu_limit || '250m'} CPU / {service.memory_limit || '256Mi'})
+              </span>
             </div>
+            {service.idle_timeout_minutes != null && (
+              <div className="flex items-center justify-between border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">IDLE:</span>
+                <span className="font-mono text-sm text-terminal-primary">
+                  {service.sleeping_at ? 'SLEEPING' : `SLEEP AFTER ${service.idle_timeout_minutes}m`}
+                </span>
+              </div>
+            )}
             {service.storage_gb && (
               <div className="flex items-center justify-between border-b border-terminal-border pb-2">
                 <span className="font-mono text-xs text-terminal-muted uppercase">STORAGE:</span>
@@ -77,6 +139,22 @@ export function ServiceConfig({ service, serviceId }) {
                 <span className="font-mono text-sm text-terminal-primary">{service.health_check_path}</span>
               </div>
             )}
+            {service.liveness_command && (
+              <div className="flex items-center justify-between gap-4 border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">LIVENESS:</span>
+                <span className="font-mono text-sm text-terminal-primary truncate" title={service.liveness_command}>
+                  {service.liveness_command}
+                </span>
+              </div>
+            )}
+            {service.release_command && (
+              <div className="flex items-center justify-between gap-4 border-b border-terminal-border pb-2">
+                <span className="font-mono text-xs text-terminal-muted uppercase">RELEASE:</span>
+                <span className="font-mono text-sm text-terminal-primary truncate" title={service.release_command}>
+                  {service.release_command}
+                </span>
+              </div>
+            )}
           </div>
           <div className="mt-4 pt-3 border-t border-terminal-border">
             <span className="font-mono text-xs text-terminal-muted">REPO: </span>
@@ -85,6 +163,15 @@ export function ServiceConfig({ service, serviceId }) {
         </TerminalCard>
       )}
 
+      {!configCollapsed && (
+        <>
+          {isCron && <CronSettings service={service} onUpdated={onServiceUpdated} />}
+          {isWorker && <LivenessSettings service={service} onUpdated={onServiceUpdated} />}
+          {!isCron && !isWorker && <DeployStrategySettings service={service} onUpdated={onServiceUpdated} />}
+          <ReleaseCommandSettings service={service} onUpdated={onServiceUpdated} />
+        </>
+      )}
+
       {/* Resource Usage Section */}
       <TerminalSection
         title="Resource Usage"
@@ -101,6 +188,9 @@ export function ServiceConfig({ service, serviceId }) {
             fetchMetrics={fetchServiceMetrics}
             refreshInterval={5000}
           />
+          <ResourceSettings service={service} onUpdated={onServiceUpdated} />
+          {!isCron && <AutoscalingSettings service={service} onUpdated={onServiceUpdated} />}
+          {!isCron && !isWorker && <IdleSettings service={service} onUpdated={onServiceUpdated} />}
         </div>
       )}
 
@@ -178,17 +268,57 @@ export function ServiceConfig({ service, serviceId }) {
       )}
 
       {/* Custom Domains Section */}
-      <TerminalSection
-        title="CUSTOM DOMAINS"
-        collapsed={domainsCollapsed}
-        onToggle={() => setDomainsCollapsed(!domainsCollapsed)}
-        color="cyan"
-      />
+      {!isCron && !isWorker && (
+        <>
+          <TerminalSection
+            title="CUSTOM DOMAINS"
+            collapsed={domainsCollapsed}
+            onToggle={() => setDomainsCollapsed(!domainsCollapsed)}
+            color="cyan"
+          />
 
-      {!domainsCollapsed && (
-        <div className="mt-4">
-          <DomainManager serviceId={serviceId} />
-        </div>
+          {!domainsCollapsed && (
+            <div className="mt-4">
+              <DomainManager serviceId={serviceId} />
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Exposed TCP/UDP Ports Section */}
+      {!isCron && (
+        <>
+          <TerminalSection
+            title="EXPOSED PORTS"
+            collapsed={portsCollapsed}
+            onToggle={() => setPortsCollapsed(!portsCollapsed)}
+            color="cyan"
+          />
+
+          {!portsCollapsed && (
+            <div className="mt-4">
+              <ExposedPorts service={service} />
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Volume Backups Section */}
+      {service.storage_gb && !isCron && (
+        <>
+          <TerminalSection
+            title="BACKUPS"
+            collapsed={backupsCollapsed}
+            onToggle={() => setBackupsCollapsed(!backupsCollapsed)}
+            color="cyan"
+          />
+
+          {!backupsCollapsed && (
+            <div className="mt-4">
+              <BackupManager kind="services" source={service} />
+            </div>
+          )}
+        </>
       )}
     </>
   )
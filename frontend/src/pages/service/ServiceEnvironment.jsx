@@ -2,6 +2,7 @@ import { useState } from 'react'
 import { TerminalSection, TerminalModal } from '../../components/TerminalCard'
 import TerminalButton from '../../components/TerminalButton'
 import TerminalInput from '../../components/TerminalInput'
+import TerminalToggle from '../../components/TerminalToggle'
 import { useToast } from '../../components/Toast'
 import { createEnvVar, updateEnvVar, deleteEnvVar, revealEnvVar } from '../../api/envVars'
 import { ApiError } from '../../api/utils'
@@ -17,7 +18,9 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
 
   const [newEnvKey, setNewEnvKey] = useState('')
   const [newEnvValue, setNewEnvValue] = useState('')
+  const [newEnvSecret, setNewEnvSecret] = useState(true)
   const [editEnvValue, setEditEnvValue] = useState('')
+  const [editEnvSecret, setEditEnvSecret] = useState(true)
   const [envSubmitting, setEnvSubmitting] = useState(false)
 
   const toast = useToast()
@@ -52,10 +55,11 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
 
     setEnvSubmitting(true)
     try {
-      const created = await createEnvVar(serviceId, newEnvKey.trim(), newEnvValue)
+      const created = await createEnvVar(serviceId, newEnvKey.trim(), newEnvValue, newEnvSecret)
       setEnvVars(prev => [...prev, created])
       setNewEnvKey('')
       setNewEnvValue('')
+      setNewEnvSecret(true)
       setShowAddEnvModal(false)
       toast.success(`Environment variable "${newEnvKey}" added`)
     } catch (err) {
@@ -66,13 +70,23 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
     }
   }
 
+  const editEnvChanged = showEditEnvModal && (
+    editEnvValue.trim() !== '' || editEnvSecret !== showEditEnvModal.is_secret
+  )
+
   const handleUpdateEnvVar = async (e) => {
     e.preventDefault()
-    if (!editEnvValue.trim()) return
+    if (!editEnvChanged) return
 
     setEnvSubmitting(true)
     try {
-      await updateEnvVar(serviceId, showEditEnvModal.id, editEnvValue)
+      const updated = await updateEnvVar(
+        serviceId,
+        showEditEnvModal.id,
+        editEnvValue.trim() ? editEnvValue : undefined,
+        editEnvSecret
+      )
+      setEnvVars(prev => prev.map(e => e.id === updated.id ? updated : e))
       setRevealedSecrets(prev => {
         const next = { ...prev }
         delete next[showEditEnvModal.id]
@@ -117,7 +131,10 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
 
       {!envCollapsed && (
         <div className="mt-4">
-          <div className="flex justify-end mb-3">
+          <div className="flex justify-between items-center gap-4 mb-3">
+            <p className="font-mono text-xs text-terminal-muted">
+              Secret values are stored in a Kubernetes Secret, plain values in a ConfigMap. Changes roll out to running pods automatically.
+            </p>
             <TerminalButton variant="secondary" onClick={() => setShowAddEnvModal(true)}>
               [ ADD VARIABLE ]
             </TerminalButton>
@@ -147,22 +164,27 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
                   }`}
                 >
                   <div className="grid grid-cols-12 gap-2 items-center">
-                    <div className="col-span-4 text-terminal-secondary truncate">
-                      {env.key}
+                    <div className="col-span-4 truncate">
+                      <span className="text-terminal-secondary">{env.key}</span>
+                      <span className={`ml-2 text-xs ${env.is_secret ? 'text-terminal-amber' : 'text-terminal-muted'}`}>
+                        {env.is_secret ? '[SECRET]' : '[PLAIN]'}
+                      </span>
                     </div>
                     <div className="col-span-5 text-terminal-primary truncate">
-                      {revealedSecrets[env.id] || maskValue()}
+                      {env.is_secret ? (revealedSecrets[env.id] || maskValue()) : env.value}
                     </div>
                     <div className="col-span-3 flex gap-2 flex-wrap">
-                      <button
-                        onClick={() => handleRevealEnvVar(env)}
-                        className="text-terminal-muted hover:text-terminal-primary text-xs"
-                      >
-                        {revealedSecrets[env.id] ? '[HIDE]' : '[SHOW]'}
-                      </button>
-                      {revealedSecrets[env.id] && (
+                      {env.is_secret && (
+                        <button
+                          onClick={() => handleRevealEnvVar(env)}
+                          className="text-terminal-muted hover:text-terminal-primary text-xs"
+                        >
+                          {revealedSecrets[env.id] ? '[HIDE]' : '[SHOW]'}
+                        </button>
+                      )}
+                      {(!env.is_secret || revealedSecrets[env.id]) && (
                         <button
-                          onClick={() => copy(revealedSecrets[env.id], env.id)}
+                          onClick={() => copy(env.is_secret ? revealedSecrets[env.id] : env.value, env.id)}
                           className="text-terminal-muted hover:text-terminal-primary text-xs"
                         >
                           {copied === env.id ? '[OK]' : '[COPY]'}
@@ -172,6 +194,7 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
                         onClick={() => {
                           setShowEditEnvModal(env)
                           setEditEnvValue('')
+                          setEditEnvSecret(env.is_secret)
                         }}
                         className="text-terminal-secondary hover:text-terminal-primary text-xs"
                       >
@@ -201,6 +224,7 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
             setShowAddEnvModal(false)
             setNewEnvKey('')
             setNewEnvValue('')
+            setNewEnvSecret(true)
           }}
         >
           <form onSubmit={handleAddEnvVar}>
@@ -227,6 +251,14 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
                 className="w-full"
               />
             </div>
+            <div className="mb-6">
+              <TerminalToggle
+                id="new-env-secret"
+                checked={newEnvSecret}
+                onChange={(e) => setNewEnvSecret(e.target.checked)}
+                label="SECRET (masked, stored in a Kubernetes Secret)"
+              />
+            </div>
             <div className="flex justify-end gap-3">
               <TerminalButton
                 type="button"
@@ -235,6 +267,7 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
                   setShowAddEnvModal(false)
                   setNewEnvKey('')
                   setNewEnvValue('')
+                  setNewEnvSecret(true)
                 }}
                 disabled={envSubmitting}
               >
@@ -278,11 +311,19 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
               <TerminalInput
                 value={editEnvValue}
                 onChange={(e) => setEditEnvValue(e.target.value)}
-                placeholder="new value"
+                placeholder="leave empty to keep the current value"
                 className="w-full"
                 autoFocus
               />
             </div>
+            <div className="mb-6">
+              <TerminalToggle
+                id="edit-env-secret"
+                checked={editEnvSecret}
+                onChange={(e) => setEditEnvSecret(e.target.checked)}
+                label="SECRET (masked, stored in a Kubernetes Secret)"
+              />
+            </div>
             <div className="flex justify-end gap-3">
               <TerminalButton
                 type="button"
@@ -298,7 +339,7 @@ export function ServiceEnvironment({ serviceId, envVars, setEnvVars }) {
               <TerminalButton
                 type="submit"
                 variant="primary"
-                disabled={envSubmitting || !editEnvValue.trim()}
+                disabled={envSubmitting || !editEnvChanged}
               >
                 {envSubmitting ? '[ UPDATING... ]' : '[ UPDATE ]'}
               </TerminalButton>
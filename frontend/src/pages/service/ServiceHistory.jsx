@@ -2,13 +2,16 @@ import { useState } from 'react'
 import { TerminalSection, TerminalModal } from '../../components/TerminalCard'
 import { StatusIndicator } from '../../components/StatusIndicator'
 import TerminalButton from '../../components/TerminalButton'
+import TerminalSelect from '../../components/TerminalSelect'
 import { useToast } from '../../components/Toast'
-import { rollbackService } from '../../api/services'
+import { rollbackService, promoteService } from '../../api/services'
 import { ApiError } from '../../api/utils'
 import { formatDate, getStatusText, getStatusIndicator } from '../../utils'
 
 export function ServiceHistory({
   serviceId,
+  environment,
+  environments = [],
   deployments,
   hasActiveDeployment,
   onDeploy,
@@ -18,9 +21,15 @@ export function ServiceHistory({
   const [historyCollapsed, setHistoryCollapsed] = useState(false)
   const [showRollbackModal, setShowRollbackModal] = useState(null)
   const [rollingBack, setRollingBack] = useState(false)
+  const [showPromoteModal, setShowPromoteModal] = useState(null)
+  const [promoteTarget, setPromoteTarget] = useState('')
+  const [promoting, setPromoting] = useState(false)
 
   const toast = useToast()
 
+  // Environments this service also exists in
+  const promoteTargets = environments.filter(e => e.environment !== environment)
+
   // Find the latest live deployment for rollback comparison
   const latestLiveDeployment = deployments.find(d => d.status === 'live')
 
@@ -30,6 +39,29 @@ export function ServiceHistory({
            deployment.id !== latestLiveDeployment?.id
   }
 
+  const isPromoteCandidate = (deployment) => {
+    return promoteTargets.length > 0 && deployment.status === 'live' && deployment.image_tag
+  }
+
+  const openPromoteModal = (deployment) => {
+    setPromoteTarget(promoteTargets[0].environment)
+    setShowPromoteModal(deployment)
+  }
+
+  const handlePromote = async (deployment) => {
+    setPromoting(true)
+    try {
+      await promoteService(serviceId, promoteTarget, deployment.id)
+      toast.success(`Promoting ${deployment.commit_sha?.substring(0, 7) || 'image'} to ${promoteTarget}`)
+      setShowPromoteModal(null)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to promote'
+      toast.error(message)
+    } finally {
+      setPromoting(false)
+    }
+  }
+
   const handleRollback = async (deployment) => {
     setRollingBack(true)
     try {
@@ -88,6 +120,8 @@ export function ServiceHistory({
                     <div className="col-span-1">
                       {deployment.rollback_to ? (
                         <span className="text-terminal-cyan" title="Rollback deployment">↩</span>
+                      ) : deployment.promoted_from_environment ? (
+                        <span className="text-terminal-amber" title={`Promoted from ${deployment.promoted_from_environment}`}>↑</span>
                       ) : (
                         <StatusIndicator
                           status={getStatusIndicator(deployment.status)}
@@ -105,22 +139,48 @@ export function ServiceHistory({
                     <div className="col-span-5 flex items-center gap-2">
                       {index === 0 && deployment.status === 'live' ? (
                         <span className="text-terminal-primary text-xs">[CURRENT]</span>
+                      ) : ['starting', 'canary', 'switched', 'promoting'].includes(deployment.rollout_phase) ? (
+                        <span className="text-terminal-amber text-xs uppercase">
+                          {deployment.rollout_strategy} {deployment.traffic_weight || 0}%
+                        </span>
                       ) : deployment.rollback_to ? (
                         <span className="text-terminal-cyan text-xs">ROLLBACK</span>
+                      ) : deployment.promoted_from_environment ? (
+                        <span className="text-terminal-amber text-xs uppercase">
+                          FROM {deployment.promoted_from_environment}
+                        </span>
                       ) : (
                         <span className="text-terminal-muted text-xs">{getStatusText(deployment.status)}</span>
                       )}
-                      {isRollbackCandidate(deployment) && (
-                        <button
-                          onClick={() => setShowRollbackModal(deployment)}
-                          className="text-terminal-cyan hover:text-terminal-primary text-xs ml-auto"
-                          disabled={rollingBack || hasActiveDeployment}
-                        >
-                          [ROLLBACK]
-                        </button>
-                      )}
+                      <div className="ml-auto flex gap-2">
+                        {isRollbackCandidate(deployment) && (
+                          <button
+                            onClick={() => setShowRollbackModal(deployment)}
+                            className="text-terminal-cyan hover:text-terminal-primary text-xs"
+                            disabled={rollingBack || hasActiveDeployment}
+                          >
+                            [ROLLBACK]
+                          </button>
+                        )}
+                        {isPromoteCandidate(deployment) && (
+                          <button
+                            onClick={() => openPromoteModal(deployment)}
+                            className="text-terminal-amber hover:text-terminal-primary text-xs"
+                            disabled={promoting}
+                          >
+                            [PROMOTE]
+                          </button>
+                        )}
+                      </div>
                     </div>
                   </div>
+                  {deployment.failure_reason && (
+                    <div className="grid grid-cols-12 gap-2 mt-1">
+                      <div className="col-start-2 col-span-11 text-terminal-red text-xs break-words">
+                        ! {deployment.failure_reason}
+                      </div>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -162,6 +222,47 @@ export function ServiceHistory({
           </div>
         </TerminalModal>
       )}
+
+      {/* Promote Modal */}
+      {showPromoteModal && (
+        <TerminalModal
+          title="PROMOTE DEPLOYMENT"
+          variant="amber"
+          onClose={() => setShowPromoteModal(null)}
+        >
+          <p className="font-mono text-terminal-primary mb-2">
+            Promote {showPromoteModal.commit_sha?.substring(0, 7)} from {environment}?
+          </p>
+          <p className="font-mono text-xs text-terminal-muted mb-4">
+            The target deploys this exact image without rebuilding, with its own environment variables, replicas and domains.
+          </p>
+          <div className="mb-6">
+            <label className="block font-mono text-xs text-terminal-muted mb-2">TARGET ENVIRONMENT</label>
+            <TerminalSelect
+              options={promoteTargets.map(e => ({ value: e.environment, label: e.environment }))}
+              value={promoteTarget}
+              onChange={(e) => setPromoteTarget(e.target.value)}
+              className="w-full"
+            />
+          </div>
+          <div className="flex justify-end gap-3">
+            <TerminalButton
+              variant="secondary"
+              onClick={() => setShowPromoteModal(null)}
+              disabled={promoting}
+            >
+              [ CANCEL ]
+            </TerminalButton>
+            <TerminalButton
+              variant="primary"
+              onClick={() => handlePromote(showPromoteModal)}
+              disabled={promoting || !promoteTarget}
+            >
+              {promoting ? '[ PROMOTING... ]' : '[ PROMOTE ]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
     </>
   )
 }
@@ -2,7 +2,21 @@ import { useState } from 'react'
 import { TerminalCard, TerminalSection } from '../../components/TerminalCard'
 import { BuildLogViewer } from '../../components/BuildLogViewer'
 import { DebugSessionViewer } from '../../components/DebugSessionViewer'
+import { MetricsHistory } from '../../components/MetricsHistory'
 import TerminalButton from '../../components/TerminalButton'
+import { TerminalProgress } from '../../components/TerminalProgress'
+import { useToast } from '../../components/Toast'
+import { promoteRollout, abortRollout } from '../../api/services'
+import { ApiError } from '../../api/utils'
+
+const ACTIVE_ROLLOUT_PHASES = ['starting', 'canary', 'switched', 'promoting']
+
+const ROLLOUT_PHASE_TEXT = {
+  starting: 'Starting the new version next to the current one',
+  canary: 'Canary receiving part of the traffic',
+  switched: 'Traffic switched to the new version; previous version kept warm',
+  promoting: 'Promoting: updating the service to the new version',
+}
 
 export function ServiceOverview({
   service,
@@ -16,6 +30,7 @@ export function ServiceOverview({
   onDeploy,
   deploying,
   onRefresh,
+  rollout,
   // Debug session props
   activeDebugSession,
   onStartDebug,
@@ -24,6 +39,29 @@ export function ServiceOverview({
 }) {
   const [buildLogsCollapsed, setBuildLogsCollapsed] = useState(false)
   const [validationCollapsed, setValidationCollapsed] = useState(true)
+  const [historyCollapsed, setHistoryCollapsed] = useState(false)
+  const [rolloutAction, setRolloutAction] = useState(null)
+
+  const toast = useToast()
+
+  const handleRolloutAction = async (action) => {
+    setRolloutAction(action)
+    try {
+      if (action === 'promote') {
+        await promoteRollout(service.id)
+        toast.success('Promoting rollout')
+      } else {
+        await abortRollout(service.id)
+        toast.success('Rollout aborted')
+      }
+      onRefresh?.()
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : `Failed to ${action} rollout`
+      toast.error(message)
+    } finally {
+      setRolloutAction(null)
+    }
+  }
 
   return (
     <>
@@ -56,6 +94,39 @@ export function ServiceOverview({
         </div>
       )}
 
+      {/* Blue-green / canary rollout in progress */}
+      {rollout && ACTIVE_ROLLOUT_PHASES.includes(rollout.phase) && (
+        <TerminalCard title={`${rollout.strategy === 'canary' ? 'CANARY' : 'BLUE-GREEN'} ROLLOUT`} variant="amber" className="mb-6">
+          <div className="flex items-center justify-between gap-4">
+            <div className="space-y-2">
+              <p className="font-mono text-sm text-terminal-primary">
+                {ROLLOUT_PHASE_TEXT[rollout.phase]}
+              </p>
+              <div className="flex items-center gap-3">
+                <span className="font-mono text-xs text-terminal-muted uppercase">New version traffic:</span>
+                <TerminalProgress value={rollout.weight || 0} variant="amber" width={20} />
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <TerminalButton
+                variant="primary"
+                onClick={() => handleRolloutAction('promote')}
+                disabled={!!rolloutAction || !['canary', 'switched'].includes(rollout.phase)}
+              >
+                {rolloutAction === 'promote' ? '[ PROMOTING... ]' : '[ PROMOTE ]'}
+              </TerminalButton>
+              <TerminalButton
+                variant="danger"
+                onClick={() => handleRolloutAction('abort')}
+                disabled={!!rolloutAction || rollout.phase === 'promoting'}
+              >
+                {rolloutAction === 'abort' ? '[ ABORTING... ]' : '[ ABORT ]'}
+              </TerminalButton>
+            </div>
+          </div>
+        </TerminalCard>
+      )}
+
       {/* AI Debug Session - shown when active */}
       {activeDebugSession && (
         <div className="mb-6">
@@ -69,7 +140,7 @@ export function ServiceOverview({
       )}
 
       {/* Build Failed - FIX WITH AI button */}
-      {latestDeployment?.status === 'failed' && !activeDebugSession && !hasActiveDeployment && (
+      {latestDeployment?.status === 'failed' && !latestDeployment.failure_reason && !activeDebugSession && !hasActiveDeployment && (
         <TerminalCard title="BUILD FAILED" variant="red" className="mb-6">
           <div className="flex items-center justify-between gap-4">
             <div>
@@ -115,6 +186,24 @@ export function ServiceOverview({
         </>
       )}
 
+      {/* CPU, memory and restart history (cron jobs have no long-running pods) */}
+      {service.service_type !== 'cron' && (
+        <>
+          <TerminalSection
+            title="USAGE HISTORY"
+            collapsed={historyCollapsed}
+            onToggle={() => setHistoryCollapsed(!historyCollapsed)}
+            color="cyan"
+          />
+
+          {!historyCollapsed && (
+            <div className="mt-4">
+              <MetricsHistory serviceId={service.id} />
+            </div>
+          )}
+        </>
+      )}
+
       {/* Dockerfile Validation Section */}
       {validation && (
         <>
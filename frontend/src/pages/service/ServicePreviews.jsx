@@ -0,0 +1,440 @@
+import { useState, useEffect, useCallback } from 'react'
+import { TerminalCard, TerminalSection, TerminalModal } from '../../components/TerminalCard'
+import { StatusIndicator } from '../../components/StatusIndicator'
+import TerminalButton from '../../components/TerminalButton'
+import TerminalInput from '../../components/TerminalInput'
+import TerminalSelect from '../../components/TerminalSelect'
+import TerminalSpinner from '../../components/TerminalSpinner'
+import TerminalToggle from '../../components/TerminalToggle'
+import { useToast } from '../../components/Toast'
+import { updateService } from '../../api/services'
+import {
+  fetchPreviews,
+  deletePreview,
+  fetchPreviewEnvVars,
+  setPreviewEnvVar,
+  deletePreviewEnvVar
+} from '../../api/previews'
+import { ApiError } from '../../api/utils'
+import { formatDate, formatRelativeTime, getStatusText, getStatusIndicator } from '../../utils'
+
+const SCOPE_OPTIONS = [
+  { value: 'service', label: 'This service only' },
+  { value: 'project', label: 'Whole project' }
+]
+
+function settingsFrom(service) {
+  return {
+    previews_enabled: !!service.previews_enabled,
+    preview_scope: service.preview_scope || 'service',
+    preview_ttl_hours: String(service.preview_ttl_hours ?? 72)
+  }
+}
+
+export function ServicePreviews({ service, serviceId, onServiceUpdated }) {
+  const [previewsCollapsed, setPreviewsCollapsed] = useState(false)
+  const [settingsCollapsed, setSettingsCollapsed] = useState(false)
+  const [overridesCollapsed, setOverridesCollapsed] = useState(false)
+
+  const [previews, setPreviews] = useState([])
+  const [overrides, setOverrides] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const [settings, setSettings] = useState(settingsFrom(service))
+  const [savingSettings, setSavingSettings] = useState(false)
+
+  const [newKey, setNewKey] = useState('')
+  const [newValue, setNewValue] = useState('')
+  const [newSecret, setNewSecret] = useState(true)
+  const [savingOverride, setSavingOverride] = useState(false)
+
+  const [showDeleteModal, setShowDeleteModal] = useState(null)
+  const [deleting, setDeleting] = useState(false)
+
+  const toast = useToast()
+
+  const savedKey = JSON.stringify(settingsFrom(service))
+
+  useEffect(() => {
+    setSettings(settingsFrom(service))
+  }, [savedKey])
+
+  const settingsChanged = JSON.stringify(settings) !== savedKey
+
+  const loadPreviews = useCallback(async () => {
+    try {
+      const [previewData, envData] = await Promise.all([
+        fetchPreviews(serviceId),
+        fetchPreviewEnvVars(serviceId)
+      ])
+      setPreviews(previewData.previews)
+      setOverrides(envData)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to load previews'
+      toast.error(message)
+    } finally {
+      setLoading(false)
+    }
+  }, [serviceId, toast])
+
+  useEffect(() => {
+    if (!service.preview) {
+      loadPreviews()
+    }
+  }, [loadPreviews, service.preview])
+
+  const handleSaveSettings = async () => {
+    const ttl = parseInt(settings.preview_ttl_hours, 10)
+    if (!(ttl >= 1 && ttl <= 720)) {
+      toast.error('TTL must be between 1 and 720 hours')
+      return
+    }
+
+    setSavingSettings(true)
+    try {
+      const updated = await updateService(serviceId, {
+        previews_enabled: settings.previews_enabled,
+        preview_scope: settings.preview_scope,
+        preview_ttl_hours: ttl
+      })
+      onServiceUpdated?.(updated)
+      toast.success(updated.previews_enabled ? 'Preview settings updated' : 'Previews disabled')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to update preview settings'
+      toast.error(message)
+    } finally {
+      setSavingSettings(false)
+    }
+  }
+
+  const handleAddOverride = async (e) => {
+    e.preventDefault()
+    if (!newKey.trim() || !newValue.trim()) return
+
+    setSavingOverride(true)
+    try {
+      const saved = await setPreviewEnvVar(serviceId, newKey.trim(), newValue, newSecret)
+      setOverrides(prev => [...prev.filter(o => o.key !== saved.key), saved].sort((a, b) => a.key.localeCompare(b.key)))
+      setNewKey('')
+      setNewValue('')
+      setNewSecret(true)
+      toast.success(`Preview override "${saved.key}" saved`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to save override'
+      toast.error(message)
+    } finally {
+      setSavingOverride(false)
+    }
+  }
+
+  const handleDeleteOverride = async (key) => {
+    try {
+      await deletePreviewEnvVar(serviceId, key)
+      setOverrides(prev => prev.filter(o => o.key !== key))
+      toast.success(`Preview override "${key}" removed`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to remove override'
+      toast.error(message)
+    }
+  }
+
+  const handleDeletePreview = async (preview) => {
+    setDeleting(true)
+    try {
+      await deletePreview(serviceId, preview.id)
+      setPreviews(prev => prev.filter(p => p.id !== preview.id))
+      setShowDeleteModal(null)
+      toast.success(`Preview for PR #${preview.pr_number} deleted`)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to delete preview'
+      toast.error(message)
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  // Preview copies don't have previews of their own
+  if (service.preview) {
+    return (
+      <TerminalCard title="Preview" variant="cyan">
+        <p className="font-mono text-sm text-terminal-primary">
+          This service is the preview of{' '}
+          {service.preview.pr_url ? (
+            <a
+              href={service.preview.pr_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-terminal-cyan hover:underline"
+            >
+              PR #{service.preview.pr_number}
+            </a>
+          ) : (
+            `PR #${service.preview.pr_number}`
+          )}
+          {service.preview.pr_title && <span className="text-terminal-muted"> ({service.preview.pr_title})</span>}.
+        </p>
+        <p className="font-mono text-xs text-terminal-muted mt-2">
+          Branch {service.preview.head_branch}. Removed when the pull request closes, or after
+          {' '}{formatDate(service.preview.expires_at)} without activity.
+        </p>
+      </TerminalCard>
+    )
+  }
+
+  return (
+    <>
+      {/* Previews Section */}
+      <TerminalSection
+        title="PULL REQUEST PREVIEWS"
+        collapsed={previewsCollapsed}
+        onToggle={() => setPreviewsCollapsed(!previewsCollapsed)}
+        color="cyan"
+      />
+
+      {!previewsCollapsed && (
+        <div className="mt-4">
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <TerminalSpinner color="cyan" />
+              <span className="ml-2 font-mono text-sm text-terminal-muted">Loading previews...</span>
+            </div>
+          ) : previews.length === 0 ? (
+            <div className="text-center py-8 border border-terminal-border bg-terminal-bg-secondary">
+              <p className="font-mono text-terminal-muted">
+                {service.previews_enabled
+                  ? `No open pull requests against ${service.branch || 'main'}.`
+                  : 'Previews are off. Enable them below to deploy every pull request.'}
+              </p>
+            </div>
+          ) : (
+            <div className="border border-terminal-border bg-terminal-bg-secondary">
+              {previews.map((preview, index) => (
+                <div
+                  key={preview.id}
+                  className={`font-mono text-sm p-3 ${
+                    index < previews.length - 1 ? 'border-b border-terminal-border' : ''
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="truncate">
+                      <a
+                        href={preview.pr_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-terminal-cyan hover:underline"
+                      >
+                        #{preview.pr_number}
+                      </a>
+                      <span className="text-terminal-primary ml-2">{preview.pr_title}</span>
+                    </div>
+                    <button
+                      onClick={() => setShowDeleteModal(preview)}
+                      className="text-terminal-red hover:text-terminal-red/80 text-xs whitespace-nowrap"
+                    >
+                      [DEL]
+                    </button>
+                  </div>
+                  <div className="flex gap-4 mt-1 text-xs text-terminal-muted flex-wrap">
+                    <span>{preview.head_branch} @ {preview.head_sha?.substring(0, 7)}</span>
+                    {preview.pr_author && <span>by {preview.pr_author}</span>}
+                    <span>updated {formatRelativeTime(preview.updated_at)}</span>
+                    <span>expires {formatDate(preview.expires_at)}</span>
+                  </div>
+                  {preview.services.map(copy => (
+                    <div key={copy.id} className="flex items-center gap-2 mt-2 ml-2 text-xs">
+                      <StatusIndicator status={getStatusIndicator(copy.status)} showLabel={false} size="sm" />
+                      <span className="text-terminal-secondary">{copy.name}</span>
+                      <span className="text-terminal-muted">{getStatusText(copy.status || 'pending')}</span>
+                      {copy.url && (
+                        <a
+                          href={copy.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-terminal-green hover:underline truncate"
+                        >
+                          {copy.url}
+                        </a>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Settings Section */}
+      <TerminalSection
+        title="PREVIEW SETTINGS"
+        collapsed={settingsCollapsed}
+        onToggle={() => setSettingsCollapsed(!settingsCollapsed)}
+        color="cyan"
+      />
+
+      {!settingsCollapsed && (
+        <TerminalCard title="Previews" variant="cyan" className="mt-4">
+          <TerminalToggle
+            id="previews-enabled"
+            checked={settings.previews_enabled}
+            onChange={(e) => setSettings(prev => ({ ...prev, previews_enabled: e.target.checked }))}
+            label={settings.previews_enabled
+              ? `Deploy a preview for each pull request against ${service.branch || 'main'}`
+              : 'Previews off'}
+          />
+
+          {settings.previews_enabled && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted mb-2">SCOPE</label>
+                <TerminalSelect
+                  options={SCOPE_OPTIONS}
+                  value={settings.preview_scope}
+                  onChange={(e) => setSettings(prev => ({ ...prev, preview_scope: e.target.value }))}
+                  className="w-full"
+                />
+              </div>
+              <div>
+                <label className="block font-mono text-xs text-terminal-muted mb-2">TTL (HOURS WITHOUT ACTIVITY)</label>
+                <TerminalInput
+                  type="number"
+                  min={1}
+                  max={720}
+                  value={settings.preview_ttl_hours}
+                  onChange={(e) => setSettings(prev => ({ ...prev, preview_ttl_hours: e.target.value }))}
+                  placeholder="72"
+                  className="w-full"
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center justify-between gap-4 mt-4 pt-3 border-t border-terminal-border">
+            <p className="font-mono text-xs text-terminal-muted">
+              Enable the "Pull requests" event on the GitHub webhook. Pull requests from forks are not previewed.
+            </p>
+            <TerminalButton
+              variant="primary"
+              onClick={handleSaveSettings}
+              disabled={savingSettings || !settingsChanged}
+            >
+              {savingSettings ? '[ SAVING... ]' : '[ SAVE ]'}
+            </TerminalButton>
+          </div>
+        </TerminalCard>
+      )}
+
+      {/* Overrides Section */}
+      <TerminalSection
+        title="PREVIEW ENVIRONMENT OVERRIDES"
+        collapsed={overridesCollapsed}
+        onToggle={() => setOverridesCollapsed(!overridesCollapsed)}
+        color="amber"
+      />
+
+      {!overridesCollapsed && (
+        <div className="mt-4">
+          <p className="font-mono text-xs text-terminal-muted mb-3">
+            Previews get this service's environment variables with these values on top. Changes apply to the next preview deployment.
+          </p>
+
+          {overrides.length > 0 && (
+            <div className="border border-terminal-border bg-terminal-bg-secondary mb-4">
+              {overrides.map((env, index) => (
+                <div
+                  key={env.key}
+                  className={`font-mono text-sm p-3 ${
+                    index < overrides.length - 1 ? 'border-b border-terminal-border' : ''
+                  }`}
+                >
+                  <div className="grid grid-cols-12 gap-2 items-center">
+                    <div className="col-span-4 truncate">
+                      <span className="text-terminal-secondary">{env.key}</span>
+                      <span className={`ml-2 text-xs ${env.is_secret ? 'text-terminal-amber' : 'text-terminal-muted'}`}>
+                        {env.is_secret ? '[SECRET]' : '[PLAIN]'}
+                      </span>
+                    </div>
+                    <div className="col-span-6 text-terminal-primary truncate">{env.value}</div>
+                    <div className="col-span-2 text-right">
+                      <button
+                        onClick={() => handleDeleteOverride(env.key)}
+                        className="text-terminal-red hover:text-terminal-red/80 text-xs"
+                      >
+                        [DEL]
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <form onSubmit={handleAddOverride} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+            <TerminalInput
+              value={newKey}
+              onChange={(e) => setNewKey(e.target.value.toUpperCase())}
+              placeholder="MY_VARIABLE"
+              className="md:col-span-4 w-full"
+            />
+            <TerminalInput
+              value={newValue}
+              onChange={(e) => setNewValue(e.target.value)}
+              placeholder="preview value"
+              className="md:col-span-4 w-full"
+            />
+            <div className="md:col-span-2">
+              <TerminalToggle
+                id="new-preview-env-secret"
+                checked={newSecret}
+                onChange={(e) => setNewSecret(e.target.checked)}
+                label="SECRET"
+              />
+            </div>
+            <TerminalButton
+              type="submit"
+              variant="secondary"
+              className="md:col-span-2"
+              disabled={savingOverride || !newKey.trim() || !newValue.trim()}
+            >
+              {savingOverride ? '[ SAVING... ]' : '[ SET ]'}
+            </TerminalButton>
+          </form>
+        </div>
+      )}
+
+      {/* Delete Preview Modal */}
+      {showDeleteModal && (
+        <TerminalModal
+          title="CONFIRM DELETE"
+          variant="red"
+          onClose={() => setShowDeleteModal(null)}
+        >
+          <p className="font-mono text-terminal-primary mb-2">
+            Tear down the preview for PR #{showDeleteModal.pr_number}?
+          </p>
+          <p className="font-mono text-xs text-terminal-muted mb-6">
+            Its services and their data are deleted. The next push to the pull request creates it again.
+          </p>
+          <div className="flex justify-end gap-3">
+            <TerminalButton
+              variant="secondary"
+              onClick={() => setShowDeleteModal(null)}
+              disabled={deleting}
+            >
+              [ CANCEL ]
+            </TerminalButton>
+            <TerminalButton
+              variant="danger"
+              onClick={() => handleDeletePreview(showDeleteModal)}
+              disabled={deleting}
+            >
+              {deleting ? '[ DELETING... ]' : '[ DELETE ]'}
+            </TerminalButton>
+          </div>
+        </TerminalModal>
+      )}
+    </>
+  )
+}
+
+export default ServicePreviews
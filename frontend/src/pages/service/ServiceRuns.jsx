@@ -0,0 +1,193 @@
+import { useState, useEffect, useCallback } from 'react'
+import { TerminalSection } from '../../components/TerminalCard'
+import { StatusIndicator } from '../../components/StatusIndicator'
+import TerminalButton from '../../components/TerminalButton'
+import TerminalSpinner from '../../components/TerminalSpinner'
+import { useToast } from '../../components/Toast'
+import { fetchCronRuns, fetchCronRun, runCronNow } from '../../api/cronRuns'
+import { ApiError } from '../../api/utils'
+import { formatDate, formatDuration } from '../../utils'
+
+const RUNS_POLL_INTERVAL = 10000
+
+const RUN_INDICATORS = {
+  running: 'pending',
+  succeeded: 'online',
+  failed: 'error'
+}
+
+function runDuration(run) {
+  if (!run.finished_at) return '-'
+  return formatDuration(new Date(run.finished_at) - new Date(run.started_at))
+}
+
+export function ServiceRuns({ service, serviceId }) {
+  const [runsCollapsed, setRunsCollapsed] = useState(false)
+  const [runs, setRuns] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [running, setRunning] = useState(false)
+  const [expandedRun, setExpandedRun] = useState(null)
+  const [runLogs, setRunLogs] = useState(null)
+  const [loadingLogs, setLoadingLogs] = useState(false)
+
+  const toast = useToast()
+
+  const loadRuns = useCallback(async () => {
+    try {
+      const data = await fetchCronRuns(serviceId)
+      setRuns(data.runs)
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to load runs'
+      toast.error(message)
+    } finally {
+      setLoading(false)
+    }
+  }, [serviceId, toast])
+
+  useEffect(() => {
+    loadRuns()
+    const interval = setInterval(loadRuns, RUNS_POLL_INTERVAL)
+    return () => clearInterval(interval)
+  }, [loadRuns])
+
+  const handleRunNow = async () => {
+    setRunning(true)
+    try {
+      await runCronNow(serviceId)
+      toast.success('Run started')
+      await loadRuns()
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to start run'
+      toast.error(message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const toggleLogs = async (run) => {
+    if (expandedRun === run.id) {
+      setExpandedRun(null)
+      return
+    }
+
+    setExpandedRun(run.id)
+    setRunLogs(null)
+    setLoadingLogs(true)
+    try {
+      const detail = await fetchCronRun(serviceId, run.id)
+      setRunLogs(detail.logs || '(no logs available)')
+    } catch (err) {
+      const message = err instanceof ApiError ? err.message : 'Failed to load run logs'
+      toast.error(message)
+      setExpandedRun(null)
+    } finally {
+      setLoadingLogs(false)
+    }
+  }
+
+  return (
+    <>
+      <TerminalSection
+        title="RUNS"
+        collapsed={runsCollapsed}
+        onToggle={() => setRunsCollapsed(!runsCollapsed)}
+        color="amber"
+      />
+
+      {!runsCollapsed && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <p className="font-mono text-xs text-terminal-muted">
+              Schedule <span className="text-terminal-primary">{service.cron_schedule}</span> (UTC)
+              {service.cron_suspended && <span className="text-terminal-amber"> - suspended</span>}
+            </p>
+            <TerminalButton variant="primary" onClick={handleRunNow} disabled={running}>
+              {running ? '[ STARTING... ]' : '[ RUN NOW ]'}
+            </TerminalButton>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <TerminalSpinner />
+            </div>
+          ) : runs.length === 0 ? (
+            <div className="text-center py-8 border border-terminal-border bg-terminal-bg-secondary">
+              <p className="font-mono text-terminal-muted">
+                No runs yet. Runs appear here once the schedule fires or you run it by hand.
+              </p>
+            </div>
+          ) : (
+            <div className="border border-terminal-border bg-terminal-bg-secondary">
+              {/* Table Header */}
+              <div className="font-mono text-xs text-terminal-muted border-b border-terminal-border p-3">
+                <div className="grid grid-cols-12 gap-2">
+                  <div className="col-span-1">STS</div>
+                  <div className="col-span-4">STARTED</div>
+                  <div className="col-span-2">TRIGGER</div>
+                  <div className="col-span-2">DURATION</div>
+                  <div className="col-span-1">EXIT</div>
+                  <div className="col-span-2"></div>
+                </div>
+              </div>
+
+              {runs.map((run, index) => (
+                <div
+                  key={run.id}
+                  className={`font-mono text-sm p-3 hover:bg-terminal-bg-elevated transition-colors ${
+                    index < runs.length - 1 ? 'border-b border-terminal-border' : ''
+                  }`}
+                >
+                  <div className="grid grid-cols-12 gap-2 items-center">
+                    <div className="col-span-1">
+                      <StatusIndicator
+                        status={RUN_INDICATORS[run.status] || 'idle'}
+                        showLabel={false}
+                        size="sm"
+                      />
+                    </div>
+                    <div className="col-span-4 text-terminal-muted">
+                      {formatDate(run.started_at)}
+                    </div>
+                    <div className="col-span-2 text-terminal-secondary text-xs uppercase">
+                      {run.trigger}
+                    </div>
+                    <div className="col-span-2 text-terminal-secondary">
+                      {run.status === 'running' ? (
+                        <span className="text-terminal-cyan text-xs animate-pulse">RUNNING</span>
+                      ) : runDuration(run)}
+                    </div>
+                    <div className={`col-span-1 ${run.exit_code ? 'text-terminal-red' : 'text-terminal-secondary'}`}>
+                      {run.exit_code ?? '-'}
+                    </div>
+                    <div className="col-span-2 text-right">
+                      <button
+                        onClick={() => toggleLogs(run)}
+                        className="text-terminal-cyan hover:text-terminal-primary text-xs"
+                      >
+                        {expandedRun === run.id ? '[HIDE]' : '[LOGS]'}
+                      </button>
+                    </div>
+                  </div>
+                  {run.failure_reason && (
+                    <div className="grid grid-cols-12 gap-2 mt-1">
+                      <div className="col-start-2 col-span-11 text-terminal-red text-xs break-words">
+                        ! {run.failure_reason}
+                      </div>
+                    </div>
+                  )}
+                  {expandedRun === run.id && (
+                    <pre className="mt-3 p-3 max-h-96 overflow-auto bg-terminal-bg border border-terminal-border text-xs text-terminal-secondary whitespace-pre-wrap break-words">
+                      {loadingLogs ? 'Loading logs...' : runLogs}
+                    </pre>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default ServiceRuns
@@ -3,3 +3,5 @@ export { ServiceConfig } from './ServiceConfig'
 export { ServiceEnvironment } from './ServiceEnvironment'
 export { ServiceLogs } from './ServiceLogs'
 export { ServiceHistory } from './ServiceHistory'
+export { ServicePreviews } from './ServicePreviews'
+export { ServiceRuns } from './ServiceRuns'